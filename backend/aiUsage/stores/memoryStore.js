@@ -0,0 +1,146 @@
+/**
+ * Almacenamiento en memoria de las llamadas a la IA
+ * Guarda las últimas llamadas del proceso; para conservarlas entre reinicios usar postgresStore
+ */
+
+// Número máximo de llamadas guardadas (se descartan las más antiguas)
+const MAX_ENTRIES = 10000;
+
+/**
+ * Crea un agregado vacío
+ * @returns {Object} - Contadores a cero
+ */
+const createAggregate = () => ({
+  calls: 0,
+  failedCalls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  retries: 0,
+  costUsd: 0,
+  totalLatencyMs: 0
+});
+
+/**
+ * Suma una llamada a un agregado
+ * @param {Object} aggregate - Agregado
+ * @param {Object} entry - Llamada registrada
+ */
+const addEntry = (aggregate, entry) => {
+  aggregate.calls++;
+  if (entry.status === 'error') aggregate.failedCalls++;
+  aggregate.inputTokens += entry.inputTokens || 0;
+  aggregate.outputTokens += entry.outputTokens || 0;
+  aggregate.retries += entry.retries || 0;
+  aggregate.costUsd += entry.costUsd || 0;
+  aggregate.totalLatencyMs += entry.latencyMs || 0;
+};
+
+/**
+ * Convierte un agregado al formato del informe
+ * @param {Object} aggregate - Agregado
+ * @returns {Object} - { calls, failedCalls, inputTokens, outputTokens, retries, costUsd, avgLatencyMs }
+ */
+const toSummary = ({ totalLatencyMs, ...aggregate }) => ({
+  ...aggregate,
+  avgLatencyMs: aggregate.calls > 0 ? Math.round(totalLatencyMs / aggregate.calls) : null
+});
+
+/**
+ * Trunca una fecha al inicio de su hora o de su día (UTC)
+ * @param {string} createdAt - Fecha ISO
+ * @param {string} interval - 'hour' o 'day'
+ * @returns {string} - Inicio del periodo en formato ISO
+ */
+const truncateDate = (createdAt, interval) => {
+  const date = new Date(createdAt);
+  date.setUTCMinutes(0, 0, 0);
+  if (interval === 'day') date.setUTCHours(0);
+  return date.toISOString();
+};
+
+class MemoryAIUsageStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = [];
+  }
+
+  /**
+   * No requiere inicialización; se mantiene por compatibilidad con el almacenamiento PostgreSQL
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Guarda una llamada
+   * @param {Object} entry - Llamada normalizada (ver services/aiUsageService.js)
+   * @returns {Promise<void>}
+   */
+  async record(entry) {
+    this.entries.push({ ...entry });
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+    }
+  }
+
+  /**
+   * Coste acumulado desde una fecha
+   * @param {Date} since - Fecha de inicio
+   * @returns {Promise<number>} - Coste en USD
+   */
+  async getCostSince(since) {
+    return this.entries
+      .filter(entry => new Date(entry.createdAt) >= since)
+      .reduce((total, entry) => total + (entry.costUsd || 0), 0);
+  }
+
+  /**
+   * Agrega las llamadas de un intervalo de fechas
+   * @param {Object} options - Filtros
+   * @param {Date} options.from - Fecha de inicio (incluida)
+   * @param {Date} options.to - Fecha de fin (incluida)
+   * @param {string} options.interval - Agrupación de la serie temporal: 'hour' o 'day'
+   * @returns {Promise<Object>} - { totals, byTask, byModel, series }
+   */
+  async summarize({ from, to, interval }) {
+    const totals = createAggregate();
+    const byTask = new Map();
+    const byModel = new Map();
+    const series = new Map();
+
+    const add = (groups, key, entry) => {
+      if (!groups.has(key)) groups.set(key, createAggregate());
+      addEntry(groups.get(key), entry);
+    };
+
+    this.entries
+      .filter(entry => {
+        const createdAt = new Date(entry.createdAt);
+        return createdAt >= from && createdAt <= to;
+      })
+      .forEach(entry => {
+        addEntry(totals, entry);
+        add(byTask, entry.task, entry);
+        add(byModel, entry.model, entry);
+        add(series, truncateDate(entry.createdAt, interval), entry);
+      });
+
+    return {
+      totals: toSummary(totals),
+      byTask: [...byTask].map(([task, aggregate]) => ({ task, ...toSummary(aggregate) })),
+      byModel: [...byModel].map(([model, aggregate]) => ({ model, ...toSummary(aggregate) })),
+      series: [...series]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([period, aggregate]) => ({ period, ...toSummary(aggregate) }))
+    };
+  }
+
+  /**
+   * Libera los datos guardados
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.entries = [];
+  }
+}
+
+export default MemoryAIUsageStore;
@@ -0,0 +1,136 @@
+/**
+ * Almacenamiento PostgreSQL de las llamadas a la IA (tabla ai_usage)
+ * Conserva el consumo entre reinicios y lo comparte entre instancias, de modo que el
+ * presupuesto diario se aplica a todas ellas
+ */
+import config from '../../config/index.js';
+import { getPool, closePool } from '../../database/pool.js';
+import { runMigrations } from '../../database/migrate.js';
+
+// Columnas agregadas de cada grupo del informe
+const AGGREGATE_COLUMNS = `
+  COUNT(*)::int AS calls,
+  COUNT(*) FILTER (WHERE status = 'error')::int AS failed_calls,
+  COALESCE(SUM(input_tokens), 0)::bigint AS input_tokens,
+  COALESCE(SUM(output_tokens), 0)::bigint AS output_tokens,
+  COALESCE(SUM(retries), 0)::int AS retries,
+  COALESCE(SUM(cost_usd), 0)::double precision AS cost_usd,
+  ROUND(AVG(latency_ms))::int AS avg_latency_ms`;
+
+/**
+ * Convierte una fila agregada al formato del informe
+ * @param {Object} row - Fila de PostgreSQL
+ * @returns {Object} - { calls, failedCalls, inputTokens, outputTokens, retries, costUsd, avgLatencyMs }
+ */
+const toSummary = (row) => ({
+  calls: row.calls,
+  failedCalls: row.failed_calls,
+  inputTokens: Number(row.input_tokens),
+  outputTokens: Number(row.output_tokens),
+  retries: row.retries,
+  costUsd: row.cost_usd,
+  avgLatencyMs: row.avg_latency_ms
+});
+
+class PostgresAIUsageStore {
+  constructor() {
+    this.name = 'postgres';
+    this.pool = null;
+  }
+
+  /**
+   * Conecta con la base de datos y aplica las migraciones pendientes si está configurado
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.pool = getPool();
+    await this.pool.query('SELECT 1');
+
+    if (config.database.migrateOnStart) {
+      await runMigrations(this.pool);
+    }
+  }
+
+  /**
+   * Guarda una llamada
+   * @param {Object} entry - Llamada normalizada (ver services/aiUsageService.js)
+   * @returns {Promise<void>}
+   */
+  async record(entry) {
+    await this.pool.query(
+      `INSERT INTO ai_usage
+        (id, query_id, task, provider, model, status, input_tokens, output_tokens,
+         latency_ms, retries, cost_usd, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        entry.id,
+        entry.queryId,
+        entry.task,
+        entry.provider,
+        entry.model,
+        entry.status,
+        entry.inputTokens,
+        entry.outputTokens,
+        entry.latencyMs,
+        entry.retries,
+        entry.costUsd,
+        entry.createdAt
+      ]
+    );
+  }
+
+  /**
+   * Coste acumulado desde una fecha
+   * @param {Date} since - Fecha de inicio
+   * @returns {Promise<number>} - Coste en USD
+   */
+  async getCostSince(since) {
+    const result = await this.pool.query(
+      'SELECT COALESCE(SUM(cost_usd), 0)::double precision AS cost FROM ai_usage WHERE created_at >= $1',
+      [since]
+    );
+    return result.rows[0].cost;
+  }
+
+  /**
+   * Agrega las llamadas de un intervalo de fechas
+   * @param {Object} options - Filtros
+   * @param {Date} options.from - Fecha de inicio (incluida)
+   * @param {Date} options.to - Fecha de fin (incluida)
+   * @param {string} options.interval - Agrupación de la serie temporal: 'hour' o 'day'
+   * @returns {Promise<Object>} - { totals, byTask, byModel, series }
+   */
+  async summarize({ from, to, interval }) {
+    const range = 'FROM ai_usage WHERE created_at >= $1 AND created_at <= $2';
+    const params = [from, to];
+
+    const [totals, byTask, byModel, series] = await Promise.all([
+      this.pool.query(`SELECT ${AGGREGATE_COLUMNS} ${range}`, params),
+      this.pool.query(`SELECT task, ${AGGREGATE_COLUMNS} ${range} GROUP BY task ORDER BY task`, params),
+      this.pool.query(`SELECT model, ${AGGREGATE_COLUMNS} ${range} GROUP BY model ORDER BY model`, params),
+      this.pool.query(
+        `SELECT date_trunc($3, created_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS period, ${AGGREGATE_COLUMNS}
+         ${range} GROUP BY period ORDER BY period`,
+        [...params, interval]
+      )
+    ]);
+
+    return {
+      totals: toSummary(totals.rows[0]),
+      byTask: byTask.rows.map(row => ({ task: row.task, ...toSummary(row) })),
+      byModel: byModel.rows.map(row => ({ model: row.model, ...toSummary(row) })),
+      series: series.rows.map(row => ({ period: row.period.toISOString(), ...toSummary(row) }))
+    };
+  }
+
+  /**
+   * Cierra el pool de conexiones
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await closePool();
+    this.pool = null;
+  }
+}
+
+export default PostgresAIUsageStore;
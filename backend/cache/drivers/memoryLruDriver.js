@@ -0,0 +1,122 @@
+/**
+ * Driver de caché en memoria con expulsión LRU (el menos usado recientemente)
+ * Guarda los valores serializados para que quien los lee no pueda modificar la copia en caché
+ */
+
+class MemoryLruDriver {
+  /**
+   * @param {Object} options - Opciones del driver
+   * @param {number} options.maxEntries - Número máximo de entradas antes de expulsar
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = Math.max(1, maxEntries);
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * No requiere inicialización; se mantiene por compatibilidad con los drivers persistentes
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Obtiene una entrada vigente y la marca como usada recientemente
+   * @param {string} key - Clave
+   * @returns {Promise<Object|null>} - { value, namespace, createdAt, expiresAt } o null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Reinsertar para mover la entrada al final (más reciente)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Guarda una entrada, expulsando las menos usadas si se supera el límite
+   * @param {string} key - Clave
+   * @param {Object} entry - { value (serializado), namespace, createdAt, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Lista las entradas vigentes, de la más reciente a la más antigua
+   * @param {Object} options - Filtros
+   * @param {string} options.namespace - Espacio de nombres (opcional)
+   * @param {number} options.limit - Número máximo de entradas
+   * @returns {Promise<Object>} - { total, entries }
+   */
+  async list({ namespace = null, limit = 100 } = {}) {
+    const now = Date.now();
+    const entries = [...this.entries.entries()]
+      .filter(([, entry]) => entry.expiresAt > now && (!namespace || entry.namespace === namespace))
+      .reverse();
+
+    return {
+      total: entries.length,
+      entries: entries.slice(0, limit).map(([key, entry]) => ({
+        key,
+        namespace: entry.namespace,
+        sizeBytes: Buffer.byteLength(entry.value),
+        createdAt: new Date(entry.createdAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Elimina las entradas de un espacio de nombres o todas
+   * @param {string} namespace - Espacio de nombres (opcional)
+   * @returns {Promise<number>} - Número de entradas eliminadas
+   */
+  async purge(namespace = null) {
+    if (!namespace) {
+      const removed = this.entries.size;
+      this.entries.clear();
+      return removed;
+    }
+
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.namespace === namespace) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Información del driver para el endpoint de administración
+   * @returns {Object} - { driver, entries, maxEntries, evictions }
+   */
+  info() {
+    return {
+      driver: this.name,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions
+    };
+  }
+}
+
+export default MemoryLruDriver;
@@ -0,0 +1,128 @@
+/**
+ * Driver de caché persistente en PostgreSQL (tabla cache_entries, ver database/migrations)
+ * Permite compartir la caché entre reinicios y entre varias instancias del servidor
+ */
+import config from '../../config/index.js';
+import { getPool } from '../../database/pool.js';
+import { runMigrations } from '../../database/migrate.js';
+
+class PostgresCacheDriver {
+  constructor() {
+    this.name = 'postgres';
+    this.pool = null;
+  }
+
+  /**
+   * Conecta con la base de datos y aplica las migraciones pendientes si está configurado
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.pool = getPool();
+    await this.pool.query('SELECT 1');
+
+    if (config.database.migrateOnStart) {
+      await runMigrations(this.pool);
+    }
+  }
+
+  /**
+   * Obtiene una entrada vigente
+   * @param {string} key - Clave
+   * @returns {Promise<Object|null>} - { value, namespace, createdAt, expiresAt } o null
+   */
+  async get(key) {
+    const result = await this.pool.query(
+      `SELECT namespace, value, created_at, expires_at
+         FROM cache_entries
+        WHERE key = $1 AND expires_at > NOW()`,
+      [key]
+    );
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      value: row.value,
+      namespace: row.namespace,
+      createdAt: row.created_at.getTime(),
+      expiresAt: row.expires_at.getTime()
+    };
+  }
+
+  /**
+   * Guarda o reemplaza una entrada
+   * @param {string} key - Clave
+   * @param {Object} entry - { value (serializado), namespace, createdAt, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    await this.pool.query(
+      `INSERT INTO cache_entries (key, namespace, value, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (key) DO UPDATE SET
+         namespace = EXCLUDED.namespace,
+         value = EXCLUDED.value,
+         created_at = EXCLUDED.created_at,
+         expires_at = EXCLUDED.expires_at`,
+      [key, entry.namespace, entry.value, new Date(entry.createdAt), new Date(entry.expiresAt)]
+    );
+  }
+
+  /**
+   * Lista las entradas vigentes, de la más reciente a la más antigua
+   * @param {Object} options - Filtros
+   * @param {string} options.namespace - Espacio de nombres (opcional)
+   * @param {number} options.limit - Número máximo de entradas
+   * @returns {Promise<Object>} - { total, entries }
+   */
+  async list({ namespace = null, limit = 100 } = {}) {
+    const filter = 'WHERE expires_at > NOW() AND ($1::text IS NULL OR namespace = $1)';
+    const [countResult, entriesResult] = await Promise.all([
+      this.pool.query(`SELECT COUNT(*)::int AS total FROM cache_entries ${filter}`, [namespace]),
+      this.pool.query(
+        `SELECT key, namespace, OCTET_LENGTH(value) AS size_bytes, created_at, expires_at
+           FROM cache_entries
+           ${filter}
+          ORDER BY created_at DESC
+          LIMIT $2`,
+        [namespace, limit]
+      )
+    ]);
+
+    return {
+      total: countResult.rows[0].total,
+      entries: entriesResult.rows.map(row => ({
+        key: row.key,
+        namespace: row.namespace,
+        sizeBytes: row.size_bytes,
+        createdAt: row.created_at.toISOString(),
+        expiresAt: row.expires_at.toISOString()
+      }))
+    };
+  }
+
+  /**
+   * Elimina las entradas de un espacio de nombres o todas, junto con las caducadas
+   * @param {string} namespace - Espacio de nombres (opcional)
+   * @returns {Promise<number>} - Número de entradas vigentes eliminadas
+   */
+  async purge(namespace = null) {
+    const result = await this.pool.query(
+      `DELETE FROM cache_entries
+        WHERE ($1::text IS NULL OR namespace = $1)
+        RETURNING expires_at > NOW() AS active`,
+      [namespace]
+    );
+    await this.pool.query('DELETE FROM cache_entries WHERE expires_at <= NOW()');
+    return result.rows.filter(row => row.active).length;
+  }
+
+  /**
+   * Información del driver para el endpoint de administración
+   * @returns {Object} - { driver }
+   */
+  info() {
+    return { driver: this.name };
+  }
+}
+
+export default PostgresCacheDriver;
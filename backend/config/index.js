@@ -9,7 +9,9 @@ const config = {
   server: {
     port: process.env.PORT || 3000,
     env: process.env.NODE_ENV || 'development',
-    apiPrefix: '/api'
+    apiPrefix: '/api',
+    // Confiar en X-Forwarded-For para identificar al cliente detrás de un proxy
+    trustProxy: process.env.TRUST_PROXY === 'true'
   },
   
   // APIs externas
@@ -23,27 +25,86 @@ const config = {
       apiKey: process.env.CLAUDE_API_KEY,
       baseUrl: process.env.CLAUDE_API_URL || 'https://api.anthropic.com'
     },
+    // Servidor compatible con la API de OpenAI (p. ej. Ollama, llama.cpp o vLLM en local)
+    openaiCompatible: {
+      apiKey: process.env.LLM_OPENAI_API_KEY || '',
+      baseUrl: process.env.LLM_OPENAI_BASE_URL || 'http://localhost:11434/v1'
+    },
     icite: {
       baseUrl: process.env.ICITE_API_URL || 'https://icite.od.nih.gov/api'
     }
   },
   
+  // Modelo de lenguaje: 'anthropic', 'openai-compatible' o 'replay' (fixtures sin red, ver llm/)
+  // Los modelos sin configurar usan los valores por defecto del proveedor
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'anthropic',
+    models: {
+      default: process.env.LLM_MODEL || null,
+      strategy: process.env.LLM_MODEL_STRATEGY || null,
+      refinement: process.env.LLM_MODEL_REFINEMENT || null,
+      analysis: process.env.LLM_MODEL_ANALYSIS || null,
+      synthesis: process.env.LLM_MODEL_SYNTHESIS || null
+    },
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '2048', 10),
+    timeout: parseInt(process.env.LLM_TIMEOUT || '45000', 10), // En milisegundos
+    replay: {
+      fixturesDir: process.env.LLM_REPLAY_FIXTURES || null // Por defecto llm/fixtures
+    },
+    // Gasto máximo estimado por día (UTC) en USD; al agotarse los pasos con IA continúan sin IA
+    dailyBudgetUsd: process.env.LLM_DAILY_BUDGET_USD ? parseFloat(process.env.LLM_DAILY_BUDGET_USD) : null
+  },
+  
   // Límites y configuraciones de seguridad
   security: {
     rateLimit: {
+      enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
       windowMs: 60 * 1000, // 1 minuto
-      max: 100 // Máximo 100 peticiones por minuto
+      max: parseInt(process.env.RATE_LIMIT_MAX || '100', 10), // Máximo 100 peticiones por minuto
+      // Almacenamiento de los contadores: 'memory' (por proceso) o 'postgres' (compartido entre instancias)
+      driver: process.env.RATE_LIMIT_DRIVER || 'memory',
+      // Límite más estricto para las rutas que llaman a Claude
+      ai: {
+        windowMs: 60 * 1000,
+        max: parseInt(process.env.RATE_LIMIT_AI_MAX || '10', 10)
+      }
     },
     corsOptions: {
       origin: process.env.CORS_ORIGIN || '*',
-      methods: ['GET', 'POST']
-    }
+      methods: ['GET', 'POST', 'DELETE'],
+      exposedHeaders: ['Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+    },
+    // Token para los endpoints de administración (sin token solo se permiten fuera de producción)
+    adminToken: process.env.ADMIN_TOKEN || ''
   },
   
-  // Configuración de caché
+  // Configuración de caché de respuestas de PubMed, iCite y Claude
+  // driver: 'memory' (LRU en el proceso) o 'postgres' (persistente, con memoria como primer nivel)
   cache: {
     enabled: process.env.CACHE_ENABLED === 'true',
-    ttl: parseInt(process.env.CACHE_TTL || '3600', 10) // En segundos
+    ttl: parseInt(process.env.CACHE_TTL || '3600', 10), // En segundos
+    driver: process.env.CACHE_DRIVER || 'memory',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10)
+  },
+  
+  // Configuración de trabajos asíncronos (consultas científicas en segundo plano)
+  jobs: {
+    maxConcurrent: parseInt(process.env.JOBS_MAX_CONCURRENT || '2', 10),
+    retention: parseInt(process.env.JOBS_RETENTION || '3600', 10) // En segundos
+  },
+  
+  // Persistencia de consultas: 'postgres' (DATABASE_URL o variables PG*) o 'memory'
+  database: {
+    driver: process.env.DB_DRIVER || (process.env.DATABASE_URL ? 'postgres' : 'memory'),
+    connectionString: process.env.DATABASE_URL || undefined,
+    ssl: process.env.DB_SSL === 'true',
+    poolMax: parseInt(process.env.DB_POOL_MAX || '10', 10),
+    migrateOnStart: process.env.DB_MIGRATE_ON_START !== 'false'
+  },
+  
+  // Priorización de artículos (perfiles definidos en config/scoringProfiles.js)
+  scoring: {
+    defaultProfile: process.env.SCORING_DEFAULT_PROFILE || 'clinical-practice'
   },
   
   // Configuración de logging
@@ -58,7 +119,7 @@ if (config.apis.pubmed.apiKey === undefined) {
   console.warn('⚠️  PUBMED_API_KEY no está definido en variables de entorno');
 }
 
-if (config.apis.claude.apiKey === undefined) {
+if (config.llm.provider === 'anthropic' && config.apis.claude.apiKey === undefined) {
   console.warn('⚠️  CLAUDE_API_KEY no está definido en variables de entorno');
 }
 
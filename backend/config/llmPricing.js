@@ -0,0 +1,52 @@
+/**
+ * Tabla de precios de los modelos de lenguaje en USD por millón de tokens
+ * Se usa para estimar el coste de cada llamada a la IA (ver services/aiUsageService.js).
+ * LLM_PRICES permite añadir o sobrescribir modelos con un JSON del mismo formato, p. ej.
+ * LLM_PRICES='{"llama3.1": {"input": 0, "output": 0}}'
+ */
+
+const DEFAULT_PRICES = {
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-opus-20240229': { input: 15, output: 75 },
+  // Proveedor de replay (fixtures sin red)
+  replay: { input: 0, output: 0 }
+};
+
+/**
+ * Lee los precios personalizados de LLM_PRICES
+ * @returns {Object} - Precios por modelo (vacío si no hay o el JSON no es válido)
+ */
+const parseCustomPrices = () => {
+  if (!process.env.LLM_PRICES) return {};
+
+  try {
+    const prices = JSON.parse(process.env.LLM_PRICES);
+    return Object.fromEntries(Object.entries(prices).filter(([, price]) =>
+      Number.isFinite(price?.input) && Number.isFinite(price?.output)));
+  } catch (error) {
+    console.warn(`⚠️  LLM_PRICES no es un JSON válido y se ignora: ${error.message}`);
+    return {};
+  }
+};
+
+export const LLM_PRICES = { ...DEFAULT_PRICES, ...parseCustomPrices() };
+
+/**
+ * Estima el coste de una llamada
+ * @param {string} model - Modelo
+ * @param {number} inputTokens - Tokens de entrada
+ * @param {number} outputTokens - Tokens de salida
+ * @returns {number|null} - Coste en USD o null si el modelo no tiene precio o faltan los tokens
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+  const price = LLM_PRICES[model];
+  if (!price || !Number.isFinite(inputTokens) || !Number.isFinite(outputTokens)) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+export default {
+  LLM_PRICES,
+  estimateCost
+};
@@ -0,0 +1,277 @@
+/**
+ * Perfiles de puntuación para la priorización de artículos
+ * Cada perfil es un conjunto de datos versionado: criterios, pesos, umbrales y
+ * valores por defecto. Al cambiar los criterios o umbrales de un perfil se debe
+ * incrementar su versión, ya que la versión se devuelve en el desglose de cada artículo.
+ *
+ * Estructura de un criterio:
+ * - id: identificador del criterio en el desglose
+ * - label: nombre para mostrar
+ * - metric: métrica evaluada (ver METRICS en services/scoringService.js)
+ * - weight: puntos máximos que aporta el criterio
+ * - thresholds: umbrales evaluados en orden; el primero que se cumple (min/max inclusivos)
+ *   determina la fracción del peso (ratio, 0-1) que se otorga
+ * - values: en lugar de umbrales, fracción del peso por valor categórico
+ * - default: valor de la métrica cuando el artículo no lo tiene
+ */
+
+// Revistas de referencia para el criterio de revista
+const REFERENCE_JOURNALS = [
+  'nejm', 'new england', 'lancet', 'jama', 'bmj', 'british medical',
+  'annals of internal medicine', 'nature', 'science', 'cell',
+  'circulation', 'ophthalmology', 'journal of clinical',
+  'american journal', 'journal of', 'archives of'
+];
+
+// Fracción del peso según el diseño de estudio (ver utils/studyDesignClassifier.js)
+const STUDY_DESIGN_VALUES = {
+  'meta-analysis': 1,
+  'systematic-review': 0.8,
+  'guideline': 0.8,
+  'rct': 0.67,
+  'review': 0.47,
+  'non-randomized-trial': 0.33,
+  'cohort': 0.33,
+  'case-control': 0.33,
+  'cross-sectional': 0.2,
+  'observational': 0.2,
+  'case-series': 0.13,
+  'case-report': 0.07
+};
+
+export const DEFAULT_SCORING_PROFILE = 'clinical-practice';
+
+export const SCORING_PROFILES = [
+  {
+    id: 'clinical-practice',
+    version: '1.0.0',
+    name: 'Práctica clínica',
+    description: 'Equilibra calidad metodológica, aplicabilidad clínica y relevancia para la pregunta',
+    criteria: [
+      {
+        id: 'studyDesign',
+        label: 'Diseño de estudio',
+        metric: 'studyDesign',
+        weight: 15,
+        values: STUDY_DESIGN_VALUES,
+        default: 'unknown'
+      },
+      {
+        id: 'designQuality',
+        label: 'Indicadores de calidad del diseño',
+        metric: 'qualityIndicators',
+        weight: 5,
+        thresholds: [{ min: 3, ratio: 1 }, { min: 2, ratio: 0.8 }, { min: 1, ratio: 0.4 }],
+        default: 0
+      },
+      {
+        id: 'rcr',
+        label: 'Relative Citation Ratio',
+        metric: 'rcr',
+        weight: 15,
+        thresholds: [{ min: 2, ratio: 1 }, { min: 1.5, ratio: 0.8 }, { min: 1, ratio: 0.53 }, { min: 0.5, ratio: 0.27 }, { min: 0.01, ratio: 0.07 }],
+        default: 1
+      },
+      {
+        id: 'nihPercentile',
+        label: 'Percentil NIH',
+        metric: 'nihPercentile',
+        weight: 10,
+        thresholds: [{ min: 90, ratio: 1 }, { min: 75, ratio: 0.7 }, { min: 50, ratio: 0.4 }, { min: 0.01, ratio: 0.1 }],
+        default: 50
+      },
+      {
+        id: 'citationsPerYear',
+        label: 'Citas por año',
+        metric: 'citationsPerYear',
+        weight: 5,
+        thresholds: [{ min: 10, ratio: 1 }, { min: 5, ratio: 0.6 }, { min: 1, ratio: 0.2 }],
+        default: 2
+      },
+      {
+        id: 'recency',
+        label: 'Actualidad',
+        metric: 'yearsSincePublication',
+        weight: 10,
+        thresholds: [{ max: 2, ratio: 1 }, { max: 5, ratio: 0.7 }, { max: 10, ratio: 0.3 }],
+        default: 5
+      },
+      {
+        id: 'clinicalApplicability',
+        label: 'Aplicabilidad clínica (APT)',
+        metric: 'apt',
+        weight: 15,
+        thresholds: [{ min: 0.8, ratio: 1 }, { min: 0.6, ratio: 0.67 }, { min: 0.4, ratio: 0.33 }, { min: 0.01, ratio: 0.07 }],
+        default: 0.5
+      },
+      {
+        id: 'titleRelevance',
+        label: 'Términos de la pregunta en el título',
+        metric: 'titleKeywordMatches',
+        weight: 12,
+        thresholds: [{ min: 4, ratio: 1 }, { min: 3, ratio: 0.75 }, { min: 2, ratio: 0.5 }, { min: 1, ratio: 0.25 }],
+        default: 0
+      },
+      {
+        id: 'abstractRelevance',
+        label: 'Términos de la pregunta en el resumen',
+        metric: 'abstractKeywordMatches',
+        weight: 8,
+        thresholds: [{ min: 8, ratio: 1 }, { min: 6, ratio: 0.75 }, { min: 4, ratio: 0.5 }, { min: 2, ratio: 0.25 }],
+        default: 0
+      },
+      {
+        id: 'journal',
+        label: 'Revista de referencia',
+        metric: 'referenceJournal',
+        weight: 5,
+        journals: REFERENCE_JOURNALS,
+        values: { true: 1, false: 0 },
+        default: false
+      }
+    ]
+  },
+  {
+    id: 'recent-evidence',
+    version: '1.0.0',
+    name: 'Evidencia reciente',
+    description: 'Prioriza publicaciones de los últimos años sin penalizar la falta de citas',
+    criteria: [
+      {
+        id: 'recency',
+        label: 'Actualidad',
+        metric: 'yearsSincePublication',
+        weight: 35,
+        thresholds: [{ max: 1, ratio: 1 }, { max: 2, ratio: 0.8 }, { max: 3, ratio: 0.6 }, { max: 5, ratio: 0.3 }],
+        default: 5
+      },
+      {
+        id: 'studyDesign',
+        label: 'Diseño de estudio',
+        metric: 'studyDesign',
+        weight: 20,
+        values: STUDY_DESIGN_VALUES,
+        default: 'unknown'
+      },
+      {
+        id: 'designQuality',
+        label: 'Indicadores de calidad del diseño',
+        metric: 'qualityIndicators',
+        weight: 5,
+        thresholds: [{ min: 3, ratio: 1 }, { min: 2, ratio: 0.8 }, { min: 1, ratio: 0.4 }],
+        default: 0
+      },
+      {
+        id: 'titleRelevance',
+        label: 'Términos de la pregunta en el título',
+        metric: 'titleKeywordMatches',
+        weight: 15,
+        thresholds: [{ min: 4, ratio: 1 }, { min: 3, ratio: 0.75 }, { min: 2, ratio: 0.5 }, { min: 1, ratio: 0.25 }],
+        default: 0
+      },
+      {
+        id: 'abstractRelevance',
+        label: 'Términos de la pregunta en el resumen',
+        metric: 'abstractKeywordMatches',
+        weight: 10,
+        thresholds: [{ min: 8, ratio: 1 }, { min: 6, ratio: 0.75 }, { min: 4, ratio: 0.5 }, { min: 2, ratio: 0.25 }],
+        default: 0
+      },
+      {
+        id: 'citationsPerYear',
+        label: 'Citas por año',
+        metric: 'citationsPerYear',
+        weight: 10,
+        thresholds: [{ min: 5, ratio: 1 }, { min: 2, ratio: 0.6 }, { min: 1, ratio: 0.3 }],
+        default: 1
+      },
+      {
+        id: 'journal',
+        label: 'Revista de referencia',
+        metric: 'referenceJournal',
+        weight: 5,
+        journals: REFERENCE_JOURNALS,
+        values: { true: 1, false: 0 },
+        default: false
+      }
+    ]
+  },
+  {
+    id: 'high-impact',
+    version: '1.0.0',
+    name: 'Alto impacto',
+    description: 'Prioriza los artículos más citados e influyentes en su campo',
+    criteria: [
+      {
+        id: 'rcr',
+        label: 'Relative Citation Ratio',
+        metric: 'rcr',
+        weight: 25,
+        thresholds: [{ min: 3, ratio: 1 }, { min: 2, ratio: 0.8 }, { min: 1.5, ratio: 0.6 }, { min: 1, ratio: 0.4 }, { min: 0.5, ratio: 0.15 }],
+        default: 1
+      },
+      {
+        id: 'nihPercentile',
+        label: 'Percentil NIH',
+        metric: 'nihPercentile',
+        weight: 15,
+        thresholds: [{ min: 95, ratio: 1 }, { min: 90, ratio: 0.8 }, { min: 75, ratio: 0.5 }, { min: 50, ratio: 0.2 }],
+        default: 50
+      },
+      {
+        id: 'citationsPerYear',
+        label: 'Citas por año',
+        metric: 'citationsPerYear',
+        weight: 15,
+        thresholds: [{ min: 20, ratio: 1 }, { min: 10, ratio: 0.7 }, { min: 5, ratio: 0.4 }, { min: 1, ratio: 0.1 }],
+        default: 2
+      },
+      {
+        id: 'clinicalCitations',
+        label: 'Citas en artículos clínicos',
+        metric: 'clinicalCitations',
+        weight: 10,
+        thresholds: [{ min: 50, ratio: 1 }, { min: 20, ratio: 0.6 }, { min: 5, ratio: 0.3 }, { min: 1, ratio: 0.1 }],
+        default: 0
+      },
+      {
+        id: 'journal',
+        label: 'Revista de referencia',
+        metric: 'referenceJournal',
+        weight: 10,
+        journals: REFERENCE_JOURNALS,
+        values: { true: 1, false: 0 },
+        default: false
+      },
+      {
+        id: 'studyDesign',
+        label: 'Diseño de estudio',
+        metric: 'studyDesign',
+        weight: 10,
+        values: STUDY_DESIGN_VALUES,
+        default: 'unknown'
+      },
+      {
+        id: 'titleRelevance',
+        label: 'Términos de la pregunta en el título',
+        metric: 'titleKeywordMatches',
+        weight: 10,
+        thresholds: [{ min: 4, ratio: 1 }, { min: 3, ratio: 0.75 }, { min: 2, ratio: 0.5 }, { min: 1, ratio: 0.25 }],
+        default: 0
+      },
+      {
+        id: 'abstractRelevance',
+        label: 'Términos de la pregunta en el resumen',
+        metric: 'abstractKeywordMatches',
+        weight: 5,
+        thresholds: [{ min: 8, ratio: 1 }, { min: 6, ratio: 0.75 }, { min: 4, ratio: 0.5 }, { min: 2, ratio: 0.25 }],
+        default: 0
+      }
+    ]
+  }
+];
+
+export default {
+  DEFAULT_SCORING_PROFILE,
+  SCORING_PROFILES
+};
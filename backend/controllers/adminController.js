@@ -0,0 +1,98 @@
+/**
+ * Controlador de administración (caché de respuestas de APIs externas y uso de la IA)
+ */
+import cacheService, { CACHE_NAMESPACES } from '../services/cacheService.js';
+import aiUsageService, { USAGE_INTERVALS } from '../services/aiUsageService.js';
+import { errorTypes } from '../middlewares/errorHandler.js';
+
+const NAMESPACES = Object.values(CACHE_NAMESPACES);
+
+const adminController = {
+  /**
+   * Devuelve el estado de la caché y sus entradas
+   * @param {Object} req - Objeto de solicitud Express (query: namespace, limit)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getCache: async (req, res, next) => {
+    try {
+      const { namespace, limit } = req.query;
+      
+      if (namespace && !NAMESPACES.includes(namespace)) {
+        return next(errorTypes.badRequest(`Espacio de caché desconocido: "${namespace}"`, 'UNKNOWN_CACHE_NAMESPACE'));
+      }
+      
+      const [stats, entries] = await Promise.all([
+        cacheService.getStats(),
+        cacheService.listEntries({ namespace, limit })
+      ]);
+      
+      return res.status(200).json({ success: true, namespaces: NAMESPACES, stats, ...entries });
+    } catch (error) {
+      console.error('Error al obtener el estado de la caché:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Vacía la caché completa o un espacio de nombres
+   * @param {Object} req - Objeto de solicitud Express (query: namespace)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  purgeCache: async (req, res, next) => {
+    try {
+      const { namespace } = req.query;
+      
+      if (namespace && !NAMESPACES.includes(namespace)) {
+        return next(errorTypes.badRequest(`Espacio de caché desconocido: "${namespace}"`, 'UNKNOWN_CACHE_NAMESPACE'));
+      }
+      
+      const removed = await cacheService.purge(namespace);
+      
+      return res.status(200).json({ success: true, namespace: namespace || null, removed });
+    } catch (error) {
+      console.error('Error al vaciar la caché:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Devuelve el uso de la IA (llamadas, tokens, latencia y coste estimado) en un periodo
+   * y el estado del presupuesto diario
+   * @param {Object} req - Objeto de solicitud Express (query: from, to, interval)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getAIUsage: async (req, res, next) => {
+    try {
+      const { from, to, interval = 'day' } = req.query;
+      
+      if (!USAGE_INTERVALS.includes(interval)) {
+        return next(errorTypes.badRequest(`Intervalo desconocido: "${interval}". Use ${USAGE_INTERVALS.join(' o ')}`, 'INVALID_INTERVAL'));
+      }
+      
+      const dates = {};
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (!value) continue;
+        dates[name] = new Date(value);
+        if (Number.isNaN(dates[name].getTime())) {
+          return next(errorTypes.badRequest(`Fecha no válida en "${name}": "${value}"`, 'INVALID_DATE'));
+        }
+      }
+      
+      if (dates.from && dates.to && dates.from >= dates.to) {
+        return next(errorTypes.badRequest('"from" debe ser anterior a "to"', 'INVALID_DATE'));
+      }
+      
+      const report = await aiUsageService.getReport({ ...dates, interval });
+      
+      return res.status(200).json({ success: true, ...report });
+    } catch (error) {
+      console.error('Error al obtener el uso de la IA:', error);
+      return next(error);
+    }
+  }
+};
+
+export default adminController;
@@ -3,7 +3,22 @@
  * Permite generar estrategias y analizar artículos
  */
 import claudeService from '../services/claudeService.js';
+import queryHistoryService from '../services/queryHistoryService.js';
 import { io } from '../socket.js';
+import { normalizeSearchStrategy } from '../utils/searchStrategy.js';
+import { openClaudeStream } from '../utils/claudeStream.js';
+import { classifyStudyDesign, STUDY_DESIGNS } from '../utils/studyDesignClassifier.js';
+import { RISK_OF_BIAS_TOOLS, selectRiskOfBiasTool } from '../utils/riskOfBias.js';
+import { EXTRACTION_MEASURES, MAX_EXTRACTION_ARTICLES } from '../utils/effectExtraction.js';
+
+// Registro de errores con timestamp
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [ClaudeController] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [ClaudeController] [${method}] Detalles:`, error);
+  }
+}
 
 /**
  * Extrae la pregunta clínica de un prompt
@@ -38,29 +53,36 @@ function emitBatchProgress(processing, total, current) {
 export const claudeController = {
   /**
    * Genera una estrategia de búsqueda para PubMed
+   * Si se envían bloques PICO editados (sin prompt), reconstruye la consulta sin llamar a Claude
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} res - Objeto de respuesta Express
    */
   generateStrategy: async (req, res) => {
     try {
-      const { prompt } = req.body;
+      const { prompt, pico } = req.body;
       
-      if (!prompt) {
+      if (!prompt && !pico) {
         return res.status(400).json({ 
           success: false,
-          message: 'Se requiere un prompt para generar una estrategia'
+          message: 'Se requiere un prompt o bloques PICO para generar una estrategia'
         });
       }
       
-      // Extraer la pregunta clínica del prompt
-      const clinicalQuestion = extractClinicalQuestion(prompt);
-      
-      // Generar estrategia
-      const content = await claudeService.generateSearchStrategy(clinicalQuestion);
+      let strategy;
+      if (prompt) {
+        // Extraer la pregunta clínica del prompt
+        const clinicalQuestion = extractClinicalQuestion(prompt);
+        
+        // Generar estrategia
+        strategy = await claudeService.generateSearchStrategy(clinicalQuestion);
+      } else {
+        strategy = normalizeSearchStrategy({ ...req.body, query: '' });
+      }
       
       return res.status(200).json({ 
         success: true,
-        content 
+        content: strategy.query,
+        strategy
       });
     } catch (error) {
       console.error('Error al generar estrategia:', error);
@@ -73,10 +95,12 @@ export const claudeController = {
   
   /**
    * Analiza un artículo basado en una pregunta clínica
+   * Con socketId en el cuerpo, el texto se emite en streaming al socket del cliente
    * @param {Object} req - Objeto de solicitud Express
    * @param {Object} res - Objeto de respuesta Express
    */
   analyzeArticle: async (req, res) => {
+    let stream = null;
     try {
       const { prompt, article, clinicalQuestion } = req.body;
       
@@ -86,21 +110,27 @@ export const claudeController = {
         const extractedQuestion = extractClinicalQuestion(prompt);
         
         // Generar análisis
-        const content = await claudeService.generateResponse(prompt);
+        stream = openClaudeStream(req, res);
+        const content = await claudeService.generateResponse(prompt, stream || {});
+        stream?.end();
         
         return res.status(200).json({ 
           success: true,
-          content 
+          content,
+          streamId: stream?.streamId
         });
       } 
       // Si recibimos el artículo y la pregunta como objetos separados
       else if (article && clinicalQuestion) {
-        // Generar análisis
-        const content = await claudeService.analyzeArticle(article, clinicalQuestion);
+        // Generar la valoración estructurada
+        stream = openClaudeStream(req, res);
+        const analysis = await claudeService.analyzeArticle(article, clinicalQuestion, stream || {});
+        stream?.end();
         
         return res.status(200).json({ 
           success: true,
-          content 
+          analysis,
+          streamId: stream?.streamId
         });
       } 
       // Si no recibimos ni prompt ni artículo+pregunta
@@ -112,6 +142,7 @@ export const claudeController = {
       }
     } catch (error) {
       console.error('Error en análisis de artículo:', error);
+      stream?.fail(error);
       return res.status(500).json({ 
         success: false,
         message: error.message || 'Error interno del servidor'
@@ -184,7 +215,7 @@ export const claudeController = {
           
           return {
             ...article,
-            secondaryAnalysis: analysis
+            analysis
           };
         } catch (error) {
           console.error(`Error al analizar artículo ${index + 1}:`, error);
@@ -194,7 +225,7 @@ export const claudeController = {
           
           return {
             ...article,
-            secondaryAnalysis: `Error: ${error.message}`,
+            analysisError: error.message,
             error: true
           };
         }
@@ -253,11 +284,125 @@ export const claudeController = {
     }
   },
   
+  /**
+   * Evalúa el riesgo de sesgo de un artículo con la herramienta que corresponde a su diseño
+   * (RoB 2, ROBINS-I o AMSTAR-2). Con runId la evaluación se guarda con el artículo en la consulta
+   * y con socketId el texto se emite en streaming al socket del cliente
+   * @route POST /api/claude/risk-of-bias
+   * @param {Object} req - Objeto de solicitud Express (body: article, runId, tool)
+   * @param {Object} res - Objeto de respuesta Express
+   */
+  assessRiskOfBias: async (req, res) => {
+    let stream = null;
+    try {
+      const { article, runId = null, tool = null } = req.body;
+      
+      if (!article || !article.abstract) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Se requiere un artículo con abstract para evaluar el riesgo de sesgo'
+        });
+      }
+      
+      if (tool && !RISK_OF_BIAS_TOOLS[tool]) {
+        return res.status(400).json({ 
+          success: false,
+          message: `tool debe ser uno de: ${Object.keys(RISK_OF_BIAS_TOOLS).join(', ')}`
+        });
+      }
+      
+      // Sin herramienta explícita se elige según el diseño clasificado del estudio
+      const studyDesign = article.studyDesign?.design ? article.studyDesign : classifyStudyDesign(article);
+      const toolId = tool || selectRiskOfBiasTool(studyDesign.design);
+      if (!toolId) {
+        return res.status(400).json({ 
+          success: false,
+          message: `No hay herramienta de riesgo de sesgo para el diseño "${STUDY_DESIGNS[studyDesign.design]?.label || studyDesign.design}". ` +
+            'Se admiten ensayos aleatorizados (RoB 2), estudios no aleatorizados (ROBINS-I) y revisiones sistemáticas (AMSTAR-2)'
+        });
+      }
+      
+      stream = openClaudeStream(req, res);
+      const riskOfBias = await claudeService.assessRiskOfBias({ ...article, studyDesign }, toolId, stream || {});
+      stream?.end();
+      
+      // Guardar la evaluación con el artículo para que se conserve al reabrir la consulta.
+      // Si el guardado falla, la evaluación ya generada se devuelve igualmente con stored: false
+      let stored = false;
+      if (runId && article.pmid) {
+        try {
+          stored = await queryHistoryService.saveRiskOfBias(runId, String(article.pmid), riskOfBias);
+        } catch (error) {
+          logError('assessRiskOfBias', `No se pudo guardar la evaluación del artículo ${article.pmid} en la ejecución ${runId}`, error.message);
+        }
+      }
+      
+      return res.status(200).json({ 
+        success: true,
+        riskOfBias,
+        stored,
+        streamId: stream?.streamId
+      });
+    } catch (error) {
+      console.error('Error en evaluación del riesgo de sesgo:', error);
+      stream?.fail(error);
+      return res.status(500).json({ 
+        success: false,
+        message: error.message || 'Error interno del servidor'
+      });
+    }
+  },
+  
+  /**
+   * Extrae las medidas de efecto de los abstracts de los artículos para el meta-análisis
+   * @route POST /api/claude/effect-sizes
+   * @param {Object} req - Objeto de solicitud Express (body: articles)
+   * @param {Object} res - Objeto de respuesta Express
+   */
+  extractEffectSizes: async (req, res) => {
+    try {
+      const { articles } = req.body;
+      
+      if (!Array.isArray(articles) || !articles.some(article => article?.pmid && article.abstract)) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Se requiere un array de artículos con PMID y abstract'
+        });
+      }
+      
+      if (articles.length > MAX_EXTRACTION_ARTICLES) {
+        return res.status(400).json({ 
+          success: false,
+          message: `Se admiten hasta ${MAX_EXTRACTION_ARTICLES} artículos por extracción`
+        });
+      }
+      
+      const { schemaVersion, records } = await claudeService.extractEffectSizes(articles);
+      
+      return res.status(200).json({ 
+        success: true,
+        schemaVersion,
+        records,
+        measures: EXTRACTION_MEASURES
+      });
+    } catch (error) {
+      console.error('Error en extracción de medidas de efecto:', error);
+      return res.status(500).json({ 
+        success: false,
+        message: error.message || 'Error interno del servidor'
+      });
+    }
+  },
+  
   /**
    * Genera una síntesis crítica de la evidencia científica
+   * junto con la tabla de resumen de hallazgos de estilo GRADE (summaryOfFindings, null si falla)
+   * y la verificación de sus citas (citationCheck): PMIDs que no están entre los artículos y afirmaciones sin respaldo
+   * Con socketId en el cuerpo, la síntesis se emite en streaming al socket del cliente
    * @route POST /api/claude/synthesis
    */
   generateSynthesis: async (req, res) => {
+    let stream = null;
     try {
       const { clinicalQuestion, articles } = req.body;
       
@@ -279,15 +424,34 @@ export const claudeController = {
       // Loguear información de la solicitud
       console.log(`[${new Date().toISOString()}] Solicitud de síntesis para: "${clinicalQuestion}" con ${articles.length} artículos`);
       
-      // Generar síntesis
-      const synthesis = await claudeService.generateSynthesis(clinicalQuestion, articles);
+      // Generar síntesis y, en paralelo, la tabla de resumen de hallazgos (GRADE)
+      // La tabla y la verificación de las citas no se emiten en streaming para no mezclar su JSON con el texto de la síntesis
+      stream = openClaudeStream(req, res);
+      const [{ synthesis, citationCheck }, summaryOfFindings] = await Promise.all([
+        claudeService.generateSynthesis(clinicalQuestion, articles, stream || {})
+          .then(async synthesis => ({
+            synthesis,
+            citationCheck: await claudeService.verifySynthesisCitations(synthesis, articles, { signal: stream?.signal })
+          })),
+        claudeService.generateSummaryOfFindings(clinicalQuestion, articles, { signal: stream?.signal })
+          .catch(error => {
+            // Sin tabla se devuelve igualmente la síntesis
+            console.error(`[${new Date().toISOString()}] No se pudo generar la tabla de resumen de hallazgos:`, error.message);
+            return null;
+          })
+      ]);
+      stream?.end();
       
       return res.status(200).json({ 
         success: true,
-        synthesis 
+        synthesis,
+        citationCheck,
+        summaryOfFindings,
+        streamId: stream?.streamId
       });
     } catch (error) {
       console.error(`[${new Date().toISOString()}] Error en generateSynthesis:`, error);
+      stream?.fail(error);
       return res.status(500).json({ 
         success: false,
         message: error.message || 'Error interno del servidor'
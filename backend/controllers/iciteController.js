@@ -1,4 +1,6 @@
 import iciteService from '../services/iciteService.js';
+import citationGraphService, { MAX_GRAPH_PMIDS } from '../services/citationGraphService.js';
+import { errorTypes } from '../middlewares/errorHandler.js';
 
 const iciteController = {
   /**
@@ -23,6 +25,41 @@ const iciteController = {
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
+  },
+
+  /**
+   * Obtiene la red de citas de un conjunto de PMIDs
+   * Los PMIDs llegan en el body (pmids) o en la query (?pmids=1,2,3)
+   * @route GET /api/icite/graph
+   * @route POST /api/icite/graph
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  async getGraph(req, res, next) {
+    try {
+      const body = req.body || {};
+      let pmids = body.pmids ?? req.query.pmids;
+      if (typeof pmids === 'string') {
+        pmids = pmids.split(',');
+      }
+
+      const ids = Array.isArray(pmids) ? [...new Set(pmids.map(pmid => String(pmid).trim()).filter(Boolean))] : [];
+      if (ids.length === 0 || ids.length > MAX_GRAPH_PMIDS || ids.some(pmid => !/^\d+$/.test(pmid))) {
+        return next(errorTypes.badRequest(`pmids debe ser una lista de 1 a ${MAX_GRAPH_PMIDS} PMIDs`, 'INVALID_PMIDS'));
+      }
+
+      const maxGhosts = Number(body.maxGhosts ?? req.query.maxGhosts ?? 20);
+      if (!Number.isInteger(maxGhosts) || maxGhosts < 0 || maxGhosts > 100) {
+        return next(errorTypes.badRequest('maxGhosts debe ser un entero de 0 a 100', 'INVALID_MAX_GHOSTS'));
+      }
+
+      const graph = await citationGraphService.buildGraph(ids, { maxGhosts });
+      return res.status(200).json({ success: true, ...graph });
+    } catch (error) {
+      console.error('Error al construir la red de citas:', error);
+      return next(error);
+    }
   }
 };
 
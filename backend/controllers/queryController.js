@@ -0,0 +1,325 @@
+/**
+ * Controlador del historial de consultas científicas
+ */
+import queryHistoryService from '../services/queryHistoryService.js';
+import pubmedService from '../services/pubmedService.js';
+import iCiteService from '../services/iciteService.js';
+import scoringService from '../services/scoringService.js';
+import { EXPORT_FORMATS, exportArticles } from '../utils/citationExport.js';
+import reportService, { REPORT_FORMATS } from '../services/reportService.js';
+import searchEvaluationService from '../services/searchEvaluationService.js';
+import screeningService from '../services/screeningService.js';
+import { validateScreeningDecision, MAX_REQUIRED_REVIEWERS } from '../utils/screening.js';
+import { errorTypes } from '../middlewares/errorHandler.js';
+
+// Máximo de PMIDs en una exportación de una selección
+const MAX_EXPORT_PMIDS = 500;
+// Tamaño máximo del texto de la síntesis incluida en el informe
+const MAX_SYNTHESIS_LENGTH = 200000;
+
+/**
+ * Lee el número de revisores que deben decidir cada registro (query: requiredReviewers)
+ * Sin el parámetro se usa el valor fijado en la ejecución (ver screeningService)
+ * @param {*} value - Valor del parámetro
+ * @returns {number|null|undefined} - Número de revisores, undefined si no se indica o null si no es válido
+ */
+const parseRequiredReviewers = (value) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 && number <= MAX_REQUIRED_REVIEWERS ? number : null;
+};
+
+const queryController = {
+  /**
+   * Lista las ejecuciones de consultas guardadas
+   * @param {Object} req - Objeto de solicitud Express (query: limit, offset)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  listQueries: async (req, res, next) => {
+    try {
+      const { limit, offset } = req.query;
+      const page = await queryHistoryService.listRuns({ limit, offset });
+      
+      return res.status(200).json({ success: true, ...page });
+    } catch (error) {
+      console.error('Error al listar consultas guardadas:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Obtiene una ejecución guardada con sus estrategias, artículos, puntuaciones y análisis
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getQuery: async (req, res, next) => {
+    try {
+      const run = await queryHistoryService.getRun(req.params.id);
+      
+      if (!run) {
+        return next(errorTypes.notFound('Consulta no encontrada'));
+      }
+      
+      return res.status(200).json(run);
+    } catch (error) {
+      console.error('Error al obtener consulta guardada:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Exporta los artículos de una ejecución guardada (todos o una selección)
+   * Los PMIDs seleccionados que no se guardaron con la ejecución (páginas cargadas después
+   * o artículos de la expansión) se recuperan de PubMed y se puntúan con el perfil de la ejecución
+   * @param {Object} req - Objeto de solicitud Express (query: format, pmids separados por comas)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  exportQuery: async (req, res, next) => {
+    try {
+      const format = String(req.query.format || '').toLowerCase();
+      if (!EXPORT_FORMATS[format]) {
+        return next(errorTypes.badRequest(
+          `format debe ser uno de: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+          'INVALID_EXPORT_FORMAT'
+        ));
+      }
+
+      let pmids = null;
+      if (req.query.pmids !== undefined) {
+        pmids = [...new Set(String(req.query.pmids).split(',').map(pmid => pmid.trim()).filter(Boolean))];
+        if (pmids.length === 0 || pmids.length > MAX_EXPORT_PMIDS || pmids.some(pmid => !/^\d+$/.test(pmid))) {
+          return next(errorTypes.badRequest(`pmids debe ser una lista de 1 a ${MAX_EXPORT_PMIDS} PMIDs`, 'INVALID_PMIDS'));
+        }
+      }
+
+      const run = await queryHistoryService.getRun(req.params.id);
+      if (!run) {
+        return next(errorTypes.notFound('Consulta no encontrada'));
+      }
+
+      let articles = run.results;
+      if (pmids) {
+        const byPmid = new Map(run.results.map(article => [String(article.pmid), article]));
+        const missing = pmids.filter(pmid => !byPmid.has(pmid));
+
+        if (missing.length > 0) {
+          const fetched = await pubmedService.fetchArticles(missing);
+          const iCiteMetrics = await iCiteService.getMetricsForPmids(fetched.map(article => article.pmid))
+            .catch(() => ({}));
+
+          let scored;
+          try {
+            scored = scoringService.scoreArticles(fetched, {
+              question: run.query || '',
+              iCiteMetrics,
+              profileId: run.scoringProfile?.id || null
+            });
+          } catch (error) {
+            // Si el perfil de la ejecución ya no existe se exportan sin puntuación
+            scored = fetched;
+          }
+
+          scored.forEach(article => {
+            byPmid.set(String(article.pmid), { ...article, iCiteMetrics: iCiteMetrics[article.pmid] || undefined });
+          });
+        }
+
+        articles = pmids.map(pmid => byPmid.get(pmid)).filter(Boolean);
+      }
+
+      const { extension, contentType } = EXPORT_FORMATS[format];
+      const content = exportArticles(articles, format);
+
+      res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="consulta-${String(run.runId).slice(0, 8)}.${extension}"`);
+      return res.status(200).send(content);
+    } catch (error) {
+      console.error('Error al exportar consulta guardada:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Evalúa las estrategias de una ejecución guardada frente a un conjunto de referencia
+   * Las métricas se recalculan en PubMed con las estrategias y los filtros de la ejecución y se guardan
+   * con ella; con una lista vacía se retira el conjunto de referencia y se vuelve a las estimaciones
+   * @param {Object} req - Objeto de solicitud Express (body: goldStandardPmids, lista o texto con PMIDs)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  evaluateQuery: async (req, res, next) => {
+    try {
+      const goldStandard = searchEvaluationService.parseGoldStandard(req.body?.goldStandardPmids);
+      if (!goldStandard.valid) {
+        return next(errorTypes.badRequest(goldStandard.error, 'INVALID_GOLD_STANDARD'));
+      }
+
+      const run = await queryHistoryService.getRun(req.params.id);
+      if (!run) {
+        return next(errorTypes.notFound('Consulta no encontrada'));
+      }
+      if (!run.initialStrategy) {
+        return next(errorTypes.badRequest('La consulta no tiene estrategias de búsqueda que evaluar', 'NO_SEARCH_STRATEGY'));
+      }
+
+      // Los totales guardados solo se usan para las estimaciones; la evaluación los consulta de nuevo
+      const previous = run.searchMetrics?.strategies || {};
+      const strategies = {
+        initial: { query: run.initialStrategy, count: previous.initial?.count ?? null },
+        refined: run.refinedStrategy ? { query: run.refinedStrategy, count: previous.refined?.count ?? null } : null
+      };
+
+      const searchMetrics = goldStandard.pmids.length > 0
+        ? await searchEvaluationService.evaluate({ ...strategies, goldStandardPmids: goldStandard.pmids, filters: run.filters })
+        : searchEvaluationService.estimate(strategies);
+
+      await queryHistoryService.updateSearchMetrics(run.runId, searchMetrics);
+      return res.status(200).json({ success: true, runId: run.runId, searchMetrics });
+    } catch (error) {
+      console.error('Error al evaluar la búsqueda de la consulta:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Obtiene el estado del cribado de una ejecución guardada con los recuentos de PRISMA 2020
+   * Con reviewer, las decisiones de los demás revisores se ocultan en los registros que ese revisor aún no ha cribado
+   * @param {Object} req - Objeto de solicitud Express (query: reviewer, requiredReviewers)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getScreening: async (req, res, next) => {
+    try {
+      const requiredReviewers = parseRequiredReviewers(req.query.requiredReviewers);
+      if (requiredReviewers === null) {
+        return next(errorTypes.badRequest(`requiredReviewers debe ser un entero de 1 a ${MAX_REQUIRED_REVIEWERS}`, 'INVALID_REQUIRED_REVIEWERS'));
+      }
+
+      const reviewer = typeof req.query.reviewer === 'string' ? req.query.reviewer.trim() || null : null;
+      const screening = await screeningService.getScreening(req.params.id, { requiredReviewers, reviewer });
+      if (!screening) {
+        return next(errorTypes.notFound('Consulta no encontrada'));
+      }
+
+      return res.status(200).json({ success: true, ...screening });
+    } catch (error) {
+      console.error('Error al obtener el cribado de la consulta:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Guarda la decisión de cribado de un revisor para un artículo de una ejecución guardada
+   * La ruta /resolution guarda la resolución de un conflicto entre revisores
+   * @param {Object} req - Objeto de solicitud Express (params: id, pmid; query: requiredReviewers;
+   *   body: stage, reviewer, decision, reason, note)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  saveScreeningDecision: async (req, res, next) => {
+    try {
+      const requiredReviewers = parseRequiredReviewers(req.query.requiredReviewers);
+      if (requiredReviewers === null) {
+        return next(errorTypes.badRequest(`requiredReviewers debe ser un entero de 1 a ${MAX_REQUIRED_REVIEWERS}`, 'INVALID_REQUIRED_REVIEWERS'));
+      }
+
+      if (!/^\d+$/.test(req.params.pmid)) {
+        return next(errorTypes.badRequest('pmid debe ser un PMID numérico', 'INVALID_PMID'));
+      }
+
+      const { valid, errors, decision } = validateScreeningDecision(req.body);
+      if (!valid) {
+        return next(errorTypes.badRequest(errors.join('; '), 'INVALID_SCREENING_DECISION'));
+      }
+
+      const resolution = req.route.path.endsWith('/resolution');
+      const screening = await screeningService.saveDecision(req.params.id, req.params.pmid, decision, { resolution, requiredReviewers });
+      if (!screening) {
+        return next(errorTypes.notFound('Consulta no encontrada'));
+      }
+
+      return res.status(200).json({ success: true, ...screening });
+    } catch (error) {
+      console.error('Error al guardar la decisión de cribado:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Genera el diagrama de flujo PRISMA 2020 (SVG) de una ejecución guardada
+   * @param {Object} req - Objeto de solicitud Express (query: requiredReviewers)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getPrismaDiagram: async (req, res, next) => {
+    try {
+      const requiredReviewers = parseRequiredReviewers(req.query.requiredReviewers);
+      if (requiredReviewers === null) {
+        return next(errorTypes.badRequest(`requiredReviewers debe ser un entero de 1 a ${MAX_REQUIRED_REVIEWERS}`, 'INVALID_REQUIRED_REVIEWERS'));
+      }
+
+      const svg = await screeningService.renderPrismaDiagram(req.params.id, { requiredReviewers });
+      if (!svg) {
+        return next(errorTypes.notFound('Consulta no encontrada'));
+      }
+
+      res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="prisma-${String(req.params.id).slice(0, 8)}.svg"`);
+      return res.status(200).send(svg);
+    } catch (error) {
+      console.error('Error al generar el diagrama PRISMA de la consulta:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Genera el informe de síntesis de evidencia de una ejecución guardada
+   * La síntesis la genera el cliente con la IA y se envía en el cuerpo (POST); sin ella
+   * el informe incluye las estrategias, las métricas, los artículos y las referencias
+   * @param {Object} req - Objeto de solicitud Express (query: format; body: synthesis, evidenceRating)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getReport: async (req, res, next) => {
+    try {
+      const format = String(req.query.format || 'pdf').toLowerCase();
+      if (!REPORT_FORMATS[format]) {
+        return next(errorTypes.badRequest(
+          `format debe ser uno de: ${Object.keys(REPORT_FORMATS).join(', ')}`,
+          'INVALID_REPORT_FORMAT'
+        ));
+      }
+
+      const { synthesis = null, evidenceRating = null } = req.body || {};
+      if (synthesis !== null && (typeof synthesis !== 'string' || synthesis.length > MAX_SYNTHESIS_LENGTH)) {
+        return next(errorTypes.badRequest(
+          `synthesis debe ser un texto de hasta ${MAX_SYNTHESIS_LENGTH} caracteres`,
+          'INVALID_SYNTHESIS'
+        ));
+      }
+
+      const report = await reportService.buildReport(req.params.id, {
+        synthesis,
+        evidenceRating: evidenceRating === null ? null : Number(evidenceRating)
+      });
+      if (!report) {
+        return next(errorTypes.notFound('Consulta no encontrada'));
+      }
+
+      const { extension, contentType } = REPORT_FORMATS[format];
+      const content = await reportService.render(report, format);
+
+      res.setHeader('Content-Type', format === 'html' ? `${contentType}; charset=utf-8` : contentType);
+      res.setHeader('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="informe-${String(report.runId).slice(0, 8)}.${extension}"`);
+      return res.status(200).send(content);
+    } catch (error) {
+      console.error('Error al generar el informe de la consulta:', error);
+      return next(error);
+    }
+  }
+};
+
+export default queryController;
@@ -2,500 +2,268 @@
  * Controlador para las consultas científicas
  * Coordina los servicios de PubMed y Claude para procesar consultas
  */
-import pubmedService from '../services/pubmedService.js';
+import pubmedService, { HISTORY_MAX_PAGE_SIZE } from '../services/pubmedService.js';
 import claudeService from '../services/claudeService.js';
 import iCiteService from '../services/iciteService.js';
 import { errorTypes } from '../middlewares/errorHandler.js';
 import queryLogger from '../utils/scientificQueryLogger.js';
+import jobService from '../services/jobService.js';
+import cacheService from '../services/cacheService.js';
+import aiUsageService from '../services/aiUsageService.js';
+import scoringService from '../services/scoringService.js';
+import queryHistoryService from '../services/queryHistoryService.js';
+import expansionService, { EXPANSION_SOURCES, MAX_EXPANSION_SEEDS } from '../services/expansionService.js';
+import searchEvaluationService from '../services/searchEvaluationService.js';
+import { normalizeSearchStrategy } from '../utils/searchStrategy.js';
+import { validateQuery } from '../utils/pubmedQueryParser.js';
+import { validateFilters, buildFilterClause, applyFilters, listFilterOptions } from '../utils/searchFilters.js';
 
 const scientificQueryController = {
   /**
-   * Valida y optimiza una estrategia de búsqueda para PubMed
+   * Valida y normaliza una estrategia de búsqueda para PubMed
+   * Usa el analizador sintáctico de PubMed: los errores recuperables (paréntesis o comillas
+   * sin cerrar, operadores sin término) se reparan en la consulta normalizada
    * @param {string} strategy - Estrategia de búsqueda a validar
-   * @returns {string} - Estrategia validada y optimizada
+   * @returns {string} - Estrategia validada y normalizada
    */
   _validateSearchStrategy(strategy) {
     if (!strategy) return '';
     
     console.log('Validando estrategia de búsqueda...');
     
-    // Extraer solo una consulta PubMed válida desde cualquier texto
-    const extractPubMedQuery = (text) => {
-      console.log('Extrayendo consulta PubMed desde el texto');
-      
-      // Buscar directamente una expresión entre paréntesis con operadores booleanos
-      const directQueryRegex = /\(\s*(?:"[^"]+"(?:\[[^\]]+\])?(?:\s+(?:OR|AND|NOT)\s+"[^"]+"(?:\[[^\]]+\])?)*)\s*\)(?:\s+(?:AND|OR|NOT)\s+\([^)]+\))*/;
-      const simpleMatch = text.match(directQueryRegex);
-      
-      if (simpleMatch && simpleMatch[0].length > 30) {
-        console.log(`Consulta PubMed extraída (método directo): "${simpleMatch[0].substring(0, 50)}..."`);
-        return simpleMatch[0];
-      }
-      
-      // Buscar expresiones tipo MeSH
-      const meshTermRegex = /"[^"]+"\s*\[\s*(?:Mesh|MeSH|mesh|tiab|Title\/Abstract)\s*\]/;
-      if (text.match(meshTermRegex)) {
-        // Encontrar el bloque de texto que tenga estructura de consulta PubMed
-        const lines = text.split('\n');
-        for (const line of lines) {
-          if (line.match(meshTermRegex) && line.length > 20) {
-            // Verificar si es parte de un bloque de consulta con paréntesis
-            const cleanLine = line.trim();
-            if (cleanLine.startsWith('(') || cleanLine.includes(' AND ') || cleanLine.includes(' OR ')) {
-              console.log(`Consulta PubMed extraída (línea MeSH): "${cleanLine.substring(0, 50)}..."`);
-              return cleanLine;
-            }
-          }
-        }
-      }
-      
-      // Si encontramos el texto "Estrategia de búsqueda:" seguido de consulta PubMed
-      const estrategiaMatch = text.match(/Estrategia de búsqueda:[\s\n]*(\([^]*?\)(?:\s+(?:AND|OR|NOT)\s+\([^)]+\))*)/i);
-      if (estrategiaMatch && estrategiaMatch[1] && estrategiaMatch[1].length > 30) {
-        console.log(`Consulta PubMed extraída (sección estrategia): "${estrategiaMatch[1].substring(0, 50)}..."`);
-        return estrategiaMatch[1].trim();
+    // Eliminar prefijos comunes que podrían interferir con la búsqueda
+    const prefixesToRemove = [
+      'La estrategia de búsqueda refinada sería:',
+      'La estrategia refinada sería:',
+      'La estrategia de búsqueda sería:',
+      'Estrategia de búsqueda:',
+      'Estrategia refinada:',
+      'Estrategia:',
+      'Análisis PICO:'
+    ];
+    
+    let cleanedStrategy = strategy.trim();
+    for (const prefix of prefixesToRemove) {
+      if (cleanedStrategy.startsWith(prefix)) {
+        cleanedStrategy = cleanedStrategy.substring(prefix.length).trim();
       }
-      
-      // Si todo lo anterior falla, devolver una consulta simple basada en palabras clave
-      const keywords = text.split(/\s+/)
-        .map(word => word.replace(/[^\w]/g, ''))
-        .filter(word => word.length > 3)
-        .slice(0, 5)
-        .map(word => `"${word}"`)
-        .join(' OR ');
-        
-      if (keywords) {
-        console.log(`No se pudo extraer consulta estructurada, usando keywords: (${keywords})`);
-        return `(${keywords})`;
+    }
+    
+    // Si la IA devolvió varias líneas, quedarse con la que tenga estructura de consulta PubMed
+    const candidates = cleanedStrategy.split('\n').map(line => line.trim()).filter(Boolean);
+    if (candidates.length > 1) {
+      const ranked = candidates
+        .filter(line => /\[[^\]]+\]|\s(?:AND|OR|NOT)\s/.test(line))
+        .map(line => ({ line, result: validateQuery(line) }))
+        .sort((a, b) => a.result.errors.length - b.result.errors.length || b.line.length - a.line.length);
+      
+      if (ranked.length > 0) {
+        cleanedStrategy = ranked[0].line;
       }
-      
-      // Si no se pudo extraer nada, devolver el texto original limitado
-      console.log('No se pudo extraer consulta, retornando texto original truncado');
-      return text.substring(0, 200);
-    };
+    }
     
-    // Si la estrategia es muy corta o no contiene términos de búsqueda, usarla directamente
-    if (strategy.length < 30 || 
-        (!strategy.includes('"') && !strategy.includes('[') && !strategy.includes('(')) ||
-        (!strategy.includes('AND') && !strategy.includes('OR'))) {
-      console.log('Estrategia simple, usando sin cambios');
-      return extractPubMedQuery(strategy);
+    const result = validateQuery(cleanedStrategy);
+    
+    if (result.errors.length > 0) {
+      console.log(`Estrategia con ${result.errors.length} errores de sintaxis, se usa la versión reparada`, 
+        result.errors.map(error => `${error.code}@${error.position}`));
+    }
+    
+    // Sin versión reparada (consulta vacía o error no reparable como un NOT inicial) se mantiene la original
+    if (!result.normalized) {
+      console.log('No se pudo reparar la estrategia, usando texto original truncado');
+      return cleanedStrategy.substring(0, 250);
     }
     
+    console.log('Estrategia validada y normalizada');
+    return result.normalized;
+  },
+
+  /**
+   * Valida la sintaxis de una estrategia de búsqueda editada por el usuario
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  validateStrategy: async (req, res, next) => {
     try {
-      // Buscar la estrategia estructurada
-      let extractedStrategy = '';
-      
-      // Eliminar prefijos comunes que podrían interferir con la búsqueda
-      const prefixesToRemove = [
-        'La estrategia de búsqueda refinada sería:',
-        'La estrategia refinada sería:',
-        'La estrategia de búsqueda sería:',
-        'Estrategia de búsqueda:',
-        'Estrategia refinada:',
-        'Estrategia:',
-        'Análisis PICO:'
-      ];
-      
-      let cleanedStrategy = strategy;
-      
-      for (const prefix of prefixesToRemove) {
-        if (cleanedStrategy.startsWith(prefix)) {
-          cleanedStrategy = cleanedStrategy.substring(prefix.length).trim();
-        }
-      }
+      const { strategy } = req.body;
       
-      // Método 1: Extraer directamente una secuencia de búsqueda PubMed estructurada
-      const pubmedPattern = /\(\(?"[^"]+(?:\[(?:Mesh|MeSH|tiab)\][^\)]*\)|\))\s+(?:AND|OR|NOT)\s+\((?:[^()]*|\([^()]*\))*\)/;
-      const pubmedMatch = cleanedStrategy.match(pubmedPattern);
-      if (pubmedMatch && pubmedMatch[0] && pubmedMatch[0].length > 40) {
-        extractedStrategy = pubmedMatch[0];
-        console.log(`Estrategia extraída (método directo): "${extractedStrategy.substring(0, 100)}${extractedStrategy.length > 100 ? '...' : ''}"`);
+      if (typeof strategy !== 'string' || !strategy.trim()) {
+        return next(errorTypes.badRequest('Se requiere una estrategia de búsqueda'));
       }
       
-      // Si no se encontró estrategia, usar el método de extracción PubMed
-      if (!extractedStrategy) {
-        extractedStrategy = extractPubMedQuery(cleanedStrategy);
-      }
-      
-      // Si no se encontró estrategia estructurada, usar la original pero solo la primera parte
-      if (!extractedStrategy) {
-        console.log('No se pudo extraer estrategia estructurada, usando estrategia original');
-        // Limitar a los primeros 250 caracteres para evitar enviar todo el análisis
-        const maxLength = 250;
-        return strategy.substring(0, maxLength);
-      }
-      
-      // Verificar y corregir problemas comunes en la estrategia de búsqueda
+      const result = validateQuery(strategy);
       
-      // 1. Asegurar que los paréntesis estén balanceados
-      const openParens = (extractedStrategy.match(/\(/g) || []).length;
-      const closeParens = (extractedStrategy.match(/\)/g) || []).length;
-      
-      if (openParens !== closeParens) {
-        console.log(`Paréntesis desbalanceados: ${openParens} abiertos, ${closeParens} cerrados`);
-        // Si faltan de cierre, agregarlos al final
-        if (openParens > closeParens) {
-          extractedStrategy = extractedStrategy + ")".repeat(openParens - closeParens);
-        }
-        // Si faltan de apertura, agregarlos al inicio
-        else if (closeParens > openParens) {
-          extractedStrategy = "(".repeat(closeParens - openParens) + extractedStrategy;
-        }
-      }
-      
-      // 2. Asegurar que los operadores booleanos estén en mayúsculas
-      extractedStrategy = extractedStrategy
-        .replace(/\s+and\s+/gi, " AND ")
-        .replace(/\s+or\s+/gi, " OR ")
-        .replace(/\s+not\s+/gi, " NOT ");
-      
-      // 3. Asegurar que las comillas estén balanceadas
-      const openQuotes = (extractedStrategy.match(/"/g) || []).length;
-      if (openQuotes % 2 !== 0) {
-        console.log(`Comillas desbalanceadas: ${openQuotes}`);
-        // Si hay un número impar, agregar una comilla al final
-        extractedStrategy = extractedStrategy + '"';
-      }
-      
-      console.log('Estrategia validada y optimizada');
-      return extractedStrategy;
+      return res.status(200).json({
+        success: true,
+        strategy,
+        ...result
+      });
     } catch (error) {
-      console.error('Error al validar estrategia de búsqueda:', error);
-      console.log('Usando estrategia original debido al error');
-      // En caso de error, usar solo los primeros 200 caracteres para evitar enviar todo el texto
-      return strategy.substring(0, 200);
+      console.error('Error al validar estrategia:', error);
+      return next(error);
     }
   },
 
   /**
    * Prioriza artículos según su relevancia para la consulta
+   * La puntuación se calcula con un perfil de config/scoringProfiles.js
    * @param {Array} articles - Artículos a priorizar
    * @param {string} question - Pregunta clínica
    * @param {Object} iCiteMetrics - Métricas de iCite para los artículos (opcional)
+   * @param {string} scoringProfile - ID del perfil de puntuación (opcional, por defecto el configurado)
    * @returns {Array} - Artículos priorizados con puntuación
    */
-  _prioritizeArticles(articles, question, iCiteMetrics = {}) {
-    const method = 'prioritizeArticles';
+  _prioritizeArticles(articles, question, iCiteMetrics = {}, scoringProfile = null) {
     console.log(`Priorizando ${articles.length} artículos para la pregunta: "${question}"`);
 
-    // Valores promedio/estándar para compensar datos faltantes
-    const DEFAULTS = {
-      relative_citation_ratio: 1.0, // Promedio típico
-      nih_percentile: 50,           // Percentil medio
-      citations_per_year: 2,        // Promedio bajo
-      year: new Date().getFullYear() - 5, // 5 años atrás
-      apt: 0.5,                     // Intermedio
-    };
-
-    // 1. Obtener PMIDs
-    const pmids = articles.map(a => a.pmid);
-    // 2. Obtener métricas iCite
-    let iciteMetricsList = [];
-    try {
-      iciteMetricsList = await iciteService.getMetrics(pmids);
-    } catch (err) {
-      console.error('Error obteniendo métricas iCite:', err.message);
-      // Si falla, continuar solo con los datos de PubMed
-      iciteMetricsList = [];
-    }
-    // 3. Crear un mapa para acceso rápido por PMID
-    const iciteMap = {};
-    if (Array.isArray(iciteMetricsList)) {
-      iciteMetricsList.forEach(m => { if (m && m.pmid) iciteMap[m.pmid] = m; });
-    } else if (iciteMetricsList && iciteMetricsList.pmid) {
-      iciteMap[iciteMetricsList.pmid] = iciteMetricsList;
-    }
-
-    // Extraer términos clave de la pregunta
-    const keywords = question.toLowerCase()
-      .replace(/[.,?!;:()]/g, '')
-      .split(' ')
-      .filter(word => word.length > 3)
-      .map(word => word.trim());
-    console.log('Términos clave extraídos:', keywords);
-
-    const prestigiousJournals = [
-      'nejm', 'new england', 'lancet', 'jama', 'bmj', 'british medical',
-      'annals of internal medicine', 'nature', 'science', 'cell',
-      'circulation', 'ophthalmology', 'journal of clinical',
-      'american journal', 'journal of', 'archives of'
-    ];
-
-    const scoredArticles = articles.map(article => {
-      const icite = iciteMap[article.pmid] || {};
-      let score = 0;
-      const breakdown = {};
-
-      // 1️⃣ Calidad Metodológica (20 pts)
-      let tipoEstudioPts = 0;
-      const lowerTitle = (article.title || '').toLowerCase();
-      if (lowerTitle.includes('meta-analysis') || lowerTitle.includes('metaanalysis') || lowerTitle.includes('metanálisis')) {
-        tipoEstudioPts = 15;
-      } else if (lowerTitle.includes('systematic review') || lowerTitle.includes('revisión sistemática')) {
-        tipoEstudioPts = 12;
-      } else if (lowerTitle.includes('review') || lowerTitle.includes('revisión')) {
-        tipoEstudioPts = 7;
-      } else if (lowerTitle.includes('randomized') || lowerTitle.includes('randomised') || lowerTitle.includes('aleatorizado')) {
-        tipoEstudioPts = 10;
-      } else if (lowerTitle.includes('cohort') || lowerTitle.includes('caso-control') || lowerTitle.includes('case-control')) {
-        tipoEstudioPts = 5;
-      }
-      let disenoMeSHPts = 0;
-      if (article.meshTerms && Array.isArray(article.meshTerms)) {
-        const qualityIndicators = ['double-blind', 'placebo-controlled', 'multicenter'];
-        qualityIndicators.forEach(indicator => {
-          if (article.meshTerms.some(term => term.toLowerCase().includes(indicator))) {
-            disenoMeSHPts += 2;
-          }
-        });
-        disenoMeSHPts = Math.min(disenoMeSHPts, 5);
-      }
-      breakdown.calidadMetodologica = tipoEstudioPts + disenoMeSHPts;
-      breakdown.tipoEstudio = tipoEstudioPts;
-      breakdown.disenoMeSH = disenoMeSHPts;
-      score += tipoEstudioPts + disenoMeSHPts;
-
-      // 2️⃣ Impacto Científico (30 pts)
-      let rcr = parseFloat(icite.relative_citation_ratio);
-      if (isNaN(rcr)) rcr = DEFAULTS.relative_citation_ratio;
-      let rcrPts = 0;
-      if (rcr > 2.0) rcrPts = 15;
-      else if (rcr >= 1.5) rcrPts = 12;
-      else if (rcr >= 1.0) rcrPts = 8;
-      else if (rcr >= 0.5) rcrPts = 4;
-      else if (rcr > 0) rcrPts = 1;
-      let nih = parseFloat(icite.nih_percentile);
-      if (isNaN(nih)) nih = DEFAULTS.nih_percentile;
-      let nihPts = 0;
-      if (nih > 90) nihPts = 10;
-      else if (nih >= 75) nihPts = 7;
-      else if (nih >= 50) nihPts = 4;
-      else if (nih > 0) nihPts = 1;
-      let cpy = parseFloat(icite.citations_per_year);
-      if (isNaN(cpy)) cpy = DEFAULTS.citations_per_year;
-      let cpyPts = 0;
-      if (cpy >= 10) cpyPts = 5;
-      else if (cpy >= 5) cpyPts = 3;
-      else if (cpy >= 1) cpyPts = 1;
-      breakdown.impactoCientifico = rcrPts + nihPts + cpyPts;
-      breakdown.rcr = rcrPts;
-      breakdown.nihPercentil = nihPts;
-      breakdown.citasPorAnio = cpyPts;
-      score += rcrPts + nihPts + cpyPts;
-
-      // 3️⃣ Actualidad (10 pts)
-      let year = 0;
-      if (icite.year) year = parseInt(icite.year);
-      else if (article.publicationDate) {
-        const yearMatch = article.publicationDate.match(/\b(20\d{2}|19\d{2})\b/);
-        if (yearMatch) year = parseInt(yearMatch[1]);
-      }
-      if (!year) year = DEFAULTS.year;
-      let actualidadPts = 0;
-      if (year) {
-        const currentYear = new Date().getFullYear();
-        const yearsOld = currentYear - year;
-        if (yearsOld <= 2) actualidadPts = 10;
-        else if (yearsOld <= 5) actualidadPts = 7;
-        else if (yearsOld <= 10) actualidadPts = 3;
-      }
-      breakdown.actualidad = actualidadPts;
-      score += actualidadPts;
-
-      // 4️⃣ Aplicabilidad Clínica (15 pts)
-      let apt = parseFloat(icite.apt);
-      if (isNaN(apt)) apt = DEFAULTS.apt;
-      let aptPts = 0;
-      if (apt > 0.8) aptPts = 15;
-      else if (apt >= 0.6) aptPts = 10;
-      else if (apt >= 0.4) aptPts = 5;
-      else if (apt > 0) aptPts = 1;
-      breakdown.aplicabilidadClinica = aptPts;
-      score += aptPts;
-
-      // 5️⃣ Relevancia Temática (20 pts)
-      let kwTitlePts = 0;
-      if (article.title) {
-        keywords.forEach(keyword => {
-          if (article.title.toLowerCase().includes(keyword)) {
-            kwTitlePts += 3;
-          }
-        });
-        kwTitlePts = Math.min(kwTitlePts, 12);
-      }
-      let kwAbsPts = 0;
-      if (article.abstract) {
-        keywords.forEach(keyword => {
-          if (article.abstract.toLowerCase().includes(keyword)) {
-            kwAbsPts += 1;
-          }
-        });
-        kwAbsPts = Math.min(kwAbsPts, 8);
-      }
-      
-      // 5. Revistas reconocidas
-      const prestigiousJournals = [
-        'nejm', 'new england', 'lancet', 'jama', 'bmj', 'british medical',
-        'annals of internal medicine', 'nature', 'science', 'cell',
-        'circulation', 'ophthalmology', 'journal of clinical',
-        'american journal', 'journal of', 'archives of'
-      ];
-      
-      if (article.source) {
-        const lowerSource = article.source.toLowerCase();
-        for (const journal of prestigiousJournals) {
-          if (lowerSource.includes(journal)) {
-            score += 7;
-            console.log(`Artículo PMID ${article.pmid}: +7 puntos por revista prestigiosa: ${article.source}`);
-            break;
-          }
-        }
-      }
-
-      // 6. NUEVO: Métricas de iCite si están disponibles
-      if (iCiteMetrics && article.pmid && iCiteMetrics[article.pmid]) {
-        const metrics = iCiteMetrics[article.pmid];
-        
-        // RCR (Relative Citation Ratio) - 40% del peso
-        if (metrics.rcr !== null && metrics.rcr !== undefined) {
-          const rcrScore = Math.min(metrics.rcr * 10, 40); // Valor RCR multiplicado por 10, máximo 40 puntos
-          score += rcrScore;
-          console.log(`Artículo PMID ${article.pmid}: +${rcrScore.toFixed(2)} puntos por RCR: ${metrics.rcr}`);
-        }
-        
-        // APT (Approximate Potential to Translate) - 30% del peso
-        if (metrics.apt !== null && metrics.apt !== undefined) {
-          const aptScore = metrics.apt * 0.3; // APT convertido a puntaje, máximo 30 puntos
-          score += aptScore;
-          console.log(`Artículo PMID ${article.pmid}: +${aptScore.toFixed(2)} puntos por APT: ${metrics.apt}`);
-        }
-        
-        // Citas clínicas - 20% del peso
-        if (metrics.clinical_citations !== undefined) {
-          // Escalar citas clínicas (máximo 20 puntos para ≥50 citas)
-          const clinicalScore = Math.min(metrics.clinical_citations / 2.5, 20);
-          score += clinicalScore;
-          console.log(`Artículo PMID ${article.pmid}: +${clinicalScore.toFixed(2)} puntos por ${metrics.clinical_citations} citas clínicas`);
-        }
-        
-        // Citas totales - 10% del peso
-        if (metrics.citation_count !== undefined) {
-          // Escalar citas totales (máximo 10 puntos para ≥100 citas)
-          const citationScore = Math.min(metrics.citation_count / 10, 10);
-          score += citationScore;
-          console.log(`Artículo PMID ${article.pmid}: +${citationScore.toFixed(2)} puntos por ${metrics.citation_count} citas totales`);
-        }
-      }
-
-      return {
-        ...article,
-        iciteMetrics: icite,
-        priorityScore: score,
-        scoreBreakdown: breakdown
-      };
+    const scoredArticles = scoringService.scoreArticles(articles, {
+      question,
+      iCiteMetrics,
+      profileId: scoringProfile
     });
     
     // Ordenar artículos por puntuación (mayor a menor)
     scoredArticles.sort((a, b) => b.priorityScore - a.priorityScore);
     
-    console.log(`Priorización completada. Artículo con mayor puntaje: PMID ${scoredArticles[0]?.pmid} (${scoredArticles[0]?.priorityScore.toFixed(2)} puntos)`);
+    console.log(`Priorización completada. Artículo con mayor puntaje: PMID ${scoredArticles[0]?.pmid} (${scoredArticles[0]?.priorityScore} puntos)`);
     
     return scoredArticles;
   },
 
   /**
-   * Calcula métricas para estrategias de búsqueda
-   * @param {Array} initialResults - Resultados iniciales más sensibles
-   * @param {Array} refinedResults - Resultados refinados más específicos
-   * @returns {Object} - Métricas calculadas
+   * Controlador principal para procesar consultas científicas
+   * Encola la consulta como trabajo asíncrono y responde inmediatamente con su ID;
+   * el progreso se emite por Socket.IO a la sala del trabajo
+   * @param {Object} req - Solicitud HTTP
+   * @param {Object} res - Respuesta HTTP
+   * @param {Function} next - Función para pasar al siguiente middleware
    */
-  _calculateSearchMetrics(initialResults, refinedResults) {
-    // Si no hay resultados, devolver valores por defecto
-    if (!initialResults || !initialResults.length) {
-      return {
-        sensitivity: 0,
-        specificity: 0,
-        precision: 0,
-        nnr: 0
-      };
-    }
-    
-    // Si no hay resultados refinados, establecer los mismos que los iniciales
-    if (!refinedResults || !refinedResults.length) {
-      refinedResults = initialResults;
+  async processQuery(req, res, next) {
+    try {
+      const { question, useAI = true, searchStrategy = "", pico = null, scoringProfile = null, goldStandardPmids = null } = req.body;
+      
+      if (!question) {
+        return next(errorTypes.badRequest("Se requiere una pregunta clínica"));
+      }
+      
+      if (scoringProfile && !scoringService.getProfile(scoringProfile)) {
+        return next(errorTypes.badRequest(`Perfil de puntuación desconocido: "${scoringProfile}"`, 'UNKNOWN_SCORING_PROFILE'));
+      }
+      
+      const filterValidation = validateFilters(req.body.filters);
+      if (!filterValidation.valid) {
+        return next(errorTypes.badRequest(`Filtros no válidos: ${filterValidation.errors.join('; ')}`, 'INVALID_FILTERS'));
+      }
+      const { filters } = filterValidation;
+      
+      const goldStandard = searchEvaluationService.parseGoldStandard(goldStandardPmids);
+      if (!goldStandard.valid) {
+        return next(errorTypes.badRequest(goldStandard.error, 'INVALID_GOLD_STANDARD'));
+      }
+      
+      const job = jobService.enqueue(
+        'scientific-query',
+        async (context) => {
+          // El trabajo sigue después de responder, por eso cuenta sus propios aciertos y fallos de caché
+          // y el uso de la IA (registrado con el ID del trabajo)
+          const { result: { result, usage: aiUsage }, usage } = await cacheService.track(() =>
+            aiUsageService.track(() =>
+              scientificQueryController._runQueryPipeline({ question, useAI, searchStrategy, pico, scoringProfile, filters, goldStandardPmids: goldStandard.pmids }, context),
+            { queryId: context.jobId }));
+          return { ...result, cache: usage, aiUsage };
+        },
+        { question, useAI, scoringProfile: scoringService.getProfile(scoringProfile).id, filters }
+      );
+      
+      console.log(`Consulta científica encolada como trabajo ${job.jobId}`);
+      
+      return res.status(202).json({
+        success: true,
+        jobId: job.jobId,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.jobId}`
+      });
+    } catch (error) {
+      console.error('Error al encolar consulta científica:', error);
+      return next(error);
     }
-    
-    // Calcular métricas
-    const totalInitial = initialResults.length;
-    const totalRefined = refinedResults.length;
-    
-    // Número necesario a leer (NNR)
-    const nnr = totalInitial > 0 ? Math.ceil(totalInitial / Math.max(totalRefined, 1)) : 0;
-    
-    // Sensibilidad (cantidad de artículos recuperados / total posible)
-    // Como no conocemos el total posible, estimamos con un valor relativo
-    const sensitivity = totalInitial > 0 ? 1.0 : 0;
-    
-    // Precisión (artículos relevantes / total recuperados)
-    // Estimamos relevancia usando los resultados refinados
-    const precision = totalInitial > 0 ? totalRefined / totalInitial : 0;
-    
-    // Especificidad (estimada en base a la precisión)
-    const specificity = precision > 0 ? precision : 0;
-    
-    return {
-      sensitivity: Math.round(sensitivity * 100),
-      specificity: Math.round(specificity * 100),
-      precision: Math.round(precision * 100),
-      nnr: nnr
-    };
   },
 
   /**
-   * Controlador principal para procesar consultas científicas
-   * @param {Object} req - Solicitud HTTP
-   * @param {Object} res - Respuesta HTTP
+   * Ejecuta el proceso completo de una consulta científica
+   * (estrategia, búsqueda, refinamiento, iCite y análisis)
+   * @param {Object} params - Parámetros de la consulta
+   * @param {string} params.question - Pregunta clínica
+   * @param {boolean} params.useAI - Indicador de uso de IA
+   * @param {string} params.searchStrategy - Estrategia proporcionada por el usuario (opcional)
+   * @param {Object} params.pico - Bloques PICO editados por el usuario (opcional)
+   * @param {string} params.scoringProfile - Perfil de puntuación para priorizar (opcional)
+   * @param {Object} params.filters - Filtros normalizados con validateFilters (opcional)
+   * @param {Array<string>} params.goldStandardPmids - PMIDs relevantes conocidos para evaluar las estrategias (opcional)
+   * @param {Object} job - Contexto del trabajo (reportPhase, throwIfCancelled y signal, que cancela las peticiones a PubMed, iCite y Claude en curso)
+   * @returns {Promise<Object>} - Resultado de la consulta
    */
-  async processQuery(req, res) {
-    const method = 'processQuery';
+  async _runQueryPipeline({ question, useAI = true, searchStrategy = "", pico = null, scoringProfile = null, filters = null, goldStandardPmids = [] }, job) {
     const startTime = Date.now();
     let queryId = null;
     
     try {
       console.log(`===== INICIANDO CONSULTA CIENTÍFICA =====`);
-      // Extraer datos de la solicitud
-      const { question, useAI = true, searchStrategy = "" } = req.body;
-      
       console.log(`Pregunta: "${question}"`);
       console.log(`Usar IA: ${useAI}`);
       console.log(`Estrategia de búsqueda proporcionada: ${searchStrategy ? "Sí" : "No"}`);
-      
-      if (!question) {
-        throw { type: errorTypes.BAD_REQUEST, message: "Se requiere una pregunta clínica" };
-      }
+      // Los filtros se añaden a cada búsqueda en PubMed, no a las estrategias que se muestran
+      const filterClause = buildFilterClause(filters) || null;
+      console.log(`Filtros: ${filterClause || "ninguno"}`);
 
       // Registrar la consulta
-      queryId = queryLogger.startProcess(question, useAI);
+      queryId = queryLogger.startProcess(question, useAI, job.reportPhase);
+      
+      // Antes de cada paso con IA se comprueba el presupuesto diario; si se agota la consulta continúa sin IA
+      let aiBudgetExhausted = false;
+      const canUseAI = async (phase) => {
+        if (!useAI || aiBudgetExhausted) return false;
+        if (await aiUsageService.isBudgetExhausted()) {
+          aiBudgetExhausted = true;
+          queryLogger.phaseInfo(queryId, phase, "Presupuesto diario de IA agotado, se continúa sin IA");
+          return false;
+        }
+        return true;
+      };
 
       // PASO 1: Analizar la pregunta con Claude si useAI es true
       console.log("PASO 1: Analizando pregunta clínica");
       queryLogger.phaseInfo(queryId, "PASO_1", "Analizando pregunta clínica");
       
       let finalStrategy = searchStrategy;
-      if (useAI && !searchStrategy) {
+      // Desglose PICO de la estrategia (generado por Claude o editado por el usuario)
+      let strategyDetails = null;
+      
+      if (!searchStrategy && pico) {
+        // El usuario editó los bloques PICO: reconstruir la consulta a partir de ellos
+        strategyDetails = normalizeSearchStrategy({ pico });
+        finalStrategy = strategyDetails.query;
+        queryLogger.phaseInfo(queryId, "PASO_1", "Estrategia construida a partir de bloques PICO editados", finalStrategy);
+      }
+      
+      if (!finalStrategy && await canUseAI("PASO_1")) {
         try {
           console.log("Generando estrategia de búsqueda con Claude");
-          finalStrategy = await claudeService.generateSearchStrategy(question);
+          strategyDetails = await claudeService.generateSearchStrategy(question, { signal: job.signal });
+          finalStrategy = strategyDetails.query || question;
           console.log(`Estrategia generada: "${finalStrategy}"`);
-          queryLogger.phaseInfo(queryId, "PASO_1", "Estrategia generada con Claude", finalStrategy);
+          queryLogger.phaseInfo(queryId, "PASO_1", "Estrategia generada con Claude", strategyDetails);
         } catch (error) {
+          // Una cancelación no es un fallo de Claude: se detiene la consulta
+          job.throwIfCancelled();
           console.error("Error generando estrategia de búsqueda:", error);
           queryLogger.phaseError(queryId, "PASO_1", "Error generando estrategia de búsqueda", error);
           // Si falla Claude, usamos la pregunta original
           finalStrategy = question;
         }
-      } else if (!searchStrategy) {
+      } else if (!finalStrategy) {
         // Si no se usa IA y no hay estrategia, usamos la pregunta original
         finalStrategy = question;
         queryLogger.phaseInfo(queryId, "PASO_1", "Usando pregunta original como estrategia");
@@ -507,23 +275,27 @@ const scientificQueryController = {
       console.log(`Estrategia original: "${originalStrategy?.substring(0, 100)}${originalStrategy?.length > 100 ? '...' : ''}"`);
       console.log(`Estrategia final validada: "${finalStrategy}"`);
       queryLogger.phaseInfo(queryId, "PASO_1", "Estrategia validada", finalStrategy);
+      job.throwIfCancelled();
 
       // PASO 2: Búsqueda inicial en PubMed (alta sensibilidad)
       console.log("PASO 2: Realizando búsqueda inicial en PubMed");
       queryLogger.phaseInfo(queryId, "PASO_2", "Iniciando búsqueda en PubMed");
       
       const stepStartTime = Date.now();
-      // Aumentar a 30 artículos
-      const initialResults = await pubmedService.search(finalStrategy, 30);
+      // Aumentar a 30 artículos; el resto queda en el history server de PubMed para paginar
+      const initialSearch = await pubmedService.searchWithHistory(finalStrategy, 30, { filters, signal: job.signal });
+      const initialResults = initialSearch.articles;
       const stepEndTime = Date.now();
       
       console.log(`Resultados iniciales: ${initialResults.length} artículos`);
       queryLogger.phaseInfo(queryId, "PASO_2", `Búsqueda completada: ${initialResults.length} artículos`);
       queryLogger.phaseTime(queryId, "PASO_2", stepStartTime, stepEndTime);
+      job.throwIfCancelled();
 
       // Si no hay resultados, intenta con una consulta más simple basada en palabras clave
       let refinedStrategy = finalStrategy;
       let refinedResults = [];
+      let refinedHistory = initialSearch.history;
       
       if (initialResults.length === 0) {
         console.log("No se encontraron resultados con la estrategia inicial. Intentando con palabras clave simples.");
@@ -543,15 +315,18 @@ const scientificQueryController = {
           
           try {
             console.log("Realizando búsqueda con palabras clave simples");
-            const keywordResults = await pubmedService.search(keywordStrategy, 20);
+            const keywordSearch = await pubmedService.searchWithHistory(keywordStrategy, 20, { filters, signal: job.signal });
+            const keywordResults = keywordSearch.articles;
             console.log(`Resultados con palabras clave: ${keywordResults.length} artículos`);
             
             if (keywordResults.length > 0) {
               refinedStrategy = keywordStrategy;
               refinedResults = keywordResults;
+              refinedHistory = keywordSearch.history;
               console.log("Usando resultados de palabras clave como resultados principales");
             }
           } catch (error) {
+            job.throwIfCancelled();
             console.error("Error en búsqueda con palabras clave:", error);
           }
         }
@@ -560,7 +335,7 @@ const scientificQueryController = {
         console.log("PASO 3: Generando estrategia refinada");
         queryLogger.phaseInfo(queryId, "PASO_3", "Generando estrategia refinada");
         
-        if (useAI && initialResults.length > 0) {
+        if (initialResults.length > 0 && await canUseAI("PASO_3")) {
           try {
             // Preparar información para Claude
             const initialArticleInfo = initialResults.map(article => ({
@@ -574,12 +349,13 @@ const scientificQueryController = {
             const promptData = {
               question,
               initialStrategy: finalStrategy,
-              initialResults: initialArticleInfo
+              initialResults: initialArticleInfo,
+              filters
             };
             
             const refineStartTime = Date.now();
             // Este método debe implementarse en claudeService
-            refinedStrategy = await claudeService.generateRefinedStrategy(promptData);
+            refinedStrategy = await claudeService.generateRefinedStrategy(promptData, { signal: job.signal });
             const refineEndTime = Date.now();
             
             // Validar la estrategia refinada para evitar problemas
@@ -595,7 +371,9 @@ const scientificQueryController = {
               queryLogger.phaseInfo(queryId, "PASO_4", "Iniciando búsqueda refinada", refinedStrategy);
               
               const refinedSearchStart = Date.now();
-              refinedResults = await pubmedService.search(refinedStrategy, 20);
+              const refinedSearch = await pubmedService.searchWithHistory(refinedStrategy, 20, { filters, signal: job.signal });
+              refinedResults = refinedSearch.articles;
+              refinedHistory = refinedSearch.history;
               const refinedSearchEnd = Date.now();
               
               console.log(`Resultados refinados: ${refinedResults.length} artículos`);
@@ -608,6 +386,7 @@ const scientificQueryController = {
               refinedResults = initialResults;
             }
           } catch (error) {
+            job.throwIfCancelled();
             console.error("Error generando estrategia refinada:", error);
             queryLogger.phaseError(queryId, "PASO_3", "Error generando estrategia refinada", error);
             // Si hay error, usamos los resultados iniciales
@@ -620,8 +399,19 @@ const scientificQueryController = {
         }
       }
       
+      job.throwIfCancelled();
+      
       // Usar los resultados disponibles (iniciales o refinados)
       const resultsToUse = refinedResults.length > 0 ? refinedResults : initialResults;
+      // Búsqueda del history server con la que se pueden recorrer el resto de resultados
+      const searchHistory = refinedResults.length > 0 ? refinedHistory : initialSearch.history;
+      // Estrategias que se evalúan en las métricas de búsqueda (con su total en PubMed)
+      const evaluatedStrategies = {
+        initial: { query: finalStrategy, count: initialSearch.history.count },
+        refined: refinedStrategy !== finalStrategy && refinedResults.length > 0
+          ? { query: refinedStrategy, count: refinedHistory.count }
+          : null
+      };
       
       // Si aún no hay resultados, devolver respuesta vacía pero success: true
       if (resultsToUse.length === 0) {
@@ -631,12 +421,18 @@ const scientificQueryController = {
           query: question,
           initialStrategy: finalStrategy,
           refinedStrategy: refinedStrategy !== finalStrategy ? refinedStrategy : null,
-          searchMetrics: { sensitivity: 0, specificity: 0, precision: 0, nnr: 0 },
+          strategyDetails,
+          filters,
+          filterClause,
+          searchMetrics: await searchEvaluationService.calculate({ ...evaluatedStrategies, goldStandardPmids, filters }),
           articles: [], // Para compatibilidad con versiones anteriores
+          pagination: queryHistoryService.describePagination(searchHistory),
+          aiBudgetExhausted,
           processTimeMs: Date.now() - startTime
         };
+        emptyResponse.runId = await scientificQueryController._saveRun(emptyResponse, { question, useAI, jobId: job.jobId, searchHistory }, queryId);
         queryLogger.endProcess(queryId, true, 0);
-        return res.status(200).json(emptyResponse);
+        return emptyResponse;
       }
       
       // PASO 5: Obtener métricas de iCite para los artículos
@@ -655,7 +451,7 @@ const scientificQueryController = {
           console.log(`Consultando métricas de iCite para ${allPmids.length} PMIDs`);
           
           const iciteStartTime = Date.now();
-          iCiteMetrics = await iCiteService.getMetricsForPmids(allPmids);
+          iCiteMetrics = await iCiteService.getMetricsForPmids(allPmids, { signal: job.signal });
           const iciteEndTime = Date.now();
           
           console.log(`Métricas obtenidas para ${Object.keys(iCiteMetrics).length} PMIDs`);
@@ -668,12 +464,14 @@ const scientificQueryController = {
         // Continuamos sin métricas de iCite
       }
 
+      job.throwIfCancelled();
+      
       // PASO 6: Priorizar artículos
       console.log("PASO 6: Priorizando artículos");
       queryLogger.phaseInfo(queryId, "PASO_6", "Priorizando artículos");
       
       const prioritizeStartTime = Date.now();
-      const prioritizedArticles = scientificQueryController._prioritizeArticles(resultsToUse, question, iCiteMetrics);
+      const prioritizedArticles = scientificQueryController._prioritizeArticles(resultsToUse, question, iCiteMetrics, scoringProfile);
       const prioritizeEndTime = Date.now();
       
       queryLogger.phaseInfo(queryId, "PASO_6", `Priorización completada: ${prioritizedArticles.length} artículos`);
@@ -688,7 +486,8 @@ const scientificQueryController = {
       });
       
       // PASO 8: Calcular métricas de búsqueda
-      const searchMetrics = scientificQueryController._calculateSearchMetrics(initialResults, refinedResults);
+      // Con conjunto de referencia las métricas son reales; sin él se marcan como estimaciones
+      const searchMetrics = await searchEvaluationService.calculate({ ...evaluatedStrategies, goldStandardPmids, filters });
       console.log("Métricas de búsqueda:", searchMetrics);
       queryLogger.phaseInfo(queryId, "PASO_8", "Métricas de búsqueda calculadas", searchMetrics);
 
@@ -697,7 +496,9 @@ const scientificQueryController = {
       console.log("PASO 9: Analizando artículos con Claude");
       queryLogger.phaseInfo(queryId, "PASO_9", "Analizando artículos con Claude");
       
-      if (useAI && prioritizedArticles.length > 0) {
+      job.throwIfCancelled();
+      
+      if (prioritizedArticles.length > 0 && await canUseAI("PASO_9")) {
         try {
           // Seleccionar los artículos más relevantes (máximo 5)
           const topArticles = prioritizedArticles.slice(0, 5);
@@ -705,7 +506,7 @@ const scientificQueryController = {
           
           // Crear un lote de análisis
           const analysisStartTime = Date.now();
-          articleAnalysis = await claudeService.analyzeArticleBatch(topArticles, question);
+          articleAnalysis = await claudeService.analyzeArticleBatch(topArticles, question, { signal: job.signal });
           const analysisEndTime = Date.now();
           
           console.log(`Análisis completado para ${articleAnalysis.length} artículos`);
@@ -713,6 +514,7 @@ const scientificQueryController = {
           queryLogger.phaseTime(queryId, "PASO_9", analysisStartTime, analysisEndTime);
           
         } catch (error) {
+          job.throwIfCancelled();
           console.error("Error analizando artículos con Claude:", error);
           queryLogger.phaseError(queryId, "PASO_9", "Error analizando artículos con Claude", error);
           // Continuamos sin análisis de artículos
@@ -721,15 +523,17 @@ const scientificQueryController = {
         queryLogger.phaseInfo(queryId, "PASO_9", "Omitiendo análisis de artículos");
       }
       
+      job.throwIfCancelled();
+      
       // PASO 10: Integrar análisis con los artículos
       console.log("PASO 10: Integrando análisis con artículos");
       queryLogger.phaseInfo(queryId, "PASO_10", "Integrando análisis con artículos");
       
-      // Crear mapa de análisis para búsqueda rápida por PMID
+      // Crear mapa de valoraciones para búsqueda rápida por PMID
       const analysisMap = {};
-      articleAnalysis.forEach(analysis => {
-        if (analysis.pmid) {
-          analysisMap[analysis.pmid] = analysis;
+      articleAnalysis.forEach(analyzedArticle => {
+        if (analyzedArticle.pmid && analyzedArticle.analysis) {
+          analysisMap[analyzedArticle.pmid] = analyzedArticle.analysis;
         }
       });
       
@@ -751,18 +555,25 @@ const scientificQueryController = {
         query: question,
         initialStrategy: finalStrategy,
         refinedStrategy: refinedStrategy !== finalStrategy ? refinedStrategy : null,
+        strategyDetails,
+        filters,
+        filterClause,
         searchMetrics,
+        scoringProfile: prioritizedArticles[0]?.scoreBreakdown.profile || null,
         articles: articlesWithAnalysis, // Para compatibilidad con versiones anteriores
         results: articlesWithAnalysis,  // Requerido por el frontend
+        pagination: queryHistoryService.describePagination(searchHistory),
+        aiBudgetExhausted,
         processTimeMs: endTime - startTime
       };
       
+      // Guardar la ejecución para poder reabrirla sin repetir las búsquedas ni los análisis
+      response.runId = await scientificQueryController._saveRun(response, { question, useAI, jobId: job.jobId, searchHistory }, queryId);
+      
       console.log(`===== CONSULTA CIENTÍFICA COMPLETADA EN ${endTime - startTime}ms =====`);
       queryLogger.endProcess(queryId, true, articlesWithAnalysis.length);
       
-      // Enviar respuesta
-      return res.status(200).json(response);
-      
+      return response;
     } catch (error) {
       const endTime = Date.now();
       console.error(`===== ERROR EN CONSULTA CIENTÍFICA (${endTime - startTime}ms) =====`);
@@ -774,13 +585,109 @@ const scientificQueryController = {
         queryLogger.endProcess(queryId, false);
       }
       
-      const statusCode = error.type === errorTypes.BAD_REQUEST ? 400 : 500;
-      const errorMessage = error.message || "Error procesando consulta científica";
-      
-      return res.status(statusCode).json({
-        success: false,
-        error: errorMessage
+      throw error;
+    }
+  },
+
+  /**
+   * Guarda la ejecución de una consulta en el historial
+   * Un fallo al guardar no interrumpe la consulta: se registra y se devuelve el resultado igualmente
+   * @param {Object} response - Resultado de la consulta
+   * @param {Object} metadata - { question, useAI, jobId, searchHistory }
+   * @param {string} queryId - ID de la consulta en el logger
+   * @returns {Promise<string|null>} - ID de la ejecución guardada o null si no se pudo guardar
+   */
+  async _saveRun(response, metadata, queryId) {
+    try {
+      // Guardar es el último paso: el uso de la IA y de la caché acumulado hasta aquí es el de la consulta
+      return await queryHistoryService.saveRun({
+        ...response,
+        aiUsage: aiUsageService.getCurrentUsage(),
+        cache: cacheService.getCurrentUsage()
+      }, metadata);
+    } catch (error) {
+      console.error("Error guardando la ejecución de la consulta:", error);
+      queryLogger.phaseError(queryId, "PASO_11", "Error guardando la ejecución de la consulta", error);
+      return null;
+    }
+  },
+
+  /**
+   * Lista los perfiles de puntuación disponibles para priorizar artículos
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getScoringProfiles: async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        defaultProfile: scoringService.getProfile().id,
+        profiles: scoringService.listProfiles()
+      });
+    } catch (error) {
+      console.error('Error al obtener perfiles de puntuación:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Lista las opciones de los filtros estructurados de búsqueda
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getSearchFilters: async (req, res, next) => {
+    try {
+      return res.status(200).json({
+        success: true,
+        options: listFilterOptions()
       });
+    } catch (error) {
+      console.error('Error al obtener las opciones de filtros:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Obtiene el estado y, si terminó, el resultado de un trabajo de consulta
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getJob: async (req, res, next) => {
+    try {
+      const job = jobService.getJob(req.params.id);
+      
+      if (!job) {
+        return next(errorTypes.notFound('Trabajo no encontrado'));
+      }
+      
+      return res.status(200).json({ success: true, job });
+    } catch (error) {
+      console.error('Error al obtener trabajo:', error);
+      return next(error);
+    }
+  },
+
+  /**
+   * Cancela un trabajo de consulta en cola o en ejecución
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  cancelJob: async (req, res, next) => {
+    try {
+      const job = jobService.cancelJob(req.params.id);
+      
+      if (!job) {
+        return next(errorTypes.notFound('Trabajo no encontrado'));
+      }
+      
+      return res.status(200).json({ success: true, job });
+    } catch (error) {
+      console.error('Error al cancelar trabajo:', error);
+      return next(error);
     }
   },
   
@@ -798,17 +705,25 @@ const scientificQueryController = {
         return next(errorTypes.badRequest('Se requiere una consulta o estrategia de búsqueda'));
       }
       
+      const filterValidation = validateFilters(req.body.filters);
+      if (!filterValidation.valid) {
+        return next(errorTypes.badRequest(`Filtros no válidos: ${filterValidation.errors.join('; ')}`, 'INVALID_FILTERS'));
+      }
+      const { filters } = filterValidation;
+      
       // Usar estrategia de búsqueda si está disponible, de lo contrario usar consulta
       const searchQuery = searchStrategy || query;
       
-      console.log(`Realizando búsqueda en PubMed: "${searchQuery}"`);
-      const articles = await pubmedService.search(searchQuery, maxResults);
+      console.log(`Realizando búsqueda en PubMed: "${applyFilters(searchQuery, filters)}"`);
+      const articles = await pubmedService.search(searchQuery, maxResults, { filters });
       
       console.log(`Encontrados ${articles.length} artículos`);
       
       return res.status(200).json({
         success: true,
         query: searchQuery,
+        filters,
+        pubmedQuery: applyFilters(searchQuery, filters),
         count: articles.length,
         results: articles
       });
@@ -849,6 +764,178 @@ const scientificQueryController = {
     }
   },
   
+  /**
+   * Devuelve una página de todos los resultados de PubMed de una ejecución guardada
+   * Los artículos se recuperan del history server de PubMed al pedir cada página y se
+   * enriquecen con las métricas de iCite y la puntuación del perfil de la ejecución;
+   * los que ya estaban en la ejecución se devuelven con su puntuación y su análisis
+   * @param {Object} req - Objeto de solicitud Express (params: runId; query: page, pageSize)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  getRunArticles: async (req, res, next) => {
+    try {
+      const { runId } = req.params;
+      const page = req.query.page === undefined ? 1 : Number(req.query.page);
+      const pageSize = req.query.pageSize === undefined ? 20 : Number(req.query.pageSize);
+      
+      if (!Number.isInteger(page) || page < 1) {
+        return next(errorTypes.badRequest('page debe ser un entero mayor que 0', 'INVALID_PAGE'));
+      }
+      
+      if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > HISTORY_MAX_PAGE_SIZE) {
+        return next(errorTypes.badRequest(`pageSize debe ser un entero de 1 a ${HISTORY_MAX_PAGE_SIZE}`, 'INVALID_PAGE_SIZE'));
+      }
+      
+      const context = await queryHistoryService.getSearchContext(runId);
+      
+      if (!context) {
+        return next(errorTypes.notFound(`No se encontró la consulta guardada ${runId}`));
+      }
+      
+      if (!context.searchHistory) {
+        return next(errorTypes.conflict('La consulta guardada no tiene una búsqueda de PubMed que recorrer', 'NO_SEARCH_HISTORY'));
+      }
+      
+      const retstart = (page - 1) * pageSize;
+      console.log(`Recuperando resultados ${retstart + 1}-${retstart + pageSize} de la ejecución ${runId}`);
+      
+      // Si el cliente cierra la conexión antes de la respuesta se cancelan las peticiones a PubMed e iCite
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+      });
+      
+      const { articles, history } = await pubmedService.fetchHistoryPage(context.searchHistory, { retstart, retmax: pageSize, signal: controller.signal });
+      
+      // Guardar el WebEnv nuevo si se tuvo que repetir la búsqueda
+      if (history.webEnv !== context.searchHistory.webEnv) {
+        await queryHistoryService.updateSearchHistory(runId, { ...history, retrieved: context.searchHistory.retrieved })
+          .catch(error => console.error('Error guardando el nuevo WebEnv de la ejecución:', error));
+      }
+      
+      const storedArticles = new Map(context.articles.map(article => [String(article.pmid), article]));
+      const newArticles = articles.filter(article => !storedArticles.has(String(article.pmid)));
+      
+      let iCiteMetrics = {};
+      if (newArticles.length > 0) {
+        try {
+          iCiteMetrics = await iCiteService.getMetricsForPmids(newArticles.map(article => article.pmid), { signal: controller.signal });
+        } catch (error) {
+          if (error.code === 'ABORTED') throw error;
+          // Se continúa sin métricas de iCite
+          console.error('Error obteniendo métricas de iCite para la página:', error);
+        }
+      }
+      
+      // El perfil de la ejecución puede haberse eliminado: se usa entonces el perfil por defecto
+      const profileId = scoringService.getProfile(context.scoringProfile?.id) ? context.scoringProfile.id : null;
+      const scoredArticles = new Map(
+        scoringService.scoreArticles(newArticles, { question: context.question, iCiteMetrics, profileId })
+          .map(article => [String(article.pmid), iCiteMetrics[article.pmid]
+            ? { ...article, iCiteMetrics: iCiteMetrics[article.pmid] }
+            : article])
+      );
+      
+      const total = history.count;
+      return res.status(200).json({
+        success: true,
+        runId,
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasMore: retstart + pageSize < total,
+        articles: articles.map((article, index) => ({
+          ...(storedArticles.get(String(article.pmid)) || scoredArticles.get(String(article.pmid))),
+          pubmedRank: retstart + index + 1
+        }))
+      });
+    } catch (error) {
+      // El cliente ya cerró la conexión: no hay a quién responder
+      if (error.code === 'ABORTED') return;
+      console.error('Error al obtener la página de resultados:', error);
+      return next(error);
+    }
+  },
+  
+  /**
+   * Expande los resultados a partir de artículos semilla
+   * Reúne candidatos de los artículos similares de PubMed y de las referencias y citas de iCite,
+   * descarta los que ya están en los resultados y los prioriza con el mismo perfil de puntuación
+   * @param {Object} req - Objeto de solicitud Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   */
+  expandArticles: async (req, res, next) => {
+    try {
+      const { pmids, runId = null, excludePmids = [], sources = Object.keys(EXPANSION_SOURCES), limit = 20 } = req.body;
+      let { question = '', scoringProfile = null } = req.body;
+      
+      const seeds = Array.isArray(pmids) ? [...new Set(pmids.map(pmid => String(pmid).trim()))] : [];
+      if (seeds.length === 0 || seeds.length > MAX_EXPANSION_SEEDS || seeds.some(pmid => !/^\d+$/.test(pmid))) {
+        return next(errorTypes.badRequest(`pmids debe ser una lista de 1 a ${MAX_EXPANSION_SEEDS} PMIDs`, 'INVALID_SEEDS'));
+      }
+      
+      if (!Array.isArray(sources) || sources.length === 0 || sources.some(source => !EXPANSION_SOURCES[source])) {
+        return next(errorTypes.badRequest(`sources debe ser una lista con valores de: ${Object.keys(EXPANSION_SOURCES).join(', ')}`, 'INVALID_SOURCES'));
+      }
+      
+      if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_PAGE_SIZE) {
+        return next(errorTypes.badRequest(`limit debe ser un entero de 1 a ${HISTORY_MAX_PAGE_SIZE}`, 'INVALID_LIMIT'));
+      }
+      
+      if (!Array.isArray(excludePmids)) {
+        return next(errorTypes.badRequest('excludePmids debe ser una lista de PMIDs', 'INVALID_EXCLUDE'));
+      }
+      
+      // Los resultados de la consulta guardada se descartan y aportan la pregunta y el perfil
+      const exclude = [...excludePmids];
+      if (runId) {
+        const context = await queryHistoryService.getSearchContext(runId);
+        
+        if (!context) {
+          return next(errorTypes.notFound(`No se encontró la consulta guardada ${runId}`));
+        }
+        
+        exclude.push(...context.articles.map(article => article.pmid));
+        question = question || context.question;
+        scoringProfile = scoringProfile || (scoringService.getProfile(context.scoringProfile?.id) ? context.scoringProfile.id : null);
+      }
+      
+      if (scoringProfile && !scoringService.getProfile(scoringProfile)) {
+        return next(errorTypes.badRequest(`Perfil de puntuación desconocido: "${scoringProfile}"`, 'UNKNOWN_SCORING_PROFILE'));
+      }
+      
+      console.log(`Expandiendo resultados desde ${seeds.length} artículos (${sources.join(', ')})`);
+      const { articles, iCiteMetrics, candidateCount, failedSources } = await expansionService.expand(seeds, {
+        sources,
+        exclude,
+        limit
+      });
+      
+      if (failedSources.length === sources.length) {
+        return next(errorTypes.serviceUnavailable('No se pudo consultar ninguna fuente de expansión', 'EXPANSION_SOURCES_UNAVAILABLE'));
+      }
+      
+      const prioritizedArticles = scientificQueryController._prioritizeArticles(articles, question, iCiteMetrics, scoringProfile)
+        .map(article => (iCiteMetrics[article.pmid] ? { ...article, iCiteMetrics: iCiteMetrics[article.pmid] } : article));
+      
+      return res.status(200).json({
+        success: true,
+        seeds,
+        sources,
+        failedSources,
+        candidateCount,
+        count: prioritizedArticles.length,
+        articles: prioritizedArticles
+      });
+    } catch (error) {
+      console.error('Error al expandir los resultados:', error);
+      return next(error);
+    }
+  },
+  
   /**
    * Analiza un artículo específico utilizando IA
    * @param {Object} req - Objeto de solicitud Express
@@ -880,10 +967,10 @@ const scientificQueryController = {
       console.log('Realizando análisis con IA...');
       const analysis = await claudeService.analyzeArticle(article, question);
       
-      // Incluir análisis en el artículo
+      // Incluir la valoración estructurada en el artículo
       const analyzedArticle = {
         ...article,
-        secondaryAnalysis: analysis
+        analysis
       };
       
       return res.status(200).json({
@@ -0,0 +1,75 @@
+/**
+ * Ejecuta las migraciones SQL pendientes de database/migrations en orden alfabético
+ * Uso: npm run migrate (o automáticamente al iniciar si DB_MIGRATE_ON_START no es 'false')
+ */
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getPool, closePool } from './pool.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Identificador del bloqueo consultivo que evita ejecutar migraciones en paralelo
+const MIGRATION_LOCK_ID = 742019;
+
+/**
+ * Aplica las migraciones que aún no se registraron en schema_migrations
+ * Cada migración se ejecuta en su propia transacción
+ * @param {pg.Pool} pool - Pool de conexiones
+ * @returns {Promise<Array<string>>} - Nombres de las migraciones aplicadas
+ */
+export async function runMigrations(pool = getPool()) {
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const done = new Set(rows.map(row => row.name));
+    const files = (await readdir(MIGRATIONS_DIR)).filter(file => file.endsWith('.sql')).sort();
+
+    for (const file of files) {
+      if (done.has(file)) continue;
+
+      const sql = await readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+        applied.push(file);
+        console.log(`[${new Date().toISOString()}] [Database] Migración aplicada: ${file}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Error aplicando la migración ${file}: ${error.message}`);
+      }
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+
+  return applied;
+}
+
+// Ejecución directa desde la línea de comandos
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  runMigrations()
+    .then(applied => {
+      console.log(applied.length > 0
+        ? `Migraciones aplicadas: ${applied.join(', ')}`
+        : 'La base de datos ya está actualizada');
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => closePool());
+}
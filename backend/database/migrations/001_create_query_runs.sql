@@ -0,0 +1,59 @@
+-- Ejecuciones de consultas científicas con sus estrategias, artículos y análisis
+
+CREATE TABLE IF NOT EXISTS query_runs (
+  id UUID PRIMARY KEY,
+  job_id TEXT,
+  question TEXT NOT NULL,
+  use_ai BOOLEAN NOT NULL DEFAULT FALSE,
+  scoring_profile_id TEXT,
+  scoring_profile_version TEXT,
+  search_metrics JSONB,
+  article_count INTEGER NOT NULL DEFAULT 0,
+  process_time_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS query_runs_created_at_idx ON query_runs (created_at DESC);
+
+-- Estrategia inicial (generada o editada) y refinada de cada ejecución
+CREATE TABLE IF NOT EXISTS query_strategies (
+  id SERIAL PRIMARY KEY,
+  run_id UUID NOT NULL REFERENCES query_runs (id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('initial', 'refined')),
+  query TEXT NOT NULL,
+  details JSONB,
+  UNIQUE (run_id, kind)
+);
+
+-- Registro de PubMed de cada artículo, compartido entre ejecuciones
+CREATE TABLE IF NOT EXISTS articles (
+  pmid TEXT PRIMARY KEY,
+  doi TEXT,
+  title TEXT,
+  journal TEXT,
+  publication_date TEXT,
+  data JSONB NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Artículos recuperados en una ejecución con su posición, puntuación y métricas de iCite
+CREATE TABLE IF NOT EXISTS query_run_articles (
+  run_id UUID NOT NULL REFERENCES query_runs (id) ON DELETE CASCADE,
+  pmid TEXT NOT NULL REFERENCES articles (pmid),
+  rank INTEGER NOT NULL,
+  priority_score NUMERIC,
+  score_breakdown JSONB,
+  icite_metrics JSONB,
+  PRIMARY KEY (run_id, pmid)
+);
+
+-- Análisis de IA generados para los artículos de una ejecución
+CREATE TABLE IF NOT EXISTS article_analyses (
+  id SERIAL PRIMARY KEY,
+  run_id UUID NOT NULL REFERENCES query_runs (id) ON DELETE CASCADE,
+  pmid TEXT NOT NULL REFERENCES articles (pmid),
+  analysis JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS article_analyses_run_id_idx ON article_analyses (run_id);
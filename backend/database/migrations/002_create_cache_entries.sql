@@ -0,0 +1,12 @@
+-- Caché persistente de respuestas de PubMed, iCite y Claude
+
+CREATE TABLE IF NOT EXISTS cache_entries (
+  key TEXT PRIMARY KEY,
+  namespace TEXT NOT NULL,
+  value TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS cache_entries_namespace_idx ON cache_entries (namespace);
+CREATE INDEX IF NOT EXISTS cache_entries_expires_at_idx ON cache_entries (expires_at);
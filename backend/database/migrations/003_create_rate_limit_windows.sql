@@ -0,0 +1,9 @@
+-- Contadores de límite de peticiones compartidos entre instancias del servidor
+
+CREATE TABLE IF NOT EXISTS rate_limit_windows (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_windows_reset_at_idx ON rate_limit_windows (reset_at);
@@ -0,0 +1,19 @@
+-- Llamadas a la IA con su consumo de tokens, latencia y coste estimado
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id UUID PRIMARY KEY,
+  query_id TEXT,
+  task TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('success', 'error')),
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  latency_ms INTEGER NOT NULL,
+  retries INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ai_usage_created_at_idx ON ai_usage (created_at);
+CREATE INDEX IF NOT EXISTS ai_usage_query_id_idx ON ai_usage (query_id);
@@ -0,0 +1,4 @@
+-- Búsqueda guardada en el history server de PubMed (WebEnv, query_key y total de resultados)
+-- para recorrer todos los resultados de una ejecución
+
+ALTER TABLE query_runs ADD COLUMN IF NOT EXISTS search_history JSONB;
@@ -0,0 +1,12 @@
+-- Evaluaciones del riesgo de sesgo (RoB 2, ROBINS-I o AMSTAR-2) de los artículos de una ejecución
+
+CREATE TABLE IF NOT EXISTS article_risk_of_bias (
+  id SERIAL PRIMARY KEY,
+  run_id UUID NOT NULL REFERENCES query_runs (id) ON DELETE CASCADE,
+  pmid TEXT NOT NULL REFERENCES articles (pmid),
+  tool TEXT NOT NULL,
+  assessment JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS article_risk_of_bias_run_id_idx ON article_risk_of_bias (run_id);
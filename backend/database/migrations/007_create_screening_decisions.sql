@@ -0,0 +1,22 @@
+-- Decisiones de cribado (título y resumen, texto completo) de los artículos de una ejecución
+-- Cada revisor tiene una decisión por artículo y fase; resolution marca la resolución de un conflicto
+
+CREATE TABLE IF NOT EXISTS screening_decisions (
+  id SERIAL PRIMARY KEY,
+  run_id UUID NOT NULL,
+  pmid TEXT NOT NULL,
+  stage TEXT NOT NULL CHECK (stage IN ('title-abstract', 'full-text')),
+  reviewer TEXT NOT NULL,
+  resolution BOOLEAN NOT NULL DEFAULT FALSE,
+  decision TEXT NOT NULL CHECK (decision IN ('include', 'exclude', 'maybe')),
+  reason TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  FOREIGN KEY (run_id, pmid) REFERENCES query_run_articles (run_id, pmid) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS screening_decisions_review_idx
+  ON screening_decisions (run_id, pmid, stage, reviewer) WHERE NOT resolution;
+CREATE UNIQUE INDEX IF NOT EXISTS screening_decisions_resolution_idx
+  ON screening_decisions (run_id, pmid, stage) WHERE resolution;
@@ -0,0 +1,6 @@
+-- Uso de la IA (llamadas, tokens y coste por tarea), aciertos y fallos de caché y presupuesto
+-- agotado de cada ejecución, para mostrarlos al reabrirla
+
+ALTER TABLE query_runs ADD COLUMN IF NOT EXISTS ai_usage JSONB;
+ALTER TABLE query_runs ADD COLUMN IF NOT EXISTS cache_usage JSONB;
+ALTER TABLE query_runs ADD COLUMN IF NOT EXISTS ai_budget_exhausted BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,5 @@
+-- Revisores que deben decidir cada registro en el cribado de la ejecución
+-- Se fija con la primera decisión de cribado (NULL hasta entonces) para que no cambie a mitad del cribado
+
+ALTER TABLE query_runs ADD COLUMN IF NOT EXISTS screening_required_reviewers SMALLINT
+  CHECK (screening_required_reviewers BETWEEN 1 AND 2);
@@ -0,0 +1,46 @@
+/**
+ * Pool de conexiones a PostgreSQL
+ * Se crea bajo demanda para que el almacenamiento en memoria no requiera una base de datos
+ */
+import pg from 'pg';
+import config from '../config/index.js';
+
+const { Pool } = pg;
+
+let pool = null;
+
+/**
+ * Obtiene el pool de conexiones, creándolo la primera vez
+ * @returns {pg.Pool} - Pool de conexiones
+ */
+export const getPool = () => {
+  if (!pool) {
+    pool = new Pool({
+      connectionString: config.database.connectionString,
+      ssl: config.database.ssl ? { rejectUnauthorized: false } : false,
+      max: config.database.poolMax
+    });
+
+    // Un cliente inactivo puede fallar (p. ej. reinicio del servidor) sin que haya una consulta en curso
+    pool.on('error', (error) => {
+      console.error(`[${new Date().toISOString()}] [Database] Error en cliente inactivo del pool:`, error.message);
+    });
+  }
+  return pool;
+};
+
+/**
+ * Cierra el pool de conexiones si existe
+ * @returns {Promise<void>}
+ */
+export const closePool = async () => {
+  if (pool) {
+    await pool.end();
+    pool = null;
+  }
+};
+
+export default {
+  getPool,
+  closePool
+};
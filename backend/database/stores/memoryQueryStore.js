@@ -0,0 +1,149 @@
+/**
+ * Almacenamiento en memoria de las ejecuciones de consultas
+ * Sustituye a PostgreSQL en desarrollo y en pruebas; los datos se pierden al reiniciar
+ */
+
+class MemoryQueryStore {
+  constructor() {
+    this.name = 'memory';
+    this.runs = new Map();
+  }
+
+  /**
+   * No requiere inicialización; se mantiene por compatibilidad con el almacenamiento PostgreSQL
+   * @returns {Promise<void>}
+   */
+  async init() {}
+
+  /**
+   * Guarda una ejecución completa
+   * @param {Object} run - Ejecución normalizada (ver services/queryHistoryService.js)
+   * @returns {Promise<string>} - ID de la ejecución
+   */
+  async saveRun(run) {
+    // Copia profunda para que cambios posteriores en el resultado no alteren lo guardado
+    this.runs.set(run.id, structuredClone(run));
+    return run.id;
+  }
+
+  /**
+   * Lista las ejecuciones de la más reciente a la más antigua
+   * @param {Object} options - Paginación
+   * @param {number} options.limit - Número máximo de ejecuciones
+   * @param {number} options.offset - Ejecuciones a omitir
+   * @returns {Promise<Object>} - { total, runs }
+   */
+  async listRuns({ limit, offset }) {
+    const runs = [...this.runs.values()]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      total: runs.length,
+      runs: runs.slice(offset, offset + limit).map(run => ({
+        id: run.id,
+        question: run.question,
+        useAI: run.useAI,
+        scoringProfile: run.scoringProfile,
+        articleCount: run.articles.length,
+        initialStrategy: run.strategies.find(strategy => strategy.kind === 'initial')?.query || null,
+        createdAt: run.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Obtiene una ejecución completa
+   * @param {string} id - ID de la ejecución
+   * @returns {Promise<Object|null>} - Ejecución normalizada o null si no existe
+   */
+  async getRun(id) {
+    const run = this.runs.get(id);
+    return run ? structuredClone(run) : null;
+  }
+
+  /**
+   * Actualiza la búsqueda del history server de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @param {Object} searchHistory - Búsqueda guardada
+   * @returns {Promise<void>}
+   */
+  async updateSearchHistory(id, searchHistory) {
+    const run = this.runs.get(id);
+    if (run) run.searchHistory = structuredClone(searchHistory);
+  }
+
+  /**
+   * Actualiza las métricas de búsqueda de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @param {Object} searchMetrics - Métricas de búsqueda
+   * @returns {Promise<void>}
+   */
+  async updateSearchMetrics(id, searchMetrics) {
+    const run = this.runs.get(id);
+    if (run) run.searchMetrics = structuredClone(searchMetrics);
+  }
+
+  /**
+   * Guarda la evaluación del riesgo de sesgo de un artículo de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @param {string} pmid - PMID del artículo
+   * @param {Object} assessment - Evaluación del riesgo de sesgo
+   * @returns {Promise<boolean>} - false si la ejecución no existe o no incluye el artículo
+   */
+  async saveRiskOfBias(id, pmid, assessment) {
+    const entry = this.runs.get(id)?.articles.find(article => article.pmid === pmid);
+    if (!entry) return false;
+    entry.riskOfBias = structuredClone(assessment);
+    return true;
+  }
+
+  /**
+   * Fija los revisores que deben decidir cada registro en el cribado, si la ejecución aún no los tiene
+   * @param {string} id - ID de la ejecución
+   * @param {number} requiredReviewers - Revisores requeridos (1 o 2)
+   * @returns {Promise<number|null>} - Revisores requeridos de la ejecución o null si no existe
+   */
+  async setScreeningRequiredReviewers(id, requiredReviewers) {
+    const run = this.runs.get(id);
+    if (!run) return null;
+    if (!run.screeningRequiredReviewers) run.screeningRequiredReviewers = requiredReviewers;
+    return run.screeningRequiredReviewers;
+  }
+
+  /**
+   * Guarda la decisión de cribado de un revisor (o la resolución de un conflicto), sustituyendo la anterior
+   * @param {string} id - ID de la ejecución
+   * @param {Object} entry - { pmid, stage, reviewer, resolution, decision, reason, note }
+   * @returns {Promise<boolean>} - false si la ejecución no existe o no incluye el artículo
+   */
+  async saveScreeningDecision(id, entry) {
+    const run = this.runs.get(id);
+    if (!run?.articles.some(article => article.pmid === entry.pmid)) return false;
+
+    // Una decisión por revisor y fase; una sola resolución por fase
+    const sameSlot = (existing) => existing.pmid === entry.pmid && existing.stage === entry.stage
+      && existing.resolution === entry.resolution && (entry.resolution || existing.reviewer === entry.reviewer);
+    run.screeningDecisions = (run.screeningDecisions || []).filter(existing => !sameSlot(existing));
+    run.screeningDecisions.push({ ...structuredClone(entry), updatedAt: new Date().toISOString() });
+    return true;
+  }
+
+  /**
+   * Lista las decisiones de cribado de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @returns {Promise<Array<Object>>} - Decisiones { pmid, stage, reviewer, resolution, decision, reason, note, updatedAt }
+   */
+  async listScreeningDecisions(id) {
+    return structuredClone(this.runs.get(id)?.screeningDecisions || []);
+  }
+
+  /**
+   * Elimina todas las ejecuciones
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.runs.clear();
+  }
+}
+
+export default MemoryQueryStore;
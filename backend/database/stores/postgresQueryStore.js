@@ -0,0 +1,401 @@
+/**
+ * Almacenamiento PostgreSQL de las ejecuciones de consultas
+ * Guarda cada ejecución con sus estrategias, artículos, métricas de iCite,
+ * desgloses de puntuación y análisis de IA (ver database/migrations)
+ */
+import format from 'pg-format';
+import config from '../../config/index.js';
+import { getPool, closePool } from '../pool.js';
+import { runMigrations } from '../migrate.js';
+import { getDatabaseError } from '../../lib/errors/database.error.js';
+import { createError } from '../../middlewares/errorHandler.js';
+
+/**
+ * Convierte un error de PostgreSQL en un error de la aplicación
+ * @param {Error} error - Error original de pg
+ * @returns {Error} - Error con código de estado HTTP
+ */
+const toAppError = (error) => {
+  if (!error.code || error.statusCode) return error;
+  const { code, message } = getDatabaseError(error.code);
+  console.error(`[${new Date().toISOString()}] [Database] Error ${error.code}: ${error.message}`);
+  return createError(message, code, 'DATABASE_ERROR');
+};
+
+/**
+ * Serializa un valor para una columna JSONB
+ * @param {*} value - Valor a guardar
+ * @returns {string|null} - JSON o null
+ */
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+class PostgresQueryStore {
+  constructor() {
+    this.name = 'postgres';
+    this.pool = null;
+  }
+
+  /**
+   * Conecta con la base de datos y aplica las migraciones pendientes si está configurado
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.pool = getPool();
+    await this.pool.query('SELECT 1');
+
+    if (config.database.migrateOnStart) {
+      await runMigrations(this.pool);
+    }
+  }
+
+  /**
+   * Guarda una ejecución completa en una única transacción
+   * @param {Object} run - Ejecución normalizada (ver services/queryHistoryService.js)
+   * @returns {Promise<string>} - ID de la ejecución
+   */
+  async saveRun(run) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `INSERT INTO query_runs
+          (id, job_id, question, use_ai, scoring_profile_id, scoring_profile_version,
+           search_metrics, search_history, article_count, process_time_ms,
+           ai_usage, cache_usage, ai_budget_exhausted, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+          run.id,
+          run.jobId,
+          run.question,
+          run.useAI,
+          run.scoringProfile?.id || null,
+          run.scoringProfile?.version || null,
+          toJson(run.searchMetrics),
+          toJson(run.searchHistory),
+          run.articles.length,
+          run.processTimeMs,
+          toJson(run.aiUsage),
+          toJson(run.cacheUsage),
+          run.aiBudgetExhausted,
+          run.createdAt
+        ]
+      );
+
+      if (run.strategies.length > 0) {
+        await client.query(format(
+          'INSERT INTO query_strategies (run_id, kind, query, details) VALUES %L',
+          run.strategies.map(strategy => [run.id, strategy.kind, strategy.query, toJson(strategy.details)])
+        ));
+      }
+
+      if (run.articles.length > 0) {
+        // Un mismo PMID no puede actualizarse dos veces en la misma sentencia
+        const uniqueArticles = [...new Map(run.articles.map(entry => [entry.pmid, entry])).values()];
+
+        await client.query(format(
+          `INSERT INTO articles (pmid, doi, title, journal, publication_date, data)
+           VALUES %L
+           ON CONFLICT (pmid) DO UPDATE SET
+             doi = EXCLUDED.doi,
+             title = EXCLUDED.title,
+             journal = EXCLUDED.journal,
+             publication_date = EXCLUDED.publication_date,
+             data = EXCLUDED.data,
+             updated_at = NOW()`,
+          uniqueArticles.map(({ pmid, data }) => [
+            pmid, data.doi || null, data.title || null, data.journal || null, data.publicationDate || null, toJson(data)
+          ])
+        ));
+
+        await client.query(format(
+          `INSERT INTO query_run_articles (run_id, pmid, rank, priority_score, score_breakdown, icite_metrics)
+           VALUES %L`,
+          uniqueArticles.map(entry => [
+            run.id, entry.pmid, entry.rank, entry.priorityScore, toJson(entry.scoreBreakdown), toJson(entry.iciteMetrics)
+          ])
+        ));
+
+        const analyses = uniqueArticles.filter(entry => entry.analysis);
+        if (analyses.length > 0) {
+          await client.query(format(
+            'INSERT INTO article_analyses (run_id, pmid, analysis) VALUES %L',
+            analyses.map(entry => [run.id, entry.pmid, toJson(entry.analysis)])
+          ));
+        }
+
+        const assessments = uniqueArticles.filter(entry => entry.riskOfBias);
+        if (assessments.length > 0) {
+          await client.query(format(
+            'INSERT INTO article_risk_of_bias (run_id, pmid, tool, assessment) VALUES %L',
+            assessments.map(entry => [run.id, entry.pmid, entry.riskOfBias.tool, toJson(entry.riskOfBias)])
+          ));
+        }
+      }
+
+      await client.query('COMMIT');
+      return run.id;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw toAppError(error);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lista las ejecuciones de la más reciente a la más antigua
+   * @param {Object} options - Paginación
+   * @param {number} options.limit - Número máximo de ejecuciones
+   * @param {number} options.offset - Ejecuciones a omitir
+   * @returns {Promise<Object>} - { total, runs }
+   */
+  async listRuns({ limit, offset }) {
+    try {
+      const [countResult, runsResult] = await Promise.all([
+        this.pool.query('SELECT COUNT(*)::int AS total FROM query_runs'),
+        this.pool.query(
+          `SELECT r.id, r.question, r.use_ai, r.scoring_profile_id, r.scoring_profile_version,
+                  r.article_count, r.created_at, s.query AS initial_strategy
+             FROM query_runs r
+             LEFT JOIN query_strategies s ON s.run_id = r.id AND s.kind = 'initial'
+            ORDER BY r.created_at DESC
+            LIMIT $1 OFFSET $2`,
+          [limit, offset]
+        )
+      ]);
+
+      return {
+        total: countResult.rows[0].total,
+        runs: runsResult.rows.map(row => ({
+          id: row.id,
+          question: row.question,
+          useAI: row.use_ai,
+          scoringProfile: row.scoring_profile_id
+            ? { id: row.scoring_profile_id, version: row.scoring_profile_version }
+            : null,
+          articleCount: row.article_count,
+          initialStrategy: row.initial_strategy,
+          createdAt: row.created_at.toISOString()
+        }))
+      };
+    } catch (error) {
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Obtiene una ejecución completa
+   * @param {string} id - ID de la ejecución
+   * @returns {Promise<Object|null>} - Ejecución normalizada o null si no existe
+   */
+  async getRun(id) {
+    try {
+      const runResult = await this.pool.query('SELECT * FROM query_runs WHERE id = $1', [id]);
+      if (runResult.rows.length === 0) return null;
+      const row = runResult.rows[0];
+
+      const [strategiesResult, articlesResult, analysesResult, riskOfBiasResult] = await Promise.all([
+        this.pool.query('SELECT kind, query, details FROM query_strategies WHERE run_id = $1 ORDER BY id', [id]),
+        this.pool.query(
+          `SELECT ra.pmid, ra.rank, ra.priority_score, ra.score_breakdown, ra.icite_metrics, a.data
+             FROM query_run_articles ra
+             JOIN articles a ON a.pmid = ra.pmid
+            WHERE ra.run_id = $1
+            ORDER BY ra.rank`,
+          [id]
+        ),
+        this.pool.query(
+          `SELECT DISTINCT ON (pmid) pmid, analysis
+             FROM article_analyses
+            WHERE run_id = $1
+            ORDER BY pmid, created_at DESC`,
+          [id]
+        ),
+        this.pool.query(
+          `SELECT DISTINCT ON (pmid) pmid, assessment
+             FROM article_risk_of_bias
+            WHERE run_id = $1
+            ORDER BY pmid, created_at DESC`,
+          [id]
+        )
+      ]);
+
+      const analysisByPmid = new Map(analysesResult.rows.map(analysis => [analysis.pmid, analysis.analysis]));
+      const riskOfBiasByPmid = new Map(riskOfBiasResult.rows.map(entry => [entry.pmid, entry.assessment]));
+
+      return {
+        id: row.id,
+        jobId: row.job_id,
+        question: row.question,
+        useAI: row.use_ai,
+        scoringProfile: row.scoring_profile_id
+          ? { id: row.scoring_profile_id, version: row.scoring_profile_version }
+          : null,
+        searchMetrics: row.search_metrics,
+        searchHistory: row.search_history,
+        processTimeMs: row.process_time_ms,
+        aiUsage: row.ai_usage,
+        cacheUsage: row.cache_usage,
+        aiBudgetExhausted: row.ai_budget_exhausted,
+        screeningRequiredReviewers: row.screening_required_reviewers,
+        createdAt: row.created_at.toISOString(),
+        strategies: strategiesResult.rows,
+        articles: articlesResult.rows.map(article => ({
+          pmid: article.pmid,
+          rank: article.rank,
+          // NUMERIC llega como cadena desde pg
+          priorityScore: article.priority_score === null ? null : parseFloat(article.priority_score),
+          scoreBreakdown: article.score_breakdown,
+          iciteMetrics: article.icite_metrics,
+          analysis: analysisByPmid.get(article.pmid) || null,
+          riskOfBias: riskOfBiasByPmid.get(article.pmid) || null,
+          data: article.data
+        }))
+      };
+    } catch (error) {
+      // Un ID con formato distinto de UUID equivale a una ejecución inexistente
+      if (error.code === '22P02') return null;
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Actualiza la búsqueda del history server de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @param {Object} searchHistory - Búsqueda guardada
+   * @returns {Promise<void>}
+   */
+  async updateSearchHistory(id, searchHistory) {
+    try {
+      await this.pool.query('UPDATE query_runs SET search_history = $2 WHERE id = $1', [id, toJson(searchHistory)]);
+    } catch (error) {
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Actualiza las métricas de búsqueda de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @param {Object} searchMetrics - Métricas de búsqueda
+   * @returns {Promise<void>}
+   */
+  async updateSearchMetrics(id, searchMetrics) {
+    try {
+      await this.pool.query('UPDATE query_runs SET search_metrics = $2 WHERE id = $1', [id, toJson(searchMetrics)]);
+    } catch (error) {
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Guarda la evaluación del riesgo de sesgo de un artículo de una ejecución
+   * Se conserva el historial de evaluaciones; al leer la ejecución se usa la más reciente
+   * @param {string} id - ID de la ejecución
+   * @param {string} pmid - PMID del artículo
+   * @param {Object} assessment - Evaluación del riesgo de sesgo
+   * @returns {Promise<boolean>} - false si la ejecución no existe o no incluye el artículo
+   */
+  async saveRiskOfBias(id, pmid, assessment) {
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO article_risk_of_bias (run_id, pmid, tool, assessment)
+         SELECT run_id, pmid, $3, $4 FROM query_run_articles WHERE run_id = $1 AND pmid = $2`,
+        [id, pmid, assessment.tool, toJson(assessment)]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      // Un ID con formato distinto de UUID equivale a una ejecución inexistente
+      if (error.code === '22P02') return false;
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Fija los revisores que deben decidir cada registro en el cribado, si la ejecución aún no los tiene
+   * @param {string} id - ID de la ejecución
+   * @param {number} requiredReviewers - Revisores requeridos (1 o 2)
+   * @returns {Promise<number|null>} - Revisores requeridos de la ejecución o null si no existe
+   */
+  async setScreeningRequiredReviewers(id, requiredReviewers) {
+    try {
+      // COALESCE conserva el valor ya fijado aunque dos revisores decidan a la vez
+      const result = await this.pool.query(
+        `UPDATE query_runs
+            SET screening_required_reviewers = COALESCE(screening_required_reviewers, $2)
+          WHERE id = $1
+          RETURNING screening_required_reviewers`,
+        [id, requiredReviewers]
+      );
+      return result.rows[0]?.screening_required_reviewers ?? null;
+    } catch (error) {
+      if (error.code === '22P02') return null;
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Guarda la decisión de cribado de un revisor (o la resolución de un conflicto), sustituyendo la anterior
+   * @param {string} id - ID de la ejecución
+   * @param {Object} entry - { pmid, stage, reviewer, resolution, decision, reason, note }
+   * @returns {Promise<boolean>} - false si la ejecución no existe o no incluye el artículo
+   */
+  async saveScreeningDecision(id, entry) {
+    // Una decisión por revisor y fase; una sola resolución por fase (índices únicos parciales)
+    const conflictTarget = entry.resolution
+      ? '(run_id, pmid, stage) WHERE resolution'
+      : '(run_id, pmid, stage, reviewer) WHERE NOT resolution';
+
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO screening_decisions (run_id, pmid, stage, reviewer, resolution, decision, reason, note)
+         SELECT run_id, pmid, $3, $4, $5, $6, $7, $8 FROM query_run_articles WHERE run_id = $1 AND pmid = $2
+         ON CONFLICT ${conflictTarget} DO UPDATE SET
+           reviewer = EXCLUDED.reviewer,
+           decision = EXCLUDED.decision,
+           reason = EXCLUDED.reason,
+           note = EXCLUDED.note,
+           updated_at = NOW()`,
+        [id, entry.pmid, entry.stage, entry.reviewer, entry.resolution, entry.decision, entry.reason, entry.note]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      // Un ID con formato distinto de UUID equivale a una ejecución inexistente
+      if (error.code === '22P02') return false;
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Lista las decisiones de cribado de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @returns {Promise<Array<Object>>} - Decisiones { pmid, stage, reviewer, resolution, decision, reason, note, updatedAt }
+   */
+  async listScreeningDecisions(id) {
+    try {
+      const result = await this.pool.query(
+        `SELECT pmid, stage, reviewer, resolution, decision, reason, note, updated_at
+           FROM screening_decisions
+          WHERE run_id = $1
+          ORDER BY updated_at`,
+        [id]
+      );
+      return result.rows.map(({ updated_at: updatedAt, ...entry }) => ({ ...entry, updatedAt: updatedAt.toISOString() }));
+    } catch (error) {
+      if (error.code === '22P02') return [];
+      throw toAppError(error);
+    }
+  }
+
+  /**
+   * Cierra el pool de conexiones
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await closePool();
+    this.pool = null;
+  }
+}
+
+export default PostgresQueryStore;
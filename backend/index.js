@@ -9,21 +9,31 @@ import config from "./config/index.js";
 import scientificQueryRoute from "./routes/scientificQuery.route.js";
 import claudeRoute from "./routes/claude.route.js";
 import iciteRoute from "./routes/icite.route.js";
+import queryRoute from "./routes/query.route.js";
+import adminRoute from "./routes/admin.route.js";
 
 // Importar middlewares
 import { requestLogger } from "./middlewares/logger.js";
 import { errorHandler } from "./middlewares/errorHandler.js";
+import { cacheUsage } from "./middlewares/cacheUsage.js";
+import { apiRateLimiter, initRateLimitStore } from "./middlewares/rateLimiter.js";
 
 // Importar Socket.IO y configuración
 import { initSocketIO, io } from './socket.js';
+import jobService from './services/jobService.js';
+import queryHistoryService from './services/queryHistoryService.js';
+import cacheService from './services/cacheService.js';
+import aiUsageService from './services/aiUsageService.js';
 
 // Crear la aplicación Express
 const app = express();
+app.set('trust proxy', config.server.trustProxy);
 
 // Configuración de middlewares
 app.use(express.json({ limit: '2mb' }));
 app.use(cors(config.security.corsOptions));
 app.use(requestLogger);
+app.use(cacheUsage);
 
 // Banner de inicio
 console.log('======================================');
@@ -34,9 +44,12 @@ console.log('======================================');
 
 // Configuración de rutas
 const apiPrefix = config.server.apiPrefix;
+app.use(apiPrefix, apiRateLimiter);
 app.use(`${apiPrefix}/scientific-query`, scientificQueryRoute);
 app.use(`${apiPrefix}/claude`, claudeRoute);
 app.use(`${apiPrefix}/icite`, iciteRoute);
+app.use(`${apiPrefix}/queries`, queryRoute);
+app.use(`${apiPrefix}/admin`, adminRoute);
 
 // Ruta de prueba para verificar que el servidor está funcionando
 app.get("/", (req, res) => {
@@ -69,6 +82,21 @@ const server = http.createServer(app);
 // Inicializar Socket.IO con el servidor HTTP
 const socketIO = initSocketIO(server);
 
+// Permitir que los clientes se suscriban a las salas de los trabajos asíncronos
+jobService.registerSocketHandlers(socketIO);
+
+// Conectar el historial de consultas (PostgreSQL o memoria) antes de aceptar peticiones
+await queryHistoryService.init();
+
+// Preparar la caché de respuestas de PubMed, iCite y Claude (memoria o driver persistente)
+await cacheService.init();
+
+// Preparar los contadores de límite de peticiones (memoria o PostgreSQL)
+await initRateLimitStore();
+
+// Preparar el registro de uso y coste de la IA (PostgreSQL o memoria)
+await aiUsageService.init();
+
 // Iniciar el servidor
 server.listen(PORT, () => {
   console.log(`Servidor ejecutándose en el puerto ${PORT}`);
@@ -0,0 +1,63 @@
+/**
+ * Lectura de respuestas en streaming con formato SSE (server-sent events)
+ * La usan los proveedores HTTP: cada evento "data:" se entrega ya parseado como JSON
+ */
+
+/**
+ * Lee los eventos de un stream SSE hasta que termina
+ * @param {Stream} stream - Cuerpo de la respuesta (axios con responseType 'stream')
+ * @param {Function} onEvent - Recibe cada evento parseado; si lanza un error se detiene la lectura
+ * @param {AbortSignal} signal - Cancela la lectura (opcional)
+ * @returns {Promise<void>}
+ */
+export function readEventStream(stream, onEvent, signal) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    const handleEvent = (rawEvent) => {
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+      // [DONE] marca el final en la API de OpenAI
+      if (!data || data === '[DONE]') return;
+      onEvent(JSON.parse(data));
+    };
+
+    const abort = () => stream.destroy(new Error('Streaming cancelado'));
+    signal?.addEventListener('abort', abort, { once: true });
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk.replace(/\r\n/g, '\n');
+      let boundary;
+      try {
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          handleEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+        }
+      } catch (error) {
+        stream.destroy(error);
+      }
+    });
+    stream.on('end', () => {
+      signal?.removeEventListener('abort', abort);
+      try {
+        // Último evento sin línea en blanco final
+        if (buffer.trim()) handleEvent(buffer);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+    stream.on('error', (error) => {
+      signal?.removeEventListener('abort', abort);
+      reject(error);
+    });
+  });
+}
+
+export default {
+  readEventStream
+};
@@ -0,0 +1,42 @@
+/**
+ * Proveedores de modelos de lenguaje intercambiables
+ * Todos implementan la misma interfaz:
+ * - name y defaultModels (modelo por defecto de cada tarea)
+ * - validateConfig() → motivo por el que no se puede usar o null
+ * - complete({ prompt, task, model, temperature, maxTokens }) → { text, usage }
+ * - stream({ ...igual que complete, onText, signal }) → { text, usage }
+ * usage es { inputTokens, outputTokens } (null si el proveedor no lo informa)
+ */
+import AnthropicProvider from './providers/anthropicProvider.js';
+import OpenAICompatibleProvider from './providers/openaiCompatibleProvider.js';
+import ReplayProvider from './providers/replayProvider.js';
+
+// Tareas con modelo configurable (config.llm.models)
+export const LLM_TASKS = ['default', 'strategy', 'refinement', 'analysis', 'synthesis'];
+
+export const LLM_PROVIDERS = {
+  anthropic: AnthropicProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  replay: ReplayProvider
+};
+
+/**
+ * Crea el proveedor indicado
+ * @param {string} name - Nombre del proveedor (ver LLM_PROVIDERS)
+ * @param {Object} options - Opciones del constructor del proveedor
+ * @returns {Object} - Proveedor
+ * @throws {Error} - Si el proveedor no existe
+ */
+export function createProvider(name, options = {}) {
+  const Provider = LLM_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Proveedor de IA desconocido "${name}". Disponibles: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+export default {
+  LLM_TASKS,
+  LLM_PROVIDERS,
+  createProvider
+};
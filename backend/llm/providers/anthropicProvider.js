@@ -0,0 +1,117 @@
+/**
+ * Proveedor de la API de mensajes de Anthropic (Claude)
+ * Usa config.apis.claude (CLAUDE_API_KEY y CLAUDE_API_URL)
+ */
+import axios from 'axios';
+import config from '../../config/index.js';
+import { readEventStream } from '../eventStream.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider {
+  constructor({ apiKey = config.apis.claude.apiKey, baseUrl = config.apis.claude.baseUrl } = {}) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    // Haiku para todas las tareas salvo la síntesis, que usa un modelo de mayor capacidad
+    this.defaultModels = {
+      default: 'claude-3-haiku-20240307',
+      synthesis: 'claude-3-opus-20240229'
+    };
+  }
+
+  /**
+   * Comprueba que el proveedor se puede usar
+   * @returns {string|null} - Motivo por el que no está configurado o null
+   */
+  validateConfig() {
+    return this.apiKey ? null : 'API Key de Claude no está configurada';
+  }
+
+  /**
+   * Genera una respuesta completa
+   * @param {Object} request - { prompt, model, temperature, maxTokens, signal }
+   * @returns {Promise<Object>} - { text, usage: { inputTokens, outputTokens } }
+   */
+  async complete({ prompt, model, temperature, maxTokens, signal }) {
+    const response = await axios.post(`${this.baseUrl}/v1/messages`,
+      this._buildBody(prompt, model, temperature, maxTokens),
+      { headers: this._buildHeaders(), signal, timeout: config.llm.timeout });
+
+    const text = response.data?.content?.[0]?.text;
+    if (!text) {
+      throw new Error('Formato de respuesta inválido de Claude');
+    }
+
+    return {
+      text,
+      usage: {
+        inputTokens: response.data.usage?.input_tokens ?? null,
+        outputTokens: response.data.usage?.output_tokens ?? null
+      }
+    };
+  }
+
+  /**
+   * Genera una respuesta en streaming
+   * @param {Object} request - { prompt, model, temperature, maxTokens, onText, signal }
+   * @returns {Promise<Object>} - { text, usage: { inputTokens, outputTokens } }
+   */
+  async stream({ prompt, model, temperature, maxTokens, onText, signal }) {
+    const response = await axios.post(`${this.baseUrl}/v1/messages`,
+      { ...this._buildBody(prompt, model, temperature, maxTokens), stream: true },
+      { headers: this._buildHeaders(), responseType: 'stream', signal, timeout: config.llm.timeout });
+
+    let text = '';
+    const usage = { inputTokens: null, outputTokens: null };
+
+    await readEventStream(response.data, (event) => {
+      if (event.type === 'message_start') {
+        usage.inputTokens = event.message?.usage?.input_tokens ?? null;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        onText(event.delta.text);
+      } else if (event.type === 'message_delta' && event.usage) {
+        usage.outputTokens = event.usage.output_tokens ?? null;
+      } else if (event.type === 'error') {
+        throw new Error(event.error?.message || 'Error en el streaming de Claude');
+      }
+    }, signal);
+
+    if (!text) {
+      throw new Error('Formato de respuesta inválido de Claude');
+    }
+    return { text, usage };
+  }
+
+  /**
+   * Cuerpo de la solicitud con el prompt como único mensaje del usuario
+   * @param {string} prompt - Prompt
+   * @param {string} model - Modelo
+   * @param {number} temperature - Temperatura
+   * @param {number} maxTokens - Máximo de tokens de la respuesta
+   * @returns {Object} - Cuerpo de la solicitud
+   */
+  _buildBody(prompt, model, temperature, maxTokens) {
+    return {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxTokens
+    };
+  }
+
+  /**
+   * Cabeceras de autenticación y versión de la API
+   * @returns {Object} - Cabeceras HTTP
+   */
+  _buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    };
+  }
+}
+
+export default AnthropicProvider;
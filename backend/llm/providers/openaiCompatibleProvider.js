@@ -0,0 +1,126 @@
+/**
+ * Proveedor para servidores compatibles con la API de chat de OpenAI
+ * Pensado para modelos locales (Ollama, llama.cpp, vLLM...); usa config.apis.openaiCompatible
+ */
+import axios from 'axios';
+import config from '../../config/index.js';
+import { readEventStream } from '../eventStream.js';
+
+class OpenAICompatibleProvider {
+  constructor({ apiKey = config.apis.openaiCompatible.apiKey, baseUrl = config.apis.openaiCompatible.baseUrl } = {}) {
+    this.name = 'openai-compatible';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : '';
+    // Los servidores locales sirven el modelo que tengan cargado; se puede cambiar con LLM_MODEL
+    this.defaultModels = {
+      default: 'llama3.1'
+    };
+  }
+
+  /**
+   * Comprueba que el proveedor se puede usar
+   * @returns {string|null} - Motivo por el que no está configurado o null
+   */
+  validateConfig() {
+    return this.baseUrl ? null : 'URL del servidor compatible con OpenAI no configurada (LLM_OPENAI_BASE_URL)';
+  }
+
+  /**
+   * Genera una respuesta completa
+   * @param {Object} request - { prompt, model, temperature, maxTokens, signal }
+   * @returns {Promise<Object>} - { text, usage: { inputTokens, outputTokens } }
+   */
+  async complete({ prompt, model, temperature, maxTokens, signal }) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`,
+      this._buildBody(prompt, model, temperature, maxTokens),
+      { headers: this._buildHeaders(), signal, timeout: config.llm.timeout });
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('Formato de respuesta inválido del servidor compatible con OpenAI');
+    }
+
+    return { text, usage: this._parseUsage(response.data.usage) };
+  }
+
+  /**
+   * Genera una respuesta en streaming
+   * @param {Object} request - { prompt, model, temperature, maxTokens, onText, signal }
+   * @returns {Promise<Object>} - { text, usage: { inputTokens, outputTokens } }
+   */
+  async stream({ prompt, model, temperature, maxTokens, onText, signal }) {
+    const response = await axios.post(`${this.baseUrl}/chat/completions`,
+      {
+        ...this._buildBody(prompt, model, temperature, maxTokens),
+        stream: true,
+        stream_options: { include_usage: true }
+      },
+      { headers: this._buildHeaders(), responseType: 'stream', signal, timeout: config.llm.timeout });
+
+    let text = '';
+    let usage = this._parseUsage(null);
+
+    await readEventStream(response.data, (event) => {
+      if (event.error) {
+        throw new Error(event.error.message || 'Error en el streaming del servidor compatible con OpenAI');
+      }
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+      // El último evento incluye el uso de tokens si el servidor admite include_usage
+      if (event.usage) {
+        usage = this._parseUsage(event.usage);
+      }
+    }, signal);
+
+    if (!text) {
+      throw new Error('Formato de respuesta inválido del servidor compatible con OpenAI');
+    }
+    return { text, usage };
+  }
+
+  /**
+   * Cuerpo de la solicitud con el prompt como único mensaje del usuario
+   * @param {string} prompt - Prompt
+   * @param {string} model - Modelo
+   * @param {number} temperature - Temperatura
+   * @param {number} maxTokens - Máximo de tokens de la respuesta
+   * @returns {Object} - Cuerpo de la solicitud
+   */
+  _buildBody(prompt, model, temperature, maxTokens) {
+    return {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxTokens
+    };
+  }
+
+  /**
+   * Cabeceras de la solicitud (con el token si está configurado)
+   * @returns {Object} - Cabeceras HTTP
+   */
+  _buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Convierte el uso de tokens de la API al formato común de los proveedores
+   * @param {Object} usage - { prompt_tokens, completion_tokens } o null
+   * @returns {Object} - { inputTokens, outputTokens }
+   */
+  _parseUsage(usage) {
+    return {
+      inputTokens: usage?.prompt_tokens ?? null,
+      outputTokens: usage?.completion_tokens ?? null
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,148 @@
+/**
+ * Proveedor que reproduce respuestas grabadas en fixtures JSON, sin acceso a la red
+ * Permite ejecutar el flujo completo en pruebas y demostraciones de forma determinista.
+ *
+ * Cada archivo .json del directorio de fixtures contiene una lista de entradas
+ * { task, promptHash, match, response } y para cada prompt se usa, por orden:
+ * 1. La entrada cuyo promptHash (SHA-256 del prompt) coincide exactamente
+ * 2. La primera entrada de la tarea (o sin tarea) cuyo texto match aparece en el prompt
+ * 3. La primera entrada genérica de la tarea (sin promptHash ni match)
+ * response puede ser texto o un objeto, que se devuelve serializado como JSON.
+ *
+ * Como los PMIDs de una búsqueda real no se conocen al grabar el fixture, la respuesta puede
+ * usar {{pmid:N}}, que se sustituye por el N-ésimo PMID distinto de los artículos del prompt
+ * (líneas "ARTÍCULO <pmid>:" o "PMID <pmid>:"), volviendo al primero si hay menos de N.
+ */
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../../config/index.js';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+// Cabecera de cada artículo en los prompts (ver utils/aiPrompts.js)
+const PROMPT_PMID_PATTERN = /^(?:ARTÍCULO|PMID) (\d+):/gm;
+const PMID_PLACEHOLDER_PATTERN = /\{\{pmid:(\d+)\}\}/g;
+
+/**
+ * Calcula el hash con el que se identifica un prompt en los fixtures
+ * @param {string} prompt - Prompt
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+export const hashPrompt = (prompt) => createHash('sha256').update(prompt).digest('hex');
+
+/**
+ * Sustituye los marcadores {{pmid:N}} de una respuesta por los PMIDs de los artículos del prompt
+ * @param {string} text - Respuesta del fixture
+ * @param {string} prompt - Prompt
+ * @returns {string} - Respuesta con los PMIDs (sin cambios si el prompt no incluye artículos)
+ */
+export const fillPmidPlaceholders = (text, prompt) => {
+  const pmids = [...new Set([...prompt.matchAll(PROMPT_PMID_PATTERN)].map(match => match[1]))];
+  if (pmids.length === 0) {
+    return text;
+  }
+  return text.replace(PMID_PLACEHOLDER_PATTERN, (placeholder, position) =>
+    pmids[(Math.max(Number(position), 1) - 1) % pmids.length]);
+};
+
+/**
+ * Estima el número de tokens de un texto (aprox. 4 caracteres por token)
+ * @param {string} text - Texto
+ * @returns {number} - Tokens estimados
+ */
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+class ReplayProvider {
+  constructor({ fixturesDir = config.llm.replay.fixturesDir || DEFAULT_FIXTURES_DIR } = {}) {
+    this.name = 'replay';
+    this.fixturesDir = fixturesDir;
+    this.fixtures = null;
+    this.defaultModels = {
+      default: 'replay'
+    };
+  }
+
+  /**
+   * Comprueba que el proveedor se puede usar
+   * @returns {string|null} - Siempre null: los fixtures se cargan en la primera petición
+   */
+  validateConfig() {
+    return null;
+  }
+
+  /**
+   * Devuelve la respuesta grabada para el prompt
+   * @param {Object} request - { prompt, task }
+   * @returns {Promise<Object>} - { text, usage: { inputTokens, outputTokens } } con tokens estimados
+   */
+  async complete({ prompt, task }) {
+    const text = await this._findResponse(prompt, task);
+    return {
+      text,
+      usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+    };
+  }
+
+  /**
+   * Devuelve la respuesta grabada palabra a palabra, como un streaming real
+   * @param {Object} request - { prompt, task, onText, signal }
+   * @returns {Promise<Object>} - { text, usage: { inputTokens, outputTokens } } con tokens estimados
+   */
+  async stream({ prompt, task, onText, signal }) {
+    const result = await this.complete({ prompt, task });
+
+    for (const chunk of result.text.match(/\S+\s*|\s+/g)) {
+      if (signal?.aborted) {
+        throw new Error('Streaming cancelado');
+      }
+      onText(chunk);
+      // Ceder el turno para que los fragmentos se emitan por separado
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return result;
+  }
+
+  /**
+   * Busca la respuesta que corresponde a un prompt
+   * @param {string} prompt - Prompt
+   * @param {string} task - Tarea (default, strategy, refinement, analysis, synthesis)
+   * @returns {Promise<string>} - Respuesta grabada, con los marcadores {{pmid:N}} sustituidos
+   * @throws {Error} - Si ningún fixture corresponde al prompt
+   */
+  async _findResponse(prompt, task) {
+    const fixtures = await this._loadFixtures();
+    const promptHash = hashPrompt(prompt);
+    const sameTask = (fixture) => !fixture.task || fixture.task === task;
+
+    const fixture = fixtures.find(item => item.promptHash === promptHash)
+      || fixtures.find(item => item.match && sameTask(item) && prompt.includes(item.match))
+      || fixtures.find(item => !item.promptHash && !item.match && item.task === task);
+
+    if (!fixture) {
+      throw new Error(`No hay fixture de replay para la tarea "${task}" (promptHash ${promptHash})`);
+    }
+    const text = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+    return fillPmidPlaceholders(text, prompt);
+  }
+
+  /**
+   * Lee los fixtures del directorio (una sola vez, en orden alfabético de archivo)
+   * @returns {Promise<Array<Object>>} - Entradas de todos los archivos
+   */
+  async _loadFixtures() {
+    if (!this.fixtures) {
+      const files = (await readdir(this.fixturesDir)).filter(file => file.endsWith('.json')).sort();
+      const entries = [];
+      for (const file of files) {
+        const content = JSON.parse(await readFile(path.join(this.fixturesDir, file), 'utf8'));
+        entries.push(...(Array.isArray(content) ? content : [content]));
+      }
+      this.fixtures = entries;
+    }
+    return this.fixtures;
+  }
+}
+
+export default ReplayProvider;
@@ -0,0 +1,42 @@
+/**
+ * Middleware de autorización para los endpoints de administración
+ * Acepta el token configurado (ADMIN_TOKEN) en la cabecera Authorization: Bearer o en X-Admin-Token.
+ * Sin token configurado solo se permite el acceso fuera de producción.
+ */
+import { timingSafeEqual } from 'crypto';
+import config from '../config/index.js';
+import { errorTypes } from './errorHandler.js';
+
+/**
+ * Compara dos cadenas en tiempo constante
+ * @param {string} a - Primera cadena
+ * @param {string} b - Segunda cadena
+ * @returns {boolean} - Si son iguales
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+export const requireAdmin = (req, res, next) => {
+  const adminToken = config.security.adminToken;
+
+  if (!adminToken) {
+    if (config.server.env === 'production') {
+      return next(errorTypes.forbidden('Endpoints de administración desactivados: ADMIN_TOKEN no está configurado'));
+    }
+    return next();
+  }
+
+  const authorization = req.get('authorization') || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice(7).trim()
+    : (req.get('x-admin-token') || '');
+
+  if (!token || !safeEqual(token, adminToken)) {
+    return next(errorTypes.unauthorized('Token de administración inválido'));
+  }
+
+  return next();
+};
@@ -0,0 +1,34 @@
+/**
+ * Middleware que rechaza las peticiones que llaman a la IA cuando se ha agotado
+ * el presupuesto diario (config.llm.dailyBudgetUsd, ver services/aiUsageService.js)
+ * Las consultas científicas no lo usan: continúan sin IA en lugar de fallar
+ */
+import aiUsageService from '../services/aiUsageService.js';
+import { errorTypes } from './errorHandler.js';
+
+/**
+ * Crea el middleware del presupuesto de IA
+ * @param {Object} options - Opciones
+ * @param {Function} options.skip - Devuelve true para las peticiones que no llaman a la IA (opcional)
+ * @returns {Function} - Middleware de Express
+ */
+export const createAIBudgetGuard = ({ skip = null } = {}) => async (req, res, next) => {
+  if ((skip && skip(req)) || !(await aiUsageService.isBudgetExhausted())) {
+    return next();
+  }
+
+  const budget = await aiUsageService.getBudget().catch(() => null);
+  if (budget) {
+    res.set('Retry-After', String(Math.max(Math.ceil((new Date(budget.resetsAt) - Date.now()) / 1000), 0)));
+  }
+
+  return next(errorTypes.serviceUnavailable(
+    'Se ha agotado el presupuesto diario de IA. Inténtelo de nuevo mañana o use la búsqueda sin IA',
+    'AI_BUDGET_EXHAUSTED'
+  ));
+};
+
+/**
+ * Presupuesto de IA para las rutas que siempre llaman a la IA
+ */
+export const aiBudgetGuard = createAIBudgetGuard();
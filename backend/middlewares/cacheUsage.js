@@ -0,0 +1,31 @@
+/**
+ * Middleware que informa de los aciertos y fallos de caché de cada petición
+ * Añade las cabeceras X-Cache-Hits y X-Cache-Misses y el campo "cache" a las respuestas JSON
+ * cuando la petición ha consultado la caché
+ */
+import cacheService from '../services/cacheService.js';
+
+export const cacheUsage = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const usage = cacheService.getCurrentUsage();
+
+    if (usage && usage.hits + usage.misses > 0 && !res.headersSent) {
+      res.set('X-Cache-Hits', String(usage.hits));
+      res.set('X-Cache-Misses', String(usage.misses));
+
+      if (body && typeof body === 'object' && !Array.isArray(body) && body.cache === undefined) {
+        body = { ...body, cache: usage };
+      }
+    }
+
+    return json(body);
+  };
+
+  // Los contadores se comparten con todo el código asíncrono que se ejecute para esta petición
+  cacheService.track(() => new Promise(resolve => {
+    res.on('close', resolve);
+    next();
+  }));
+};
@@ -101,5 +101,8 @@ export const errorTypes = {
     createError(message, 429, code),
     
   serverError: (message = 'Error interno del servidor', code = 'SERVER_ERROR') => 
-    createError(message, 500, code)
+    createError(message, 500, code),
+
+  serviceUnavailable: (message = 'Servicio no disponible', code = 'SERVICE_UNAVAILABLE') => 
+    createError(message, 503, code)
 }; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import claudeService from '../services/claudeService.js';
+import aiUsageService from '../services/aiUsageService.js';
 
 // Middleware para validar preguntas científicas
 
@@ -29,8 +30,8 @@ export const validateQuestionAI = async (req, res, next) => {
       return res.status(400).json({ error: 'La pregunta es demasiado corta' });
     }
 
-    // Si el toggle de IA está activado, validamos con Claude
-    if (useAI) {
+    // Si el toggle de IA está activado, validamos con Claude (salvo que se haya agotado el presupuesto diario)
+    if (useAI && !(await aiUsageService.isBudgetExhausted())) {
       // Creamos un prompt específico para validación
       const validationPrompt = `
         Eres Claude, un asistente experto en investigación científica médica.
@@ -0,0 +1,120 @@
+/**
+ * Middleware de límite de peticiones por cliente (config.security.rateLimit)
+ * Usa ventanas fijas cuyos contadores se guardan en un almacenamiento intercambiable:
+ * en memoria (por proceso) o en PostgreSQL (compartido entre instancias)
+ */
+import config from '../config/index.js';
+import { errorTypes } from './errorHandler.js';
+import MemoryRateLimitStore from '../rateLimit/stores/memoryStore.js';
+import PostgresRateLimitStore from '../rateLimit/stores/postgresStore.js';
+
+const STORES = {
+  memory: MemoryRateLimitStore,
+  postgres: PostgresRateLimitStore
+};
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Inicializa el almacenamiento configurado (config.security.rateLimit.driver)
+ * Si no está disponible se usan contadores en memoria para no impedir que el servidor arranque
+ * @param {Object} customStore - Almacenamiento a usar en lugar del configurado (opcional, para pruebas)
+ * @returns {Promise<void>}
+ */
+export const initRateLimitStore = async (customStore = null) => {
+  const timestamp = () => new Date().toISOString();
+  const driver = config.security.rateLimit.driver;
+  const StoreClass = STORES[driver];
+
+  if (!customStore && !StoreClass) {
+    console.error(`[${timestamp()}] [RateLimit] Almacenamiento desconocido "${driver}". Se usará memoria`);
+  }
+
+  const candidate = customStore || new (StoreClass || MemoryRateLimitStore)();
+  try {
+    await candidate.init();
+    store = candidate;
+  } catch (error) {
+    console.error(`[${timestamp()}] [RateLimit] No se pudo inicializar "${candidate.name}". Se usará memoria:`, error.message);
+    store = new MemoryRateLimitStore();
+    await store.init();
+  }
+
+  console.log(`[${timestamp()}] [RateLimit] Límites de peticiones usando almacenamiento "${store.name}"`);
+};
+
+/**
+ * Crea un middleware que limita las peticiones de cada cliente
+ * @param {Object} options - Opciones del límite
+ * @param {string} options.name - Nombre del límite (forma parte de la clave, un contador por nombre y cliente)
+ * @param {number} options.windowMs - Duración de la ventana en milisegundos
+ * @param {number} options.max - Peticiones permitidas por ventana
+ * @param {Function} options.skip - Devuelve true para las peticiones que no cuentan (opcional)
+ * @param {string} options.message - Mensaje al rechazar la petición (opcional)
+ * @returns {Function} - Middleware de Express
+ */
+export const createRateLimiter = ({ name, windowMs, max, skip = null, message = null }) => {
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (!config.security.rateLimit.enabled || (skip && skip(req))) {
+      return next();
+    }
+
+    let window;
+    try {
+      window = await store.increment(`${name}:${req.ip}`, windowMs);
+    } catch (error) {
+      // Un fallo del almacenamiento no debe dejar la API sin servicio
+      console.error(`[${new Date().toISOString()}] [RateLimit] Error en el almacenamiento "${store.name}":`, error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((window.resetAt - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Policy': `${max};w=${windowSeconds}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(max - window.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (window.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return next(errorTypes.tooManyRequests(
+        message || `Demasiadas solicitudes. Inténtelo de nuevo en ${resetSeconds} segundos`
+      ));
+    }
+
+    return next();
+  };
+};
+
+/**
+ * Límite general de la API por cliente
+ */
+export const apiRateLimiter = createRateLimiter({
+  name: 'api',
+  windowMs: config.security.rateLimit.windowMs,
+  max: config.security.rateLimit.max
+});
+
+/**
+ * Crea el límite estricto para las rutas que llaman a Claude
+ * Todas las instancias comparten el contador 'ai' de cada cliente; las consultas
+ * científicas con useAI: false no cuentan
+ * @param {Object} options - Opciones
+ * @param {Function} options.skip - Devuelve true para las peticiones de la ruta que no usan IA (opcional)
+ * @returns {Function} - Middleware de Express
+ */
+export const createAIRateLimiter = ({ skip = null } = {}) => createRateLimiter({
+  name: 'ai',
+  windowMs: config.security.rateLimit.ai.windowMs,
+  max: config.security.rateLimit.ai.max,
+  skip: (req) => req.body?.useAI === false || Boolean(skip && skip(req)),
+  message: 'Se ha superado el límite de peticiones que usan IA. Inténtelo de nuevo más tarde'
+});
+
+/**
+ * Límite estricto para las rutas que siempre llaman a Claude
+ */
+export const aiRateLimiter = createAIRateLimiter();
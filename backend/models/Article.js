@@ -2,6 +2,7 @@
  * Modelo para representar artículos científicos
  * En una implementación completa, esto podría usar un ORM como Sequelize o Mongoose
  */
+import { classifyStudyDesign } from '../utils/studyDesignClassifier.js';
 
 /**
  * Clase que representa un artículo científico
@@ -33,6 +34,23 @@ class Article {
     // Campos adicionales que podrían ser útiles
     this.keywords = Array.isArray(data.keywords) ? data.keywords : [];
     this.citations = data.citations || null;
+    
+    // Metadatos detallados del registro de PubMed (efetch XML)
+    this.pmcid = data.pmcid || null;
+    this.year = data.year || null;
+    this.journalAbbreviation = data.journalAbbreviation || null;
+    this.volume = data.volume || null;
+    this.issue = data.issue || null;
+    this.pages = data.pages || null;
+    this.abstractSections = Array.isArray(data.abstractSections) ? data.abstractSections : [];
+    this.publicationTypes = Array.isArray(data.publicationTypes) ? data.publicationTypes : [];
+    this.meshHeadings = Array.isArray(data.meshHeadings) ? data.meshHeadings : [];
+    this.affiliations = Array.isArray(data.affiliations) ? data.affiliations : [];
+    this.grants = Array.isArray(data.grants) ? data.grants : [];
+    this.language = Array.isArray(data.language) ? data.language : [];
+    
+    // Diseño de estudio y nivel de evidencia (compartido por la puntuación y la tarjeta)
+    this.studyDesign = data.studyDesign || classifyStudyDesign(this);
     this.createdAt = new Date();
     this.updatedAt = new Date();
   }
@@ -73,7 +91,8 @@ class Article {
         if (author && typeof author === 'object' && author.name) {
           return {
             name: author.name,
-            authtype: author.authtype || 'author'
+            authtype: author.authtype || 'author',
+            affiliations: Array.isArray(author.affiliations) ? author.affiliations : []
           };
         }
         // Si es un string
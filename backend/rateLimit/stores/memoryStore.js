@@ -0,0 +1,64 @@
+/**
+ * Almacenamiento en memoria de los contadores de límite de peticiones
+ * Cada proceso lleva sus propios contadores; para compartirlos entre instancias usar postgresStore
+ */
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.windows = new Map();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Programa la limpieza periódica de las ventanas caducadas
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => this._removeExpired(), 60 * 1000);
+      // No impedir que el proceso termine por este temporizador
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Suma una petición a la ventana actual de una clave
+   * @param {string} key - Clave del cliente y la ruta
+   * @param {number} windowMs - Duración de la ventana en milisegundos
+   * @returns {Promise<Object>} - { count, resetAt } con resetAt en milisegundos
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Reinicia los contadores de una clave
+   * @param {string} key - Clave del cliente y la ruta
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  /**
+   * Elimina las ventanas caducadas
+   */
+  _removeExpired() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+export default MemoryRateLimitStore;
@@ -0,0 +1,67 @@
+/**
+ * Almacenamiento PostgreSQL de los contadores de límite de peticiones (tabla rate_limit_windows)
+ * Permite que varias instancias del servidor compartan los mismos límites por cliente
+ */
+import config from '../../config/index.js';
+import { getPool } from '../../database/pool.js';
+import { runMigrations } from '../../database/migrate.js';
+
+class PostgresRateLimitStore {
+  constructor() {
+    this.name = 'postgres';
+    this.pool = null;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Conecta con la base de datos, aplica las migraciones pendientes si está configurado
+   * y programa la limpieza de las ventanas caducadas
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.pool = getPool();
+    await this.pool.query('SELECT 1');
+
+    if (config.database.migrateOnStart) {
+      await runMigrations(this.pool);
+    }
+
+    // Limpieza periódica de las ventanas caducadas; no impide que el proceso termine
+    this.cleanupTimer = setInterval(() => {
+      this.pool?.query('DELETE FROM rate_limit_windows WHERE reset_at <= NOW()').catch(() => {});
+    }, 5 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Suma una petición a la ventana actual de una clave en una única sentencia atómica
+   * @param {string} key - Clave del cliente y la ruta
+   * @param {number} windowMs - Duración de la ventana en milisegundos
+   * @returns {Promise<Object>} - { count, resetAt } con resetAt en milisegundos
+   */
+  async increment(key, windowMs) {
+    const result = await this.pool.query(
+      `INSERT INTO rate_limit_windows (key, count, reset_at)
+       VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limit_windows.reset_at <= NOW() THEN 1 ELSE rate_limit_windows.count + 1 END,
+         reset_at = CASE WHEN rate_limit_windows.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_windows.reset_at END
+       RETURNING count, reset_at`,
+      [key, windowMs]
+    );
+
+    const row = result.rows[0];
+    return { count: row.count, resetAt: row.reset_at.getTime() };
+  }
+
+  /**
+   * Reinicia los contadores de una clave
+   * @param {string} key - Clave del cliente y la ruta
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await this.pool.query('DELETE FROM rate_limit_windows WHERE key = $1', [key]);
+  }
+}
+
+export default PostgresRateLimitStore;
@@ -0,0 +1,33 @@
+/**
+ * Rutas de administración
+ */
+import express from 'express';
+import adminController from '../controllers/adminController.js';
+import { requireAdmin } from '../middlewares/adminAuth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/admin/cache
+ * @desc Estado de la caché (aciertos, fallos, drivers) y entradas guardadas (filtros namespace y limit)
+ * @access Admin
+ */
+router.get('/cache', adminController.getCache);
+
+/**
+ * @route DELETE /api/admin/cache
+ * @desc Vacía la caché completa o solo un espacio de nombres (?namespace=pubmed:search)
+ * @access Admin
+ */
+router.delete('/cache', adminController.purgeCache);
+
+/**
+ * @route GET /api/admin/ai-usage
+ * @desc Uso de la IA (llamadas, tokens, latencia y coste) por tarea, modelo y periodo (?from&to&interval=hour|day) y presupuesto diario
+ * @access Admin
+ */
+router.get('/ai-usage', adminController.getAIUsage);
+
+export default router;
@@ -3,35 +3,59 @@
  */
 import { Router } from 'express';
 import claudeController from '../controllers/claudeController.js';
+import { aiRateLimiter, createAIRateLimiter } from '../middlewares/rateLimiter.js';
+import { aiBudgetGuard, createAIBudgetGuard } from '../middlewares/aiBudget.js';
 
 const router = Router();
 
+// Reconstruir la consulta a partir de bloques PICO editados (sin prompt) no usa IA
+const withoutPrompt = (req) => !req.body?.prompt;
+
 /**
  * @route POST /api/claude/strategy
  * @description Genera una estrategia de búsqueda basada en una pregunta clínica
  * @access Public
  */
-router.post('/strategy', claudeController.generateStrategy);
+router.post(
+  '/strategy',
+  createAIRateLimiter({ skip: withoutPrompt }),
+  createAIBudgetGuard({ skip: withoutPrompt }),
+  claudeController.generateStrategy
+);
 
 /**
  * @route POST /api/claude/analyze
  * @description Analiza un artículo científico
  * @access Public
  */
-router.post('/analyze', claudeController.analyzeArticle);
+router.post('/analyze', aiRateLimiter, aiBudgetGuard, claudeController.analyzeArticle);
 
 /**
  * @route POST /api/claude/analyze-batch
  * @description Analiza un lote de artículos científicos
  * @access Public
  */
-router.post('/analyze-batch', claudeController.analyzeArticleBatch);
+router.post('/analyze-batch', aiRateLimiter, aiBudgetGuard, claudeController.analyzeArticleBatch);
+
+/**
+ * @route POST /api/claude/risk-of-bias
+ * @description Evalúa el riesgo de sesgo de un artículo (RoB 2, ROBINS-I o AMSTAR-2 según su diseño)
+ * @access Public
+ */
+router.post('/risk-of-bias', aiRateLimiter, aiBudgetGuard, claudeController.assessRiskOfBias);
+
+/**
+ * @route POST /api/claude/effect-sizes
+ * @description Extrae las medidas de efecto (RR, OR, HR, MD) de los abstracts para el meta-análisis
+ * @access Public
+ */
+router.post('/effect-sizes', aiRateLimiter, aiBudgetGuard, claudeController.extractEffectSizes);
 
 /**
  * @route POST /api/claude/synthesis
- * @description Genera una síntesis crítica de la evidencia científica
+ * @description Genera una síntesis crítica de la evidencia científica y su tabla de resumen de hallazgos (GRADE)
  * @access Public
  */
-router.post('/synthesis', claudeController.generateSynthesis);
+router.post('/synthesis', aiRateLimiter, aiBudgetGuard, claudeController.generateSynthesis);
 
 export default router; 
\ No newline at end of file
@@ -3,6 +3,20 @@ import iciteController from '../controllers/iciteController.js';
 
 const router = Router();
 
+/**
+ * @route GET /api/icite/graph
+ * @desc Obtiene la red de citas de un conjunto de PMIDs (?pmids=1,2,3)
+ * @access Public
+ */
+router.get('/graph', iciteController.getGraph);
+
+/**
+ * @route POST /api/icite/graph
+ * @desc Obtiene la red de citas de un conjunto de PMIDs (nodos, aristas y nodos fantasma)
+ * @access Public
+ */
+router.post('/graph', iciteController.getGraph);
+
 /**
  * @route GET /api/icite/:pmid
  * @desc Obtiene métricas iCite para un PMID
@@ -0,0 +1,79 @@
+/**
+ * Rutas del historial de consultas científicas
+ */
+import express from 'express';
+import queryController from '../controllers/queryController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/queries
+ * @desc Lista las consultas guardadas (paginación con limit y offset)
+ * @access Public
+ */
+router.get('/', queryController.listQueries);
+
+/**
+ * @route GET /api/queries/:id/export
+ * @desc Exporta los artículos de una consulta guardada (format: ris, bibtex, nbib, csljson o csv; pmids opcional)
+ * @access Public
+ */
+router.get('/:id/export', queryController.exportQuery);
+
+/**
+ * @route POST /api/queries/:id/evaluation
+ * @desc Evalúa las estrategias de una consulta guardada frente a un conjunto de PMIDs relevantes (body: goldStandardPmids)
+ * @access Public
+ */
+router.post('/:id/evaluation', queryController.evaluateQuery);
+
+/**
+ * @route GET /api/queries/:id/report
+ * @desc Genera el informe de una consulta guardada sin síntesis (format: pdf, docx o html)
+ * @access Public
+ */
+router.get('/:id/report', queryController.getReport);
+
+/**
+ * @route POST /api/queries/:id/report
+ * @desc Genera el informe de una consulta guardada con la síntesis de la IA (body: synthesis, evidenceRating)
+ * @access Public
+ */
+router.post('/:id/report', queryController.getReport);
+
+/**
+ * @route GET /api/queries/:id/screening
+ * @desc Obtiene el cribado de una consulta guardada con los recuentos de PRISMA 2020 (reviewer y requiredReviewers opcionales)
+ * @access Public
+ */
+router.get('/:id/screening', queryController.getScreening);
+
+/**
+ * @route PUT /api/queries/:id/screening/:pmid
+ * @desc Guarda la decisión de cribado de un revisor (body: stage, reviewer, decision, reason, note)
+ * @access Public
+ */
+router.put('/:id/screening/:pmid', queryController.saveScreeningDecision);
+
+/**
+ * @route PUT /api/queries/:id/screening/:pmid/resolution
+ * @desc Resuelve un conflicto entre revisores (body: stage, reviewer, decision, reason, note)
+ * @access Public
+ */
+router.put('/:id/screening/:pmid/resolution', queryController.saveScreeningDecision);
+
+/**
+ * @route GET /api/queries/:id/prisma
+ * @desc Genera el diagrama de flujo PRISMA 2020 (SVG) con los recuentos del cribado
+ * @access Public
+ */
+router.get('/:id/prisma', queryController.getPrismaDiagram);
+
+/**
+ * @route GET /api/queries/:id
+ * @desc Obtiene una consulta guardada sin volver a llamar a PubMed ni a Claude
+ * @access Public
+ */
+router.get('/:id', queryController.getQuery);
+
+export default router;
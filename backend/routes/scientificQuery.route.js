@@ -4,15 +4,45 @@
 import express from 'express';
 import scientificQueryController from '../controllers/scientificQueryController.js';
 import { validateQuestion } from '../middlewares/questionValidator.js';
+import { aiRateLimiter } from '../middlewares/rateLimiter.js';
+import { aiBudgetGuard } from '../middlewares/aiBudget.js';
 
 const router = express.Router();
 
 /**
  * @route POST /api/scientific-query
- * @desc Procesa una consulta científica usando IA y PubMed
+ * @desc Encola una consulta científica (IA y PubMed) y devuelve el ID del trabajo
  * @access Public
  */
-router.post('/', validateQuestion, scientificQueryController.processQuery);
+router.post('/', aiRateLimiter, validateQuestion, scientificQueryController.processQuery);
+
+/**
+ * @route GET /api/scientific-query/jobs/:id
+ * @desc Obtiene el estado, las fases y el resultado de un trabajo de consulta
+ * @access Public
+ */
+router.get('/jobs/:id', scientificQueryController.getJob);
+
+/**
+ * @route DELETE /api/scientific-query/jobs/:id
+ * @desc Cancela un trabajo de consulta en cola o en ejecución
+ * @access Public
+ */
+router.delete('/jobs/:id', scientificQueryController.cancelJob);
+
+/**
+ * @route GET /api/scientific-query/scoring-profiles
+ * @desc Lista los perfiles de puntuación disponibles para priorizar artículos
+ * @access Public
+ */
+router.get('/scoring-profiles', scientificQueryController.getScoringProfiles);
+
+/**
+ * @route GET /api/scientific-query/search-filters
+ * @desc Lista las opciones de los filtros de búsqueda (tipos de artículo, idiomas, grupos de edad, texto completo)
+ * @access Public
+ */
+router.get('/search-filters', scientificQueryController.getSearchFilters);
 
 /**
  * @route POST /api/scientific-query/search
@@ -21,6 +51,20 @@ router.post('/', validateQuestion, scientificQueryController.processQuery);
  */
 router.post('/search', scientificQueryController.searchArticles);
 
+/**
+ * @route POST /api/scientific-query/expand
+ * @desc Amplía los resultados desde artículos semilla (similares en PubMed, referencias y citas de iCite)
+ * @access Public
+ */
+router.post('/expand', scientificQueryController.expandArticles);
+
+/**
+ * @route POST /api/scientific-query/validate-strategy
+ * @desc Valida la sintaxis de una estrategia de búsqueda PubMed y devuelve su versión normalizada
+ * @access Public
+ */
+router.post('/validate-strategy', scientificQueryController.validateStrategy);
+
 /**
  * @route GET /api/scientific-query/article/:pmid
  * @desc Obtiene detalles de un artículo específico por PMID
@@ -28,11 +72,18 @@ router.post('/search', scientificQueryController.searchArticles);
  */
 router.get('/article/:pmid', scientificQueryController.getArticleDetails);
 
+/**
+ * @route GET /api/scientific-query/:runId/articles
+ * @desc Recorre por páginas todos los resultados de PubMed de una consulta guardada (?page&pageSize)
+ * @access Public
+ */
+router.get('/:runId/articles', scientificQueryController.getRunArticles);
+
 /**
  * @route POST /api/scientific-query/analyze
  * @desc Analiza un artículo específico con IA
  * @access Public
  */
-router.post('/analyze', scientificQueryController.analyzeArticle);
+router.post('/analyze', aiRateLimiter, aiBudgetGuard, scientificQueryController.analyzeArticle);
 
 export default router; 
\ No newline at end of file
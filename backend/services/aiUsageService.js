@@ -0,0 +1,281 @@
+/**
+ * Servicio de contabilidad del uso de la IA
+ * Registra cada llamada al modelo de lenguaje (tarea, modelo, tokens, latencia, reintentos
+ * y coste estimado según config/llmPricing.js), acumula los totales de la ejecución en curso
+ * y aplica el presupuesto diario opcional (config.llm.dailyBudgetUsd)
+ */
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../config/index.js';
+import { estimateCost } from '../config/llmPricing.js';
+import MemoryAIUsageStore from '../aiUsage/stores/memoryStore.js';
+import PostgresAIUsageStore from '../aiUsage/stores/postgresStore.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [AIUsage] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [AIUsage] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [AIUsage] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [AIUsage] [${method}] Detalles:`, error);
+  }
+}
+
+// Agrupaciones admitidas en el informe de uso
+export const USAGE_INTERVALS = ['hour', 'day'];
+
+// Periodo del informe si no se indica otro (7 días)
+const DEFAULT_REPORT_DAYS = 7;
+
+/**
+ * Crea un contador vacío de llamadas
+ * @returns {Object} - { calls, failedCalls, inputTokens, outputTokens, latencyMs, retries, costUsd }
+ */
+const createTotals = () => ({
+  calls: 0,
+  failedCalls: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  latencyMs: 0,
+  retries: 0,
+  costUsd: 0
+});
+
+/**
+ * Crea un contador vacío del uso de una ejecución, con el desglose por tarea
+ * @returns {Object} - Totales y byTask
+ */
+const createUsage = () => ({ ...createTotals(), byTask: {} });
+
+/**
+ * Redondea un coste a 6 decimales (precisión de la columna cost_usd)
+ * @param {number} value - Coste en USD
+ * @returns {number} - Coste redondeado
+ */
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Inicio del día actual en UTC, que es cuando se reinicia el presupuesto
+ * @returns {Date} - Fecha
+ */
+const startOfDay = () => {
+  const date = new Date();
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+class AIUsageService {
+  constructor() {
+    this.store = null;
+    this.initPromise = null;
+
+    // Totales de la ejecución en curso (ver track)
+    this.usageStorage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Inicializa el almacenamiento configurado (config.database.driver)
+   * Si PostgreSQL no está disponible se usa memoria
+   * @param {Object} store - Almacenamiento a usar en lugar del configurado (opcional, para pruebas)
+   * @returns {Promise<void>}
+   */
+  init(store = null) {
+    if (!this.initPromise) {
+      this.initPromise = this._initStore(store);
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Ejecuta una función acumulando el uso de la IA de todas las llamadas que produce
+   * @param {Function} fn - Función (síncrona o asíncrona) a ejecutar
+   * @param {Object} context - Datos de la ejecución
+   * @param {string} context.queryId - ID de la consulta con el que se registran las llamadas (opcional)
+   * @returns {Promise<Object>} - { result, usage }
+   */
+  async track(fn, { queryId = null } = {}) {
+    const usage = createUsage();
+    const result = await this.usageStorage.run({ queryId, usage }, fn);
+    return { result, usage };
+  }
+
+  /**
+   * Totales de la ejecución en curso
+   * @returns {Object|null} - Uso acumulado o null fuera de track
+   */
+  getCurrentUsage() {
+    return this.usageStorage.getStore()?.usage || null;
+  }
+
+  /**
+   * Registra una llamada al modelo de lenguaje
+   * Los errores al guardar se registran en el log pero no interrumpen la consulta
+   * @param {Object} call - Datos de la llamada
+   * @param {string} call.task - Tarea (ver LLM_TASKS)
+   * @param {string} call.provider - Proveedor
+   * @param {string} call.model - Modelo
+   * @param {string} call.status - 'success' o 'error'
+   * @param {number} call.inputTokens - Tokens de entrada (null si el proveedor no los informa)
+   * @param {number} call.outputTokens - Tokens de salida (null si el proveedor no los informa)
+   * @param {number} call.latencyMs - Duración de la llamada
+   * @param {number} call.retries - Intentos previos de la misma solicitud
+   * @returns {Promise<Object>} - Llamada registrada con su coste estimado
+   */
+  async record({ task, provider, model, status, inputTokens = null, outputTokens = null, latencyMs, retries = 0 }) {
+    const method = 'record';
+    const context = this.usageStorage.getStore();
+    const costUsd = estimateCost(model, inputTokens, outputTokens);
+
+    const entry = {
+      id: randomUUID(),
+      queryId: context?.queryId || null,
+      task,
+      provider,
+      model,
+      status,
+      inputTokens,
+      outputTokens,
+      latencyMs,
+      retries,
+      costUsd: costUsd === null ? null : roundCost(costUsd),
+      createdAt: new Date().toISOString()
+    };
+
+    if (context) {
+      const { usage } = context;
+      usage.byTask[task] = usage.byTask[task] || createTotals();
+      [usage, usage.byTask[task]].forEach(totals => {
+        totals.calls++;
+        if (status === 'error') totals.failedCalls++;
+        totals.inputTokens += inputTokens || 0;
+        totals.outputTokens += outputTokens || 0;
+        totals.latencyMs += latencyMs;
+        totals.retries += retries;
+        totals.costUsd = roundCost(totals.costUsd + (entry.costUsd || 0));
+      });
+    }
+
+    if (costUsd === null && status === 'success') {
+      logInfo(method, `Modelo "${model}" sin precio configurado (LLM_PRICES); coste no estimado`);
+    }
+
+    try {
+      const store = await this._getStore();
+      await store.record(entry);
+    } catch (error) {
+      logError(method, 'No se pudo guardar la llamada', error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Estado del presupuesto diario
+   * @returns {Promise<Object>} - { dailyLimitUsd, spentTodayUsd, remainingUsd, exhausted, resetsAt }
+   */
+  async getBudget() {
+    const store = await this._getStore();
+    const dailyLimitUsd = config.llm.dailyBudgetUsd;
+    const since = startOfDay();
+    const spentTodayUsd = roundCost(await store.getCostSince(since));
+
+    return {
+      dailyLimitUsd,
+      spentTodayUsd,
+      remainingUsd: dailyLimitUsd === null ? null : roundCost(Math.max(dailyLimitUsd - spentTodayUsd, 0)),
+      exhausted: dailyLimitUsd !== null && spentTodayUsd >= dailyLimitUsd,
+      resetsAt: new Date(since.getTime() + 24 * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Indica si se ha agotado el presupuesto diario
+   * Sin presupuesto configurado, o si no se puede consultar el gasto, no se bloquea la IA
+   * @returns {Promise<boolean>} - true si se ha alcanzado el límite
+   */
+  async isBudgetExhausted() {
+    if (config.llm.dailyBudgetUsd === null) return false;
+
+    try {
+      const budget = await this.getBudget();
+      if (budget.exhausted) {
+        logInfo('isBudgetExhausted', `Presupuesto diario agotado: ${budget.spentTodayUsd} de ${budget.dailyLimitUsd} USD`);
+      }
+      return budget.exhausted;
+    } catch (error) {
+      logError('isBudgetExhausted', 'No se pudo consultar el gasto del día', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Informe del uso de la IA en un periodo
+   * @param {Object} options - Filtros
+   * @param {Date} options.from - Fecha de inicio (por defecto hace 7 días)
+   * @param {Date} options.to - Fecha de fin (por defecto ahora)
+   * @param {string} options.interval - Agrupación de la serie: 'hour' o 'day' (por defecto 'day')
+   * @returns {Promise<Object>} - { from, to, interval, totals, byTask, byModel, series, budget }
+   */
+  async getReport({ from = null, to = null, interval = 'day' } = {}) {
+    const store = await this._getStore();
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    const summary = await store.summarize({ from: start, to: end, interval });
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      interval,
+      storage: store.name,
+      ...summary,
+      budget: await this.getBudget()
+    };
+  }
+
+  /**
+   * Obtiene el almacenamiento, inicializándolo si aún no se hizo
+   * @returns {Promise<Object>} - Almacenamiento activo
+   */
+  async _getStore() {
+    await this.init();
+    return this.store;
+  }
+
+  /**
+   * Crea e inicializa el almacenamiento
+   * @param {Object} store - Almacenamiento a usar en lugar del configurado (opcional)
+   * @returns {Promise<void>}
+   */
+  async _initStore(store) {
+    const method = 'init';
+
+    if (store) {
+      this.store = store;
+    } else if (config.database.driver === 'postgres') {
+      this.store = new PostgresAIUsageStore();
+    } else {
+      this.store = new MemoryAIUsageStore();
+    }
+
+    try {
+      await this.store.init();
+      logInfo(method, `Uso de la IA usando almacenamiento "${this.store.name}"`
+        + (config.llm.dailyBudgetUsd !== null ? ` (presupuesto diario ${config.llm.dailyBudgetUsd} USD)` : ''));
+    } catch (error) {
+      logError(method, `No se pudo inicializar el almacenamiento "${this.store.name}". Se usará memoria`, error.message);
+      await this.store.close().catch(() => {});
+      this.store = new MemoryAIUsageStore();
+      await this.store.init();
+    }
+  }
+}
+
+export default new AIUsageService();
@@ -0,0 +1,408 @@
+/**
+ * Servicio de caché de respuestas de APIs externas (PubMed, iCite y Claude)
+ * Usa una caché LRU en memoria como primer nivel y, si se configura, un driver
+ * persistente como segundo nivel. Lleva la cuenta de aciertos y fallos por espacio
+ * de nombres y por petición para poder informarlos en las respuestas.
+ */
+import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../config/index.js';
+import MemoryLruDriver from '../cache/drivers/memoryLruDriver.js';
+import PostgresCacheDriver from '../cache/drivers/postgresDriver.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Cache] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [Cache] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [Cache] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [Cache] [${method}] Detalles:`, error);
+  }
+}
+
+// Espacios de nombres usados por los servicios
+export const CACHE_NAMESPACES = {
+  PUBMED_SEARCH: 'pubmed:search',
+  PUBMED_ARTICLE: 'pubmed:article',
+  PUBMED_LINKS: 'pubmed:links',
+  ICITE_METRICS: 'icite:metrics',
+  ICITE_LINKS: 'icite:links',
+  CLAUDE_RESPONSE: 'claude:response'
+};
+
+const PERSISTENT_DRIVERS = {
+  postgres: PostgresCacheDriver
+};
+
+/**
+ * Crea el error que recibe quien deja de esperar una respuesta al cancelar su petición
+ * @returns {Error} - Error con código ABORTED
+ */
+function createAbortError() {
+  const error = new Error('Petición cancelada');
+  error.name = 'AbortError';
+  error.code = 'ABORTED';
+  return error;
+}
+
+/**
+ * Crea un contador vacío de aciertos y fallos
+ * @returns {Object} - { hits, misses, namespaces }
+ */
+const createUsage = () => ({ hits: 0, misses: 0, namespaces: {} });
+
+class CacheService {
+  constructor() {
+    this.enabled = config.cache.enabled;
+    this.ttl = config.cache.ttl;
+    this.memory = new MemoryLruDriver({ maxEntries: config.cache.maxEntries });
+    this.persistent = null;
+    this.initPromise = null;
+
+    // Peticiones en curso por clave, para no repetir la misma llamada en paralelo:
+    // { promise, controller, waiters } (ver _awaitPending)
+    this.pending = new Map();
+
+    // Contadores globales desde el arranque
+    this.stats = createUsage();
+
+    // Contadores de la petición o trabajo en curso (ver track)
+    this.usageStorage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Inicializa el driver persistente configurado (config.cache.driver)
+   * Si no está disponible se usa solo la caché en memoria
+   * @param {Object} driver - Driver persistente a usar en lugar del configurado (opcional, para pruebas)
+   * @returns {Promise<void>}
+   */
+  init(driver = null) {
+    if (!this.initPromise) {
+      this.initPromise = this._initDriver(driver);
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Devuelve el valor en caché o lo obtiene con el productor y lo guarda
+   * Los resultados null o undefined y los errores no se guardan.
+   * Las peticiones iguales en curso comparten el productor, que recibe su propia señal: cancelar
+   * una petición solo rechaza a quien la canceló, y el productor se cancela cuando ya nadie lo espera
+   * @param {string} namespace - Espacio de nombres (ver CACHE_NAMESPACES)
+   * @param {*} keyParts - Datos que identifican la respuesta (se serializan para la clave)
+   * @param {Function} producer - Función asíncrona que obtiene el valor en caso de fallo; recibe la
+   *   AbortSignal que debe pasar a sus peticiones
+   * @param {Object} options - Opciones
+   * @param {number} options.ttl - Tiempo de vida en segundos (por defecto config.cache.ttl)
+   * @param {Function} options.hydrate - Reconstruye el valor leído de la caché (p. ej. instancias de modelos)
+   * @param {AbortSignal} options.signal - Deja de esperar el valor (opcional)
+   * @returns {Promise<*>} - Valor
+   * @throws {Error} - Error con código ABORTED si se cancela la señal antes de obtener el valor
+   */
+  async wrap(namespace, keyParts, producer, { ttl = this.ttl, hydrate = null, signal = null } = {}) {
+    if (signal?.aborted) throw createAbortError();
+    if (!this.enabled) return producer(signal);
+
+    const key = this._buildKey(namespace, keyParts);
+
+    const cached = await this._read(key);
+    if (cached !== undefined) {
+      this._record(namespace, 'hits');
+      return hydrate ? hydrate(cached) : cached;
+    }
+
+    if (this.pending.has(key)) {
+      this._record(namespace, 'hits');
+      // Copia independiente, igual que si se hubiera leído de la caché
+      const value = await this._awaitPending(key, this.pending.get(key), signal);
+      if (value === null || value === undefined) return value;
+      const copy = JSON.parse(JSON.stringify(value));
+      return hydrate ? hydrate(copy) : copy;
+    }
+
+    this._record(namespace, 'misses');
+    const entry = { controller: new AbortController(), waiters: 0 };
+    entry.promise = Promise.resolve()
+      .then(() => producer(entry.controller.signal))
+      .then(async (value) => {
+        if (value !== null && value !== undefined) {
+          await this._write(key, namespace, value, ttl);
+        }
+        return value;
+      })
+      .finally(() => {
+        if (this.pending.get(key) === entry) this.pending.delete(key);
+      });
+    this.pending.set(key, entry);
+
+    return this._awaitPending(key, entry, signal);
+  }
+
+  /**
+   * Espera una petición en curso hasta que termina o hasta que se cancela la señal del llamador
+   * Quien espera sin señal no puede cancelar, así que el productor sigue mientras lo espere alguien
+   * @param {string} key - Clave de la petición
+   * @param {Object} entry - Petición en curso { promise, controller, waiters }
+   * @param {AbortSignal} signal - Señal del llamador (opcional)
+   * @returns {Promise<*>} - Valor del productor
+   */
+  _awaitPending(key, entry, signal) {
+    entry.waiters++;
+    if (!signal) return entry.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.waiters--;
+        if (entry.waiters === 0) {
+          // Nadie más espera la respuesta: se cancela y la siguiente petición igual empieza de nuevo
+          if (this.pending.get(key) === entry) this.pending.delete(key);
+          entry.controller.abort();
+        }
+        reject(createAbortError());
+      };
+      // La señal puede haberse cancelado mientras se leía la caché
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise.then(
+        (value) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        (error) => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Obtiene varios valores de un espacio de nombres
+   * Pensado para respuestas que se piden en bloque pero se guardan por elemento (p. ej. PMIDs)
+   * @param {string} namespace - Espacio de nombres
+   * @param {Array} keys - Claves (cada una se serializa como en wrap)
+   * @returns {Promise<Map>} - Valores encontrados indexados por la clave original
+   */
+  async getMany(namespace, keys) {
+    const found = new Map();
+    if (!this.enabled) return found;
+
+    for (const keyParts of keys) {
+      const value = await this._read(this._buildKey(namespace, keyParts));
+      if (value !== undefined) {
+        found.set(keyParts, value);
+        this._record(namespace, 'hits');
+      } else {
+        this._record(namespace, 'misses');
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Guarda varios valores de un espacio de nombres
+   * @param {string} namespace - Espacio de nombres
+   * @param {Array<Array>} entries - Pares [clave, valor]
+   * @param {Object} options - Opciones
+   * @param {number} options.ttl - Tiempo de vida en segundos (por defecto config.cache.ttl)
+   * @returns {Promise<void>}
+   */
+  async setMany(namespace, entries, { ttl = this.ttl } = {}) {
+    if (!this.enabled) return;
+
+    for (const [keyParts, value] of entries) {
+      if (value !== null && value !== undefined) {
+        await this._write(this._buildKey(namespace, keyParts), namespace, value, ttl);
+      }
+    }
+  }
+
+  /**
+   * Ejecuta una función contando los aciertos y fallos de caché que produce
+   * @param {Function} fn - Función (síncrona o asíncrona) a ejecutar
+   * @returns {Promise<Object>} - { result, usage } donde usage es { hits, misses, namespaces }
+   */
+  async track(fn) {
+    const usage = createUsage();
+    const result = await this.usageStorage.run(usage, fn);
+    return { result, usage };
+  }
+
+  /**
+   * Contadores de la petición o trabajo en curso
+   * @returns {Object|null} - { hits, misses, namespaces } o null fuera de track
+   */
+  getCurrentUsage() {
+    return this.usageStorage.getStore() || null;
+  }
+
+  /**
+   * Estado de la caché para el endpoint de administración
+   * @returns {Promise<Object>} - Configuración, drivers y contadores
+   */
+  async getStats() {
+    await this.init();
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      ttl: this.ttl,
+      memory: this.memory.info(),
+      persistent: this.persistent ? this.persistent.info() : null,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+      namespaces: this.stats.namespaces
+    };
+  }
+
+  /**
+   * Lista las entradas guardadas
+   * @param {Object} options - Filtros
+   * @param {string} options.namespace - Espacio de nombres (opcional)
+   * @param {number} options.limit - Número máximo de entradas (1-500)
+   * @returns {Promise<Object>} - { total, entries }
+   */
+  async listEntries({ namespace = null, limit = 100 } = {}) {
+    await this.init();
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    const driver = this.persistent || this.memory;
+    return driver.list({ namespace: namespace || null, limit: pageSize });
+  }
+
+  /**
+   * Elimina las entradas de un espacio de nombres o toda la caché
+   * @param {string} namespace - Espacio de nombres (opcional)
+   * @returns {Promise<number>} - Número de entradas eliminadas
+   */
+  async purge(namespace = null) {
+    const method = 'purge';
+    await this.init();
+
+    const removedFromMemory = await this.memory.purge(namespace || null);
+    const removed = this.persistent
+      ? await this.persistent.purge(namespace || null)
+      : removedFromMemory;
+
+    logInfo(method, `Caché vaciada (${namespace || 'todos los espacios'}): ${removed} entradas eliminadas`);
+    return removed;
+  }
+
+  /**
+   * Crea e inicializa el driver persistente
+   * @param {Object} driver - Driver a usar en lugar del configurado (opcional)
+   * @returns {Promise<void>}
+   */
+  async _initDriver(driver) {
+    const method = 'init';
+
+    if (!this.enabled) {
+      logInfo(method, 'Caché desactivada (CACHE_ENABLED)');
+      return;
+    }
+
+    const DriverClass = PERSISTENT_DRIVERS[config.cache.driver];
+    if (!driver && !DriverClass) {
+      if (config.cache.driver !== 'memory') {
+        logError(method, `Driver de caché desconocido "${config.cache.driver}". Se usará memoria`);
+      }
+      logInfo(method, `Caché en memoria (máximo ${this.memory.maxEntries} entradas, TTL ${this.ttl}s)`);
+      return;
+    }
+
+    const persistent = driver || new DriverClass();
+    try {
+      await persistent.init();
+      this.persistent = persistent;
+      logInfo(method, `Caché usando memoria y driver persistente "${persistent.name}" (TTL ${this.ttl}s)`);
+    } catch (error) {
+      logError(method, `No se pudo inicializar el driver "${persistent.name}". Se usará solo memoria`, error.message);
+    }
+  }
+
+  /**
+   * Construye la clave de una entrada
+   * @param {string} namespace - Espacio de nombres
+   * @param {*} keyParts - Datos que identifican la respuesta
+   * @returns {string} - Clave con el espacio de nombres y un hash SHA-256
+   */
+  _buildKey(namespace, keyParts) {
+    const hash = createHash('sha256').update(JSON.stringify(keyParts)).digest('hex');
+    return `${namespace}:${hash}`;
+  }
+
+  /**
+   * Lee una entrada de la memoria o, si no está, del driver persistente
+   * Un fallo del driver persistente se trata como un fallo de caché
+   * @param {string} key - Clave
+   * @returns {Promise<*>} - Valor deserializado o undefined si no existe
+   */
+  async _read(key) {
+    let entry = await this.memory.get(key);
+
+    if (!entry && this.persistent) {
+      try {
+        entry = await this.persistent.get(key);
+        if (entry) await this.memory.set(key, entry);
+      } catch (error) {
+        logError('read', `Error leyendo del driver "${this.persistent.name}"`, error.message);
+      }
+    }
+
+    return entry ? JSON.parse(entry.value) : undefined;
+  }
+
+  /**
+   * Guarda una entrada en la memoria y en el driver persistente
+   * @param {string} key - Clave
+   * @param {string} namespace - Espacio de nombres
+   * @param {*} value - Valor (debe ser serializable a JSON)
+   * @param {number} ttl - Tiempo de vida en segundos
+   * @returns {Promise<void>}
+   */
+  async _write(key, namespace, value, ttl) {
+    const now = Date.now();
+    const entry = {
+      value: JSON.stringify(value),
+      namespace,
+      createdAt: now,
+      expiresAt: now + ttl * 1000
+    };
+
+    await this.memory.set(key, entry);
+
+    if (this.persistent) {
+      try {
+        await this.persistent.set(key, entry);
+      } catch (error) {
+        logError('write', `Error escribiendo en el driver "${this.persistent.name}"`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Suma un acierto o un fallo a los contadores globales y a los de la petición en curso
+   * @param {string} namespace - Espacio de nombres
+   * @param {string} type - 'hits' o 'misses'
+   */
+  _record(namespace, type) {
+    [this.stats, this.getCurrentUsage()].filter(Boolean).forEach(usage => {
+      usage[type]++;
+      usage.namespaces[namespace] = usage.namespaces[namespace] || { hits: 0, misses: 0 };
+      usage.namespaces[namespace][type]++;
+    });
+  }
+}
+
+export default new CacheService();
@@ -0,0 +1,138 @@
+/**
+ * Servicio de la red de citas de un conjunto de artículos
+ * Construye los nodos y las aristas a partir de las referencias y citas de iCite:
+ * las aristas unen artículos del conjunto que se citan entre sí y los artículos externos
+ * citados por varios artículos del conjunto se añaden como nodos fantasma
+ */
+import iCiteService from './iciteService.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [CitationGraph] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [CitationGraph] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [CitationGraph] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [CitationGraph] [${method}] Detalles:`, error);
+  }
+}
+
+// Límites del conjunto de artículos y de los nodos fantasma
+export const MAX_GRAPH_PMIDS = 500;
+export const DEFAULT_MAX_GHOSTS = 20;
+export const DEFAULT_MIN_GHOST_CITATIONS = 2;
+
+class CitationGraphService {
+  /**
+   * Construye la red de citas de un conjunto de PMIDs
+   * @param {Array<string>} pmids - PMIDs del conjunto de resultados
+   * @param {Object} options - Opciones
+   * @param {number} options.maxGhosts - Máximo de nodos fantasma (0 para omitirlos)
+   * @param {number} options.minGhostCitations - Artículos del conjunto que deben citar a un artículo externo
+   *   para incluirlo como nodo fantasma
+   * @returns {Promise<Object>} - { nodes, edges, missing } donde cada nodo es
+   *   { id, pmid, title, year, journal, rcr, citationCount, isClinical, x, y, ghost, citedByInSet, citesInSet }
+   *   y cada arista { source, target, ghost } (source cita a target)
+   */
+  async buildGraph(pmids, { maxGhosts = DEFAULT_MAX_GHOSTS, minGhostCitations = DEFAULT_MIN_GHOST_CITATIONS } = {}) {
+    const method = 'buildGraph';
+    const ids = [...new Set(pmids.map(String))];
+    const inSet = new Set(ids);
+
+    const [links, metrics] = await Promise.all([
+      iCiteService.getCitationLinks(ids),
+      iCiteService.getMetricsForPmids(ids)
+    ]);
+
+    // Aristas entre artículos del conjunto: la referencia de uno y la cita del otro describen la misma arista
+    const edges = new Map();
+    const addEdge = (source, target, ghost = false) => {
+      if (source === target) return;
+      const key = `${source}>${target}`;
+      if (!edges.has(key)) edges.set(key, { source, target, ghost });
+    };
+
+    // Artículos externos citados por el conjunto: PMID -> artículos del conjunto que lo citan
+    const externalCitations = new Map();
+
+    ids.forEach(pmid => {
+      const articleLinks = links[pmid];
+      if (!articleLinks) return;
+
+      articleLinks.references.forEach(reference => {
+        if (inSet.has(reference)) {
+          addEdge(pmid, reference);
+        } else {
+          if (!externalCitations.has(reference)) externalCitations.set(reference, new Set());
+          externalCitations.get(reference).add(pmid);
+        }
+      });
+      articleLinks.citedBy.forEach(citing => {
+        if (inSet.has(citing)) addEdge(citing, pmid);
+      });
+    });
+
+    // Nodos fantasma: los artículos externos más citados por el conjunto
+    const ghostIds = [...externalCitations.entries()]
+      .filter(([, citing]) => citing.size >= minGhostCitations)
+      .sort((a, b) => b[1].size - a[1].size)
+      .slice(0, maxGhosts)
+      .map(([pmid]) => pmid);
+
+    let ghostMetrics = {};
+    if (ghostIds.length > 0) {
+      try {
+        ghostMetrics = await iCiteService.getMetricsForPmids(ghostIds);
+      } catch (error) {
+        // Los nodos fantasma se muestran igualmente, solo con su PMID
+        logError(method, 'Error obteniendo métricas de los nodos fantasma', error.message);
+      }
+    }
+
+    ghostIds.forEach(ghost => {
+      externalCitations.get(ghost).forEach(citing => addEdge(citing, ghost, true));
+    });
+
+    const edgeList = [...edges.values()];
+    const citedByInSet = new Map();
+    const citesInSet = new Map();
+    edgeList.forEach(({ source, target }) => {
+      citesInSet.set(source, (citesInSet.get(source) || 0) + 1);
+      citedByInSet.set(target, (citedByInSet.get(target) || 0) + 1);
+    });
+
+    const buildNode = (pmid, data, ghost) => ({
+      id: pmid,
+      pmid,
+      title: data?.title || null,
+      year: data?.year || null,
+      journal: data?.journal || null,
+      rcr: data?.rcr ?? null,
+      citationCount: data?.citation_count ?? null,
+      isClinical: Boolean(data?.is_clinical),
+      x: data?.x_coord ?? null,
+      y: data?.y_coord ?? null,
+      ghost,
+      citedByInSet: citedByInSet.get(pmid) || 0,
+      citesInSet: citesInSet.get(pmid) || 0
+    });
+
+    const nodes = [
+      ...ids.map(pmid => buildNode(pmid, metrics[pmid], false)),
+      ...ghostIds.map(pmid => buildNode(pmid, ghostMetrics[pmid], true))
+    ];
+    const missing = ids.filter(pmid => !links[pmid] && !metrics[pmid]);
+
+    logInfo(method, `Red de citas: ${ids.length} artículos, ${ghostIds.length} nodos fantasma, ${edgeList.length} aristas`);
+    return { nodes, edges: edgeList, missing };
+  }
+}
+
+export default new CitationGraphService();
@@ -1,10 +1,41 @@
 /**
- * Servicio para interactuar con la API de Claude (Anthropic)
- * Usa axios directamente para comunicarse con la API
+ * Servicio para interactuar con el modelo de lenguaje (Claude por defecto)
+ * Las solicitudes se delegan en el proveedor configurado en config.llm (ver llm/)
  */
-import axios from 'axios';
 import config from '../config/index.js';
-import { generateSynthesisPrompt } from '../utils/aiPrompts.js';
+import { createProvider, LLM_TASKS } from '../llm/index.js';
+import {
+  generateSynthesisPrompt,
+  generateSummaryOfFindingsPrompt,
+  generateCitationCheckPrompt,
+  generateEffectExtractionPrompt
+} from '../utils/aiPrompts.js';
+import { normalizeSearchStrategy } from '../utils/searchStrategy.js';
+import { describeFilters } from '../utils/searchFilters.js';
+import cacheService, { CACHE_NAMESPACES } from './cacheService.js';
+import aiUsageService from './aiUsageService.js';
+import { STUDY_DESIGNS } from '../utils/studyDesignClassifier.js';
+import {
+  APPRAISAL_EXAMPLE,
+  PICO_MATCH_VALUES,
+  EFFECT_MEASURES,
+  APPLICABILITY_LEVELS,
+  validateAppraisal
+} from '../utils/articleAppraisal.js';
+import { RISK_OF_BIAS_TOOLS, buildRiskOfBiasExample, validateRiskOfBias } from '../utils/riskOfBias.js';
+import { validateSummaryOfFindings } from '../utils/summaryOfFindings.js';
+import {
+  MAX_VERIFIED_CLAIMS,
+  extractCitations,
+  validateClaimSupport,
+  buildCitationCheck
+} from '../utils/synthesisCitations.js';
+import { EFFECT_EXTRACTION_SCHEMA_VERSION, validateEffectExtraction, verifyEffectRecords } from '../utils/effectExtraction.js';
+
+// Intentos (incluida la primera respuesta) para obtener una valoración o evaluación que cumpla el esquema
+const MAX_APPRAISAL_ATTEMPTS = 3;
+// Temperatura baja para que la valoración sea consistente entre ejecuciones
+const APPRAISAL_TEMPERATURE = 0.2;
 
 /**
  * Función para registro de información con timestamp
@@ -35,28 +66,72 @@ function logError(method, message, error = null) {
   }
 }
 
+/**
+ * Crea el error que se lanza cuando el cliente cancela una solicitud en streaming
+ * @returns {Error} - Error con código ABORTED
+ */
+function createAbortError() {
+  const error = new Error('Solicitud a Claude cancelada por el cliente');
+  error.code = 'ABORTED';
+  return error;
+}
+
 class ClaudeService {
   constructor() {
-    this.apiKey = config.apis.claude.apiKey;
+    // Proveedor del modelo de lenguaje (config.llm.provider)
+    this.provider = createProvider(config.llm.provider);
     
-    // La URL base para la API de Claude
-    this.baseUrl = 'https://api.anthropic.com';
-    
-    // Usar el modelo Claude Haiku como modelo principal
-    this.modelName = 'claude-3-haiku-20240307';
-    
-    logInfo('constructor', `Servicio Claude inicializado para modelo: ${this.modelName}`);
-    if (!this.apiKey) {
-      logError('constructor', 'API Key de Claude no configurada');
+    logInfo('constructor', `Servicio de IA inicializado con el proveedor "${this.provider.name}"`, this.getModels());
+    const configError = this.provider.validateConfig();
+    if (configError) {
+      logError('constructor', configError);
     }
   }
 
   /**
-   * Genera una respuesta basada en un prompt utilizando Claude
-   * @param {string} prompt - El prompt para Claude
+   * Sustituye el proveedor del modelo de lenguaje (p. ej. el de replay en pruebas)
+   * @param {Object} provider - Proveedor (ver llm/index.js)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    logInfo('setProvider', `Proveedor de IA cambiado a "${provider.name}"`, this.getModels());
+  }
+
+  /**
+   * Modelo que se usa para una tarea: el configurado para la tarea, el configurado por
+   * defecto o, si no hay ninguno, el que el proveedor usa por defecto para la tarea
+   * @param {string} task - Tarea (ver LLM_TASKS)
+   * @returns {string} - Nombre del modelo
+   */
+  getModel(task = 'default') {
+    const { models } = config.llm;
+    return models[task]
+      || models.default
+      || this.provider.defaultModels[task]
+      || this.provider.defaultModels.default;
+  }
+
+  /**
+   * Modelos que se usan para cada tarea
+   * @returns {Object} - Modelo por tarea
+   */
+  getModels() {
+    return Object.fromEntries(LLM_TASKS.map(task => [task, this.getModel(task)]));
+  }
+
+  /**
+   * Genera una respuesta basada en un prompt utilizando el proveedor configurado
+   * Si se indica options.onText la respuesta se recibe en streaming y cada fragmento
+   * de texto se entrega al llegar (una respuesta en caché se entrega en un solo fragmento)
+   * @param {string} prompt - El prompt
    * @param {Object} options - Opciones adicionales
-   * @param {string} options.specificModel - Modelo específico a usar (opcional)
+   * @param {string} options.task - Tarea que determina el modelo (ver LLM_TASKS, por defecto 'default')
+   * @param {string} options.specificModel - Modelo específico a usar en lugar del de la tarea (opcional)
    * @param {number} options.temperature - Temperatura para la generación (opcional)
+   * @param {number} options.retries - Intentos previos de la misma solicitud, para la contabilidad de uso (opcional)
+   * @param {Function} options.onStart - Se llama al empezar a generar la respuesta (opcional)
+   * @param {Function} options.onText - Recibe cada fragmento de texto en streaming (opcional)
+   * @param {AbortSignal} options.signal - Cancela la solicitud (opcional)
    * @returns {Promise<string>} - Respuesta generada
    */
   async generateResponse(prompt, options = {}) {
@@ -68,115 +143,218 @@ class ClaudeService {
       throw error;
     }
 
-    if (!this.apiKey) {
-      const error = new Error('API Key de Claude no está configurada');
+    const configError = this.provider.validateConfig();
+    if (configError) {
+      const error = new Error(configError);
       logError(method, error.message);
       throw error;
     }
 
-    // Usar el modelo especificado o el predeterminado
-    const modelToUse = options.specificModel || this.modelName;
-    const temperature = options.temperature || 0.7;
+    // Usar el modelo especificado o el configurado para la tarea
+    const task = options.task || 'default';
+    const request = {
+      prompt,
+      task,
+      model: options.specificModel || this.getModel(task),
+      temperature: options.temperature || 0.7,
+      maxTokens: config.llm.maxTokens,
+      retries: options.retries || 0
+    };
+    
+    const { onStart, onText, signal } = options;
+    
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    
+    // Las respuestas se guardan en caché por proveedor, prompt, modelo y temperatura
+    const cacheKey = {
+      provider: this.provider.name,
+      prompt,
+      model: request.model,
+      temperature: request.temperature
+    };
+    
+    if (!onText) {
+      return cacheService.wrap(
+        CACHE_NAMESPACES.CLAUDE_RESPONSE,
+        cacheKey,
+        (sharedSignal) => this._requestCompletion({ ...request, signal: sharedSignal }),
+        { signal }
+      );
+    }
+    
+    // En streaming se comparte la misma caché; si la respuesta no viene del proveedor se entrega completa
+    onStart?.();
+    let streamed = false;
+    const responseText = await cacheService.wrap(
+      CACHE_NAMESPACES.CLAUDE_RESPONSE,
+      cacheKey,
+      (sharedSignal) => {
+        streamed = true;
+        return this._streamCompletion({ ...request, onText, signal: sharedSignal });
+      },
+      { signal }
+    );
+    
+    if (!streamed) {
+      onText(responseText);
+    }
+    return responseText;
+  }
+
+  /**
+   * Envía un prompt al proveedor y espera la respuesta completa
+   * @param {Object} request - { prompt, task, model, temperature, maxTokens, retries, signal }
+   * @returns {Promise<string>} - Respuesta generada
+   */
+  async _requestCompletion(request) {
+    const method = 'requestCompletion';
+    
+    await this._checkBudget(method);
     
-    logInfo(method, `Iniciando generación con Claude usando modelo: ${modelToUse}`);
-    logInfo(method, `Longitud del prompt: ${prompt.length} caracteres`);
-    logInfo(method, `Temperatura configurada: ${temperature}`);
+    logInfo(method, `Iniciando generación con "${this.provider.name}" usando modelo: ${request.model} (tarea ${request.task})`);
+    logInfo(method, `Longitud del prompt: ${request.prompt.length} caracteres`);
+    logInfo(method, `Temperatura configurada: ${request.temperature}`);
     
     const startTime = Date.now();
     
     try {
-      // Estructura de la solicitud para Claude (Anthropic)
-      const requestData = {
-        model: modelToUse,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: temperature,
-        max_tokens: 2048
-      };
-      
-      // Endpoint de generación de texto de Claude
-      const url = `${this.baseUrl}/v1/messages`;
+      const { text, usage } = await this.provider.complete(request);
       
-      logInfo(method, `Enviando solicitud a ${url}`);
-      
-      // Aumentar el tiempo de espera a 45 segundos
-      const response = await axios.post(url, requestData, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: 45000 // 45 segundos de timeout
-      });
+      logInfo(method, `Respuesta exitosa después de ${Date.now() - startTime}ms. Longitud: ${text.length} caracteres`);
+      logInfo(method, `Uso de tokens: ${JSON.stringify(usage)}`);
+      await this._recordUsage(request, 'success', startTime, usage);
       
-      const endTime = Date.now();
-      const durationMs = endTime - startTime;
-      
-      logInfo(method, `Respuesta recibida después de ${durationMs}ms`);
-      
-      if (response.data && 
-          response.data.content && 
-          response.data.content.length > 0 && 
-          response.data.content[0].text) {
-        
-        const responseText = response.data.content[0].text;
-        logInfo(method, `Respuesta exitosa. Longitud: ${responseText.length} caracteres`);
-        
-        // Registrar algunos metadatos adicionales si están disponibles
-        if (response.data.usage) {
-          logInfo(method, `Uso de tokens: ${JSON.stringify(response.data.usage)}`);
-        }
-        
-        return responseText;
-      } else {
-        const error = new Error('Formato de respuesta inválido de Claude');
-        logError(method, error.message, response.data);
-        throw error;
-      }
+      return text;
     } catch (error) {
-      const endTime = Date.now();
-      const durationMs = endTime - startTime;
-      
-      // Mensajes de error más específicos según el tipo de error
-      let errorMessage = `Error después de ${durationMs}ms: `;
-      
-      if (error.code === 'ECONNABORTED') {
-        errorMessage += 'Tiempo de espera agotado. La API tardó demasiado en responder.';
-      } else if (error.response && error.response.status === 429) {
-        errorMessage += 'Demasiadas solicitudes. Se ha superado el límite de rate limit de la API.';
-      } else if (error.response && error.response.status === 500) {
-        errorMessage += 'Error interno del servidor de Claude. Intente nuevamente más tarde.';
-      } else if (error.response && error.response.status === 503) {
-        errorMessage += 'Servicio no disponible. La API de Claude puede estar experimentando problemas.';
-      } else {
-        errorMessage += error.message;
+      await this._recordUsage(request, 'error', startTime);
+      if (request.signal?.aborted) {
+        logInfo(method, `Solicitud cancelada después de ${Date.now() - startTime}ms`);
+        throw createAbortError();
       }
+      throw this._buildRequestError(method, error, startTime);
+    }
+  }
+
+  /**
+   * Envía un prompt al proveedor en modo streaming
+   * @param {Object} request - { prompt, task, model, temperature, maxTokens, retries, onText, signal }
+   * @returns {Promise<string>} - Respuesta completa
+   */
+  async _streamCompletion(request) {
+    const method = 'streamCompletion';
+    
+    await this._checkBudget(method);
+    
+    logInfo(method, `Iniciando generación en streaming con "${this.provider.name}" usando modelo: ${request.model} (tarea ${request.task})`);
+    logInfo(method, `Longitud del prompt: ${request.prompt.length} caracteres`);
+    
+    const startTime = Date.now();
+    
+    try {
+      const { text, usage } = await this.provider.stream(request);
       
-      logError(method, errorMessage, error);
+      logInfo(method, `Streaming completado después de ${Date.now() - startTime}ms. Longitud: ${text.length} caracteres`);
+      logInfo(method, `Uso de tokens: ${JSON.stringify(usage)}`);
+      await this._recordUsage(request, 'success', startTime, usage);
       
-      // Mostrar información detallada del error
-      if (error.response) {
-        logError(method, `Estado HTTP: ${error.response.status}`, {
-          status: error.response.status,
-          data: error.response.data
-        });
+      return text;
+    } catch (error) {
+      await this._recordUsage(request, 'error', startTime);
+      if (request.signal?.aborted) {
+        logInfo(method, `Streaming cancelado por el cliente después de ${Date.now() - startTime}ms`);
+        throw createAbortError();
       }
-      
-      // Propagar el error con mensaje mejorado
-      throw new Error(errorMessage);
+      throw this._buildRequestError(method, error, startTime);
     }
   }
+
+  /**
+   * Impide llamar al proveedor cuando se ha agotado el presupuesto diario de IA
+   * Las respuestas en caché no pasan por aquí y se siguen sirviendo
+   * @param {string} method - Método que hace la comprobación
+   * @returns {Promise<void>}
+   */
+  async _checkBudget(method) {
+    if (await aiUsageService.isBudgetExhausted()) {
+      const error = new Error('Se ha agotado el presupuesto diario de IA');
+      error.code = 'AI_BUDGET_EXHAUSTED';
+      error.statusCode = 503;
+      logError(method, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra el consumo de una llamada al proveedor (ver services/aiUsageService.js)
+   * @param {Object} request - Solicitud enviada
+   * @param {string} status - 'success' o 'error'
+   * @param {number} startTime - Inicio de la solicitud (ms)
+   * @param {Object} usage - { inputTokens, outputTokens } informados por el proveedor (opcional)
+   * @returns {Promise<void>}
+   */
+  async _recordUsage(request, status, startTime, usage = null) {
+    await aiUsageService.record({
+      task: request.task,
+      provider: this.provider.name,
+      model: request.model,
+      status,
+      inputTokens: usage?.inputTokens ?? null,
+      outputTokens: usage?.outputTokens ?? null,
+      latencyMs: Date.now() - startTime,
+      retries: request.retries
+    });
+  }
+
+  /**
+   * Construye el error de una solicitud fallida a Claude con un mensaje descriptivo
+   * @param {string} method - Método que genera el error
+   * @param {Error} error - Error original
+   * @param {number} startTime - Inicio de la solicitud (ms)
+   * @returns {Error} - Error con mensaje mejorado
+   */
+  _buildRequestError(method, error, startTime) {
+    const durationMs = Date.now() - startTime;
+    
+    // Mensajes de error más específicos según el tipo de error
+    let errorMessage = `Error después de ${durationMs}ms: `;
+    
+    if (error.code === 'ECONNABORTED') {
+      errorMessage += 'Tiempo de espera agotado. La API tardó demasiado en responder.';
+    } else if (error.response && error.response.status === 429) {
+      errorMessage += 'Demasiadas solicitudes. Se ha superado el límite de rate limit de la API.';
+    } else if (error.response && error.response.status === 500) {
+      errorMessage += 'Error interno del servidor del proveedor de IA. Intente nuevamente más tarde.';
+    } else if (error.response && error.response.status === 503) {
+      errorMessage += 'Servicio no disponible. El proveedor de IA puede estar experimentando problemas.';
+    } else {
+      errorMessage += error.message;
+    }
+    
+    logError(method, errorMessage, error);
+    
+    // Mostrar información detallada del error
+    if (error.response) {
+      logError(method, `Estado HTTP: ${error.response.status}`, {
+        status: error.response.status,
+        data: error.response.data
+      });
+    }
+    
+    // Propagar el error con mensaje mejorado
+    return new Error(errorMessage);
+  }
   
   /**
    * Genera una estrategia de búsqueda para PubMed basada en una pregunta clínica
+   * Extrae los componentes PICO, los mapea a términos MeSH y sinónimos de texto libre
+   * y devuelve la estrategia estructurada
    * @param {string} clinicalQuestion - Pregunta clínica
-   * @returns {Promise<string>} - Estrategia de búsqueda generada
+   * @param {Object} options - signal para cancelar la solicitud (opcional)
+   * @returns {Promise<Object>} - Estrategia con query, translatedQuestion, pico y rationale
    */
-  async generateSearchStrategy(clinicalQuestion) {
+  async generateSearchStrategy(clinicalQuestion, { signal } = {}) {
     const method = 'generateSearchStrategy';
     
     if (!clinicalQuestion) {
@@ -219,37 +397,33 @@ INSTRUCCIONES DETALLADAS:
      * [Publication Type] para filtrar por tipo de estudio si es relevante
      * [Subheading] para subtítulos MeSH específicos
 
-4. ESTRUCTURA DE LA RESPUESTA:
-   Tu respuesta debe incluir:
-   
-   a) ANÁLISIS PICO:
-      - P: [Población identificada]
-      - I: [Intervención identificada]
-      - C: [Comparador identificado (si aplica)]
-      - O: [Outcomes/resultados identificados]
-   
-   b) TRADUCCIÓN:
-      - Traducción precisa al inglés de los términos clave
-   
-   c) MAPA CONCEPTUAL:
-      - Lista de términos MeSH principales para cada concepto
-      - Términos de entrada y sinónimos importantes
-   
-   d) ESTRATEGIA DE BÚSQUEDA COMPLETA:
-      - Presenta la estrategia de búsqueda final con formato adecuado para copiar directamente en PubMed
-      - Usa paréntesis para agrupar términos correctamente
-      - Incluye combinaciones booleanas (AND, OR, NOT) apropiadas
-   
-   e) JUSTIFICACIÓN:
-      - Breve explicación de por qué esta estrategia optimiza sensibilidad y especificidad
-
-5. FORMATO FINAL:
+4. FORMATO DE LA ESTRATEGIA:
    Asegúrate de que la estrategia final esté correctamente estructurada con:
    - Paréntesis balanceados y adecuadamente anidados
    - Operadores booleanos en mayúsculas (AND, OR, NOT)
    - Términos MeSH con el formato correcto (incluyendo [MeSH])
    - Subtítulos MeSH cuando sea apropiado (ej: "Diabetes Mellitus/therapy"[MeSH])
 
+5. ESTRUCTURA DE LA RESPUESTA:
+   Responde ÚNICAMENTE con un objeto JSON válido, sin texto adicional ni bloques de código, con este formato:
+   {
+     "translatedQuestion": "Traducción precisa de la pregunta al inglés",
+     "pico": {
+       "population": {
+         "description": "Población identificada",
+         "meshTerms": ["Término MeSH exacto"],
+         "freeTextTerms": ["sinónimo", "variante", "abreviatura"]
+       },
+       "intervention": { "description": "...", "meshTerms": [], "freeTextTerms": [] },
+       "comparator": { "description": "... (vacío si no aplica)", "meshTerms": [], "freeTextTerms": [] },
+       "outcome": { "description": "...", "meshTerms": [], "freeTextTerms": [] }
+     },
+     "query": "Estrategia de búsqueda completa lista para copiar en PubMed",
+     "rationale": "Breve explicación de por qué esta estrategia optimiza sensibilidad y especificidad"
+   }
+   - Los términos MeSH y de texto libre deben estar en inglés y sin etiquetas de campo.
+   - Si un componente PICO no aplica (por ejemplo, no hay comparador), deja sus listas vacías.
+
 6. EJEMPLOS DE ESTRATEGIAS DE BÚSQUEDA EFECTIVAS:
    
    Ejemplo 1:
@@ -283,79 +457,135 @@ Pregunta clínica: ${clinicalQuestion}`;
     try {
       logInfo(method, 'Enviando prompt estructurado a Claude para generar estrategia de búsqueda');
       const startTime = Date.now();
-      const response = await this.generateResponse(prompt);
+      const response = await this.generateResponse(prompt, {
+        task: 'strategy',
+        temperature: 0.3, // Temperatura baja para obtener JSON estable
+        signal
+      });
       const endTime = Date.now();
       logInfo(method, `Estrategia de búsqueda generada exitosamente en ${endTime - startTime}ms`);
       
-      // Intenta extraer la estrategia de búsqueda final para facilitar su uso
-      let extractedStrategy = null;
+      let strategy;
+      const parsed = this._parseJsonResponse(response);
       
-      // Método 1: Buscar sección "ESTRATEGIA DE BÚSQUEDA COMPLETA"
-      const searchStrategyMatch = response.match(/ESTRATEGIA DE BÚSQUEDA COMPLETA:[\s\S]*?(\(.+?\)(?:\s+(?:AND|OR|NOT)\s+\(.+?\))*)/i);
-      if (searchStrategyMatch && searchStrategyMatch[1]) {
-        extractedStrategy = searchStrategyMatch[1].trim();
-        logInfo(method, `Estrategia extraída (método 1): "${extractedStrategy.substring(0, 100)}${extractedStrategy.length > 100 ? '...' : ''}"`);
-      } 
-      // Método 2: Buscar secuencia de términos MeSH y operadores booleanos
-      else {
-        try {
-          // Buscar un patrón que incluya términos MeSH y operadores booleanos
-          const meshPattern = /\(\s*"[^"]+"\s*(?:\[[^\]]+\])(?:\s+OR\s+(?:"[^"]+"\s*(?:\[[^\]]+\])))*\)(?:\s+AND\s+\(.+?\))*/g;
-          const matches = [...response.matchAll(meshPattern)];
-          
-          if (matches && matches.length > 0) {
-            // Encontrar la coincidencia más larga (probablemente la estrategia completa)
-            const longestMatch = matches.reduce((longest, match) => 
-              match[0].length > longest.length ? match[0] : longest, "");
-            
-            if (longestMatch && longestMatch.length > 40) {
-              extractedStrategy = longestMatch;
-              logInfo(method, `Estrategia extraída (método 2): "${extractedStrategy.substring(0, 100)}${extractedStrategy.length > 100 ? '...' : ''}"`);
-            }
-          }
-        } catch (regexError) {
-          logError(method, 'Error en extracción con regex avanzada', regexError);
-        }
-      }
-      
-      // Método 3: Buscar en líneas individuales
-      if (!extractedStrategy) {
-        try {
-          const lines = response.split('\n');
-          for (const line of lines) {
-            // Buscar líneas que contengan estructura de búsqueda PubMed
-            if ((line.includes('[MeSH') || line.includes('[Mesh]') || line.includes('[tiab]')) && 
-                (line.includes('AND') || line.includes('OR')) && 
-                line.includes('(') && line.includes(')') && 
-                line.length > 50) {
-              extractedStrategy = line.trim();
-              logInfo(method, `Estrategia extraída (método 3): "${extractedStrategy.substring(0, 100)}${extractedStrategy.length > 100 ? '...' : ''}"`);
-              break;
-            }
-          }
-        } catch (parseError) {
-          logError(method, 'Error en análisis línea por línea', parseError);
-        }
+      if (parsed) {
+        strategy = normalizeSearchStrategy(parsed);
+        logInfo(method, `Estrategia estructurada recibida: "${strategy.query.substring(0, 100)}${strategy.query.length > 100 ? '...' : ''}"`);
+      } else {
+        // Si Claude no devolvió JSON válido, intentar rescatar al menos la consulta del texto
+        logInfo(method, 'La respuesta no es JSON válido, extrayendo la estrategia del texto libre');
+        strategy = normalizeSearchStrategy({
+          query: this._extractStrategyFromText(response) || ''
+        });
       }
       
-      if (!extractedStrategy) {
+      if (!strategy.query) {
         logInfo(method, 'No se pudo extraer automáticamente la estrategia del texto completo');
       }
       
-      return response;
+      return strategy;
     } catch (error) {
       logError(method, 'Error al generar estrategia de búsqueda', error);
       throw error;
     }
   }
   
+  /**
+   * Extrae un objeto JSON de la respuesta de Claude
+   * Tolera bloques de código markdown y texto alrededor del objeto
+   * @param {string} responseText - Texto de respuesta de Claude
+   * @returns {Object|null} - Objeto parseado o null si no es JSON válido
+   * @private
+   */
+  _parseJsonResponse(responseText) {
+    if (!responseText || typeof responseText !== 'string') return null;
+    
+    const withoutFences = responseText.replace(/```(?:json)?/gi, '').trim();
+    const firstBrace = withoutFences.indexOf('{');
+    const lastBrace = withoutFences.lastIndexOf('}');
+    
+    if (firstBrace === -1 || lastBrace <= firstBrace) return null;
+    
+    try {
+      const parsed = JSON.parse(withoutFences.substring(firstBrace, lastBrace + 1));
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (parseError) {
+      logError('_parseJsonResponse', `JSON inválido en respuesta: ${parseError.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Extrae la estrategia de búsqueda de una respuesta en texto libre
+   * @param {string} response - Texto de respuesta de Claude
+   * @returns {string|null} - Estrategia extraída o null
+   * @private
+   */
+  _extractStrategyFromText(response) {
+    const method = '_extractStrategyFromText';
+    let extractedStrategy = null;
+    
+    // Método 1: Buscar sección "ESTRATEGIA DE BÚSQUEDA COMPLETA"
+    const searchStrategyMatch = response.match(/ESTRATEGIA DE BÚSQUEDA COMPLETA:[\s\S]*?(\(.+?\)(?:\s+(?:AND|OR|NOT)\s+\(.+?\))*)/i);
+    if (searchStrategyMatch && searchStrategyMatch[1]) {
+      extractedStrategy = searchStrategyMatch[1].trim();
+      logInfo(method, `Estrategia extraída (método 1): "${extractedStrategy.substring(0, 100)}${extractedStrategy.length > 100 ? '...' : ''}"`);
+    } 
+    // Método 2: Buscar secuencia de términos MeSH y operadores booleanos
+    else {
+      try {
+        // Buscar un patrón que incluya términos MeSH y operadores booleanos
+        const meshPattern = /\(\s*"[^"]+"\s*(?:\[[^\]]+\])(?:\s+OR\s+(?:"[^"]+"\s*(?:\[[^\]]+\])))*\)(?:\s+AND\s+\(.+?\))*/g;
+        const matches = [...response.matchAll(meshPattern)];
+        
+        if (matches && matches.length > 0) {
+          // Encontrar la coincidencia más larga (probablemente la estrategia completa)
+          const longestMatch = matches.reduce((longest, match) => 
+            match[0].length > longest.length ? match[0] : longest, "");
+          
+          if (longestMatch && longestMatch.length > 40) {
+            extractedStrategy = longestMatch;
+            logInfo(method, `Estrategia extraída (método 2): "${extractedStrategy.substring(0, 100)}${extractedStrategy.length > 100 ? '...' : ''}"`);
+          }
+        }
+      } catch (regexError) {
+        logError(method, 'Error en extracción con regex avanzada', regexError);
+      }
+    }
+    
+    // Método 3: Buscar en líneas individuales
+    if (!extractedStrategy) {
+      try {
+        const lines = response.split('\n');
+        for (const line of lines) {
+          // Buscar líneas que contengan estructura de búsqueda PubMed
+          if ((line.includes('[MeSH') || line.includes('[Mesh]') || line.includes('[tiab]')) && 
+              (line.includes('AND') || line.includes('OR')) && 
+              line.includes('(') && line.includes(')') && 
+              line.length > 50) {
+            extractedStrategy = line.trim();
+            logInfo(method, `Estrategia extraída (método 3): "${extractedStrategy.substring(0, 100)}${extractedStrategy.length > 100 ? '...' : ''}"`);
+            break;
+          }
+        }
+      } catch (parseError) {
+        logError(method, 'Error en análisis línea por línea', parseError);
+      }
+    }
+    
+    return extractedStrategy;
+  }
+  
   /**
    * Analiza un artículo científico en relación a una pregunta clínica
    * @param {Object} article - Artículo científico a analizar
    * @param {string} clinicalQuestion - Pregunta clínica 
-   * @returns {Promise<string>} - Análisis del artículo
+   * @param {Object} streamOptions - onStart, onText y signal para recibir el texto en streaming (opcional);
+   *   onStart se llama al empezar cada intento de la valoración
+   * @returns {Promise<Object>} - Valoración crítica validada (ver utils/articleAppraisal.js)
+   * @throws {Error} - Si la respuesta no cumple el esquema tras los reintentos de reparación
    */
-  async analyzeArticle(article, clinicalQuestion) {
+  async analyzeArticle(article, clinicalQuestion, streamOptions = {}) {
     const method = 'analyzeArticle';
     
     if (!article) {
@@ -383,7 +613,11 @@ Pregunta clínica: ${clinicalQuestion}`;
       ? meshTerms.join(", ")
       : "No disponible";
 
-    // Construir el prompt para análisis de artículo como tarjeta visual
+    const publicationTypesText = Array.isArray(article.publicationTypes) && article.publicationTypes.length > 0
+      ? article.publicationTypes.map(type => type.name || type).join(", ")
+      : "No disponible";
+
+    // Construir el prompt para la valoración crítica estructurada (JSON)
     const prompt = `Eres Claude, un asistente experto en análisis crítico de literatura científica biomédica.
 
 Analiza el siguiente artículo científico en relación a la pregunta clínica proporcionada.
@@ -396,83 +630,25 @@ Autores: ${authorNames}
 Fecha de publicación: ${publicationDate}
 DOI: ${doi || 'No disponible'}
 PMID: ${pmid || 'No disponible'}
+Tipos de publicación: ${publicationTypesText}
+Diseño según la clasificación automática: ${article.studyDesign?.label || 'No disponible'}
 Términos MeSH: ${meshTermsText}
 
 Abstract: ${abstract}
 
 INSTRUCCIONES:
-Tu análisis debe presentarse en formato VISUAL de TARJETA o FICHA TÉCNICA con formato preciso:
-
-<div class="card-analysis">
-  <div class="card-header">
-    <h3>ANÁLISIS DE EVIDENCIA</h3>
-    <div class="badges">
-      <span class="badge quality">★★★★☆</span>
-      <span class="badge type">Meta-análisis</span>
-    </div>
-  </div>
-  
-  <div class="card-section">
-    <h4>RESUMEN CLÍNICO</h4>
-    <p>Breve resumen del artículo y su relevancia para la pregunta clínica.</p>
-  </div>
-  
-  <div class="card-section">
-    <h4>METODOLOGÍA</h4>
-    <ul>
-      <li><strong>Diseño:</strong> Tipo de estudio</li>
-      <li><strong>Muestra:</strong> Número y características</li>
-      <li><strong>Duración:</strong> Período de seguimiento</li>
-    </ul>
-  </div>
-  
-  <div class="card-section">
-    <h4>HALLAZGOS CLAVE</h4>
-    <ul>
-      <li>Hallazgo principal 1</li>
-      <li>Hallazgo principal 2</li>
-      <li>Hallazgo principal 3</li>
-    </ul>
-  </div>
-  
-  <div class="card-section">
-    <h4>EVALUACIÓN CRÍTICA</h4>
-    <div class="evaluation-grid">
-      <div class="evaluation-item">
-        <span class="label">FORTALEZAS</span>
-        <ul>
-          <li>Fortaleza 1</li>
-          <li>Fortaleza 2</li>
-        </ul>
-      </div>
-      <div class="evaluation-item">
-        <span class="label">LIMITACIONES</span>
-        <ul>
-          <li>Limitación 1</li>
-          <li>Limitación 2</li>
-        </ul>
-      </div>
-    </div>
-  </div>
-  
-  <div class="card-section">
-    <h4>RELEVANCIA CLÍNICA</h4>
-    <p>Valoración sobre aplicabilidad de resultados a la práctica.</p>
-  </div>
-</div>
-
-IMPORTANTE:
-1. USA EXACTAMENTE el formato HTML proporcionado - la estructura de divs y clases es esencial.
-2. La CALIFICACIÓN de calidad (de 1 a 5 estrellas) debe aparecer como un badge en el encabezado.
-   - AJUSTA el número de estrellas según la calidad y relevancia del artículo (1-5 estrellas)
-   - Para calificar con 4 estrellas, usa: <span class="badge quality">★★★★☆</span>
-   - Para calificar con 3 estrellas, usa: <span class="badge quality">★★★☆☆</span>
-   - Para calificar con 5 estrellas, usa: <span class="badge quality">★★★★★</span>
-   - Para calificar con 2 estrellas, usa: <span class="badge quality">★★☆☆☆</span>
-   - Para calificar con 1 estrella, usa: <span class="badge quality">★☆☆☆☆</span>
-3. INCLUYE el TIPO DE ESTUDIO como un segundo badge junto a la calificación.
-4. COMPLETA todas las secciones requeridas con información concisa y clara.
-5. MANTÉN el análisis breve pero exhaustivo, con énfasis en los puntos más relevantes.`;
+Devuelve ÚNICAMENTE un objeto JSON válido (sin texto adicional, sin markdown y sin HTML) con esta estructura:
+
+${JSON.stringify(APPRAISAL_EXAMPLE, null, 2)}
+
+REGLAS:
+1. studyType debe ser uno de: ${Object.keys(STUDY_DESIGNS).filter(design => design !== 'unknown').join(', ')}.
+2. evidenceLevel es el nivel de evidencia Oxford CEBM 2011 (entero de 1 a 5) o null si no aplica.
+3. qualityStars es la calidad metodológica y relevancia del artículo para la pregunta (entero de 1 a 5).
+4. picoMatch indica para population, intervention, comparator y outcome si el artículo coincide con la pregunta: ${PICO_MATCH_VALUES.join(', ')}.
+5. effectSizes solo debe incluir medidas de efecto que aparezcan en el abstract (${EFFECT_MEASURES.join(', ')}); usa una lista vacía si no hay ninguna. value, ciLower y ciUpper son números.
+6. clinicalApplicability.level debe ser uno de: ${APPLICABILITY_LEVELS.join(', ')}.
+7. Redacta los textos en español, de forma breve y concisa.`;
 
     try {
       // Añadir un retraso aleatorio entre 1-3 segundos para evitar superar el rate limit
@@ -480,38 +656,173 @@ IMPORTANTE:
       logInfo(method, `Añadiendo retraso de ${randomDelay}ms antes de solicitar análisis para evitar rate limiting`);
       await new Promise(resolve => setTimeout(resolve, randomDelay));
       
+      if (streamOptions.signal?.aborted) {
+        throw createAbortError();
+      }
+      
       logInfo(method, `Longitud del prompt generado: ${prompt.length} caracteres`);
-      const response = await this.generateResponse(prompt);
-      logInfo(method, 'Análisis de artículo generado exitosamente');
-      return response;
+      
+      const { appraisal } = await this._generateValidatedJson(prompt, validateAppraisal, {
+        ...streamOptions,
+        method,
+        label: 'valoración del artículo',
+        task: 'analysis'
+      });
+      return appraisal;
     } catch (error) {
-      // Si hay un error de rate limit, reintentamos con un retraso mayor
-      if (error.message && error.message.includes('rate limit')) {
-        logInfo(method, 'Rate limit alcanzado. Reintentando después de un retraso...');
-        await new Promise(resolve => setTimeout(resolve, 5000)); // 5 segundos de espera
-        try {
-          logInfo(method, 'Reintentando solicitud de análisis...');
-          const response = await this.generateResponse(prompt);
-          logInfo(method, 'Análisis de artículo generado exitosamente en segundo intento');
-          return response;
-        } catch (retryError) {
-          logError(method, 'Error en segundo intento de análisis', retryError);
-          throw retryError;
-        }
+      logError(method, 'Error al analizar artículo', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evalúa el riesgo de sesgo de un artículo con la herramienta que corresponde a su diseño
+   * RoB 2 para ensayos aleatorizados, ROBINS-I para estudios no aleatorizados y AMSTAR-2
+   * para revisiones sistemáticas; cada dominio incluye una cita literal del abstract
+   * @param {Object} article - Artículo científico (con abstract)
+   * @param {string} toolId - Herramienta de RISK_OF_BIAS_TOOLS (elegida según el diseño del estudio)
+   * @param {Object} streamOptions - onStart, onText y signal para recibir el texto en streaming (opcional)
+   * @returns {Promise<Object>} - Evaluación validada (ver utils/riskOfBias.js)
+   * @throws {Error} - Si la respuesta no cumple el esquema tras los reintentos de reparación
+   */
+  async assessRiskOfBias(article, toolId, streamOptions = {}) {
+    const method = 'assessRiskOfBias';
+    const tool = RISK_OF_BIAS_TOOLS[toolId];
+    
+    if (!article?.abstract) {
+      const error = new Error('Se requiere un artículo con abstract para evaluar el riesgo de sesgo');
+      logError(method, error.message);
+      throw error;
+    }
+    
+    if (!tool) {
+      const error = new Error(`Herramienta de riesgo de sesgo desconocida: "${toolId}"`);
+      logError(method, error.message);
+      throw error;
+    }
+    
+    logInfo(method, `Evaluando con ${tool.label} el artículo: "${(article.title || 'Sin título').substring(0, 100)}"`);
+    
+    const domainsText = tool.domains
+      .map(domain => `- ${domain.id}: ${domain.label}${domain.critical ? ' (dominio crítico)' : ''}`)
+      .join('\n');
+    
+    const prompt = `Eres Claude, un asistente experto en revisiones sistemáticas y evaluación del riesgo de sesgo.
+
+Evalúa el siguiente artículo con la herramienta ${tool.label} (${tool.description}).
+
+Información del artículo:
+Título: ${article.title || 'Sin título'}
+PMID: ${article.pmid || 'No disponible'}
+Diseño según la clasificación automática: ${article.studyDesign?.label || 'No disponible'}
+
+Abstract: ${article.abstract}
+
+DOMINIOS DE ${tool.label}:
+${domainsText}
+
+INSTRUCCIONES:
+Devuelve ÚNICAMENTE un objeto JSON válido (sin texto adicional, sin markdown y sin HTML) con esta estructura:
+
+${JSON.stringify(buildRiskOfBiasExample(toolId), null, 2)}
+
+REGLAS:
+1. Incluye todos los dominios de la lista, con las mismas claves.
+2. judgment de cada dominio debe ser uno de: ${Object.keys(tool.judgments).join(', ')}.
+3. overall.judgment debe ser uno de: ${Object.keys(tool.overallJudgments).join(', ')}.
+4. quote debe ser una frase copiada literalmente del abstract, sin traducirla ni parafrasearla. Si el abstract no informa sobre el dominio usa null y tenlo en cuenta en el juicio.
+5. Redacta rationale en español, de forma breve y concisa.`;
+    
+    try {
+      if (streamOptions.signal?.aborted) {
+        throw createAbortError();
       }
       
-      logError(method, 'Error al analizar artículo', error);
+      const { assessment } = await this._generateValidatedJson(
+        prompt,
+        data => validateRiskOfBias(data, toolId, article.abstract),
+        { ...streamOptions, method, label: 'evaluación del riesgo de sesgo', task: 'analysis' }
+      );
+      return assessment;
+    } catch (error) {
+      logError(method, 'Error al evaluar el riesgo de sesgo', error);
       throw error;
     }
   }
 
+  /**
+   * Genera una respuesta JSON y la valida contra un esquema
+   * Bucle de reparación: si la respuesta no cumple el esquema se pide a Claude que la corrija
+   * @param {string} prompt - Prompt con el formato JSON esperado
+   * @param {Function} validate - Recibe el objeto JSON y devuelve { valid, errors, ... }
+   * @param {Object} options - Opciones de generateResponse más method y label (p. ej. 'valoración del artículo') para los logs
+   * @returns {Promise<Object>} - Resultado de validate de la primera respuesta válida
+   * @throws {Error} - Si la respuesta no es válida tras MAX_APPRAISAL_ATTEMPTS intentos (details con los errores)
+   */
+  async _generateValidatedJson(prompt, validate, { method, label, ...options }) {
+    let currentPrompt = prompt;
+    let errors = [];
+    for (let attempt = 1; attempt <= MAX_APPRAISAL_ATTEMPTS; attempt++) {
+      const response = await this._generateWithRateLimitRetry(currentPrompt, {
+        temperature: APPRAISAL_TEMPERATURE,
+        ...options,
+        retries: attempt - 1
+      });
+      const result = validate(this._parseJsonResponse(response));
+      
+      if (result.valid) {
+        logInfo(method, `La ${label} se generó y validó (intento ${attempt}/${MAX_APPRAISAL_ATTEMPTS})`);
+        return result;
+      }
+      
+      errors = result.errors;
+      logError(method, `La ${label} no es válida en el intento ${attempt}/${MAX_APPRAISAL_ATTEMPTS}`, errors);
+      currentPrompt = `${prompt}
+
+Tu respuesta anterior no cumple el formato requerido:
+${response}
+
+Errores encontrados:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Corrige los errores y devuelve ÚNICAMENTE el objeto JSON completo.`;
+    }
+    
+    const error = new Error(`La ${label} de Claude no cumple el esquema tras ${MAX_APPRAISAL_ATTEMPTS} intentos: ${errors.join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  /**
+   * Genera una respuesta reintentando una vez tras una pausa si se alcanza el rate limit
+   * @param {string} prompt - El prompt para Claude
+   * @param {Object} options - Opciones de generateResponse
+   * @returns {Promise<string>} - Respuesta generada
+   */
+  async _generateWithRateLimitRetry(prompt, options = {}) {
+    const method = 'generateWithRateLimitRetry';
+    
+    try {
+      return await this.generateResponse(prompt, options);
+    } catch (error) {
+      if (!error.message || !error.message.includes('rate limit')) {
+        throw error;
+      }
+      
+      logInfo(method, 'Rate limit alcanzado. Reintentando después de un retraso...');
+      await new Promise(resolve => setTimeout(resolve, 5000)); // 5 segundos de espera
+      return this.generateResponse(prompt, { ...options, retries: (options.retries || 0) + 1 });
+    }
+  }
+
   /**
    * Genera una síntesis crítica de la evidencia científica basada en múltiples artículos
    * @param {string} clinicalQuestion - Pregunta clínica
    * @param {Array<Object>} articles - Artículos con análisis para sintetizar
+   * @param {Object} streamOptions - onStart, onText y signal para recibir la síntesis en streaming (opcional)
    * @returns {Promise<string>} - Síntesis en formato HTML
    */
-  async generateSynthesis(clinicalQuestion, articles) {
+  async generateSynthesis(clinicalQuestion, articles, streamOptions = {}) {
     const method = 'generateSynthesis';
     
     if (!clinicalQuestion) {
@@ -535,7 +846,8 @@ IMPORTANTE:
     try {
       // Generar la síntesis con un modelo Claude de mayor capacidad
       const synthesisContent = await this.generateResponse(prompt, {
-        specificModel: 'claude-3-opus-20240229', // Usar un modelo más capaz para la síntesis
+        ...streamOptions,
+        task: 'synthesis', // Por defecto un modelo de mayor capacidad (ver config.llm.models)
         temperature: 0.5 // Menor temperatura para mayor consistencia
       });
       
@@ -546,14 +858,130 @@ IMPORTANTE:
       throw error;
     }
   }
+
+  /**
+   * Genera la tabla de resumen de hallazgos de estilo GRADE de los artículos de la síntesis
+   * Agrupa los artículos por desenlace y valora la certeza con los dominios de GRADE,
+   * cada uno con los PMIDs que lo justifican (ver utils/summaryOfFindings.js)
+   * @param {string} clinicalQuestion - Pregunta clínica
+   * @param {Array<Object>} articles - Artículos con análisis (y riesgo de sesgo si se evaluó)
+   * @param {Object} options - signal para cancelar la solicitud (opcional)
+   * @returns {Promise<Object>} - { schemaVersion, outcomes }
+   */
+  async generateSummaryOfFindings(clinicalQuestion, articles, { signal } = {}) {
+    const method = 'generateSummaryOfFindings';
+    
+    if (!clinicalQuestion || !Array.isArray(articles) || articles.length === 0) {
+      const error = new Error('Se requiere una pregunta clínica y un array de artículos');
+      logError(method, error.message);
+      throw error;
+    }
+    
+    logInfo(method, `Generando la tabla de resumen de hallazgos de ${articles.length} artículos`);
+    
+    const pmids = articles.map(article => article.pmid).filter(Boolean).map(String);
+    const prompt = generateSummaryOfFindingsPrompt(clinicalQuestion, articles);
+    
+    try {
+      const { summaryOfFindings } = await this._generateValidatedJson(
+        prompt,
+        data => validateSummaryOfFindings(data, pmids),
+        { method, label: 'tabla de resumen de hallazgos', task: 'synthesis', signal }
+      );
+      
+      logInfo(method, `Tabla de resumen de hallazgos generada con ${summaryOfFindings.outcomes.length} desenlaces`);
+      return summaryOfFindings;
+    } catch (error) {
+      logError(method, 'Error al generar la tabla de resumen de hallazgos', error);
+      throw error;
+    }
+  }
   
+  /**
+   * Verifica las citas de una síntesis
+   * Cada cita debe llevar el PMID de uno de los artículos enviados; las afirmaciones con
+   * citas válidas se envían a Claude para comprobar que el abstract o el análisis del artículo
+   * las respaldan. Si esa comprobación falla se devuelven las citas sin verificar
+   * @param {string} synthesis - Síntesis en HTML
+   * @param {Array<Object>} articles - Artículos enviados a la síntesis
+   * @param {Object} options - signal para cancelar la solicitud (opcional)
+   * @returns {Promise<Object>} - { schemaVersion, claimsVerified, citations, counts, flagged }
+   */
+  async verifySynthesisCitations(synthesis, articles, { signal } = {}) {
+    const method = 'verifySynthesisCitations';
+    const pmids = articles.map(article => article.pmid).filter(Boolean).map(String);
+    const citations = extractCitations(synthesis);
+    const claims = citations
+      .filter(citation => citation.pmid && pmids.includes(citation.pmid))
+      .slice(0, MAX_VERIFIED_CLAIMS);
+    
+    logInfo(method, `${citations.length} citas en la síntesis; ${claims.length} afirmaciones para verificar`);
+    if (claims.length === 0) {
+      return buildCitationCheck(citations, pmids, {});
+    }
+    
+    try {
+      const { claims: claimSupport } = await this._generateValidatedJson(
+        generateCitationCheckPrompt(claims, articles),
+        data => validateClaimSupport(data, claims.map(claim => claim.id)),
+        { method, label: 'verificación de las citas', task: 'analysis', signal }
+      );
+      const citationCheck = buildCitationCheck(citations, pmids, claimSupport);
+      logInfo(method, `Citas señaladas: ${citationCheck.flagged} de ${citations.length}`);
+      return citationCheck;
+    } catch (error) {
+      if (error.code === 'ABORTED') throw error;
+      logError(method, 'No se pudo comprobar el respaldo de las afirmaciones. Se devuelven sin verificar', error.message);
+      return buildCitationCheck(citations, pmids, null);
+    }
+  }
+
+  /**
+   * Extrae las medidas de efecto (RR, OR, HR o MD con su IC 95% y tamaños muestrales) de los abstracts
+   * Los registros se devuelven para que el usuario los revise antes del meta-análisis; los que tienen
+   * números que no aparecen en el abstract se marcan con verified: false
+   * @param {Array<Object>} articles - Artículos con abstract
+   * @param {Object} options - signal para cancelar la solicitud (opcional)
+   * @returns {Promise<Object>} - { schemaVersion, records } (ver utils/effectExtraction.js)
+   */
+  async extractEffectSizes(articles, { signal } = {}) {
+    const method = 'extractEffectSizes';
+    const withAbstract = (articles || []).filter(article => article?.pmid && article.abstract);
+    
+    if (withAbstract.length === 0) {
+      const error = new Error('Se requiere al menos un artículo con PMID y abstract');
+      logError(method, error.message);
+      throw error;
+    }
+    
+    logInfo(method, `Extrayendo medidas de efecto de ${withAbstract.length} artículos`);
+    
+    try {
+      const pmids = withAbstract.map(article => String(article.pmid));
+      const { records } = await this._generateValidatedJson(
+        generateEffectExtractionPrompt(withAbstract),
+        data => validateEffectExtraction(data, pmids),
+        { method, label: 'extracción de medidas de efecto', task: 'analysis', signal }
+      );
+      
+      const verified = verifyEffectRecords(records, withAbstract);
+      const unverified = verified.filter(record => !record.verified).length;
+      logInfo(method, `${records.length} medidas de efecto extraídas${unverified > 0 ? ` (${unverified} con números que no aparecen en el abstract)` : ''}`);
+      return { schemaVersion: EFFECT_EXTRACTION_SCHEMA_VERSION, records: verified };
+    } catch (error) {
+      logError(method, 'Error al extraer las medidas de efecto', error);
+      throw error;
+    }
+  }
+
   /**
    * Analiza un lote de artículos en paralelo
    * @param {Array<Object>} articles - Lista de artículos
    * @param {string} clinicalQuestion - Pregunta clínica
-   * @returns {Promise<Array<Object>>} - Artículos con análisis
+   * @param {Object} options - signal para cancelar el lote (opcional; los artículos pendientes no se analizan)
+   * @returns {Promise<Array<Object>>} - Artículos con la valoración en analysis (o analysisError si falló)
    */
-  async analyzeArticleBatch(articles, clinicalQuestion) {
+  async analyzeArticleBatch(articles, clinicalQuestion, { signal } = {}) {
     const method = 'analyzeArticleBatch';
     
     if (!articles || !Array.isArray(articles) || articles.length === 0) {
@@ -585,18 +1013,23 @@ IMPORTANTE:
           await new Promise(resolve => setTimeout(resolve, delay));
         }
         
+        if (signal?.aborted) {
+          throw createAbortError();
+        }
+        
         logInfo(method, `Procesando artículo ${index+1}/${articles.length}: "${article.title?.substring(0, 50) || 'Sin título'}..."`);
         
         // Intentar analizar el artículo
-        const analysis = await this.analyzeArticle(article, clinicalQuestion);
+        const analysis = await this.analyzeArticle(article, clinicalQuestion, { signal });
         
         logInfo(method, `Artículo ${index+1}/${articles.length} analizado correctamente`);
         return {
           ...article,
-          secondaryAnalysis: analysis,
+          analysis,
           analyzed: true
         };
       } catch (error) {
+        if (error.code === 'ABORTED') throw error;
         logError(method, `Error al analizar artículo ${index+1}/${articles.length}: ${error.message}`);
         
         // Reintentar una vez si es un error de rate limit o timeout
@@ -608,19 +1041,20 @@ IMPORTANTE:
           await new Promise(resolve => setTimeout(resolve, 15000));
           
           try {
-            const analysis = await this.analyzeArticle(article, clinicalQuestion);
+            const analysis = await this.analyzeArticle(article, clinicalQuestion, { signal });
             logInfo(method, `Reintento exitoso para artículo ${index+1}/${articles.length}`);
             return {
               ...article,
-              secondaryAnalysis: analysis,
+              analysis,
               analyzed: true,
               retried: true
             };
           } catch (retryError) {
+            if (retryError.code === 'ABORTED') throw retryError;
             logError(method, `Reintento fallido para artículo ${index+1}/${articles.length}: ${retryError.message}`);
             return {
               ...article,
-              secondaryAnalysis: `Error: No fue posible analizar este artículo. ${retryError.message}`,
+              analysisError: `No fue posible analizar este artículo. ${retryError.message}`,
               error: true
             };
           }
@@ -628,7 +1062,7 @@ IMPORTANTE:
         
         return {
           ...article,
-          secondaryAnalysis: `Error: No fue posible analizar este artículo. ${error.message}`,
+          analysisError: `No fue posible analizar este artículo. ${error.message}`,
           error: true
         };
       }
@@ -640,6 +1074,10 @@ IMPORTANTE:
     
     // Dividir los artículos en lotes según el límite de concurrencia
     for (let i = 0; i < articles.length; i += concurrencyLimit) {
+      if (signal?.aborted) {
+        logInfo(method, `Lote cancelado tras analizar ${results.length}/${articles.length} artículos`);
+        throw createAbortError();
+      }
       const batch = articles.slice(i, i + concurrencyLimit);
       const batchPromises = batch.map((article, batchIndex) => 
         processArticle(article, i + batchIndex)
@@ -670,9 +1108,11 @@ IMPORTANTE:
    * @param {string} data.question - Pregunta clínica original
    * @param {string} data.initialStrategy - Estrategia de búsqueda inicial
    * @param {Array} data.initialResults - Resultados iniciales
+   * @param {Object} data.filters - Filtros aplicados por el usuario (opcional)
+   * @param {Object} options - signal para cancelar la solicitud (opcional)
    * @returns {Promise<string>} - Estrategia de búsqueda refinada
    */
-  async generateRefinedStrategy(data) {
+  async generateRefinedStrategy(data, { signal } = {}) {
     const method = 'generateRefinedStrategy';
     
     if (!data || !data.question || !data.initialStrategy || !data.initialResults) {
@@ -681,7 +1121,7 @@ IMPORTANTE:
       throw error;
     }
     
-    const { question, initialStrategy, initialResults } = data;
+    const { question, initialStrategy, initialResults, filters = null } = data;
     
     logInfo(method, `Generando estrategia refinada para pregunta: "${question.substring(0, 100)}${question.length > 100 ? '...' : ''}"`);
     logInfo(method, `Estrategia inicial: "${initialStrategy.substring(0, 100)}${initialStrategy.length > 100 ? '...' : ''}"`);
@@ -692,6 +1132,16 @@ IMPORTANTE:
       `${index + 1}. PMID: ${article.pmid} - Título: ${article.title.substring(0, 150)}`
     ).join('\n');
     
+    // Los filtros del usuario se añaden a cada búsqueda; Claude debe conocerlos para no contradecirlos
+    const filtersDescription = describeFilters(filters);
+    const filtersSection = filtersDescription
+      ? `
+FILTROS APLICADOS POR EL USUARIO:
+${filtersDescription}
+Estos filtros se añaden automáticamente a la búsqueda. No los elimines ni añadas filtros que los contradigan (por ejemplo, otro rango de años, otro idioma u otros tipos de artículo).
+`
+      : '';
+    
     // Prompt para generar una estrategia refinada
     const prompt = `Eres Claude, un asistente experto en investigación biomédica y estrategias avanzadas de búsqueda de literatura científica.
 
@@ -705,7 +1155,7 @@ ${initialStrategy}
 
 RESULTADOS INICIALES (${initialResults.length} artículos):
 ${resultsSummary}
-
+${filtersSection}
 INSTRUCCIONES:
 1. Analiza la pregunta clínica original y los resultados obtenidos.
 2. Identifica si la estrategia inicial fue demasiado amplia o capturó artículos irrelevantes.
@@ -724,7 +1174,9 @@ Proporciona SOLAMENTE la estrategia de búsqueda refinada, sin texto adicional,
       logInfo(method, 'Enviando solicitud a Claude para estrategia refinada');
       
       const response = await this.generateResponse(prompt, {
-        temperature: 0.5 // Temperatura más baja para resultados más deterministas
+        task: 'refinement',
+        temperature: 0.5, // Temperatura más baja para resultados más deterministas
+        signal
       });
       
       // Validar y limpiar la respuesta
@@ -0,0 +1,167 @@
+/**
+ * Servicio de expansión de resultados a partir de artículos semilla
+ * Reúne candidatos de los artículos similares de PubMed (ELink) y de las referencias
+ * y citas de iCite (citation snowballing hacia atrás y hacia delante)
+ */
+import pubmedService from './pubmedService.js';
+import iCiteService from './iciteService.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Expansion] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [Expansion] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [Expansion] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [Expansion] [${method}] Detalles:`, error);
+  }
+}
+
+/**
+ * Fuentes de candidatos
+ */
+export const EXPANSION_SOURCES = {
+  similar: 'Artículos similares en PubMed',
+  references: 'Referencias del artículo',
+  citedBy: 'Artículos que lo citan'
+};
+
+// Máximo de artículos semilla por petición y de artículos similares por semilla
+export const MAX_EXPANSION_SEEDS = 20;
+const SIMILAR_PER_SEED = 50;
+
+class ExpansionService {
+  /**
+   * Reúne y ordena los candidatos de las fuentes indicadas
+   * Los candidatos enlazados desde más semillas o fuentes van primero; a igualdad,
+   * los similares (por orden de similitud) antes que las referencias y las citas
+   * @param {Array<string>} seeds - PMIDs semilla
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.sources - Fuentes (ver EXPANSION_SOURCES)
+   * @param {Array<string>} options.exclude - PMIDs que ya están en los resultados
+   * @returns {Promise<Object>} - { candidates: [{ pmid, sources, seeds, clinicalCitation }], failedSources }
+   */
+  async findCandidates(seeds, { sources = Object.keys(EXPANSION_SOURCES), exclude = [] } = {}) {
+    const method = 'findCandidates';
+    const seedSet = new Set(seeds.map(String));
+    const excluded = new Set(exclude.map(String));
+    const candidates = new Map();
+    const failedSources = [];
+
+    const addLink = (pmid, source, seed) => {
+      const id = String(pmid);
+      if (seedSet.has(id) || excluded.has(id)) return;
+      if (!candidates.has(id)) {
+        candidates.set(id, { pmid: id, sources: new Set(), seeds: new Set(), links: new Set(), clinicalCitation: false });
+      }
+      const candidate = candidates.get(id);
+      candidate.links.add(`${source}:${seed}`);
+      candidate.sources.add(source);
+      candidate.seeds.add(seed);
+      return candidate;
+    };
+
+    const [similar, citations] = await Promise.all([
+      sources.includes('similar')
+        ? pubmedService.getSimilarPmids(seeds, SIMILAR_PER_SEED).catch(error => {
+          logError(method, 'No se pudieron obtener los artículos similares', error.message);
+          failedSources.push('similar');
+          return {};
+        })
+        : {},
+      sources.includes('references') || sources.includes('citedBy')
+        ? iCiteService.getCitationLinks(seeds).catch(error => {
+          logError(method, 'No se pudieron obtener las referencias y citas de iCite', error.message);
+          failedSources.push(...sources.filter(source => source !== 'similar'));
+          return {};
+        })
+        : {}
+    ]);
+
+    // Los similares se recorren por posición para intercalar las semillas
+    const similarLists = seeds.map(seed => [seed, similar[seed] || []]);
+    const maxLength = Math.max(0, ...similarLists.map(([, list]) => list.length));
+    for (let position = 0; position < maxLength; position++) {
+      similarLists.forEach(([seed, list]) => {
+        if (list[position]) addLink(list[position], 'similar', seed);
+      });
+    }
+
+    seeds.forEach(seed => {
+      const links = citations[seed];
+      if (!links) return;
+      if (sources.includes('references')) {
+        links.references.forEach(pmid => addLink(pmid, 'references', seed));
+      }
+      if (sources.includes('citedBy')) {
+        const clinical = new Set(links.citedByClinical);
+        links.citedBy.forEach(pmid => {
+          const candidate = addLink(pmid, 'citedBy', seed);
+          if (candidate && clinical.has(String(pmid))) candidate.clinicalCitation = true;
+        });
+      }
+    });
+
+    // sort es estable: a igualdad de vínculos se conserva el orden de inserción
+    const ranked = [...candidates.values()]
+      .sort((a, b) => b.links.size - a.links.size)
+      .map(({ pmid, sources: candidateSources, seeds: candidateSeeds, clinicalCitation }) => ({
+        pmid,
+        sources: [...candidateSources],
+        seeds: [...candidateSeeds],
+        clinicalCitation
+      }));
+
+    logInfo(method, `${ranked.length} candidatos para ${seeds.length} semillas`, { failedSources });
+    return { candidates: ranked, failedSources };
+  }
+
+  /**
+   * Expande los resultados desde los artículos semilla
+   * Recupera de PubMed los mejores candidatos y sus métricas de iCite
+   * @param {Array<string>} seeds - PMIDs semilla
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.sources - Fuentes (ver EXPANSION_SOURCES)
+   * @param {Array<string>} options.exclude - PMIDs que ya están en los resultados
+   * @param {number} options.limit - Máximo de artículos a devolver
+   * @returns {Promise<Object>} - { articles, iCiteMetrics, candidateCount, failedSources }
+   *   con la procedencia de cada artículo en article.expansion
+   */
+  async expand(seeds, { sources, exclude = [], limit = 20 } = {}) {
+    const method = 'expand';
+    const { candidates, failedSources } = await this.findCandidates(seeds, { sources, exclude });
+    const selected = candidates.slice(0, limit);
+
+    if (selected.length === 0) {
+      return { articles: [], iCiteMetrics: {}, candidateCount: 0, failedSources };
+    }
+
+    const provenance = new Map(selected.map(({ pmid, ...origin }) => [pmid, origin]));
+    const articles = await pubmedService.fetchArticles(selected.map(candidate => candidate.pmid));
+
+    let iCiteMetrics = {};
+    try {
+      iCiteMetrics = await iCiteService.getMetricsForPmids(articles.map(article => article.pmid));
+    } catch (error) {
+      // Se continúa sin métricas de iCite
+      logError(method, 'Error obteniendo métricas de iCite de los candidatos', error.message);
+    }
+
+    logInfo(method, `Recuperados ${articles.length} de ${selected.length} candidatos seleccionados`);
+    return {
+      articles: articles.map(article => Object.assign(article, { expansion: provenance.get(String(article.pmid)) })),
+      iCiteMetrics,
+      candidateCount: candidates.length,
+      failedSources
+    };
+  }
+}
+
+export default new ExpansionService();
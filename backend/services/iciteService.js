@@ -4,6 +4,7 @@
  */
 import axios from 'axios';
 import config from '../config/index.js';
+import cacheService, { CACHE_NAMESPACES } from './cacheService.js';
 
 // Funciones para registro de información con timestamp
 function logInfo(method, message, data = null) {
@@ -34,9 +35,11 @@ class ICiteService {
   /**
    * Obtiene métricas de impacto para un conjunto de PMIDs
    * @param {Array<string>} pmids - Lista de PMIDs para consultar
+   * @param {Object} options - Opciones
+   * @param {AbortSignal} options.signal - Cancela las peticiones a iCite (opcional)
    * @returns {Promise<Object>} - Resultados con métricas para cada PMID
    */
-  async getMetricsForPmids(pmids) {
+  async getMetricsForPmids(pmids, { signal = null } = {}) {
     const method = 'getMetricsForPmids';
     
     if (!pmids || !Array.isArray(pmids) || pmids.length === 0) {
@@ -47,6 +50,75 @@ class ICiteService {
 
     logInfo(method, `Obteniendo métricas para ${pmids.length} PMIDs`);
     
+    // Las métricas se guardan en caché por PMID: solo se piden a la API las que faltan
+    const ids = [...new Set(pmids.map(pmid => String(pmid).trim()).filter(Boolean))];
+    const cached = await cacheService.getMany(CACHE_NAMESPACES.ICITE_METRICS, ids);
+    const missing = ids.filter(pmid => !cached.has(pmid));
+    
+    if (cached.size > 0) {
+      logInfo(method, `${cached.size} PMIDs obtenidos de la caché, ${missing.length} pendientes`);
+    }
+    
+    const fetched = missing.length > 0 ? await this._fetchMetrics(missing, signal) : {};
+    await cacheService.setMany(CACHE_NAMESPACES.ICITE_METRICS, Object.entries(fetched));
+    
+    return { ...Object.fromEntries(cached), ...fetched };
+  }
+
+  /**
+   * Obtiene las referencias y las citas de un conjunto de PMIDs
+   * Se guardan aparte de las métricas para no enviar con cada artículo las listas de citas
+   * @param {Array<string>} pmids - Lista de PMIDs para consultar
+   * @returns {Promise<Object>} - { [pmid]: { references, citedBy, citedByClinical } } con listas de PMIDs
+   */
+  async getCitationLinks(pmids) {
+    const method = 'getCitationLinks';
+    
+    if (!pmids || !Array.isArray(pmids) || pmids.length === 0) {
+      const error = new Error('Se requiere un array válido de PMIDs');
+      logError(method, error.message);
+      throw error;
+    }
+
+    logInfo(method, `Obteniendo referencias y citas para ${pmids.length} PMIDs`);
+    
+    const ids = [...new Set(pmids.map(pmid => String(pmid).trim()).filter(Boolean))];
+    const cached = await cacheService.getMany(CACHE_NAMESPACES.ICITE_LINKS, ids);
+    const missing = ids.filter(pmid => !cached.has(pmid));
+    
+    const fetched = missing.length > 0
+      ? await this._fetchPubs(missing, {
+        fields: ['pmid', 'references', 'cited_by', 'cited_by_clin'],
+        transform: item => this._processCitationLinks(item)
+      })
+      : {};
+    await cacheService.setMany(CACHE_NAMESPACES.ICITE_LINKS, Object.entries(fetched));
+    
+    return { ...Object.fromEntries(cached), ...fetched };
+  }
+
+  /**
+   * Pide a la API de iCite las métricas de una lista de PMIDs
+   * @param {Array<string>} pmids - Lista de PMIDs para consultar
+   * @param {AbortSignal} signal - Cancela las peticiones (opcional)
+   * @returns {Promise<Object>} - Métricas procesadas indexadas por PMID
+   */
+  async _fetchMetrics(pmids, signal = null) {
+    return this._fetchPubs(pmids, { transform: item => this._processMetrics(item), signal });
+  }
+
+  /**
+   * Pide a la API de iCite los registros de una lista de PMIDs, en bloques de 200
+   * @param {Array<string>} pmids - Lista de PMIDs para consultar
+   * @param {Object} options - Opciones
+   * @param {Array<string>} options.fields - Campos a pedir (por defecto todos)
+   * @param {Function} options.transform - Convierte cada registro de la API
+   * @param {AbortSignal} options.signal - Cancela las peticiones pendientes (opcional)
+   * @returns {Promise<Object>} - Registros convertidos indexados por PMID
+   */
+  async _fetchPubs(pmids, { fields = null, transform, signal = null }) {
+    const method = 'fetchMetrics';
+    
     // Limitar a bloques de 200 PMIDs para evitar problemas con la API
     const pmidChunks = [];
     for (let i = 0; i < pmids.length; i += 200) {
@@ -68,9 +140,10 @@ class ICiteService {
           pmids: chunk.join(','),
           format: 'json'
         };
+        if (fields) params.fl = fields.join(',');
         
         const startTime = Date.now();
-        const response = await axios.get(url, { params });
+        const response = await axios.get(url, { params, signal });
         const endTime = Date.now();
         
         logInfo(method, `Respuesta recibida para bloque ${i+1} en ${endTime - startTime}ms`);
@@ -82,7 +155,7 @@ class ICiteService {
           // Convertir array a objeto indexado por PMID para facilitar el acceso
           chunkResults.forEach(item => {
             if (item.pmid) {
-              allResults[item.pmid] = this._processMetrics(item);
+              allResults[item.pmid] = transform(item);
             }
           });
           
@@ -101,6 +174,15 @@ class ICiteService {
       return allResults;
       
     } catch (error) {
+      // Las cancelaciones se propagan tal cual para que el llamador las distinga de un fallo de iCite
+      if (axios.isCancel(error)) {
+        logInfo(method, 'Petición a iCite cancelada');
+        const abortError = new Error('Petición a iCite cancelada');
+        abortError.name = 'AbortError';
+        abortError.code = 'ABORTED';
+        throw abortError;
+      }
+      
       let errorMessage = 'Error al obtener métricas de iCite: ';
       
       if (error.response) {
@@ -196,13 +278,18 @@ class ICiteService {
       authors: rawMetrics.authors,
       journal: rawMetrics.journal,
       rcr: rawMetrics.relative_citation_ratio || null,
-      apt: rawMetrics.nih_percentile || null,
+      apt: rawMetrics.apt ?? null,
+      nih_percentile: rawMetrics.nih_percentile ?? null,
+      citations_per_year: rawMetrics.citations_per_year ?? null,
       citation_count: rawMetrics.citation_count || 0,
       clinical_citations: rawMetrics.cited_by_clinical || 0,
       field_citation_rate: rawMetrics.field_citation_rate || null,
       expected_citations: rawMetrics.expected_citations_per_year || null,
       is_clinical: rawMetrics.is_clinical || false,
-      provisional: rawMetrics.is_provisional || false
+      provisional: rawMetrics.is_provisional || false,
+      // Posición del artículo en el mapa de iCite (para la red de citas)
+      x_coord: rawMetrics.x_coord ?? null,
+      y_coord: rawMetrics.y_coord ?? null
     };
     
     // Calcular score de relevancia
@@ -210,6 +297,20 @@ class ICiteService {
     
     return processed;
   }
+
+  /**
+   * Extrae las referencias y las citas de un registro de iCite
+   * @param {Object} rawMetrics - Registro sin procesar de la API
+   * @returns {Object} - { references, citedBy, citedByClinical } con listas de PMIDs
+   */
+  _processCitationLinks(rawMetrics) {
+    const toPmids = (list) => (Array.isArray(list) ? list.map(pmid => String(pmid)) : []);
+    return {
+      references: toPmids(rawMetrics.references),
+      citedBy: toPmids(rawMetrics.cited_by),
+      citedByClinical: toPmids(rawMetrics.cited_by_clin)
+    };
+  }
 }
 
 export default new ICiteService(); 
\ No newline at end of file
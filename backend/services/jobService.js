@@ -0,0 +1,287 @@
+/**
+ * Servicio de trabajos asíncronos
+ * Encola procesos largos (como las consultas científicas), permite consultar su estado,
+ * cancelarlos y notifica cada fase por Socket.IO a la sala del trabajo
+ */
+import { randomUUID } from 'crypto';
+import config from '../config/index.js';
+import { createError } from '../middlewares/errorHandler.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Jobs] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [Jobs] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [Jobs] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [Jobs] [${method}] Detalles:`, error);
+  }
+}
+
+/**
+ * Estados posibles de un trabajo
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Nombre de la sala de Socket.IO asociada a un trabajo
+ * @param {string} jobId - ID del trabajo
+ * @returns {string} - Nombre de la sala
+ */
+export const jobRoom = (jobId) => `job:${jobId}`;
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.maxConcurrent = Math.max(1, config.jobs.maxConcurrent);
+    this.retentionMs = config.jobs.retention * 1000;
+    this.io = null;
+
+    logInfo('constructor', 'Servicio de trabajos inicializado', {
+      maxConcurrent: this.maxConcurrent,
+      retentionSeconds: config.jobs.retention
+    });
+  }
+
+  /**
+   * Registra los eventos de suscripción a trabajos en Socket.IO
+   * Los clientes se unen a la sala del trabajo con 'job:subscribe' y reciben
+   * inmediatamente el estado actual para no perder eventos ya emitidos
+   * @param {Server} io - Instancia de Socket.IO
+   */
+  registerSocketHandlers(io) {
+    this.io = io;
+
+    io.on('connection', (socket) => {
+      socket.on('job:subscribe', (jobId) => {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+          socket.emit('job:error', { jobId, message: 'Trabajo no encontrado' });
+          return;
+        }
+
+        socket.join(jobRoom(jobId));
+        socket.emit('job:status', this._serialize(job));
+      });
+
+      socket.on('job:unsubscribe', (jobId) => {
+        socket.leave(jobRoom(jobId));
+      });
+    });
+  }
+
+  /**
+   * Encola un trabajo para su ejecución en segundo plano
+   * @param {string} type - Tipo de trabajo
+   * @param {Function} handler - Función asíncrona que recibe el contexto del trabajo y devuelve el resultado
+   * @param {Object} metadata - Información descriptiva del trabajo
+   * @returns {Object} - Estado inicial del trabajo
+   */
+  enqueue(type, handler, metadata = {}) {
+    const job = {
+      id: randomUUID(),
+      type,
+      status: JOB_STATUS.QUEUED,
+      metadata,
+      phases: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      handler,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    logInfo('enqueue', `Trabajo ${job.id} (${type}) encolado. En cola: ${this.queue.length}`);
+
+    // Ejecutar fuera del ciclo actual para responder antes de empezar
+    setImmediate(() => this._processQueue());
+
+    return this._serialize(job);
+  }
+
+  /**
+   * Obtiene el estado de un trabajo
+   * @param {string} jobId - ID del trabajo
+   * @param {boolean} includeResult - Incluir el resultado si el trabajo terminó
+   * @returns {Object|null} - Estado del trabajo o null si no existe
+   */
+  getJob(jobId, includeResult = true) {
+    const job = this.jobs.get(jobId);
+    return job ? this._serialize(job, includeResult) : null;
+  }
+
+  /**
+   * Cancela un trabajo en cola o en ejecución
+   * @param {string} jobId - ID del trabajo
+   * @returns {Object|null} - Estado del trabajo o null si no existe
+   * @throws {Error} - Si el trabajo ya terminó
+   */
+  cancelJob(jobId) {
+    const method = 'cancelJob';
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (FINAL_STATUSES.includes(job.status)) {
+      throw createError(`El trabajo ya terminó con estado "${job.status}"`, 409, 'JOB_ALREADY_FINISHED');
+    }
+
+    this.queue = this.queue.filter(queued => queued.id !== jobId);
+    job.controller.abort();
+    this._finish(job, JOB_STATUS.CANCELLED, { error: { message: 'Trabajo cancelado por el usuario', code: 'JOB_CANCELLED' } });
+    logInfo(method, `Trabajo ${jobId} cancelado`);
+
+    return this._serialize(job);
+  }
+
+  /**
+   * Ejecuta trabajos en cola respetando el límite de concurrencia
+   */
+  _processQueue() {
+    while (this.running < this.maxConcurrent && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this._run(job);
+    }
+  }
+
+  /**
+   * Ejecuta un trabajo y registra su resultado
+   * @param {Object} job - Trabajo a ejecutar
+   */
+  async _run(job) {
+    const method = '_run';
+    this.running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    this._emit(job, 'job:status', this._serialize(job, false));
+    logInfo(method, `Iniciando trabajo ${job.id} (${job.type})`);
+
+    const context = {
+      jobId: job.id,
+      signal: job.controller.signal,
+      reportPhase: (event) => this._reportPhase(job, event),
+      throwIfCancelled: () => {
+        if (job.controller.signal.aborted) {
+          throw createError('El trabajo fue cancelado', 409, 'JOB_CANCELLED');
+        }
+      }
+    };
+
+    try {
+      const result = await job.handler(context);
+      if (job.status === JOB_STATUS.RUNNING) {
+        this._finish(job, JOB_STATUS.COMPLETED, { result });
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        logError(method, `Trabajo ${job.id} fallido`, error.message);
+        this._finish(job, JOB_STATUS.FAILED, {
+          error: { message: error.message || 'Error procesando el trabajo', code: error.code || 'JOB_FAILED' }
+        });
+      }
+    } finally {
+      this.running--;
+      this._processQueue();
+    }
+  }
+
+  /**
+   * Registra un evento de fase y lo emite a la sala del trabajo
+   * @param {Object} job - Trabajo
+   * @param {Object} event - Evento de fase (phase, type, message, data, durationMs)
+   */
+  _reportPhase(job, event) {
+    if (FINAL_STATUSES.includes(job.status)) return;
+
+    const phaseEvent = { ...event, timestamp: new Date().toISOString() };
+    job.phases.push(phaseEvent);
+    this._emit(job, 'job:phase', { jobId: job.id, ...phaseEvent });
+  }
+
+  /**
+   * Marca un trabajo como terminado, lo notifica y programa su eliminación
+   * @param {Object} job - Trabajo
+   * @param {string} status - Estado final
+   * @param {Object} outcome - Resultado o error del trabajo
+   */
+  _finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.handler = null;
+
+    this._emit(job, `job:${status}`, this._serialize(job, false));
+    logInfo('_finish', `Trabajo ${job.id} terminado con estado "${status}"`);
+
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.retentionMs);
+    timer.unref?.();
+  }
+
+  /**
+   * Emite un evento a la sala de Socket.IO del trabajo
+   * @param {Object} job - Trabajo
+   * @param {string} event - Nombre del evento
+   * @param {Object} payload - Datos del evento
+   */
+  _emit(job, event, payload) {
+    if (!this.io) return;
+    try {
+      this.io.to(jobRoom(job.id)).emit(event, payload);
+    } catch (error) {
+      logError('_emit', `No se pudo emitir ${event} para el trabajo ${job.id}`, error.message);
+    }
+  }
+
+  /**
+   * Convierte un trabajo en un objeto serializable para la API
+   * @param {Object} job - Trabajo
+   * @param {boolean} includeResult - Incluir el resultado
+   * @returns {Object} - Trabajo serializado
+   */
+  _serialize(job, includeResult = false) {
+    const serialized = {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      metadata: job.metadata,
+      phases: job.phases,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      serialized.queuePosition = this.queue.findIndex(queued => queued.id === job.id) + 1;
+    }
+
+    if (includeResult) {
+      serialized.result = job.result;
+    }
+
+    return serialized;
+  }
+}
+
+export default new JobService();
@@ -4,6 +4,16 @@
 import axios from 'axios';
 import config from '../config/index.js';
 import Article from '../models/Article.js';
+import { parsePubmedArticleSet } from '../utils/pubmedXmlParser.js';
+import cacheService, { CACHE_NAMESPACES } from './cacheService.js';
+import { applyFilters } from '../utils/searchFilters.js';
+
+// Número de PMIDs por petición efetch y espera entre lotes (límite de NCBI: 3 peticiones/s sin API key)
+const EFETCH_BATCH_SIZE = 200;
+const EFETCH_BATCH_DELAY_MS = 350;
+const EFETCH_MAX_ATTEMPTS = 3;
+// Máximo de artículos por página al recorrer los resultados guardados en el history server
+export const HISTORY_MAX_PAGE_SIZE = 100;
 
 class PubMedService {
   constructor() {
@@ -16,9 +26,189 @@ class PubMedService {
    * Busca artículos en PubMed basado en una consulta
    * @param {string} query - Consulta de búsqueda
    * @param {number} maxResults - Máximo número de resultados a devolver
+   * @param {Object} options - Opciones de búsqueda
+   * @param {Object} options.filters - Filtros normalizados con validateFilters (opcional)
    * @returns {Promise<Array>} - Lista de artículos encontrados
    */
-  async search(query, maxResults = this.maxResults) {
+  async search(query, maxResults = this.maxResults, { filters = null } = {}) {
+    const { articles } = await this.searchWithHistory(query, maxResults, { filters });
+    return articles;
+  }
+
+  /**
+   * Busca artículos en PubMed guardando el resultado completo en el history server
+   * Devuelve los primeros artículos y la referencia (WebEnv y query_key) para recorrer
+   * el resto de resultados con fetchHistoryPage. Los filtros se añaden a la consulta como
+   * cláusulas de PubMed, de modo que el history server (y la paginación) ya los incluye
+   * @param {string} query - Consulta de búsqueda
+   * @param {number} maxResults - Máximo número de resultados a devolver (hasta 50)
+   * @param {Object} options - Opciones de búsqueda
+   * @param {Object} options.filters - Filtros normalizados con validateFilters (opcional)
+   * @param {AbortSignal} options.signal - Cancela las peticiones a PubMed (opcional)
+   * @returns {Promise<Object>} - { articles, history: { query, filters, webEnv, queryKey, count, retrieved, createdAt } }
+   */
+  async searchWithHistory(query, maxResults = this.maxResults, { filters = null, signal = null } = {}) {
+    // La clave usa la consulta con los espacios normalizados y el número real de resultados pedidos
+    const normalizedQuery = String(query || '').replace(/\s+/g, ' ').trim();
+    return cacheService.wrap(
+      CACHE_NAMESPACES.PUBMED_SEARCH,
+      { query: normalizedQuery, retmax: Math.min(maxResults, 50), history: true, filters },
+      (sharedSignal) => this._search(applyFilters(query, filters), maxResults, filters, sharedSignal),
+      { hydrate: result => ({ ...result, articles: result.articles.map(article => new Article(article)) }), signal }
+    );
+  }
+
+  /**
+   * Obtiene una página de los resultados guardados en el history server
+   * Si el WebEnv ha caducado (NCBI lo conserva unas horas) se repite la búsqueda para
+   * obtener uno nuevo, que se devuelve para que el llamador pueda guardarlo
+   * @param {Object} history - { query, filters, webEnv, queryKey, count } de searchWithHistory
+   * @param {Object} options - Paginación
+   * @param {number} options.retstart - Posición del primer resultado (desde 0)
+   * @param {number} options.retmax - Número de resultados (hasta HISTORY_MAX_PAGE_SIZE)
+   * @param {AbortSignal} options.signal - Cancela las peticiones a PubMed (opcional)
+   * @returns {Promise<Object>} - { articles, history } con el history vigente
+   */
+  async fetchHistoryPage(history, { retstart = 0, retmax = 20, signal = null } = {}) {
+    const pageSize = Math.min(Math.max(retmax, 1), HISTORY_MAX_PAGE_SIZE);
+    let current = history.webEnv ? history : await this._createHistory(history.query, history.filters, signal);
+    
+    if (retstart >= current.count) {
+      return { articles: [], history: current };
+    }
+    
+    let records;
+    try {
+      records = await this._efetchHistory(current, retstart, pageSize, signal);
+    } catch (error) {
+      if (error.code !== 'PUBMED_HISTORY_EXPIRED') throw error;
+      console.log(`WebEnv caducado para "${current.query}". Repitiendo la búsqueda en el history server`);
+      current = await this._createHistory(current.query, current.filters, signal);
+      records = await this._efetchHistory(current, retstart, pageSize, signal);
+    }
+    
+    return {
+      articles: records.map(record => this._buildArticle(record)),
+      history: current
+    };
+  }
+
+  /**
+   * Comprueba qué PMIDs de una lista recupera una estrategia de búsqueda
+   * Se consulta PubMed con la estrategia completa (no solo la página descargada), de modo que
+   * el resultado sirve para medir la exhaustividad frente a un conjunto de referencia
+   * @param {string} query - Estrategia de búsqueda
+   * @param {Array<string>} pmids - PMIDs a comprobar
+   * @param {Object} options - Opciones de búsqueda
+   * @param {Object} options.filters - Filtros normalizados con validateFilters (opcional)
+   * @returns {Promise<Object>} - { count, matched } con el total de la estrategia y los PMIDs recuperados
+   */
+  async matchPmids(query, pmids, { filters = null } = {}) {
+    const normalizedQuery = String(query || '').replace(/\s+/g, ' ').trim();
+    const ids = [...new Set(pmids.map(String))];
+    return cacheService.wrap(
+      CACHE_NAMESPACES.PUBMED_SEARCH,
+      { query: normalizedQuery, match: ids, filters },
+      async () => {
+        const filteredQuery = applyFilters(query, filters);
+        const { esearchResult: total } = await this._esearch(filteredQuery, 0);
+        if (ids.length === 0) {
+          return { count: parseInt(total.count, 10) || 0, matched: [] };
+        }
+
+        const uids = ids.map(pmid => `${pmid}[uid]`).join(' OR ');
+        const { esearchResult } = await this._esearch(`(${filteredQuery}) AND (${uids})`, ids.length);
+        const found = new Set(esearchResult.idlist || []);
+        return {
+          count: parseInt(total.count, 10) || 0,
+          // Conservar el orden de la lista de referencia
+          matched: ids.filter(pmid => found.has(pmid))
+        };
+      }
+    );
+  }
+
+  /**
+   * Repite una búsqueda solo para guardarla en el history server (sin recuperar artículos)
+   * @private
+   * @param {string} query - Consulta de búsqueda (con los filtros ya aplicados)
+   * @param {Object} filters - Filtros aplicados en la consulta (se conservan en el history)
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
+   * @returns {Promise<Object>} - { query, filters, webEnv, queryKey, count, retrieved, createdAt }
+   */
+  async _createHistory(query, filters = null, signal = null) {
+    const { esearchResult } = await this._esearch(query, 0, signal);
+    return this._describeHistory(query, esearchResult, 0, filters);
+  }
+
+  /**
+   * Realiza una petición esearch guardando el resultado en el history server
+   * @private
+   * @param {string} query - Consulta de búsqueda
+   * @param {number} retmax - Número de PMIDs a devolver
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
+   * @returns {Promise<Object>} - { esearchResult }
+   */
+  async _esearch(query, retmax, signal = null) {
+    const searchUrl = `${this.baseUrl}/esearch.fcgi`;
+    const searchParams = {
+      db: 'pubmed',
+      term: query,
+      retmax,
+      retmode: 'json',
+      sort: 'relevance',
+      // Los PMIDs quedan guardados en el history server en el orden de relevancia
+      usehistory: 'y',
+      api_key: this.apiKey
+    };
+
+    const startTimeSearch = Date.now();
+    try {
+      const searchResponse = await axios.get(searchUrl, { params: searchParams, signal });
+      const endTimeSearch = Date.now();
+      console.log(`Tiempo de respuesta esearch: ${endTimeSearch - startTimeSearch}ms`);
+      return { esearchResult: searchResponse.data.esearchresult };
+    } catch (searchError) {
+      if (this._isAbort(searchError)) throw this._abortError();
+      console.error('ERROR en llamada a esearch.fcgi:');
+      console.error(`- Mensaje: ${searchError.message}`);
+      if (searchError.response) {
+        console.error(`- Estado HTTP: ${searchError.response.status}`);
+      }
+      throw new Error('Error en búsqueda inicial de PubMed: ' + searchError.message);
+    }
+  }
+
+  /**
+   * Construye la referencia a una búsqueda guardada en el history server
+   * @private
+   * @param {string} query - Consulta de búsqueda
+   * @param {Object} esearchResult - Respuesta de esearch
+   * @param {number} retrieved - PMIDs recuperados en la búsqueda inicial
+   * @param {Object} filters - Filtros aplicados en la consulta
+   * @returns {Object} - { query, filters, webEnv, queryKey, count, retrieved, createdAt }
+   */
+  _describeHistory(query, esearchResult, retrieved, filters = null) {
+    return {
+      query,
+      filters: filters || null,
+      webEnv: esearchResult.webenv || null,
+      queryKey: esearchResult.querykey || null,
+      count: parseInt(esearchResult.count, 10) || 0,
+      retrieved,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Realiza la búsqueda en PubMed (esearch + efetch) sin pasar por la caché
+   * @param {string} query - Consulta de búsqueda (con los filtros ya aplicados)
+   * @param {number} maxResults - Máximo número de resultados a devolver
+   * @param {Object} filters - Filtros aplicados en la consulta
+   * @param {AbortSignal} signal - Cancela las peticiones a PubMed (opcional)
+   * @returns {Promise<Object>} - { articles, history }
+   */
+  async _search(query, maxResults, filters = null, signal = null) {
     try {
       console.log('===== PUBMED: INICIANDO BÚSQUEDA =====');
       console.log(`Consulta: "${query}"`);
@@ -26,167 +216,34 @@ class PubMedService {
       
       // PASO 1: Realizar búsqueda inicial
       console.log('PASO 1: Búsqueda inicial (esearch.fcgi)');
-      const searchUrl = `${this.baseUrl}/esearch.fcgi`;
-      const searchParams = {
-        db: 'pubmed',
-        term: query,
-        retmax: Math.min(maxResults, 50),
-        retmode: 'json',
-        sort: 'relevance',
-        api_key: this.apiKey
-      };
-
-      const startTimeSearch = Date.now();
-      let searchResponse;
-      try {
-        searchResponse = await axios.get(searchUrl, { params: searchParams });
-        const endTimeSearch = Date.now();
-        console.log(`Tiempo de respuesta esearch: ${endTimeSearch - startTimeSearch}ms`);
-      } catch (searchError) {
-        console.error('ERROR en llamada a esearch.fcgi:');
-        console.error(`- Mensaje: ${searchError.message}`);
-        if (searchError.response) {
-          console.error(`- Estado HTTP: ${searchError.response.status}`);
-        }
-        throw new Error('Error en búsqueda inicial de PubMed: ' + searchError.message);
-      }
+      const { esearchResult } = await this._esearch(query, Math.min(maxResults, 50), signal);
       
       // Extraer IDs de resultados
-      const esearchResult = searchResponse.data.esearchresult;
       const idList = esearchResult.idlist || [];
-      const count = parseInt(esearchResult.count, 10);
+      const history = this._describeHistory(query, esearchResult, idList.length, filters);
       
-      console.log(`Total de resultados encontrados: ${count}`);
+      console.log(`Total de resultados encontrados: ${history.count}`);
       console.log(`IDs recuperados en esta consulta: ${idList.length}`);
       
       if (idList.length === 0) {
         console.log('No se encontraron resultados para la consulta');
         console.log('===== PUBMED: BÚSQUEDA FINALIZADA SIN RESULTADOS =====');
-        return [];
+        return { articles: [], history };
       }
       
-      // PASO 2: Obtener resumen de artículos
-      console.log('PASO 2: Obtención de resúmenes (esummary.fcgi)');
-      const summaryUrl = `${this.baseUrl}/esummary.fcgi`;
-      const summaryParams = {
-        db: 'pubmed',
-        id: idList.join(','),
-        retmode: 'json',
-        api_key: this.apiKey
-      };
-      
-      const startTimeSummary = Date.now();
-      let summaryResponse;
-      try {
-        summaryResponse = await axios.get(summaryUrl, { params: summaryParams });
-        const endTimeSummary = Date.now();
-        console.log(`Tiempo de respuesta esummary: ${endTimeSummary - startTimeSummary}ms`);
-      } catch (summaryError) {
-        console.error('ERROR en llamada a esummary.fcgi:');
-        console.error(`- Mensaje: ${summaryError.message}`);
-        if (summaryError.response) {
-          console.error(`- Estado HTTP: ${summaryError.response.status}`);
-        }
-        throw new Error('Error al obtener resúmenes de PubMed: ' + summaryError.message);
-      }
+      // PASO 2: Obtener los registros completos en lotes (efetch.fcgi)
+      console.log('PASO 2: Obtención de registros completos (efetch.fcgi por lotes)');
+      const articles = await this.fetchArticles(idList, { signal });
       
-      if (!summaryResponse.data.result) {
-        console.error('La respuesta no contiene resultados');
-        console.log('===== PUBMED: ERROR EN BÚSQUEDA =====');
-        return [];
-      }
-      
-      const result = summaryResponse.data.result;
-      console.log(`Resúmenes recibidos: ${Object.keys(result).length - 1}`); // -1 por la propiedad 'uids'
-
-      // PASO 3: Obtener abstract y términos MeSH para cada artículo
-      console.log('PASO 3: Obtención de abstracts y términos MeSH (efetch.fcgi)');
-
-      // Procesar en lotes de 10 con delays exponenciales
-      const batchSize = 10;
-      const batches = [];
-      for (let i = 0; i < idList.length; i += batchSize) {
-        batches.push(idList.slice(i, i + batchSize));
-      }
-      let articlesWithAbstracts = [];
-      for (let b = 0; b < batches.length; b++) {
-        const batch = batches[b];
-        // Delay exponencial: 0ms, 500ms, 1000ms, 2000ms, 4000ms, ...
-        const delay = Math.pow(2, b) * 500;
-        if (b > 0) {
-          console.log(`Esperando ${delay}ms antes de procesar el lote ${b + 1}/${batches.length}`);
-          await new Promise(res => setTimeout(res, delay));
-        }
-        const batchResults = await Promise.all(
-          batch.map(async (pmid, index) => {
-            try {
-              console.log(`[Lote ${b + 1}/${batches.length}] Procesando artículo PMID: ${pmid}`);
-              const articleData = result[pmid];
-              if (!articleData) {
-                console.error(`No se encontraron datos para PMID ${pmid}`);
-                return null;
-              }
-              // Obtener abstract y términos MeSH
-              const efetchUrl = `${this.baseUrl}/efetch.fcgi`;
-              const efetchParams = {
-                db: 'pubmed',
-                id: pmid,
-                retmode: 'xml',
-                api_key: this.apiKey
-              };
-              const startTimeEfetch = Date.now();
-              let efetchResponse;
-              try {
-                efetchResponse = await axios.get(efetchUrl, { params: efetchParams });
-                const endTimeEfetch = Date.now();
-                console.log(`Tiempo de respuesta efetch para PMID ${pmid}: ${endTimeEfetch - startTimeEfetch}ms`);
-              } catch (efetchError) {
-                console.error(`ERROR en llamada a efetch.fcgi para PMID ${pmid}:`);
-                console.error(`- Mensaje: ${efetchError.message}`);
-                if (efetchError.response) {
-                  console.error(`- Estado HTTP: ${efetchError.response.status}`);
-                }
-                return null;
-              }
-              // Extraer abstract
-              const abstractMatch = efetchResponse.data.match(/<AbstractText[^>]*>([\s\S]*?)<\/AbstractText>/);
-              const abstractText = abstractMatch ? abstractMatch[1] : 'Abstract no disponible';
-              // Extraer términos MeSH
-              const meshTermsMatch = efetchResponse.data.match(/<DescriptorName[^>]*>(.*?)<\/DescriptorName>/g);
-              const meshTerms = meshTermsMatch
-                ? meshTermsMatch.map(term => {
-                    const match = term.match(/<DescriptorName[^>]*>(.*?)<\/DescriptorName>/);
-                    return match ? match[1] : null;
-                  }).filter(Boolean)
-                : [];
-              // Crear objeto de artículo
-              const rawArticleData = {
-                pmid: pmid,
-                doi: articleData.articleids?.find(id => id.idtype === 'doi')?.value || null,
-                title: this._sanitizeTitle(articleData.title),
-                authors: this._processAuthors(articleData.authors),
-                pubdate: articleData.pubdate || 'Fecha desconocida',
-                abstract: this._sanitizeText(abstractText),
-                meshTerms: meshTerms,
-                source: articleData.source || null
-              };
-              // Usar el modelo Article para estandarizar el formato
-              const article = new Article(rawArticleData);
-              return article;
-            } catch (error) {
-              console.error(`Error obteniendo detalles para PMID ${pmid}:`, error);
-              return null;
-            }
-          })
-        );
-        articlesWithAbstracts = articlesWithAbstracts.concat(batchResults);
-      }
-      // Filtrar resultados nulos
-      const filteredResults = articlesWithAbstracts.filter(Boolean);
-      console.log(`Resultados totales procesados exitosamente: ${filteredResults.length} de ${idList.length} encontrados`);
+      console.log(`Resultados totales procesados exitosamente: ${articles.length} de ${idList.length} encontrados`);
       console.log('===== PUBMED: BÚSQUEDA FINALIZADA EXITOSAMENTE =====');
-      return filteredResults;
+      return { articles, history };
     } catch (error) {
+      // Una búsqueda cancelada no es un fallo de PubMed: se propaga sin envolver
+      if (this._isAbort(error)) {
+        console.log('===== PUBMED: BÚSQUEDA CANCELADA =====');
+        throw error;
+      }
       console.error('===== PUBMED: ERROR EN BÚSQUEDA =====');
       console.error(`Error general: ${error.message}`);
       console.error(`Stack: ${error.stack}`);
@@ -201,66 +258,30 @@ class PubMedService {
    * @returns {Promise<Object>} - Artículo encontrado
    */
   async getArticleByPmid(pmid) {
+    return cacheService.wrap(
+      CACHE_NAMESPACES.PUBMED_ARTICLE,
+      String(pmid).trim(),
+      () => this._getArticleByPmid(pmid),
+      { hydrate: article => new Article(article) }
+    );
+  }
+
+  /**
+   * Recupera un artículo de PubMed sin pasar por la caché
+   * @param {string} pmid - ID de PubMed
+   * @returns {Promise<Object>} - Artículo encontrado
+   */
+  async _getArticleByPmid(pmid) {
     try {
       console.log(`===== PUBMED: BUSCANDO ARTÍCULO PMID: ${pmid} =====`);
       
-      // Obtener resumen
-      const summaryUrl = `${this.baseUrl}/esummary.fcgi`;
-      const summaryParams = {
-        db: 'pubmed',
-        id: pmid,
-        retmode: 'json',
-        api_key: this.apiKey
-      };
-      
-      const summaryResponse = await axios.get(summaryUrl, { params: summaryParams });
+      const [article] = await this.fetchArticles([pmid]);
       
-      if (!summaryResponse.data.result || !summaryResponse.data.result[pmid]) {
+      if (!article) {
         console.error(`No se encontró artículo con PMID: ${pmid}`);
         return null;
       }
       
-      const articleData = summaryResponse.data.result[pmid];
-      
-      // Obtener abstract y términos MeSH
-      const efetchUrl = `${this.baseUrl}/efetch.fcgi`;
-      const efetchParams = {
-        db: 'pubmed',
-        id: pmid,
-        retmode: 'xml',
-        api_key: this.apiKey
-      };
-      
-      const efetchResponse = await axios.get(efetchUrl, { params: efetchParams });
-      
-      // Extraer abstract
-      const abstractMatch = efetchResponse.data.match(/<AbstractText[^>]*>([\s\S]*?)<\/AbstractText>/);
-      const abstractText = abstractMatch ? abstractMatch[1] : 'Abstract no disponible';
-      
-      // Extraer términos MeSH
-      const meshTermsMatch = efetchResponse.data.match(/<DescriptorName[^>]*>(.*?)<\/DescriptorName>/g);
-      const meshTerms = meshTermsMatch
-        ? meshTermsMatch.map(term => {
-            const match = term.match(/<DescriptorName[^>]*>(.*?)<\/DescriptorName>/);
-            return match ? match[1] : null;
-          }).filter(Boolean)
-        : [];
-      
-      // Crear objeto de artículo
-      const rawArticleData = {
-        pmid: pmid,
-        doi: articleData.articleids?.find(id => id.idtype === 'doi')?.value || null,
-        title: this._sanitizeTitle(articleData.title),
-        authors: this._processAuthors(articleData.authors),
-        pubdate: articleData.pubdate || 'Fecha desconocida',
-        abstract: this._sanitizeText(abstractText),
-        meshTerms: meshTerms,
-        source: articleData.source || null
-      };
-      
-      // Usar el modelo Article para estandarizar el formato
-      const article = new Article(rawArticleData);
-      
       console.log(`Artículo PMID ${pmid} recuperado exitosamente`);
       console.log('===== PUBMED: BÚSQUEDA DE ARTÍCULO FINALIZADA =====');
       
@@ -272,6 +293,263 @@ class PubMedService {
     }
   }
 
+  /**
+   * Obtiene los registros completos de una lista de PMIDs
+   * Se hace una sola petición efetch por bloque en lugar de una por artículo
+   * @param {Array<string>} pmids - PMIDs a recuperar
+   * @param {Object} options - Opciones
+   * @param {AbortSignal} options.signal - Cancela las peticiones pendientes (opcional)
+   * @returns {Promise<Array<Article>>} - Artículos en el mismo orden que los PMIDs
+   */
+  async fetchArticles(pmids, { signal = null } = {}) {
+    const ids = [...new Set((pmids || []).map(String).filter(Boolean))];
+    if (ids.length === 0) return [];
+    
+    const batches = [];
+    for (let i = 0; i < ids.length; i += EFETCH_BATCH_SIZE) {
+      batches.push(ids.slice(i, i + EFETCH_BATCH_SIZE));
+    }
+    
+    const recordsByPmid = {};
+    for (let b = 0; b < batches.length; b++) {
+      if (b > 0) {
+        await new Promise(res => setTimeout(res, EFETCH_BATCH_DELAY_MS));
+      }
+      
+      if (signal?.aborted) {
+        throw this._abortError();
+      }
+      
+      console.log(`[Lote ${b + 1}/${batches.length}] Recuperando ${batches[b].length} artículos`);
+      const records = await this._efetch(batches[b], signal);
+      records.forEach(record => {
+        recordsByPmid[record.pmid] = record;
+      });
+    }
+    
+    const missing = ids.filter(pmid => !recordsByPmid[pmid]);
+    if (missing.length > 0) {
+      console.error(`No se encontraron datos para los PMIDs: ${missing.join(', ')}`);
+    }
+    
+    return ids
+      .filter(pmid => recordsByPmid[pmid])
+      .map(pmid => this._buildArticle(recordsByPmid[pmid]));
+  }
+
+  /**
+   * Obtiene los artículos similares de PubMed ("Similar articles") de cada PMID mediante ELink
+   * Los vínculos se guardan en caché por PMID
+   * @param {Array<string>} pmids - PMIDs de partida
+   * @param {number} maxPerPmid - Máximo de artículos similares por PMID
+   * @returns {Promise<Object>} - { [pmid]: [pmid, ...] } ordenados de mayor a menor similitud
+   */
+  async getSimilarPmids(pmids, maxPerPmid = 20) {
+    const ids = [...new Set((pmids || []).map(String).filter(Boolean))];
+    if (ids.length === 0) return {};
+    
+    const cached = await cacheService.getMany(CACHE_NAMESPACES.PUBMED_LINKS, ids);
+    const missing = ids.filter(pmid => !cached.has(pmid));
+    const fetched = missing.length > 0 ? await this._elinkSimilar(missing) : {};
+    await cacheService.setMany(CACHE_NAMESPACES.PUBMED_LINKS, Object.entries(fetched));
+    
+    const links = { ...Object.fromEntries(cached), ...fetched };
+    return Object.fromEntries(ids.map(pmid => [pmid, (links[pmid] || []).slice(0, maxPerPmid)]));
+  }
+
+  /**
+   * Realiza una petición ELink (pubmed_pubmed) sin pasar por la caché
+   * Cada PMID se envía como un parámetro id independiente para obtener un linkset por PMID
+   * @private
+   * @param {Array<string>} pmids - PMIDs de partida
+   * @returns {Promise<Object>} - { [pmid]: [pmid, ...] } ordenados por puntuación de similitud
+   */
+  async _elinkSimilar(pmids) {
+    const elinkUrl = `${this.baseUrl}/elink.fcgi`;
+    const body = new URLSearchParams({
+      dbfrom: 'pubmed',
+      db: 'pubmed',
+      linkname: 'pubmed_pubmed',
+      cmd: 'neighbor_score',
+      retmode: 'json'
+    });
+    pmids.forEach(pmid => body.append('id', pmid));
+    if (this.apiKey) body.append('api_key', this.apiKey);
+    
+    const startTime = Date.now();
+    try {
+      const response = await axios.post(elinkUrl, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      console.log(`Tiempo de respuesta elink: ${Date.now() - startTime}ms (${pmids.length} PMIDs)`);
+      
+      const similar = Object.fromEntries(pmids.map(pmid => [pmid, []]));
+      (response.data?.linksets || []).forEach(linkset => {
+        const source = String(linkset.ids?.[0] || '');
+        const linkSetDb = (linkset.linksetdbs || []).find(db => db.linkname === 'pubmed_pubmed');
+        if (!source || !linkSetDb) return;
+        
+        // Con cmd=neighbor_score cada vínculo es { id, score }; el propio PMID aparece en la lista
+        similar[source] = (linkSetDb.links || [])
+          .map(link => (typeof link === 'object' ? { id: String(link.id), score: Number(link.score) || 0 } : { id: String(link), score: 0 }))
+          .filter(link => link.id !== source)
+          .sort((a, b) => b.score - a.score)
+          .map(link => link.id);
+      });
+      return similar;
+    } catch (error) {
+      console.error('ERROR en llamada a elink.fcgi:');
+      console.error(`- Mensaje: ${error.message}`);
+      if (error.response) {
+        console.error(`- Estado HTTP: ${error.response.status}`);
+      }
+      throw new Error('Error al obtener artículos similares de PubMed: ' + error.message);
+    }
+  }
+
+  /**
+   * Realiza una petición efetch para un bloque de PMIDs y parsea el XML
+   * @private
+   * @param {Array<string>} pmids - PMIDs del bloque
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
+   * @returns {Promise<Array<Object>>} - Registros parseados
+   */
+  async _efetch(pmids, signal = null) {
+    // POST evita el límite de longitud de URL con muchos PMIDs
+    return this._efetchRecords({ id: pmids.join(',') }, `${pmids.length} PMIDs`, { signal });
+  }
+
+  /**
+   * Realiza una petición efetch de una página de resultados del history server
+   * @private
+   * @param {Object} history - { webEnv, queryKey }
+   * @param {number} retstart - Posición del primer resultado
+   * @param {number} retmax - Número de resultados
+   * @param {AbortSignal} signal - Cancela la petición (opcional)
+   * @returns {Promise<Array<Object>>} - Registros parseados
+   * @throws {Error} - Con código PUBMED_HISTORY_EXPIRED si NCBI ya no conserva el WebEnv
+   */
+  async _efetchHistory(history, retstart, retmax, signal = null) {
+    return this._efetchRecords(
+      { WebEnv: history.webEnv, query_key: history.queryKey, retstart, retmax },
+      `resultados ${retstart + 1}-${retstart + retmax}`,
+      { history: true, signal }
+    );
+  }
+
+  /**
+   * Realiza una petición efetch y parsea el XML
+   * Reintenta con espera exponencial si PubMed responde con límite de peticiones (429)
+   * @private
+   * @param {Object} params - Parámetros de efetch (id o WebEnv, query_key, retstart y retmax)
+   * @param {string} description - Descripción de la petición para los logs
+   * @param {Object} options - Opciones
+   * @param {boolean} options.history - Si la petición usa el history server
+   * @param {AbortSignal} options.signal - Cancela la petición (opcional)
+   * @returns {Promise<Array<Object>>} - Registros parseados
+   */
+  async _efetchRecords(params, description, { history = false, signal = null } = {}) {
+    const efetchUrl = `${this.baseUrl}/efetch.fcgi`;
+    const body = new URLSearchParams({
+      db: 'pubmed',
+      ...params,
+      retmode: 'xml'
+    });
+    if (this.apiKey) {
+      body.append('api_key', this.apiKey);
+    }
+    
+    for (let attempt = 1; ; attempt++) {
+      const startTimeEfetch = Date.now();
+      try {
+        const efetchResponse = await axios.post(efetchUrl, body.toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          responseType: 'text',
+          signal
+        });
+        console.log(`Tiempo de respuesta efetch (${description}): ${Date.now() - startTimeEfetch}ms`);
+        
+        const records = parsePubmedArticleSet(efetchResponse.data);
+        // Con un WebEnv caducado NCBI responde con un <ERROR> en lugar de los artículos
+        if (history && records.length === 0 && /<ERROR>/i.test(efetchResponse.data)) {
+          throw this._historyExpiredError();
+        }
+        return records;
+      } catch (efetchError) {
+        if (efetchError.code === 'PUBMED_HISTORY_EXPIRED') throw efetchError;
+        if (this._isAbort(efetchError)) throw this._abortError();
+        
+        const status = efetchError.response?.status;
+        if (history && status === 400) {
+          throw this._historyExpiredError();
+        }
+        if (status === 429 && attempt < EFETCH_MAX_ATTEMPTS && !signal?.aborted) {
+          const delay = Math.pow(2, attempt) * 500;
+          console.log(`PubMed limitó las peticiones (429). Reintentando en ${delay}ms (intento ${attempt + 1}/${EFETCH_MAX_ATTEMPTS})`);
+          await new Promise(res => setTimeout(res, delay));
+          continue;
+        }
+        
+        console.error('ERROR en llamada a efetch.fcgi:');
+        console.error(`- Mensaje: ${efetchError.message}`);
+        if (status) {
+          console.error(`- Estado HTTP: ${status}`);
+        }
+        throw new Error('Error al obtener registros de PubMed: ' + efetchError.message);
+      }
+    }
+  }
+
+  /**
+   * Crea el error que se lanza al cancelar las peticiones a PubMed
+   * @private
+   * @returns {Error} - Error con código ABORTED
+   */
+  _abortError() {
+    const error = new Error('Búsqueda en PubMed cancelada');
+    error.name = 'AbortError';
+    error.code = 'ABORTED';
+    return error;
+  }
+
+  /**
+   * Indica si un error procede de cancelar la petición (señal de axios o error ABORTED)
+   * @private
+   * @param {Error} error - Error
+   * @returns {boolean} - Si la petición se canceló
+   */
+  _isAbort(error) {
+    return axios.isCancel(error) || error?.code === 'ABORTED';
+  }
+
+  /**
+   * Crea el error que indica que NCBI ya no conserva una búsqueda del history server
+   * @private
+   * @returns {Error} - Error con código PUBMED_HISTORY_EXPIRED
+   */
+  _historyExpiredError() {
+    const error = new Error('La búsqueda guardada en el history server de PubMed ha caducado');
+    error.code = 'PUBMED_HISTORY_EXPIRED';
+    return error;
+  }
+
+  /**
+   * Crea un Article a partir de un registro parseado del XML de efetch
+   * @private
+   * @param {Object} record - Registro parseado
+   * @returns {Article} - Artículo estandarizado
+   */
+  _buildArticle(record) {
+    return new Article({
+      ...record,
+      title: this._sanitizeTitle(record.title),
+      authors: this._processAuthors(record.authors),
+      pubdate: record.pubdate || 'Fecha desconocida',
+      abstract: record.abstract || 'Abstract no disponible',
+      source: record.journal
+    });
+  }
+
   /**
    * Sanitiza el título eliminando etiquetas HTML y decodificando entidades
    * @private
@@ -348,7 +626,8 @@ class PubMedService {
         if (author && typeof author === 'object' && author.name) {
           return {
             name: this._sanitizeText(author.name),
-            authtype: author.authtype || 'author'
+            authtype: author.authtype || 'author',
+            affiliations: Array.isArray(author.affiliations) ? author.affiliations : []
           };
         }
         // Si es un string
@@ -0,0 +1,374 @@
+/**
+ * Servicio de historial de consultas
+ * Persiste cada ejecución de una consulta científica (estrategias, métricas de búsqueda,
+ * artículos, métricas de iCite, desgloses de puntuación y análisis de IA) para poder
+ * reabrirla sin volver a llamar a PubMed ni a Claude
+ */
+import { randomUUID } from 'crypto';
+import config from '../config/index.js';
+import scoringService from './scoringService.js';
+import MemoryQueryStore from '../database/stores/memoryQueryStore.js';
+import PostgresQueryStore from '../database/stores/postgresQueryStore.js';
+import { buildFilterClause } from '../utils/searchFilters.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [QueryHistory] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [QueryHistory] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [QueryHistory] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [QueryHistory] [${method}] Detalles:`, error);
+  }
+}
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Tamaño de página de los resultados de PubMed si la búsqueda no recuperó artículos
+const DEFAULT_ARTICLES_PAGE_SIZE = 20;
+
+class QueryHistoryService {
+  constructor() {
+    this.store = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Inicializa el almacenamiento configurado (config.database.driver)
+   * Si PostgreSQL no está disponible se usa el almacenamiento en memoria para no
+   * impedir que el servidor arranque
+   * @param {Object} store - Almacenamiento a usar en lugar del configurado (opcional, para pruebas)
+   * @returns {Promise<void>}
+   */
+  init(store = null) {
+    if (!this.initPromise) {
+      this.initPromise = this._initStore(store);
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Guarda el resultado de una consulta científica
+   * @param {Object} result - Resultado del proceso de consulta
+   * @param {Object} metadata - Datos de la ejecución
+   * @param {string} metadata.question - Pregunta clínica
+   * @param {boolean} metadata.useAI - Si se usó IA
+   * @param {string} metadata.jobId - ID del trabajo asíncrono (opcional)
+   * @param {Object} metadata.searchHistory - Búsqueda guardada en el history server de PubMed (opcional)
+   * @returns {Promise<string>} - ID de la ejecución guardada
+   */
+  async saveRun(result, { question, useAI, jobId = null, searchHistory = null }) {
+    const method = 'saveRun';
+    const store = await this._getStore();
+    const run = this._normalizeRun(result, { question, useAI, jobId, searchHistory });
+
+    await store.saveRun(run);
+    logInfo(method, `Ejecución ${run.id} guardada (${run.articles.length} artículos, almacenamiento: ${store.name})`);
+    return run.id;
+  }
+
+  /**
+   * Lista las ejecuciones guardadas, de la más reciente a la más antigua
+   * @param {Object} options - Paginación
+   * @param {number} options.limit - Número máximo de ejecuciones (1-100)
+   * @param {number} options.offset - Ejecuciones a omitir
+   * @returns {Promise<Object>} - { total, limit, offset, runs }
+   */
+  async listRuns({ limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const store = await this._getStore();
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const { total, runs } = await store.listRuns({ limit: pageSize, offset: start });
+    return {
+      total,
+      limit: pageSize,
+      offset: start,
+      runs: runs.map(run => ({ ...run, scoringProfile: this._describeProfile(run.scoringProfile) }))
+    };
+  }
+
+  /**
+   * Obtiene una ejecución guardada con el mismo formato que devuelve la consulta científica
+   * @param {string} id - ID de la ejecución
+   * @returns {Promise<Object|null>} - Resultado de la ejecución o null si no existe
+   */
+  async getRun(id) {
+    const store = await this._getStore();
+    const run = await store.getRun(id);
+    return run ? this._buildResult(run) : null;
+  }
+
+  /**
+   * Obtiene los datos necesarios para recorrer todos los resultados de PubMed de una ejecución
+   * Las ejecuciones guardadas antes de usar el history server no tienen WebEnv: se devuelve
+   * la estrategia con la que se buscó para repetir la búsqueda
+   * @param {string} id - ID de la ejecución
+   * @returns {Promise<Object|null>} - { runId, question, scoringProfile, searchHistory, screeningRequiredReviewers, articles }
+   *   o null si no existe; screeningRequiredReviewers es null hasta la primera decisión de cribado
+   */
+  async getSearchContext(id) {
+    const store = await this._getStore();
+    const run = await store.getRun(id);
+    if (!run) return null;
+
+    const { results } = this._buildResult(run);
+    const strategy = run.strategies.find(entry => entry.kind === 'refined')
+      || run.strategies.find(entry => entry.kind === 'initial');
+
+    return {
+      runId: run.id,
+      question: run.question,
+      scoringProfile: run.scoringProfile,
+      searchHistory: run.searchHistory || (strategy
+        ? { query: strategy.query, webEnv: null, queryKey: null, count: null, retrieved: results.length }
+        : null),
+      screeningRequiredReviewers: run.screeningRequiredReviewers ?? null,
+      articles: results
+    };
+  }
+
+  /**
+   * Actualiza la búsqueda del history server de una ejecución (p. ej. al renovar un WebEnv caducado)
+   * @param {string} id - ID de la ejecución
+   * @param {Object} searchHistory - { query, webEnv, queryKey, count, retrieved, createdAt }
+   * @returns {Promise<void>}
+   */
+  async updateSearchHistory(id, searchHistory) {
+    const store = await this._getStore();
+    await store.updateSearchHistory(id, searchHistory);
+  }
+
+  /**
+   * Guarda la evaluación del riesgo de sesgo de un artículo de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @param {string} pmid - PMID del artículo
+   * @param {Object} assessment - Evaluación de claudeService.assessRiskOfBias
+   * @returns {Promise<boolean>} - false si la ejecución no existe o no incluye el artículo
+   */
+  async saveRiskOfBias(id, pmid, assessment) {
+    const method = 'saveRiskOfBias';
+    const store = await this._getStore();
+    const stored = await store.saveRiskOfBias(id, pmid, assessment);
+    if (!stored) {
+      logInfo(method, `El artículo ${pmid} no pertenece a la ejecución ${id}; la evaluación no se guarda`);
+    }
+    return stored;
+  }
+
+  /**
+   * Fija los revisores que deben decidir cada registro en el cribado de una ejecución
+   * Solo tiene efecto la primera vez: después se conserva el valor guardado
+   * @param {string} id - ID de la ejecución
+   * @param {number} requiredReviewers - Revisores requeridos (1 o 2)
+   * @returns {Promise<number|null>} - Revisores requeridos de la ejecución o null si no existe
+   */
+  async setScreeningRequiredReviewers(id, requiredReviewers) {
+    const store = await this._getStore();
+    return store.setScreeningRequiredReviewers(id, requiredReviewers);
+  }
+
+  /**
+   * Guarda la decisión de cribado de un revisor o la resolución de un conflicto
+   * @param {string} id - ID de la ejecución
+   * @param {Object} entry - { pmid, stage, reviewer, resolution, decision, reason, note }
+   * @returns {Promise<boolean>} - false si la ejecución no existe o no incluye el artículo
+   */
+  async saveScreeningDecision(id, entry) {
+    const store = await this._getStore();
+    return store.saveScreeningDecision(id, entry);
+  }
+
+  /**
+   * Lista las decisiones de cribado de una ejecución
+   * @param {string} id - ID de la ejecución
+   * @returns {Promise<Array<Object>>} - Decisiones { pmid, stage, reviewer, resolution, decision, reason, note, updatedAt }
+   */
+  async listScreeningDecisions(id) {
+    const store = await this._getStore();
+    return store.listScreeningDecisions(id);
+  }
+
+  /**
+   * Actualiza las métricas de búsqueda de una ejecución (p. ej. al evaluarla con un conjunto de referencia)
+   * @param {string} id - ID de la ejecución
+   * @param {Object} searchMetrics - Métricas de searchEvaluationService
+   * @returns {Promise<void>}
+   */
+  async updateSearchMetrics(id, searchMetrics) {
+    const store = await this._getStore();
+    await store.updateSearchMetrics(id, searchMetrics);
+  }
+
+  /**
+   * Describe la paginación de los resultados de PubMed de una ejecución
+   * El tamaño de página es el número de artículos recuperados en la búsqueda inicial,
+   * de modo que la página 2 empieza justo después de los resultados ya mostrados
+   * @param {Object} searchHistory - { count, retrieved }
+   * @returns {Object|null} - { total, pageSize, nextPage } o null si no hay búsqueda guardada
+   */
+  describePagination(searchHistory) {
+    if (!searchHistory || searchHistory.count === null || searchHistory.count === undefined) return null;
+
+    const pageSize = Math.min(searchHistory.retrieved || DEFAULT_ARTICLES_PAGE_SIZE, MAX_PAGE_SIZE);
+    return {
+      total: searchHistory.count,
+      pageSize,
+      nextPage: searchHistory.count > pageSize ? 2 : null
+    };
+  }
+
+  /**
+   * Obtiene el almacenamiento, inicializándolo si aún no se hizo
+   * @returns {Promise<Object>} - Almacenamiento activo
+   */
+  async _getStore() {
+    await this.init();
+    return this.store;
+  }
+
+  /**
+   * Crea e inicializa el almacenamiento
+   * @param {Object} store - Almacenamiento a usar en lugar del configurado (opcional)
+   * @returns {Promise<void>}
+   */
+  async _initStore(store) {
+    const method = 'init';
+
+    if (store) {
+      this.store = store;
+    } else if (config.database.driver === 'postgres') {
+      this.store = new PostgresQueryStore();
+    } else {
+      this.store = new MemoryQueryStore();
+    }
+
+    try {
+      await this.store.init();
+      logInfo(method, `Historial de consultas usando almacenamiento "${this.store.name}"`);
+    } catch (error) {
+      logError(method, `No se pudo inicializar el almacenamiento "${this.store.name}". Se usará memoria`, error.message);
+      await this.store.close().catch(() => {});
+      this.store = new MemoryQueryStore();
+      await this.store.init();
+    }
+  }
+
+  /**
+   * Convierte el resultado de la consulta en una ejecución normalizada para el almacenamiento
+   * Separa de cada artículo sus datos de PubMed, la puntuación, las métricas de iCite y el análisis
+   * @param {Object} result - Resultado del proceso de consulta
+   * @param {Object} metadata - { question, useAI, jobId, searchHistory }
+   * @returns {Object} - Ejecución normalizada
+   */
+  _normalizeRun(result, { question, useAI, jobId, searchHistory }) {
+    const strategies = [];
+    if (result.initialStrategy) {
+      strategies.push({ kind: 'initial', query: result.initialStrategy, details: result.strategyDetails || null });
+    }
+    if (result.refinedStrategy) {
+      strategies.push({ kind: 'refined', query: result.refinedStrategy, details: null });
+    }
+
+    const articles = (result.results || result.articles || [])
+      .filter(article => article && article.pmid)
+      .map((article, index) => {
+        const { analysis, iCiteMetrics, priorityScore, scoreBreakdown, riskOfBias, ...data } = article;
+        return {
+          pmid: String(article.pmid),
+          rank: index + 1,
+          priorityScore: typeof priorityScore === 'number' ? priorityScore : null,
+          scoreBreakdown: scoreBreakdown || null,
+          iciteMetrics: iCiteMetrics || null,
+          analysis: analysis || null,
+          riskOfBias: riskOfBias || null,
+          data
+        };
+      });
+
+    return {
+      id: randomUUID(),
+      jobId,
+      question,
+      useAI: Boolean(useAI),
+      scoringProfile: result.scoringProfile
+        ? { id: result.scoringProfile.id, version: result.scoringProfile.version }
+        : null,
+      searchMetrics: result.searchMetrics || null,
+      searchHistory: searchHistory || null,
+      processTimeMs: result.processTimeMs ?? null,
+      aiUsage: result.aiUsage || null,
+      cacheUsage: result.cache || null,
+      aiBudgetExhausted: Boolean(result.aiBudgetExhausted),
+      createdAt: new Date().toISOString(),
+      strategies,
+      articles
+    };
+  }
+
+  /**
+   * Reconstruye la respuesta de la consulta científica a partir de una ejecución guardada
+   * @param {Object} run - Ejecución normalizada
+   * @returns {Object} - Resultado con el formato de la consulta científica
+   */
+  _buildResult(run) {
+    const initial = run.strategies.find(strategy => strategy.kind === 'initial');
+    const refined = run.strategies.find(strategy => strategy.kind === 'refined');
+
+    const articles = run.articles.map(entry => {
+      const article = {
+        ...entry.data,
+        priorityScore: entry.priorityScore,
+        scoreBreakdown: entry.scoreBreakdown
+      };
+      if (entry.iciteMetrics) article.iCiteMetrics = entry.iciteMetrics;
+      if (entry.analysis) article.analysis = entry.analysis;
+      if (entry.riskOfBias) article.riskOfBias = entry.riskOfBias;
+      return article;
+    });
+
+    return {
+      success: true,
+      runId: run.id,
+      jobId: run.jobId,
+      query: run.question,
+      useAI: run.useAI,
+      createdAt: run.createdAt,
+      initialStrategy: initial?.query || null,
+      refinedStrategy: refined?.query || null,
+      strategyDetails: initial?.details || null,
+      // Los filtros viajan con la búsqueda guardada en el history server
+      filters: run.searchHistory?.filters || null,
+      filterClause: buildFilterClause(run.searchHistory?.filters) || null,
+      searchMetrics: run.searchMetrics,
+      scoringProfile: this._describeProfile(run.scoringProfile),
+      articles,
+      results: articles,
+      pagination: this.describePagination(run.searchHistory),
+      // Uso de la IA y de la caché de la consulta original (null en ejecuciones guardadas antes de registrarlo)
+      aiUsage: run.aiUsage || null,
+      cache: run.cacheUsage || null,
+      aiBudgetExhausted: Boolean(run.aiBudgetExhausted),
+      processTimeMs: run.processTimeMs
+    };
+  }
+
+  /**
+   * Añade el nombre del perfil de puntuación si sigue existiendo
+   * @param {Object} profile - { id, version }
+   * @returns {Object|null} - { id, version, name }
+   */
+  _describeProfile(profile) {
+    if (!profile) return null;
+    return { ...profile, name: scoringService.getProfile(profile.id)?.name || profile.id };
+  }
+}
+
+export default new QueryHistoryService();
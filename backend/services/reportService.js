@@ -0,0 +1,515 @@
+/**
+ * Servicio de informes de síntesis de evidencia
+ * Genera a partir de una consulta guardada un informe con la pregunta, las estrategias,
+ * las métricas de búsqueda, los artículos priorizados con su valoración, la síntesis con
+ * las citas resueltas y la lista de referencias, en PDF, DOCX o HTML imprimible
+ */
+import PDFDocument from 'pdfkit';
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Footer,
+  PageNumber,
+  AlignmentType
+} from 'docx';
+import queryHistoryService from './queryHistoryService.js';
+import { parseSynthesisHtml, resolveCitations, formatVancouverReference, articleYear } from '../utils/reportContent.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Report] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [Report] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+/**
+ * Formatos de informe admitidos
+ */
+export const REPORT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  html: { extension: 'html', contentType: 'text/html' }
+};
+
+const REPORT_TITLE = 'Informe de síntesis de evidencia';
+
+const DISCLAIMER = 'La síntesis ha sido generada con IA y puede contener errores. No reemplaza el criterio médico '
+  + 'profesional ni la lectura de los artículos originales.';
+
+// Métricas de búsqueda que se muestran en el informe
+const SEARCH_METRIC_LABELS = {
+  sensitivity: { label: 'Sensibilidad (exhaustividad)', unit: '%' },
+  precision: { label: 'Precisión', unit: '%' },
+  nnr: { label: 'Número necesario a leer (NNR)', unit: '' }
+};
+
+// Sustituciones para los caracteres que no existen en las fuentes estándar del PDF (WinAnsi)
+const PDF_REPLACEMENTS = {
+  '≥': '>=',
+  '≤': '<=',
+  '≠': '!=',
+  '→': '->',
+  '←': '<-',
+  'α': 'alfa',
+  'β': 'beta',
+  'γ': 'gamma',
+  'κ': 'kappa',
+  'χ': 'chi',
+  'μ': 'µ',
+  '★': '*',
+  '☆': '-'
+};
+
+// Caracteres fuera de WinAnsi: Latin-1 más los signos tipográficos que WinAnsi añade en 0x80-0x9F
+const PDF_UNSUPPORTED_CHARACTERS = /[^\t\n\r\u0020-\u007e\u00a0-\u00ff\u20ac\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u017d\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u017e\u0178]/g;
+
+class ReportService {
+  /**
+   * Construye el contenido del informe de una consulta guardada
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {Object} options - Opciones
+   * @param {string} options.synthesis - Síntesis generada por la IA (HTML o texto, opcional)
+   * @param {number} options.evidenceRating - Calidad global de la evidencia de 1 a 5 (opcional)
+   * @returns {Promise<Object|null>} - Contenido del informe o null si la consulta no existe
+   */
+  async buildReport(runId, { synthesis = null, evidenceRating = null } = {}) {
+    const method = 'buildReport';
+    const run = await queryHistoryService.getRun(runId);
+    if (!run) return null;
+
+    // Los artículos se numeran por su posición en la priorización; es la numeración de las referencias
+    const articles = run.results || [];
+    const { blocks, cited, unresolved } = resolveCitations(parseSynthesisHtml(synthesis), articles);
+
+    const report = {
+      runId: run.runId,
+      title: REPORT_TITLE,
+      question: run.query,
+      createdAt: run.createdAt,
+      generatedAt: new Date().toISOString(),
+      initialStrategy: run.initialStrategy,
+      refinedStrategy: run.refinedStrategy,
+      filterClause: run.filterClause,
+      scoringProfile: run.scoringProfile?.name || null,
+      searchMetrics: this._describeSearchMetrics(run.searchMetrics),
+      evidenceRating: Number.isInteger(evidenceRating) && evidenceRating >= 1 && evidenceRating <= 5 ? evidenceRating : null,
+      synthesis: blocks,
+      citedReferences: cited,
+      unresolvedCitations: unresolved,
+      articles: articles.map((article, index) => this._describeArticle(article, index + 1)),
+      references: articles.map(formatVancouverReference)
+    };
+
+    logInfo(method, `Informe de la consulta ${runId}: ${report.articles.length} artículos, ${blocks.length} bloques de síntesis, ${cited.length} referencias citadas`,
+      unresolved.length > 0 ? { citasSinResolver: unresolved } : null);
+    return report;
+  }
+
+  /**
+   * Genera el informe en el formato pedido
+   * @param {Object} report - Contenido de buildReport
+   * @param {string} format - pdf, docx o html (ver REPORT_FORMATS)
+   * @returns {Promise<Buffer|string>} - Fichero generado
+   */
+  async render(report, format) {
+    switch (format) {
+      case 'pdf':
+        return this.renderPdf(report);
+      case 'docx':
+        return this.renderDocx(report);
+      case 'html':
+        return this.renderHtml(report);
+      default:
+        throw new Error(`Formato de informe desconocido: "${format}"`);
+    }
+  }
+
+  /**
+   * Genera el informe como documento HTML imprimible
+   * @param {Object} report - Contenido de buildReport
+   * @returns {string} - Documento HTML completo
+   */
+  renderHtml(report) {
+    const escape = (value) => String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const runsToHtml = (runs) => runs.map(run => {
+      let html = escape(run.text);
+      if (run.bold) html = `<strong>${html}</strong>`;
+      if (run.italic) html = `<em>${html}</em>`;
+      return html;
+    }).join('');
+
+    // Los elementos de lista consecutivos se agrupan en un mismo <ul>
+    const synthesisHtml = report.synthesis.map((block, index, blocks) => {
+      const content = runsToHtml(block.runs);
+      if (block.type === 'heading') return `<h3>${content}</h3>`;
+      if (block.type === 'listItem') {
+        const open = blocks[index - 1]?.type !== 'listItem' ? '<ul>' : '';
+        const close = blocks[index + 1]?.type !== 'listItem' ? '</ul>' : '';
+        return `${open}<li>${content}</li>${close}`;
+      }
+      return `<p>${content}</p>`;
+    }).join('\n');
+
+    const articlesHtml = report.articles.map(article => `
+      <li class="article">
+        <p class="article-title">${escape(article.title)}</p>
+        <p class="article-meta">${escape([article.authors, article.source].filter(Boolean).join(' · '))}</p>
+        <p class="article-meta">${escape(article.facts.join(' · '))}</p>
+        ${article.appraisal ? `
+        <p><strong>Valoración (${'★'.repeat(article.appraisal.stars)}${'☆'.repeat(5 - article.appraisal.stars)}):</strong> ${escape(article.appraisal.summary)}</p>
+        ${article.appraisal.keyFindings.length > 0 ? `<p><strong>Hallazgos:</strong> ${escape(article.appraisal.keyFindings.join('; '))}</p>` : ''}
+        ${article.appraisal.limitations.length > 0 ? `<p><strong>Limitaciones:</strong> ${escape(article.appraisal.limitations.join('; '))}</p>` : ''}` : ''}
+      </li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escape(report.title)}</title>
+<style>
+  @page { size: A4; margin: 2cm; }
+  body { font-family: Georgia, "Times New Roman", serif; color: #222; line-height: 1.5; max-width: 800px; margin: 0 auto; padding: 1rem; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+  h2 { font-size: 1.2rem; border-bottom: 1px solid #ccc; padding-bottom: 0.2rem; margin-top: 2rem; }
+  h3 { font-size: 1.05rem; }
+  .meta, .article-meta { color: #555; font-size: 0.9rem; margin: 0.1rem 0; }
+  pre { white-space: pre-wrap; word-break: break-word; background: #f5f5f5; padding: 0.6rem; font-size: 0.85rem; }
+  table { border-collapse: collapse; }
+  td { border: 1px solid #ccc; padding: 0.3rem 0.8rem; }
+  .disclaimer { border-left: 3px solid #e0a800; padding-left: 0.8rem; color: #555; font-size: 0.9rem; }
+  .article { margin-bottom: 1rem; page-break-inside: avoid; }
+  .article-title { font-weight: bold; margin-bottom: 0.1rem; }
+  .references li { margin-bottom: 0.4rem; font-size: 0.9rem; }
+  @media print { body { max-width: none; padding: 0; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+<h1>${escape(report.title)}</h1>
+<p class="meta">Pregunta clínica: <strong>${escape(report.question)}</strong></p>
+<p class="meta">Consulta del ${escape(this._formatDate(report.createdAt))} · Informe generado el ${escape(this._formatDate(report.generatedAt))}</p>
+
+<h2>Estrategia de búsqueda</h2>
+${report.initialStrategy ? `<p>Estrategia inicial:</p><pre>${escape(report.initialStrategy)}</pre>` : ''}
+${report.refinedStrategy ? `<p>Estrategia refinada:</p><pre>${escape(report.refinedStrategy)}</pre>` : ''}
+${report.filterClause ? `<p>Filtros aplicados: <code>${escape(report.filterClause)}</code></p>` : ''}
+${report.searchMetrics.length > 0 ? `<table>${report.searchMetrics.map(metric => `<tr><td>${escape(metric.label)}</td><td>${escape(metric.value)}</td></tr>`).join('')}</table>` : ''}
+
+${report.synthesis.length > 0 ? `<h2>Síntesis de la evidencia</h2>
+${report.evidenceRating ? `<p class="meta">Calidad global de la evidencia: ${report.evidenceRating}/5</p>` : ''}
+<p class="disclaimer">${escape(DISCLAIMER)}</p>
+${synthesisHtml}` : ''}
+
+<h2>Artículos priorizados${report.scoringProfile ? ` (perfil: ${escape(report.scoringProfile)})` : ''}</h2>
+<ol>${articlesHtml}
+</ol>
+
+<h2>Referencias</h2>
+<ol class="references">
+${report.references.map(reference => `<li>${escape(reference)}</li>`).join('\n')}
+</ol>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Genera el informe en PDF
+   * @param {Object} report - Contenido de buildReport
+   * @returns {Promise<Buffer>} - PDF
+   */
+  renderPdf(report) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 56,
+        bufferPages: true,
+        info: { Title: `${report.title}: ${report.question}`, Creator: 'Evident-IA' }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const text = (value) => this._toPdfText(value);
+      const fonts = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique', boldItalic: 'Helvetica-BoldOblique' };
+      const fontFor = (run) => (run.bold && run.italic ? fonts.boldItalic : run.bold ? fonts.bold : run.italic ? fonts.italic : fonts.regular);
+
+      const heading = (value, size = 14) => {
+        doc.moveDown(0.8).font(fonts.bold).fontSize(size).fillColor('#222').text(text(value));
+        doc.moveDown(0.3).font(fonts.regular).fontSize(10.5);
+      };
+      const paragraph = (runs, options = {}) => {
+        runs.forEach((run, index) => {
+          doc.font(fontFor(run)).text(text(run.text), { continued: index < runs.length - 1, ...options });
+        });
+        doc.moveDown(0.4);
+      };
+      const meta = (value) => {
+        doc.font(fonts.regular).fontSize(9.5).fillColor('#555').text(text(value));
+        doc.fontSize(10.5).fillColor('#222');
+      };
+
+      doc.font(fonts.bold).fontSize(18).text(text(report.title));
+      doc.moveDown(0.3).font(fonts.regular).fontSize(11).text(text(`Pregunta clínica: ${report.question}`));
+      meta(`Consulta del ${this._formatDate(report.createdAt)} · Informe generado el ${this._formatDate(report.generatedAt)}`);
+
+      heading('Estrategia de búsqueda');
+      if (report.initialStrategy) {
+        paragraph([{ text: 'Estrategia inicial: ', bold: true }, { text: report.initialStrategy }]);
+      }
+      if (report.refinedStrategy) {
+        paragraph([{ text: 'Estrategia refinada: ', bold: true }, { text: report.refinedStrategy }]);
+      }
+      if (report.filterClause) {
+        paragraph([{ text: 'Filtros aplicados: ', bold: true }, { text: report.filterClause }]);
+      }
+      report.searchMetrics.forEach(metric => paragraph([{ text: `${metric.label}: `, bold: true }, { text: metric.value }]));
+
+      if (report.synthesis.length > 0) {
+        heading('Síntesis de la evidencia');
+        if (report.evidenceRating) meta(`Calidad global de la evidencia: ${report.evidenceRating}/5`);
+        meta(DISCLAIMER);
+        doc.moveDown(0.5);
+        report.synthesis.forEach(block => {
+          if (block.type === 'heading') {
+            doc.moveDown(0.3).font(fonts.bold).fontSize(12).text(text(block.runs.map(run => run.text).join('')));
+            doc.moveDown(0.2).fontSize(10.5);
+          } else if (block.type === 'listItem') {
+            paragraph([{ text: '•  ' }, ...block.runs], { indent: 12 });
+          } else {
+            paragraph(block.runs, { align: 'justify' });
+          }
+        });
+      }
+
+      heading(`Artículos priorizados${report.scoringProfile ? ` (perfil: ${report.scoringProfile})` : ''}`);
+      report.articles.forEach(article => {
+        doc.font(fonts.bold).fontSize(10.5).text(text(`${article.number}. ${article.title}`));
+        meta([article.authors, article.source].filter(Boolean).join(' · '));
+        meta(article.facts.join(' · '));
+        if (article.appraisal) {
+          const stars = `${'★'.repeat(article.appraisal.stars)}${'☆'.repeat(5 - article.appraisal.stars)}`;
+          paragraph([{ text: `Valoración (${article.appraisal.stars}/5 ${stars}): `, bold: true }, { text: article.appraisal.summary }]);
+          if (article.appraisal.keyFindings.length > 0) {
+            paragraph([{ text: 'Hallazgos: ', bold: true }, { text: article.appraisal.keyFindings.join('; ') }]);
+          }
+          if (article.appraisal.limitations.length > 0) {
+            paragraph([{ text: 'Limitaciones: ', bold: true }, { text: article.appraisal.limitations.join('; ') }]);
+          }
+        }
+        doc.moveDown(0.5);
+      });
+
+      heading('Referencias');
+      doc.fontSize(9.5);
+      report.references.forEach((reference, index) => {
+        doc.font(fonts.regular).text(text(`${index + 1}. ${reference}`), { indent: 0 });
+        doc.moveDown(0.25);
+      });
+
+      // Número de página en el pie de cada página
+      const range = doc.bufferedPageRange();
+      for (let page = range.start; page < range.start + range.count; page++) {
+        doc.switchToPage(page);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font(fonts.regular).fontSize(8.5).fillColor('#777').text(
+          `Página ${page + 1} de ${range.count}`,
+          doc.page.margins.left,
+          doc.page.height - 36,
+          { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center' }
+        );
+        doc.page.margins.bottom = bottom;
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Genera el informe en DOCX
+   * @param {Object} report - Contenido de buildReport
+   * @returns {Promise<Buffer>} - Documento de Word
+   */
+  renderDocx(report) {
+    const toRuns = (runs) => runs.map(run => new TextRun({ text: run.text, bold: run.bold, italics: run.italic }));
+    const labelled = (label, value) => new Paragraph({
+      spacing: { after: 80 },
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+    });
+    const meta = (value) => new Paragraph({
+      spacing: { after: 60 },
+      children: [new TextRun({ text: value, color: '555555', size: 19 })]
+    });
+    const heading = (value) => new Paragraph({ heading: HeadingLevel.HEADING_1, spacing: { before: 300, after: 120 }, text: value });
+
+    const children = [
+      new Paragraph({ heading: HeadingLevel.TITLE, text: report.title }),
+      labelled('Pregunta clínica', report.question),
+      meta(`Consulta del ${this._formatDate(report.createdAt)} · Informe generado el ${this._formatDate(report.generatedAt)}`),
+      heading('Estrategia de búsqueda')
+    ];
+
+    if (report.initialStrategy) children.push(labelled('Estrategia inicial', report.initialStrategy));
+    if (report.refinedStrategy) children.push(labelled('Estrategia refinada', report.refinedStrategy));
+    if (report.filterClause) children.push(labelled('Filtros aplicados', report.filterClause));
+    report.searchMetrics.forEach(metric => children.push(labelled(metric.label, metric.value)));
+
+    if (report.synthesis.length > 0) {
+      children.push(heading('Síntesis de la evidencia'));
+      if (report.evidenceRating) children.push(meta(`Calidad global de la evidencia: ${report.evidenceRating}/5`));
+      children.push(meta(DISCLAIMER));
+      report.synthesis.forEach(block => {
+        if (block.type === 'heading') {
+          children.push(new Paragraph({ heading: HeadingLevel.HEADING_2, children: toRuns(block.runs) }));
+        } else if (block.type === 'listItem') {
+          children.push(new Paragraph({ bullet: { level: 0 }, children: toRuns(block.runs) }));
+        } else {
+          children.push(new Paragraph({ alignment: AlignmentType.JUSTIFIED, spacing: { after: 120 }, children: toRuns(block.runs) }));
+        }
+      });
+    }
+
+    children.push(heading(`Artículos priorizados${report.scoringProfile ? ` (perfil: ${report.scoringProfile})` : ''}`));
+    report.articles.forEach(article => {
+      children.push(new Paragraph({
+        spacing: { before: 160, after: 40 },
+        children: [new TextRun({ text: `${article.number}. ${article.title}`, bold: true })]
+      }));
+      children.push(meta([article.authors, article.source].filter(Boolean).join(' · ')));
+      children.push(meta(article.facts.join(' · ')));
+      if (article.appraisal) {
+        children.push(labelled(`Valoración (${article.appraisal.stars}/5)`, article.appraisal.summary));
+        if (article.appraisal.keyFindings.length > 0) children.push(labelled('Hallazgos', article.appraisal.keyFindings.join('; ')));
+        if (article.appraisal.limitations.length > 0) children.push(labelled('Limitaciones', article.appraisal.limitations.join('; ')));
+      }
+    });
+
+    children.push(heading('Referencias'));
+    report.references.forEach((reference, index) => {
+      children.push(new Paragraph({ spacing: { after: 80 }, children: [new TextRun({ text: `${index + 1}. ${reference}`, size: 19 })] }));
+    });
+
+    const document = new Document({
+      creator: 'Evident-IA',
+      title: `${report.title}: ${report.question}`,
+      styles: { default: { document: { run: { font: 'Calibri', size: 21 } } } },
+      sections: [{
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [new TextRun({ children: ['Página ', PageNumber.CURRENT, ' de ', PageNumber.TOTAL_PAGES], size: 17, color: '777777' })]
+            })]
+          })
+        },
+        children
+      }]
+    });
+
+    return Packer.toBuffer(document);
+  }
+
+  /**
+   * Describe las métricas de búsqueda para el informe
+   * Las ejecuciones sin conjunto de referencia (y las guardadas antes de existir) solo tienen
+   * estimaciones: se omite la sensibilidad, que no se puede estimar, y el resto se marca como estimación
+   * @param {Object} metrics - Métricas de searchEvaluationService
+   * @returns {Array<Object>} - [{ label, value }]
+   */
+  _describeSearchMetrics(metrics) {
+    if (!metrics) return [];
+    const estimated = metrics.estimated !== false;
+
+    const rows = Object.entries(SEARCH_METRIC_LABELS)
+      .filter(([key]) => typeof metrics[key] === 'number' && !(estimated && key === 'sensitivity'))
+      .map(([key, { label, unit }]) => ({
+        label,
+        value: `${metrics[key]}${unit}${estimated ? ' (estimación)' : ''}`
+      }));
+
+    if (!estimated && metrics.goldStandard) {
+      const recovered = metrics.goldStandard.size - metrics.goldStandard.missed.length;
+      rows.unshift({
+        label: 'Conjunto de referencia',
+        value: `${metrics.goldStandard.size} PMIDs (${recovered} recuperados por alguna estrategia)`
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Resume un artículo para el informe
+   * @param {Object} article - Artículo de la consulta guardada
+   * @param {number} number - Posición en la priorización (y número de referencia)
+   * @returns {Object} - { number, pmid, title, authors, source, facts, appraisal }
+   */
+  _describeArticle(article, number) {
+    const names = (article.authors || []).map(author => (typeof author === 'string' ? author : author?.name)).filter(Boolean);
+    const year = articleYear(article);
+    const design = article.studyDesign;
+    const analysis = article.analysis && typeof article.analysis === 'object' ? article.analysis : null;
+    const maxScore = article.scoreBreakdown?.maxScore;
+
+    const facts = [
+      article.pmid ? `PMID ${article.pmid}` : null,
+      typeof article.priorityScore === 'number' ? `Puntuación ${article.priorityScore}${maxScore ? `/${maxScore}` : ''}` : null,
+      design?.label ? `${design.label}${design.evidenceLevel ? ` (nivel ${design.evidenceLevel})` : ''}` : null,
+      typeof article.iCiteMetrics?.rcr === 'number' ? `RCR ${article.iCiteMetrics.rcr}` : null,
+      typeof article.iCiteMetrics?.citation_count === 'number' ? `${article.iCiteMetrics.citation_count} citas` : null
+    ].filter(Boolean);
+
+    return {
+      number,
+      pmid: article.pmid || null,
+      title: article.title || 'Sin título',
+      authors: names.length > 3 ? `${names.slice(0, 3).join(', ')} et al.` : names.join(', '),
+      source: [article.journal || article.source, year].filter(Boolean).join(', '),
+      facts,
+      appraisal: analysis?.summary && Number.isInteger(analysis.qualityStars)
+        ? {
+          stars: Math.min(Math.max(analysis.qualityStars, 0), 5),
+          summary: analysis.summary,
+          keyFindings: Array.isArray(analysis.keyFindings) ? analysis.keyFindings : [],
+          limitations: Array.isArray(analysis.limitations) ? analysis.limitations : []
+        }
+        : null
+    };
+  }
+
+  /**
+   * Formatea una fecha ISO para el informe
+   * @param {string} value - Fecha ISO
+   * @returns {string} - Fecha en formato local (es-ES)
+   */
+  _formatDate(value) {
+    if (!value) return 'fecha desconocida';
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+      ? String(value)
+      : date.toLocaleDateString('es-ES', { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  /**
+   * Adapta el texto a las fuentes estándar del PDF, que solo cubren WinAnsi (Latin-1 ampliado)
+   * @param {string} value - Texto
+   * @returns {string} - Texto representable
+   */
+  _toPdfText(value) {
+    return String(value ?? '')
+      .replace(PDF_UNSUPPORTED_CHARACTERS, char => PDF_REPLACEMENTS[char] ?? '?');
+  }
+}
+
+export default new ReportService();
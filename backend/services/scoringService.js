@@ -0,0 +1,240 @@
+/**
+ * Servicio de puntuación de artículos
+ * Aplica los perfiles de puntuación definidos como datos en config/scoringProfiles.js
+ * y genera un desglose por criterio que identifica el perfil y la versión utilizados
+ */
+import config from '../config/index.js';
+import { SCORING_PROFILES, DEFAULT_SCORING_PROFILE } from '../config/scoringProfiles.js';
+import { classifyStudyDesign } from '../utils/studyDesignClassifier.js';
+import { createError } from '../middlewares/errorHandler.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Scoring] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [Scoring] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+/**
+ * Convierte un valor a número o null si no es numérico
+ * @param {*} value - Valor a convertir
+ * @returns {number|null} - Número o null
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Cuenta cuántos términos clave aparecen en un texto
+ * @param {string} text - Texto donde buscar
+ * @param {Array<string>} keywords - Términos clave
+ * @returns {number|null} - Número de coincidencias o null si no hay texto
+ */
+const countKeywordMatches = (text, keywords) => {
+  if (!text) return null;
+  const lowerText = text.toLowerCase();
+  return keywords.filter(keyword => lowerText.includes(keyword)).length;
+};
+
+/**
+ * Métricas disponibles para los criterios de los perfiles
+ * Cada métrica recibe el artículo, el contexto de puntuación y el criterio,
+ * y devuelve su valor o null si el artículo no dispone de él
+ */
+const METRICS = {
+  studyDesign: (article, context) => context.studyDesign.design,
+  qualityIndicators: (article, context) => context.studyDesign.qualityIndicators.length,
+  rcr: (article, context) => toNumber(context.icite.rcr),
+  nihPercentile: (article, context) => toNumber(context.icite.nih_percentile),
+  citationsPerYear: (article, context) => toNumber(context.icite.citations_per_year),
+  apt: (article, context) => toNumber(context.icite.apt),
+  clinicalCitations: (article, context) => toNumber(context.icite.clinical_citations),
+  yearsSincePublication: (article, context) => {
+    let year = toNumber(context.icite.year) || toNumber(article.year);
+    if (!year && article.publicationDate) {
+      const yearMatch = String(article.publicationDate).match(/\b(20\d{2}|19\d{2})\b/);
+      if (yearMatch) year = parseInt(yearMatch[1], 10);
+    }
+    return year ? Math.max(context.currentYear - year, 0) : null;
+  },
+  titleKeywordMatches: (article, context) => countKeywordMatches(article.title, context.keywords),
+  abstractKeywordMatches: (article, context) => countKeywordMatches(article.abstract, context.keywords),
+  referenceJournal: (article, context, criterion) => {
+    const journal = article.journal || article.source;
+    if (!journal) return null;
+    const lowerJournal = journal.toLowerCase();
+    return (criterion.journals || []).some(name => lowerJournal.includes(name));
+  }
+};
+
+class ScoringService {
+  constructor() {
+    this.profiles = new Map();
+    SCORING_PROFILES.forEach(profile => {
+      this._validateProfile(profile);
+      this.profiles.set(profile.id, profile);
+    });
+
+    this.defaultProfileId = config.scoring.defaultProfile || DEFAULT_SCORING_PROFILE;
+    if (!this.profiles.has(this.defaultProfileId)) {
+      throw new Error(`El perfil de puntuación por defecto "${this.defaultProfileId}" no existe`);
+    }
+
+    logInfo('constructor', `Perfiles de puntuación cargados: ${[...this.profiles.keys()].join(', ')}`, {
+      defaultProfile: this.defaultProfileId
+    });
+  }
+
+  /**
+   * Lista los perfiles disponibles con sus criterios y pesos
+   * @returns {Array<Object>} - Perfiles { id, version, name, description, maxScore, isDefault, criteria }
+   */
+  listProfiles() {
+    return [...this.profiles.values()].map(profile => ({
+      id: profile.id,
+      version: profile.version,
+      name: profile.name,
+      description: profile.description,
+      maxScore: this._maxScore(profile),
+      isDefault: profile.id === this.defaultProfileId,
+      criteria: profile.criteria.map(({ id, label, metric, weight }) => ({ id, label, metric, weight }))
+    }));
+  }
+
+  /**
+   * Obtiene un perfil por su ID
+   * @param {string} profileId - ID del perfil (si se omite, el perfil por defecto)
+   * @returns {Object|null} - Perfil o null si no existe
+   */
+  getProfile(profileId) {
+    return this.profiles.get(profileId || this.defaultProfileId) || null;
+  }
+
+  /**
+   * Puntúa los artículos con el perfil indicado
+   * @param {Array} articles - Artículos a puntuar
+   * @param {Object} options - Opciones de puntuación
+   * @param {string} options.question - Pregunta clínica (para la relevancia temática)
+   * @param {Object} options.iCiteMetrics - Métricas de iCite indexadas por PMID
+   * @param {string} options.profileId - ID del perfil (opcional)
+   * @returns {Array} - Artículos con priorityScore y scoreBreakdown
+   * @throws {Error} - Si el perfil no existe
+   */
+  scoreArticles(articles, { question = '', iCiteMetrics = {}, profileId = null } = {}) {
+    const method = 'scoreArticles';
+    const profile = this.getProfile(profileId);
+    if (!profile) {
+      throw createError(`Perfil de puntuación desconocido: "${profileId}"`, 400, 'UNKNOWN_SCORING_PROFILE');
+    }
+
+    // Extraer términos clave de la pregunta
+    const keywords = question.toLowerCase()
+      .replace(/[.,?!;:()]/g, '')
+      .split(/\s+/)
+      .filter(word => word.length > 3);
+
+    logInfo(method, `Puntuando ${articles.length} artículos con el perfil ${profile.id}@${profile.version}`, { keywords });
+
+    const currentYear = new Date().getFullYear();
+    const maxScore = this._maxScore(profile);
+
+    return articles.map(article => {
+      const context = {
+        keywords,
+        currentYear,
+        icite: (iCiteMetrics && iCiteMetrics[article.pmid]) || {},
+        studyDesign: article.studyDesign || classifyStudyDesign(article)
+      };
+
+      const criteria = {};
+      let score = 0;
+      profile.criteria.forEach(criterion => {
+        const result = this._evaluateCriterion(article, context, criterion);
+        criteria[criterion.id] = result;
+        score += result.points;
+      });
+
+      return {
+        ...article,
+        studyDesign: context.studyDesign,
+        priorityScore: Math.round(score * 10) / 10,
+        scoreBreakdown: {
+          profile: { id: profile.id, version: profile.version, name: profile.name },
+          maxScore,
+          criteria,
+          studyDesign: {
+            design: context.studyDesign.design,
+            label: context.studyDesign.label,
+            evidenceLevel: context.studyDesign.evidenceLevel,
+            source: context.studyDesign.source
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Evalúa un criterio de un perfil sobre un artículo
+   * @param {Object} article - Artículo
+   * @param {Object} context - Contexto de puntuación
+   * @param {Object} criterion - Criterio del perfil
+   * @returns {Object} - { label, weight, value, usedDefault, points }
+   */
+  _evaluateCriterion(article, context, criterion) {
+    let value = METRICS[criterion.metric](article, context, criterion);
+    const usedDefault = value === null || value === undefined;
+    if (usedDefault) value = criterion.default ?? null;
+
+    let ratio = 0;
+    if (criterion.values) {
+      ratio = criterion.values[String(value)] ?? 0;
+    } else if (typeof value === 'number') {
+      const threshold = criterion.thresholds.find(({ min, max }) =>
+        (min === undefined || value >= min) && (max === undefined || value <= max));
+      ratio = threshold ? threshold.ratio : 0;
+    }
+
+    return {
+      label: criterion.label,
+      weight: criterion.weight,
+      value,
+      usedDefault,
+      points: Math.round(criterion.weight * ratio * 100) / 100
+    };
+  }
+
+  /**
+   * Puntuación máxima de un perfil (suma de los pesos)
+   * @param {Object} profile - Perfil
+   * @returns {number} - Puntuación máxima
+   */
+  _maxScore(profile) {
+    return profile.criteria.reduce((total, criterion) => total + criterion.weight, 0);
+  }
+
+  /**
+   * Comprueba que un perfil esté bien definido al cargarlo
+   * @param {Object} profile - Perfil
+   * @throws {Error} - Si falta algún dato o se usa una métrica desconocida
+   */
+  _validateProfile(profile) {
+    if (!profile.id || !profile.version || !Array.isArray(profile.criteria) || profile.criteria.length === 0) {
+      throw new Error(`Perfil de puntuación inválido: "${profile.id}"`);
+    }
+
+    profile.criteria.forEach(criterion => {
+      if (!METRICS[criterion.metric]) {
+        throw new Error(`Métrica desconocida "${criterion.metric}" en el perfil "${profile.id}"`);
+      }
+      if (typeof criterion.weight !== 'number' || (!criterion.values && !Array.isArray(criterion.thresholds))) {
+        throw new Error(`Criterio "${criterion.id}" del perfil "${profile.id}" sin peso, umbrales o valores`);
+      }
+    });
+  }
+}
+
+export default new ScoringService();
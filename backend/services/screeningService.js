@@ -0,0 +1,140 @@
+/**
+ * Servicio de cribado de las consultas guardadas
+ * Guarda las decisiones de los revisores (incluir, excluir o dudoso con su motivo) en las fases de
+ * título y resumen y de texto completo, detecta los conflictos entre revisores, permite resolverlos
+ * y genera el diagrama de flujo PRISMA 2020 con los recuentos del cribado.
+ * Los revisores requeridos se guardan con la ejecución en la primera decisión; hasta entonces se
+ * puede previsualizar el cribado con otro valor
+ */
+import queryHistoryService from './queryHistoryService.js';
+import { buildScreening, DEFAULT_REQUIRED_REVIEWERS } from '../utils/screening.js';
+import { renderPrismaSvg } from '../utils/prismaDiagram.js';
+import { createError } from '../middlewares/errorHandler.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [Screening] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [Screening] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+class ScreeningService {
+  /**
+   * Obtiene el estado del cribado de una ejecución guardada
+   * @param {string} runId - ID de la ejecución
+   * @param {Object} options - { requiredReviewers, reviewer } (ver utils/screening.js); requiredReviewers
+   *   solo se usa si la ejecución aún no tiene los revisores requeridos fijados
+   * @returns {Promise<Object|null>} - { runId, query, requiredReviewersLocked, ...buildScreening } o null si la ejecución no existe
+   */
+  async getScreening(runId, { requiredReviewers = null, reviewer = null } = {}) {
+    const context = await queryHistoryService.getSearchContext(runId);
+    if (!context) return null;
+
+    const decisions = await queryHistoryService.listScreeningDecisions(runId);
+    return {
+      runId: context.runId,
+      query: context.question,
+      requiredReviewersLocked: Boolean(context.screeningRequiredReviewers),
+      ...buildScreening(context, decisions, {
+        requiredReviewers: context.screeningRequiredReviewers || requiredReviewers || DEFAULT_REQUIRED_REVIEWERS,
+        reviewer
+      })
+    };
+  }
+
+  /**
+   * Guarda la decisión de un revisor o la resolución de un conflicto y devuelve el cribado actualizado
+   * Solo se criba el texto completo de los registros incluidos o dudosos en título y resumen, solo
+   * deciden un registro los revisores requeridos (los demás solo pueden resolver conflictos) y solo
+   * se resuelven los registros con conflicto (o ya resueltos, para corregir la resolución).
+   * La primera decisión fija los revisores requeridos de la ejecución
+   * @param {string} runId - ID de la ejecución
+   * @param {string} pmid - PMID del artículo
+   * @param {Object} decision - Decisión validada { stage, reviewer, decision, reason, note }
+   * @param {Object} options - Opciones
+   * @param {boolean} options.resolution - Si la decisión resuelve un conflicto
+   * @param {number} options.requiredReviewers - Revisores que deben decidir cada registro (opcional; debe
+   *   coincidir con el de la ejecución si ya está fijado)
+   * @returns {Promise<Object|null>} - Cribado visto por el revisor o null si la ejecución no existe
+   */
+  async saveDecision(runId, pmid, decision, { resolution = false, requiredReviewers = null } = {}) {
+    const method = 'saveDecision';
+    const current = await this.getScreening(runId, { requiredReviewers });
+    if (!current) return null;
+    this._checkRequiredReviewers(current.requiredReviewers, requiredReviewers, current.requiredReviewersLocked);
+
+    const record = current.records.find(entry => entry.pmid === String(pmid));
+    if (!record) {
+      throw createError(`El artículo ${pmid} no pertenece a la consulta guardada`, 404, 'ARTICLE_NOT_IN_RUN');
+    }
+    if (record.outcome === 'duplicate') {
+      throw createError(`El artículo ${pmid} es un duplicado de ${record.duplicateOf} y no se criba`, 409, 'DUPLICATE_RECORD');
+    }
+
+    const state = record.stages[decision.stage];
+    if (!state) {
+      throw createError('Solo se criba el texto completo de los registros incluidos o dudosos en título y resumen', 409, 'NOT_ELIGIBLE_FOR_FULL_TEXT');
+    }
+    if (resolution) {
+      if (!['conflict', 'resolved'].includes(state.status)) {
+        throw createError(`El artículo ${pmid} no tiene un conflicto que resolver en esta fase`, 409, 'NO_SCREENING_CONFLICT');
+      }
+      if (decision.stage === 'full-text' && decision.decision === 'maybe') {
+        throw createError('La resolución del texto completo debe incluir o excluir el artículo', 400, 'INVALID_RESOLUTION');
+      }
+    } else if (state.awaitingReviewers === 0 && !state.reviews.some(entry => entry.reviewer === decision.reviewer)) {
+      // Un revisor más crearía un conflicto en un registro que ya han decidido los revisores requeridos
+      throw createError(
+        `El artículo ${pmid} ya tiene las decisiones de los revisores requeridos (${current.requiredReviewers}) en esta fase; solo se puede resolver un conflicto`,
+        409,
+        'REVIEWERS_COMPLETE'
+      );
+    }
+
+    if (!current.requiredReviewersLocked) {
+      const stored = await queryHistoryService.setScreeningRequiredReviewers(runId, current.requiredReviewers);
+      // Otra decisión simultánea pudo fijar antes un valor distinto
+      this._checkRequiredReviewers(stored, current.requiredReviewers, true);
+      logInfo(method, `Revisores requeridos de la ejecución ${runId}: ${stored}`);
+    }
+
+    await queryHistoryService.saveScreeningDecision(runId, { pmid: record.pmid, resolution, ...decision });
+    logInfo(method, `${resolution ? 'Resolución' : 'Decisión'} de ${decision.reviewer} para ${pmid} (${decision.stage}): ${decision.decision}`);
+
+    return this.getScreening(runId, { reviewer: decision.reviewer });
+  }
+
+  /**
+   * Comprueba que los revisores requeridos indicados coinciden con los fijados en la ejecución
+   * @param {number} stored - Revisores requeridos de la ejecución
+   * @param {number|null} requested - Revisores requeridos de la petición (null si no se indican)
+   * @param {boolean} locked - Si la ejecución ya tiene los revisores requeridos fijados
+   * @throws {Error} - 409 REQUIRED_REVIEWERS_LOCKED si no coinciden
+   */
+  _checkRequiredReviewers(stored, requested, locked) {
+    if (locked && requested && requested !== stored) {
+      throw createError(
+        `El cribado de esta consulta ya usa ${stored} revisor(es) por registro y no se puede cambiar`,
+        409,
+        'REQUIRED_REVIEWERS_LOCKED'
+      );
+    }
+  }
+
+  /**
+   * Genera el diagrama de flujo PRISMA 2020 de una ejecución guardada
+   * @param {string} runId - ID de la ejecución
+   * @param {Object} options - { requiredReviewers } (solo si la ejecución aún no los tiene fijados)
+   * @returns {Promise<string|null>} - Documento SVG o null si la ejecución no existe
+   */
+  async renderPrismaDiagram(runId, { requiredReviewers = null } = {}) {
+    const screening = await this.getScreening(runId, { requiredReviewers });
+    if (!screening) return null;
+    return renderPrismaSvg(screening.prisma, { title: screening.query ? `PRISMA 2020: ${screening.query}` : null });
+  }
+}
+
+export default new ScreeningService();
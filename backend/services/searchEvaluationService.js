@@ -0,0 +1,198 @@
+/**
+ * Servicio de evaluación de las estrategias de búsqueda
+ * Con un conjunto de referencia (PMIDs que se sabe que son relevantes para la pregunta)
+ * calcula la exhaustividad, la precisión y el NNR reales de la estrategia inicial y la refinada,
+ * además de los artículos de referencia que recupera cada una. Sin conjunto de referencia
+ * solo se pueden dar estimaciones, que se marcan como tales
+ */
+import pubmedService from './pubmedService.js';
+
+// Funciones para registro de información con timestamp
+function logInfo(method, message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] [SearchEvaluation] [${method}] ${message}`);
+  if (data) {
+    console.log(`[${timestamp}] [SearchEvaluation] [${method}] Datos:`,
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2));
+  }
+}
+
+function logError(method, message, error = null) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] [SearchEvaluation] [${method}] ERROR: ${message}`);
+  if (error) {
+    console.error(`[${timestamp}] [SearchEvaluation] [${method}] Detalles:`, error);
+  }
+}
+
+// Máximo de PMIDs del conjunto de referencia (cada uno se añade a la consulta de PubMed)
+export const MAX_GOLD_STANDARD_PMIDS = 200;
+
+/**
+ * Porcentaje con un decimal (la precisión frente a todo PubMed suele ser menor del 1%)
+ * @param {number} part - Parte
+ * @param {number} total - Total
+ * @returns {number|null} - Porcentaje o null si el total es 0
+ */
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : null);
+
+class SearchEvaluationService {
+  /**
+   * Valida y normaliza el conjunto de referencia
+   * Acepta una lista de PMIDs o el texto pegado por el usuario (separado por espacios, comas o saltos de línea)
+   * @param {Array<string|number>|string} value - PMIDs del conjunto de referencia
+   * @returns {Object} - { valid, pmids, error }
+   */
+  parseGoldStandard(value) {
+    if (value === undefined || value === null || value === '') {
+      return { valid: true, pmids: [], error: null };
+    }
+
+    const items = typeof value === 'string' ? value.split(/[\s,;]+/) : value;
+    if (!Array.isArray(items)) {
+      return { valid: false, pmids: [], error: 'goldStandardPmids debe ser una lista de PMIDs' };
+    }
+
+    const pmids = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+    const invalid = pmids.filter(pmid => !/^\d+$/.test(pmid));
+    if (invalid.length > 0) {
+      return { valid: false, pmids: [], error: `PMIDs no válidos en el conjunto de referencia: ${invalid.slice(0, 5).join(', ')}` };
+    }
+    if (pmids.length > MAX_GOLD_STANDARD_PMIDS) {
+      return { valid: false, pmids: [], error: `El conjunto de referencia admite hasta ${MAX_GOLD_STANDARD_PMIDS} PMIDs` };
+    }
+
+    return { valid: true, pmids, error: null };
+  }
+
+  /**
+   * Calcula las métricas de búsqueda
+   * Con conjunto de referencia las métricas son reales; sin él (o si PubMed falla) se devuelven estimaciones
+   * @param {Object} params - Estrategias y conjunto de referencia
+   * @param {Object} params.initial - { query, count } de la estrategia inicial
+   * @param {Object} params.refined - { query, count } de la estrategia refinada (null si no se refinó)
+   * @param {Array<string>} params.goldStandardPmids - PMIDs relevantes conocidos (opcional)
+   * @param {Object} params.filters - Filtros aplicados a las búsquedas (opcional)
+   * @returns {Promise<Object>} - Métricas (ver evaluate y estimate)
+   */
+  async calculate({ initial, refined = null, goldStandardPmids = [], filters = null }) {
+    if (!initial?.query || goldStandardPmids.length === 0) {
+      return this.estimate({ initial, refined });
+    }
+
+    try {
+      return await this.evaluate({ initial, refined, goldStandardPmids, filters });
+    } catch (error) {
+      logError('calculate', 'No se pudo evaluar la búsqueda con el conjunto de referencia. Se devuelven estimaciones', error.message);
+      return this.estimate({ initial, refined });
+    }
+  }
+
+  /**
+   * Evalúa las estrategias frente a un conjunto de referencia
+   * La exhaustividad (sensibilidad) es la proporción de artículos de referencia que recupera la estrategia;
+   * la precisión y el NNR se calculan sobre el total de resultados de PubMed y son una cota inferior,
+   * porque puede haber artículos relevantes que no están en el conjunto de referencia
+   * @param {Object} params - Estrategias y conjunto de referencia (ver calculate)
+   * @returns {Promise<Object>} - { estimated: false, sensitivity, specificity, precision, nnr,
+   *   goldStandard: { size, pmids, missed }, strategies: { initial, refined }, overlap }
+   */
+  async evaluate({ initial, refined = null, goldStandardPmids, filters = null }) {
+    const method = 'evaluate';
+    logInfo(method, `Evaluando estrategias con un conjunto de referencia de ${goldStandardPmids.length} PMIDs`);
+
+    const initialMatch = await pubmedService.matchPmids(initial.query, goldStandardPmids, { filters });
+    const refinedMatch = refined?.query
+      ? await pubmedService.matchPmids(refined.query, goldStandardPmids, { filters })
+      : null;
+
+    const strategies = {
+      initial: this._describeStrategy(initial.query, initialMatch, goldStandardPmids),
+      refined: refinedMatch ? this._describeStrategy(refined.query, refinedMatch, goldStandardPmids) : null
+    };
+
+    const initialHits = new Set(initialMatch.matched);
+    const refinedHits = new Set(refinedMatch?.matched || []);
+    const overlap = refinedMatch
+      ? {
+        both: goldStandardPmids.filter(pmid => initialHits.has(pmid) && refinedHits.has(pmid)),
+        initialOnly: goldStandardPmids.filter(pmid => initialHits.has(pmid) && !refinedHits.has(pmid)),
+        refinedOnly: goldStandardPmids.filter(pmid => refinedHits.has(pmid) && !initialHits.has(pmid))
+      }
+      : null;
+
+    // Las métricas principales son las de la estrategia cuyos resultados se muestran
+    const main = strategies.refined || strategies.initial;
+    const metrics = {
+      estimated: false,
+      sensitivity: main.recall,
+      specificity: null,
+      precision: main.precision,
+      nnr: main.nnr,
+      goldStandard: {
+        size: goldStandardPmids.length,
+        pmids: goldStandardPmids,
+        missed: goldStandardPmids.filter(pmid => !initialHits.has(pmid) && !refinedHits.has(pmid))
+      },
+      strategies,
+      overlap
+    };
+
+    logInfo(method, `Exhaustividad: ${main.recall}%, precisión: ${main.precision}%, NNR: ${main.nnr}`);
+    return metrics;
+  }
+
+  /**
+   * Estima las métricas sin conjunto de referencia
+   * Sin artículos relevantes conocidos no se puede medir la sensibilidad ni la especificidad;
+   * la precisión se aproxima como la proporción de resultados de la estrategia inicial (sensible)
+   * que conserva la refinada (específica) y el NNR como su inversa
+   * @param {Object} params - Estrategias (ver calculate)
+   * @returns {Object} - { estimated: true, sensitivity: null, specificity: null, precision, nnr,
+   *   goldStandard: null, strategies: { initial, refined }, overlap: null }
+   */
+  estimate({ initial = null, refined = null } = {}) {
+    const describe = (strategy) => (strategy
+      ? { query: strategy.query, count: strategy.count ?? null, goldHits: null, recall: null, precision: null, nnr: null, foundPmids: [] }
+      : null);
+
+    const initialCount = initial?.count || 0;
+    const refinedCount = refined?.count ?? null;
+    const comparable = initialCount > 0 && refinedCount !== null;
+
+    return {
+      estimated: true,
+      sensitivity: null,
+      specificity: null,
+      precision: comparable ? percent(Math.min(refinedCount, initialCount), initialCount) : null,
+      nnr: comparable && refinedCount > 0 ? Math.ceil(initialCount / refinedCount) : null,
+      goldStandard: null,
+      strategies: {
+        initial: describe(initial),
+        refined: describe(refined)
+      },
+      overlap: null
+    };
+  }
+
+  /**
+   * Métricas de una estrategia frente al conjunto de referencia
+   * @param {string} query - Estrategia
+   * @param {Object} match - { count, matched } de pubmedService.matchPmids
+   * @param {Array<string>} goldStandardPmids - Conjunto de referencia
+   * @returns {Object} - { query, count, goldHits, recall, precision, nnr, foundPmids }
+   */
+  _describeStrategy(query, { count, matched }, goldStandardPmids) {
+    return {
+      query,
+      count,
+      goldHits: matched.length,
+      recall: percent(matched.length, goldStandardPmids.length),
+      precision: percent(matched.length, count),
+      nnr: matched.length > 0 ? Math.ceil(count / matched.length) : null,
+      foundPmids: matched
+    };
+  }
+}
+
+export default new SearchEvaluationService();
@@ -0,0 +1,82 @@
+/**
+ * Pruebas de las peticiones compartidas de la caché (services/cacheService.js)
+ */
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import cacheService, { CACHE_NAMESPACES } from '../services/cacheService.js';
+
+// Productor controlable: no termina hasta que la prueba lo resuelve
+const deferredProducer = () => {
+  const state = { calls: 0, signal: null, resolve: null };
+  state.producer = (signal) => {
+    state.calls++;
+    state.signal = signal;
+    return new Promise(resolve => { state.resolve = resolve; });
+  };
+  return state;
+};
+
+// Deja que las dos peticiones lleguen a esperar el productor compartido
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+before(() => {
+  cacheService.enabled = true;
+});
+
+test('cancelar una de dos peticiones iguales no rechaza la otra', async () => {
+  const deferred = deferredProducer();
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const firstResult = cacheService.wrap(CACHE_NAMESPACES.PUBMED_SEARCH, 'compartida', deferred.producer, { signal: first.signal });
+  const secondResult = cacheService.wrap(CACHE_NAMESPACES.PUBMED_SEARCH, 'compartida', deferred.producer, { signal: second.signal });
+
+  await settle();
+  first.abort();
+  await assert.rejects(firstResult, { code: 'ABORTED' });
+  assert.equal(deferred.signal.aborted, false);
+
+  deferred.resolve({ ids: ['1', '2'] });
+  assert.deepEqual(await secondResult, { ids: ['1', '2'] });
+  assert.equal(deferred.calls, 1);
+});
+
+test('el productor compartido se cancela cuando todas las peticiones se cancelan', async () => {
+  const deferred = deferredProducer();
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const firstResult = cacheService.wrap(CACHE_NAMESPACES.PUBMED_SEARCH, 'cancelada', deferred.producer, { signal: first.signal });
+  const secondResult = cacheService.wrap(CACHE_NAMESPACES.PUBMED_SEARCH, 'cancelada', deferred.producer, { signal: second.signal });
+
+  await settle();
+  first.abort();
+  second.abort();
+  await assert.rejects(firstResult, { code: 'ABORTED' });
+  await assert.rejects(secondResult, { code: 'ABORTED' });
+  assert.equal(deferred.signal.aborted, true);
+
+  // Una petición posterior con la misma clave vuelve a llamar al productor
+  const retry = deferredProducer();
+  const retryResult = cacheService.wrap(CACHE_NAMESPACES.PUBMED_SEARCH, 'cancelada', retry.producer);
+  await settle();
+  assert.equal(retry.calls, 1);
+  retry.resolve('nuevo');
+  assert.equal(await retryResult, 'nuevo');
+});
+
+test('una petición sin señal mantiene vivo el productor compartido', async () => {
+  const deferred = deferredProducer();
+  const controller = new AbortController();
+
+  const withSignal = cacheService.wrap(CACHE_NAMESPACES.CLAUDE_RESPONSE, 'sin-senal', deferred.producer, { signal: controller.signal });
+  const withoutSignal = cacheService.wrap(CACHE_NAMESPACES.CLAUDE_RESPONSE, 'sin-senal', deferred.producer);
+
+  await settle();
+  controller.abort();
+  await assert.rejects(withSignal, { code: 'ABORTED' });
+  assert.equal(deferred.signal.aborted, false);
+
+  deferred.resolve('respuesta');
+  assert.equal(await withoutSignal, 'respuesta');
+});
@@ -0,0 +1,123 @@
+/**
+ * Pruebas de la exportación de citas (utils/citationExport.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportArticles, EXPORT_FORMATS } from '../utils/citationExport.js';
+
+const ARTICLE = {
+  pmid: '31535829',
+  doi: '10.1056/NEJMoa1911303',
+  pmcid: 'PMC7000000',
+  title: 'Dapagliflozin in Patients with Heart Failure & Reduced Ejection Fraction',
+  authors: [
+    { name: 'McMurray JJV', authtype: 'Author' },
+    { name: 'DAPA-HF Trial Committees and Investigators', authtype: 'CollectiveName' }
+  ],
+  journal: 'The New England journal of medicine',
+  journalAbbreviation: 'N Engl J Med',
+  year: 2019,
+  pubdate: '2019 Nov 21',
+  volume: '381',
+  issue: '21',
+  pages: '1995-2008',
+  abstract: 'Background text.\n\nResults text.',
+  language: ['eng'],
+  publicationTypes: [{ name: 'Randomized Controlled Trial' }],
+  meshTerms: ['Heart Failure'],
+  meshHeadings: [{ descriptor: 'Heart Failure', majorTopic: true, qualifiers: [{ name: 'drug therapy', majorTopic: true }] }],
+  keywords: ['SGLT2'],
+  priorityScore: 72.5,
+  scoreBreakdown: {
+    profile: { id: 'clinical-practice', version: '1.0.0', name: 'Práctica clínica' },
+    maxScore: 100,
+    criteria: { studyDesign: { points: 10.05 }, rcr: { points: 15 } }
+  },
+  iCiteMetrics: { rcr: 12.3, citation_count: 3000 },
+  analysis: { qualityStars: 5, summary: 'Ensayo "pivotal", bien diseñado' }
+};
+
+const MINIMAL = { pmid: '100', title: 'Sin título', authors: [], abstract: 'Abstract no disponible', pages: '123-30' };
+
+test('EXPORT_FORMATS declara extensión y tipo de contenido de cada formato', () => {
+  assert.deepEqual(Object.keys(EXPORT_FORMATS), ['ris', 'bibtex', 'nbib', 'csljson', 'csv']);
+  Object.values(EXPORT_FORMATS).forEach(format => {
+    assert.ok(format.extension);
+    assert.ok(format.contentType);
+  });
+});
+
+test('exportArticles rechaza un formato desconocido', () => {
+  assert.throws(() => exportArticles([ARTICLE], 'docx'), /Formato de exportación desconocido: "docx"/);
+});
+
+test('RIS separa autores, páginas y palabras clave y omite los textos de relleno', () => {
+  const ris = exportArticles([ARTICLE, MINIMAL], 'ris');
+  const [first, second] = ris.split('\r\n\r\n');
+
+  assert.match(first, /^TY {2}- JOUR\r\n/);
+  assert.match(first, /\r\nAU {2}- McMurray, JJV\r\n/);
+  assert.match(first, /\r\nAU {2}- DAPA-HF Trial Committees and Investigators\r\n/);
+  assert.match(first, /\r\nSP {2}- 1995\r\nEP {2}- 2008\r\n/);
+  assert.match(first, /\r\nAB {2}- Background text\. Results text\.\r\n/);
+  assert.match(first, /\r\nKW {2}- Heart Failure\r\nKW {2}- SGLT2\r\n/);
+  assert.match(first, /\r\nN1 {2}- Puntuación: 72\.5\/100 \(Práctica clínica\)/);
+  assert.match(first, /ER {2}- $/);
+
+  assert.doesNotMatch(second, /TI {2}-|AB {2}-/);
+  // MEDLINE abrevia la página final: 123-30 es 123-130
+  assert.match(second, /SP {2}- 123\r\nEP {2}- 130/);
+});
+
+test('BibTeX genera claves únicas y escapa los caracteres especiales', () => {
+  const bibtex = exportArticles([ARTICLE, ARTICLE], 'bibtex');
+
+  assert.match(bibtex, /^@article\{McMurray201931535829,/);
+  assert.match(bibtex, /@article\{McMurray2019315358292,/);
+  assert.match(bibtex, /author = \{McMurray, JJV and \{DAPA-HF Trial Committees and Investigators\}\}/);
+  assert.match(bibtex, /title = \{\{Dapagliflozin in Patients with Heart Failure \\& Reduced Ejection Fraction\}\}/);
+  assert.match(bibtex, /pages = \{1995--2008\}/);
+});
+
+test('MEDLINE marca los temas principales y los autores colectivos', () => {
+  const nbib = exportArticles([ARTICLE], 'nbib');
+
+  assert.match(nbib, /^PMID- 31535829\n/);
+  assert.match(nbib, /\nAU {2}- McMurray JJV\n/);
+  assert.match(nbib, /\nCN {2}- DAPA-HF Trial Committees and Investigators\n/);
+  // Con un calificador principal, el asterisco va en el calificador y no en el descriptor
+  assert.match(nbib, /\nMH {2}- Heart Failure\/\*drug therapy\n/);
+  assert.match(nbib, /\nAID - 10\.1056\/NEJMoa1911303 \[doi\]\n/);
+  nbib.trimEnd().split('\n').forEach(line => assert.ok(line.length <= 80, line));
+});
+
+test('CSL-JSON separa los nombres y omite los campos vacíos', () => {
+  const [item, minimal] = JSON.parse(exportArticles([ARTICLE, MINIMAL], 'csljson'));
+
+  assert.equal(item.id, 'pmid:31535829');
+  assert.deepEqual(item.author, [
+    { family: 'McMurray', given: 'JJV' },
+    { literal: 'DAPA-HF Trial Committees and Investigators' }
+  ]);
+  assert.deepEqual(item.issued, { 'date-parts': [[2019]] });
+  assert.equal(item.page, '1995-2008');
+  assert.equal('title' in minimal, false);
+  assert.equal('abstract' in minimal, false);
+});
+
+test('CSV incluye una columna por criterio y por métrica de iCite y escapa las comillas', () => {
+  const csv = exportArticles([ARTICLE, MINIMAL], 'csv');
+  const [header, row, minimalRow] = csv.replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+  const columns = header.split(',');
+  const cell = (name) => row.match(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g)[columns.indexOf(name)].replace(/,$/, '');
+
+  assert.ok(csv.startsWith('\uFEFF'));
+  assert.ok(columns.includes('score_studyDesign'));
+  assert.ok(columns.includes('score_rcr'));
+  assert.ok(columns.includes('icite_rcr'));
+  assert.equal(cell('scoring_profile'), 'clinical-practice@1.0.0');
+  assert.equal(cell('score_rcr'), '15');
+  assert.equal(cell('icite_rcr'), '12.3');
+  assert.equal(cell('ai_summary'), '"Ensayo ""pivotal"", bien diseñado"');
+  assert.ok(minimalRow.startsWith('100,,,'));
+});
@@ -0,0 +1,55 @@
+/**
+ * Pruebas de la comprobación de las medidas de efecto frente al abstract (utils/effectExtraction.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateEffectExtraction, verifyEffectRecords } from '../utils/effectExtraction.js';
+
+const ARTICLES = [
+  {
+    pmid: '1',
+    abstract: 'In 3,234 adults (1,073 metformin, 1,082 placebo) the incidence of diabetes fell (HR 0.69; 95% CI 0.57-0.83).'
+  },
+  {
+    pmid: '2',
+    abstract: 'El peso se redujo en 2,1 kg (IC 95%: 2,9 a 1,3) frente al control.'
+  }
+];
+
+const extract = (records) => {
+  const { valid, errors, records: normalized } = validateEffectExtraction({ records }, ['1', '2']);
+  assert.equal(valid, true, errors.join('; '));
+  return verifyEffectRecords(normalized, ARTICLES);
+};
+
+test('verifyEffectRecords acepta los números del abstract, con separador de miles o coma decimal', () => {
+  const [hazard, meanDifference] = extract([
+    { pmid: '1', outcome: 'Diabetes', measure: 'HR', value: 0.69, ciLower: 0.57, ciUpper: 0.83, interventionN: 1073, controlN: 1082 },
+    // El abstract expresa el signo con palabras ("se redujo")
+    { pmid: '2', outcome: 'Peso', measure: 'MD', value: -2.1, ciLower: -2.9, ciUpper: -1.3 }
+  ]);
+
+  assert.equal(hazard.verified, true);
+  assert.deepEqual(hazard.unverifiedFields, []);
+  assert.equal(meanDifference.verified, true);
+});
+
+test('verifyEffectRecords marca los números que no aparecen en el abstract de su artículo', () => {
+  const [invented, otherArticle] = extract([
+    { pmid: '1', outcome: 'Diabetes', measure: 'HR', value: 0.69, ciLower: 0.55, ciUpper: 0.83, interventionN: 1100 },
+    // Las cifras existen, pero en el abstract de otro artículo
+    { pmid: '2', outcome: 'Diabetes', measure: 'HR', value: 0.69, ciLower: 0.57, ciUpper: 0.83 }
+  ]);
+
+  assert.equal(invented.verified, false);
+  assert.deepEqual(invented.unverifiedFields, ['ciLower', 'interventionN']);
+  assert.equal(otherArticle.verified, false);
+  assert.deepEqual(otherArticle.unverifiedFields, ['value', 'ciLower', 'ciUpper']);
+});
+
+test('verifyEffectRecords solo comprueba los campos informados', () => {
+  const [withoutInterval] = extract([{ pmid: '1', outcome: 'Diabetes', measure: 'HR', value: 0.69 }]);
+
+  assert.equal(withoutInterval.verified, true);
+  assert.equal(withoutInterval.ciLower, null);
+});
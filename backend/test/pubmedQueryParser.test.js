@@ -0,0 +1,106 @@
+/**
+ * Pruebas del analizador de consultas PubMed (utils/pubmedQueryParser.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, parse, serialize, validateQuery, TOKEN_TYPES } from '../utils/pubmedQueryParser.js';
+
+const codes = (diagnostics) => diagnostics.map(item => item.code);
+
+test('tokenize separa frases, etiquetas de campo, operadores y palabras', () => {
+  const { tokens, errors } = tokenize('"heart failure"[tiab] AND diabet*');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(tokens.map(token => token.type), [
+    TOKEN_TYPES.PHRASE, TOKEN_TYPES.FIELD, TOKEN_TYPES.OPERATOR, TOKEN_TYPES.WORD
+  ]);
+  assert.deepEqual(tokens.map(token => token.value), ['heart failure', 'tiab', 'AND', 'diabet*']);
+  assert.deepEqual([tokens[1].start, tokens[1].end], [15, 21]);
+});
+
+test('tokenize reconoce los operadores en minúsculas y conserva el texto original', () => {
+  const { tokens } = tokenize('asthma or copd');
+
+  assert.equal(tokens[1].type, TOKEN_TYPES.OPERATOR);
+  assert.equal(tokens[1].value, 'OR');
+  assert.equal(tokens[1].raw, 'or');
+});
+
+test('tokenize informa las comillas y etiquetas sin cerrar con su posición', () => {
+  assert.deepEqual(codes(tokenize('asthma AND "heart failure').errors), ['UNTERMINATED_QUOTE']);
+  assert.equal(tokenize('asthma AND "heart failure').errors[0].position, 11);
+  assert.deepEqual(codes(tokenize('asthma[tiab').errors), ['UNTERMINATED_FIELD']);
+});
+
+test('parse evalúa los operadores de izquierda a derecha y aplana el mismo operador', () => {
+  const { ast, errors } = parse('asthma OR copd AND steroids AND children');
+
+  assert.deepEqual(errors, []);
+  assert.equal(ast.operator, 'AND');
+  assert.equal(ast.operands.length, 3);
+  assert.equal(ast.operands[0].operator, 'OR');
+  assert.equal(serialize(ast), '(asthma OR copd) AND steroids AND children');
+});
+
+test('parse normaliza los alias de campo, los rangos de fechas y la proximidad', () => {
+  const { ast, errors } = parse('metformin[mh] AND "weight loss"[title/abstract:~3] AND 2015:2020[dp]');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(ast.operands.map(operand => operand.type), ['term', 'term', 'range']);
+  assert.equal(ast.operands[1].proximity, 3);
+  assert.equal(serialize(ast), 'metformin[MeSH Terms] AND "weight loss"[tiab:~3] AND 2015:2020[dp]');
+});
+
+test('parse rechaza la proximidad fuera de tiab, ti y ad', () => {
+  const { errors } = parse('"heart failure"[mh:~3]');
+
+  assert.deepEqual(codes(errors), ['INVALID_PROXIMITY']);
+});
+
+test('parse advierte del AND implícito, el truncamiento corto y los campos desconocidos', () => {
+  const { warnings } = parse('"asthma" dia* AND copd[xyz]');
+
+  assert.deepEqual(codes(warnings), ['SHORT_TRUNCATION', 'IMPLICIT_AND', 'UNKNOWN_FIELD']);
+});
+
+test('validateQuery repara operandos que faltan y paréntesis desparejados', () => {
+  const missingOperand = validateQuery('diabetes AND');
+  assert.equal(missingOperand.valid, false);
+  assert.deepEqual(codes(missingOperand.errors), ['MISSING_OPERAND']);
+  assert.equal(missingOperand.normalized, 'diabetes');
+
+  const unclosed = validateQuery('(diabetes OR obesity');
+  assert.deepEqual(codes(unclosed.errors), ['MISSING_CLOSING_PAREN']);
+  assert.equal(unclosed.normalized, 'diabetes OR obesity');
+
+  const unopened = validateQuery('diabetes) AND obesity');
+  assert.deepEqual(codes(unopened.errors), ['UNEXPECTED_CLOSING_PAREN']);
+  assert.equal(unopened.normalized, 'diabetes AND obesity');
+});
+
+test('validateQuery no repara un NOT sin término a la izquierda', () => {
+  const result = validateQuery('NOT cancer');
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(codes(result.errors), ['UNARY_NOT']);
+  assert.equal(result.normalized, null);
+
+  assert.equal(validateQuery('(NOT cancer) AND diabetes').normalized, null);
+});
+
+test('validateQuery convierte "AND NOT" en NOT con el término de la izquierda', () => {
+  const result = validateQuery('diabetes AND NOT cancer');
+
+  assert.deepEqual(codes(result.errors), ['MISSING_OPERAND']);
+  assert.equal(result.normalized, 'diabetes NOT cancer');
+});
+
+test('validateQuery expone el AST con posiciones en lugar de start y end', () => {
+  const { valid, ast } = validateQuery('asthma[tiab]');
+
+  assert.equal(valid, true);
+  assert.equal(ast.type, 'term');
+  assert.equal(ast.position, 0);
+  assert.equal(ast.length, 12);
+  assert.equal(ast.start, undefined);
+});
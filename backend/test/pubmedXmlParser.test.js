@@ -0,0 +1,146 @@
+/**
+ * Pruebas del parser del XML de efetch de PubMed (utils/pubmedXmlParser.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePubmedArticleSet } from '../utils/pubmedXmlParser.js';
+
+const STRUCTURED_ARTICLE = `<?xml version="1.0" ?>
+<PubmedArticleSet>
+  <PubmedArticle>
+    <MedlineCitation Status="MEDLINE" Owner="NLM">
+      <PMID Version="1">31234567</PMID>
+      <Article PubModel="Print-Electronic">
+        <Journal>
+          <JournalIssue CitedMedium="Internet">
+            <Volume>381</Volume>
+            <Issue>21</Issue>
+            <PubDate><Year>2019</Year><Month>Nov</Month><Day>05</Day></PubDate>
+          </JournalIssue>
+          <Title>The New England journal of medicine</Title>
+          <ISOAbbreviation>N Engl J Med</ISOAbbreviation>
+        </Journal>
+        <ArticleTitle>Dapagliflozin in <i>patients</i> with heart failure &amp; reduced ejection fraction.</ArticleTitle>
+        <Pagination><MedlinePgn>1995-2008</MedlinePgn></Pagination>
+        <ELocationID EIdType="doi" ValidYN="Y">10.1056/NEJMoa1911303</ELocationID>
+        <Abstract>
+          <AbstractText Label="BACKGROUND" NlmCategory="BACKGROUND">SGLT2 inhibitors may help.</AbstractText>
+          <AbstractText Label="RESULTS" NlmCategory="RESULTS">The hazard ratio was 0.74 (95% CI, 0.65 to 0.85; P&lt;0.001).</AbstractText>
+        </Abstract>
+        <AuthorList CompleteYN="Y">
+          <Author ValidYN="Y">
+            <LastName>McMurray</LastName>
+            <ForeName>John J V</ForeName>
+            <Initials>JJV</Initials>
+            <AffiliationInfo><Affiliation>University of Glasgow, Glasgow, United Kingdom.</Affiliation></AffiliationInfo>
+          </Author>
+          <Author ValidYN="Y">
+            <CollectiveName>DAPA-HF Trial Committees and Investigators</CollectiveName>
+          </Author>
+        </AuthorList>
+        <Language>eng</Language>
+        <GrantList CompleteYN="Y">
+          <Grant><GrantID>R01 HL000000</GrantID><Agency>NHLBI NIH HHS</Agency><Country>United States</Country></Grant>
+        </GrantList>
+        <PublicationTypeList>
+          <PublicationType UI="D016449">Randomized Controlled Trial</PublicationType>
+          <PublicationType UI="D017428">Multicenter Study</PublicationType>
+        </PublicationTypeList>
+      </Article>
+      <MeshHeadingList>
+        <MeshHeading>
+          <DescriptorName UI="D006333" MajorTopicYN="N">Heart Failure</DescriptorName>
+          <QualifierName UI="Q000188" MajorTopicYN="Y">drug therapy</QualifierName>
+        </MeshHeading>
+        <MeshHeading>
+          <DescriptorName UI="D006801" MajorTopicYN="N">Humans</DescriptorName>
+        </MeshHeading>
+      </MeshHeadingList>
+      <KeywordList Owner="NOTNLM">
+        <Keyword MajorTopicYN="N">SGLT2</Keyword>
+      </KeywordList>
+    </MedlineCitation>
+    <PubmedData>
+      <ArticleIdList>
+        <ArticleId IdType="pubmed">31234567</ArticleId>
+        <ArticleId IdType="pmc">PMC7000000</ArticleId>
+      </ArticleIdList>
+    </PubmedData>
+  </PubmedArticle>
+  <PubmedArticle>
+    <MedlineCitation>
+      <PMID Version="1">30000001</PMID>
+      <Article>
+        <Journal>
+          <JournalIssue><PubDate><MedlineDate>2018 Jan-Feb</MedlineDate></PubDate></JournalIssue>
+          <ISOAbbreviation>BMJ</ISOAbbreviation>
+        </Journal>
+        <ArticleTitle>Single abstract.</ArticleTitle>
+        <Abstract><AbstractText>Plain abstract text.</AbstractText></Abstract>
+      </Article>
+    </MedlineCitation>
+  </PubmedArticle>
+</PubmedArticleSet>`;
+
+test('parsePubmedArticleSet extrae las secciones del abstract y limpia el marcado del título', () => {
+  const [article] = parsePubmedArticleSet(STRUCTURED_ARTICLE);
+
+  assert.equal(article.pmid, '31234567');
+  assert.equal(article.title, 'Dapagliflozin in patients with heart failure & reduced ejection fraction.');
+  assert.deepEqual(article.abstractSections.map(section => section.label), ['BACKGROUND', 'RESULTS']);
+  assert.equal(article.abstractSections[1].text, 'The hazard ratio was 0.74 (95% CI, 0.65 to 0.85; P<0.001).');
+  assert.equal(
+    article.abstract,
+    'BACKGROUND: SGLT2 inhibitors may help.\n\nRESULTS: The hazard ratio was 0.74 (95% CI, 0.65 to 0.85; P<0.001).'
+  );
+});
+
+test('parsePubmedArticleSet extrae autores, afiliaciones, MeSH y tipos de publicación', () => {
+  const [article] = parsePubmedArticleSet(STRUCTURED_ARTICLE);
+
+  assert.deepEqual(article.authors.map(author => [author.name, author.authtype]), [
+    ['McMurray JJV', 'Author'],
+    ['DAPA-HF Trial Committees and Investigators', 'CollectiveName']
+  ]);
+  assert.deepEqual(article.affiliations, ['University of Glasgow, Glasgow, United Kingdom.']);
+  assert.deepEqual(article.meshTerms, ['Heart Failure', 'Humans']);
+  // El calificador principal marca el descriptor como tema principal
+  assert.equal(article.meshHeadings[0].majorTopic, true);
+  assert.equal(article.meshHeadings[1].majorTopic, false);
+  assert.deepEqual(article.publicationTypes, [
+    { name: 'Randomized Controlled Trial', ui: 'D016449' },
+    { name: 'Multicenter Study', ui: 'D017428' }
+  ]);
+  assert.deepEqual(article.keywords, ['SGLT2']);
+  assert.deepEqual(article.language, ['eng']);
+  assert.deepEqual(article.grants, [{ grantId: 'R01 HL000000', agency: 'NHLBI NIH HHS', country: 'United States' }]);
+});
+
+test('parsePubmedArticleSet toma el DOI de ELocationID y el PMC de ArticleIdList', () => {
+  const [article] = parsePubmedArticleSet(STRUCTURED_ARTICLE);
+
+  assert.equal(article.doi, '10.1056/NEJMoa1911303');
+  assert.equal(article.pmcid, 'PMC7000000');
+  assert.equal(article.pubdate, '2019 Nov 5');
+  assert.equal(article.year, 2019);
+  assert.equal(article.journal, 'The New England journal of medicine');
+  assert.equal(article.pages, '1995-2008');
+});
+
+test('parsePubmedArticleSet admite un abstract sin secciones y la fecha MedlineDate', () => {
+  const [, article] = parsePubmedArticleSet(STRUCTURED_ARTICLE);
+
+  assert.equal(article.abstract, 'Plain abstract text.');
+  assert.deepEqual(article.abstractSections, [{ label: null, category: null, text: 'Plain abstract text.' }]);
+  assert.equal(article.pubdate, '2018 Jan-Feb');
+  assert.equal(article.year, 2018);
+  assert.equal(article.journal, 'BMJ');
+  assert.equal(article.doi, null);
+  assert.deepEqual(article.authors, []);
+});
+
+test('parsePubmedArticleSet devuelve una lista vacía sin XML o sin artículos', () => {
+  assert.deepEqual(parsePubmedArticleSet(''), []);
+  assert.deepEqual(parsePubmedArticleSet(null), []);
+  assert.deepEqual(parsePubmedArticleSet('<PubmedArticleSet></PubmedArticleSet>'), []);
+});
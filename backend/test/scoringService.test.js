@@ -0,0 +1,96 @@
+/**
+ * Pruebas de los perfiles de puntuación (services/scoringService.js y config/scoringProfiles.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import scoringService from '../services/scoringService.js';
+import { SCORING_PROFILES, DEFAULT_SCORING_PROFILE } from '../config/scoringProfiles.js';
+
+const TRIAL = {
+  pmid: '100',
+  title: 'Metformin for prediabetes: a randomized controlled trial',
+  abstract: 'Adults with prediabetes received metformin or placebo.',
+  journal: 'The Lancet',
+  publicationTypes: ['Randomized Controlled Trial']
+};
+
+test('listProfiles expone cada perfil con su versión y una puntuación máxima igual a la suma de pesos', () => {
+  const profiles = scoringService.listProfiles();
+
+  assert.deepEqual(profiles.map(profile => profile.id), SCORING_PROFILES.map(profile => profile.id));
+  profiles.forEach(profile => {
+    const source = SCORING_PROFILES.find(candidate => candidate.id === profile.id);
+    assert.equal(profile.version, source.version);
+    assert.equal(profile.maxScore, source.criteria.reduce((total, criterion) => total + criterion.weight, 0));
+    assert.equal(profile.isDefault, profile.id === DEFAULT_SCORING_PROFILE);
+  });
+});
+
+test('scoreArticles usa el perfil por defecto e identifica perfil y versión en el desglose', () => {
+  const [scored] = scoringService.scoreArticles([TRIAL], { question: 'metformin in prediabetes' });
+  const profile = scoringService.getProfile(DEFAULT_SCORING_PROFILE);
+
+  assert.deepEqual(scored.scoreBreakdown.profile, { id: profile.id, version: profile.version, name: profile.name });
+  assert.equal(scored.scoreBreakdown.studyDesign.design, 'rct');
+
+  const total = Object.values(scored.scoreBreakdown.criteria).reduce((sum, criterion) => sum + criterion.points, 0);
+  assert.equal(scored.priorityScore, Math.round(total * 10) / 10);
+  assert.ok(scored.priorityScore <= scored.scoreBreakdown.maxScore);
+});
+
+test('scoreArticles aplica valores categóricos, umbrales y valores por defecto', () => {
+  const [scored] = scoringService.scoreArticles([TRIAL], {
+    question: 'metformin in prediabetes',
+    iCiteMetrics: { 100: { rcr: 2.5 } },
+    profileId: 'clinical-practice'
+  });
+  const { criteria } = scored.scoreBreakdown;
+
+  // RCT: 0.67 del peso del diseño
+  assert.equal(criteria.studyDesign.value, 'rct');
+  assert.equal(criteria.studyDesign.points, 10.05);
+
+  // RCR >= 2: peso completo
+  assert.equal(criteria.rcr.value, 2.5);
+  assert.equal(criteria.rcr.points, criteria.rcr.weight);
+  assert.equal(criteria.rcr.usedDefault, false);
+
+  // Sin percentil de iCite se usa el valor por defecto del criterio
+  assert.equal(criteria.nihPercentile.usedDefault, true);
+  assert.equal(criteria.nihPercentile.value, 50);
+
+  assert.equal(criteria.journal.value, true);
+  assert.equal(criteria.titleRelevance.value, 2);
+});
+
+test('el mismo artículo puntúa distinto según el perfil', () => {
+  const options = { question: 'metformin in prediabetes', iCiteMetrics: { 100: { rcr: 2.5 } } };
+  const [clinical] = scoringService.scoreArticles([TRIAL], { ...options, profileId: 'clinical-practice' });
+  const [impact] = scoringService.scoreArticles([TRIAL], { ...options, profileId: 'high-impact' });
+
+  assert.equal(impact.scoreBreakdown.profile.id, 'high-impact');
+  assert.notDeepEqual(Object.keys(clinical.scoreBreakdown.criteria), Object.keys(impact.scoreBreakdown.criteria));
+  assert.equal(clinical.scoreBreakdown.criteria.rcr.weight, 15);
+  assert.equal(impact.scoreBreakdown.criteria.rcr.weight, 25);
+});
+
+test('scoreArticles rechaza un perfil desconocido con un error 400', () => {
+  assert.throws(
+    () => scoringService.scoreArticles([TRIAL], { profileId: 'no-existe' }),
+    { statusCode: 400, code: 'UNKNOWN_SCORING_PROFILE' }
+  );
+});
+
+test('_validateProfile rechaza métricas desconocidas y criterios sin umbrales ni valores', () => {
+  const base = { id: 'prueba', version: '1.0.0' };
+
+  assert.throws(
+    () => scoringService._validateProfile({ ...base, criteria: [{ id: 'x', metric: 'desconocida', weight: 5, thresholds: [] }] }),
+    /Métrica desconocida "desconocida"/
+  );
+  assert.throws(
+    () => scoringService._validateProfile({ ...base, criteria: [{ id: 'rcr', metric: 'rcr', weight: 5 }] }),
+    /sin peso, umbrales o valores/
+  );
+  assert.throws(() => scoringService._validateProfile({ ...base, criteria: [] }), /Perfil de puntuación inválido/);
+});
@@ -0,0 +1,166 @@
+/**
+ * Pruebas del estado del cribado y de los recuentos de PRISMA 2020 (utils/screening.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScreening, findDuplicates } from '../utils/screening.js';
+import { renderPrismaSvg } from '../utils/prismaDiagram.js';
+
+const ARTICLES = [
+  { pmid: '1', title: 'Metformin for the prevention of type 2 diabetes', publicationDate: '2020' },
+  { pmid: '2', title: 'Lifestyle intervention in adults with prediabetes', publicationDate: '2021' },
+  { pmid: '3', title: 'Metformin for the prevention of type 2 diabetes.', publicationDate: '2020' }
+];
+
+let clock = 0;
+/**
+ * Decisión guardada de un revisor (las posteriores tienen un updatedAt mayor)
+ */
+const decision = (pmid, stage, reviewer, value, { reason = null, resolution = false } = {}) => ({
+  pmid, stage, reviewer, resolution, decision: value, reason, note: null,
+  updatedAt: new Date(Date.UTC(2025, 0, 1, 0, 0, clock++)).toISOString()
+});
+
+const stageOf = (screening, pmid, stage = 'title-abstract') =>
+  screening.records.find(record => record.pmid === pmid).stages[stage];
+
+test('un registro queda pendiente hasta que deciden los revisores requeridos', () => {
+  const decisions = [decision('1', 'title-abstract', 'ana', 'include')];
+
+  const pending = stageOf(buildScreening({ articles: ARTICLES }, decisions, { requiredReviewers: 2 }), '1');
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.decision, null);
+  assert.equal(pending.awaitingReviewers, 1);
+
+  const single = stageOf(buildScreening({ articles: ARTICLES }, decisions, { requiredReviewers: 1 }), '1');
+  assert.equal(single.status, 'agreed');
+  assert.equal(single.decision, 'include');
+  assert.equal(single.awaitingReviewers, 0);
+});
+
+test('los revisores requeridos que coinciden cierran el registro a nuevos revisores', () => {
+  const screening = buildScreening({ articles: ARTICLES }, [
+    decision('1', 'title-abstract', 'ana', 'include'),
+    decision('1', 'title-abstract', 'luis', 'include')
+  ], { requiredReviewers: 2 });
+
+  const state = stageOf(screening, '1');
+  assert.equal(state.status, 'agreed');
+  assert.equal(state.awaitingReviewers, 0);
+  assert.equal(screening.records[0].currentStage, 'full-text');
+  assert.equal(stageOf(screening, '1', 'full-text').status, 'pending');
+});
+
+test('hay conflicto si los revisores no coinciden y la resolución lo sustituye', () => {
+  const decisions = [
+    decision('1', 'title-abstract', 'ana', 'include'),
+    decision('1', 'title-abstract', 'luis', 'exclude', { reason: 'wrong-population' })
+  ];
+
+  const conflict = stageOf(buildScreening({ articles: ARTICLES }, decisions), '1');
+  assert.equal(conflict.status, 'conflict');
+  assert.equal(conflict.decision, null);
+
+  const resolved = stageOf(buildScreening({ articles: ARTICLES }, [
+    ...decisions,
+    decision('1', 'title-abstract', 'eva', 'exclude', { reason: 'wrong-population', resolution: true })
+  ]), '1');
+  assert.equal(resolved.status, 'resolved');
+  assert.equal(resolved.decision, 'exclude');
+  assert.equal(resolved.resolution.reviewer, 'eva');
+});
+
+test('el texto completo exige una decisión firme y el mismo motivo de exclusión', () => {
+  const includeTitle = [
+    decision('1', 'title-abstract', 'ana', 'include'),
+    decision('1', 'title-abstract', 'luis', 'include')
+  ];
+
+  const maybe = stageOf(buildScreening({ articles: ARTICLES }, [
+    ...includeTitle,
+    decision('1', 'full-text', 'ana', 'maybe'),
+    decision('1', 'full-text', 'luis', 'maybe')
+  ]), '1', 'full-text');
+  assert.equal(maybe.status, 'conflict');
+
+  const reasons = stageOf(buildScreening({ articles: ARTICLES }, [
+    ...includeTitle,
+    decision('1', 'full-text', 'ana', 'exclude', { reason: 'wrong-outcome' }),
+    decision('1', 'full-text', 'luis', 'exclude', { reason: 'language' })
+  ]), '1', 'full-text');
+  assert.equal(reasons.status, 'conflict');
+});
+
+test('el revisor no ve las decisiones ajenas mientras el registro está pendiente', () => {
+  const decisions = [decision('1', 'title-abstract', 'ana', 'exclude', { reason: 'language' })];
+
+  const blinded = stageOf(buildScreening({ articles: ARTICLES }, decisions, { reviewer: 'luis' }), '1');
+  assert.deepEqual(blinded.reviews, []);
+  assert.equal(blinded.hiddenReviews, 1);
+  assert.equal(blinded.awaitingReviewers, 1);
+
+  const own = stageOf(buildScreening({ articles: ARTICLES }, decisions, { reviewer: 'ana' }), '1');
+  assert.equal(own.reviews.length, 1);
+});
+
+test('los duplicados no se criban y PRISMA parte de los registros recuperados', () => {
+  const screening = buildScreening({ articles: ARTICLES, searchHistory: { count: 10 } }, [
+    decision('1', 'title-abstract', 'ana', 'include'),
+    decision('1', 'title-abstract', 'luis', 'include'),
+    decision('1', 'full-text', 'ana', 'include'),
+    decision('1', 'full-text', 'luis', 'include'),
+    decision('2', 'title-abstract', 'ana', 'exclude', { reason: 'wrong-population' }),
+    decision('2', 'title-abstract', 'luis', 'exclude', { reason: 'wrong-population' })
+  ]);
+
+  const duplicate = screening.records.find(record => record.pmid === '3');
+  assert.equal(duplicate.outcome, 'duplicate');
+  assert.equal(duplicate.duplicateOf, '1');
+
+  const { identification, screening: screened, included } = screening.prisma;
+  assert.deepEqual(
+    [identification.identified, identification.retrieved, identification.notLoaded, identification.duplicates],
+    [10, 3, 7, 1]
+  );
+  assert.equal(screened.screened, identification.retrieved - identification.duplicates);
+  assert.equal(screened.excluded, 1);
+  assert.equal(included.studies, 1);
+});
+
+test('findDuplicates enlaza con el original un registro que solo coincide con otro duplicado', () => {
+  const duplicates = findDuplicates([
+    { pmid: '1', title: 'Metformin for the prevention of type 2 diabetes', publicationDate: '2020' },
+    // Mismo título que el 1 y con DOI; el 3 solo comparte el DOI con este
+    { pmid: '2', doi: '10.1000/ABC', title: 'Metformin for the prevention of type 2 diabetes', publicationDate: '2020' },
+    { pmid: '3', doi: '10.1000/abc', title: 'Metformin to prevent diabetes: a trial', publicationDate: '2020' }
+  ]);
+
+  assert.deepEqual(Object.fromEntries(duplicates), {
+    2: { duplicateOf: '1', matchedBy: 'title' },
+    3: { duplicateOf: '1', matchedBy: 'doi' }
+  });
+});
+
+test('sin el total de la búsqueda los registros identificados son desconocidos', () => {
+  const { prisma } = buildScreening({ articles: ARTICLES, searchHistory: null }, []);
+
+  assert.equal(prisma.identification.identified, null);
+  assert.equal(prisma.identification.notLoaded, null);
+  assert.equal(prisma.identification.retrieved, 3);
+
+  const svg = renderPrismaSvg(prisma);
+  assert.match(svg, /Registros identificados en PubMed<\/text><text [^>]*>\(n = desconocido\)/);
+  assert.match(svg, /Recuperados de la búsqueda \(n = 3\)/);
+});
+
+test('el diagrama PRISMA muestra los registros no recuperados en la identificación, no como eliminados', () => {
+  const { prisma } = buildScreening({ articles: ARTICLES, searchHistory: { count: 10 } }, []);
+  const svg = renderPrismaSvg(prisma);
+
+  assert.match(svg, /No recuperados de la búsqueda \(n = 7\)/);
+  assert.match(svg, /Recuperados de la búsqueda \(n = 3\)/);
+  assert.doesNotMatch(svg, /No cargados/);
+
+  const complete = renderPrismaSvg(buildScreening({ articles: ARTICLES, searchHistory: { count: 3 } }, []).prisma);
+  assert.doesNotMatch(complete, /recuperados de la búsqueda/i);
+});
@@ -0,0 +1,87 @@
+/**
+ * Pruebas de las decisiones de cribado con el almacenamiento en memoria (services/screeningService.js)
+ */
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import queryHistoryService from '../services/queryHistoryService.js';
+import screeningService from '../services/screeningService.js';
+import MemoryQueryStore from '../database/stores/memoryQueryStore.js';
+
+const ARTICLES = [
+  { pmid: '1', title: 'Metformin for the prevention of type 2 diabetes', publicationDate: '2020' },
+  { pmid: '2', title: 'Lifestyle intervention in adults with prediabetes', publicationDate: '2021' }
+];
+
+const include = (reviewer, stage = 'title-abstract') => ({ stage, reviewer, decision: 'include', reason: null, note: null });
+const exclude = (reviewer, stage = 'title-abstract') => ({ stage, reviewer, decision: 'exclude', reason: 'wrong-population', note: null });
+
+const saveRun = () => queryHistoryService.saveRun({ results: ARTICLES }, { question: 'Metformina y prediabetes', useAI: false });
+
+before(async () => {
+  await queryHistoryService.init(new MemoryQueryStore());
+});
+
+test('un tercer revisor no puede decidir un registro que ya decidieron los dos requeridos', async () => {
+  const runId = await saveRun();
+  await screeningService.saveDecision(runId, '1', include('ana'), { requiredReviewers: 2 });
+  await screeningService.saveDecision(runId, '1', include('luis'), { requiredReviewers: 2 });
+
+  await assert.rejects(
+    screeningService.saveDecision(runId, '1', exclude('eva'), { requiredReviewers: 2 }),
+    { statusCode: 409, code: 'REVIEWERS_COMPLETE' }
+  );
+
+  const screening = await screeningService.getScreening(runId);
+  const state = screening.records[0].stages['title-abstract'];
+  assert.equal(state.status, 'agreed');
+  assert.deepEqual(state.reviews.map(review => review.reviewer), ['ana', 'luis']);
+});
+
+test('los revisores requeridos pueden cambiar su decisión y otro revisor puede resolver el conflicto', async () => {
+  const runId = await saveRun();
+  await screeningService.saveDecision(runId, '1', include('ana'));
+  await screeningService.saveDecision(runId, '1', include('luis'));
+
+  const changed = await screeningService.saveDecision(runId, '1', exclude('luis'));
+  assert.equal(changed.records[0].stages['title-abstract'].status, 'conflict');
+
+  const resolved = await screeningService.saveDecision(runId, '1', exclude('eva'), { resolution: true });
+  assert.equal(resolved.records[0].stages['title-abstract'].status, 'resolved');
+  assert.equal(resolved.records[0].outcome, 'excluded-title-abstract');
+});
+
+test('la primera decisión fija los revisores requeridos de la ejecución', async () => {
+  const runId = await saveRun();
+
+  const preview = await screeningService.getScreening(runId, { requiredReviewers: 1 });
+  assert.equal(preview.requiredReviewers, 1);
+  assert.equal(preview.requiredReviewersLocked, false);
+
+  const saved = await screeningService.saveDecision(runId, '1', include('ana'), { requiredReviewers: 1 });
+  assert.equal(saved.requiredReviewers, 1);
+  assert.equal(saved.requiredReviewersLocked, true);
+  assert.equal(saved.records[0].stages['title-abstract'].status, 'agreed');
+
+  // Las lecturas posteriores usan el valor guardado aunque pidan otro
+  const screening = await screeningService.getScreening(runId, { requiredReviewers: 2 });
+  assert.equal(screening.requiredReviewers, 1);
+  assert.equal(screening.records[0].stages['title-abstract'].status, 'agreed');
+
+  await assert.rejects(
+    screeningService.saveDecision(runId, '2', include('ana'), { requiredReviewers: 2 }),
+    { statusCode: 409, code: 'REQUIRED_REVIEWERS_LOCKED' }
+  );
+  await assert.rejects(
+    screeningService.saveDecision(runId, '1', include('luis')),
+    { statusCode: 409, code: 'REVIEWERS_COMPLETE' }
+  );
+});
+
+test('sin requiredReviewers la ejecución usa dos revisores por registro', async () => {
+  const runId = await saveRun();
+  const saved = await screeningService.saveDecision(runId, '2', include('ana'));
+
+  assert.equal(saved.requiredReviewers, 2);
+  assert.equal(saved.requiredReviewersLocked, true);
+  assert.equal(saved.records[1].stages['title-abstract'].status, 'pending');
+});
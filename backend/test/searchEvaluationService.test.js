@@ -0,0 +1,100 @@
+/**
+ * Pruebas de la exhaustividad, la precisión y el NNR de las estrategias (services/searchEvaluationService.js)
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import searchEvaluationService, { MAX_GOLD_STANDARD_PMIDS } from '../services/searchEvaluationService.js';
+import pubmedService from '../services/pubmedService.js';
+
+const GOLD = ['1', '2', '3', '4'];
+const originalMatchPmids = pubmedService.matchPmids;
+
+// PubMed simulado: total de resultados y PMIDs de referencia que recupera cada estrategia
+const stubPubmed = (results) => {
+  pubmedService.matchPmids = async (query) => {
+    if (!results[query]) throw new Error(`Consulta inesperada: ${query}`);
+    return results[query];
+  };
+};
+
+afterEach(() => {
+  pubmedService.matchPmids = originalMatchPmids;
+});
+
+test('parseGoldStandard acepta texto pegado o listas y elimina duplicados', () => {
+  assert.deepEqual(searchEvaluationService.parseGoldStandard('1, 2;3\n2').pmids, ['1', '2', '3']);
+  assert.deepEqual(searchEvaluationService.parseGoldStandard([10, '11']).pmids, ['10', '11']);
+  assert.deepEqual(searchEvaluationService.parseGoldStandard(''), { valid: true, pmids: [], error: null });
+});
+
+test('parseGoldStandard rechaza PMIDs no numéricos y conjuntos demasiado grandes', () => {
+  assert.equal(searchEvaluationService.parseGoldStandard('1 abc').valid, false);
+  assert.match(searchEvaluationService.parseGoldStandard('1 abc').error, /abc/);
+
+  const tooMany = Array.from({ length: MAX_GOLD_STANDARD_PMIDS + 1 }, (item, index) => String(index + 1));
+  assert.equal(searchEvaluationService.parseGoldStandard(tooMany).valid, false);
+  assert.equal(searchEvaluationService.parseGoldStandard({ pmids: [] }).valid, false);
+});
+
+test('_describeStrategy calcula la exhaustividad, la precisión y el NNR', () => {
+  const strategy = searchEvaluationService._describeStrategy('q', { count: 1500, matched: ['1', '2', '3'] }, GOLD);
+
+  assert.equal(strategy.goldHits, 3);
+  assert.equal(strategy.recall, 75);
+  // 3 de 1500: se redondea a un decimal
+  assert.equal(strategy.precision, 0.2);
+  // Se leen 500 resultados por cada artículo relevante
+  assert.equal(strategy.nnr, 500);
+});
+
+test('_describeStrategy deja el NNR sin valor si no recupera ningún artículo de referencia', () => {
+  const strategy = searchEvaluationService._describeStrategy('q', { count: 80, matched: [] }, GOLD);
+
+  assert.equal(strategy.recall, 0);
+  assert.equal(strategy.precision, 0);
+  assert.equal(strategy.nnr, null);
+
+  assert.equal(searchEvaluationService._describeStrategy('q', { count: 0, matched: [] }, GOLD).precision, null);
+});
+
+test('evaluate usa la estrategia refinada y reparte el conjunto de referencia entre estrategias', async () => {
+  stubPubmed({
+    inicial: { count: 2000, matched: ['1', '2', '3'] },
+    refinada: { count: 300, matched: ['2', '4'] }
+  });
+
+  const metrics = await searchEvaluationService.evaluate({
+    initial: { query: 'inicial' },
+    refined: { query: 'refinada' },
+    goldStandardPmids: GOLD
+  });
+
+  assert.equal(metrics.estimated, false);
+  assert.equal(metrics.sensitivity, 50);
+  assert.equal(metrics.precision, 0.7);
+  assert.equal(metrics.nnr, 150);
+  assert.deepEqual(metrics.overlap, { both: ['2'], initialOnly: ['1', '3'], refinedOnly: ['4'] });
+  assert.deepEqual(metrics.goldStandard.missed, []);
+  assert.equal(metrics.strategies.initial.recall, 75);
+});
+
+test('calculate estima las métricas sin conjunto de referencia o si PubMed falla', async () => {
+  const initial = { query: 'inicial', count: 1000 };
+  const refined = { query: 'refinada', count: 250 };
+
+  const withoutGold = await searchEvaluationService.calculate({ initial, refined });
+  assert.equal(withoutGold.estimated, true);
+  assert.equal(withoutGold.sensitivity, null);
+  assert.equal(withoutGold.precision, 25);
+  assert.equal(withoutGold.nnr, 4);
+
+  stubPubmed({});
+  const failed = await searchEvaluationService.calculate({ initial, refined, goldStandardPmids: GOLD });
+  assert.equal(failed.estimated, true);
+  assert.equal(failed.precision, 25);
+});
+
+test('estimate no compara estrategias sin resultados o sin refinar', () => {
+  assert.equal(searchEvaluationService.estimate({ initial: { query: 'q', count: 0 }, refined: { query: 'r', count: 0 } }).precision, null);
+  assert.equal(searchEvaluationService.estimate({ initial: { query: 'q', count: 10 } }).nnr, null);
+});
@@ -0,0 +1,99 @@
+/**
+ * Pruebas de los filtros estructurados de búsqueda (utils/searchFilters.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFilters, buildFilterClause, applyFilters, describeFilters } from '../utils/searchFilters.js';
+import { validateQuery } from '../utils/pubmedQueryParser.js';
+
+const filtersFor = (input) => {
+  const { valid, errors, filters } = validateFilters(input);
+  assert.equal(valid, true, errors.join('; '));
+  return filters;
+};
+
+test('validateFilters normaliza los filtros y elimina duplicados', () => {
+  const filters = filtersFor({ yearFrom: '2015', publicationTypes: ['rct', 'rct', ' meta-analysis '], humansOnly: true });
+
+  assert.deepEqual(filters, {
+    yearFrom: 2015,
+    yearTo: null,
+    publicationTypes: ['rct', 'meta-analysis'],
+    languages: [],
+    humansOnly: true,
+    ageGroups: [],
+    fullText: null
+  });
+});
+
+test('validateFilters devuelve null sin filtros o con todos los campos vacíos', () => {
+  assert.deepEqual(validateFilters(undefined), { valid: true, errors: [], filters: null });
+  assert.equal(filtersFor({ yearFrom: '', publicationTypes: [], humansOnly: false }), null);
+});
+
+test('validateFilters rechaza valores desconocidos, años fuera de rango y rangos invertidos', () => {
+  const { valid, errors, filters } = validateFilters({
+    yearFrom: 2020,
+    yearTo: 2010,
+    languages: ['en', 'xx'],
+    humansOnly: 'yes',
+    fullText: 'paid'
+  });
+
+  assert.equal(valid, false);
+  assert.equal(filters, null);
+  assert.deepEqual(errors.map(error => error.split(' ')[0]), ['yearFrom', 'humansOnly', 'fullText', 'languages']);
+  assert.match(errors[3], /\(xx\)/);
+
+  assert.equal(validateFilters({ yearFrom: 1500 }).valid, false);
+  assert.equal(validateFilters({ publicationTypes: 'rct' }).errors[0], 'publicationTypes debe ser una lista');
+  assert.equal(validateFilters(['rct']).errors[0], 'filters debe ser un objeto');
+});
+
+test('buildFilterClause une los filtros con AND y las opciones de un filtro con OR', () => {
+  const filters = filtersFor({
+    yearFrom: 2015,
+    yearTo: 2020,
+    publicationTypes: ['rct', 'systematic-review'],
+    languages: ['es'],
+    humansOnly: true,
+    ageGroups: ['aged'],
+    fullText: 'free'
+  });
+
+  assert.equal(
+    buildFilterClause(filters),
+    '("2015"[dp] : "2020"[dp]) AND (randomized controlled trial[pt] OR systematic review[pt]) AND spanish[la]'
+      + ' AND "humans"[MeSH Terms] AND "aged"[MeSH Terms] AND free full text[sb]'
+  );
+  assert.equal(buildFilterClause(null), '');
+});
+
+test('buildFilterClause completa el rango de fechas con un solo extremo', () => {
+  assert.equal(buildFilterClause(filtersFor({ yearFrom: 2018 })), '("2018"[dp] : "3000"[dp])');
+  assert.equal(buildFilterClause(filtersFor({ yearTo: 2000 })), '("1800"[dp] : "2000"[dp])');
+});
+
+test('applyFilters agrupa la consulta antes de añadir los filtros y genera sintaxis válida', () => {
+  const filters = filtersFor({ yearFrom: 2015, publicationTypes: ['rct'], languages: ['en', 'es'] });
+  const query = applyFilters('metformin OR insulin', filters);
+
+  assert.equal(
+    query,
+    '(metformin OR insulin) AND ("2015"[dp] : "3000"[dp]) AND randomized controlled trial[pt] AND (english[la] OR spanish[la])'
+  );
+  assert.deepEqual(validateQuery(query).errors, []);
+
+  assert.equal(applyFilters('metformin', null), 'metformin');
+  assert.equal(applyFilters('', filters), buildFilterClause(filters));
+});
+
+test('describeFilters resume los filtros con sus etiquetas', () => {
+  const filters = filtersFor({ yearTo: 2020, ageGroups: ['child'], fullText: 'pmc' });
+
+  assert.equal(
+    describeFilters(filters),
+    '- Años de publicación: cualquiera a 2020\n- Grupos de edad: Niños (2-12 años)\n- Disponible en PubMed Central'
+  );
+  assert.equal(describeFilters(null), '');
+});
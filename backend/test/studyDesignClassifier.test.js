@@ -0,0 +1,74 @@
+/**
+ * Pruebas del clasificador del diseño de estudio (utils/studyDesignClassifier.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyStudyDesign, CLASSIFICATION_SOURCES, STUDY_DESIGNS } from '../utils/studyDesignClassifier.js';
+
+test('classifyStudyDesign usa el tipo de publicación específico de PubMed', () => {
+  const result = classifyStudyDesign({
+    title: 'Dapagliflozin in heart failure',
+    publicationTypes: [{ name: 'Randomized Controlled Trial', ui: 'D016449' }, { name: 'Journal Article' }]
+  });
+
+  assert.equal(result.design, 'rct');
+  assert.equal(result.evidenceLevel, 2);
+  assert.equal(result.evidenceLabel, 'Nivel 2 (CEBM)');
+  assert.equal(result.source, CLASSIFICATION_SOURCES.PUBLICATION_TYPE);
+  assert.equal(result.matched, 'randomized controlled trial');
+});
+
+test('classifyStudyDesign precisa un tipo genérico con los MeSH de diseño', () => {
+  const result = classifyStudyDesign({
+    publicationTypes: ['Multicenter Study'],
+    meshTerms: ['Humans', 'Cohort Studies']
+  });
+
+  assert.equal(result.design, 'cohort');
+  assert.equal(result.source, CLASSIFICATION_SOURCES.MESH);
+  assert.deepEqual(result.qualityIndicators, ['multicenter']);
+});
+
+test('classifyStudyDesign no baja el nivel de evidencia de un tipo genérico', () => {
+  const result = classifyStudyDesign({
+    publicationTypes: ['Clinical Trial'],
+    abstract: 'We describe a case report of an adverse event during the trial.'
+  });
+
+  assert.equal(result.design, 'non-randomized-trial');
+  assert.equal(result.source, CLASSIFICATION_SOURCES.PUBLICATION_TYPE);
+});
+
+test('classifyStudyDesign ignora los MeSH "as Topic", que describen el tema y no el diseño', () => {
+  const result = classifyStudyDesign({
+    title: 'Reporting quality of trials in cardiology',
+    meshTerms: ['Randomized Controlled Trials as Topic']
+  });
+
+  assert.equal(result.design, 'unknown');
+  assert.equal(result.evidenceLevel, null);
+  assert.equal(result.source, CLASSIFICATION_SOURCES.NONE);
+});
+
+test('classifyStudyDesign recurre a heurísticas de texto en inglés y español', () => {
+  const trial = classifyStudyDesign({ title: 'A randomised, double-blind, placebo-controlled trial of vitamin D' });
+  assert.equal(trial.design, 'rct');
+  assert.equal(trial.source, CLASSIFICATION_SOURCES.HEURISTIC);
+  assert.equal(trial.matched, 'randomised');
+  assert.deepEqual(trial.qualityIndicators, ['doubleBlind', 'placeboControlled']);
+
+  const metaAnalysis = classifyStudyDesign({ title: 'Revisión sistemática y metaanálisis de la metformina' });
+  assert.equal(metaAnalysis.design, 'meta-analysis');
+  assert.equal(metaAnalysis.evidenceLevel, STUDY_DESIGNS['meta-analysis'].evidenceLevel);
+});
+
+test('classifyStudyDesign solo busca "review" en el título', () => {
+  const inAbstract = classifyStudyDesign({
+    title: 'Metformin and weight',
+    abstract: 'We review previous findings before presenting our data.'
+  });
+  assert.equal(inAbstract.design, 'unknown');
+
+  const inTitle = classifyStudyDesign({ title: 'Metformin beyond diabetes: a review' });
+  assert.equal(inTitle.design, 'review');
+});
@@ -0,0 +1,71 @@
+/**
+ * Pruebas de la extracción y verificación de las citas de la síntesis
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCitations, validateClaimSupport, buildCitationCheck } from '../utils/synthesisCitations.js';
+
+test('extractCitations asocia cada cita a la frase que respalda', () => {
+  const synthesis = '<p>La metformina reduce la incidencia (Knowler et al., 2002; PMID: 11832527). ' +
+    'El efecto es menor en mayores (DPP et al., 2009; PMID: 19878986).</p>';
+
+  assert.deepEqual(extractCitations(synthesis).map(({ id, pmid, claim }) => ({ id, pmid, claim })), [
+    { id: '1', pmid: '11832527', claim: 'La metformina reduce la incidencia.' },
+    { id: '2', pmid: '19878986', claim: 'El efecto es menor en mayores.' }
+  ]);
+});
+
+test('extractCitations no corta la frase en el punto de "et al."', () => {
+  const [citation] = extractCitations('<p>Primera frase sin cita. Segunda frase citada (Pérez et al., 2020; PMID: 123).</p>');
+
+  assert.equal(citation.claim, 'Segunda frase citada.');
+  assert.equal(citation.marker, '(Pérez et al., 2020; PMID: 123)');
+});
+
+test('extractCitations genera una entrada por PMID y una sin PMID para las citas no ancladas', () => {
+  const citations = extractCitations('<p>Hallazgo común (PMID: 111; PMID 222). Hallazgo sin anclar (Gómez et al., 2019).</p>');
+
+  assert.deepEqual(citations.map(citation => [citation.id, citation.markerIndex, citation.pmid]), [
+    ['1', 0, '111'],
+    ['2', 0, '222'],
+    ['3', 1, null]
+  ]);
+});
+
+test('extractCitations ignora los paréntesis que no son citas', () => {
+  assert.deepEqual(extractCitations('<p>El riesgo relativo (RR) fue de 0.8 (IC 95%: 0.7 a 0.9).</p>'), []);
+});
+
+test('validateClaimSupport exige un grado de respaldo válido para cada afirmación', () => {
+  const valid = validateClaimSupport({ claims: { 1: { support: 'Supported', reason: ' Lo dice ' }, 2: { support: 'partial' } } }, ['1', '2']);
+  assert.equal(valid.valid, true);
+  assert.deepEqual(valid.claims, { 1: { support: 'supported', reason: 'Lo dice' }, 2: { support: 'partial', reason: null } });
+
+  const missing = validateClaimSupport({ claims: { 1: { support: 'maybe' } } }, ['1', '2']);
+  assert.equal(missing.valid, false);
+  assert.equal(missing.errors.length, 2);
+
+  assert.equal(validateClaimSupport({ claims: [] }, ['1']).valid, false);
+});
+
+test('buildCitationCheck marca las citas sin respaldo, con PMID desconocido o sin PMID', () => {
+  const citations = extractCitations('<p>Reduce el riesgo (PMID: 111). Sin efectos adversos (PMID: 111). ' +
+    'Dato inventado (PMID: 999). Dato sin anclar (Gómez et al., 2019).</p>');
+  const check = buildCitationCheck(citations, ['111', '222'], {
+    1: { support: 'supported', reason: null },
+    2: { support: 'unsupported', reason: 'El abstract no lo informa' }
+  });
+
+  assert.deepEqual(check.citations.map(citation => citation.status), ['supported', 'unsupported', 'unknown', 'unanchored']);
+  assert.equal(check.claimsVerified, true);
+  assert.equal(check.flagged, 3);
+  assert.equal(check.counts.supported, 1);
+});
+
+test('buildCitationCheck deja sin verificar las citas ancladas si Claude no respondió', () => {
+  const check = buildCitationCheck(extractCitations('<p>Reduce el riesgo (PMID: 111).</p>'), ['111'], null);
+
+  assert.equal(check.claimsVerified, false);
+  assert.equal(check.citations[0].status, 'unverified');
+  assert.equal(check.flagged, 0);
+});
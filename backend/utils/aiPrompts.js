@@ -1,16 +1,23 @@
 /**
  * Utilidades para generar prompts para la IA
  */
+import { formatAppraisalForPrompt } from './articleAppraisal.js';
+import { formatRiskOfBiasForPrompt } from './riskOfBias.js';
+import {
+  EVIDENCE_TYPES,
+  GRADE_DOMAINS,
+  DOWNGRADE_RATINGS,
+  SUMMARY_OF_FINDINGS_EXAMPLE
+} from './summaryOfFindings.js';
+import { EXTRACTION_MEASURES, EFFECT_EXTRACTION_EXAMPLE } from './effectExtraction.js';
 
 /**
- * Genera un prompt para la síntesis de evidencia científica
- * @param {string} clinicalQuestion - Pregunta clínica
+ * Construye el resumen de cada artículo que se incluye en los prompts de síntesis
  * @param {Array} articles - Artículos con su análisis
- * @returns {string} - Prompt para generar una síntesis crítica
+ * @returns {string} - Resumen de los artículos
  */
-export function generateSynthesisPrompt(clinicalQuestion, articles) {
-  // Construir un resumen de cada artículo para incluirlo en el prompt
-  const articlesInfo = articles.map((article, index) => {
+function formatArticlesForPrompt(articles) {
+  return articles.map((article, index) => {
     // Extraer datos esenciales del artículo
     const title = article.title || 'Sin título';
     const authors = typeof article.authors === 'string' 
@@ -19,7 +26,8 @@ export function generateSynthesisPrompt(clinicalQuestion, articles) {
     const pmid = article.pmid || `N/A-${index}`;
     const publicationDate = article.publicationDate || 'Fecha desconocida';
     const abstract = article.abstract || 'No disponible';
-    const analysis = article.secondaryAnalysis || article.analysis || '';
+    const analysis = formatAppraisalForPrompt(article.analysis || article.secondaryAnalysis);
+    const riskOfBias = formatRiskOfBiasForPrompt(article.riskOfBias);
     
     // Crear un resumen estructurado
     return `
@@ -29,9 +37,20 @@ Autores: ${authors}
 Fecha: ${publicationDate}
 PMID: ${pmid}
 Abstract: ${abstract.substring(0, 300)}${abstract.length > 300 ? '...' : ''}
-Análisis previo: ${analysis.substring(0, 500)}${analysis.length > 500 ? '...' : ''}
+Análisis previo: ${analysis.substring(0, 500)}${analysis.length > 500 ? '...' : ''}${riskOfBias ? `
+Riesgo de sesgo según ${riskOfBias}` : ''}
     `;
   }).join('\n\n');
+}
+
+/**
+ * Genera un prompt para la síntesis de evidencia científica
+ * @param {string} clinicalQuestion - Pregunta clínica
+ * @param {Array} articles - Artículos con su análisis
+ * @returns {string} - Prompt para generar una síntesis crítica
+ */
+export function generateSynthesisPrompt(clinicalQuestion, articles) {
+  const articlesInfo = formatArticlesForPrompt(articles);
   
   // Crear un prompt para la síntesis
   return `Eres Claude, un asistente experto en medicina basada en la evidencia y análisis crítico de literatura científica. 
@@ -40,7 +59,7 @@ Tu tarea es crear una síntesis crítica de la evidencia científica para respon
 
 PREGUNTA CLÍNICA: "${clinicalQuestion}"
 
-He analizado previamente varios artículos científicos relacionados con esta pregunta. A continuación te proporciono la información extraída de estos artículos, incluyendo títulos, autores, fechas, abstracts y un análisis previo de cada uno:
+He analizado previamente varios artículos científicos relacionados con esta pregunta. A continuación te proporciono la información extraída de estos artículos, incluyendo títulos, autores, fechas, abstracts, un análisis previo de cada uno y, cuando existe, la evaluación formal de su riesgo de sesgo:
 
 ${articlesInfo}
 
@@ -54,10 +73,11 @@ INSTRUCCIONES PARA LA SÍNTESIS:
    - Organiza la evidencia por temas o hallazgos principales, no por artículo individual
    - Contrasta los resultados cuando haya discrepancias entre estudios
    - Destaca los acuerdos y desacuerdos entre autores
-   - Evalúa críticamente la calidad metodológica de los estudios
+   - Evalúa críticamente la calidad metodológica de los estudios; si un artículo incluye la evaluación del riesgo de sesgo, básate en ella y da menos peso a los estudios con riesgo alto
    - Presenta los hallazgos de mayor a menor nivel de evidencia
    - Identifica posibles sesgos o limitaciones en el conjunto de la evidencia
-   - Cita los artículos usando el formato (Autor principal et al., año)
+   - Cita los artículos usando el formato (Autor principal et al., año; PMID: 12345678), con el PMID tal como aparece en la lista de artículos
+   - Cita solo artículos de la lista y solo para afirmaciones que su abstract o su análisis respaldan; si una afirmación se apoya en varios artículos, cita cada uno en su propio paréntesis
    
 3. CONCLUSIÓN:
    - Resume la respuesta a la pregunta clínica según la evidencia analizada
@@ -73,4 +93,130 @@ INSTRUCCIONES PARA LA SÍNTESIS:
    - Usa un tono académico pero directo
    
 Genera una síntesis crítica completa en formato HTML, que evalúe objetivamente la evidencia disponible para responder a la pregunta clínica planteada.`;
-} 
\ No newline at end of file
+} 
+
+/**
+ * Genera un prompt para la tabla de resumen de hallazgos (GRADE) de la síntesis
+ * @param {string} clinicalQuestion - Pregunta clínica
+ * @param {Array} articles - Artículos con su análisis
+ * @returns {string} - Prompt que pide la tabla en formato JSON (ver utils/summaryOfFindings.js)
+ */
+export function generateSummaryOfFindingsPrompt(clinicalQuestion, articles) {
+  const articlesInfo = formatArticlesForPrompt(articles);
+  const domainsText = Object.entries(GRADE_DOMAINS)
+    .map(([id, label]) => `- ${id}: ${label}`)
+    .join('\n');
+
+  return `Eres Claude, un asistente experto en medicina basada en la evidencia y en el sistema GRADE.
+
+Tu tarea es elaborar la tabla de resumen de hallazgos (summary of findings) de los artículos que responden a la siguiente pregunta clínica:
+
+PREGUNTA CLÍNICA: "${clinicalQuestion}"
+
+ARTÍCULOS:
+${articlesInfo}
+
+DOMINIOS DE GRADE:
+${domainsText}
+
+INSTRUCCIONES:
+Devuelve ÚNICAMENTE un objeto JSON válido (sin texto adicional, sin markdown y sin HTML) con esta estructura:
+
+${JSON.stringify(SUMMARY_OF_FINDINGS_EXAMPLE, null, 2)}
+
+REGLAS:
+1. Agrupa los artículos por desenlace (outcome) clínicamente relevante para la pregunta; un artículo puede informar varios desenlaces. Incluye como máximo 8 desenlaces.
+2. pmids de cada desenlace debe contener solo PMIDs de la lista de artículos que informan ese desenlace.
+3. evidenceType debe ser uno de: ${Object.keys(EVIDENCE_TYPES).join(', ')} (${Object.entries(EVIDENCE_TYPES).map(([id, type]) => `${id}: ${type.label.toLowerCase()}`).join('; ')}).
+4. Incluye todos los dominios de GRADE con rating igual a uno de: ${Object.keys(DOWNGRADE_RATINGS).join(', ')}.
+5. Si un dominio es serious o very-serious, reason debe explicar por qué se baja la certeza y pmids debe listar los artículos que lo justifican. Usa la evaluación del riesgo de sesgo de cada artículo cuando exista.
+6. No calcules la certeza final: se obtiene del punto de partida y de los dominios.
+7. Redacta outcome, effect, reason y summary en español, de forma breve y concisa. Si no hay una medida de efecto, usa null en effect.`;
+}
+
+/**
+ * Genera un prompt para comprobar que los artículos citados en la síntesis respaldan cada afirmación
+ * @param {Array<Object>} claims - Afirmaciones citadas ({ id, pmid, claim }, ver utils/synthesisCitations.js)
+ * @param {Array} articles - Artículos de la síntesis con su análisis
+ * @returns {string} - Prompt que pide el resultado en formato JSON
+ */
+export function generateCitationCheckPrompt(claims, articles) {
+  const cited = new Set(claims.map(claim => claim.pmid));
+  const sources = articles
+    .filter(article => cited.has(String(article.pmid)))
+    .map(article => {
+      const analysis = formatAppraisalForPrompt(article.analysis || article.secondaryAnalysis);
+      return `PMID ${article.pmid}:
+Título: ${article.title || 'Sin título'}
+Abstract: ${article.abstract || 'No disponible'}${analysis ? `
+Análisis previo: ${analysis}` : ''}`;
+    })
+    .join('\n\n');
+  const claimsText = claims
+    .map(claim => `- id ${claim.id} (PMID ${claim.pmid}): "${claim.claim}"`)
+    .join('\n');
+
+  return `Eres Claude, un asistente experto en medicina basada en la evidencia que verifica las citas de una síntesis.
+
+Comprueba si cada afirmación está respaldada por el artículo citado, usando ÚNICAMENTE su abstract y su análisis previo.
+
+ARTÍCULOS CITADOS:
+${sources}
+
+AFIRMACIONES CITADAS:
+${claimsText}
+
+INSTRUCCIONES:
+Devuelve ÚNICAMENTE un objeto JSON válido (sin texto adicional, sin markdown y sin HTML) con esta estructura:
+
+${JSON.stringify({ claims: { 1: { support: 'supported', reason: 'Explicación breve' } } }, null, 2)}
+
+REGLAS:
+1. Incluye en claims todas las afirmaciones, con su id como clave.
+2. support debe ser supported (el artículo respalda la afirmación), partial (la respalda solo en parte, p. ej. exagera el efecto o generaliza a otra población) o unsupported (el artículo no dice eso o dice lo contrario).
+3. Si una afirmación combina datos de varios artículos, valora solo la parte que corresponde al artículo citado.
+4. Redacta reason en español, en una frase breve.`;
+}
+
+/**
+ * Genera un prompt para extraer las medidas de efecto de los abstracts
+ * @param {Array} articles - Artículos con abstract (y su valoración si se analizaron)
+ * @returns {string} - Prompt que pide los registros en formato JSON (ver utils/effectExtraction.js)
+ */
+export function generateEffectExtractionPrompt(articles) {
+  const articlesInfo = articles
+    .map(article => {
+      // Los efectos de la valoración ayudan a localizar los datos, pero se comprueban en el abstract
+      const effects = (article.analysis?.effectSizes || [])
+        .map(effect => `${effect.outcome}: ${effect.measure} ${effect.value}`)
+        .join('; ');
+      return `PMID ${article.pmid}:
+Título: ${article.title || 'Sin título'}
+Abstract: ${article.abstract}${effects ? `
+Efectos identificados en la valoración: ${effects}` : ''}`;
+    })
+    .join('\n\n');
+  const measuresText = Object.entries(EXTRACTION_MEASURES)
+    .map(([measure, { label }]) => `${measure} (${label.toLowerCase()})`)
+    .join(', ');
+
+  return `Eres Claude, un asistente experto en revisiones sistemáticas que extrae datos de estudios para un meta-análisis.
+
+Extrae de cada abstract las medidas de efecto de los desenlaces principales.
+
+ARTÍCULOS:
+${articlesInfo}
+
+INSTRUCCIONES:
+Devuelve ÚNICAMENTE un objeto JSON válido (sin texto adicional, sin markdown y sin HTML) con esta estructura:
+
+${JSON.stringify(EFFECT_EXTRACTION_EXAMPLE, null, 2)}
+
+REGLAS:
+1. Extrae solo medidas ${measuresText} que aparezcan en el abstract con su valor numérico; no las calcules ni las inventes. Si un artículo no informa ninguna, no incluyas registros de ese artículo.
+2. pmid debe ser el PMID del artículo del que procede el dato.
+3. ciLower y ciUpper son los límites del intervalo de confianza del 95%; usa null en ambos si el abstract no lo informa.
+4. interventionN y controlN son los participantes de cada grupo; usa null si el abstract no los informa.
+5. Nombra el desenlace (outcome) en español y de la misma forma en todos los artículos que lo comparten, para que se puedan combinar.
+6. Incluye como máximo 6 registros por artículo.`;
+}
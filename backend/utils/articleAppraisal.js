@@ -0,0 +1,215 @@
+/**
+ * Esquema de la valoración crítica estructurada de un artículo (análisis con IA)
+ * Define el formato JSON que debe devolver Claude, lo valida y lo normaliza para
+ * que el frontend y la síntesis trabajen con datos en lugar de HTML
+ */
+import { STUDY_DESIGNS } from './studyDesignClassifier.js';
+import { PICO_COMPONENTS } from './searchStrategy.js';
+
+export const APPRAISAL_SCHEMA_VERSION = '1.0';
+
+/**
+ * Grado de coincidencia de cada componente PICO con la pregunta clínica
+ */
+export const PICO_MATCH_VALUES = ['yes', 'partial', 'no', 'unclear'];
+
+/**
+ * Medidas de efecto admitidas
+ */
+export const EFFECT_MEASURES = ['RR', 'OR', 'HR', 'MD', 'SMD', 'RD', 'NNT', 'other'];
+
+/**
+ * Niveles de aplicabilidad clínica
+ */
+export const APPLICABILITY_LEVELS = ['high', 'moderate', 'low'];
+
+// Límites de longitud de las listas
+const MAX_LIST_ITEMS = 8;
+
+/**
+ * Ejemplo del formato esperado, incluido en el prompt
+ */
+export const APPRAISAL_EXAMPLE = {
+  studyType: 'rct',
+  evidenceLevel: 2,
+  qualityStars: 4,
+  qualityRationale: 'Aleatorización y cegamiento adecuados; pérdidas de seguimiento del 12%',
+  summary: 'Resumen clínico breve del artículo y su relevancia para la pregunta',
+  picoMatch: {
+    population: { match: 'yes', note: 'Adultos con la condición de interés' },
+    intervention: { match: 'yes', note: 'Misma intervención' },
+    comparator: { match: 'partial', note: 'Compara con placebo, no con tratamiento activo' },
+    outcome: { match: 'yes', note: 'Mortalidad a 12 meses' }
+  },
+  keyFindings: ['Hallazgo principal 1', 'Hallazgo principal 2'],
+  effectSizes: [
+    { outcome: 'Mortalidad a 12 meses', measure: 'RR', value: 0.82, ciLower: 0.71, ciUpper: 0.95, pValue: '0.008' }
+  ],
+  limitations: ['Limitación 1', 'Limitación 2'],
+  clinicalApplicability: { level: 'moderate', explanation: 'Valoración de la aplicabilidad a la práctica' }
+};
+
+/**
+ * Devuelve una cadena recortada o null si no es texto
+ * @param {*} value - Valor
+ * @returns {string|null} - Cadena o null
+ */
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Convierte un valor a número (acepta cadenas numéricas y coma decimal)
+ * @param {*} value - Valor
+ * @returns {number|null} - Número o null
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const number = parseFloat(value.replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normaliza una lista de textos
+ * @param {*} value - Valor
+ * @returns {Array<string>|null} - Lista o null si no es un array
+ */
+const toTextList = (value) => (Array.isArray(value)
+  ? value.map(toText).filter(Boolean).slice(0, MAX_LIST_ITEMS)
+  : null);
+
+/**
+ * Valida y normaliza la valoración devuelta por Claude
+ * @param {Object} data - Objeto JSON devuelto por Claude
+ * @returns {Object} - { valid, errors, appraisal } con la valoración normalizada si es válida
+ */
+export function validateAppraisal(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['La respuesta debe ser un objeto JSON'], appraisal: null };
+  }
+
+  const studyType = toText(data.studyType);
+  if (!studyType || !STUDY_DESIGNS[studyType]) {
+    errors.push(`studyType debe ser uno de: ${Object.keys(STUDY_DESIGNS).join(', ')}`);
+  }
+
+  const evidenceLevel = data.evidenceLevel === null ? null : toNumber(data.evidenceLevel);
+  if (data.evidenceLevel !== null && (!Number.isInteger(evidenceLevel) || evidenceLevel < 1 || evidenceLevel > 5)) {
+    errors.push('evidenceLevel debe ser un entero de 1 a 5 (Oxford CEBM) o null');
+  }
+
+  const qualityStars = toNumber(data.qualityStars);
+  if (!Number.isInteger(qualityStars) || qualityStars < 1 || qualityStars > 5) {
+    errors.push('qualityStars debe ser un entero de 1 a 5');
+  }
+
+  const summary = toText(data.summary);
+  if (!summary) errors.push('summary es obligatorio');
+
+  const picoMatch = {};
+  if (!data.picoMatch || typeof data.picoMatch !== 'object') {
+    errors.push(`picoMatch debe ser un objeto con ${PICO_COMPONENTS.join(', ')}`);
+  } else {
+    PICO_COMPONENTS.forEach(component => {
+      const entry = data.picoMatch[component];
+      const match = toText(entry?.match)?.toLowerCase();
+      if (!PICO_MATCH_VALUES.includes(match)) {
+        errors.push(`picoMatch.${component}.match debe ser uno de: ${PICO_MATCH_VALUES.join(', ')}`);
+      }
+      picoMatch[component] = { match, note: toText(entry?.note) };
+    });
+  }
+
+  const keyFindings = toTextList(data.keyFindings);
+  if (!keyFindings || keyFindings.length === 0) errors.push('keyFindings debe ser una lista con al menos un hallazgo');
+
+  const limitations = toTextList(data.limitations);
+  if (!limitations) errors.push('limitations debe ser una lista (puede estar vacía)');
+
+  let effectSizes = [];
+  if (data.effectSizes !== undefined && !Array.isArray(data.effectSizes)) {
+    errors.push('effectSizes debe ser una lista (puede estar vacía)');
+  } else {
+    effectSizes = (data.effectSizes || []).slice(0, MAX_LIST_ITEMS).map((effect, index) => {
+      const measure = EFFECT_MEASURES.find(name => name.toLowerCase() === toText(effect?.measure)?.toLowerCase());
+      const value = toNumber(effect?.value);
+      if (!toText(effect?.outcome)) errors.push(`effectSizes[${index}].outcome es obligatorio`);
+      if (!measure) errors.push(`effectSizes[${index}].measure debe ser uno de: ${EFFECT_MEASURES.join(', ')}`);
+      if (value === null) errors.push(`effectSizes[${index}].value debe ser numérico`);
+      return {
+        outcome: toText(effect?.outcome),
+        measure: measure || null,
+        value,
+        ciLower: toNumber(effect?.ciLower),
+        ciUpper: toNumber(effect?.ciUpper),
+        pValue: effect?.pValue === null || effect?.pValue === undefined ? null : String(effect.pValue).trim()
+      };
+    });
+  }
+
+  const applicabilityLevel = toText(data.clinicalApplicability?.level)?.toLowerCase();
+  if (!APPLICABILITY_LEVELS.includes(applicabilityLevel)) {
+    errors.push(`clinicalApplicability.level debe ser uno de: ${APPLICABILITY_LEVELS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, appraisal: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    appraisal: {
+      schemaVersion: APPRAISAL_SCHEMA_VERSION,
+      studyType,
+      studyTypeLabel: STUDY_DESIGNS[studyType].label,
+      evidenceLevel,
+      qualityStars,
+      qualityRationale: toText(data.qualityRationale),
+      summary,
+      picoMatch,
+      keyFindings,
+      effectSizes,
+      limitations,
+      clinicalApplicability: {
+        level: applicabilityLevel,
+        explanation: toText(data.clinicalApplicability.explanation)
+      }
+    }
+  };
+}
+
+/**
+ * Resume una valoración en texto plano para incluirla en otros prompts (p. ej. la síntesis)
+ * @param {Object|string} appraisal - Valoración normalizada (o texto de un análisis anterior)
+ * @returns {string} - Resumen en texto
+ */
+export function formatAppraisalForPrompt(appraisal) {
+  if (!appraisal) return '';
+  if (typeof appraisal === 'string') return appraisal;
+
+  const effects = (appraisal.effectSizes || []).map(effect => {
+    const interval = effect.ciLower !== null && effect.ciUpper !== null ? ` (IC95% ${effect.ciLower}-${effect.ciUpper})` : '';
+    return `${effect.outcome}: ${effect.measure} ${effect.value}${interval}`;
+  });
+
+  return [
+    `Diseño: ${appraisal.studyTypeLabel} (nivel ${appraisal.evidenceLevel ?? 'N/D'}, calidad ${appraisal.qualityStars}/5)`,
+    `Resumen: ${appraisal.summary}`,
+    `Hallazgos: ${(appraisal.keyFindings || []).join('; ')}`,
+    effects.length > 0 ? `Efectos: ${effects.join('; ')}` : null,
+    appraisal.limitations?.length > 0 ? `Limitaciones: ${appraisal.limitations.join('; ')}` : null,
+    `Aplicabilidad: ${appraisal.clinicalApplicability?.level}`
+  ].filter(Boolean).join('\n');
+}
+
+export default {
+  APPRAISAL_SCHEMA_VERSION,
+  PICO_MATCH_VALUES,
+  EFFECT_MEASURES,
+  APPLICABILITY_LEVELS,
+  APPRAISAL_EXAMPLE,
+  validateAppraisal,
+  formatAppraisalForPrompt
+};
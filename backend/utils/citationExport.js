@@ -0,0 +1,385 @@
+/**
+ * Exportación de artículos a formatos de gestores de referencias
+ * Serializa los artículos (modelo Article) a RIS, BibTeX, MEDLINE/NBIB, CSL-JSON y CSV;
+ * el CSV incluye además el desglose de la puntuación y las métricas de iCite
+ */
+import Article from '../models/Article.js';
+
+/**
+ * Formatos de exportación admitidos
+ */
+export const EXPORT_FORMATS = {
+  ris: { label: 'RIS (EndNote, Zotero, Mendeley)', extension: 'ris', contentType: 'application/x-research-info-systems' },
+  bibtex: { label: 'BibTeX', extension: 'bib', contentType: 'application/x-bibtex' },
+  nbib: { label: 'MEDLINE (.nbib)', extension: 'nbib', contentType: 'application/nbib' },
+  csljson: { label: 'CSL-JSON', extension: 'json', contentType: 'application/vnd.citationstyles.csl+json' },
+  csv: { label: 'CSV con puntuación y métricas', extension: 'csv', contentType: 'text/csv' }
+};
+
+// Textos de relleno que usa pubmedService cuando falta un dato
+const PLACEHOLDERS = new Set(['Abstract no disponible', 'Fecha desconocida', 'Sin título']);
+
+// Métricas de iCite que se incluyen en el CSV
+const ICITE_COLUMNS = ['rcr', 'nih_percentile', 'apt', 'citation_count', 'citations_per_year', 'clinical_citations', 'is_clinical'];
+
+/**
+ * Descarta los textos de relleno
+ * @param {string} value - Valor del artículo
+ * @returns {string|null} - Valor o null si es un relleno o está vacío
+ */
+const clean = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text && !PLACEHOLDERS.has(text) ? text : null;
+};
+
+/**
+ * Texto en una sola línea (RIS y MEDLINE no admiten saltos dentro de un campo)
+ * @param {string} value - Texto
+ * @returns {string} - Texto sin saltos de línea
+ */
+const singleLine = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+/**
+ * Separa el nombre de PubMed ("Smith JA") en apellidos e iniciales
+ * @param {Object} author - { name, authtype }
+ * @returns {Object} - { family, given } o { literal } para autores colectivos o nombres sin iniciales
+ */
+const splitName = (author) => {
+  const name = singleLine(author.name || '');
+  const match = name.match(/^(.+)\s+([A-Z]{1,4})$/);
+  if (author.authtype === 'CollectiveName' || !match) return { literal: name };
+  return { family: match[1], given: match[2] };
+};
+
+/**
+ * Año de publicación del artículo
+ * @param {Article} article - Artículo
+ * @returns {number|null} - Año o null si no se conoce
+ */
+const publicationYear = (article) => {
+  if (article.year) return Number(article.year);
+  const match = String(clean(article.publicationDate) || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * Separa las páginas de MEDLINE ("123-30") en inicio y fin completos ("123", "130")
+ * @param {string} pages - Paginación de MEDLINE
+ * @returns {Object} - { start, end }
+ */
+const splitPages = (pages) => {
+  if (!pages) return { start: null, end: null };
+  const [start, end] = String(pages).split('-').map(part => part.trim());
+  if (!end) return { start, end: null };
+  // MEDLINE abrevia la página final con los dígitos que cambian
+  const fullEnd = /^\d+$/.test(start) && /^\d+$/.test(end) && end.length < start.length
+    ? start.slice(0, start.length - end.length) + end
+    : end;
+  return { start, end: fullEnd };
+};
+
+/**
+ * Nota con la puntuación, el nivel de evidencia y la valoración de la IA del artículo
+ * @param {Object} entry - Artículo exportado
+ * @returns {string|null} - Nota o null si no hay nada que anotar
+ */
+const buildNote = (entry) => {
+  const parts = [];
+  if (typeof entry.priorityScore === 'number') {
+    const maxScore = entry.scoreBreakdown?.maxScore;
+    const profile = entry.scoreBreakdown?.profile?.name;
+    parts.push(`Puntuación: ${entry.priorityScore}${maxScore ? `/${maxScore}` : ''}${profile ? ` (${profile})` : ''}`);
+  }
+  const design = entry.article.studyDesign;
+  if (design?.label && design.evidenceLevel) {
+    parts.push(`Diseño: ${design.label}, nivel de evidencia ${design.evidenceLevel}`);
+  }
+  if (entry.analysis?.summary) {
+    parts.push(`Valoración IA${entry.analysis.qualityStars ? ` (${entry.analysis.qualityStars}/5)` : ''}: ${singleLine(entry.analysis.summary)}`);
+  }
+  return parts.length > 0 ? parts.join('. ') : null;
+};
+
+/**
+ * Prepara un artículo de los resultados para exportarlo
+ * @param {Object} data - Artículo de los resultados (con priorityScore, scoreBreakdown, iCiteMetrics y analysis)
+ * @returns {Object} - { article, priorityScore, scoreBreakdown, iCiteMetrics, analysis }
+ */
+const toEntry = (data) => ({
+  article: data instanceof Article ? data : new Article(data),
+  priorityScore: data.priorityScore ?? null,
+  scoreBreakdown: data.scoreBreakdown || null,
+  iCiteMetrics: data.iCiteMetrics || null,
+  analysis: data.analysis || null
+});
+
+/**
+ * Serializa los artículos en formato RIS
+ * @param {Array<Object>} entries - Artículos exportados
+ * @returns {string} - Registros RIS
+ */
+const toRis = (entries) => entries.map(entry => {
+  const { article } = entry;
+  const lines = [];
+  const add = (tag, value) => {
+    const text = clean(value);
+    if (text) lines.push(`${tag}  - ${singleLine(text)}`);
+  };
+  const { start, end } = splitPages(article.pages);
+
+  add('TY', 'JOUR');
+  add('TI', article.title);
+  article.authors.forEach(author => {
+    const name = splitName(author);
+    add('AU', name.literal || `${name.family}, ${name.given}`);
+  });
+  add('PY', publicationYear(article));
+  add('T2', article.journal);
+  add('J2', article.journalAbbreviation);
+  add('VL', article.volume);
+  add('IS', article.issue);
+  add('SP', start);
+  add('EP', end);
+  add('AB', article.abstract);
+  [...new Set([...article.meshTerms, ...article.keywords])].forEach(keyword => add('KW', keyword));
+  article.language.forEach(language => add('LA', language));
+  add('DO', article.doi);
+  add('AN', article.pmid);
+  add('UR', article.generatePubMedUrl());
+  add('N1', buildNote(entry));
+  lines.push('ER  - ');
+  return lines.join('\r\n');
+}).join('\r\n\r\n') + '\r\n';
+
+/**
+ * Escapa los caracteres especiales de LaTeX
+ * @param {string} value - Texto
+ * @returns {string} - Texto escapado
+ */
+const escapeBibtex = (value) => singleLine(value)
+  .replace(/\\/g, '\\textbackslash{}')
+  .replace(/([&%$#_{}])/g, '\\$1')
+  .replace(/~/g, '\\textasciitilde{}')
+  .replace(/\^/g, '\\textasciicircum{}');
+
+/**
+ * Serializa los artículos en formato BibTeX
+ * @param {Array<Object>} entries - Artículos exportados
+ * @returns {string} - Entradas BibTeX
+ */
+const toBibtex = (entries) => {
+  const usedKeys = new Set();
+
+  return entries.map(entry => {
+    const { article } = entry;
+    const year = publicationYear(article);
+    const firstAuthor = article.authors[0] ? splitName(article.authors[0]) : null;
+
+    // Clave: apellido del primer autor, año y PMID (solo caracteres ASCII)
+    const base = [firstAuthor?.family || firstAuthor?.literal || 'article', year || '', article.pmid || '']
+      .join('')
+      .normalize('NFD')
+      .replace(/[^A-Za-z0-9]/g, '');
+    let key = base;
+    for (let suffix = 2; usedKeys.has(key); suffix++) key = `${base}${suffix}`;
+    usedKeys.add(key);
+
+    const { start, end } = splitPages(article.pages);
+    const authors = article.authors.map(author => {
+      const name = splitName(author);
+      return name.literal ? `{${escapeBibtex(name.literal)}}` : `${escapeBibtex(name.family)}, ${name.given}`;
+    });
+
+    const fields = [
+      ['author', authors.join(' and ') || null],
+      // Doble llave para conservar las mayúsculas del título
+      ['title', clean(article.title) ? `{${escapeBibtex(article.title)}}` : null],
+      ['journal', clean(article.journal) ? escapeBibtex(article.journal) : null],
+      ['year', year],
+      ['volume', clean(article.volume)],
+      ['number', clean(article.issue)],
+      ['pages', start ? [start, end].filter(Boolean).join('--') : null],
+      ['doi', clean(article.doi)],
+      ['pmid', clean(article.pmid)],
+      ['url', article.generatePubMedUrl()],
+      ['keywords', article.meshTerms.length > 0 ? escapeBibtex(article.meshTerms.join(', ')) : null],
+      ['abstract', clean(article.abstract) ? escapeBibtex(article.abstract) : null],
+      ['note', buildNote(entry) ? escapeBibtex(buildNote(entry)) : null]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    return `@article{${key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+};
+
+/**
+ * Serializa los artículos en formato MEDLINE (.nbib), el que genera PubMed al exportar citas
+ * @param {Array<Object>} entries - Artículos exportados
+ * @returns {string} - Registros MEDLINE
+ */
+const toNbib = (entries) => entries.map(({ article }) => {
+  const lines = [];
+  const add = (tag, value) => {
+    const text = clean(value);
+    if (!text) return;
+
+    // Las líneas largas continúan en la siguiente con seis espacios de sangría
+    const words = singleLine(text).split(' ');
+    let line = `${tag.padEnd(4)}- `;
+    words.forEach(word => {
+      if (line.length + word.length > 80 && line.trim().length > 5) {
+        lines.push(line.trimEnd());
+        line = '      ';
+      }
+      line += `${word} `;
+    });
+    lines.push(line.trimEnd());
+  };
+
+  add('PMID', article.pmid);
+  add('TI', article.title);
+  add('AB', article.abstract);
+  article.authors.forEach(author => {
+    add(author.authtype === 'CollectiveName' ? 'CN' : 'AU', author.name);
+  });
+  article.language.forEach(language => add('LA', language));
+  article.publicationTypes.forEach(type => add('PT', type.name || type));
+  add('DP', article.publicationDate);
+  add('TA', article.journalAbbreviation);
+  add('JT', article.journal);
+  add('VI', article.volume);
+  add('IP', article.issue);
+  add('PG', article.pages);
+  article.meshHeadings.forEach(heading => {
+    const majorQualifier = heading.qualifiers?.some(qualifier => qualifier.majorTopic);
+    const descriptor = heading.majorTopic && !majorQualifier ? `*${heading.descriptor}` : heading.descriptor;
+    const qualifiers = (heading.qualifiers || []).map(qualifier => `${qualifier.majorTopic ? '*' : ''}${qualifier.name}`);
+    add('MH', [descriptor, ...qualifiers].join('/'));
+  });
+  article.keywords.forEach(keyword => add('OT', keyword));
+  if (clean(article.doi)) add('AID', `${article.doi} [doi]`);
+  add('PMC', article.pmcid);
+  return lines.join('\n');
+}).join('\n\n') + '\n';
+
+/**
+ * Serializa los artículos en formato CSL-JSON (Zotero, Mendeley, Pandoc)
+ * @param {Array<Object>} entries - Artículos exportados
+ * @returns {string} - Lista CSL-JSON
+ */
+const toCslJson = (entries) => {
+  const items = entries.map(entry => {
+    const { article } = entry;
+    const year = publicationYear(article);
+    const pages = splitPages(article.pages);
+    const item = {
+      id: article.pmid ? `pmid:${article.pmid}` : article.doi,
+      type: 'article-journal',
+      title: clean(article.title),
+      author: article.authors.map(splitName),
+      issued: year ? { 'date-parts': [[year]] } : undefined,
+      'container-title': clean(article.journal),
+      'container-title-short': clean(article.journalAbbreviation),
+      volume: clean(article.volume),
+      issue: clean(article.issue),
+      page: pages.start ? [pages.start, pages.end].filter(Boolean).join('-') : undefined,
+      DOI: clean(article.doi),
+      PMID: clean(article.pmid),
+      PMCID: clean(article.pmcid),
+      URL: article.generatePubMedUrl(),
+      abstract: clean(article.abstract),
+      language: article.language[0] || undefined,
+      keyword: article.meshTerms.length > 0 ? article.meshTerms.join(', ') : undefined,
+      note: buildNote(entry)
+    };
+    // JSON.stringify omite los undefined; los null se eliminan para no ensuciar el fichero
+    return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== null));
+  });
+  return JSON.stringify(items, null, 2);
+};
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ * @param {*} value - Valor
+ * @returns {string} - Celda
+ */
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializa los artículos en CSV con el desglose de la puntuación y las métricas de iCite
+ * Hay una columna de puntos por cada criterio del perfil de puntuación (score_<criterio>)
+ * @param {Array<Object>} entries - Artículos exportados
+ * @returns {string} - CSV con cabecera
+ */
+const toCsv = (entries) => {
+  const criteria = [...new Set(entries.flatMap(entry => Object.keys(entry.scoreBreakdown?.criteria || {})))];
+
+  const header = [
+    'pmid', 'doi', 'title', 'authors', 'journal', 'year', 'volume', 'issue', 'pages', 'publication_types',
+    'study_design', 'evidence_level', 'priority_score', 'max_score', 'scoring_profile',
+    ...criteria.map(id => `score_${id}`),
+    ...ICITE_COLUMNS.map(column => `icite_${column}`),
+    'ai_quality_stars', 'ai_summary', 'url'
+  ];
+
+  const rows = entries.map(entry => {
+    const { article, scoreBreakdown, iCiteMetrics, analysis } = entry;
+    return [
+      article.pmid,
+      article.doi,
+      clean(article.title),
+      article.authors.map(author => author.name).join('; '),
+      article.journal,
+      publicationYear(article),
+      article.volume,
+      article.issue,
+      article.pages,
+      article.publicationTypes.map(type => type.name || type).join('; '),
+      article.studyDesign?.label,
+      article.studyDesign?.evidenceLevel,
+      entry.priorityScore,
+      scoreBreakdown?.maxScore,
+      scoreBreakdown?.profile ? `${scoreBreakdown.profile.id}@${scoreBreakdown.profile.version}` : null,
+      ...criteria.map(id => scoreBreakdown?.criteria?.[id]?.points),
+      ...ICITE_COLUMNS.map(column => iCiteMetrics?.[column]),
+      analysis?.qualityStars,
+      analysis?.summary ? singleLine(analysis.summary) : null,
+      article.generatePubMedUrl()
+    ].map(csvCell).join(',');
+  });
+
+  // BOM para que Excel reconozca el UTF-8
+  return '\uFEFF' + [header.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+const SERIALIZERS = {
+  ris: toRis,
+  bibtex: toBibtex,
+  nbib: toNbib,
+  csljson: toCslJson,
+  csv: toCsv
+};
+
+/**
+ * Exporta una lista de artículos
+ * @param {Array<Object>} articles - Artículos de los resultados (con priorityScore, scoreBreakdown, iCiteMetrics y analysis)
+ * @param {string} format - Formato (ver EXPORT_FORMATS)
+ * @returns {string} - Contenido del fichero
+ * @throws {Error} - Si el formato no existe
+ */
+export function exportArticles(articles, format) {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw new Error(`Formato de exportación desconocido: "${format}"`);
+  }
+  return serialize(articles.map(toEntry));
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportArticles
+};
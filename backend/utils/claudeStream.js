@@ -0,0 +1,86 @@
+/**
+ * Reenvío de las respuestas de Claude en streaming al cliente que las pidió
+ * Los fragmentos se emiten a la sala de Socket.IO del socket indicado en la petición
+ * (cada socket está unido a una sala con su propio ID). Si el socket se desconecta
+ * o se cierra la petición HTTP antes de terminar, se cancela la solicitud a Claude.
+ */
+import { randomUUID } from 'crypto';
+import { io } from '../socket.js';
+
+// Eventos de Socket.IO que recibe el cliente
+export const CLAUDE_STREAM_EVENTS = {
+  START: 'claude:stream:start',
+  DELTA: 'claude:stream:delta',
+  END: 'claude:stream:end',
+  ERROR: 'claude:stream:error'
+};
+
+/**
+ * Abre un stream hacia el cliente que hizo la petición
+ * El cliente indica su socket en el cuerpo (socketId) y, opcionalmente, el streamId
+ * con el que identificará los eventos
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @returns {Object|null} - { streamId, signal, onStart, onText, end, fail } o null si no se pidió streaming
+ *   o el socket no está conectado
+ */
+export function openClaudeStream(req, res) {
+  const { socketId, streamId = randomUUID() } = req.body || {};
+  const socket = socketId && io ? io.sockets.sockets.get(socketId) : null;
+
+  if (!socket) {
+    if (socketId) {
+      console.log(`[${new Date().toISOString()}] [ClaudeStream] Socket ${socketId} no conectado, se responde sin streaming`);
+    }
+    return null;
+  }
+
+  const controller = new AbortController();
+  let attempt = 0;
+  let closed = false;
+
+  const emit = (event, payload = {}) => {
+    if (!closed) io.to(socketId).emit(event, { streamId, ...payload });
+  };
+
+  const abort = (reason) => {
+    if (closed || controller.signal.aborted) return;
+    console.log(`[${new Date().toISOString()}] [ClaudeStream] Stream ${streamId} cancelado: ${reason}`);
+    controller.abort();
+  };
+
+  const handleDisconnect = () => abort('socket desconectado');
+  const handleClose = () => {
+    if (!res.writableEnded) abort('petición HTTP cerrada');
+  };
+
+  const close = () => {
+    closed = true;
+    socket.off('disconnect', handleDisconnect);
+    res.off('close', handleClose);
+  };
+
+  socket.on('disconnect', handleDisconnect);
+  res.on('close', handleClose);
+
+  return {
+    streamId,
+    signal: controller.signal,
+    // Cada intento (p. ej. las reparaciones de la valoración) reinicia el texto en el cliente
+    onStart: () => emit(CLAUDE_STREAM_EVENTS.START, { attempt: ++attempt }),
+    onText: (text) => emit(CLAUDE_STREAM_EVENTS.DELTA, { attempt, text }),
+    end: () => {
+      emit(CLAUDE_STREAM_EVENTS.END);
+      close();
+    },
+    fail: (error) => {
+      emit(CLAUDE_STREAM_EVENTS.ERROR, { message: error.message, code: error.code });
+      close();
+    }
+  };
+}
+
+export default {
+  CLAUDE_STREAM_EVENTS,
+  openClaudeStream
+};
@@ -0,0 +1,180 @@
+/**
+ * Esquema de la extracción de medidas de efecto de los abstracts (análisis con IA)
+ * Define el formato de los registros que devuelve Claude (desenlace, medida, estimación,
+ * IC 95% y tamaños muestrales), los valida, comprueba que sus números aparecen en el abstract
+ * y los normaliza para que el usuario los revise y el cliente los combine en el meta-análisis
+ */
+
+export const EFFECT_EXTRACTION_SCHEMA_VERSION = '1.0';
+
+/**
+ * Medidas de efecto que se extraen; las de razón se combinan en escala logarítmica
+ */
+export const EXTRACTION_MEASURES = {
+  RR: { label: 'Riesgo relativo', ratio: true },
+  OR: { label: 'Odds ratio', ratio: true },
+  HR: { label: 'Hazard ratio', ratio: true },
+  MD: { label: 'Diferencia de medias', ratio: false }
+};
+
+// Máximo de artículos por extracción y de registros por artículo
+export const MAX_EXTRACTION_ARTICLES = 20;
+const MAX_RECORDS_PER_ARTICLE = 6;
+
+/**
+ * Ejemplo del formato esperado, incluido en el prompt
+ */
+export const EFFECT_EXTRACTION_EXAMPLE = {
+  records: [
+    {
+      pmid: '12345678',
+      outcome: 'Incidencia de diabetes tipo 2',
+      measure: 'HR',
+      value: 0.69,
+      ciLower: 0.57,
+      ciUpper: 0.83,
+      interventionN: 1073,
+      controlN: 1082
+    }
+  ]
+};
+
+/**
+ * Devuelve una cadena recortada o null si no es texto
+ * @param {*} value - Valor
+ * @returns {string|null} - Cadena o null
+ */
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Convierte un valor a número (acepta cadenas numéricas y coma decimal)
+ * @param {*} value - Valor
+ * @returns {number|null} - Número o null si no es numérico
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const parsed = Number(value.trim().replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Convierte un tamaño muestral a entero positivo
+ * @param {*} value - Valor
+ * @returns {number|null} - Entero o null
+ */
+const toSampleSize = (value) => {
+  const number = toNumber(value);
+  return number !== null && Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Campos numéricos de un registro que se comprueban en el abstract
+const VERIFIED_FIELDS = ['value', 'ciLower', 'ciUpper', 'interventionN', 'controlN'];
+
+/**
+ * Números que aparecen en un texto
+ * Un número con comas se lee con separador de miles ("1,073") y, si solo tiene una, también
+ * con coma decimal ("0,69"); el signo no se tiene en cuenta porque el abstract puede expresarlo
+ * con palabras ("se redujo en 2.1 kg")
+ * @param {string} text - Texto
+ * @returns {Set<number>} - Valores absolutos de los números del texto
+ */
+const numbersInText = (text) => {
+  const numbers = new Set();
+  (String(text || '').match(/\d+(?:[.,]\d+)*/g) || []).forEach(token => {
+    numbers.add(Number(token.replace(/,/g, '')));
+    if ((token.match(/,/g) || []).length === 1 && !token.includes('.')) {
+      numbers.add(Number(token.replace(',', '.')));
+    }
+  });
+  numbers.delete(NaN);
+  return numbers;
+};
+
+/**
+ * Comprueba que los números de cada registro aparecen en el abstract de su artículo
+ * Los registros con algún número que no está en el abstract se marcan (verified: false) con los
+ * campos afectados en unverifiedFields, para que el usuario los revise antes de combinarlos
+ * @param {Array<Object>} records - Registros normalizados (ver validateEffectExtraction)
+ * @param {Array<Object>} articles - Artículos enviados ({ pmid, abstract })
+ * @returns {Array<Object>} - Registros con verified y unverifiedFields
+ */
+export function verifyEffectRecords(records, articles) {
+  const abstractNumbers = new Map(articles.map(article => [String(article.pmid), numbersInText(article.abstract)]));
+
+  return records.map(record => {
+    const numbers = abstractNumbers.get(record.pmid) || new Set();
+    const unverifiedFields = VERIFIED_FIELDS.filter(field =>
+      record[field] !== null && record[field] !== undefined && !numbers.has(Math.abs(record[field])));
+    return { ...record, verified: unverifiedFields.length === 0, unverifiedFields };
+  });
+}
+
+/**
+ * Valida y normaliza los registros de medidas de efecto devueltos por Claude
+ * @param {Object} data - Objeto JSON devuelto por Claude
+ * @param {Array<string>} articlePmids - PMIDs de los artículos enviados
+ * @returns {Object} - { valid, errors, records } con los registros normalizados si son válidos
+ */
+export function validateEffectExtraction(data, articlePmids) {
+  const available = new Set(articlePmids.map(String));
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.records)) {
+    return { valid: false, errors: ['La respuesta debe ser un objeto JSON con una lista records (vacía si no hay medidas de efecto)'], records: null };
+  }
+
+  const perArticle = {};
+  const records = data.records.map((entry, index) => {
+    const path = `records[${index}]`;
+    const pmid = entry?.pmid !== undefined && entry?.pmid !== null ? String(entry.pmid).trim() : null;
+    const measure = toText(entry?.measure)?.toUpperCase();
+    const value = toNumber(entry?.value);
+    const ciLower = toNumber(entry?.ciLower);
+    const ciUpper = toNumber(entry?.ciUpper);
+
+    if (!available.has(pmid)) errors.push(`${path}.pmid debe ser el PMID de uno de los artículos`);
+    perArticle[pmid] = (perArticle[pmid] || 0) + 1;
+    if (perArticle[pmid] === MAX_RECORDS_PER_ARTICLE + 1) {
+      errors.push(`El PMID ${pmid} tiene más de ${MAX_RECORDS_PER_ARTICLE} registros: incluye solo los desenlaces principales`);
+    }
+    if (!toText(entry?.outcome)) errors.push(`${path}.outcome es obligatorio`);
+    if (!EXTRACTION_MEASURES[measure]) {
+      errors.push(`${path}.measure debe ser uno de: ${Object.keys(EXTRACTION_MEASURES).join(', ')}`);
+    }
+    if (value === null) errors.push(`${path}.value debe ser un número`);
+    if ((ciLower === null) !== (ciUpper === null)) {
+      errors.push(`${path}: indica los dos límites del intervalo de confianza o ninguno`);
+    } else if (ciLower !== null && value !== null && (ciLower > value || ciUpper < value)) {
+      errors.push(`${path}: el intervalo de confianza debe contener la estimación (ciLower <= value <= ciUpper)`);
+    }
+    if (EXTRACTION_MEASURES[measure]?.ratio && [value, ciLower, ciUpper].some(number => number !== null && number <= 0)) {
+      errors.push(`${path}: las medidas de razón (${measure}) y su intervalo deben ser mayores que 0`);
+    }
+
+    return {
+      id: `${pmid}-${index + 1}`,
+      pmid,
+      outcome: toText(entry?.outcome),
+      measure,
+      value,
+      ciLower,
+      ciUpper,
+      interventionN: toSampleSize(entry?.interventionN),
+      controlN: toSampleSize(entry?.controlN)
+    };
+  });
+
+  return errors.length > 0
+    ? { valid: false, errors, records: null }
+    : { valid: true, errors: [], records };
+}
+
+export default {
+  EFFECT_EXTRACTION_SCHEMA_VERSION,
+  EXTRACTION_MEASURES,
+  MAX_EXTRACTION_ARTICLES,
+  EFFECT_EXTRACTION_EXAMPLE,
+  validateEffectExtraction,
+  verifyEffectRecords
+};
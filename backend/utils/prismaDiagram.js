@@ -0,0 +1,184 @@
+/**
+ * Diagrama de flujo PRISMA 2020 en SVG
+ * Dibuja la plantilla para revisiones nuevas con búsqueda en bases de datos (identificación,
+ * cribado e inclusión) a partir de los recuentos de buildPrismaCounts (ver utils/screening.js)
+ */
+
+// Dimensiones del diagrama en píxeles
+const WIDTH = 760;
+const PHASE_WIDTH = 28;
+const GAP = 40;
+const MAIN_X = PHASE_WIDTH + 16;
+const BOX_WIDTH = (WIDTH - MAIN_X - GAP - 8) / 2;
+const SIDE_X = MAIN_X + BOX_WIDTH + GAP;
+const LINE_HEIGHT = 16;
+const BOX_PADDING = 10;
+const ROW_GAP = 28;
+// Caracteres por línea dentro de una caja
+const MAX_LINE_LENGTH = 44;
+// Caracteres del título (una sola línea sobre el diagrama)
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Escapa un texto para incluirlo en el SVG
+ * @param {*} value - Texto
+ * @returns {string} - Texto escapado
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Parte un texto en líneas de hasta MAX_LINE_LENGTH caracteres
+ * @param {string} text - Texto
+ * @returns {Array<string>} - Líneas
+ */
+const wrapText = (text) => text.split(' ').reduce((lines, word) => {
+  const last = lines[lines.length - 1];
+  if (last !== undefined && `${last} ${word}`.length <= MAX_LINE_LENGTH) {
+    lines[lines.length - 1] = `${last} ${word}`;
+  } else {
+    lines.push(word);
+  }
+  return lines;
+}, []);
+
+/**
+ * Altura de una caja con sus líneas de texto
+ * @param {Array<string>} lines - Líneas
+ * @returns {number} - Altura en píxeles
+ */
+const boxHeight = (lines) => lines.length * LINE_HEIGHT + BOX_PADDING * 2;
+
+/**
+ * Dibuja una caja con su texto
+ * @param {number} x - Posición horizontal
+ * @param {number} y - Posición vertical
+ * @param {number} height - Altura de la caja
+ * @param {Array<string>} lines - Líneas de texto
+ * @returns {string} - Elementos SVG
+ */
+const renderBox = (x, y, height, lines) => [
+  `<rect x="${x}" y="${y}" width="${BOX_WIDTH}" height="${height}" fill="#ffffff" stroke="#333333" />`,
+  ...lines.map((line, index) => (
+    `<text x="${x + BOX_PADDING}" y="${y + BOX_PADDING + LINE_HEIGHT * (index + 0.75)}">${escapeXml(line)}</text>`
+  ))
+].join('');
+
+/**
+ * Dibuja una flecha
+ * @param {number} x1 - Origen horizontal
+ * @param {number} y1 - Origen vertical
+ * @param {number} x2 - Destino horizontal
+ * @param {number} y2 - Destino vertical
+ * @returns {string} - Elemento SVG
+ */
+const renderArrow = (x1, y1, x2, y2) => (
+  `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#333333" marker-end="url(#prisma-arrow)" />`
+);
+
+/**
+ * Genera el diagrama de flujo PRISMA 2020
+ * @param {Object} prisma - Recuentos de buildPrismaCounts
+ * @param {Object} options - Opciones
+ * @param {string} options.title - Título del diagrama (opcional)
+ * @returns {string} - Documento SVG
+ */
+export function renderPrismaSvg(prisma, { title = null } = {}) {
+  const { identification, screening, retrieval, eligibility, included } = prisma;
+  // Espacios de no separación para que el recuento no se parta entre líneas; null es un recuento desconocido
+  const n = (count) => `(n\u00a0=\u00a0${count ?? 'desconocido'})`;
+
+  // Cada fila tiene la caja principal y, salvo la última, la caja de registros que salen del flujo
+  const rows = [
+    {
+      phase: 'identification',
+      main: [
+        ...identification.databases.map(database => `Registros identificados en ${database.name} ${n(database.count)}`),
+        // Los resultados de la búsqueda que no se recuperaron no llegan al flujo: no son un resultado del cribado
+        ...(identification.notLoaded > 0
+          ? [`Recuperados de la búsqueda ${n(identification.retrieved)}`, `No recuperados de la búsqueda ${n(identification.notLoaded)}`]
+          : []),
+        // Sin el total de la búsqueda solo se conocen los registros recuperados
+        ...(identification.notLoaded === null ? [`Recuperados de la búsqueda ${n(identification.retrieved)}`] : [])
+      ],
+      side: [
+        'Registros eliminados antes del cribado:',
+        `Duplicados ${n(identification.duplicates)}`
+      ]
+    },
+    {
+      phase: 'screening',
+      main: [`Registros cribados (título y resumen) ${n(screening.screened)}`,
+        ...(screening.pending > 0 ? [`Pendientes de decisión ${n(screening.pending)}`] : [])],
+      side: [`Registros excluidos ${n(screening.excluded)}`]
+    },
+    {
+      phase: 'screening',
+      main: [`Informes buscados para su recuperación ${n(retrieval.sought)}`],
+      side: [`Informes no recuperados ${n(retrieval.notRetrieved)}`]
+    },
+    {
+      phase: 'screening',
+      main: [`Informes evaluados para elegibilidad ${n(eligibility.assessed)}`,
+        ...(eligibility.pending > 0 ? [`Pendientes de decisión ${n(eligibility.pending)}`] : [])],
+      side: [
+        `Informes excluidos ${n(eligibility.excluded)}${eligibility.reasons.length > 0 ? ':' : ''}`,
+        ...eligibility.reasons.map(reason => `${reason.label} ${n(reason.count)}`)
+      ]
+    },
+    {
+      phase: 'included',
+      main: [`Estudios incluidos en la revisión ${n(included.studies)}`],
+      side: null
+    }
+  ];
+
+  const parts = [];
+  let y = title ? 40 : 12;
+  const phaseRanges = {};
+
+  rows.forEach((row, index) => {
+    const mainLines = row.main.flatMap(wrapText);
+    const sideLines = row.side ? row.side.flatMap(wrapText) : [];
+    const height = Math.max(boxHeight(mainLines), row.side ? boxHeight(sideLines) : 0);
+
+    parts.push(renderBox(MAIN_X, y, height, mainLines));
+    if (row.side) {
+      parts.push(renderBox(SIDE_X, y, height, sideLines));
+      parts.push(renderArrow(MAIN_X + BOX_WIDTH, y + height / 2, SIDE_X, y + height / 2));
+    }
+    if (index < rows.length - 1) {
+      parts.push(renderArrow(MAIN_X + BOX_WIDTH / 2, y + height, MAIN_X + BOX_WIDTH / 2, y + height + ROW_GAP));
+    }
+
+    const range = phaseRanges[row.phase] || { start: y, end: y };
+    phaseRanges[row.phase] = { start: range.start, end: y + height };
+    y += height + ROW_GAP;
+  });
+
+  // Banda lateral con el nombre de cada fase
+  const phaseLabels = { identification: 'Identificación', screening: 'Cribado', included: 'Incluidos' };
+  Object.entries(phaseRanges).forEach(([phase, { start, end }]) => {
+    const center = (start + end) / 2;
+    parts.push(`<rect x="0" y="${start}" width="${PHASE_WIDTH}" height="${end - start}" rx="4" fill="#a9cce3" />`);
+    parts.push(`<text x="${PHASE_WIDTH / 2}" y="${center}" text-anchor="middle" dominant-baseline="middle" font-weight="bold" transform="rotate(-90 ${PHASE_WIDTH / 2} ${center})">${phaseLabels[phase]}</text>`);
+  });
+
+  const height = y - ROW_GAP + 12;
+  const shortTitle = title && title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1)}…` : title;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="Arial, Helvetica, sans-serif" font-size="12" role="img" aria-label="Diagrama de flujo PRISMA 2020">`,
+    '<defs><marker id="prisma-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto"><path d="M 0 0 L 10 5 L 0 10 z" fill="#333333" /></marker></defs>',
+    `<rect x="0" y="0" width="${WIDTH}" height="${height}" fill="#ffffff" />`,
+    title ? `<text x="${WIDTH / 2}" y="22" text-anchor="middle" font-size="14" font-weight="bold">${escapeXml(shortTitle)}</text>` : '',
+    ...parts,
+    '</svg>'
+  ].join('\n');
+}
+
+export default {
+  renderPrismaSvg
+};
@@ -0,0 +1,630 @@
+/**
+ * Analizador de la sintaxis de consultas de PubMed
+ * Convierte una estrategia de búsqueda en tokens y en un árbol sintáctico (AST),
+ * informa errores con su posición y permite serializar la consulta normalizada.
+ *
+ * PubMed evalúa los operadores booleanos de izquierda a derecha sin precedencia,
+ * por lo que el AST conserva ese orden y solo se añaden paréntesis donde hacen falta.
+ */
+
+/**
+ * Tipos de token reconocidos por el tokenizador
+ */
+export const TOKEN_TYPES = {
+  LPAREN: 'LPAREN',
+  RPAREN: 'RPAREN',
+  OPERATOR: 'OPERATOR',
+  PHRASE: 'PHRASE',
+  WORD: 'WORD',
+  FIELD: 'FIELD',
+  COLON: 'COLON'
+};
+
+/**
+ * Operadores booleanos admitidos por PubMed
+ */
+export const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Etiquetas de campo canónicas y sus alias (en minúsculas)
+ */
+const FIELD_ALIASES = {
+  'MeSH Terms': ['mesh', 'mh', 'mesh terms', 'mesh term'],
+  'MeSH Terms:noexp': ['mesh:noexp', 'mh:noexp', 'mesh terms:noexp'],
+  'MeSH Major Topic': ['majr', 'mesh major topic'],
+  'MeSH Subheading': ['sh', 'subheading', 'mesh subheading'],
+  'tiab': ['tiab', 'title/abstract'],
+  'ti': ['ti', 'title'],
+  'ab': ['ab', 'abstract'],
+  'tw': ['tw', 'text word'],
+  'pt': ['pt', 'publication type'],
+  'dp': ['dp', 'date - publication', 'publication date'],
+  'pdat': ['pdat'],
+  'edat': ['edat', 'date - entry'],
+  'crdt': ['crdt', 'date - create'],
+  'mhda': ['mhda', 'date - mesh'],
+  'la': ['la', 'language'],
+  'au': ['au', 'author'],
+  'ad': ['ad', 'affiliation'],
+  'ta': ['ta', 'journal', 'jour'],
+  'sb': ['sb', 'subset'],
+  'filter': ['filter'],
+  'nm': ['nm', 'supplementary concept'],
+  'pmid': ['pmid', 'uid'],
+  'all': ['all', 'all fields']
+};
+
+const FIELD_LOOKUP = Object.entries(FIELD_ALIASES).reduce((lookup, [canonical, aliases]) => {
+  aliases.forEach(alias => { lookup[alias] = canonical; });
+  return lookup;
+}, {});
+
+// Campos que admiten búsqueda por proximidad ("a b"[tiab:~N])
+const PROXIMITY_FIELDS = ['tiab', 'ti', 'ad'];
+
+// Campos de fecha que admiten rangos (desde:hasta)
+const DATE_FIELDS = ['dp', 'pdat', 'edat', 'crdt', 'mhda'];
+
+// Longitud mínima de la raíz antes del comodín de truncamiento
+const MIN_TRUNCATION_STEM = 4;
+
+const DATE_REGEX = /^\d{4}(\/\d{1,2}(\/\d{1,2})?)?$/;
+const WORD_BREAK_REGEX = /[\s()"[\]]/;
+
+// Errores que no se reparan: quitar el operador cambiaría el sentido de la búsqueda
+// ("NOT cancer" pasaría a buscar "cancer")
+const UNREPAIRABLE_ERRORS = ['UNARY_NOT'];
+
+/**
+ * Crea un objeto de diagnóstico (error o advertencia)
+ * @param {string} code - Código del diagnóstico
+ * @param {string} message - Mensaje descriptivo
+ * @param {number} position - Posición (índice) en la consulta original
+ * @param {number} length - Longitud del fragmento afectado
+ * @returns {Object} - Diagnóstico
+ */
+const diagnostic = (code, message, position, length = 1) => ({ code, message, position, length });
+
+/**
+ * Divide una consulta PubMed en tokens
+ * @param {string} query - Consulta original
+ * @returns {Object} - { tokens, errors }
+ */
+export function tokenize(query) {
+  const text = String(query || '');
+  const tokens = [];
+  const errors = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? TOKEN_TYPES.LPAREN : TOKEN_TYPES.RPAREN, value: char, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const close = text.indexOf('"', i + 1);
+      if (close === -1) {
+        errors.push(diagnostic('UNTERMINATED_QUOTE', 'Comilla sin cerrar', i, text.length - i));
+        tokens.push({ type: TOKEN_TYPES.PHRASE, value: text.slice(i + 1).trim(), start: i, end: text.length });
+        i = text.length;
+      } else {
+        tokens.push({ type: TOKEN_TYPES.PHRASE, value: text.slice(i + 1, close).trim(), start: i, end: close + 1 });
+        i = close + 1;
+      }
+      continue;
+    }
+
+    if (char === '[') {
+      const close = text.indexOf(']', i + 1);
+      if (close === -1) {
+        errors.push(diagnostic('UNTERMINATED_FIELD', 'Etiqueta de campo sin cerrar', i, text.length - i));
+        tokens.push({ type: TOKEN_TYPES.FIELD, value: text.slice(i + 1).trim(), start: i, end: text.length });
+        i = text.length;
+      } else {
+        tokens.push({ type: TOKEN_TYPES.FIELD, value: text.slice(i + 1, close).trim(), start: i, end: close + 1 });
+        i = close + 1;
+      }
+      continue;
+    }
+
+    if (char === ']') {
+      errors.push(diagnostic('UNEXPECTED_CHARACTER', 'Corchete de cierre sin etiqueta de campo', i));
+      i++;
+      continue;
+    }
+
+    if (char === ':') {
+      tokens.push({ type: TOKEN_TYPES.COLON, value: ':', start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    // Palabra libre u operador booleano
+    let end = i;
+    while (end < text.length && !WORD_BREAK_REGEX.test(text[end])) {
+      end++;
+    }
+    const value = text.slice(i, end);
+    const upper = value.toUpperCase();
+
+    if (OPERATORS.includes(upper)) {
+      tokens.push({ type: TOKEN_TYPES.OPERATOR, value: upper, raw: value, start: i, end });
+    } else {
+      tokens.push({ type: TOKEN_TYPES.WORD, value, start: i, end });
+    }
+    i = end;
+  }
+
+  return { tokens, errors };
+}
+
+/**
+ * Normaliza una etiqueta de campo y extrae la proximidad si existe
+ * @param {Object} token - Token FIELD
+ * @param {Array} errors - Lista de errores a completar
+ * @param {Array} warnings - Lista de advertencias a completar
+ * @returns {Object} - { field, proximity }
+ */
+const parseField = (token, errors, warnings) => {
+  const raw = token.value;
+  const proximityMatch = raw.match(/^(.+?):~\s*(\S*)$/);
+  const base = (proximityMatch ? proximityMatch[1] : raw).trim().toLowerCase();
+  let field = FIELD_LOOKUP[base];
+
+  if (!base) {
+    errors.push(diagnostic('EMPTY_FIELD', 'Etiqueta de campo vacía', token.start, token.end - token.start));
+    return { field: null, proximity: null };
+  }
+
+  if (!field) {
+    warnings.push(diagnostic('UNKNOWN_FIELD', `Etiqueta de campo desconocida: [${raw}]`, token.start, token.end - token.start));
+    field = proximityMatch ? proximityMatch[1].trim() : raw;
+  }
+
+  let proximity = null;
+  if (proximityMatch) {
+    proximity = Number(proximityMatch[2]);
+    if (!Number.isInteger(proximity) || proximity < 0) {
+      errors.push(diagnostic('INVALID_PROXIMITY', `Distancia de proximidad inválida: [${raw}]`, token.start, token.end - token.start));
+      proximity = null;
+    } else if (!PROXIMITY_FIELDS.includes(field)) {
+      errors.push(diagnostic(
+        'INVALID_PROXIMITY',
+        `La búsqueda por proximidad solo admite los campos ${PROXIMITY_FIELDS.join(', ')}`,
+        token.start,
+        token.end - token.start
+      ));
+      proximity = null;
+    }
+  }
+
+  return { field, proximity };
+};
+
+/**
+ * Analizador sintáctico descendente recursivo sobre la lista de tokens
+ */
+class Parser {
+  constructor(tokens, errors, warnings) {
+    this.tokens = tokens;
+    this.errors = errors;
+    this.warnings = warnings;
+    this.pos = 0;
+    this.depth = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  /**
+   * Analiza la consulta completa
+   * @returns {Object|null} - Nodo raíz del AST
+   */
+  parseQuery() {
+    const ast = this.parseExpression();
+
+    while (this.pos < this.tokens.length) {
+      const token = this.next();
+      if (token.type === TOKEN_TYPES.RPAREN) {
+        this.errors.push(diagnostic('UNEXPECTED_CLOSING_PAREN', 'Paréntesis de cierre sin apertura', token.start));
+      } else {
+        this.errors.push(diagnostic('UNEXPECTED_TOKEN', `Elemento inesperado: ${token.value}`, token.start, token.end - token.start));
+      }
+    }
+
+    return ast;
+  }
+
+  /**
+   * Analiza una secuencia de unidades unidas por operadores (izquierda a derecha)
+   * @returns {Object|null} - Nodo del AST
+   */
+  parseExpression() {
+    let left = null;
+
+    while (this.pos < this.tokens.length) {
+      const token = this.peek();
+
+      if (token.type === TOKEN_TYPES.RPAREN) {
+        if (this.depth > 0) break;
+        this.next();
+        this.errors.push(diagnostic('UNEXPECTED_CLOSING_PAREN', 'Paréntesis de cierre sin apertura', token.start));
+        continue;
+      }
+
+      let operator = null;
+      if (token.type === TOKEN_TYPES.OPERATOR) {
+        this.next();
+        operator = token;
+        if (token.raw !== token.value) {
+          this.warnings.push(diagnostic(
+            'LOWERCASE_OPERATOR',
+            `PubMed requiere operadores en mayúsculas: "${token.raw}" se interpretó como ${token.value}`,
+            token.start,
+            token.end - token.start
+          ));
+        }
+
+        if (!left && token.value === 'NOT') {
+          this.errors.push(diagnostic(
+            'UNARY_NOT',
+            'PubMed no admite NOT sin un término a la izquierda: indica qué buscar antes de excluir (p. ej. "diabetes NOT cancer")',
+            token.start,
+            token.end - token.start
+          ));
+          continue;
+        }
+
+        if (!left) {
+          this.errors.push(diagnostic('MISSING_OPERAND', `Falta el término a la izquierda de ${token.value}`, token.start, token.end - token.start));
+          continue;
+        }
+
+        const following = this.peek();
+        if (!following || following.type === TOKEN_TYPES.RPAREN || following.type === TOKEN_TYPES.OPERATOR) {
+          this.errors.push(diagnostic('MISSING_OPERAND', `Falta el término a la derecha de ${token.value}`, token.start, token.end - token.start));
+          continue;
+        }
+      }
+
+      const right = this.parseUnit();
+      if (!right) continue;
+
+      if (!left) {
+        left = right;
+        continue;
+      }
+
+      if (!operator) {
+        this.warnings.push(diagnostic(
+          'IMPLICIT_AND',
+          'Términos sin operador entre ellos: se asume AND',
+          right.start,
+          right.end - right.start
+        ));
+      }
+
+      left = this.combine(operator ? operator.value : 'AND', left, right);
+    }
+
+    return left;
+  }
+
+  /**
+   * Une dos nodos con un operador, aplanando cadenas del mismo operador
+   * @param {string} operator - Operador booleano
+   * @param {Object} left - Nodo izquierdo
+   * @param {Object} right - Nodo derecho
+   * @returns {Object} - Nodo booleano
+   */
+  combine(operator, left, right) {
+    const operands = left.type === 'boolean' && left.operator === operator
+      ? [...left.operands]
+      : [left];
+
+    // AND y OR son asociativos; NOT no lo es por la derecha
+    if (operator !== 'NOT' && right.type === 'boolean' && right.operator === operator) {
+      operands.push(...right.operands);
+    } else {
+      operands.push(right);
+    }
+
+    return { type: 'boolean', operator, operands, start: left.start, end: right.end };
+  }
+
+  /**
+   * Analiza un grupo entre paréntesis o un término
+   * @returns {Object|null} - Nodo del AST
+   */
+  parseUnit() {
+    const token = this.peek();
+
+    if (token.type === TOKEN_TYPES.LPAREN) {
+      this.next();
+      this.depth++;
+      const inner = this.parseExpression();
+      this.depth--;
+
+      const closing = this.peek();
+      let end;
+      if (closing && closing.type === TOKEN_TYPES.RPAREN) {
+        this.next();
+        end = closing.end;
+      } else {
+        this.errors.push(diagnostic('MISSING_CLOSING_PAREN', 'Paréntesis sin cerrar', token.start));
+        end = inner ? inner.end : token.end;
+      }
+
+      if (!inner) {
+        this.errors.push(diagnostic('EMPTY_GROUP', 'Grupo vacío entre paréntesis', token.start, end - token.start));
+        return null;
+      }
+
+      const fieldToken = this.peek();
+      if (fieldToken && fieldToken.type === TOKEN_TYPES.FIELD) {
+        this.next();
+        this.errors.push(diagnostic(
+          'FIELD_ON_GROUP',
+          'Las etiquetas de campo deben aplicarse a cada término, no a un grupo',
+          fieldToken.start,
+          fieldToken.end - fieldToken.start
+        ));
+      }
+
+      return { ...inner, start: token.start, end };
+    }
+
+    if (token.type === TOKEN_TYPES.PHRASE || token.type === TOKEN_TYPES.WORD) {
+      return this.parseTerm();
+    }
+
+    this.next();
+    if (token.type === TOKEN_TYPES.FIELD) {
+      this.errors.push(diagnostic('FIELD_WITHOUT_TERM', `Etiqueta de campo sin término: [${token.value}]`, token.start, token.end - token.start));
+    } else {
+      this.errors.push(diagnostic('UNEXPECTED_TOKEN', `Elemento inesperado: ${token.value}`, token.start, token.end - token.start));
+    }
+    return null;
+  }
+
+  /**
+   * Analiza un término (frase o palabras libres) con su etiqueta de campo opcional,
+   * incluyendo rangos de fechas del tipo 2015:2020[dp] o "2015"[dp] : "2020"[dp]
+   * @returns {Object|null} - Nodo term o range
+   */
+  parseTerm() {
+    const first = this.next();
+    let value = first.value;
+    let end = first.end;
+    const quoted = first.type === TOKEN_TYPES.PHRASE;
+
+    // Palabras consecutivas sin comillas forman un único término
+    if (!quoted) {
+      while (this.peek() && this.peek().type === TOKEN_TYPES.WORD) {
+        const word = this.next();
+        value += ` ${word.value}`;
+        end = word.end;
+      }
+    }
+
+    let field = null;
+    let proximity = null;
+    const fieldToken = this.peek();
+    if (fieldToken && fieldToken.type === TOKEN_TYPES.FIELD) {
+      this.next();
+      ({ field, proximity } = parseField(fieldToken, this.errors, this.warnings));
+      end = fieldToken.end;
+    }
+
+    // Rango con el formato "desde"[campo] : "hasta"[campo]
+    if (this.peek() && this.peek().type === TOKEN_TYPES.COLON) {
+      const colon = this.next();
+      const upper = this.peek();
+      if (!upper || (upper.type !== TOKEN_TYPES.PHRASE && upper.type !== TOKEN_TYPES.WORD)) {
+        this.errors.push(diagnostic('INVALID_RANGE', 'Falta el límite superior del rango', colon.start));
+        return this.buildRange(value, '', field, first.start, colon.end);
+      }
+      const upperTerm = this.parseTerm();
+      if (!upperTerm || upperTerm.type !== 'term') {
+        this.errors.push(diagnostic('INVALID_RANGE', 'Límite superior del rango inválido', colon.start));
+        return this.buildRange(value, '', field, first.start, upper.end);
+      }
+      return this.buildRange(value, upperTerm.value, field || upperTerm.field, first.start, upperTerm.end);
+    }
+
+    // Rango compacto: 2015/01/01:2020/12/31[dp]
+    if (!quoted && /^[^:\s]+:[^:\s]+$/.test(value) && (field === null || DATE_FIELDS.includes(field))) {
+      const [from, to] = value.split(':');
+      if (DATE_REGEX.test(from) || DATE_REGEX.test(to)) {
+        return this.buildRange(from, to, field, first.start, end);
+      }
+    }
+
+    if (!value) {
+      this.errors.push(diagnostic('EMPTY_TERM', 'Término vacío entre comillas', first.start, first.end - first.start));
+      return null;
+    }
+
+    const term = { type: 'term', value, quoted, field, proximity, truncated: false, start: first.start, end };
+    this.checkTruncation(term);
+
+    if (proximity !== null && (!quoted || value.split(/\s+/).length < 2)) {
+      this.errors.push(diagnostic(
+        'INVALID_PROXIMITY',
+        'La búsqueda por proximidad requiere una frase entre comillas con al menos dos palabras',
+        first.start,
+        end - first.start
+      ));
+      term.proximity = null;
+    }
+
+    return term;
+  }
+
+  /**
+   * Construye y valida un nodo de rango de fechas
+   * @returns {Object} - Nodo range
+   */
+  buildRange(from, to, field, start, end) {
+    const node = { type: 'range', from, to, field, start, end };
+
+    if (!field) {
+      this.warnings.push(diagnostic('RANGE_WITHOUT_FIELD', 'Rango sin etiqueta de campo: se asume [dp]', start, end - start));
+      node.field = 'dp';
+    } else if (!DATE_FIELDS.includes(field)) {
+      this.errors.push(diagnostic('INVALID_RANGE', `El campo [${field}] no admite rangos de fechas`, start, end - start));
+    }
+
+    if (!DATE_REGEX.test(from) || (to && !DATE_REGEX.test(to) && to !== '3000')) {
+      this.errors.push(diagnostic('INVALID_RANGE', 'Las fechas del rango deben tener el formato AAAA[/MM[/DD]]', start, end - start));
+    }
+
+    return node;
+  }
+
+  /**
+   * Comprueba el uso del comodín de truncamiento en un término
+   * @param {Object} term - Nodo term
+   */
+  checkTruncation(term) {
+    const wildcardIndex = term.value.indexOf('*');
+    if (wildcardIndex === -1) return;
+
+    const length = term.end - term.start;
+    if (wildcardIndex !== term.value.length - 1) {
+      this.warnings.push(diagnostic('INNER_WILDCARD', 'PubMed solo admite el comodín * al final del término', term.start, length));
+      return;
+    }
+
+    term.truncated = true;
+    const stem = term.value.slice(0, -1).split(/\s+/).pop();
+    if (stem.length < MIN_TRUNCATION_STEM) {
+      this.warnings.push(diagnostic(
+        'SHORT_TRUNCATION',
+        `El truncamiento requiere al menos ${MIN_TRUNCATION_STEM} caracteres antes de *`,
+        term.start,
+        length
+      ));
+    }
+
+    if (term.field && term.field.startsWith('MeSH')) {
+      this.warnings.push(diagnostic('TRUNCATED_MESH', 'El truncamiento no se aplica a términos MeSH', term.start, length));
+    }
+  }
+}
+
+/**
+ * Analiza una consulta PubMed y genera su AST
+ * @param {string} query - Consulta original
+ * @returns {Object} - { ast, errors, warnings }
+ */
+export function parse(query) {
+  const { tokens, errors } = tokenize(query);
+  const warnings = [];
+  const parser = new Parser(tokens, errors, warnings);
+  const ast = parser.parseQuery();
+
+  if (!ast && errors.length === 0) {
+    errors.push(diagnostic('EMPTY_QUERY', 'La consulta está vacía', 0, 0));
+  }
+
+  errors.sort((a, b) => a.position - b.position);
+  warnings.sort((a, b) => a.position - b.position);
+
+  return { ast, errors, warnings };
+}
+
+/**
+ * Serializa un nodo term
+ * @param {Object} node - Nodo term
+ * @returns {string} - Término en sintaxis PubMed
+ */
+const serializeTerm = (node) => {
+  const needsQuotes = node.quoted || (node.field && /\s/.test(node.value));
+  const value = needsQuotes ? `"${node.value}"` : node.value;
+  if (!node.field) return value;
+
+  const field = node.proximity !== null && node.proximity !== undefined
+    ? `${node.field}:~${node.proximity}`
+    : node.field;
+  return `${value}[${field}]`;
+};
+
+/**
+ * Serializa un AST a una consulta PubMed normalizada
+ * @param {Object} node - Nodo del AST
+ * @returns {string} - Consulta PubMed
+ */
+export function serialize(node) {
+  if (!node) return '';
+
+  switch (node.type) {
+    case 'term':
+      return serializeTerm(node);
+    case 'range':
+      return `${node.from}:${node.to || '3000'}[${node.field}]`;
+    case 'boolean':
+      return node.operands
+        .map(operand => (operand.type === 'boolean' ? `(${serialize(operand)})` : serialize(operand)))
+        .join(` ${node.operator} `);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Elimina las posiciones del AST para exponerlo en la API
+ * @param {Object} node - Nodo del AST
+ * @returns {Object|null} - Nodo sin posiciones
+ */
+const stripPositions = (node) => {
+  if (!node) return null;
+  const { start, end, ...rest } = node;
+  if (rest.operands) {
+    rest.operands = rest.operands.map(stripPositions);
+  }
+  return { ...rest, position: start, length: end - start };
+};
+
+/**
+ * Valida una estrategia de búsqueda y devuelve su versión normalizada
+ * Si hay errores recuperables, la consulta normalizada refleja la reparación aplicada; con un
+ * error no reparable (NOT sin término a la izquierda) normalized es null
+ * @param {string} query - Estrategia de búsqueda
+ * @returns {Object} - { valid, errors, warnings, normalized, ast }
+ */
+export function validateQuery(query) {
+  const { ast, errors, warnings } = parse(query);
+  const repairable = !errors.some(error => UNREPAIRABLE_ERRORS.includes(error.code));
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    normalized: repairable ? serialize(ast) : null,
+    ast: stripPositions(ast)
+  };
+}
+
+export default {
+  TOKEN_TYPES,
+  OPERATORS,
+  tokenize,
+  parse,
+  serialize,
+  validateQuery
+};
@@ -0,0 +1,277 @@
+/**
+ * Parser del XML de efetch de PubMed (PubmedArticleSet)
+ * Extrae secciones del abstract, tipos de publicación, MeSH con calificadores,
+ * palabras clave, afiliaciones, financiación, idioma e identificadores
+ */
+import { XMLParser } from 'fast-xml-parser';
+
+// Nodos que pueden repetirse y deben tratarse siempre como arreglos
+const ARRAY_NODES = [
+  'PubmedArticle',
+  'PubmedBookArticle',
+  'AbstractText',
+  'Author',
+  'AffiliationInfo',
+  'PublicationType',
+  'MeshHeading',
+  'QualifierName',
+  'KeywordList',
+  'Keyword',
+  'Grant',
+  'Language',
+  'ArticleId',
+  'ELocationID'
+];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  // Conservar el contenido mixto (<i>, <sup>...) de títulos y abstracts como texto
+  stopNodes: ['*.ArticleTitle', '*.AbstractText', '*.VernacularTitle'],
+  isArray: (name) => ARRAY_NODES.includes(name)
+});
+
+/**
+ * Elimina etiquetas internas y decodifica entidades XML básicas
+ * @param {string} value - Texto con posible marcado
+ * @returns {string} - Texto plano
+ */
+const cleanText = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Obtiene el texto de un nodo que puede ser cadena u objeto con atributos
+ * @param {string|Object} node - Nodo parseado
+ * @returns {string} - Texto del nodo
+ */
+const nodeText = (node) => {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return cleanText(node['#text']);
+  return cleanText(node);
+};
+
+/**
+ * Asegura que un valor sea un arreglo
+ * @param {*} value - Valor a convertir
+ * @returns {Array} - Arreglo
+ */
+const toArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Construye la fecha de publicación en el formato de esummary (p. ej. "2021 Mar 5")
+ * @param {Object} article - Nodo Article
+ * @returns {Object} - { pubdate, year }
+ */
+const extractPublicationDate = (article) => {
+  const pubDate = article?.Journal?.JournalIssue?.PubDate || {};
+
+  if (pubDate.MedlineDate) {
+    const medlineDate = nodeText(pubDate.MedlineDate);
+    const yearMatch = medlineDate.match(/\d{4}/);
+    return { pubdate: medlineDate, year: yearMatch ? parseInt(yearMatch[0], 10) : null };
+  }
+
+  let year = nodeText(pubDate.Year);
+  let month = nodeText(pubDate.Month);
+  let day = nodeText(pubDate.Day);
+
+  // Si la revista no tiene fecha, usar la fecha de publicación electrónica
+  if (!year) {
+    const articleDate = toArray(article?.ArticleDate)[0] || {};
+    year = nodeText(articleDate.Year);
+    month = nodeText(articleDate.Month);
+    day = nodeText(articleDate.Day);
+  }
+
+  if (/^\d{1,2}$/.test(month)) {
+    month = MONTHS[parseInt(month, 10) - 1] || month;
+  }
+
+  return {
+    pubdate: [year, month, day ? String(parseInt(day, 10)) : ''].filter(Boolean).join(' ') || null,
+    year: year ? parseInt(year, 10) : null
+  };
+};
+
+/**
+ * Extrae las secciones del abstract, conservando las etiquetas de los abstracts estructurados
+ * @param {Object} article - Nodo Article
+ * @returns {Array<Object>} - Secciones { label, category, text }
+ */
+const extractAbstractSections = (article) => {
+  return toArray(article?.Abstract?.AbstractText)
+    .map(section => ({
+      label: typeof section === 'object' ? section['@_Label'] || null : null,
+      category: typeof section === 'object' ? section['@_NlmCategory'] || null : null,
+      text: nodeText(section)
+    }))
+    .filter(section => section.text);
+};
+
+/**
+ * Extrae los autores con sus afiliaciones
+ * @param {Object} article - Nodo Article
+ * @returns {Array<Object>} - Autores { name, authtype, affiliations }
+ */
+const extractAuthors = (article) => {
+  return toArray(article?.AuthorList?.Author)
+    .map(author => {
+      const affiliations = toArray(author.AffiliationInfo)
+        .map(info => nodeText(info.Affiliation))
+        .filter(Boolean);
+
+      if (author.CollectiveName) {
+        return { name: nodeText(author.CollectiveName), authtype: 'CollectiveName', affiliations };
+      }
+
+      const lastName = nodeText(author.LastName);
+      const initials = nodeText(author.Initials) || nodeText(author.ForeName).charAt(0);
+      return {
+        name: [lastName, initials].filter(Boolean).join(' '),
+        authtype: 'Author',
+        affiliations
+      };
+    })
+    .filter(author => author.name);
+};
+
+/**
+ * Extrae los encabezados MeSH con sus calificadores y la marca de tema principal
+ * @param {Object} citation - Nodo MedlineCitation
+ * @returns {Array<Object>} - Encabezados { descriptor, ui, majorTopic, qualifiers }
+ */
+const extractMeshHeadings = (citation) => {
+  return toArray(citation?.MeshHeadingList?.MeshHeading)
+    .map(heading => {
+      const descriptor = heading.DescriptorName || {};
+      const qualifiers = toArray(heading.QualifierName).map(qualifier => ({
+        name: nodeText(qualifier),
+        ui: qualifier['@_UI'] || null,
+        majorTopic: qualifier['@_MajorTopicYN'] === 'Y'
+      }));
+
+      return {
+        descriptor: nodeText(descriptor),
+        ui: descriptor['@_UI'] || null,
+        // El descriptor es tema principal si lo está él o alguno de sus calificadores
+        majorTopic: descriptor['@_MajorTopicYN'] === 'Y' || qualifiers.some(qualifier => qualifier.majorTopic),
+        qualifiers
+      };
+    })
+    .filter(heading => heading.descriptor);
+};
+
+/**
+ * Extrae los identificadores del artículo (DOI, PMC, PII...)
+ * @param {Object} record - Nodo PubmedArticle
+ * @param {Object} article - Nodo Article
+ * @returns {Object} - Identificadores por tipo
+ */
+const extractArticleIds = (record, article) => {
+  const ids = {};
+
+  toArray(record?.PubmedData?.ArticleIdList?.ArticleId).forEach(id => {
+    const type = id['@_IdType'];
+    if (type && !ids[type]) ids[type] = nodeText(id);
+  });
+
+  // Algunos registros solo incluyen el DOI en ELocationID
+  if (!ids.doi) {
+    const doiLocation = toArray(article?.ELocationID).find(location => location['@_EIdType'] === 'doi');
+    if (doiLocation) ids.doi = nodeText(doiLocation);
+  }
+
+  return ids;
+};
+
+/**
+ * Convierte un nodo PubmedArticle en datos planos para el modelo Article
+ * @param {Object} record - Nodo PubmedArticle
+ * @returns {Object|null} - Datos del artículo o null si no tiene PMID
+ */
+const parseRecord = (record) => {
+  const citation = record?.MedlineCitation;
+  const article = citation?.Article;
+  const pmid = nodeText(citation?.PMID);
+  if (!pmid || !article) return null;
+
+  const abstractSections = extractAbstractSections(article);
+  const authors = extractAuthors(article);
+  const meshHeadings = extractMeshHeadings(citation);
+  const articleIds = extractArticleIds(record, article);
+  const { pubdate, year } = extractPublicationDate(article);
+
+  return {
+    pmid,
+    doi: articleIds.doi || null,
+    pmcid: articleIds.pmc || null,
+    title: nodeText(article.ArticleTitle) || nodeText(article.VernacularTitle),
+    abstract: abstractSections
+      .map(section => (section.label ? `${section.label}: ${section.text}` : section.text))
+      .join('\n\n'),
+    abstractSections,
+    authors,
+    affiliations: [...new Set(authors.flatMap(author => author.affiliations))],
+    pubdate,
+    year,
+    journal: nodeText(article.Journal?.Title) || nodeText(article.Journal?.ISOAbbreviation) || null,
+    journalAbbreviation: nodeText(article.Journal?.ISOAbbreviation) || null,
+    volume: nodeText(article.Journal?.JournalIssue?.Volume) || null,
+    issue: nodeText(article.Journal?.JournalIssue?.Issue) || null,
+    pages: nodeText(article.Pagination?.MedlinePgn) || null,
+    language: toArray(article.Language).map(nodeText).filter(Boolean),
+    publicationTypes: toArray(article.PublicationTypeList?.PublicationType)
+      .map(type => ({ name: nodeText(type), ui: type['@_UI'] || null }))
+      .filter(type => type.name),
+    meshHeadings,
+    meshTerms: meshHeadings.map(heading => heading.descriptor),
+    keywords: toArray(citation.KeywordList)
+      .flatMap(list => toArray(list.Keyword))
+      .map(nodeText)
+      .filter(Boolean),
+    grants: toArray(article.GrantList?.Grant).map(grant => ({
+      grantId: nodeText(grant.GrantID) || null,
+      agency: nodeText(grant.Agency) || null,
+      country: nodeText(grant.Country) || null
+    }))
+  };
+};
+
+/**
+ * Parsea la respuesta XML de efetch
+ * @param {string} xml - XML de PubmedArticleSet
+ * @returns {Array<Object>} - Artículos en el orden del XML
+ */
+export function parsePubmedArticleSet(xml) {
+  if (!xml || typeof xml !== 'string') return [];
+
+  const document = parser.parse(xml);
+  const records = toArray(document?.PubmedArticleSet?.PubmedArticle);
+
+  return records.map(parseRecord).filter(Boolean);
+}
+
+export default {
+  parsePubmedArticleSet
+};
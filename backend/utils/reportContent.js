@@ -0,0 +1,231 @@
+/**
+ * Contenido del informe de síntesis de evidencia
+ * Convierte el HTML de la síntesis generada por la IA en bloques de texto con formato,
+ * resuelve las citas "(Autor et al., año; PMID: 123)" a los artículos de la consulta y
+ * genera las referencias en estilo Vancouver
+ */
+
+// Etiquetas de bloque de la síntesis y tipo de bloque que generan
+const BLOCK_TAGS = {
+  h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+  p: 'paragraph', div: 'paragraph', li: 'listItem', blockquote: 'paragraph'
+};
+
+// Máximo de autores antes de abreviar con "et al." (recomendación ICMJE)
+const MAX_REFERENCE_AUTHORS = 6;
+
+// Patrón de las citas de la síntesis (el mismo que processCitationReferences en el cliente):
+// paréntesis con "Autor et al., año" o con PMIDs, p. ej. "(Smith et al., 2020; PMID: 123)"
+export const CITATION_PATTERN = /\(([^()]*?(?:et al\.,\s*\d{4}|PMID:?\s*\d+)[^()]*?)\)/g;
+
+// PMIDs que ancla una cita
+const CITATION_PMID_PATTERN = /PMID:?\s*(\d+)/g;
+
+/**
+ * PMIDs incluidos en el texto de una cita
+ * @param {string} citation - Texto de la cita sin paréntesis
+ * @returns {Array<string>} - PMIDs en el orden de la cita
+ */
+export const extractCitedPmids = (citation) => [...citation.matchAll(CITATION_PMID_PATTERN)].map(match => match[1]);
+
+/**
+ * Decodifica las entidades HTML más habituales
+ * @param {string} text - Texto con entidades
+ * @returns {string} - Texto decodificado
+ */
+const decodeEntities = (text) => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&amp;/g, '&');
+
+/**
+ * Convierte el HTML de la síntesis en bloques con fragmentos de texto con formato
+ * Solo se conservan encabezados, párrafos, elementos de lista, negrita y cursiva;
+ * el resto de etiquetas (p. ej. los span de las citas interactivas) se eliminan
+ * @param {string} html - Síntesis en HTML (o texto plano)
+ * @returns {Array<Object>} - [{ type: 'heading'|'paragraph'|'listItem', runs: [{ text, bold, italic }] }]
+ */
+export function parseSynthesisHtml(html) {
+  if (!html || typeof html !== 'string') return [];
+
+  const blocks = [];
+  let current = null;
+  let bold = 0;
+  let italic = 0;
+
+  const closeBlock = () => {
+    if (current) {
+      // Unir espacios entre fragmentos y descartar bloques vacíos
+      current.runs = current.runs.filter(run => run.text);
+      if (current.runs.length > 0) {
+        current.runs[0].text = current.runs[0].text.trimStart();
+        current.runs[current.runs.length - 1].text = current.runs[current.runs.length - 1].text.trimEnd();
+        blocks.push(current);
+      }
+    }
+    current = null;
+  };
+
+  const addText = (raw) => {
+    const text = decodeEntities(raw).replace(/\s+/g, ' ');
+    if (!text.trim() && !current) return;
+    if (!current) current = { type: 'paragraph', runs: [] };
+    current.runs.push({ text, bold: bold > 0, italic: italic > 0 });
+  };
+
+  // Sin etiquetas: los párrafos se separan con líneas en blanco
+  if (!/<[a-z][^>]*>/i.test(html)) {
+    return html.split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .map(text => ({ type: 'paragraph', runs: [{ text, bold: false, italic: false }] }));
+  }
+
+  const tokens = html.replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '').split(/(<[^>]+>)/);
+  tokens.forEach(token => {
+    const tag = token.match(/^<\s*(\/)?\s*([a-z0-9]+)/i);
+    if (!tag) {
+      if (token) addText(token);
+      return;
+    }
+
+    const closing = Boolean(tag[1]);
+    const name = tag[2].toLowerCase();
+
+    if (BLOCK_TAGS[name]) {
+      closeBlock();
+      if (!closing) current = { type: BLOCK_TAGS[name], runs: [] };
+    } else if (name === 'br') {
+      closeBlock();
+    } else if (name === 'strong' || name === 'b') {
+      bold = Math.max(bold + (closing ? -1 : 1), 0);
+    } else if (name === 'em' || name === 'i') {
+      italic = Math.max(italic + (closing ? -1 : 1), 0);
+    }
+  });
+  closeBlock();
+
+  return blocks;
+}
+
+/**
+ * Apellido del primer autor de un artículo ("Smith JA" -> "smith")
+ * @param {Object} article - Artículo
+ * @returns {string} - Apellido en minúsculas o cadena vacía
+ */
+const firstAuthorSurname = (article) => {
+  const first = Array.isArray(article.authors) ? article.authors[0] : null;
+  const name = (typeof first === 'string' ? first : first?.name) || '';
+  return name.replace(/\s+[A-Z]{1,4}$/, '').trim().toLowerCase();
+};
+
+/**
+ * Año de publicación de un artículo
+ * @param {Object} article - Artículo
+ * @returns {number|null} - Año o null
+ */
+export const articleYear = (article) => {
+  if (article.year) return Number(article.year);
+  const match = String(article.publicationDate || article.pubdate || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * Busca el artículo al que se refiere una cita "Autor et al., año"
+ * Primero por el apellido del primer autor y, si no, por cualquier autor del artículo
+ * @param {string} citation - Texto de la cita sin paréntesis
+ * @param {Array<Object>} articles - Artículos de la consulta
+ * @returns {number} - Posición del artículo o -1 si no se encuentra
+ */
+export function findCitedArticle(citation, articles) {
+  const match = citation.match(/([^\s,]+)(?:\s+et\s+al\.)?,\s*(\d{4})/);
+  if (!match) return -1;
+
+  const surname = match[1].toLowerCase();
+  const year = Number(match[2]);
+  const sameYear = (article) => articleYear(article) === year;
+
+  const byFirstAuthor = articles.findIndex(article => sameYear(article) && firstAuthorSurname(article) === surname);
+  if (byFirstAuthor !== -1) return byFirstAuthor;
+
+  return articles.findIndex(article => sameYear(article) && (article.authors || [])
+    .some(author => (typeof author === 'string' ? author : author?.name || '').toLowerCase().includes(surname)));
+}
+
+/**
+ * Añade a las citas de la síntesis el número de su referencia
+ * "(Smith et al., 2020; PMID: 123)" pasa a "(Smith et al., 2020; PMID: 123) [3]" si el artículo es la referencia 3.
+ * Las citas con PMID se resuelven por el PMID; las que no lo tienen, por autor y año
+ * @param {Array<Object>} blocks - Bloques de parseSynthesisHtml
+ * @param {Array<Object>} articles - Artículos en el orden de la lista de referencias
+ * @returns {Object} - { blocks, cited, unresolved } con los números citados y las citas sin artículo
+ */
+export function resolveCitations(blocks, articles) {
+  const cited = new Set();
+  const unresolved = new Set();
+
+  const resolved = blocks.map(block => ({
+    ...block,
+    runs: block.runs.map(run => ({
+      ...run,
+      text: run.text.replace(CITATION_PATTERN, (marker, citation) => {
+        const pmids = extractCitedPmids(citation);
+        const indexes = pmids.length > 0
+          ? pmids.map(pmid => articles.findIndex(article => String(article.pmid) === pmid))
+          : [findCitedArticle(citation, articles)];
+        if (indexes.includes(-1)) {
+          unresolved.add(citation);
+          return marker;
+        }
+        indexes.forEach(index => cited.add(index + 1));
+        return `${marker} [${[...new Set(indexes)].map(index => index + 1).join(', ')}]`;
+      })
+    }))
+  }));
+
+  return { blocks: resolved, cited: [...cited].sort((a, b) => a - b), unresolved: [...unresolved] };
+}
+
+/**
+ * Formatea una referencia en estilo Vancouver
+ * @param {Object} article - Artículo
+ * @returns {string} - Referencia (autores. Título. Revista. Año;Volumen(Número):Páginas. doi. PMID)
+ */
+export function formatVancouverReference(article) {
+  const names = (article.authors || [])
+    .map(author => (typeof author === 'string' ? author : author?.name))
+    .filter(Boolean);
+  const authors = names.length > MAX_REFERENCE_AUTHORS
+    ? `${names.slice(0, MAX_REFERENCE_AUTHORS).join(', ')}, et al`
+    : names.join(', ');
+
+  const journal = article.journalAbbreviation || article.journal || article.source;
+  const year = articleYear(article);
+  let source = [journal, year].filter(Boolean).join('. ');
+  if (article.volume) source += `;${article.volume}${article.issue ? `(${article.issue})` : ''}`;
+  if (article.pages) source += `:${article.pages}`;
+
+  const title = String(article.title || 'Sin título').trim().replace(/\.$/, '');
+  return [
+    authors ? `${authors}.` : null,
+    `${title}.`,
+    source ? `${source}.` : null,
+    article.doi ? `doi:${article.doi}.` : null,
+    article.pmid ? `PMID: ${article.pmid}.` : null
+  ].filter(Boolean).join(' ');
+}
+
+export default {
+  CITATION_PATTERN,
+  extractCitedPmids,
+  parseSynthesisHtml,
+  findCitedArticle,
+  resolveCitations,
+  formatVancouverReference,
+  articleYear
+};
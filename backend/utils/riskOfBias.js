@@ -0,0 +1,274 @@
+/**
+ * Esquema de la evaluación del riesgo de sesgo de un artículo (análisis con IA)
+ * Elige la herramienta según el diseño del estudio (RoB 2, ROBINS-I o AMSTAR-2), define el
+ * formato JSON que debe devolver Claude por dominio y lo valida, comprobando que las citas
+ * que justifican cada juicio se han copiado literalmente del abstract
+ */
+
+export const RISK_OF_BIAS_SCHEMA_VERSION = '1.0';
+
+/**
+ * Nivel del semáforo al que se traduce cada juicio, común a todas las herramientas
+ */
+export const RISK_LEVELS = {
+  low: 'Bajo',
+  moderate: 'Algunas dudas',
+  high: 'Alto',
+  unclear: 'Sin información'
+};
+
+// Juicios de RoB 2 (dominios y global)
+const ROB2_JUDGMENTS = {
+  low: { label: 'Riesgo bajo', level: 'low' },
+  'some-concerns': { label: 'Algunas dudas', level: 'moderate' },
+  high: { label: 'Riesgo alto', level: 'high' }
+};
+
+// Juicios de ROBINS-I (dominios y global)
+const ROBINS_I_JUDGMENTS = {
+  low: { label: 'Riesgo bajo', level: 'low' },
+  moderate: { label: 'Riesgo moderado', level: 'moderate' },
+  serious: { label: 'Riesgo grave', level: 'high' },
+  critical: { label: 'Riesgo crítico', level: 'high' },
+  'no-information': { label: 'Sin información', level: 'unclear' }
+};
+
+// Respuestas a los ítems de AMSTAR-2
+const AMSTAR2_ANSWERS = {
+  yes: { label: 'Sí', level: 'low' },
+  'partial-yes': { label: 'Sí parcial', level: 'moderate' },
+  no: { label: 'No', level: 'high' }
+};
+
+// Confianza global en los resultados de la revisión según AMSTAR-2
+const AMSTAR2_CONFIDENCE = {
+  high: { label: 'Confianza alta', level: 'low' },
+  moderate: { label: 'Confianza moderada', level: 'moderate' },
+  low: { label: 'Confianza baja', level: 'high' },
+  'critically-low': { label: 'Confianza críticamente baja', level: 'high' }
+};
+
+/**
+ * Herramientas de evaluación, con los diseños de estudio a los que se aplican
+ * y sus dominios (ítems en AMSTAR-2; critical marca los ítems críticos)
+ */
+export const RISK_OF_BIAS_TOOLS = {
+  rob2: {
+    label: 'RoB 2',
+    description: 'Riesgo de sesgo en ensayos aleatorizados (Cochrane RoB 2)',
+    designs: ['rct'],
+    judgments: ROB2_JUDGMENTS,
+    overallJudgments: ROB2_JUDGMENTS,
+    domains: [
+      { id: 'randomization', label: 'Proceso de aleatorización' },
+      { id: 'deviations', label: 'Desviaciones de las intervenciones previstas' },
+      { id: 'missingData', label: 'Datos de resultado faltantes' },
+      { id: 'measurement', label: 'Medición del resultado' },
+      { id: 'reporting', label: 'Selección del resultado informado' }
+    ]
+  },
+  'robins-i': {
+    label: 'ROBINS-I',
+    description: 'Riesgo de sesgo en estudios no aleatorizados de intervenciones',
+    designs: ['non-randomized-trial', 'cohort', 'case-control', 'cross-sectional', 'observational'],
+    judgments: ROBINS_I_JUDGMENTS,
+    overallJudgments: ROBINS_I_JUDGMENTS,
+    domains: [
+      { id: 'confounding', label: 'Confusión' },
+      { id: 'selection', label: 'Selección de los participantes' },
+      { id: 'classification', label: 'Clasificación de las intervenciones' },
+      { id: 'deviations', label: 'Desviaciones de las intervenciones previstas' },
+      { id: 'missingData', label: 'Datos faltantes' },
+      { id: 'measurement', label: 'Medición de los resultados' },
+      { id: 'reporting', label: 'Selección del resultado informado' }
+    ]
+  },
+  amstar2: {
+    label: 'AMSTAR-2',
+    description: 'Calidad metodológica de revisiones sistemáticas',
+    designs: ['systematic-review', 'meta-analysis'],
+    judgments: AMSTAR2_ANSWERS,
+    overallJudgments: AMSTAR2_CONFIDENCE,
+    domains: [
+      { id: 'pico', label: 'Pregunta y criterios de inclusión con componentes PICO' },
+      { id: 'protocol', label: 'Protocolo registrado antes de la revisión', critical: true },
+      { id: 'designSelection', label: 'Justificación de los diseños incluidos' },
+      { id: 'searchStrategy', label: 'Búsqueda bibliográfica exhaustiva', critical: true },
+      { id: 'duplicateSelection', label: 'Selección de estudios por duplicado' },
+      { id: 'duplicateExtraction', label: 'Extracción de datos por duplicado' },
+      { id: 'excludedStudies', label: 'Lista de estudios excluidos justificada', critical: true },
+      { id: 'studyDescription', label: 'Descripción detallada de los estudios incluidos' },
+      { id: 'riskOfBias', label: 'Evaluación del riesgo de sesgo de los estudios', critical: true },
+      { id: 'funding', label: 'Fuentes de financiación de los estudios incluidos' },
+      { id: 'metaAnalysisMethods', label: 'Métodos adecuados de combinación estadística', critical: true },
+      { id: 'riskOfBiasImpact', label: 'Impacto del riesgo de sesgo en el meta-análisis' },
+      { id: 'riskOfBiasDiscussion', label: 'Riesgo de sesgo considerado al interpretar los resultados', critical: true },
+      { id: 'heterogeneity', label: 'Explicación de la heterogeneidad' },
+      { id: 'publicationBias', label: 'Evaluación del sesgo de publicación', critical: true },
+      { id: 'conflicts', label: 'Conflictos de interés declarados' }
+    ]
+  }
+};
+
+/**
+ * Elige la herramienta de evaluación para un diseño de estudio
+ * @param {string} design - Diseño de STUDY_DESIGNS (p. ej. 'rct')
+ * @returns {string|null} - ID de la herramienta o null si ningún instrumento se aplica al diseño
+ */
+export function selectRiskOfBiasTool(design) {
+  const entry = Object.entries(RISK_OF_BIAS_TOOLS).find(([, tool]) => tool.designs.includes(design));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Construye el ejemplo del formato esperado para una herramienta, incluido en el prompt
+ * @param {string} toolId - ID de la herramienta
+ * @returns {Object} - Ejemplo con todos los dominios de la herramienta
+ */
+export function buildRiskOfBiasExample(toolId) {
+  const tool = RISK_OF_BIAS_TOOLS[toolId];
+  const [judgment] = Object.keys(tool.judgments);
+  const [overall] = Object.keys(tool.overallJudgments);
+
+  return {
+    domains: Object.fromEntries(tool.domains.map(domain => [domain.id, {
+      judgment,
+      quote: 'Frase copiada literalmente del abstract que justifica el juicio, o null si no se informa',
+      rationale: 'Explicación breve del juicio'
+    }])),
+    overall: {
+      judgment: overall,
+      rationale: 'Explicación breve del juicio global'
+    }
+  };
+}
+
+/**
+ * Normaliza un texto para comparar citas (minúsculas, sin comillas y con espacios simples)
+ * @param {string} text - Texto
+ * @returns {string} - Texto normalizado
+ */
+const normalizeForQuote = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[“”«»"]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Comprueba que una cita aparece en el abstract
+ * Las citas abreviadas con puntos suspensivos se comprueban por fragmentos
+ * @param {string} quote - Cita
+ * @param {string} abstract - Abstract del artículo
+ * @returns {boolean} - true si todos los fragmentos de la cita están en el abstract
+ */
+export function isQuoteInAbstract(quote, abstract) {
+  const text = normalizeForQuote(abstract);
+  const fragments = normalizeForQuote(quote).split(/\s*(?:\.\.\.|…|\[\.\.\.\])\s*/).filter(Boolean);
+  return fragments.length > 0 && fragments.every(fragment => text.includes(fragment.replace(/^[.,;:\s]+|[.,;:\s]+$/g, '')));
+}
+
+/**
+ * Devuelve una cadena recortada o null si no es texto
+ * @param {*} value - Valor
+ * @returns {string|null} - Cadena o null
+ */
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Valida y normaliza la evaluación del riesgo de sesgo devuelta por Claude
+ * @param {Object} data - Objeto JSON devuelto por Claude
+ * @param {string} toolId - Herramienta con la que se pidió la evaluación
+ * @param {string} abstract - Abstract del artículo, para verificar las citas
+ * @returns {Object} - { valid, errors, assessment } con la evaluación normalizada si es válida
+ */
+export function validateRiskOfBias(data, toolId, abstract) {
+  const tool = RISK_OF_BIAS_TOOLS[toolId];
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['La respuesta debe ser un objeto JSON'], assessment: null };
+  }
+  if (!data.domains || typeof data.domains !== 'object') {
+    return { valid: false, errors: [`domains debe ser un objeto con ${tool.domains.map(domain => domain.id).join(', ')}`], assessment: null };
+  }
+
+  const domains = tool.domains.map(domain => {
+    const entry = data.domains[domain.id];
+    const judgment = toText(entry?.judgment)?.toLowerCase();
+    const quote = toText(entry?.quote);
+
+    if (!tool.judgments[judgment]) {
+      errors.push(`domains.${domain.id}.judgment debe ser uno de: ${Object.keys(tool.judgments).join(', ')}`);
+    }
+    if (quote && !isQuoteInAbstract(quote, abstract)) {
+      errors.push(`domains.${domain.id}.quote no aparece en el abstract: cópiala literalmente o usa null`);
+    }
+
+    return {
+      id: domain.id,
+      label: domain.label,
+      critical: Boolean(domain.critical),
+      judgment,
+      judgmentLabel: tool.judgments[judgment]?.label || null,
+      level: tool.judgments[judgment]?.level || null,
+      quote,
+      rationale: toText(entry?.rationale)
+    };
+  });
+
+  const overallJudgment = toText(data.overall?.judgment)?.toLowerCase();
+  if (!tool.overallJudgments[overallJudgment]) {
+    errors.push(`overall.judgment debe ser uno de: ${Object.keys(tool.overallJudgments).join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, assessment: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    assessment: {
+      schemaVersion: RISK_OF_BIAS_SCHEMA_VERSION,
+      tool: toolId,
+      toolLabel: tool.label,
+      domains,
+      overall: {
+        judgment: overallJudgment,
+        judgmentLabel: tool.overallJudgments[overallJudgment].label,
+        level: tool.overallJudgments[overallJudgment].level,
+        rationale: toText(data.overall.rationale)
+      }
+    }
+  };
+}
+
+/**
+ * Resume una evaluación del riesgo de sesgo en texto plano para incluirla en otros prompts (p. ej. la síntesis)
+ * @param {Object} assessment - Evaluación normalizada
+ * @returns {string} - Resumen en texto
+ */
+export function formatRiskOfBiasForPrompt(assessment) {
+  if (!assessment?.domains) return '';
+
+  // Los dominios sin riesgo bajo son los que justifican el juicio global
+  const concerns = assessment.domains
+    .filter(domain => domain.level !== 'low')
+    .map(domain => `${domain.label}: ${domain.judgmentLabel}${domain.rationale ? ` (${domain.rationale})` : ''}`);
+
+  return [
+    `${assessment.toolLabel}: ${assessment.overall.judgmentLabel}`,
+    concerns.length > 0 ? `Dominios con dudas: ${concerns.join('; ')}` : 'Todos los dominios con riesgo bajo'
+  ].join('\n');
+}
+
+export default {
+  RISK_OF_BIAS_SCHEMA_VERSION,
+  RISK_LEVELS,
+  RISK_OF_BIAS_TOOLS,
+  selectRiskOfBiasTool,
+  buildRiskOfBiasExample,
+  isQuoteInAbstract,
+  validateRiskOfBias,
+  formatRiskOfBiasForPrompt
+};
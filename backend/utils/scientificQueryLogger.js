@@ -5,6 +5,25 @@
 
 const LOG_PREFIX = 'SCIENTIFIC-QUERY';
 
+// Oyentes de eventos de fase registrados por proceso (p. ej. el trabajo asíncrono que lo ejecuta)
+const listeners = new Map();
+
+/**
+ * Notifica un evento de fase al oyente del proceso, si existe
+ * @param {string} queryId - ID del proceso de consulta
+ * @param {Object} event - Evento de fase
+ */
+const notify = (queryId, event) => {
+  const listener = listeners.get(queryId);
+  if (!listener) return;
+  
+  try {
+    listener(event);
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] [${LOG_PREFIX}] [${queryId}] Error en oyente de fase: ${e.message}`);
+  }
+};
+
 /**
  * Genera un ID único para identificar un proceso de consulta
  * @returns {string} - ID único de proceso
@@ -19,12 +38,17 @@ const generateQueryId = () => {
  * Registra el inicio de un proceso de consulta científica
  * @param {string} question - Pregunta clínica original
  * @param {boolean} useAI - Indicador de uso de IA
+ * @param {Function} listener - Función que recibe cada evento de fase (opcional)
  * @returns {string} - ID del proceso iniciado
  */
-const startProcess = (question, useAI) => {
+const startProcess = (question, useAI, listener = null) => {
   const queryId = generateQueryId();
   const timestamp = new Date().toISOString();
   
+  if (listener) {
+    listeners.set(queryId, listener);
+  }
+  
   console.log(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] === INICIO DE PROCESO DE CONSULTA CIENTÍFICA ===`);
   console.log(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] Pregunta: "${question}"`);
   console.log(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] Uso de IA: ${useAI ? 'ACTIVADO' : 'DESACTIVADO'}`);
@@ -43,6 +67,7 @@ const startProcess = (question, useAI) => {
 const phaseInfo = (queryId, phase, message, data = null) => {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] [${phase}] ${message}`);
+  notify(queryId, { phase, type: 'info', message, data });
   
   if (data) {
     if (typeof data === 'string') {
@@ -74,6 +99,7 @@ const phaseInfo = (queryId, phase, message, data = null) => {
 const phaseError = (queryId, phase, message, error = null) => {
   const timestamp = new Date().toISOString();
   console.error(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] [${phase}] ERROR: ${message}`);
+  notify(queryId, { phase, type: 'error', message, error: error?.message || null });
   
   if (error) {
     console.error(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] [${phase}] Mensaje: ${error.message}`);
@@ -97,6 +123,7 @@ const phaseTime = (queryId, phase, startTime, endTime) => {
   const duration = endTime - startTime;
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] [${phase}] Duración: ${duration}ms`);
+  notify(queryId, { phase, type: 'time', message: `Duración: ${duration}ms`, durationMs: duration });
 };
 
 /**
@@ -117,6 +144,8 @@ const endProcess = (queryId, success, resultCount = null) => {
   }
   
   console.log(`[${timestamp}] [${LOG_PREFIX}] [${queryId}] ======================================`);
+  
+  listeners.delete(queryId);
 };
 
 export default {
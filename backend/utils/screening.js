@@ -0,0 +1,377 @@
+/**
+ * Cribado de revisiones sistemáticas de los artículos de una consulta guardada
+ * Define las fases (título y resumen, texto completo), las decisiones y los motivos de exclusión,
+ * valida las decisiones de los revisores, detecta duplicados y conflictos entre revisores y
+ * calcula el estado de cada registro y los recuentos del diagrama de flujo PRISMA 2020
+ */
+
+export const SCREENING_SCHEMA_VERSION = '1.0';
+
+/**
+ * Fases del cribado; al texto completo solo pasan los registros incluidos o dudosos en título y resumen
+ */
+export const SCREENING_STAGES = {
+  'title-abstract': { label: 'Título y resumen' },
+  'full-text': { label: 'Texto completo' }
+};
+
+/**
+ * Decisiones de un revisor
+ */
+export const SCREENING_DECISIONS = {
+  include: 'Incluir',
+  exclude: 'Excluir',
+  maybe: 'Dudoso'
+};
+
+/**
+ * Motivos de exclusión (obligatorios al excluir) y fases en las que se pueden usar
+ * Los informes con not-retrieved cuentan en PRISMA como no recuperados, no como excluidos
+ */
+export const EXCLUSION_REASONS = {
+  'wrong-population': { label: 'Población no pertinente', stages: ['title-abstract', 'full-text'] },
+  'wrong-intervention': { label: 'Intervención no pertinente', stages: ['title-abstract', 'full-text'] },
+  'wrong-comparator': { label: 'Comparador no pertinente', stages: ['title-abstract', 'full-text'] },
+  'wrong-outcome': { label: 'Desenlaces no pertinentes', stages: ['title-abstract', 'full-text'] },
+  'wrong-study-design': { label: 'Diseño de estudio no pertinente', stages: ['title-abstract', 'full-text'] },
+  'wrong-publication-type': { label: 'Tipo de publicación no pertinente', stages: ['title-abstract', 'full-text'] },
+  language: { label: 'Idioma', stages: ['title-abstract', 'full-text'] },
+  'not-retrieved': { label: 'Texto completo no disponible', stages: ['full-text'] },
+  other: { label: 'Otro motivo', stages: ['title-abstract', 'full-text'] }
+};
+
+// Revisores que deben decidir cada registro antes de darlo por cribado; se fija por ejecución con la
+// primera decisión y, una vez decidido un registro por todos ellos, no se admiten revisores nuevos
+export const DEFAULT_REQUIRED_REVIEWERS = 2;
+export const MAX_REQUIRED_REVIEWERS = 2;
+
+const REVIEWER_PATTERN = /^[\p{L}\p{N} ._@-]{1,60}$/u;
+const MAX_NOTE_LENGTH = 500;
+// Longitud mínima del título normalizado para detectar duplicados por título (evita falsos positivos)
+const MIN_DUPLICATE_TITLE_LENGTH = 20;
+
+/**
+ * Devuelve una cadena recortada o null si no es texto
+ * @param {*} value - Valor
+ * @returns {string|null} - Cadena o null
+ */
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Valida y normaliza la decisión de un revisor (o la resolución de un conflicto)
+ * @param {Object} data - { stage, reviewer, decision, reason, note }
+ * @returns {Object} - { valid, errors, decision } con la decisión normalizada si es válida
+ */
+export function validateScreeningDecision(data) {
+  const errors = [];
+  const stage = toText(data?.stage);
+  const reviewer = toText(data?.reviewer);
+  const decision = toText(data?.decision)?.toLowerCase();
+  const reason = toText(data?.reason)?.toLowerCase() || null;
+  const note = toText(data?.note);
+
+  if (!SCREENING_STAGES[stage]) {
+    errors.push(`stage debe ser uno de: ${Object.keys(SCREENING_STAGES).join(', ')}`);
+  }
+  if (!reviewer || !REVIEWER_PATTERN.test(reviewer)) {
+    errors.push('reviewer debe identificar al revisor (hasta 60 letras, números, espacios, puntos, guiones o @)');
+  }
+  if (!SCREENING_DECISIONS[decision]) {
+    errors.push(`decision debe ser uno de: ${Object.keys(SCREENING_DECISIONS).join(', ')}`);
+  }
+  if (decision === 'exclude') {
+    if (!EXCLUSION_REASONS[reason]) {
+      errors.push(`reason es obligatorio al excluir y debe ser uno de: ${Object.keys(EXCLUSION_REASONS).join(', ')}`);
+    } else if (SCREENING_STAGES[stage] && !EXCLUSION_REASONS[reason].stages.includes(stage)) {
+      errors.push(`El motivo ${reason} no se puede usar en la fase ${stage}`);
+    } else if (reason === 'other' && !note) {
+      errors.push('note es obligatorio si el motivo es other');
+    }
+  }
+  if (note && note.length > MAX_NOTE_LENGTH) {
+    errors.push(`note admite hasta ${MAX_NOTE_LENGTH} caracteres`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, decision: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    decision: {
+      stage,
+      reviewer,
+      decision,
+      // El motivo solo se guarda con las exclusiones
+      reason: decision === 'exclude' ? reason : null,
+      note
+    }
+  };
+}
+
+/**
+ * Normaliza un título para comparar duplicados (sin tildes, mayúsculas ni signos)
+ * @param {string} title - Título
+ * @returns {string} - Título normalizado
+ */
+const normalizeTitle = (title) => String(title || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '');
+
+/**
+ * Detecta los registros duplicados de una ejecución (mismo DOI o mismo título y año)
+ * Se conserva el primero por orden de la lista; los siguientes se marcan como duplicados. Las claves
+ * de un duplicado también se registran, con el PMID del original, para detectar un tercer registro
+ * que solo coincide con el duplicado por la otra clave
+ * @param {Array<Object>} articles - Artículos de la ejecución
+ * @returns {Map<string, Object>} - { duplicateOf, matchedBy } por PMID de cada duplicado
+ */
+export function findDuplicates(articles) {
+  const seen = new Map();
+  const duplicates = new Map();
+
+  articles.forEach(article => {
+    const pmid = String(article.pmid);
+    const doi = toText(article.doi)?.toLowerCase();
+    const title = normalizeTitle(article.title);
+    const year = String(article.publicationDate || '').match(/\d{4}/)?.[0] || '';
+    const keys = [
+      doi ? { key: `doi:${doi}`, matchedBy: 'doi' } : null,
+      title.length >= MIN_DUPLICATE_TITLE_LENGTH ? { key: `title:${title}|${year}`, matchedBy: 'title' } : null
+    ].filter(Boolean);
+
+    const match = keys.find(({ key }) => seen.has(key) && seen.get(key) !== pmid);
+    const original = match ? seen.get(match.key) : pmid;
+    if (match) duplicates.set(pmid, { duplicateOf: original, matchedBy: match.matchedBy });
+    keys.forEach(({ key }) => {
+      if (!seen.has(key)) seen.set(key, original);
+    });
+  });
+
+  return duplicates;
+}
+
+/**
+ * Describe una decisión guardada para la respuesta
+ * @param {Object} entry - Decisión guardada
+ * @returns {Object} - { reviewer, decision, decisionLabel, reason, reasonLabel, note, updatedAt }
+ */
+const describeDecision = (entry) => ({
+  reviewer: entry.reviewer,
+  decision: entry.decision,
+  decisionLabel: SCREENING_DECISIONS[entry.decision],
+  reason: entry.reason || null,
+  reasonLabel: EXCLUSION_REASONS[entry.reason]?.label || null,
+  note: entry.note || null,
+  updatedAt: entry.updatedAt
+});
+
+/**
+ * Calcula el estado de un registro en una fase a partir de las decisiones de los revisores
+ * Hay conflicto si los revisores no coinciden en la decisión, si en texto completo coinciden en dudoso
+ * (hace falta una decisión firme) o si excluyen el texto completo por motivos distintos
+ * (PRISMA informa de los motivos). Una resolución sustituye a las decisiones de los revisores
+ * @param {Array<Object>} entries - Decisiones guardadas del registro en la fase
+ * @param {string} stage - Fase
+ * @param {Object} options - { requiredReviewers, reviewer }
+ * @returns {Object} - { status, decision, reason, conflict, awaitingReviewers, reviews, hiddenReviews, resolution }
+ *   con awaitingReviewers las decisiones que faltan (0: el registro ya no admite revisores nuevos)
+ */
+function resolveStage(entries, stage, { requiredReviewers, reviewer }) {
+  const reviews = entries.filter(entry => !entry.resolution)
+    .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+  const resolution = entries.find(entry => entry.resolution) || null;
+  const decisions = new Set(reviews.map(entry => entry.decision));
+  const reasons = new Set(reviews.map(entry => entry.reason));
+
+  let status = 'pending';
+  let conflict = null;
+  if (resolution) {
+    status = 'resolved';
+  } else if (decisions.size > 1) {
+    status = 'conflict';
+    conflict = 'Los revisores no coinciden en la decisión';
+  } else if (reviews.length >= requiredReviewers) {
+    if (stage === 'full-text' && decisions.has('maybe')) {
+      status = 'conflict';
+      conflict = 'El texto completo necesita una decisión de incluir o excluir';
+    } else if (stage === 'full-text' && decisions.has('exclude') && reasons.size > 1) {
+      status = 'conflict';
+      conflict = 'Los revisores excluyen el texto completo por motivos distintos';
+    } else {
+      status = 'agreed';
+    }
+  }
+
+  const final = resolution || (status === 'agreed' ? reviews[0] : null);
+
+  // Cribado independiente: mientras el registro está pendiente, el revisor no ve las decisiones de los demás
+  const blinded = Boolean(reviewer) && status === 'pending' && !reviews.some(entry => entry.reviewer === reviewer);
+  const visibleReviews = blinded ? reviews.filter(entry => entry.reviewer === reviewer) : reviews;
+
+  return {
+    status,
+    decision: final?.decision || null,
+    reason: final?.reason || null,
+    reasonLabel: EXCLUSION_REASONS[final?.reason]?.label || null,
+    conflict,
+    awaitingReviewers: Math.max(0, requiredReviewers - reviews.length),
+    reviews: visibleReviews.map(describeDecision),
+    hiddenReviews: reviews.length - visibleReviews.length,
+    resolution: resolution ? describeDecision(resolution) : null
+  };
+}
+
+/**
+ * Resultado final de un registro en el cribado
+ * @param {Object} titleAbstract - Estado en título y resumen
+ * @param {Object|null} fullText - Estado en texto completo (null si no pasó a esa fase)
+ * @returns {string} - pending, excluded-title-abstract, not-retrieved, excluded-full-text o included
+ */
+const recordOutcome = (titleAbstract, fullText) => {
+  if (titleAbstract.decision === 'exclude') return 'excluded-title-abstract';
+  if (!fullText?.decision) return 'pending';
+  if (fullText.decision === 'include') return 'included';
+  return fullText.reason === 'not-retrieved' ? 'not-retrieved' : 'excluded-full-text';
+};
+
+/**
+ * Construye el estado del cribado de una ejecución con los recuentos de PRISMA 2020
+ * @param {Object} context - { articles, searchHistory } de la ejecución (ver queryHistoryService.getSearchContext)
+ * @param {Array<Object>} decisions - Decisiones guardadas { pmid, stage, reviewer, resolution, decision, reason, note, updatedAt }
+ * @param {Object} options - Opciones
+ * @param {number} options.requiredReviewers - Revisores que deben decidir cada registro (1 o 2)
+ * @param {string} options.reviewer - Revisor que consulta (oculta las decisiones ajenas de sus registros pendientes)
+ * @returns {Object} - { schemaVersion, requiredReviewers, records, counts, prisma }
+ */
+export function buildScreening({ articles, searchHistory }, decisions, { requiredReviewers = DEFAULT_REQUIRED_REVIEWERS, reviewer = null } = {}) {
+  const duplicates = findDuplicates(articles);
+  const byRecord = new Map();
+  decisions.forEach(entry => {
+    const key = `${entry.pmid}|${entry.stage}`;
+    if (!byRecord.has(key)) byRecord.set(key, []);
+    byRecord.get(key).push(entry);
+  });
+
+  const records = articles.map(article => {
+    const pmid = String(article.pmid);
+    const record = {
+      pmid,
+      title: article.title || null,
+      authors: article.authors || null,
+      source: article.source || article.journal || null,
+      publicationDate: article.publicationDate || null,
+      abstract: article.abstract || null,
+      doi: article.doi || null
+    };
+
+    const duplicate = duplicates.get(pmid);
+    if (duplicate) {
+      return { ...record, ...duplicate, outcome: 'duplicate', currentStage: null, stages: {} };
+    }
+
+    const options = { requiredReviewers, reviewer };
+    const titleAbstract = resolveStage(byRecord.get(`${pmid}|title-abstract`) || [], 'title-abstract', options);
+    const fullText = ['include', 'maybe'].includes(titleAbstract.decision)
+      ? resolveStage(byRecord.get(`${pmid}|full-text`) || [], 'full-text', options)
+      : null;
+
+    return {
+      ...record,
+      outcome: recordOutcome(titleAbstract, fullText),
+      currentStage: !titleAbstract.decision ? 'title-abstract' : (fullText && !fullText.decision ? 'full-text' : null),
+      stages: { 'title-abstract': titleAbstract, ...(fullText ? { 'full-text': fullText } : {}) }
+    };
+  });
+
+  const counts = Object.fromEntries(Object.keys(SCREENING_STAGES).map(stage => {
+    const states = records.map(record => record.stages[stage]).filter(Boolean);
+    const count = (predicate) => states.filter(predicate).length;
+    return [stage, {
+      total: states.length,
+      pending: count(state => state.status === 'pending'),
+      conflict: count(state => state.status === 'conflict'),
+      include: count(state => state.decision === 'include'),
+      exclude: count(state => state.decision === 'exclude'),
+      maybe: count(state => state.decision === 'maybe')
+    }];
+  }));
+
+  return {
+    schemaVersion: SCREENING_SCHEMA_VERSION,
+    requiredReviewers,
+    records,
+    counts,
+    prisma: buildPrismaCounts(records, searchHistory)
+  };
+}
+
+/**
+ * Recuentos del diagrama de flujo PRISMA 2020 (revisión nueva con búsqueda solo en bases de datos)
+ * Los resultados de PubMed que no se recuperaron con la ejecución (notLoaded) se informan en la
+ * identificación, pero no entran en el flujo: el cribado parte de los registros recuperados. Sin el
+ * total de la búsqueda guardada, identified y notLoaded son null (desconocidos)
+ * @param {Array<Object>} records - Registros de buildScreening
+ * @param {Object} searchHistory - Búsqueda guardada ({ count }) o null
+ * @returns {Object} - Recuentos por bloque del diagrama
+ */
+export function buildPrismaCounts(records, searchHistory = null) {
+  const count = (predicate) => records.filter(predicate).length;
+  const stored = records.length;
+  const total = Number.isInteger(searchHistory?.count) ? Math.max(searchHistory.count, stored) : null;
+  const screened = records.filter(record => record.outcome !== 'duplicate');
+  const sought = screened.filter(record => record.stages['full-text']);
+
+  const reasons = Object.entries(EXCLUSION_REASONS)
+    .filter(([id]) => id !== 'not-retrieved')
+    .map(([id, { label }]) => ({
+      reason: id,
+      label,
+      count: count(record => record.outcome === 'excluded-full-text' && record.stages['full-text'].reason === id)
+    }))
+    .filter(entry => entry.count > 0);
+
+  return {
+    identification: {
+      databases: [{ name: 'PubMed', count: total }],
+      identified: total,
+      retrieved: stored,
+      notLoaded: total === null ? null : total - stored,
+      duplicates: count(record => record.outcome === 'duplicate')
+    },
+    screening: {
+      screened: screened.length,
+      excluded: count(record => record.outcome === 'excluded-title-abstract'),
+      pending: count(record => record.stages['title-abstract'] && !record.stages['title-abstract'].decision)
+    },
+    retrieval: {
+      sought: sought.length,
+      notRetrieved: count(record => record.outcome === 'not-retrieved')
+    },
+    eligibility: {
+      assessed: count(record => ['included', 'excluded-full-text'].includes(record.outcome)),
+      excluded: count(record => record.outcome === 'excluded-full-text'),
+      reasons,
+      pending: count(record => record.stages['full-text'] && !record.stages['full-text'].decision)
+    },
+    included: {
+      studies: count(record => record.outcome === 'included')
+    }
+  };
+}
+
+export default {
+  SCREENING_SCHEMA_VERSION,
+  SCREENING_STAGES,
+  SCREENING_DECISIONS,
+  EXCLUSION_REASONS,
+  DEFAULT_REQUIRED_REVIEWERS,
+  MAX_REQUIRED_REVIEWERS,
+  validateScreeningDecision,
+  findDuplicates,
+  buildScreening,
+  buildPrismaCounts
+};
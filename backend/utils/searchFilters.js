@@ -0,0 +1,250 @@
+/**
+ * Filtros estructurados de búsqueda en PubMed
+ * Valida el objeto filters de las consultas y lo traduce a cláusulas de PubMed
+ * (fecha de publicación, tipo de artículo, idioma, especie, grupo de edad y texto completo)
+ */
+
+/**
+ * Tipos de artículo admitidos y su etiqueta [Publication Type]
+ */
+export const PUBLICATION_TYPES = {
+  'meta-analysis': { label: 'Metaanálisis', term: 'meta-analysis[pt]' },
+  'systematic-review': { label: 'Revisión sistemática', term: 'systematic review[pt]' },
+  'rct': { label: 'Ensayo clínico aleatorizado', term: 'randomized controlled trial[pt]' },
+  'clinical-trial': { label: 'Ensayo clínico', term: 'clinical trial[pt]' },
+  'observational': { label: 'Estudio observacional', term: 'observational study[pt]' },
+  'guideline': { label: 'Guía de práctica clínica', term: 'practice guideline[pt]' },
+  'review': { label: 'Revisión', term: 'review[pt]' },
+  'case-report': { label: 'Caso clínico', term: 'case reports[pt]' }
+};
+
+/**
+ * Idiomas admitidos y su etiqueta [Language]
+ */
+export const LANGUAGES = {
+  en: { label: 'Inglés', term: 'english[la]' },
+  es: { label: 'Español', term: 'spanish[la]' },
+  fr: { label: 'Francés', term: 'french[la]' },
+  de: { label: 'Alemán', term: 'german[la]' },
+  it: { label: 'Italiano', term: 'italian[la]' },
+  pt: { label: 'Portugués', term: 'portuguese[la]' }
+};
+
+/**
+ * Grupos de edad admitidos y su término MeSH
+ */
+export const AGE_GROUPS = {
+  newborn: { label: 'Recién nacidos (0-1 mes)', term: '"infant, newborn"[MeSH Terms]' },
+  infant: { label: 'Lactantes (1-23 meses)', term: '"infant"[MeSH Terms]' },
+  child: { label: 'Niños (2-12 años)', term: '"child"[MeSH Terms]' },
+  adolescent: { label: 'Adolescentes (13-18 años)', term: '"adolescent"[MeSH Terms]' },
+  adult: { label: 'Adultos (19-44 años)', term: '"adult"[MeSH Terms]' },
+  'middle-aged': { label: 'Mediana edad (45-64 años)', term: '"middle aged"[MeSH Terms]' },
+  aged: { label: 'Mayores (65+ años)', term: '"aged"[MeSH Terms]' }
+};
+
+/**
+ * Disponibilidad del texto completo
+ */
+export const FULL_TEXT_OPTIONS = {
+  free: { label: 'Texto completo gratuito', term: 'free full text[sb]' },
+  pmc: { label: 'Disponible en PubMed Central', term: 'pubmed pmc[sb]' }
+};
+
+// Primer año aceptado en el rango de publicación
+const MIN_YEAR = 1800;
+
+/**
+ * Opciones de los filtros para mostrarlas en el cliente
+ * @returns {Object} - { publicationTypes, languages, ageGroups, fullText } con { id, label }
+ */
+export function listFilterOptions() {
+  const toOptions = (options) => Object.entries(options).map(([id, { label }]) => ({ id, label }));
+  return {
+    publicationTypes: toOptions(PUBLICATION_TYPES),
+    languages: toOptions(LANGUAGES),
+    ageGroups: toOptions(AGE_GROUPS),
+    fullText: toOptions(FULL_TEXT_OPTIONS)
+  };
+}
+
+/**
+ * Normaliza una lista de identificadores y anota los desconocidos
+ * @param {*} value - Lista recibida
+ * @param {Object} options - Opciones admitidas
+ * @param {string} field - Nombre del campo para los errores
+ * @param {Array<string>} errors - Lista de errores
+ * @returns {Array<string>} - Identificadores válidos sin duplicados
+ */
+const normalizeList = (value, options, field, errors) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${field} debe ser una lista`);
+    return [];
+  }
+
+  const ids = [...new Set(value.map(item => String(item).trim()))];
+  const unknown = ids.filter(id => !options[id]);
+  if (unknown.length > 0) {
+    errors.push(`${field} contiene valores desconocidos (${unknown.join(', ')}). Valores admitidos: ${Object.keys(options).join(', ')}`);
+  }
+  return ids.filter(id => options[id]);
+};
+
+/**
+ * Valida y normaliza los filtros de una consulta
+ * @param {Object} filters - Filtros recibidos
+ * @param {number} filters.yearFrom - Primer año de publicación (opcional)
+ * @param {number} filters.yearTo - Último año de publicación (opcional)
+ * @param {Array<string>} filters.publicationTypes - Tipos de artículo (ver PUBLICATION_TYPES)
+ * @param {Array<string>} filters.languages - Idiomas (ver LANGUAGES)
+ * @param {boolean} filters.humansOnly - Solo estudios en humanos
+ * @param {Array<string>} filters.ageGroups - Grupos de edad (ver AGE_GROUPS)
+ * @param {string} filters.fullText - 'free' o 'pmc' (ver FULL_TEXT_OPTIONS)
+ * @returns {Object} - { valid, errors, filters } con los filtros normalizados o null si no hay ninguno
+ */
+export function validateFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return { valid: true, errors: [], filters: null };
+  }
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { valid: false, errors: ['filters debe ser un objeto'], filters: null };
+  }
+
+  const errors = [];
+  const maxYear = new Date().getFullYear() + 1;
+
+  const toYear = (value, field) => {
+    if (value === undefined || value === null || value === '') return null;
+    const year = Number(value);
+    if (!Number.isInteger(year) || year < MIN_YEAR || year > maxYear) {
+      errors.push(`${field} debe ser un año entre ${MIN_YEAR} y ${maxYear}`);
+      return null;
+    }
+    return year;
+  };
+
+  const yearFrom = toYear(filters.yearFrom, 'yearFrom');
+  const yearTo = toYear(filters.yearTo, 'yearTo');
+  if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) {
+    errors.push('yearFrom no puede ser posterior a yearTo');
+  }
+
+  if (filters.humansOnly !== undefined && typeof filters.humansOnly !== 'boolean') {
+    errors.push('humansOnly debe ser true o false');
+  }
+
+  const fullText = filters.fullText === undefined || filters.fullText === null || filters.fullText === ''
+    ? null
+    : String(filters.fullText);
+  if (fullText && !FULL_TEXT_OPTIONS[fullText]) {
+    errors.push(`fullText debe ser uno de: ${Object.keys(FULL_TEXT_OPTIONS).join(', ')}`);
+  }
+
+  const normalized = {
+    yearFrom,
+    yearTo,
+    publicationTypes: normalizeList(filters.publicationTypes, PUBLICATION_TYPES, 'publicationTypes', errors),
+    languages: normalizeList(filters.languages, LANGUAGES, 'languages', errors),
+    humansOnly: filters.humansOnly === true,
+    ageGroups: normalizeList(filters.ageGroups, AGE_GROUPS, 'ageGroups', errors),
+    fullText: FULL_TEXT_OPTIONS[fullText] ? fullText : null
+  };
+
+  if (errors.length > 0) {
+    return { valid: false, errors, filters: null };
+  }
+
+  return { valid: true, errors: [], filters: hasFilters(normalized) ? normalized : null };
+}
+
+/**
+ * Indica si hay algún filtro activo
+ * @param {Object} filters - Filtros normalizados
+ * @returns {boolean} - true si alguno restringe la búsqueda
+ */
+export function hasFilters(filters) {
+  if (!filters) return false;
+  return filters.yearFrom !== null
+    || filters.yearTo !== null
+    || filters.publicationTypes.length > 0
+    || filters.languages.length > 0
+    || filters.humansOnly
+    || filters.ageGroups.length > 0
+    || filters.fullText !== null;
+}
+
+/**
+ * Traduce los filtros a cláusulas de PubMed unidas con AND
+ * @param {Object} filters - Filtros normalizados (ver validateFilters)
+ * @returns {string} - Cláusulas o cadena vacía si no hay filtros
+ */
+export function buildFilterClause(filters) {
+  if (!hasFilters(filters)) return '';
+
+  const anyOf = (ids, options) => {
+    const terms = ids.map(id => options[id].term);
+    return terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0];
+  };
+
+  const clauses = [];
+
+  if (filters.yearFrom !== null || filters.yearTo !== null) {
+    // El rango de fechas de PubMed necesita los dos extremos; 3000 equivale a "hasta hoy"
+    clauses.push(`("${filters.yearFrom ?? MIN_YEAR}"[dp] : "${filters.yearTo ?? 3000}"[dp])`);
+  }
+  if (filters.publicationTypes.length > 0) clauses.push(anyOf(filters.publicationTypes, PUBLICATION_TYPES));
+  if (filters.languages.length > 0) clauses.push(anyOf(filters.languages, LANGUAGES));
+  if (filters.humansOnly) clauses.push('"humans"[MeSH Terms]');
+  if (filters.ageGroups.length > 0) clauses.push(anyOf(filters.ageGroups, AGE_GROUPS));
+  if (filters.fullText) clauses.push(FULL_TEXT_OPTIONS[filters.fullText].term);
+
+  return clauses.join(' AND ');
+}
+
+/**
+ * Añade los filtros a una consulta
+ * @param {string} query - Consulta de búsqueda
+ * @param {Object} filters - Filtros normalizados
+ * @returns {string} - Consulta con los filtros (o la consulta original si no hay filtros)
+ */
+export function applyFilters(query, filters) {
+  const clause = buildFilterClause(filters);
+  if (!clause) return query;
+  return query ? `(${query}) AND ${clause}` : clause;
+}
+
+/**
+ * Describe los filtros en texto para incluirlos en los prompts
+ * @param {Object} filters - Filtros normalizados
+ * @returns {string} - Una línea por filtro o cadena vacía
+ */
+export function describeFilters(filters) {
+  if (!hasFilters(filters)) return '';
+
+  const labels = (ids, options) => ids.map(id => options[id].label).join(', ');
+  return [
+    filters.yearFrom !== null || filters.yearTo !== null
+      ? `- Años de publicación: ${filters.yearFrom ?? 'cualquiera'} a ${filters.yearTo ?? 'actualidad'}`
+      : null,
+    filters.publicationTypes.length > 0 ? `- Tipos de artículo: ${labels(filters.publicationTypes, PUBLICATION_TYPES)}` : null,
+    filters.languages.length > 0 ? `- Idiomas: ${labels(filters.languages, LANGUAGES)}` : null,
+    filters.humansOnly ? '- Solo estudios en humanos' : null,
+    filters.ageGroups.length > 0 ? `- Grupos de edad: ${labels(filters.ageGroups, AGE_GROUPS)}` : null,
+    filters.fullText ? `- ${FULL_TEXT_OPTIONS[filters.fullText].label}` : null
+  ].filter(Boolean).join('\n');
+}
+
+export default {
+  PUBLICATION_TYPES,
+  LANGUAGES,
+  AGE_GROUPS,
+  FULL_TEXT_OPTIONS,
+  listFilterOptions,
+  validateFilters,
+  hasFilters,
+  buildFilterClause,
+  applyFilters,
+  describeFilters
+};
@@ -0,0 +1,123 @@
+/**
+ * Utilidades para construir y normalizar estrategias de búsqueda estructuradas (PICO)
+ */
+
+/**
+ * Componentes PICO en el orden en que se combinan en la consulta final
+ */
+export const PICO_COMPONENTS = ['population', 'intervention', 'comparator', 'outcome'];
+
+/**
+ * Escapa comillas dobles internas de un término para usarlo entre comillas en PubMed
+ * @param {string} term - Término a escapar
+ * @returns {string} - Término limpio
+ */
+const cleanTerm = (term) => String(term || '').replace(/"/g, '').trim();
+
+/**
+ * Normaliza una lista de términos eliminando vacíos y duplicados
+ * @param {Array|string} terms - Lista de términos o cadena separada por comas
+ * @returns {Array<string>} - Lista normalizada
+ */
+const normalizeTerms = (terms) => {
+  const list = Array.isArray(terms)
+    ? terms
+    : (typeof terms === 'string' ? terms.split(',') : []);
+
+  const seen = new Set();
+  return list
+    .map(cleanTerm)
+    .filter(term => {
+      const key = term.toLowerCase();
+      if (!term || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Construye el bloque de búsqueda de un componente PICO a partir de sus términos
+ * @param {Object} component - Componente PICO
+ * @param {Array<string>} component.meshTerms - Términos MeSH
+ * @param {Array<string>} component.freeTextTerms - Sinónimos en texto libre
+ * @returns {string} - Bloque entre paréntesis unido con OR, o cadena vacía
+ */
+export function buildPicoBlock(component) {
+  if (!component) return '';
+
+  const meshTerms = normalizeTerms(component.meshTerms).map(term => `"${term}"[MeSH Terms]`);
+  const freeTextTerms = normalizeTerms(component.freeTextTerms).map(term => `"${term}"[tiab]`);
+  const terms = [...meshTerms, ...freeTextTerms];
+
+  return terms.length > 0 ? `(${terms.join(' OR ')})` : '';
+}
+
+/**
+ * Construye la consulta PubMed combinando con AND los bloques PICO no vacíos
+ * @param {Object} pico - Objeto con los componentes PICO
+ * @returns {string} - Consulta PubMed
+ */
+export function buildQueryFromPico(pico) {
+  if (!pico) return '';
+
+  return PICO_COMPONENTS
+    .map(key => pico[key]?.searchBlock || buildPicoBlock(pico[key]))
+    .filter(Boolean)
+    .join(' AND ');
+}
+
+/**
+ * Normaliza un componente PICO devuelto por la IA
+ * @param {Object|string} raw - Componente tal como lo devolvió la IA
+ * @returns {Object} - Componente con description, meshTerms, freeTextTerms y searchBlock
+ */
+const normalizePicoComponent = (raw) => {
+  if (!raw) {
+    return { description: '', meshTerms: [], freeTextTerms: [], searchBlock: '' };
+  }
+
+  if (typeof raw === 'string') {
+    return { description: raw.trim(), meshTerms: [], freeTextTerms: [], searchBlock: '' };
+  }
+
+  const component = {
+    description: String(raw.description || raw.concept || '').trim(),
+    meshTerms: normalizeTerms(raw.meshTerms || raw.mesh),
+    freeTextTerms: normalizeTerms(raw.freeTextTerms || raw.synonyms || raw.freeText)
+  };
+  component.searchBlock = buildPicoBlock(component);
+
+  return component;
+};
+
+/**
+ * Normaliza la estrategia estructurada devuelta por la IA
+ * Si la IA no devolvió una consulta, se construye a partir de los bloques PICO
+ * @param {Object} raw - Objeto parseado desde la respuesta de la IA
+ * @returns {Object} - Estrategia con query, translatedQuestion, pico y rationale
+ */
+export function normalizeSearchStrategy(raw = {}) {
+  const rawPico = raw.pico || {};
+  const pico = {};
+  PICO_COMPONENTS.forEach(key => {
+    pico[key] = normalizePicoComponent(rawPico[key]);
+  });
+
+  const query = typeof raw.query === 'string' && raw.query.trim()
+    ? raw.query.replace(/\s+/g, ' ').trim()
+    : buildQueryFromPico(pico);
+
+  return {
+    query,
+    translatedQuestion: String(raw.translatedQuestion || '').trim(),
+    pico,
+    rationale: String(raw.rationale || '').trim()
+  };
+}
+
+export default {
+  PICO_COMPONENTS,
+  buildPicoBlock,
+  buildQueryFromPico,
+  normalizeSearchStrategy
+};
@@ -0,0 +1,246 @@
+/**
+ * Clasificador compartido del diseño de estudio
+ * Combina los tipos de publicación de PubMed, los términos MeSH de diseño y
+ * heurísticas sobre título y abstract para asignar un nivel de evidencia
+ * canónico (Oxford CEBM 2011, preguntas de tratamiento)
+ */
+
+/**
+ * Origen de la clasificación, de mayor a menor fiabilidad
+ */
+export const CLASSIFICATION_SOURCES = {
+  PUBLICATION_TYPE: 'publicationType',
+  MESH: 'mesh',
+  HEURISTIC: 'heuristic',
+  NONE: 'none'
+};
+
+/**
+ * Diseños de estudio reconocidos, ordenados por jerarquía de evidencia
+ * El nivel sigue la tabla Oxford CEBM 2011 (1 = mayor certeza, 5 = menor)
+ */
+export const STUDY_DESIGNS = {
+  'meta-analysis': { label: 'Meta-análisis', evidenceLevel: 1 },
+  'systematic-review': { label: 'Revisión sistemática', evidenceLevel: 1 },
+  'guideline': { label: 'Guía de práctica clínica', evidenceLevel: 1 },
+  'rct': { label: 'Ensayo clínico aleatorizado', evidenceLevel: 2 },
+  'non-randomized-trial': { label: 'Ensayo clínico no aleatorizado', evidenceLevel: 3 },
+  'cohort': { label: 'Estudio de cohorte', evidenceLevel: 3 },
+  'case-control': { label: 'Casos y controles', evidenceLevel: 4 },
+  'cross-sectional': { label: 'Estudio transversal', evidenceLevel: 4 },
+  'observational': { label: 'Estudio observacional', evidenceLevel: 4 },
+  'case-series': { label: 'Serie de casos', evidenceLevel: 4 },
+  'case-report': { label: 'Reporte de caso', evidenceLevel: 4 },
+  'review': { label: 'Revisión narrativa', evidenceLevel: 5 },
+  'expert-opinion': { label: 'Opinión de expertos', evidenceLevel: 5 },
+  'preclinical': { label: 'Estudio preclínico', evidenceLevel: 5 },
+  'unknown': { label: 'No clasificado', evidenceLevel: null }
+};
+
+// Tipos de publicación de PubMed que determinan el diseño, por orden de prioridad
+const PUBLICATION_TYPE_RULES = [
+  { design: 'meta-analysis', types: ['meta-analysis', 'network meta-analysis'] },
+  { design: 'systematic-review', types: ['systematic review'] },
+  { design: 'guideline', types: ['practice guideline', 'guideline', 'consensus development conference'] },
+  { design: 'rct', types: ['randomized controlled trial', 'equivalence trial', 'pragmatic clinical trial'] },
+  {
+    design: 'non-randomized-trial',
+    types: [
+      'controlled clinical trial', 'clinical trial', 'clinical trial, phase i', 'clinical trial, phase ii',
+      'clinical trial, phase iii', 'clinical trial, phase iv', 'adaptive clinical trial'
+    ]
+  },
+  { design: 'observational', types: ['observational study', 'multicenter study', 'comparative study', 'validation study'] },
+  { design: 'case-report', types: ['case reports'] },
+  { design: 'review', types: ['review', 'scoping review', 'overview'] },
+  { design: 'expert-opinion', types: ['editorial', 'comment', 'letter', 'expert opinion'] }
+];
+
+// Tipos de publicación genéricos que admiten ser precisados por MeSH o heurísticas
+const REFINABLE_DESIGNS = ['observational', 'review', 'non-randomized-trial'];
+
+// Descriptores MeSH de diseño (se excluyen los "as Topic", que describen el tema y no el diseño)
+const MESH_RULES = [
+  { design: 'meta-analysis', terms: ['meta-analysis'] },
+  { design: 'systematic-review', terms: ['systematic reviews'] },
+  { design: 'rct', terms: ['random allocation'] },
+  { design: 'cohort', terms: ['cohort studies', 'prospective studies', 'longitudinal studies', 'follow-up studies', 'retrospective studies'] },
+  { design: 'case-control', terms: ['case-control studies'] },
+  { design: 'cross-sectional', terms: ['cross-sectional studies', 'health surveys'] },
+  { design: 'preclinical', terms: ['disease models, animal', 'in vitro techniques', 'cell line'] }
+];
+
+// Heurísticas de título y abstract (inglés y español)
+const HEURISTIC_RULES = [
+  { design: 'meta-analysis', pattern: /\bmeta-?\s?an[aá]lisis\b|\bmeta-?\s?analy(?:sis|ses|tic)\b|\bmetan[aá]lisis\b/ },
+  { design: 'systematic-review', pattern: /\bsystematic (?:literature )?review\b|\brevisi[oó]n sistem[aá]tica\b|\bumbrella review\b/ },
+  { design: 'non-randomized-trial', pattern: /\bnon-?randomi[sz]ed\b|\bno aleatori[sz]ad[oa]\b|\bsingle-arm\b/ },
+  { design: 'rct', pattern: /\brandomi[sz]ed\b|\baleatori[sz]ad[oa]\b|\brct\b/ },
+  { design: 'non-randomized-trial', pattern: /\bclinical trial\b|\bensayo cl[ií]nico\b|\bphase (?:i|ii|iii|iv|[1-4]) trial\b/ },
+  { design: 'cohort', pattern: /\bcohort\b|\bcohorte\b|\blongitudinal study\b/ },
+  { design: 'case-control', pattern: /\bcase-?control\b|\bcasos? y controles?\b|\bcaso-control\b/ },
+  { design: 'cross-sectional', pattern: /\bcross-?sectional\b|\btransversal\b/ },
+  { design: 'case-series', pattern: /\bcase series\b|\bserie de casos\b/ },
+  { design: 'case-report', pattern: /\bcase report\b|\breporte de (?:un )?caso\b|\bcaso cl[ií]nico\b/ },
+  // "Review" aparece a menudo en los antecedentes del abstract: solo se busca en el título
+  { design: 'review', pattern: /\breview\b|\brevisi[oó]n\b|\boverview\b/, titleOnly: true }
+];
+
+// Indicadores de calidad del diseño (tipos de publicación o MeSH)
+const QUALITY_INDICATORS = [
+  { key: 'doubleBlind', terms: ['double-blind method'], pattern: /\bdouble-?blind(?:ed)?\b|\bdoble ciego\b/ },
+  { key: 'placeboControlled', terms: ['placebos'], pattern: /\bplacebo-?controlled\b|\bcontrolado con placebo\b/ },
+  { key: 'multicenter', terms: ['multicenter study'], pattern: /\bmulti-?cent(?:er|re|ric)\b|\bmulticéntrico\b/ }
+];
+
+/**
+ * Normaliza los tipos de publicación a nombres en minúsculas
+ * @param {Array<Object|string>} publicationTypes - Tipos de publicación
+ * @returns {Array<string>} - Nombres normalizados
+ */
+const normalizeTypes = (publicationTypes) => {
+  if (!Array.isArray(publicationTypes)) return [];
+  return publicationTypes
+    .map(type => (typeof type === 'string' ? type : type?.name))
+    .filter(Boolean)
+    .map(name => name.toLowerCase().trim());
+};
+
+/**
+ * Obtiene los descriptores MeSH en minúsculas, excluyendo los "as Topic"
+ * @param {Object} article - Artículo
+ * @returns {Array<string>} - Descriptores normalizados
+ */
+const normalizeMesh = (article) => {
+  const descriptors = Array.isArray(article.meshHeadings) && article.meshHeadings.length > 0
+    ? article.meshHeadings.map(heading => heading.descriptor)
+    : article.meshTerms;
+
+  if (!Array.isArray(descriptors)) return [];
+  return descriptors
+    .filter(Boolean)
+    .map(term => String(term).toLowerCase().trim())
+    .filter(term => !term.endsWith('as topic'));
+};
+
+/**
+ * Busca el primer diseño cuyas reglas coincidan con los términos dados
+ * @param {Array<Object>} rules - Reglas { design, types|terms }
+ * @param {string} key - Propiedad de la regla con los términos
+ * @param {Array<string>} values - Valores normalizados del artículo
+ * @returns {Object|null} - { design, matched } o null
+ */
+const matchRules = (rules, key, values) => {
+  for (const rule of rules) {
+    const matched = values.find(value => rule[key].includes(value));
+    if (matched) return { design: rule.design, matched };
+  }
+  return null;
+};
+
+/**
+ * Aplica las heurísticas sobre el título y, si no hay coincidencia, sobre el abstract
+ * @param {Object} article - Artículo
+ * @returns {Object|null} - { design, matched } o null
+ */
+const matchHeuristics = (article) => {
+  const texts = [
+    { text: article.title, isTitle: true },
+    { text: article.abstract, isTitle: false }
+  ].filter(({ text }) => typeof text === 'string' && text.trim());
+
+  for (const { text, isTitle } of texts) {
+    for (const rule of HEURISTIC_RULES) {
+      if (rule.titleOnly && !isTitle) continue;
+      const match = text.toLowerCase().match(rule.pattern);
+      if (match) return { design: rule.design, matched: match[0] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Detecta los indicadores de calidad del diseño
+ * @param {Array<string>} types - Tipos de publicación normalizados
+ * @param {Array<string>} mesh - Descriptores MeSH normalizados
+ * @param {string} text - Título y abstract en minúsculas
+ * @returns {Array<string>} - Indicadores presentes
+ */
+const detectQualityIndicators = (types, mesh, text) => {
+  return QUALITY_INDICATORS
+    .filter(indicator =>
+      indicator.terms.some(term => types.includes(term) || mesh.includes(term)) ||
+      indicator.pattern.test(text))
+    .map(indicator => indicator.key);
+};
+
+/**
+ * Construye el resultado de la clasificación
+ * @param {string} design - Diseño de estudio
+ * @param {string} source - Origen de la clasificación
+ * @param {string|null} matched - Valor que determinó la clasificación
+ * @param {Array<string>} qualityIndicators - Indicadores de calidad
+ * @returns {Object} - Clasificación
+ */
+const buildClassification = (design, source, matched, qualityIndicators) => {
+  const { label, evidenceLevel } = STUDY_DESIGNS[design];
+  return {
+    design,
+    label,
+    evidenceLevel,
+    evidenceLabel: evidenceLevel ? `Nivel ${evidenceLevel} (CEBM)` : 'Sin nivel',
+    source,
+    matched,
+    qualityIndicators
+  };
+};
+
+/**
+ * Clasifica el diseño de un estudio y su nivel de evidencia
+ * Prioriza los tipos de publicación de PubMed; si son genéricos o faltan, se usan
+ * los términos MeSH de diseño y, como último recurso, heurísticas de texto
+ * @param {Object} article - Artículo (publicationTypes, meshHeadings/meshTerms, title, abstract)
+ * @returns {Object} - { design, label, evidenceLevel, evidenceLabel, source, matched, qualityIndicators }
+ */
+export function classifyStudyDesign(article = {}) {
+  const types = normalizeTypes(article.publicationTypes);
+  const mesh = normalizeMesh(article);
+  const text = `${article.title || ''} ${article.abstract || ''}`.toLowerCase();
+  const qualityIndicators = detectQualityIndicators(types, mesh, text);
+
+  const byType = matchRules(PUBLICATION_TYPE_RULES, 'types', types);
+  if (byType && !REFINABLE_DESIGNS.includes(byType.design)) {
+    return buildClassification(byType.design, CLASSIFICATION_SOURCES.PUBLICATION_TYPE, byType.matched, qualityIndicators);
+  }
+
+  // Un tipo genérico solo se precisa con un diseño de mayor nivel de evidencia
+  const refines = (candidate) => {
+    if (!candidate) return false;
+    if (!byType) return true;
+    const current = STUDY_DESIGNS[byType.design].evidenceLevel;
+    const refined = STUDY_DESIGNS[candidate.design].evidenceLevel;
+    return refined < current || (refined === current && byType.design === 'observational');
+  };
+
+  const byMesh = matchRules(MESH_RULES, 'terms', mesh);
+  if (refines(byMesh)) {
+    return buildClassification(byMesh.design, CLASSIFICATION_SOURCES.MESH, byMesh.matched, qualityIndicators);
+  }
+
+  const byHeuristic = matchHeuristics(article);
+  if (refines(byHeuristic)) {
+    return buildClassification(byHeuristic.design, CLASSIFICATION_SOURCES.HEURISTIC, byHeuristic.matched, qualityIndicators);
+  }
+
+  if (byType) {
+    return buildClassification(byType.design, CLASSIFICATION_SOURCES.PUBLICATION_TYPE, byType.matched, qualityIndicators);
+  }
+
+  return buildClassification('unknown', CLASSIFICATION_SOURCES.NONE, null, qualityIndicators);
+}
+
+export default {
+  CLASSIFICATION_SOURCES,
+  STUDY_DESIGNS,
+  classifyStudyDesign
+};
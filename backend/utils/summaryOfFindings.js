@@ -0,0 +1,205 @@
+/**
+ * Esquema de la tabla de resumen de hallazgos (summary of findings) de estilo GRADE
+ * Agrupa los artículos por desenlace y valora la certeza de la evidencia de cada uno.
+ * Claude juzga cada dominio de GRADE con los PMIDs que lo justifican; la certeza final
+ * se calcula aquí a partir del punto de partida y de los descensos, para que sea coherente
+ */
+
+export const SUMMARY_OF_FINDINGS_SCHEMA_VERSION = '1.0';
+
+/**
+ * Niveles de certeza de GRADE, de mayor a menor
+ */
+export const CERTAINTY_LEVELS = {
+  high: 'Alta',
+  moderate: 'Moderada',
+  low: 'Baja',
+  'very-low': 'Muy baja'
+};
+
+/**
+ * Tipo de evidencia del que parte la valoración: los ensayos aleatorizados empiezan
+ * con certeza alta y los estudios observacionales con certeza baja
+ */
+export const EVIDENCE_TYPES = {
+  randomized: { label: 'Ensayos aleatorizados', startingCertainty: 'high' },
+  observational: { label: 'Estudios observacionales', startingCertainty: 'low' }
+};
+
+/**
+ * Dominios por los que GRADE puede bajar la certeza
+ */
+export const GRADE_DOMAINS = {
+  riskOfBias: 'Riesgo de sesgo',
+  inconsistency: 'Inconsistencia',
+  indirectness: 'Evidencia indirecta',
+  imprecision: 'Imprecisión',
+  publicationBias: 'Sesgo de publicación'
+};
+
+/**
+ * Juicio de cada dominio y niveles de certeza que resta
+ */
+export const DOWNGRADE_RATINGS = {
+  'not-serious': { label: 'No grave', downgrade: 0 },
+  serious: { label: 'Grave', downgrade: 1 },
+  'very-serious': { label: 'Muy grave', downgrade: 2 }
+};
+
+// Máximo de desenlaces de la tabla
+const MAX_OUTCOMES = 8;
+
+/**
+ * Ejemplo del formato esperado, incluido en el prompt
+ */
+export const SUMMARY_OF_FINDINGS_EXAMPLE = {
+  outcomes: [
+    {
+      outcome: 'Mortalidad a 12 meses',
+      pmids: ['12345678', '23456789'],
+      evidenceType: 'randomized',
+      effect: 'RR 0.82 (IC 95%: 0.71 a 0.95) en 2 ensayos',
+      domains: {
+        riskOfBias: { rating: 'serious', reason: 'Sin cegamiento de la evaluación del resultado', pmids: ['23456789'] },
+        inconsistency: { rating: 'not-serious', reason: 'Efectos en la misma dirección', pmids: ['12345678', '23456789'] },
+        indirectness: { rating: 'not-serious', reason: 'Población e intervención de la pregunta', pmids: ['12345678', '23456789'] },
+        imprecision: { rating: 'not-serious', reason: 'Intervalo de confianza estrecho', pmids: ['12345678', '23456789'] },
+        publicationBias: { rating: 'not-serious', reason: 'Sin indicios con los estudios disponibles', pmids: ['12345678', '23456789'] }
+      },
+      summary: 'La intervención probablemente reduce la mortalidad a 12 meses'
+    }
+  ]
+};
+
+/**
+ * Devuelve una cadena recortada o null si no es texto
+ * @param {*} value - Valor
+ * @returns {string|null} - Cadena o null
+ */
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Normaliza una lista de PMIDs (acepta números y cadenas)
+ * @param {*} value - Lista de PMIDs
+ * @returns {Array<string>} - PMIDs sin duplicados
+ */
+const toPmids = (value) => (Array.isArray(value)
+  ? [...new Set(value.map(pmid => String(pmid).trim()).filter(Boolean))]
+  : []);
+
+/**
+ * Calcula la certeza de un desenlace restando los descensos al punto de partida
+ * @param {string} startingCertainty - Certeza inicial (high o low)
+ * @param {number} downgrades - Niveles que se restan
+ * @returns {string} - Nivel de CERTAINTY_LEVELS
+ */
+export function calculateCertainty(startingCertainty, downgrades) {
+  const levels = Object.keys(CERTAINTY_LEVELS);
+  return levels[Math.min(levels.indexOf(startingCertainty) + downgrades, levels.length - 1)];
+}
+
+/**
+ * Valida y normaliza la tabla de resumen de hallazgos devuelta por Claude
+ * @param {Object} data - Objeto JSON devuelto por Claude
+ * @param {Array<string>} articlePmids - PMIDs de los artículos enviados a la síntesis
+ * @returns {Object} - { valid, errors, summaryOfFindings } con la tabla normalizada si es válida
+ */
+export function validateSummaryOfFindings(data, articlePmids) {
+  const available = new Set(articlePmids.map(String));
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.outcomes) || data.outcomes.length === 0) {
+    return { valid: false, errors: ['La respuesta debe ser un objeto JSON con una lista outcomes no vacía'], summaryOfFindings: null };
+  }
+  if (data.outcomes.length > MAX_OUTCOMES) {
+    errors.push(`outcomes admite hasta ${MAX_OUTCOMES} desenlaces: agrupa o elige los más importantes`);
+  }
+
+  const outcomes = data.outcomes.slice(0, MAX_OUTCOMES).map((entry, index) => {
+    const path = `outcomes[${index}]`;
+    const outcome = toText(entry?.outcome);
+    const pmids = toPmids(entry?.pmids);
+    const evidenceType = toText(entry?.evidenceType)?.toLowerCase();
+
+    if (!outcome) errors.push(`${path}.outcome es obligatorio`);
+    if (pmids.length === 0) errors.push(`${path}.pmids debe incluir los PMIDs de los artículos que informan el desenlace`);
+    const unknown = pmids.filter(pmid => !available.has(pmid));
+    if (unknown.length > 0) {
+      errors.push(`${path}.pmids incluye PMIDs que no están entre los artículos: ${unknown.join(', ')}`);
+    }
+    if (!EVIDENCE_TYPES[evidenceType]) {
+      errors.push(`${path}.evidenceType debe ser uno de: ${Object.keys(EVIDENCE_TYPES).join(', ')}`);
+    }
+
+    const domains = Object.entries(GRADE_DOMAINS).map(([id, label]) => {
+      const judgment = entry?.domains?.[id];
+      const rating = toText(judgment?.rating)?.toLowerCase();
+      const reason = toText(judgment?.reason);
+      // Sin PMIDs, un dominio sin problemas se apoya en todos los artículos del desenlace
+      const domainPmids = toPmids(judgment?.pmids);
+
+      if (!DOWNGRADE_RATINGS[rating]) {
+        errors.push(`${path}.domains.${id}.rating debe ser uno de: ${Object.keys(DOWNGRADE_RATINGS).join(', ')}`);
+      } else if (rating !== 'not-serious') {
+        if (!reason) errors.push(`${path}.domains.${id}.reason es obligatorio si se baja la certeza`);
+        if (domainPmids.length === 0) errors.push(`${path}.domains.${id}.pmids debe incluir los PMIDs que justifican bajar la certeza`);
+      }
+      const outside = domainPmids.filter(pmid => !pmids.includes(pmid));
+      if (outside.length > 0) {
+        errors.push(`${path}.domains.${id}.pmids incluye PMIDs que no están en ${path}.pmids: ${outside.join(', ')}`);
+      }
+
+      return {
+        id,
+        label,
+        rating,
+        ratingLabel: DOWNGRADE_RATINGS[rating]?.label || null,
+        downgrade: DOWNGRADE_RATINGS[rating]?.downgrade || 0,
+        reason,
+        pmids: domainPmids.length > 0 ? domainPmids : pmids
+      };
+    });
+
+    const startingCertainty = EVIDENCE_TYPES[evidenceType]?.startingCertainty || null;
+    const certainty = startingCertainty
+      ? calculateCertainty(startingCertainty, domains.reduce((total, domain) => total + domain.downgrade, 0))
+      : null;
+
+    return {
+      outcome,
+      pmids,
+      evidenceType,
+      evidenceTypeLabel: EVIDENCE_TYPES[evidenceType]?.label || null,
+      startingCertainty,
+      effect: toText(entry?.effect),
+      domains,
+      certainty,
+      certaintyLabel: CERTAINTY_LEVELS[certainty] || null,
+      summary: toText(entry?.summary)
+    };
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, summaryOfFindings: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    summaryOfFindings: {
+      schemaVersion: SUMMARY_OF_FINDINGS_SCHEMA_VERSION,
+      outcomes
+    }
+  };
+}
+
+export default {
+  SUMMARY_OF_FINDINGS_SCHEMA_VERSION,
+  CERTAINTY_LEVELS,
+  EVIDENCE_TYPES,
+  GRADE_DOMAINS,
+  DOWNGRADE_RATINGS,
+  SUMMARY_OF_FINDINGS_EXAMPLE,
+  calculateCertainty,
+  validateSummaryOfFindings
+};
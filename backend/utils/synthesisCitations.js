@@ -0,0 +1,150 @@
+/**
+ * Verificación de las citas de la síntesis de evidencia
+ * Extrae cada cita de la síntesis con la afirmación que respalda, comprueba que está anclada
+ * a un PMID de los artículos enviados y combina el resultado con la comprobación de Claude
+ * de que el abstract o la valoración del artículo respaldan la afirmación
+ */
+import { CITATION_PATTERN, extractCitedPmids, parseSynthesisHtml } from './reportContent.js';
+
+export const CITATION_CHECK_SCHEMA_VERSION = '1.0';
+
+/**
+ * Estados de una cita; flagged indica las que se resaltan como problemáticas
+ */
+export const CITATION_STATUSES = {
+  supported: { label: 'Respaldada', flagged: false },
+  partial: { label: 'Respaldada en parte', flagged: false },
+  unsupported: { label: 'Sin respaldo en el artículo', flagged: true },
+  unknown: { label: 'PMID que no está entre los artículos', flagged: true },
+  unanchored: { label: 'Cita sin PMID', flagged: true },
+  unverified: { label: 'Sin verificar', flagged: false }
+};
+
+/**
+ * Grados de respaldo que puede devolver Claude para una afirmación
+ */
+export const CLAIM_SUPPORT_VALUES = ['supported', 'partial', 'unsupported'];
+
+// Máximo de afirmaciones que se verifican con Claude (el resto quedan sin verificar)
+export const MAX_VERIFIED_CLAIMS = 40;
+
+// Marcador temporal de cada cita dentro del texto, para separar las frases sin confundir los puntos de "et al."
+const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+/**
+ * Extrae las citas de la síntesis con la frase que respaldan
+ * Una cita con varios PMIDs genera una entrada por PMID; una cita sin PMID, una entrada sin él
+ * @param {string} synthesis - Síntesis en HTML
+ * @returns {Array<Object>} - [{ id, markerIndex, marker, pmid, claim }] en el orden del texto
+ */
+export function extractCitations(synthesis) {
+  const citations = [];
+  let markerIndex = 0;
+
+  parseSynthesisHtml(synthesis).forEach(block => {
+    const markers = [];
+    const text = block.runs.map(run => run.text).join('').replace(CITATION_PATTERN, (marker, citation) => {
+      markers.push({ marker, citation, markerIndex: markerIndex++ });
+      return `\u0000${markers.length - 1}\u0000`;
+    });
+
+    // Cada cita respalda la frase en la que aparece
+    text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+      const claim = sentence.replace(PLACEHOLDER_PATTERN, '').replace(/\s+([.,;:])/g, '$1').replace(/\s+/g, ' ').trim();
+      [...sentence.matchAll(PLACEHOLDER_PATTERN)].forEach(match => {
+        const { marker, citation, markerIndex: index } = markers[Number(match[1])];
+        const pmids = extractCitedPmids(citation);
+        (pmids.length > 0 ? pmids : [null]).forEach(pmid => {
+          citations.push({ id: String(citations.length + 1), markerIndex: index, marker, pmid, claim });
+        });
+      });
+    });
+  });
+
+  return citations;
+}
+
+/**
+ * Valida la comprobación de las afirmaciones devuelta por Claude
+ * @param {Object} data - Objeto JSON devuelto por Claude ({ claims: { [id]: { support, reason } } })
+ * @param {Array<string>} claimIds - IDs de las afirmaciones enviadas
+ * @returns {Object} - { valid, errors, claims } con el resultado por ID si es válido
+ */
+export function validateClaimSupport(data, claimIds) {
+  if (!data || typeof data.claims !== 'object' || data.claims === null || Array.isArray(data.claims)) {
+    return { valid: false, errors: ['La respuesta debe ser un objeto JSON con claims indexado por el id de cada afirmación'], claims: null };
+  }
+
+  const errors = [];
+  const claims = {};
+  claimIds.forEach(id => {
+    const entry = data.claims[id];
+    const support = typeof entry?.support === 'string' ? entry.support.trim().toLowerCase() : null;
+    if (!CLAIM_SUPPORT_VALUES.includes(support)) {
+      errors.push(`claims.${id}.support debe ser uno de: ${CLAIM_SUPPORT_VALUES.join(', ')}`);
+      return;
+    }
+    claims[id] = {
+      support,
+      reason: typeof entry.reason === 'string' && entry.reason.trim() ? entry.reason.trim() : null
+    };
+  });
+
+  return errors.length > 0
+    ? { valid: false, errors, claims: null }
+    : { valid: true, errors: [], claims };
+}
+
+/**
+ * Construye el resultado de la verificación de las citas
+ * @param {Array<Object>} citations - Citas de extractCitations
+ * @param {Array<string>} articlePmids - PMIDs de los artículos enviados a la síntesis
+ * @param {Object} claimSupport - Resultado de Claude por ID de cita (null si no se pudo verificar)
+ * @returns {Object} - { schemaVersion, claimsVerified, citations, counts, flagged }
+ */
+export function buildCitationCheck(citations, articlePmids, claimSupport = null) {
+  const available = new Set(articlePmids.map(String));
+
+  const checked = citations.map(citation => {
+    let status = 'unverified';
+    let reason = null;
+    if (!citation.pmid) {
+      status = 'unanchored';
+      reason = 'La cita no incluye el PMID del artículo';
+    } else if (!available.has(citation.pmid)) {
+      status = 'unknown';
+      reason = `El PMID ${citation.pmid} no corresponde a ninguno de los artículos de la síntesis`;
+    } else if (claimSupport?.[citation.id]) {
+      ({ support: status, reason } = claimSupport[citation.id]);
+    }
+
+    return {
+      ...citation,
+      status,
+      statusLabel: CITATION_STATUSES[status].label,
+      flagged: CITATION_STATUSES[status].flagged,
+      reason
+    };
+  });
+
+  const counts = Object.fromEntries(Object.keys(CITATION_STATUSES)
+    .map(status => [status, checked.filter(citation => citation.status === status).length]));
+
+  return {
+    schemaVersion: CITATION_CHECK_SCHEMA_VERSION,
+    claimsVerified: Boolean(claimSupport),
+    citations: checked,
+    counts,
+    flagged: checked.filter(citation => citation.flagged).length
+  };
+}
+
+export default {
+  CITATION_CHECK_SCHEMA_VERSION,
+  CITATION_STATUSES,
+  CLAIM_SUPPORT_VALUES,
+  MAX_VERIFIED_CLAIMS,
+  extractCitations,
+  validateClaimSupport,
+  buildCitationCheck
+};
@@ -31,10 +31,13 @@ const App = () => {
   const [results, setResults] = useState([]);
   const [apiBaseUrl] = useState('/api'); // URL base para las APIs del backend
 
-  const handleSearch = async (searchQuery, searchStrategy = "") => {
+  const handleSearch = async (searchQuery, searchStrategy = "", scoringProfile = null, filters = null, goldStandardPmids = []) => {
     const component = 'handleSearch';
     logInfo(component, `Iniciando búsqueda: "${searchQuery}"`, {
       iaEnabled,
+      scoringProfile,
+      filters,
+      goldStandardPmids: goldStandardPmids.length,
       searchStrategy: searchStrategy?.substring(0, 100) + (searchStrategy?.length > 100 ? '...' : '')
     });
     
@@ -49,7 +52,9 @@ const App = () => {
         params: {
           question: searchQuery,
           useAI: iaEnabled,
-          searchStrategy
+          searchStrategy,
+          scoringProfile,
+          filters
         }
       });
       
@@ -63,7 +68,10 @@ const App = () => {
         body: JSON.stringify({
           question: searchQuery,
           useAI: iaEnabled,
-          searchStrategy: searchStrategy || undefined
+          searchStrategy: searchStrategy || undefined,
+          scoringProfile: scoringProfile || undefined,
+          filters: filters || undefined,
+          goldStandardPmids: goldStandardPmids.length > 0 ? goldStandardPmids : undefined
         })
       });
       
@@ -79,18 +87,19 @@ const App = () => {
         throw new Error(`Error ${response.status}: ${errorText}`);
       }
       
+      // El backend encola la consulta y responde con el ID del trabajo
       const data = await response.json();
-      logInfo(component, 'Datos recibidos', {
+      logInfo(component, 'Consulta encolada', {
         success: data.success !== false, 
-        resultCount: data.results?.length || 0,
-        query: data.query
+        jobId: data.jobId,
+        status: data.status
       });
       
-      // Guardar resultados
+      // Guardar el trabajo encolado
       setResults(data);
       setIsLoading(false);
       
-      // Devolver los datos para que el componente Main pueda usarlos
+      // Devolver el trabajo para que el componente Main se suscriba a su progreso
       return data;
       
     } catch (error) {
@@ -1,4 +1,4 @@
-import React, { useEffect } from "react";
+import React, { useState } from "react";
 import "./Card.css";
 
 /**
@@ -83,78 +83,69 @@ const formatTitle = (title) => {
   return cleanTitle;
 };
 
+// Clases CSS del badge según el diseño de estudio clasificado por el backend
+const STUDY_DESIGN_CLASSES = {
+  'meta-analysis': 'study-meta-analysis',
+  'systematic-review': 'study-systematic-review',
+  'guideline': 'study-systematic-review',
+  'rct': 'study-rct',
+  'non-randomized-trial': 'study-rct',
+  'cohort': 'study-cohort',
+  'case-control': 'study-case-control',
+  'cross-sectional': 'study-case-control',
+  'observational': 'study-case-control',
+  'case-series': 'study-case-series',
+  'case-report': 'study-case-series',
+  'review': 'study-review'
+};
+
+// Descripción del origen de la clasificación para el tooltip del badge
+const CLASSIFICATION_SOURCE_LABELS = {
+  publicationType: 'tipo de publicación de PubMed',
+  mesh: 'términos MeSH de diseño',
+  heuristic: 'palabras del título o resumen'
+};
+
 /**
- * Determina el tipo de estudio basado en el título y abstract
- * @param {string} title - Título del artículo
- * @param {string} abstract - Resumen del artículo
- * @returns {Object} - Tipo de estudio, clase CSS y nombre para mostrar
+ * Obtiene los datos del badge de tipo de estudio a partir de la clasificación del backend
+ * @param {Object} studyDesign - Clasificación del diseño (design, label, evidenceLevel, source, matched)
+ * @returns {Object} - Clase CSS, etiqueta, nivel de evidencia y descripción del origen
  */
-const determineStudyType = (title, abstract) => {
-  const titleLower = (title || '').toLowerCase();
-  const abstractLower = (abstract || '').toLowerCase();
-  const combinedText = titleLower + ' ' + abstractLower;
-  
-  // Tipos de estudio ordenados por jerarquía (los primeros tienen prioridad)
-  const studyTypes = [
-    {
-      type: 'meta-analysis',
-      class: 'study-meta-analysis',
-      label: 'Meta-análisis',
-      keywords: ['meta-analysis', 'metaanálisis', 'meta análisis', 'metaanalysis']
-    },
-    {
-      type: 'systematic-review',
-      class: 'study-systematic-review',
-      label: 'Revisión sistemática',
-      keywords: ['systematic review', 'revisión sistemática', 'systematic']
-    },
-    {
-      type: 'rct',
-      class: 'study-rct',
-      label: 'Ensayo clínico aleatorizado',
-      keywords: ['randomized', 'randomised', 'aleatorizado', 'rct', 'controlled trial', 'ensayo clínico']
-    },
-    {
-      type: 'cohort',
-      class: 'study-cohort',
-      label: 'Estudio de cohorte',
-      keywords: ['cohort', 'cohorte', 'longitudinal']
-    },
-    {
-      type: 'case-control',
-      class: 'study-case-control',
-      label: 'Casos y controles',
-      keywords: ['case-control', 'caso-control', 'casos y controles']
-    },
-    {
-      type: 'case-series',
-      class: 'study-case-series',
-      label: 'Serie de casos',
-      keywords: ['case series', 'serie de casos', 'case report', 'reporte de caso']
-    },
-    {
-      type: 'review',
-      class: 'study-review',
-      label: 'Revisión',
-      keywords: ['review', 'revisión', 'overview']
-    }
-  ];
-  
-  // Buscar coincidencias con palabras clave
-  for (const studyType of studyTypes) {
-    if (studyType.keywords.some(keyword => combinedText.includes(keyword))) {
-      return studyType;
-    }
+const getStudyDesignBadge = (studyDesign) => {
+  if (!studyDesign || !studyDesign.design || studyDesign.design === 'unknown') {
+    return {
+      class: 'study-unknown',
+      label: 'No clasificado',
+      level: null,
+      description: 'No se pudo determinar el diseño del estudio'
+    };
   }
-  
-  // Si no hay coincidencias, devolver tipo desconocido
+
+  const sourceLabel = CLASSIFICATION_SOURCE_LABELS[studyDesign.source] || studyDesign.source;
   return {
-    type: 'unknown',
-    class: 'study-unknown',
-    label: 'Artículo'
+    class: STUDY_DESIGN_CLASSES[studyDesign.design] || 'study-unknown',
+    label: studyDesign.label,
+    level: studyDesign.evidenceLevel,
+    description: `Clasificado por ${sourceLabel}${studyDesign.matched ? `: "${studyDesign.matched}"` : ''}` +
+      (studyDesign.evidenceLevel ? ` · Nivel de evidencia ${studyDesign.evidenceLevel} (Oxford CEBM)` : '')
   };
 };
 
+/**
+ * Describe el desglose de la puntuación para el tooltip del badge de prioridad
+ * @param {Object} breakdown - Desglose devuelto por el backend (profile, maxScore, criteria)
+ * @returns {string} - Texto con el perfil usado y los puntos de cada criterio
+ */
+const describeScoreBreakdown = (breakdown) => {
+  if (!breakdown?.profile) return '';
+
+  const lines = [`Perfil: ${breakdown.profile.name} (v${breakdown.profile.version})`];
+  Object.values(breakdown.criteria || {}).forEach(criterion => {
+    lines.push(`${criterion.label}: ${criterion.points}/${criterion.weight}${criterion.usedDefault ? ' (valor por defecto)' : ''}`);
+  });
+  return lines.join('\n');
+};
+
 // Función para renderizar HTML de manera segura
 const createMarkup = (html) => {
   return { __html: html };
@@ -222,7 +213,7 @@ const ICiteMetrics = ({ metrics }) => {
           label="APT" 
           value={metrics.apt} 
           tooltip="Approximate Potential to Translate - Potencial de traslación clínica" 
-          max={100} 
+          max={1} 
         />
         <MetricIndicator 
           label="Citas clínicas" 
@@ -241,7 +232,214 @@ const ICiteMetrics = ({ metrics }) => {
   );
 };
 
-const Card = ({ article }) => {
+// Etiquetas de la valoración crítica estructurada (ver backend/utils/articleAppraisal.js)
+const PICO_LABELS = {
+  population: 'Población',
+  intervention: 'Intervención',
+  comparator: 'Comparador',
+  outcome: 'Resultado'
+};
+
+const PICO_MATCH_LABELS = {
+  yes: 'Coincide',
+  partial: 'Parcial',
+  no: 'No coincide',
+  unclear: 'No está claro'
+};
+
+const APPLICABILITY_LABELS = {
+  high: 'Alta',
+  moderate: 'Moderada',
+  low: 'Baja'
+};
+
+// Procedencia de los artículos añadidos al ampliar los resultados
+const EXPANSION_SOURCE_LABELS = {
+  similar: 'similar a',
+  references: 'citado por',
+  citedBy: 'cita a'
+};
+
+/**
+ * Describe de dónde procede un artículo añadido al ampliar los resultados
+ * @param {Object} expansion - { sources, seeds, clinicalCitation }
+ * @returns {string} - Texto para mostrar (p. ej. "similar a PMID 123")
+ */
+const describeExpansion = (expansion) => {
+  const seeds = expansion.seeds.map(seed => `PMID ${seed}`).join(", ");
+  const sources = expansion.sources.map(source => EXPANSION_SOURCE_LABELS[source] || source).join(" / ");
+  return `${sources} ${seeds}${expansion.clinicalCitation ? " (cita clínica)" : ""}`;
+};
+
+/**
+ * Comprueba si el análisis de un artículo es una valoración estructurada
+ * @param {*} analysis - Análisis del artículo
+ * @returns {boolean} - Si tiene el formato de la valoración
+ */
+const isAppraisal = (analysis) =>
+  Boolean(analysis && typeof analysis === 'object' && analysis.summary && analysis.qualityStars);
+
+/**
+ * Formatea una medida de efecto con su intervalo de confianza y valor p
+ * @param {Object} effect - Medida de efecto (measure, value, ciLower, ciUpper, pValue)
+ * @returns {string} - Texto formateado
+ */
+const formatEffectSize = (effect) => {
+  const interval = effect.ciLower !== null && effect.ciUpper !== null
+    ? ` (IC 95%: ${effect.ciLower} a ${effect.ciUpper})`
+    : '';
+  const pValue = effect.pValue ? `, p = ${effect.pValue}` : '';
+  return `${effect.measure} ${effect.value}${interval}${pValue}`;
+};
+
+/**
+ * Componente para mostrar la valoración crítica estructurada de un artículo
+ * @param {Object} appraisal - Valoración devuelta por el backend
+ * @returns {JSX.Element} - Elemento JSX
+ */
+const ArticleAppraisal = ({ appraisal }) => {
+  const stars = Math.min(Math.max(appraisal.qualityStars, 0), 5);
+  const applicability = appraisal.clinicalApplicability || {};
+
+  return (
+    <div className="appraisal">
+      <div className="appraisal-badges">
+        <span className="appraisal-stars" title={appraisal.qualityRationale || `Calidad ${stars}/5`}>
+          {'★'.repeat(stars)}{'☆'.repeat(5 - stars)}
+        </span>
+        <span className={STUDY_DESIGN_CLASSES[appraisal.studyType] || 'study-unknown'}>
+          {appraisal.studyTypeLabel}
+          {appraisal.evidenceLevel && <span className="evidence-level">N{appraisal.evidenceLevel}</span>}
+        </span>
+        {applicability.level && (
+          <span className={`appraisal-applicability applicability-${applicability.level}`}>
+            Aplicabilidad {(APPLICABILITY_LABELS[applicability.level] || applicability.level).toLowerCase()}
+          </span>
+        )}
+      </div>
+
+      <p className="appraisal-summary">{appraisal.summary}</p>
+
+      {appraisal.picoMatch && (
+        <div className="appraisal-block">
+          <h4>Correspondencia con la pregunta (PICO)</h4>
+          <ul className="appraisal-pico">
+            {Object.entries(PICO_LABELS).map(([component, label]) => {
+              const entry = appraisal.picoMatch[component];
+              if (!entry) return null;
+              return (
+                <li key={component}>
+                  <span className="pico-component">{label}</span>
+                  <span className={`pico-match pico-match-${entry.match}`}>
+                    {PICO_MATCH_LABELS[entry.match] || entry.match}
+                  </span>
+                  {entry.note && <span className="pico-note">{entry.note}</span>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {appraisal.keyFindings?.length > 0 && (
+        <div className="appraisal-block">
+          <h4>Hallazgos clave</h4>
+          <ul>
+            {appraisal.keyFindings.map((finding, index) => <li key={index}>{finding}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {appraisal.effectSizes?.length > 0 && (
+        <div className="appraisal-block">
+          <h4>Tamaños del efecto</h4>
+          <ul className="appraisal-effects">
+            {appraisal.effectSizes.map((effect, index) => (
+              <li key={index}>
+                <span className="effect-outcome">{effect.outcome}:</span> {formatEffectSize(effect)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {appraisal.limitations?.length > 0 && (
+        <div className="appraisal-block">
+          <h4>Limitaciones</h4>
+          <ul>
+            {appraisal.limitations.map((limitation, index) => <li key={index}>{limitation}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {applicability.explanation && (
+        <div className="appraisal-block">
+          <h4>Aplicabilidad clínica</h4>
+          <p>{applicability.explanation}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tabla semáforo con la evaluación del riesgo de sesgo por dominio (RoB 2, ROBINS-I o AMSTAR-2)
+ * @param {Object} assessment - Evaluación devuelta por el backend (ver backend/utils/riskOfBias.js)
+ * @returns {JSX.Element} - Elemento JSX
+ */
+const RiskOfBiasTable = ({ assessment }) => (
+  <table className="risk-of-bias">
+    <thead>
+      <tr>
+        <th>Dominio</th>
+        <th>Juicio</th>
+        <th>Cita del abstract</th>
+      </tr>
+    </thead>
+    <tbody>
+      {assessment.domains.map(domain => (
+        <tr key={domain.id}>
+          <td>
+            {domain.label}
+            {domain.critical && <span className="risk-critical" title="Dominio crítico de AMSTAR-2">crítico</span>}
+          </td>
+          <td>
+            <span className={`risk-judgment risk-${domain.level || 'unclear'}`} title={domain.rationale || undefined}>
+              {domain.judgmentLabel}
+            </span>
+          </td>
+          <td className="risk-quote">
+            {domain.quote ? `“${domain.quote}”` : <span className="risk-no-quote">No se informa en el abstract</span>}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td>Global</td>
+        <td>
+          <span className={`risk-judgment risk-${assessment.overall.level || 'unclear'}`}>
+            {assessment.overall.judgmentLabel}
+          </span>
+        </td>
+        <td>{assessment.overall.rationale}</td>
+      </tr>
+    </tfoot>
+  </table>
+);
+
+const Card = ({ article, onAnalyze, onAssessRiskOfBias, onExpand, selected = false, onToggleSelect, relevant = false, onToggleRelevant }) => {
+  // Análisis bajo demanda: el texto de Claude se muestra a medida que llega
+  const [analyzing, setAnalyzing] = useState(false);
+  const [streamText, setStreamText] = useState("");
+  const [analysisError, setAnalysisError] = useState(null);
+  // Evaluación del riesgo de sesgo bajo demanda, también en streaming
+  const [assessing, setAssessing] = useState(false);
+  const [riskOfBiasStream, setRiskOfBiasStream] = useState("");
+  const [riskOfBiasError, setRiskOfBiasError] = useState(null);
+  // Ampliación de los resultados desde este artículo
+  const [expanding, setExpanding] = useState(false);
+
   if (!article) {
     console.error("Se intentó renderizar Card sin datos de artículo");
     return <div className="article-card article-card-warning">Error: Datos de artículo no disponibles</div>;
@@ -256,91 +454,85 @@ const Card = ({ article }) => {
     authors: article.authors || [],
     abstract: article.abstract || "Resumen no disponible",
     meshTerms: Array.isArray(article.meshTerms) ? article.meshTerms : [],
+    abstractSections: Array.isArray(article.abstractSections) ? article.abstractSections : [],
+    meshHeadings: Array.isArray(article.meshHeadings) ? article.meshHeadings : [],
     priorityScore: typeof article.priorityScore === 'number' ? article.priorityScore : null,
+    scoreBreakdown: article.scoreBreakdown || null,
     source: article.source || "Fuente no especificada",
-    secondaryAnalysis: article.secondaryAnalysis || article.analysis?.content,
-    iCiteMetrics: article.iCiteMetrics || null
+    appraisal: isAppraisal(article.analysis) ? article.analysis : null,
+    // Análisis en texto libre de versiones anteriores
+    secondaryAnalysis: typeof article.secondaryAnalysis === 'string' ? article.secondaryAnalysis : null,
+    iCiteMetrics: article.iCiteMetrics || null,
+    studyDesign: article.studyDesign || null,
+    riskOfBias: article.riskOfBias?.domains ? article.riskOfBias : null,
+    expansion: article.expansion?.seeds?.length ? article.expansion : null
   };
 
   // Usar las funciones de formateo para manejar diferentes casos
   const authorsList = formatAuthors(articleData.authors);
   const formattedTitle = formatTitle(articleData.title);
 
-  // Determinar el tipo de estudio
-  const studyType = determineStudyType(articleData.title, articleData.abstract);
+  // Tipo de estudio clasificado en el backend (tipos de publicación, MeSH y heurísticas)
+  const studyType = getStudyDesignBadge(articleData.studyDesign);
 
   // Crear URL al artículo original en PubMed
   const pubmedUrl = articleData.pmid ? `https://pubmed.ncbi.nlm.nih.gov/${articleData.pmid}/` : null;
 
+  const handleAnalyze = async () => {
+    setAnalyzing(true);
+    setStreamText("");
+    setAnalysisError(null);
+    try {
+      await onAnalyze(article, setStreamText);
+    } catch (error) {
+      console.error("Error al analizar el artículo:", error);
+      setAnalysisError(error.message);
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const handleAssessRiskOfBias = async () => {
+    setAssessing(true);
+    setRiskOfBiasStream("");
+    setRiskOfBiasError(null);
+    try {
+      await onAssessRiskOfBias(article, setRiskOfBiasStream);
+    } catch (error) {
+      console.error("Error al evaluar el riesgo de sesgo:", error);
+      setRiskOfBiasError(error.message);
+    } finally {
+      setAssessing(false);
+    }
+  };
+
+  const handleExpand = async () => {
+    setExpanding(true);
+    try {
+      await onExpand(article);
+    } finally {
+      setExpanding(false);
+    }
+  };
+
   // Verificar si todos los datos son válidos
   const hasValidData = formattedTitle !== "Sin título disponible" && 
                       authorsList !== "Autores no disponibles" &&
                       articleData.abstract;
 
-  // Verificar si el análisis contiene HTML con formato de tarjeta
-  const hasCardFormat = articleData.secondaryAnalysis && 
-    (articleData.secondaryAnalysis.includes('<div class="card-analysis">') || 
-     articleData.secondaryAnalysis.includes('class="card-header"') ||
-     articleData.secondaryAnalysis.includes('class="badges"'));
-
-  useEffect(() => {
-    // Función para aplicar colores personalizados a los badges de tipo
-    const applyBadgeColors = () => {
-      // Verificar si hay análisis secundario y buscar badges
-      if (articleData.secondaryAnalysis && hasCardFormat) {
-        // Esperar a que el DOM se actualice
-        setTimeout(() => {
-          // Seleccionar todos los badges de tipo dentro de esta tarjeta
-          const typeBadges = document.querySelectorAll('.badge.type');
-          
-          if (typeBadges.length > 0) {
-            typeBadges.forEach(badge => {
-              const text = badge.textContent.toLowerCase();
-              
-              if (text.includes('meta-análisis') || text.includes('metaanálisis')) {
-                badge.style.backgroundColor = '#8e44ad';
-                badge.style.color = 'white';
-              } else if (text.includes('revisión sistemática') || text.includes('revision sistematica')) {
-                badge.style.backgroundColor = '#9b59b6';
-                badge.style.color = 'white';
-              } else if (text.includes('ensayo clínico') || text.includes('aleatorizado') || text.includes('eca')) {
-                badge.style.backgroundColor = '#3498db';
-                badge.style.color = 'white';
-              } else if (text.includes('cohorte')) {
-                badge.style.backgroundColor = '#2ecc71';
-                badge.style.color = 'white';
-              } else if (text.includes('casos y controles') || text.includes('caso-control')) {
-                badge.style.backgroundColor = '#f39c12';
-                badge.style.color = 'white';
-              } else if (text.includes('serie de casos') || text.includes('reporte de caso')) {
-                badge.style.backgroundColor = '#e67e22';
-                badge.style.color = 'white';
-              } else if (text.includes('revisión') || text.includes('revision')) {
-                badge.style.backgroundColor = '#16a085';
-                badge.style.color = 'white';
-              } else {
-                badge.style.backgroundColor = '#7f8c8d';
-                badge.style.color = 'white';
-              }
-            });
-          }
-        }, 100);
-      }
-    };
-    
-    applyBadgeColors();
-  }, [articleData.secondaryAnalysis, hasCardFormat]);
-
   return (
     <div className={`article-card ${!hasValidData ? 'article-card-warning' : ''}`}>
       {/* Mostrar badge de tipo de estudio */}
       <div className="study-type-badge">
-        <span className={studyType.class}>{studyType.label}</span>
+        <span className={studyType.class} title={studyType.description}>
+          {studyType.label}
+          {studyType.level && <span className="evidence-level">N{studyType.level}</span>}
+        </span>
       </div>
       
       {/* Mostrar badge de prioridad si existe */}
       {articleData.priorityScore !== undefined && (
-        <div className="priority-badge">
+        <div className="priority-badge" title={describeScoreBreakdown(articleData.scoreBreakdown)}>
           <div className="priority-badge-inner">
             <span className="score-value">{articleData.priorityScore}</span>
             <span className="score-label">relevancia</span>
@@ -349,6 +541,18 @@ const Card = ({ article }) => {
       )}
       
       <div className="article-header">
+        {onToggleSelect && (
+          <label className="article-select">
+            <input type="checkbox" checked={selected} onChange={() => onToggleSelect(article)} />
+            Seleccionar para exportar
+          </label>
+        )}
+        {onToggleRelevant && (
+          <label className="article-select">
+            <input type="checkbox" checked={relevant} onChange={() => onToggleRelevant(article)} />
+            Relevante (conjunto de referencia)
+          </label>
+        )}
         <h2 className="article-title">{formattedTitle}</h2>
         <p className="article-authors">{authorsList}</p>
         <div className="article-meta">
@@ -371,28 +575,104 @@ const Card = ({ article }) => {
             </span>
           )}
         </div>
+        {articleData.expansion && (
+          <p className="article-expansion">Añadido al ampliar: {describeExpansion(articleData.expansion)}</p>
+        )}
       </div>
 
       <div className="article-body">
         <div className="article-section">
           <h3 className="section-title">Abstract</h3>
-          <p className="abstract-content">{articleData.abstract || "Abstract no disponible"}</p>
+          {articleData.abstractSections.some(section => section.label) ? (
+            <div className="abstract-content abstract-structured">
+              {articleData.abstractSections.map((section, index) => (
+                <p key={index} className="abstract-section">
+                  {section.label && <span className="abstract-label">{section.label}: </span>}
+                  {section.text}
+                </p>
+              ))}
+            </div>
+          ) : (
+            <p className="abstract-content">{articleData.abstract || "Abstract no disponible"}</p>
+          )}
         </div>
 
         {articleData.meshTerms && articleData.meshTerms.length > 0 && (
           <div className="article-section">
             <h3 className="section-title">Términos MeSH</h3>
             <div className="mesh-terms">
-              {articleData.meshTerms.map((term, index) => (
-                <span key={index} className="mesh-term">
-                  {term}
-                </span>
-              ))}
+              {articleData.meshTerms.map((term, index) => {
+                const heading = articleData.meshHeadings.find(item => item.descriptor === term);
+                return (
+                  <span
+                    key={index}
+                    className={`mesh-term ${heading?.majorTopic ? "mesh-term-major" : ""}`}
+                    title={heading?.qualifiers?.length ? heading.qualifiers.map(q => q.name).join(", ") : undefined}
+                  >
+                    {term}{heading?.majorTopic ? "*" : ""}
+                  </span>
+                );
+              })}
             </div>
           </div>
         )}
 
-        {articleData.secondaryAnalysis && (
+        {articleData.appraisal && (
+          <div className="article-section secondary-analysis">
+            <div className="analysis-header">
+              <h3 className="section-title">Valoración crítica con IA</h3>
+            </div>
+            <ArticleAppraisal appraisal={articleData.appraisal} />
+          </div>
+        )}
+
+        {!articleData.appraisal && !articleData.secondaryAnalysis && onAnalyze && (
+          <div className="article-section secondary-analysis">
+            <div className="analysis-header">
+              <h3 className="section-title">Valoración crítica con IA</h3>
+              <button
+                type="button"
+                className="analyze-button"
+                onClick={handleAnalyze}
+                disabled={analyzing}
+              >
+                {analyzing ? "Analizando..." : "Analizar con IA"}
+              </button>
+            </div>
+            {analyzing && (
+              <pre className="appraisal-stream">{streamText || "Esperando la respuesta de Claude..."}</pre>
+            )}
+            {analysisError && <p className="appraisal-error">{analysisError}</p>}
+          </div>
+        )}
+
+        {(articleData.riskOfBias || onAssessRiskOfBias) && (
+          <div className="article-section secondary-analysis">
+            <div className="analysis-header">
+              <h3 className="section-title">
+                Riesgo de sesgo{articleData.riskOfBias && ` (${articleData.riskOfBias.toolLabel})`}
+              </h3>
+              {!articleData.riskOfBias && (
+                <button
+                  type="button"
+                  className="analyze-button"
+                  onClick={handleAssessRiskOfBias}
+                  disabled={assessing}
+                  title="RoB 2 para ensayos aleatorizados, ROBINS-I para estudios no aleatorizados y AMSTAR-2 para revisiones sistemáticas"
+                >
+                  {assessing ? "Evaluando..." : "Evaluar riesgo de sesgo"}
+                </button>
+              )}
+            </div>
+            {articleData.riskOfBias && <RiskOfBiasTable assessment={articleData.riskOfBias} />}
+            {assessing && (
+              <pre className="appraisal-stream">{riskOfBiasStream || "Esperando la respuesta de Claude..."}</pre>
+            )}
+            {riskOfBiasError && <p className="appraisal-error">{riskOfBiasError}</p>}
+          </div>
+        )}
+
+        {!articleData.appraisal && articleData.secondaryAnalysis && (
           <div className={`article-section secondary-analysis`}>
             <div className="analysis-header">
               <h3 className="section-title">Análisis con IA</h3>
@@ -407,16 +687,29 @@ const Card = ({ article }) => {
         )}
       </div>
 
-      {pubmedUrl && (
+      {(pubmedUrl || onExpand) && (
         <div className="article-footer">
-          <a 
-            href={pubmedUrl} 
-            target="_blank" 
-            rel="noopener noreferrer" 
-            className="pubmed-link"
-          >
-            Ver artículo original en PubMed
-          </a>
+          {onExpand && (
+            <button
+              type="button"
+              className="expand-button"
+              onClick={handleExpand}
+              disabled={expanding}
+              title="Buscar artículos similares, sus referencias y los artículos que lo citan"
+            >
+              {expanding ? "Ampliando..." : "Ampliar desde este artículo"}
+            </button>
+          )}
+          {pubmedUrl && (
+            <a 
+              href={pubmedUrl} 
+              target="_blank" 
+              rel="noopener noreferrer" 
+              className="pubmed-link"
+            >
+              Ver artículo original en PubMed
+            </a>
+          )}
         </div>
       )}
 
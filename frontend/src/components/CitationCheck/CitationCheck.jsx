@@ -0,0 +1,49 @@
+import React from 'react';
+import './CitationCheck.css';
+
+/**
+ * Resultado de la verificación de las citas de la síntesis
+ * Resume cuántas citas están respaldadas y lista las señaladas (PMID desconocido,
+ * cita sin PMID o afirmación sin respaldo en el artículo) con la afirmación y el motivo
+ * @param {Object} check - Verificación del backend (ver backend/utils/synthesisCitations.js)
+ * @returns {JSX.Element} - Componente de la verificación
+ */
+const CitationCheck = ({ check }) => {
+  if (!check || check.citations.length === 0) return null;
+
+  const { counts } = check;
+  const issues = check.citations.filter(citation => citation.flagged || citation.status === 'partial');
+
+  return (
+    <div className={`citation-check ${check.flagged > 0 ? 'citation-check-flagged' : ''}`}>
+      <h4>Verificación de las citas</h4>
+      <p className="citation-check-counts">
+        {check.citations.length} citas: {counts.supported} respaldadas
+        {counts.partial > 0 && `, ${counts.partial} respaldadas en parte`}
+        {counts.unsupported > 0 && `, ${counts.unsupported} sin respaldo`}
+        {counts.unknown > 0 && `, ${counts.unknown} con PMID desconocido`}
+        {counts.unanchored > 0 && `, ${counts.unanchored} sin PMID`}
+        {counts.unverified > 0 && `, ${counts.unverified} sin verificar`}
+      </p>
+      {!check.claimsVerified && (
+        <p className="citation-check-note">
+          No se pudo comprobar si los artículos respaldan las afirmaciones; solo se han verificado los PMIDs.
+        </p>
+      )}
+      {issues.length > 0 && (
+        <ul className="citation-check-list">
+          {issues.map(citation => (
+            <li key={citation.id} className={`citation-check-${citation.status}`}>
+              <span className="citation-check-status">{citation.statusLabel}</span>
+              <span className="citation-check-marker">{citation.marker}</span>
+              <q>{citation.claim}</q>
+              {citation.reason && <span className="citation-check-reason">{citation.reason}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CitationCheck;
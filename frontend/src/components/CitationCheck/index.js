@@ -0,0 +1 @@
+export { default } from './CitationCheck'; 
\ No newline at end of file
@@ -0,0 +1,213 @@
+import { useState, useEffect, useMemo } from "react";
+import Card from "../Card";
+import Loading from "../Loading";
+import iciteService from "../../services/iciteService";
+import { layoutGraph } from "../../utils/graphLayout";
+import "./CitationGraph.css";
+
+// Área de dibujo del grafo (el SVG se escala al ancho disponible)
+const GRAPH_WIDTH = 900;
+const GRAPH_HEIGHT = 600;
+
+// Color de los nodos según el nivel de evidencia (Oxford CEBM)
+const EVIDENCE_LEVEL_COLORS = {
+  1: "#1b7837",
+  2: "#5aae61",
+  3: "#f1a340",
+  4: "#e08214",
+  5: "#b2182b"
+};
+const UNKNOWN_LEVEL_COLOR = "#9e9e9e";
+
+/**
+ * Radio del nodo según el Relative Citation Ratio (RCR)
+ * @param {number|null} rcr - RCR de iCite
+ * @returns {number} - Radio en píxeles
+ */
+const nodeRadius = (rcr) => 6 + 3 * Math.sqrt(Math.min(Math.max(rcr || 0, 0), 25));
+
+/**
+ * Vista de los resultados como red de citas
+ * Los nodos son los artículos (tamaño según el RCR y color según el nivel de evidencia),
+ * las aristas las citas entre ellos y los nodos fantasma los artículos externos más citados
+ * @param {Array} articles - Artículos de los resultados
+ * @param {Function} onAnalyzeArticle - Se pasa a la Card del artículo seleccionado
+ * @param {Function} onAssessRiskOfBias - Se pasa a la Card del artículo seleccionado
+ * @param {Function} onExpandArticle - Se pasa a la Card del artículo seleccionado
+ */
+const CitationGraph = ({ articles = [], onAnalyzeArticle, onAssessRiskOfBias, onExpandArticle }) => {
+  const [graph, setGraph] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  // La red solo se vuelve a pedir cuando cambia el conjunto de PMIDs
+  const pmidKey = articles.map(article => article.pmid).filter(Boolean).join(",");
+
+  useEffect(() => {
+    if (!pmidKey) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    iciteService.getCitationGraph(pmidKey.split(","))
+      .then(data => {
+        if (!cancelled) setGraph(data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pmidKey]);
+
+  const articlesByPmid = useMemo(
+    () => new Map(articles.map(article => [String(article.pmid), article])),
+    [articles]
+  );
+
+  const positions = useMemo(
+    () => (graph ? layoutGraph(graph.nodes, graph.edges, { width: GRAPH_WIDTH, height: GRAPH_HEIGHT }) : new Map()),
+    [graph]
+  );
+
+  if (loading) {
+    return <Loading text="Construyendo la red de citas..." />;
+  }
+
+  if (error) {
+    return <p className="citation-graph-error">{error}</p>;
+  }
+
+  if (!graph || graph.nodes.length === 0) return null;
+
+  const nodeColor = (node) => {
+    if (node.ghost) return UNKNOWN_LEVEL_COLOR;
+    const level = articlesByPmid.get(node.pmid)?.studyDesign?.evidenceLevel;
+    return EVIDENCE_LEVEL_COLORS[level] || UNKNOWN_LEVEL_COLOR;
+  };
+
+  const selectedNode = graph.nodes.find(node => node.id === selectedId) || null;
+  const selectedArticle = selectedNode && !selectedNode.ghost ? articlesByPmid.get(selectedNode.pmid) : null;
+  const citationEdges = graph.edges.filter(edge => !edge.ghost).length;
+  const ghostCount = graph.nodes.filter(node => node.ghost).length;
+  const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+
+  return (
+    <div className="citation-graph">
+      <div className="citation-graph-legend">
+        {Object.entries(EVIDENCE_LEVEL_COLORS).map(([level, color]) => (
+          <span key={level} className="citation-graph-legend-item">
+            <span className="citation-graph-swatch" style={{ backgroundColor: color }} /> Nivel {level}
+          </span>
+        ))}
+        <span className="citation-graph-legend-item">
+          <span className="citation-graph-swatch" style={{ backgroundColor: UNKNOWN_LEVEL_COLOR }} /> Sin clasificar
+        </span>
+        <span className="citation-graph-legend-item">
+          <span className="citation-graph-swatch citation-graph-swatch-ghost" /> Artículo externo muy citado
+        </span>
+        <span className="citation-graph-legend-item">Tamaño: RCR (iCite)</span>
+      </div>
+
+      <p className="citation-graph-summary">
+        {graph.nodes.length - ghostCount} artículos · {ghostCount} externos · {citationEdges} citas entre resultados
+        {graph.missing?.length > 0 && ` · ${graph.missing.length} artículos sin datos en iCite`}
+      </p>
+
+      <svg
+        className="citation-graph-canvas"
+        viewBox={`0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`}
+        role="img"
+        aria-label="Red de citas de los resultados"
+      >
+        <defs>
+          <marker id="citation-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#adb5bd" />
+          </marker>
+        </defs>
+
+        {graph.edges.map(edge => {
+          const source = positions.get(edge.source);
+          const target = positions.get(edge.target);
+          if (!source || !target) return null;
+
+          // La flecha termina en el borde del nodo citado
+          const targetNode = nodesById.get(edge.target);
+          const dx = target.x - source.x;
+          const dy = target.y - source.y;
+          const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+          const offset = nodeRadius(targetNode?.rcr) + 2;
+          const highlighted = selectedId && (edge.source === selectedId || edge.target === selectedId);
+
+          return (
+            <line
+              key={`${edge.source}>${edge.target}`}
+              x1={source.x}
+              y1={source.y}
+              x2={target.x - (dx / distance) * offset}
+              y2={target.y - (dy / distance) * offset}
+              className={`citation-graph-edge${edge.ghost ? " citation-graph-edge-ghost" : ""}${highlighted ? " citation-graph-edge-highlighted" : ""}`}
+              markerEnd="url(#citation-arrow)"
+            />
+          );
+        })}
+
+        {graph.nodes.map(node => {
+          const position = positions.get(node.id);
+          if (!position) return null;
+          const article = articlesByPmid.get(node.pmid);
+          const title = article?.title || node.title || `PMID ${node.pmid}`;
+
+          return (
+            <circle
+              key={node.id}
+              cx={position.x}
+              cy={position.y}
+              r={nodeRadius(node.rcr)}
+              fill={nodeColor(node)}
+              className={`citation-graph-node${node.ghost ? " citation-graph-node-ghost" : ""}${node.id === selectedId ? " citation-graph-node-selected" : ""}`}
+              onClick={() => setSelectedId(node.id === selectedId ? null : node.id)}
+            >
+              <title>
+                {`${title}${node.year ? ` (${node.year})` : ""}\nRCR: ${node.rcr ?? "N/D"} · Citas: ${node.citationCount ?? "N/D"}` +
+                  `\nCitado por ${node.citedByInSet} resultados · Cita a ${node.citesInSet}`}
+              </title>
+            </circle>
+          );
+        })}
+      </svg>
+
+      {selectedArticle && (
+        <div className="citation-graph-selection">
+          <Card article={selectedArticle} onAnalyze={onAnalyzeArticle} onAssessRiskOfBias={onAssessRiskOfBias} onExpand={onExpandArticle} />
+        </div>
+      )}
+
+      {selectedNode?.ghost && (
+        <div className="citation-graph-selection citation-graph-ghost-info">
+          <h4>{selectedNode.title || `PMID ${selectedNode.pmid}`}</h4>
+          <p>
+            {selectedNode.journal && `${selectedNode.journal} · `}
+            {selectedNode.year || "Año no disponible"} · Citado por {selectedNode.citedByInSet} artículos de los resultados
+          </p>
+          <a
+            href={`https://pubmed.ncbi.nlm.nih.gov/${selectedNode.pmid}/`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="pubmed-link"
+          >
+            Ver artículo en PubMed
+          </a>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CitationGraph;
@@ -50,7 +50,7 @@ const DiagnosisPanel = ({
   }
 
   // Contar artículos con análisis
-  const articlesWithAnalysis = articles?.filter(a => a.secondaryAnalysis)?.length || 0;
+  const articlesWithAnalysis = articles?.filter(a => a.analysis || a.secondaryAnalysis)?.length || 0;
 
   return (
     <div className="diagnosis-panel">
@@ -219,7 +219,7 @@ const DiagnosisPanel = ({
                               {apiResponse.results.slice(0, 3).map((article, index) => (
                                 <li key={article.pmid || index}>
                                   <strong>PMID {article.pmid}:</strong> {article.title?.substring(0, 50)}...
-                                  {article.secondaryAnalysis && <span className="analysis-indicator">📊</span>}
+                                  {(article.analysis || article.secondaryAnalysis) && <span className="analysis-indicator">📊</span>}
                                 </li>
                               ))}
                               {apiResponse.results.length > 3 && <li>... y {apiResponse.results.length - 3} más</li>}
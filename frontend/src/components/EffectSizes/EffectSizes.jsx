@@ -0,0 +1,191 @@
+import React, { useMemo } from 'react';
+import ForestPlot from '../ForestPlot';
+import { runMetaAnalysis, isIncluded } from '../../utils/metaAnalysis';
+import './EffectSizes.css';
+
+// Campos numéricos editables de cada registro
+const NUMBER_FIELDS = ['value', 'ciLower', 'ciUpper', 'interventionN', 'controlN'];
+
+// Nombre de cada campo numérico en la tabla
+const FIELD_LABELS = {
+  value: 'estimación',
+  ciLower: 'IC 95% inferior',
+  ciUpper: 'IC 95% superior',
+  interventionN: 'n intervención',
+  controlN: 'n control'
+};
+
+/**
+ * Convierte lo que escribe el usuario a número (acepta coma decimal)
+ * @param {*} value - Número o texto del campo
+ * @returns {number|null} - Número o null si el campo está vacío o no es numérico
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const parsed = Number(value.trim().replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Medidas de efecto extraídas de los abstracts y meta-análisis de los registros compatibles
+ * Los registros se pueden corregir, añadir, quitar o excluir; los que comparten desenlace y medida
+ * se combinan en el navegador (una vez por PMID) y se muestran en un diagrama de bosque por desenlace
+ * @param {Array<Object>} records - Registros de medidas de efecto (los campos numéricos pueden ser texto mientras se editan)
+ * @param {Object} measures - Medidas de efecto que admite el backend ({ [id]: { label, ratio } }), recibidas con la extracción
+ * @param {Function} onChange - Recibe la lista de registros editada
+ * @param {Function} onExtract - Extrae los registros de los abstracts analizados
+ * @param {boolean} extracting - Si la extracción está en curso
+ * @returns {JSX.Element} - Componente de las medidas de efecto
+ */
+const EffectSizes = ({ records = [], measures = {}, onChange, onExtract, extracting = false }) => {
+  const { analyses, excluded, duplicates, unverified } = useMemo(() => runMetaAnalysis(records.map(record => ({
+    ...record,
+    ...Object.fromEntries(NUMBER_FIELDS.map(field => [field, toNumber(record[field])]))
+  })), measures), [records, measures]);
+  const duplicateIds = new Set(duplicates.map(record => record.id));
+  const unverifiedIds = new Set(unverified.map(record => record.id));
+  const measureIds = Object.keys(measures);
+
+  const updateRecord = (id, changes) => {
+    onChange(records.map(record => (record.id === id ? { ...record, ...changes } : record)));
+  };
+
+  const addRecord = () => {
+    onChange([...records, {
+      id: `manual-${Date.now()}`,
+      pmid: '',
+      outcome: '',
+      measure: measureIds[0],
+      value: '',
+      ciLower: '',
+      ciUpper: '',
+      interventionN: '',
+      controlN: ''
+    }]);
+  };
+
+  return (
+    <div className="effect-sizes">
+      <div className="effect-sizes-header">
+        <h4>Medidas de efecto y meta-análisis</h4>
+        <button type="button" className="effect-sizes-button" onClick={onExtract} disabled={extracting}>
+          {extracting ? 'Extrayendo...' : 'Extraer de los abstracts'}
+        </button>
+      </div>
+
+      {records.length > 0 && (
+        <div className="effect-sizes-table-wrapper">
+          <table className="effect-sizes-table">
+            <thead>
+              <tr>
+                <th>Incluir</th>
+                <th>PMID</th>
+                <th>Desenlace</th>
+                <th>Medida</th>
+                <th>Estimación</th>
+                <th>IC 95% inferior</th>
+                <th>IC 95% superior</th>
+                <th>n intervención</th>
+                <th>n control</th>
+                <th aria-label="Acciones" />
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(record => (
+                <tr
+                  key={record.id}
+                  className={unverifiedIds.has(record.id)
+                    ? 'effect-sizes-unverified'
+                    : (!isIncluded(record)
+                      ? 'effect-sizes-excluded'
+                      : (duplicateIds.has(record.id) ? 'effect-sizes-duplicate' : undefined))}
+                  title={unverifiedIds.has(record.id)
+                    ? `No aparece en el abstract: ${(record.unverifiedFields || []).map(field => FIELD_LABELS[field]).join(', ')}. Revísalo y márcalo para combinarlo`
+                    : (duplicateIds.has(record.id)
+                      ? 'El PMID ya tiene otro registro con este desenlace y medida: solo se combina el primero'
+                      : undefined)}
+                >
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={isIncluded(record)}
+                      onChange={(e) => updateRecord(record.id, { included: e.target.checked })}
+                      aria-label="Incluir en el meta-análisis"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      className="effect-sizes-pmid"
+                      value={record.pmid ?? ''}
+                      onChange={(e) => updateRecord(record.id, { pmid: e.target.value.trim() })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={record.outcome ?? ''}
+                      onChange={(e) => updateRecord(record.id, { outcome: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <select value={record.measure} onChange={(e) => updateRecord(record.id, { measure: e.target.value })}>
+                      {Object.entries(measures).map(([id, measure]) => (
+                        <option key={id} value={id} title={measure.label}>{id}</option>
+                      ))}
+                    </select>
+                  </td>
+                  {NUMBER_FIELDS.map(field => (
+                    <td key={field}>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        className="effect-sizes-number"
+                        value={record[field] ?? ''}
+                        onChange={(e) => updateRecord(record.id, { [field]: e.target.value })}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <button
+                      type="button"
+                      className="effect-sizes-remove"
+                      onClick={() => onChange(records.filter(item => item.id !== record.id))}
+                      aria-label="Quitar registro"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button
+        type="button"
+        className="effect-sizes-add"
+        onClick={addRecord}
+        disabled={measureIds.length === 0}
+        title={measureIds.length === 0 ? 'Extrae primero las medidas de efecto de los abstracts' : undefined}
+      >
+        + Añadir registro
+      </button>
+
+      {analyses.map(analysis => <ForestPlot key={analysis.key} analysis={analysis} />)}
+
+      {records.length > 0 && (
+        <p className="effect-sizes-note">
+          Se combinan los registros incluidos con el mismo desenlace y la misma medida (al menos dos con IC 95%).
+          {excluded > 0 && ` ${excluded} registros no se han combinado por no tener IC válido o ningún otro registro compatible.`}
+          {unverified.length > 0 && ` ${unverified.length} registros tienen cifras que no aparecen en el abstract y no se combinan hasta que los revises y los marques (resaltados en la tabla).`}
+          {duplicates.length > 0 && ` ${duplicates.length} registros repiten el PMID de otro registro del mismo desenlace y medida y no se han combinado (marcados en la tabla): desmarca el registro que no quieras usar de cada estudio.`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default EffectSizes;
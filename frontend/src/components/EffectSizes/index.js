@@ -0,0 +1 @@
+export { default } from './EffectSizes';
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { useState } from "react";
+import pubmedService from "../../services/pubmedService";
+import notificationService from "../../services/notificationService";
+import { downloadBlob } from "../../utils/download";
+import "./ExportMenu.css";
+
+// Formatos de exportación (ver backend/utils/citationExport.js)
+const EXPORT_FORMATS = [
+  { id: "ris", label: "RIS (EndNote, Zotero, Mendeley)" },
+  { id: "bibtex", label: "BibTeX" },
+  { id: "nbib", label: "MEDLINE (.nbib)" },
+  { id: "csljson", label: "CSL-JSON" },
+  { id: "csv", label: "CSV con puntuación y métricas" }
+];
+
+// Máximo de PMIDs por exportación (ver MAX_EXPORT_PMIDS en el backend)
+const MAX_EXPORT_PMIDS = 500;
+
+/**
+ * Menú para exportar artículos de una consulta guardada a gestores de referencias
+ * @param {string} runId - ID de la ejecución guardada
+ * @param {Array<string>} pmids - Artículos a exportar (sin ellos se exportan los guardados con la ejecución)
+ * @param {string} label - Texto del botón
+ */
+const ExportMenu = ({ runId, pmids = [], label = "Exportar" }) => {
+  const [format, setFormat] = useState(EXPORT_FORMATS[0].id);
+  const [exporting, setExporting] = useState(false);
+
+  if (!runId) return null;
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const selection = pmids.length > 0 && pmids.length <= MAX_EXPORT_PMIDS ? pmids : null;
+      const { blob, filename } = await pubmedService.exportSavedQuery(runId, format, selection);
+      downloadBlob(blob, filename);
+    } catch (error) {
+      notificationService.showError("Error", error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <select
+        className="export-menu-format"
+        value={format}
+        onChange={(event) => setFormat(event.target.value)}
+        disabled={exporting}
+        aria-label="Formato de exportación"
+      >
+        {EXPORT_FORMATS.map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      <button type="button" className="export-menu-button" onClick={handleExport} disabled={exporting}>
+        {exporting ? "Exportando..." : label}
+      </button>
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,141 @@
+import React from 'react';
+import './ForestPlot.css';
+
+// Área de dibujo (el SVG se escala al ancho disponible): etiquetas a la izquierda, gráfico en el centro y valores a la derecha
+const PLOT_WIDTH = 720;
+const LABEL_WIDTH = 150;
+const VALUES_WIDTH = 230;
+const ROW_HEIGHT = 24;
+const HEADER_HEIGHT = 24;
+const AXIS_HEIGHT = 34;
+
+// Marcas del eje en las medidas de razón (escala logarítmica)
+const RATIO_TICKS = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100];
+
+/**
+ * Formatea una estimación con su intervalo
+ * @param {Object} effect - { value, ciLower, ciUpper }
+ * @returns {string} - Texto "valor [inferior, superior]"
+ */
+const formatEffect = ({ value, ciLower, ciUpper }) => `${value.toFixed(2)} [${ciLower.toFixed(2)}, ${ciUpper.toFixed(2)}]`;
+
+/**
+ * Marcas del eje para una diferencia de medias (unas cinco marcas redondeadas)
+ * @param {number} min - Mínimo del eje
+ * @param {number} max - Máximo del eje
+ * @returns {Array<number>} - Marcas
+ */
+const linearTicks = (min, max) => {
+  const rough = (max - min) / 5;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step / 1000; tick += step) {
+    ticks.push(Number(tick.toFixed(10)));
+  }
+  return ticks;
+};
+
+/**
+ * Diagrama de bosque (forest plot) de un meta-análisis
+ * Cada estudio es un cuadrado (tamaño según su peso en el modelo de efectos aleatorios) con su IC 95%;
+ * los rombos son los efectos combinados y la línea discontinua el valor sin efecto (1 en las razones, 0 en MD)
+ * @param {Object} analysis - Resultado de runMetaAnalysis (ver utils/metaAnalysis.js)
+ * @returns {JSX.Element} - Componente del diagrama
+ */
+const ForestPlot = ({ analysis }) => {
+  const { studies, fixed, random, heterogeneity, ratio, measure, measureLabel, outcome } = analysis;
+
+  // Eje en escala logarítmica para las razones
+  const transform = ratio ? Math.log : (value) => value;
+  const nullValue = ratio ? 1 : 0;
+  const values = [nullValue, ...studies.flatMap(study => [study.ciLower, study.ciUpper]), fixed.ciLower, fixed.ciUpper, random.ciLower, random.ciUpper]
+    .map(transform);
+  const padding = (Math.max(...values) - Math.min(...values)) * 0.05 || 1;
+  const domainMin = Math.min(...values) - padding;
+  const domainMax = Math.max(...values) + padding;
+  const plotLeft = LABEL_WIDTH;
+  const plotRight = PLOT_WIDTH - VALUES_WIDTH;
+  const x = (value) => plotLeft + ((transform(value) - domainMin) / (domainMax - domainMin)) * (plotRight - plotLeft);
+
+  const ticks = ratio
+    ? RATIO_TICKS.filter(tick => Math.log(tick) >= domainMin && Math.log(tick) <= domainMax)
+    : linearTicks(domainMin, domainMax);
+
+  const rowY = (index) => HEADER_HEIGHT + ROW_HEIGHT * index + ROW_HEIGHT / 2;
+  const pooledRows = [
+    { id: 'fixed', label: 'Efectos fijos', effect: fixed },
+    { id: 'random', label: 'Efectos aleatorios', effect: random }
+  ];
+  const axisY = rowY(studies.length + pooledRows.length) - ROW_HEIGHT / 2 + 6;
+  const height = axisY + AXIS_HEIGHT;
+  const maxWeight = Math.max(...studies.map(study => study.weightRandom));
+
+  return (
+    <figure className="forest-plot">
+      <figcaption>
+        <strong>{outcome}</strong> · {measureLabel} ({measure}) · {studies.length} estudios
+      </figcaption>
+      <svg
+        className="forest-plot-canvas"
+        viewBox={`0 0 ${PLOT_WIDTH} ${height}`}
+        role="img"
+        aria-label={`Diagrama de bosque de ${outcome}`}
+      >
+        <text x={0} y={HEADER_HEIGHT / 2} className="forest-plot-header">Estudio</text>
+        <text x={plotRight + 10} y={HEADER_HEIGHT / 2} className="forest-plot-header">{measure} [IC 95%]</text>
+        <text x={PLOT_WIDTH} y={HEADER_HEIGHT / 2} className="forest-plot-header" textAnchor="end">Peso</text>
+
+        <line x1={x(nullValue)} x2={x(nullValue)} y1={HEADER_HEIGHT} y2={axisY} className="forest-plot-null" />
+
+        {studies.map((study, index) => {
+          const y = rowY(index);
+          const size = 4 + 8 * Math.sqrt(study.weightRandom / maxWeight);
+          return (
+            <g key={study.id}>
+              <text x={0} y={y} className="forest-plot-label">PMID {study.pmid}</text>
+              <line x1={x(study.ciLower)} x2={x(study.ciUpper)} y1={y} y2={y} className="forest-plot-ci" />
+              <rect x={x(study.value) - size / 2} y={y - size / 2} width={size} height={size} className="forest-plot-study">
+                <title>{`${study.outcome} (PMID ${study.pmid})`}</title>
+              </rect>
+              <text x={plotRight + 10} y={y} className="forest-plot-value">{formatEffect(study)}</text>
+              <text x={PLOT_WIDTH} y={y} className="forest-plot-value" textAnchor="end">{study.weightRandom.toFixed(1)}%</text>
+            </g>
+          );
+        })}
+
+        {pooledRows.map((row, offset) => {
+          const y = rowY(studies.length + offset);
+          const left = x(row.effect.ciLower);
+          const right = x(row.effect.ciUpper);
+          const center = x(row.effect.value);
+          return (
+            <g key={row.id}>
+              <text x={0} y={y} className="forest-plot-label forest-plot-pooled-label">{row.label}</text>
+              <polygon
+                points={`${left},${y} ${center},${y - 6} ${right},${y} ${center},${y + 6}`}
+                className={`forest-plot-diamond forest-plot-diamond-${row.id}`}
+              />
+              <text x={plotRight + 10} y={y} className="forest-plot-value forest-plot-pooled-label">{formatEffect(row.effect)}</text>
+            </g>
+          );
+        })}
+
+        <line x1={plotLeft} x2={plotRight} y1={axisY} y2={axisY} className="forest-plot-axis" />
+        {ticks.map(tick => (
+          <g key={tick}>
+            <line x1={x(tick)} x2={x(tick)} y1={axisY} y2={axisY + 4} className="forest-plot-axis" />
+            <text x={x(tick)} y={axisY + 16} className="forest-plot-tick" textAnchor="middle">{tick}</text>
+          </g>
+        ))}
+      </svg>
+      <p className="forest-plot-stats">
+        Efectos aleatorios (DerSimonian-Laird): p = {random.pValue < 0.001 ? '< 0,001' : random.pValue.toFixed(3)}
+        {' · '}Heterogeneidad: Q = {heterogeneity.q.toFixed(2)} (gl = {heterogeneity.df}), I² = {heterogeneity.i2.toFixed(0)}%,
+        {' '}τ² = {heterogeneity.tau2.toFixed(3)}
+      </p>
+    </figure>
+  );
+};
+
+export default ForestPlot;
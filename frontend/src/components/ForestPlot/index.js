@@ -0,0 +1 @@
+export { default } from './ForestPlot';
\ No newline at end of file
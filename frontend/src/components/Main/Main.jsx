@@ -11,6 +11,65 @@ import pubmedService from "../../services/pubmedService";
 import "./Main.css";
 import io from "socket.io-client";
 import ResultsContainer from "../ResultsContainer";
+import StrategyEditor from "../StrategyEditor";
+import SearchFilters from "../SearchFilters";
+import ExportMenu from "../ExportMenu";
+import SummaryOfFindings from "../SummaryOfFindings";
+import EffectSizes from "../EffectSizes";
+import CitationCheck from "../CitationCheck";
+import { downloadBlob } from "../../utils/download";
+import { EMPTY_FILTERS, toRequestFilters } from "../../utils/searchFilters";
+
+// Estados finales de un trabajo de consulta en el backend
+const FINAL_JOB_STATUSES = ["completed", "failed", "cancelled"];
+
+// Máximo de artículos por extracción de medidas de efecto (el mismo que backend/utils/effectExtraction.js)
+const MAX_EFFECT_EXTRACTION_ARTICLES = 20;
+
+/**
+ * Paso de la notificación de progreso que corresponde a cada fase del backend
+ * @param {string} phase - Fase reportada por el trabajo (PASO_1..PASO_10)
+ * @returns {number} - Índice del paso en la notificación
+ */
+const stepForPhase = (phase) => {
+  const phaseNumber = parseInt(String(phase).replace("PASO_", ""), 10);
+  if (phaseNumber === 1) return 1;
+  if (phaseNumber >= 2 && phaseNumber <= 4) return 2;
+  if (phaseNumber >= 5) return 3;
+  return 0;
+};
+
+/**
+ * Escucha los fragmentos de una respuesta de Claude que el backend emite en streaming
+ * @param {Object} socket - Socket conectado
+ * @param {string} streamId - ID del stream enviado en la petición
+ * @param {Function} onText - Recibe el texto acumulado cada vez que llega un fragmento
+ * @returns {Function} - Deja de escuchar los eventos del stream
+ */
+const subscribeToClaudeStream = (socket, streamId, onText) => {
+  let text = "";
+  
+  // Cada intento (p. ej. una reparación de la valoración) empieza de nuevo el texto
+  const handleStart = (event) => {
+    if (event.streamId !== streamId) return;
+    text = "";
+    onText(text);
+  };
+  
+  const handleDelta = (event) => {
+    if (event.streamId !== streamId) return;
+    text += event.text;
+    onText(text);
+  };
+  
+  socket.on("claude:stream:start", handleStart);
+  socket.on("claude:stream:delta", handleDelta);
+  
+  return () => {
+    socket.off("claude:stream:start", handleStart);
+    socket.off("claude:stream:delta", handleDelta);
+  };
+};
 
 // Función para logs detallados
 const logInfo = (message, data) => {
@@ -37,7 +96,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
   const [searchResults, setSearchResults] = useState(null);
   const [articles, setArticles] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [searchStrategy, setSearchStrategy] = useState("");
+  const [searchStrategy, setSearchStrategy] = useState(null);
   const [error, setError] = useState(null);
   const [apiResponse, setApiResponse] = useState(null);
   const [batchProgress, setBatchProgress] = useState({ 
@@ -54,11 +113,34 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
   const [showSynthesisModal, setShowSynthesisModal] = useState(false);
   const [synthesisContent, setSynthesisContent] = useState("");
   const [synthesisLoading, setSynthesisLoading] = useState(false);
+  // Tabla de resumen de hallazgos (GRADE) que acompaña a la síntesis
+  const [summaryOfFindings, setSummaryOfFindings] = useState(null);
+  // Verificación de las citas de la síntesis (PMIDs desconocidos y afirmaciones sin respaldo)
+  const [citationCheck, setCitationCheck] = useState(null);
+  // Medidas de efecto extraídas de los abstracts (editables) para el meta-análisis
+  const [effectRecords, setEffectRecords] = useState([]);
+  const [effectMeasures, setEffectMeasures] = useState({});
+  const [extractingEffects, setExtractingEffects] = useState(false);
+  // Formato del informe que se está generando (pdf o docx)
+  const [exportingReport, setExportingReport] = useState(null);
   const [showReferences, setShowReferences] = useState(false);
   const [evidenceRating, setEvidenceRating] = useState(0);
   const [tooltipRef, setTooltipRef] = useState(null);
   const [tooltipData, setTooltipData] = useState(null);
   const tooltipDivRef = useRef(null);
+  const socketRef = useRef(null);
+  const activeJobRef = useRef(null);
+  // Perfiles de puntuación para priorizar los artículos
+  const [scoringProfiles, setScoringProfiles] = useState([]);
+  const [scoringProfile, setScoringProfile] = useState("");
+  // Filtros estructurados de la búsqueda en PubMed
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Consultas guardadas en el backend que se pueden reabrir
+  const [savedQueries, setSavedQueries] = useState([]);
+  // Carga de más resultados de PubMed de la consulta actual
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Conjunto de referencia (PMIDs relevantes conocidos) de la pregunta, reutilizado al repetir la búsqueda
+  const [goldStandard, setGoldStandard] = useState({ question: "", pmids: [] });
 
   useEffect(() => {
     logInfo("Componente Main montado");
@@ -66,6 +148,16 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
     const history = searchHistoryService.getHistory();
     logInfo(`Historial de búsquedas cargado: ${history.length} entradas`);
     
+    // Cargar los perfiles de puntuación disponibles en el backend
+    pubmedService.getScoringProfiles()
+      .then(({ defaultProfile, profiles }) => {
+        setScoringProfiles(profiles);
+        setScoringProfile(defaultProfile || profiles[0]?.id || "");
+      })
+      .catch(error => logError("No se pudieron cargar los perfiles de puntuación", error));
+    
+    loadSavedQueries();
+    
     return () => {
       logInfo("Componente Main desmontado");
     };
@@ -89,6 +181,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
         timeout: 10000, // Aumentar tiempo de espera para conexión (10 segundos)
         forceNew: true // Forzar nueva conexión
       });
+      socketRef.current = socket;
       
       socket.on('connect', () => {
         console.log('Socket conectado con ID:', socket.id);
@@ -151,6 +244,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
         console.log('Desconectando socket...');
         socket.disconnect();
       }
+      socketRef.current = null;
     };
   }, []);
 
@@ -158,8 +252,338 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
     setSearchQuery(e.target.value);
   };
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
+  /**
+   * Espera el resultado de un trabajo de consulta suscribiéndose a su sala de Socket.IO
+   * Si no hay conexión de socket, consulta el estado del trabajo periódicamente
+   * @param {string} jobId - ID del trabajo
+   * @param {Function} onPhase - Recibe cada evento de fase del trabajo
+   * @returns {Promise<Object>} - Resultado de la consulta
+   */
+  const waitForJobResult = (jobId, onPhase) => {
+    const socket = socketRef.current;
+    
+    if (!socket || !socket.connected) {
+      logInfo(`Socket no disponible, consultando el estado del trabajo ${jobId}`);
+      return pubmedService.waitForJob(jobId);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const subscribe = () => socket.emit("job:subscribe", jobId);
+      
+      const handlePhase = (event) => {
+        if (event.jobId === jobId) onPhase(event);
+      };
+      
+      const handleStatus = async (job) => {
+        if (job.jobId !== jobId || !FINAL_JOB_STATUSES.includes(job.status)) return;
+        cleanup();
+        
+        if (job.status === "completed") {
+          try {
+            const finishedJob = await pubmedService.getJob(jobId);
+            resolve(finishedJob.result);
+          } catch (error) {
+            reject(error);
+          }
+          return;
+        }
+        
+        const error = new Error(job.error?.message || `La búsqueda terminó con estado "${job.status}"`);
+        error.code = job.error?.code;
+        reject(error);
+      };
+      
+      const handleJobError = (event) => {
+        if (event.jobId !== jobId) return;
+        cleanup();
+        reject(new Error(event.message));
+      };
+      
+      const statusEvents = ["job:status", "job:completed", "job:failed", "job:cancelled"];
+      
+      function cleanup() {
+        socket.off("job:phase", handlePhase);
+        socket.off("job:error", handleJobError);
+        socket.off("connect", subscribe);
+        statusEvents.forEach(event => socket.off(event, handleStatus));
+        socket.emit("job:unsubscribe", jobId);
+      }
+      
+      socket.on("job:phase", handlePhase);
+      socket.on("job:error", handleJobError);
+      statusEvents.forEach(event => socket.on(event, handleStatus));
+      // Al reconectar se pierde la sala: volver a suscribirse
+      socket.on("connect", subscribe);
+      subscribe();
+    });
+  };
+
+  /**
+   * Hace una petición a Claude recibiendo el texto en streaming por Socket.IO
+   * Sin conexión de socket la petición se hace igual y el resultado llega al final
+   * @param {Function} request - Recibe { socketId, streamId } y hace la petición
+   * @param {Function} onText - Recibe el texto acumulado
+   * @returns {Promise<*>} - Resultado de la petición
+   */
+  const requestWithStream = async (request, onText) => {
+    const socket = socketRef.current;
+    if (!socket || !socket.connected) {
+      return request({});
+    }
+    
+    const streamId = `${socket.id}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const unsubscribe = subscribeToClaudeStream(socket, streamId, onText);
+    try {
+      return await request({ socketId: socket.id, streamId });
+    } finally {
+      unsubscribe();
+    }
+  };
+
+  /**
+   * Analiza un artículo con IA mostrando la respuesta a medida que se genera
+   * @param {Object} article - Artículo a analizar
+   * @param {Function} onText - Recibe el texto acumulado de la respuesta
+   * @returns {Promise<Object>} - Valoración crítica del artículo
+   */
+  const handleAnalyzeArticle = async (article, onText) => {
+    logInfo(`Analizando artículo ${article.pmid} con IA`);
+    const analysis = await requestWithStream(
+      (streamOptions) => aiService.analyzeArticle(article, searchQuery, streamOptions),
+      onText
+    );
+    
+    // Guardar la valoración para la tarjeta y para la síntesis
+    const withAnalysis = (list) => list.map(item => (item.pmid === article.pmid ? { ...item, analysis } : item));
+    setArticles(prev => withAnalysis(prev));
+    setSearchResults(prev => (prev ? { ...prev, results: withAnalysis(prev.results || []) } : prev));
+    return analysis;
+  };
+
+  /**
+   * Evalúa el riesgo de sesgo de un artículo mostrando la respuesta a medida que se genera
+   * La evaluación se guarda con el artículo en la consulta y se envía a la síntesis
+   * @param {Object} article - Artículo a evaluar
+   * @param {Function} onText - Recibe el texto acumulado de la respuesta
+   * @returns {Promise<Object>} - Evaluación del riesgo de sesgo
+   */
+  const handleAssessRiskOfBias = async (article, onText) => {
+    logInfo(`Evaluando el riesgo de sesgo del artículo ${article.pmid}`);
+    const riskOfBias = await requestWithStream(
+      (streamOptions) => aiService.assessRiskOfBias(article, { runId: searchResults?.runId }, streamOptions),
+      onText
+    );
+    
+    const withRiskOfBias = (list) => list.map(item => (item.pmid === article.pmid ? { ...item, riskOfBias } : item));
+    setArticles(prev => withRiskOfBias(prev));
+    setSearchResults(prev => (prev ? { ...prev, results: withRiskOfBias(prev.results || []) } : prev));
+    return riskOfBias;
+  };
+
+  /**
+   * Extrae las medidas de efecto de los abstracts de los artículos analizados
+   * Los registros extraídos sustituyen a los anteriores; se revisan y combinan en el meta-análisis
+   */
+  const handleExtractEffects = async () => {
+    const analyzed = articles
+      .filter(article => article.pmid && article.abstract && (article.analysis || article.secondaryAnalysis))
+      .slice(0, MAX_EFFECT_EXTRACTION_ARTICLES);
+    if (analyzed.length === 0) {
+      notificationService.showError("Error", "Analiza con IA algún artículo con abstract antes de extraer las medidas de efecto");
+      return;
+    }
+
+    logInfo(`Extrayendo medidas de efecto de ${analyzed.length} artículos`);
+    setExtractingEffects(true);
+
+    try {
+      const { records, measures } = await aiService.extractEffectSizes(analyzed.map(article => ({
+        pmid: article.pmid,
+        title: article.title,
+        abstract: article.abstract,
+        analysis: article.analysis || article.secondaryAnalysis
+      })));
+      setEffectRecords(records);
+      setEffectMeasures(measures);
+      if (records.length === 0) {
+        notificationService.showWarning("Sin medidas de efecto", "Los abstracts analizados no informan RR, OR, HR ni diferencias de medias");
+      }
+    } catch (error) {
+      logError("Error al extraer las medidas de efecto", error);
+      notificationService.showError("Error", error.message);
+    } finally {
+      setExtractingEffects(false);
+    }
+  };
+
+  /**
+   * Carga la siguiente página de resultados de PubMed de la consulta actual
+   * Los artículos ya mostrados (p. ej. los priorizados en la búsqueda) no se repiten
+   */
+  const handleLoadMore = async () => {
+    const pagination = searchResults?.pagination;
+    if (!searchResults?.runId || !pagination?.nextPage || loadingMore) return;
+    
+    logInfo(`Cargando la página ${pagination.nextPage} de resultados`);
+    setLoadingMore(true);
+    
+    try {
+      const page = await pubmedService.getRunArticles(searchResults.runId, pagination.nextPage, pagination.pageSize);
+      const appendPage = (list) => {
+        const shown = new Set(list.map(item => item.pmid));
+        return [...list, ...page.articles.filter(item => !shown.has(item.pmid))];
+      };
+      
+      setArticles(prev => appendPage(prev));
+      setSearchResults(prev => (prev ? {
+        ...prev,
+        results: appendPage(prev.results || []),
+        pagination: { ...prev.pagination, nextPage: page.hasMore ? page.page + 1 : null }
+      } : prev));
+    } catch (error) {
+      logError("Error al cargar más resultados", error);
+      notificationService.showError("Error", error.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Amplía los resultados desde un artículo: artículos similares en PubMed, sus referencias
+   * y los artículos que lo citan. Los nuevos se insertan detrás del artículo de partida
+   * @param {Object} article - Artículo semilla
+   */
+  const handleExpandArticle = async (article) => {
+    logInfo(`Ampliando resultados desde el artículo ${article.pmid}`);
+    
+    try {
+      const expansion = await pubmedService.expandFromArticles([article.pmid], {
+        runId: searchResults?.runId,
+        excludePmids: (searchResults?.results || []).map(item => item.pmid),
+        question: searchResults?.query
+      });
+      
+      const insertAfterSeed = (list) => {
+        const shown = new Set(list.map(item => item.pmid));
+        const added = expansion.articles.filter(item => !shown.has(item.pmid));
+        const index = list.findIndex(item => item.pmid === article.pmid);
+        return index === -1 ? [...list, ...added] : [...list.slice(0, index + 1), ...added, ...list.slice(index + 1)];
+      };
+      
+      setArticles(prev => insertAfterSeed(prev));
+      setSearchResults(prev => (prev ? { ...prev, results: insertAfterSeed(prev.results || []) } : prev));
+      
+      if (expansion.count > 0) {
+        notificationService.showInfo(
+          "Resultados ampliados",
+          `Se han añadido ${expansion.count} artículos relacionados con PMID ${article.pmid}.`,
+          4000
+        );
+      } else {
+        notificationService.showInfo("Sin artículos nuevos", "No se encontraron artículos relacionados que no estén ya en los resultados.", 4000);
+      }
+    } catch (error) {
+      logError("Error al ampliar los resultados", error);
+      notificationService.showError("Error", error.message);
+    }
+  };
+
+  /**
+   * Evalúa las estrategias de la consulta actual frente a un conjunto de PMIDs relevantes
+   * El conjunto queda asociado a la pregunta y se envía en las siguientes búsquedas de la misma pregunta
+   * @param {string} pmidsText - PMIDs pegados o marcados como relevantes (vacío para quitar el conjunto)
+   */
+  const handleEvaluateSearch = async (pmidsText) => {
+    if (!searchResults?.runId) return;
+    logInfo(`Evaluando la búsqueda de la consulta ${searchResults.runId}`);
+    
+    try {
+      const searchMetrics = await pubmedService.evaluateSavedQuery(searchResults.runId, pmidsText);
+      setSearchResults(prev => (prev ? { ...prev, searchMetrics } : prev));
+      setGoldStandard({ question: (searchResults.query || "").trim(), pmids: searchMetrics.goldStandard?.pmids || [] });
+    } catch (error) {
+      logError("Error al evaluar la búsqueda", error);
+      notificationService.showError("Error", error.message);
+    }
+  };
+
+  /**
+   * Carga las consultas guardadas más recientes
+   */
+  const loadSavedQueries = async () => {
+    try {
+      const { runs } = await pubmedService.getSavedQueries(5);
+      setSavedQueries(runs || []);
+    } catch (error) {
+      logError("No se pudieron cargar las consultas guardadas", error);
+    }
+  };
+
+  /**
+   * Reabre una consulta guardada sin volver a buscar en PubMed ni analizar con IA
+   * @param {string} runId - ID de la ejecución guardada
+   */
+  const handleOpenSavedQuery = async (runId) => {
+    logInfo(`Abriendo consulta guardada ${runId}`);
+    setLoading(true);
+    setError(null);
+    
+    try {
+      const run = await pubmedService.getSavedQuery(runId);
+      setSearchQuery(run.query || "");
+      setSearchStrategy(run.strategyDetails || null);
+      setApiResponse(run);
+      setSearchResults({ ...run, iaEnabled: run.useAI });
+      setArticles(run.results || []);
+      setEffectRecords([]);
+      setGoldStandard({ question: (run.query || "").trim(), pmids: run.searchMetrics?.goldStandard?.pmids || [] });
+    } catch (error) {
+      logError("Error al abrir la consulta guardada", error);
+      notificationService.showError("Error", `No se pudo abrir la consulta guardada: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Cancela el trabajo de búsqueda en curso
+   */
+  const handleCancelSearch = async () => {
+    const jobId = activeJobRef.current;
+    if (!jobId) return;
+    
+    logInfo(`Cancelando trabajo ${jobId}`);
+    try {
+      await pubmedService.cancelJob(jobId);
+    } catch (error) {
+      logError("Error al cancelar la búsqueda", error);
+    }
+  };
+
+  /**
+   * Reconstruye la consulta a partir de los bloques PICO editados
+   * @param {Object} strategy - Estrategia con los bloques PICO editados
+   * @returns {Promise<Object|null>} - Estrategia reconstruida o null si falla
+   */
+  const handleRebuildStrategy = async (strategy) => {
+    try {
+      const rebuilt = await aiService.rebuildSearchStrategy(strategy);
+      setSearchStrategy(rebuilt);
+      return rebuilt;
+    } catch (error) {
+      logError("Error al reconstruir la estrategia", error);
+      notificationService.showError("Error", `No se pudo actualizar la estrategia: ${error.message}`);
+      return null;
+    }
+  };
+
+  /**
+   * Ejecuta la búsqueda científica
+   * @param {Event} e - Evento del formulario (opcional)
+   * @param {Object} overrideStrategy - Estrategia editada por el usuario; si existe no se genera otra con IA
+   */
+  const handleSearch = async (e, overrideStrategy = null) => {
+    if (e) e.preventDefault();
     
     logInfo(`Iniciando búsqueda para: "${searchQuery}"`, {
       iaEnabled,
@@ -175,7 +599,8 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
     setLoading(true);
     setSearchResults(null);
     setArticles([]);
-    setSearchStrategy("");
+    setEffectRecords([]);
+    setSearchStrategy(overrideStrategy);
     setApiResponse(null);
     setError(null);
     
@@ -221,17 +646,22 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
       logInfo("PASO 2: Generando estrategia de búsqueda con IA", { iaEnabled });
       let searchStrategyText = "";
       
-      if (iaEnabled) {
+      if (overrideStrategy) {
+        // El usuario editó los bloques PICO: se usa su estrategia sin volver a llamar a la IA
+        searchStrategyText = overrideStrategy.query;
+        logInfo("Usando estrategia editada por el usuario", { query: searchStrategyText });
+      } else if (iaEnabled) {
         try {
           // Intentamos usar el servicio real de IA
           logInfo("Solicitando estrategia a Claude", { query: searchQuery });
           const startTime = Date.now();
-          searchStrategyText = await aiService.generateSearchStrategy(searchQuery);
+          const strategy = await aiService.generateSearchStrategy(searchQuery);
           const endTime = Date.now();
+          searchStrategyText = strategy.query;
           logInfo(`Estrategia generada en ${endTime - startTime}ms`);
-          logInfo("Contenido de la estrategia:", searchStrategyText);
+          logInfo("Contenido de la estrategia:", strategy);
           
-          setSearchStrategy(searchStrategyText);
+          setSearchStrategy(strategy);
         } catch (error) {
           logError("Error al generar estrategia de búsqueda", error);
           setError({
@@ -256,8 +686,27 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
       notificationService.updateProcessStep(processAlert, searchSteps, 2);
       
       try {
-        // Ejecutar la búsqueda utilizando la función del App
-        const responseData = await onSearch(searchQuery, searchStrategyText);
+        // Encolar la búsqueda utilizando la función del App
+        const goldStandardPmids = goldStandard.question === searchQuery.trim() ? goldStandard.pmids : [];
+        const job = await onSearch(searchQuery, searchStrategyText, scoringProfile || null, toRequestFilters(filters), goldStandardPmids);
+        activeJobRef.current = job.jobId;
+        logInfo(`Búsqueda encolada como trabajo ${job.jobId}`);
+        notificationService.updateProcessStep(processAlert, searchSteps, 2, '', handleCancelSearch);
+        
+        // Seguir el progreso del trabajo por fases
+        let currentStep = 2;
+        const responseData = await waitForJobResult(job.jobId, (event) => {
+          logInfo(`[${event.phase}] ${event.message}`);
+          if (event.type === "info" && globalSpinnerText) {
+            globalSpinnerText.textContent = event.message;
+          }
+          
+          const step = stepForPhase(event.phase);
+          if (step > currentStep) {
+            currentStep = step;
+            notificationService.updateProcessStep(processAlert, searchSteps, step, '', handleCancelSearch);
+          }
+        });
         logInfo("Respuesta recibida", { 
           success: responseData?.success,
           articleCount: responseData?.results?.length || 0,
@@ -312,8 +761,10 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
             query: searchQuery,
             timestamp: new Date().toISOString(),
             results: receivedArticles.length,
-            iaEnabled
+            iaEnabled,
+            runId: responseData.runId || null
           });
+          loadSavedQueries();
         } else {
           // Si no hay resultados válidos, mostrar error
           logError("Respuesta inválida o vacía", responseData);
@@ -328,6 +779,12 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
           );
         }
       } catch (error) {
+        if (error.code === "JOB_CANCELLED") {
+          // El usuario canceló desde la notificación de progreso: no es un error
+          logInfo("Búsqueda cancelada por el usuario");
+          return;
+        }
+        
         logError("Error ejecutando búsqueda", error);
         setError({
           title: "Error en búsqueda",
@@ -352,6 +809,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
         error.message || "Ocurrió un error inesperado."
       );
     } finally {
+      activeJobRef.current = null;
       setLoading(false);
       notificationService.closeNotification(processAlert);
       
@@ -381,6 +839,9 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
     });
     
     setSynthesisLoading(true);
+    setSynthesisContent("");
+    setSummaryOfFindings(null);
+    setCitationCheck(null);
     setShowSynthesisModal(true);
     setShowReferences(false);
 
@@ -440,10 +901,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
     }
 
     try {
-      // Avanzar al primer paso después de 1 segundo para simular progreso
-      setTimeout(() => {
-        notificationService.updateProcessStep(synthesisAlert, synthesisSteps, 1);
-      }, 1000);
+      notificationService.updateProcessStep(synthesisAlert, synthesisSteps, 1);
 
       // Preparar datos para la síntesis
       const articlesData = articles.map(article => ({
@@ -452,44 +910,61 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
         abstract: article.abstract,
         pmid: article.pmid,
         publicationDate: article.publicationDate,
-        analysis: article.secondaryAnalysis
+        analysis: article.analysis || article.secondaryAnalysis,
+        riskOfBias: article.riskOfBias || null
       }));
 
       logInfo("Datos de artículos preparados para síntesis", { count: articlesData.length });
 
-      // Avanzar al segundo paso después de 2 segundos
-      setTimeout(() => {
-        notificationService.updateProcessStep(
-          synthesisAlert, 
-          synthesisSteps, 
-          2,
-          "<strong>Sintetizando hallazgos científicos</strong><br>Organizando la información por temas y relevancia clínica."
-        );
-      }, 8000);
+      notificationService.updateProcessStep(
+        synthesisAlert, 
+        synthesisSteps, 
+        2,
+        "<strong>Sintetizando hallazgos científicos</strong><br>Organizando la información por temas y relevancia clínica."
+      );
 
       // Calcular puntuación de calidad de evidencia (1-5 estrellas)
       let evidenceScore = calculateEvidenceRating(articles);
       setEvidenceRating(evidenceScore);
       
-      // Avanzar al tercer paso después de otros 3 segundos
-      setTimeout(() => {
-        notificationService.updateProcessStep(
-          synthesisAlert, 
-          synthesisSteps, 
-          3,
-          "<strong>Generando conclusiones</strong><br>Este es el paso final que puede tomar hasta 30 segundos."
-        );
-      }, 16000);
+      // Mostrar la síntesis a medida que Claude la genera
+      let receivingText = false;
+      const handleSynthesisText = (text) => {
+        if (text && !receivingText) {
+          receivingText = true;
+          notificationService.updateProcessStep(
+            synthesisAlert, 
+            synthesisSteps, 
+            3,
+            "<strong>Generando conclusiones</strong><br>La síntesis se muestra a medida que se redacta."
+          );
+          if (globalSpinnerContainer) {
+            globalSpinnerContainer.style.display = 'none';
+          }
+        }
+        setSynthesisContent(processCitationReferences(text, articles));
+      };
       
       // Llamar al servicio para generar la síntesis
-      const result = await aiService.generateSynthesis(searchQuery, articlesData);
+      const { synthesis, summaryOfFindings: findings, citationCheck: checkedCitations } = await requestWithStream(
+        (streamOptions) => aiService.generateSynthesis(searchQuery, articlesData, streamOptions),
+        handleSynthesisText
+      );
       logInfo("Síntesis generada exitosamente");
       
-      // Procesar contenido para agregar interactividad a las citas
-      const processedContent = processCitationReferences(result, articles);
+      // Procesar contenido para agregar interactividad a las citas y resaltar las señaladas por la verificación
+      const processedContent = processCitationReferences(synthesis, articles, checkedCitations);
       
       // Guardar el resultado
       setSynthesisContent(processedContent);
+      setSummaryOfFindings(findings);
+      setCitationCheck(checkedCitations);
+      if (checkedCitations?.flagged > 0) {
+        notificationService.showWarning(
+          "Citas a revisar",
+          `${checkedCitations.flagged} citas de la síntesis no están respaldadas por los artículos o no corresponden a ninguno`
+        );
+      }
       
       // Cerrar alerta de proceso y mostrar confirmación
       notificationService.closeNotification(synthesisAlert);
@@ -520,106 +995,75 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
   };
 
   // Procesa las referencias de las citas para hacerlas interactivas
-  const processCitationReferences = (content, articlesData) => {
+  // Con la verificación del backend, las citas señaladas se resaltan con su estado y motivo
+  const processCitationReferences = (content, articlesData, check = null) => {
     if (!content) return '';
     
-    // Patrón para encontrar citas en formato (Autor et al., año)
-    const citationPattern = /\(([^)]+?et al\.,\s*\d{4})\)/g;
+    // Patrón para encontrar citas en formato (Autor et al., año; PMID: 123) (el mismo que backend/utils/reportContent.js)
+    const citationPattern = /\(([^()]*?(?:et al\.,\s*\d{4}|PMID:?\s*\d+)[^()]*?)\)/g;
+    let markerIndex = 0;
     
     // Reemplazar las citas con elementos interactivos
     return content.replace(citationPattern, (match, citation) => {
-      return `<span class="citation-ref" data-citation="${citation}" onclick="document.dispatchEvent(new CustomEvent('showCitationTooltip', {detail: {citation: '${citation}'}}));">${match}</span>`;
+      const index = markerIndex++;
+      const issue = findCitationIssue(check, index);
+      const status = issue ? ` citation-${issue.status}` : '';
+      const title = issue ? ` title="${escapeAttribute(`${issue.statusLabel}${issue.reason ? `: ${issue.reason}` : ''}`)}"` : '';
+      return `<span class="citation-ref${status}" data-citation="${citation}" data-marker="${index}"${title} onclick="document.dispatchEvent(new CustomEvent('showCitationTooltip', {detail: {citation: '${citation}', marker: ${index}}}));">${match}</span>`;
     });
   };
 
-  // Calcula la calificación de calidad de evidencia basada en los tipos de estudio
+  // Escapa un texto para usarlo como valor de un atributo HTML
+  const escapeAttribute = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+
+  // Resultado de la verificación más relevante para una cita de la síntesis:
+  // la primera señalada o, si no hay ninguna, la respaldada solo en parte
+  const findCitationIssue = (check, markerIndex) => {
+    const entries = (check?.citations || []).filter(entry => entry.markerIndex === markerIndex);
+    return entries.find(entry => entry.flagged) || entries.find(entry => entry.status === 'partial') || null;
+  };
+
+  // Calcula la calificación de calidad de evidencia (1-5 estrellas) a partir de los datos de cada artículo:
+  // las estrellas de la valoración con IA o, si no hay valoración, el nivel de evidencia del diseño de estudio
   const calculateEvidenceRating = (articles) => {
     // Valor predeterminado si no se pueden evaluar los artículos
     if (!articles || articles.length === 0) return 3;
     
-    // Extraer calificación directamente de los badges de calidad (★★★☆☆)
-    let totalStars = 0;
-    let countedArticles = 0;
-    
-    // Primero intentamos extraer las calificaciones de estrellas directamente de los badges
-    articles.forEach(article => {
-      if (article.secondaryAnalysis) {
-        // Buscar el badge de calidad con estrellas
-        const qualityBadgeMatch = article.secondaryAnalysis.match(/<span class="badge quality">([★☆]+)<\/span>/);
-        
-        if (qualityBadgeMatch && qualityBadgeMatch[1]) {
-          // Contar el número de estrellas completas (★)
-          const stars = qualityBadgeMatch[1].split('').filter(char => char === '★').length;
-          if (stars > 0) {
-            totalStars += stars;
-            countedArticles++;
-            console.log(`Artículo con ${stars} estrellas detectado`);
-          }
+    const ratings = articles
+      .map(article => {
+        if (Number.isInteger(article.analysis?.qualityStars)) {
+          return article.analysis.qualityStars;
         }
-      }
-    });
-    
-    // Si encontramos estrellas, usar ese promedio
-    if (countedArticles > 0) {
-      const avgStars = totalStars / countedArticles;
-      console.log(`Calificación media de estrellas: ${avgStars.toFixed(1)} (${totalStars} estrellas en ${countedArticles} artículos)`);
-      return Math.min(5, Math.max(1, Math.round(avgStars)));
-    }
-    
-    // Método alternativo basado en el tipo de estudio si no se encontraron badges
-    // Ponderación por tipo de estudio (más alto = mejor evidencia)
-    const weights = {
-      'meta-análisis': 5,
-      'metaanálisis': 5,
-      'revisión sistemática': 4.5,
-      'ensayo clínico aleatorizado': 4,
-      'eca': 4,
-      'cohorte': 3.5,
-      'casos y controles': 3,
-      'serie de casos': 2.5,
-      'reporte de caso': 2,
-      'opinión de expertos': 1.5
-    };
-    
-    let totalWeight = 0;
-    countedArticles = 0;
+        // Nivel Oxford CEBM 1 (mayor certeza) a 5 → 5 a 1 estrellas
+        const level = article.analysis?.evidenceLevel || article.studyDesign?.evidenceLevel;
+        return level ? 6 - level : null;
+      })
+      .filter(rating => rating !== null);
     
-    // Analizar artículos y extraer tipo de estudio
-    articles.forEach(article => {
-      if (article.secondaryAnalysis) {
-        // Buscar menciones de tipos de estudio en el análisis
-        const analysis = article.secondaryAnalysis.toLowerCase();
-        
-        for (const [studyType, weight] of Object.entries(weights)) {
-          if (analysis.includes(studyType)) {
-            totalWeight += weight;
-            countedArticles++;
-            console.log(`Artículo con tipo de estudio ${studyType} detectado (peso ${weight})`);
-            break; // Contar solo el tipo de estudio de mayor nivel por artículo
-          }
-        }
-      }
-    });
-    
-    // Si no se pudo determinar para ningún artículo, usar valor medio
-    if (countedArticles === 0) {
+    if (ratings.length === 0) {
       console.log('No se pudo determinar la calidad de ningún artículo, usando valor predeterminado (3)');
       return 3;
     }
     
-    // Calcular promedio y escalar a 1-5
-    const avgWeight = totalWeight / countedArticles;
-    console.log(`Calificación media por tipo de estudio: ${avgWeight.toFixed(1)} (${countedArticles} artículos)`);
-    return Math.min(5, Math.max(1, Math.round(avgWeight)));
+    const average = ratings.reduce((total, rating) => total + rating, 0) / ratings.length;
+    console.log(`Calificación media de evidencia: ${average.toFixed(1)} (${ratings.length} artículos)`);
+    return Math.min(5, Math.max(1, Math.round(average)));
   };
 
   // Función para manejar la visibilidad del tooltip de citas
   useEffect(() => {
     const handleCitationTooltip = (event) => {
-      const citation = event.detail.citation;
+      const { citation, marker } = event.detail;
       
-      // Buscar el artículo correspondiente a esta cita
+      // Buscar el artículo correspondiente a esta cita y el resultado de su verificación
       const matchedArticle = findArticleByCitation(citation, articles);
+      const issue = findCitationIssue(citationCheck, marker);
+      const warning = issue
+        ? `${issue.statusLabel}${issue.reason ? `: ${issue.reason}` : ''}`
+        : null;
       
       if (matchedArticle) {
         setTooltipData({
@@ -627,14 +1071,24 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
           authors: typeof matchedArticle.authors === 'string' ? matchedArticle.authors : 
                   (Array.isArray(matchedArticle.authors) ? matchedArticle.authors.map(a => a.name || a).join(", ") : ""),
           pmid: matchedArticle.pmid,
-          year: matchedArticle.publicationDate ? new Date(matchedArticle.publicationDate).getFullYear() : ''
+          year: matchedArticle.publicationDate ? new Date(matchedArticle.publicationDate).getFullYear() : '',
+          warning
         });
-        
-        // Obtener el elemento que se clickeó
-        const elements = document.querySelectorAll(`[data-citation="${citation}"]`);
-        if (elements.length > 0) {
-          setTooltipRef(elements[0]);
-        }
+      } else {
+        // Una cita que no corresponde a ningún artículo se avisa en lugar de ignorarse
+        setTooltipData({
+          title: citation,
+          authors: '',
+          pmid: null,
+          warning: warning || 'La cita no corresponde a ninguno de los artículos de la síntesis'
+        });
+      }
+      
+      // Obtener el elemento que se clickeó
+      const element = document.querySelector(`[data-marker="${marker}"]`)
+        || document.querySelector(`[data-citation="${citation}"]`);
+      if (element) {
+        setTooltipRef(element);
       }
     };
     
@@ -645,7 +1099,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
     return () => {
       document.removeEventListener('showCitationTooltip', handleCitationTooltip);
     };
-  }, [articles]);
+  }, [articles, citationCheck]);
   
   // Posiciona el tooltip cerca del elemento referencia
   useEffect(() => {
@@ -687,6 +1141,12 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
   const findArticleByCitation = (citation, articlesList) => {
     if (!citation || !articlesList) return null;
     
+    // Las citas con PMID se resuelven solo por el PMID: uno desconocido no se asigna a otro artículo
+    const pmidMatch = citation.match(/PMID:?\s*(\d+)/);
+    if (pmidMatch) {
+      return articlesList.find(article => String(article.pmid) === pmidMatch[1]) || null;
+    }
+    
     // Extraer el apellido del autor principal y el año
     const match = citation.match(/([^\s,]+)(?:\s+et\s+al\.)?,\s*(\d{4})/);
     if (!match) return null;
@@ -708,12 +1168,30 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
     });
   };
 
-  // Función para exportar la síntesis como PDF
-  const exportSynthesisAsPDF = () => {
-    // Este es un placeholder. En una implementación real, 
-    // aquí se generaría un PDF con la síntesis y se descargaría
-    alert("Exportación a PDF no implementada en esta versión");
+  // Descarga el informe de la síntesis (PDF o DOCX) generado en el backend a partir de la consulta guardada
+  const exportSynthesisReport = async (format) => {
+    if (!searchResults?.runId) {
+      notificationService.showError("Error", "La consulta no está guardada; no se puede generar el informe");
+      return;
+    }
+
+    setExportingReport(format);
+    try {
+      const { blob, filename } = await pubmedService.downloadReport(searchResults.runId, format, {
+        synthesis: synthesisContent,
+        evidenceRating
+      });
+      downloadBlob(blob, filename);
+    } catch (error) {
+      logError("Error al generar el informe", error);
+      notificationService.showError("Error", error.message);
+    } finally {
+      setExportingReport(null);
+    }
   };
+
+  // Función para exportar la síntesis como PDF
+  const exportSynthesisAsPDF = () => exportSynthesisReport("pdf");
   
   // Función para guardar la síntesis (implementación futura)
   const saveSynthesis = () => {
@@ -759,7 +1237,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
               <button className="close-modal-btn" onClick={closeSynthesisModal}>×</button>
             </div>
             <div className="synthesis-modal-body">
-              {synthesisLoading ? (
+              {synthesisLoading && !synthesisContent ? (
                 <div className="synthesis-loading">
                   <Spinner />
                   <p className="synthesis-loading-title">Sintetizando evidencia científica...</p>
@@ -808,7 +1286,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
                     </div>
                   </div>
                   
-                  <div className="synthesis-text">
+                  <div className={`synthesis-text ${synthesisLoading ? 'synthesis-text-streaming' : ''}`}>
                     {synthesisContent ? (
                       <div dangerouslySetInnerHTML={{ __html: synthesisContent }} />
                     ) : (
@@ -816,6 +1294,18 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
                     )}
                   </div>
                   
+                  <CitationCheck check={citationCheck} />
+                  
+                  <SummaryOfFindings summary={summaryOfFindings} />
+                  
+                  <EffectSizes
+                    records={effectRecords}
+                    measures={effectMeasures}
+                    onChange={setEffectRecords}
+                    onExtract={handleExtractEffects}
+                    extracting={extractingEffects}
+                  />
+                  
                   {/* Sección de referencias (oculta por defecto) */}
                   <div className={`references-section ${showReferences ? 'visible' : ''}`}>
                     <h4>Referencias</h4>
@@ -846,9 +1336,18 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
                   <button 
                     className="synthesis-btn synthesis-btn-primary"
                     onClick={exportSynthesisAsPDF}
+                    disabled={Boolean(exportingReport)}
+                  >
+                    <span className="synthesis-btn-icon">↓</span>
+                    {exportingReport === "pdf" ? "Generando PDF..." : "Exportar PDF"}
+                  </button>
+                  <button 
+                    className="synthesis-btn synthesis-btn-secondary"
+                    onClick={() => exportSynthesisReport("docx")}
+                    disabled={Boolean(exportingReport)}
                   >
                     <span className="synthesis-btn-icon">↓</span>
-                    Exportar PDF
+                    {exportingReport === "docx" ? "Generando DOCX..." : "Exportar DOCX"}
                   </button>
                   <button 
                     className="synthesis-btn synthesis-btn-secondary"
@@ -857,6 +1356,12 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
                     <span className="synthesis-btn-icon">💾</span>
                     Guardar
                   </button>
+                  {/* Referencias de la síntesis para gestores de referencias */}
+                  <ExportMenu
+                    runId={searchResults?.runId}
+                    pmids={articles.map(article => String(article.pmid)).filter(Boolean)}
+                    label="Exportar referencias"
+                  />
                 </div>
                 <div 
                   className="references-toggle"
@@ -878,6 +1383,7 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
         <div className="tooltip" ref={tooltipDivRef}>
           <span className="tooltip-title">{tooltipData.title}</span>
           <span className="tooltip-authors">{tooltipData.authors}</span>
+          {tooltipData.warning && <span className="tooltip-warning">{tooltipData.warning}</span>}
           {tooltipData.pmid && (
             <a 
               className="tooltip-link" 
@@ -919,8 +1425,59 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
               {iaEnabled ? "IA habilitada para resultados mejorados" : "Búsqueda tradicional"}
             </span>
           </div>
+          
+          {scoringProfiles.length > 0 && (
+            <div className="scoring-profile-container">
+              <label htmlFor="scoring-profile-select" className="scoring-profile-label">
+                Priorizar resultados por
+              </label>
+              <select
+                id="scoring-profile-select"
+                className="scoring-profile-select"
+                value={scoringProfile}
+                onChange={(e) => setScoringProfile(e.target.value)}
+                disabled={loading}
+              >
+                {scoringProfiles.map(profile => (
+                  <option key={profile.id} value={profile.id} title={profile.description}>
+                    {profile.name} (v{profile.version})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          
+          <SearchFilters
+            value={filters}
+            onChange={setFilters}
+            disabled={loading}
+          />
         </div>
 
+        {savedQueries.length > 0 && (
+          <div className="saved-queries">
+            <h4 className="saved-queries-title">Consultas guardadas</h4>
+            <ul className="saved-queries-list">
+              {savedQueries.map(run => (
+                <li key={run.id}>
+                  <button
+                    type="button"
+                    className="saved-query-button"
+                    onClick={() => handleOpenSavedQuery(run.id)}
+                    disabled={loading}
+                    title={run.initialStrategy || run.question}
+                  >
+                    <span className="saved-query-question">{run.question}</span>
+                    <span className="saved-query-meta">
+                      {new Date(run.createdAt).toLocaleString()} · {run.articleCount} artículos
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Reemplazamos el panel de debug anterior con DiagnosisPanel */}
         <DiagnosisPanel
           query={searchQuery}
@@ -949,6 +1506,9 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
               <div className="results-info">
                 <h3>Resultados para: {searchResults.query}</h3>
                 <p>Modo de búsqueda: {searchResults.iaEnabled ? "Con IA" : "Tradicional"}</p>
+                {searchResults.filterClause && (
+                  <p className="search-filters-applied">Filtros aplicados: {searchResults.filterClause}</p>
+                )}
               </div>
               
               {/* Botón de síntesis con IA */}
@@ -964,16 +1524,12 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
               )}
             </div>
             
-            {searchStrategy && (
-              <div className="search-strategy">
-                <h4>Estrategia de búsqueda generada:</h4>
-                <div className="strategy-content">
-                  {searchStrategy.split('\n').map((line, index) => (
-                    <p key={index}>{line}</p>
-                  ))}
-                </div>
-              </div>
-            )}
+            <StrategyEditor
+              strategy={searchStrategy || searchResults.strategyDetails}
+              onRebuild={handleRebuildStrategy}
+              onSearch={(strategy) => handleSearch(null, strategy)}
+              disabled={loading}
+            />
             
             {/* Spinner durante la carga - se mostrará dentro de ResultsContainer */}
             
@@ -985,6 +1541,14 @@ const Main = ({ onSearch, onToggleIA, iaEnabled }) => {
               searchMetrics={searchResults.searchMetrics}
               articles={searchResults.results || []} 
               loading={loading} 
+              onAnalyzeArticle={iaEnabled ? handleAnalyzeArticle : undefined}
+              onAssessRiskOfBias={iaEnabled ? handleAssessRiskOfBias : undefined}
+              onExpandArticle={handleExpandArticle}
+              totalResults={searchResults.pagination?.total}
+              onLoadMore={searchResults.runId && searchResults.pagination?.nextPage ? handleLoadMore : undefined}
+              loadingMore={loadingMore}
+              runId={searchResults.runId}
+              onEvaluateSearch={handleEvaluateSearch}
             />
           </div>
         )}
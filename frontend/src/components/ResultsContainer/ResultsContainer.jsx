@@ -1,9 +1,35 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Card from '../Card';
 import Loading from '../Loading';
+import CitationGraph from '../CitationGraph';
+import ExportMenu from '../ExportMenu';
+import SearchMetrics from '../SearchMetrics';
+import Screening from '../Screening';
 import './ResultsContainer.css';
 
-const ResultsContainer = ({ articles = [], loading, error }) => {
+const ResultsContainer = ({ articles = [], loading, error, onAnalyzeArticle, onAssessRiskOfBias, onExpandArticle, totalResults, onLoadMore, loadingMore, runId, searchMetrics, onEvaluateSearch }) => {
+  // Vista de los resultados: lista de tarjetas, red de citas o cribado (solo consultas guardadas)
+  const [selectedView, setView] = useState('list');
+  const view = selectedView === 'screening' && !runId ? 'list' : selectedView;
+  // PMIDs seleccionados para exportar
+  const [selectedPmids, setSelectedPmids] = useState([]);
+  // PMIDs marcados como relevantes para el conjunto de referencia de las métricas
+  const [relevantPmids, setRelevantPmids] = useState([]);
+
+  const articlePmids = Array.isArray(articles) ? articles.map(article => String(article.pmid)).filter(Boolean) : [];
+  // La selección solo incluye artículos que siguen en los resultados
+  const selection = selectedPmids.filter(pmid => articlePmids.includes(pmid));
+
+  const toggleSelected = (article) => {
+    const pmid = String(article.pmid);
+    setSelectedPmids(prev => (prev.includes(pmid) ? prev.filter(item => item !== pmid) : [...prev, pmid]));
+  };
+
+  const toggleRelevant = (article) => {
+    const pmid = String(article.pmid);
+    setRelevantPmids(prev => (prev.includes(pmid) ? prev.filter(item => item !== pmid) : [...prev, pmid]));
+  };
+  
   console.log('ResultsContainer renderizando con:', { 
     artículos: articles?.length || 0, 
     cargando: loading,
@@ -36,16 +62,112 @@ const ResultsContainer = ({ articles = [], loading, error }) => {
         </div>
       )}
 
+      {!loading && !error && searchMetrics && (
+        <SearchMetrics
+          key={runId}
+          metrics={searchMetrics}
+          relevantPmids={relevantPmids}
+          onEvaluate={runId ? onEvaluateSearch : undefined}
+        />
+      )}
+
       {!loading && !error && Array.isArray(articles) && articles.length > 0 && (
+        <div className="results-toolbar">
+          <div className="results-view-toggle" role="tablist">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={view === 'list'}
+              className={`results-view-button ${view === 'list' ? 'active' : ''}`}
+              onClick={() => setView('list')}
+            >
+              Lista
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={view === 'graph'}
+              className={`results-view-button ${view === 'graph' ? 'active' : ''}`}
+              onClick={() => setView('graph')}
+            >
+              Red de citas
+            </button>
+            {runId && (
+              <button
+                type="button"
+                role="tab"
+                aria-selected={view === 'screening'}
+                className={`results-view-button ${view === 'screening' ? 'active' : ''}`}
+                onClick={() => setView('screening')}
+              >
+                Cribado
+              </button>
+            )}
+          </div>
+
+          {runId && (
+            <div className="results-selection">
+              <span className="results-selection-count">
+                {selection.length > 0 ? `${selection.length} seleccionados` : 'Ningún artículo seleccionado'}
+              </span>
+              <button
+                type="button"
+                className="results-selection-button"
+                onClick={() => setSelectedPmids(selection.length === articlePmids.length ? [] : articlePmids)}
+              >
+                {selection.length === articlePmids.length ? 'Quitar selección' : 'Seleccionar todos'}
+              </button>
+              <ExportMenu
+                runId={runId}
+                pmids={selection.length > 0 ? selection : articlePmids}
+                label={selection.length > 0 ? `Exportar selección (${selection.length})` : 'Exportar todos'}
+              />
+            </div>
+          )}
+        </div>
+      )}
+
+      {!loading && !error && Array.isArray(articles) && articles.length > 0 && view === 'graph' && (
+        <CitationGraph
+          articles={articles}
+          onAnalyzeArticle={onAnalyzeArticle}
+          onAssessRiskOfBias={onAssessRiskOfBias}
+          onExpandArticle={onExpandArticle}
+        />
+      )}
+
+      {!loading && !error && Array.isArray(articles) && articles.length > 0 && view === 'screening' && (
+        <Screening key={runId} runId={runId} />
+      )}
+
+      {!loading && !error && Array.isArray(articles) && articles.length > 0 && view === 'list' && (
         <div className="articles-grid">
           {articles.map((article) => (
             <Card 
               key={article.pmid || `article-${Math.random().toString(36).substring(2)}`} 
               article={article} 
+              onAnalyze={onAnalyzeArticle}
+              onAssessRiskOfBias={onAssessRiskOfBias}
+              onExpand={onExpandArticle}
+              selected={selection.includes(String(article.pmid))}
+              onToggleSelect={runId ? toggleSelected : undefined}
+              relevant={relevantPmids.includes(String(article.pmid))}
+              onToggleRelevant={runId && onEvaluateSearch ? toggleRelevant : undefined}
             />
           ))}
         </div>
       )}
+
+      {!loading && !error && articles.length > 0 && onLoadMore && (
+        <div className="load-more">
+          {totalResults > 0 && (
+            <p className="load-more-count">Mostrando {articles.length} de {totalResults} resultados en PubMed</p>
+          )}
+          <button className="load-more-button" onClick={onLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Cargando...' : 'Cargar más resultados'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import pubmedService from '../../services/pubmedService';
+import notificationService from '../../services/notificationService';
+import Loading from '../Loading';
+import './Screening.css';
+
+// Fases, decisiones y motivos de exclusión (los mismos que backend/utils/screening.js)
+const STAGES = {
+  'title-abstract': 'Título y resumen',
+  'full-text': 'Texto completo'
+};
+
+const DECISIONS = {
+  include: { label: 'Incluir', key: 'i' },
+  exclude: { label: 'Excluir', key: 'e' },
+  maybe: { label: 'Dudoso', key: 'd' }
+};
+
+const EXCLUSION_REASONS = [
+  { id: 'wrong-population', label: 'Población no pertinente' },
+  { id: 'wrong-intervention', label: 'Intervención no pertinente' },
+  { id: 'wrong-comparator', label: 'Comparador no pertinente' },
+  { id: 'wrong-outcome', label: 'Desenlaces no pertinentes' },
+  { id: 'wrong-study-design', label: 'Diseño de estudio no pertinente' },
+  { id: 'wrong-publication-type', label: 'Tipo de publicación no pertinente' },
+  { id: 'language', label: 'Idioma' },
+  { id: 'not-retrieved', label: 'Texto completo no disponible', fullTextOnly: true },
+  { id: 'other', label: 'Otro motivo' }
+];
+
+// Registros que se muestran en la cola de cada filtro
+const FILTERS = {
+  mine: 'Pendientes para mí',
+  conflicts: 'Conflictos',
+  all: 'Todos'
+};
+
+const STATUS_LABELS = {
+  pending: 'Pendiente',
+  conflict: 'Conflicto',
+  agreed: 'Acuerdo',
+  resolved: 'Resuelto'
+};
+
+const REVIEWER_STORAGE_KEY = 'screeningReviewer';
+
+/**
+ * Vista de cribado de una consulta guardada
+ * Cada revisor decide de forma independiente (las decisiones de los demás se ocultan hasta que decide)
+ * en las fases de título y resumen y de texto completo; los conflictos se resuelven desde el filtro
+ * de conflictos. Se maneja con el teclado: I incluir, E excluir (y el número del motivo), D dudoso,
+ * J/K o flechas para moverse. El diagrama PRISMA 2020 se actualiza con cada decisión
+ * @param {string} runId - ID de la ejecución guardada
+ * @returns {JSX.Element} - Componente de cribado
+ */
+const Screening = ({ runId }) => {
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem(REVIEWER_STORAGE_KEY) || '');
+  const [reviewerDraft, setReviewerDraft] = useState(reviewer);
+  const [requiredReviewers, setRequiredReviewers] = useState(2);
+  const [stage, setStage] = useState('title-abstract');
+  const [filter, setFilter] = useState('mine');
+  const [screening, setScreening] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [index, setIndex] = useState(0);
+  // Selección del motivo de exclusión en curso y nota del revisor
+  const [choosingReason, setChoosingReason] = useState(false);
+  const [note, setNote] = useState('');
+  // Versión del diagrama PRISMA, para recargar la imagen tras cada decisión
+  const [prismaVersion, setPrismaVersion] = useState(0);
+
+  const loadScreening = useCallback(async () => {
+    setLoading(true);
+    try {
+      setScreening(await pubmedService.getScreening(runId, { reviewer, requiredReviewers }));
+    } catch (error) {
+      notificationService.showError('Error', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [runId, reviewer, requiredReviewers]);
+
+  useEffect(() => {
+    if (reviewer) loadScreening();
+  }, [reviewer, loadScreening]);
+
+  // Tras la primera decisión, los revisores por registro son los guardados con la consulta
+  useEffect(() => {
+    if (screening?.requiredReviewersLocked) setRequiredReviewers(screening.requiredReviewers);
+  }, [screening?.requiredReviewersLocked, screening?.requiredReviewers]);
+
+  const records = screening?.records || [];
+  const queue = records.filter(record => {
+    const state = record.stages?.[stage];
+    if (!state) return false;
+    if (filter === 'conflicts') return state.status === 'conflict';
+    if (filter === 'mine') {
+      // Los registros que ya han decidido los revisores requeridos no admiten más revisores
+      return record.currentStage === stage && state.awaitingReviewers > 0
+        && !state.reviews.some(review => review.reviewer === reviewer);
+    }
+    return true;
+  });
+  const current = queue[Math.min(index, queue.length - 1)] || null;
+  const currentState = current?.stages[stage] || null;
+  const ownReview = currentState?.reviews.find(review => review.reviewer === reviewer) || null;
+  // En el filtro de conflictos la decisión resuelve el conflicto
+  const resolving = filter === 'conflicts';
+  const reasons = EXCLUSION_REASONS.filter(reason => stage === 'full-text' || !reason.fullTextOnly);
+
+  useEffect(() => {
+    setIndex(0);
+    setChoosingReason(false);
+  }, [stage, filter]);
+
+  useEffect(() => {
+    setNote(ownReview?.note || '');
+    setChoosingReason(false);
+  }, [current?.pmid, stage]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const applyReviewer = () => {
+    const value = reviewerDraft.trim();
+    if (!value || value === reviewer) return;
+    localStorage.setItem(REVIEWER_STORAGE_KEY, value);
+    setReviewer(value);
+  };
+
+  const saveDecision = useCallback(async (decision, reason = null) => {
+    if (!current || saving) return;
+    if (reason === 'other' && !note.trim()) {
+      notificationService.showWarning('Nota obligatoria', 'Escribe en la nota el motivo de la exclusión');
+      return;
+    }
+
+    setSaving(true);
+    setChoosingReason(false);
+    try {
+      const updated = await pubmedService.saveScreeningDecision(
+        runId,
+        current.pmid,
+        { stage, reviewer, decision, reason, note: note.trim() || null },
+        { resolution: resolving, requiredReviewers }
+      );
+      setScreening(updated);
+      setPrismaVersion(version => version + 1);
+      // En "Todos" se avanza al siguiente; en las otras colas el registro decidido sale de la lista
+      if (filter === 'all') setIndex(position => Math.min(position + 1, queue.length - 1));
+    } catch (error) {
+      notificationService.showError('Error', error.message);
+    } finally {
+      setSaving(false);
+    }
+  }, [current, saving, note, runId, stage, reviewer, resolving, requiredReviewers, filter, queue.length]);
+
+  // Atajos de teclado (se ignoran mientras se escribe en un campo)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+      const key = event.key.toLowerCase();
+
+      if (choosingReason) {
+        const reason = reasons[Number(key) - 1];
+        if (reason) saveDecision('exclude', reason.id);
+        if (key === 'escape') setChoosingReason(false);
+        return;
+      }
+
+      if (key === 'j' || key === 'arrowright') {
+        setIndex(position => Math.min(position + 1, Math.max(queue.length - 1, 0)));
+      } else if (key === 'k' || key === 'arrowleft') {
+        setIndex(position => Math.max(position - 1, 0));
+      } else if (key === DECISIONS.include.key) {
+        saveDecision('include');
+      } else if (key === DECISIONS.maybe.key && !(resolving && stage === 'full-text')) {
+        saveDecision('maybe');
+      } else if (key === DECISIONS.exclude.key && current) {
+        setChoosingReason(true);
+      } else {
+        return;
+      }
+      event.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [choosingReason, reasons, saveDecision, queue.length, current, resolving, stage]);
+
+  if (!reviewer) {
+    return (
+      <div className="screening">
+        <div className="screening-reviewer screening-reviewer-start">
+          <label htmlFor="screening-reviewer">Para cribar, indica tu nombre o identificador de revisor</label>
+          <input
+            id="screening-reviewer"
+            type="text"
+            value={reviewerDraft}
+            onChange={(e) => setReviewerDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && applyReviewer()}
+          />
+          <button type="button" className="screening-button" onClick={applyReviewer}>Empezar</button>
+        </div>
+      </div>
+    );
+  }
+
+  const counts = screening?.counts?.[stage];
+
+  return (
+    <div className="screening">
+      <div className="screening-toolbar">
+        <div className="screening-reviewer">
+          <label htmlFor="screening-reviewer">Revisor</label>
+          <input
+            id="screening-reviewer"
+            type="text"
+            value={reviewerDraft}
+            onChange={(e) => setReviewerDraft(e.target.value)}
+            onBlur={applyReviewer}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          />
+          <label htmlFor="screening-required">Revisores por registro</label>
+          <select
+            id="screening-required"
+            value={requiredReviewers}
+            onChange={(e) => setRequiredReviewers(Number(e.target.value))}
+            disabled={Boolean(screening?.requiredReviewersLocked)}
+            title={screening?.requiredReviewersLocked
+              ? 'Se fijó con la primera decisión de cribado de esta consulta'
+              : 'Se guarda con la consulta en la primera decisión'}
+          >
+            <option value={1}>1</option>
+            <option value={2}>2</option>
+          </select>
+        </div>
+
+        <div className="screening-tabs" role="tablist">
+          {Object.entries(STAGES).map(([id, label]) => (
+            <button
+              key={id}
+              type="button"
+              role="tab"
+              aria-selected={stage === id}
+              className={`screening-tab ${stage === id ? 'active' : ''}`}
+              onClick={() => setStage(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="screening-filters">
+          {Object.entries(FILTERS).map(([id, label]) => (
+            <label key={id}>
+              <input type="radio" name="screening-filter" checked={filter === id} onChange={() => setFilter(id)} />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {counts && (
+        <p className="screening-counts">
+          {counts.total} registros · {counts.include} incluidos · {counts.exclude} excluidos
+          {counts.maybe > 0 && ` · ${counts.maybe} dudosos`} · {counts.pending} pendientes
+          {counts.conflict > 0 && <span className="screening-counts-conflict"> · {counts.conflict} conflictos</span>}
+        </p>
+      )}
+
+      <Loading isLoading={loading && !screening} text="Cargando el cribado..." />
+
+      {screening && !current && (
+        <p className="screening-empty">
+          {filter === 'conflicts' ? 'No hay conflictos en esta fase.' : 'No quedan registros en esta cola.'}
+        </p>
+      )}
+
+      {current && (
+        <div className={`screening-record ${saving ? 'screening-record-saving' : ''}`}>
+          <div className="screening-record-header">
+            <span className="screening-position">{Math.min(index, queue.length - 1) + 1} / {queue.length}</span>
+            <span className={`screening-status screening-status-${currentState.status}`}>
+              {STATUS_LABELS[currentState.status]}
+            </span>
+            {resolving && <span className="screening-resolving">Tu decisión resolverá el conflicto</span>}
+          </div>
+
+          <h4>{current.title || 'Sin título'}</h4>
+          <p className="screening-meta">
+            {[current.authors, current.source, current.publicationDate].filter(Boolean).join(' · ')}
+            {' · '}
+            <a href={`https://pubmed.ncbi.nlm.nih.gov/${current.pmid}/`} target="_blank" rel="noopener noreferrer">
+              PMID {current.pmid}
+            </a>
+            {current.doi && (
+              <>
+                {' · '}
+                <a href={`https://doi.org/${current.doi}`} target="_blank" rel="noopener noreferrer">Texto completo (DOI)</a>
+              </>
+            )}
+          </p>
+          <p className="screening-abstract">{current.abstract || 'Sin resumen disponible.'}</p>
+
+          {currentState.conflict && <p className="screening-conflict">{currentState.conflict}</p>}
+          {(currentState.reviews.length > 0 || currentState.hiddenReviews > 0) && (
+            <ul className="screening-reviews">
+              {currentState.reviews.map(review => (
+                <li key={review.reviewer} className={`screening-review screening-decision-${review.decision}`}>
+                  <strong>{review.reviewer}</strong>: {review.decisionLabel}
+                  {review.reasonLabel && ` (${review.reasonLabel})`}
+                  {review.note && <span className="screening-review-note"> — {review.note}</span>}
+                </li>
+              ))}
+              {currentState.hiddenReviews > 0 && (
+                <li className="screening-review screening-review-hidden">
+                  {currentState.hiddenReviews} decisión(es) de otros revisores ocultas hasta que decidas
+                </li>
+              )}
+              {currentState.resolution && (
+                <li className={`screening-review screening-decision-${currentState.resolution.decision}`}>
+                  <strong>Resolución de {currentState.resolution.reviewer}</strong>: {currentState.resolution.decisionLabel}
+                  {currentState.resolution.reasonLabel && ` (${currentState.resolution.reasonLabel})`}
+                </li>
+              )}
+            </ul>
+          )}
+
+          <textarea
+            className="screening-note"
+            placeholder="Nota (opcional; obligatoria con «Otro motivo»)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            maxLength={500}
+          />
+
+          <div className="screening-actions">
+            {Object.entries(DECISIONS)
+              .filter(([id]) => !(id === 'maybe' && resolving && stage === 'full-text'))
+              .map(([id, { label, key }]) => (
+                <button
+                  key={id}
+                  type="button"
+                  className={`screening-button screening-button-${id} ${ownReview?.decision === id ? 'active' : ''}`}
+                  onClick={() => (id === 'exclude' ? setChoosingReason(true) : saveDecision(id))}
+                  disabled={saving}
+                >
+                  {label} <kbd>{key.toUpperCase()}</kbd>
+                </button>
+              ))}
+            <button type="button" className="screening-nav" onClick={() => setIndex(position => Math.max(position - 1, 0))}>
+              ← <kbd>K</kbd>
+            </button>
+            <button
+              type="button"
+              className="screening-nav"
+              onClick={() => setIndex(position => Math.min(position + 1, Math.max(queue.length - 1, 0)))}
+            >
+              <kbd>J</kbd> →
+            </button>
+          </div>
+
+          {choosingReason && (
+            <ol className="screening-reasons">
+              {reasons.map((reason, position) => (
+                <li key={reason.id}>
+                  <button type="button" onClick={() => saveDecision('exclude', reason.id)}>
+                    <kbd>{position + 1}</kbd> {reason.label}
+                  </button>
+                </li>
+              ))}
+              <li className="screening-reasons-hint">Pulsa el número del motivo o Esc para cancelar</li>
+            </ol>
+          )}
+        </div>
+      )}
+
+      {screening && (
+        <div className="screening-prisma">
+          <div className="screening-prisma-header">
+            <h4>Diagrama de flujo PRISMA 2020</h4>
+            <a
+              className="screening-button"
+              href={pubmedService.getPrismaDiagramUrl(runId, requiredReviewers)}
+              download={`prisma-${runId.slice(0, 8)}.svg`}
+            >
+              Descargar SVG
+            </a>
+          </div>
+          <img
+            src={`${pubmedService.getPrismaDiagramUrl(runId, requiredReviewers)}&v=${prismaVersion}`}
+            alt="Diagrama de flujo PRISMA 2020 del cribado"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Screening;
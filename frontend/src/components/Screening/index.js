@@ -0,0 +1 @@
+export { default } from './Screening';
\ No newline at end of file
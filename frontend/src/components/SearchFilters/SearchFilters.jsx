@@ -0,0 +1,120 @@
+import { useState, useEffect } from "react";
+import pubmedService from "../../services/pubmedService";
+import { EMPTY_FILTERS, toRequestFilters } from "../../utils/searchFilters";
+import "./SearchFilters.css";
+
+/**
+ * Filtros estructurados de la búsqueda en PubMed
+ * Las opciones (tipos de artículo, idiomas, grupos de edad y texto completo) se cargan del backend
+ * @param {Object} value - Filtros actuales (ver EMPTY_FILTERS)
+ * @param {Function} onChange - Recibe los filtros modificados
+ * @param {boolean} disabled - Deshabilita los controles mientras hay una búsqueda en curso
+ */
+const SearchFilters = ({ value, onChange, disabled }) => {
+  const [options, setOptions] = useState(null);
+
+  useEffect(() => {
+    pubmedService.getSearchFilterOptions()
+      .then(setOptions)
+      .catch(() => setOptions(null));
+  }, []);
+
+  if (!options) return null;
+
+  const activeCount = Object.keys(toRequestFilters(value) || {}).length;
+
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  const toggle = (field, id) => {
+    const selected = value[field];
+    update(field, selected.includes(id) ? selected.filter(item => item !== id) : [...selected, id]);
+  };
+
+  const renderChecklist = (field, title, items) => (
+    <fieldset className="search-filters-group">
+      <legend>{title}</legend>
+      {items.map(item => (
+        <label key={item.id} className="search-filters-option">
+          <input
+            type="checkbox"
+            checked={value[field].includes(item.id)}
+            onChange={() => toggle(field, item.id)}
+            disabled={disabled}
+          />
+          {item.label}
+        </label>
+      ))}
+    </fieldset>
+  );
+
+  return (
+    <details className="search-filters">
+      <summary>
+        Filtros de búsqueda
+        {activeCount > 0 && <span className="search-filters-count">{activeCount}</span>}
+      </summary>
+
+      <div className="search-filters-body">
+        <fieldset className="search-filters-group">
+          <legend>Años de publicación</legend>
+          <div className="search-filters-years">
+            <input
+              type="number"
+              placeholder="Desde"
+              value={value.yearFrom}
+              onChange={(e) => update("yearFrom", e.target.value)}
+              disabled={disabled}
+            />
+            <span>–</span>
+            <input
+              type="number"
+              placeholder="Hasta"
+              value={value.yearTo}
+              onChange={(e) => update("yearTo", e.target.value)}
+              disabled={disabled}
+            />
+          </div>
+          <label className="search-filters-option">
+            <input
+              type="checkbox"
+              checked={value.humansOnly}
+              onChange={(e) => update("humansOnly", e.target.checked)}
+              disabled={disabled}
+            />
+            Solo estudios en humanos
+          </label>
+          <label className="search-filters-option">
+            Texto completo
+            <select
+              value={value.fullText}
+              onChange={(e) => update("fullText", e.target.value)}
+              disabled={disabled}
+            >
+              <option value="">Cualquiera</option>
+              {options.fullText.map(item => (
+                <option key={item.id} value={item.id}>{item.label}</option>
+              ))}
+            </select>
+          </label>
+        </fieldset>
+
+        {renderChecklist("publicationTypes", "Tipo de artículo", options.publicationTypes)}
+        {renderChecklist("languages", "Idioma", options.languages)}
+        {renderChecklist("ageGroups", "Grupo de edad", options.ageGroups)}
+      </div>
+
+      {activeCount > 0 && (
+        <button
+          type="button"
+          className="search-filters-clear"
+          onClick={() => onChange(EMPTY_FILTERS)}
+          disabled={disabled}
+        >
+          Quitar filtros
+        </button>
+      )}
+    </details>
+  );
+};
+
+export default SearchFilters;
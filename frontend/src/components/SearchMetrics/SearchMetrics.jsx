@@ -1,18 +1,38 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './SearchMetrics.css';
 
+/**
+ * Formatea un porcentaje que puede no estar disponible
+ * @param {number|null} value - Porcentaje
+ * @returns {string} - Porcentaje o guion
+ */
+const formatPercent = (value) => (typeof value === 'number' ? `${value}%` : '—');
+
 /**
  * Componente para mostrar métricas de búsqueda
- * @param {Object} metrics - Métricas de búsqueda
- * @param {number} metrics.sensitivity - Sensibilidad de la búsqueda (0-100)
- * @param {number} metrics.specificity - Especificidad de la búsqueda (0-100)
+ * Con un conjunto de referencia (PMIDs relevantes conocidos) las métricas son reales y se detallan
+ * por estrategia; sin él solo hay estimaciones, que se marcan como tales
+ * @param {Object} metrics - Métricas de búsqueda del backend
+ * @param {boolean} metrics.estimated - Indica que no hay conjunto de referencia
+ * @param {number} metrics.sensitivity - Sensibilidad de la estrategia mostrada (0-100, null si es una estimación)
  * @param {number} metrics.precision - Precisión de la búsqueda (0-100)
  * @param {number} metrics.nnr - Número necesario a leer
+ * @param {Object} metrics.goldStandard - { size, pmids, missed }
+ * @param {Object} metrics.strategies - { initial, refined } con { query, count, goldHits, recall, precision, nnr }
+ * @param {Object} metrics.overlap - { both, initialOnly, refinedOnly } con los PMIDs de referencia
+ * @param {Array<string>} relevantPmids - PMIDs marcados como relevantes en los resultados
+ * @param {Function} onEvaluate - Recibe el texto con los PMIDs de referencia y recalcula las métricas (opcional)
  * @returns {JSX.Element} - Componente de métricas
  */
-const SearchMetrics = ({ metrics }) => {
+const SearchMetrics = ({ metrics, relevantPmids = [], onEvaluate }) => {
+  const [goldText, setGoldText] = useState((metrics?.goldStandard?.pmids || []).join('\n'));
+  const [evaluating, setEvaluating] = useState(false);
+
   if (!metrics) return null;
 
+  // Las ejecuciones guardadas antes de existir el conjunto de referencia no tienen la marca y eran estimaciones
+  const estimated = metrics.estimated !== false;
+
   // Determinar el color para cada métrica
   const getColorClass = (value) => {
     if (value >= 80) return 'metric-excellent';
@@ -31,59 +51,155 @@ const SearchMetrics = ({ metrics }) => {
     return 'Pobre';
   };
 
+  const addRelevant = () => {
+    const current = goldText.split(/[\s,;]+/).filter(Boolean);
+    setGoldText([...new Set([...current, ...relevantPmids])].join('\n'));
+  };
+
+  const evaluate = async (text) => {
+    setEvaluating(true);
+    try {
+      await onEvaluate(text);
+      if (!text) setGoldText('');
+    } finally {
+      setEvaluating(false);
+    }
+  };
+
+  const strategies = [
+    { id: 'initial', label: 'Inicial', data: metrics.strategies?.initial },
+    { id: 'refined', label: 'Refinada', data: metrics.strategies?.refined }
+  ].filter(strategy => strategy.data);
+
   return (
     <div className="search-metrics">
       <h3 className="metrics-header">
         <i className="fas fa-chart-line"></i> Métricas de búsqueda
+        <span className={`metrics-badge ${estimated ? 'metrics-badge-estimated' : 'metrics-badge-gold'}`}>
+          {estimated ? 'Estimación' : `Frente a ${metrics.goldStandard?.size} PMIDs de referencia`}
+        </span>
       </h3>
-      
+
       <div className="metrics-container">
         <div className="metric-card">
           <div className="metric-title">Sensibilidad</div>
-          <div className={`metric-value ${getColorClass(metrics.sensitivity)}`}>
-            {metrics.sensitivity}%
-          </div>
-          <div className="metric-description">
-            Capacidad para encontrar resultados relevantes
-          </div>
-        </div>
-        
-        <div className="metric-card">
-          <div className="metric-title">Especificidad</div>
-          <div className={`metric-value ${getColorClass(metrics.specificity)}`}>
-            {metrics.specificity}%
-          </div>
+          {!estimated && typeof metrics.sensitivity === 'number' ? (
+            <div className={`metric-value ${getColorClass(metrics.sensitivity)}`}>
+              {metrics.sensitivity}%
+            </div>
+          ) : (
+            <div className="metric-value metric-unavailable">—</div>
+          )}
           <div className="metric-description">
-            Precisión en excluir resultados irrelevantes
+            {estimated
+              ? 'Requiere un conjunto de artículos relevantes conocidos'
+              : 'Artículos de referencia recuperados por la estrategia'}
           </div>
         </div>
-        
+
         <div className="metric-card">
-          <div className="metric-title">Precisión</div>
-          <div className={`metric-value ${getColorClass(metrics.precision)}`}>
-            {metrics.precision}%
+          <div className="metric-title">Precisión{estimated && ' (estimada)'}</div>
+          <div className="metric-value">
+            {formatPercent(metrics.precision)}
           </div>
           <div className="metric-description">
-            Porcentaje de resultados relevantes
+            {estimated
+              ? 'Proporción de resultados de la estrategia inicial que conserva la refinada'
+              : 'Artículos de referencia entre todos los resultados (cota inferior)'}
           </div>
         </div>
-        
+
         <div className="metric-card">
-          <div className="metric-title">NNR</div>
-          <div className={`metric-value ${getColorClass(100 - Math.min(metrics.nnr * 5, 100))}`}>
-            {metrics.nnr} <span className="metric-quality">({getNnrDescription(metrics.nnr)})</span>
-          </div>
+          <div className="metric-title">NNR{estimated && ' (estimado)'}</div>
+          {typeof metrics.nnr === 'number' ? (
+            <div className={`metric-value ${getColorClass(100 - Math.min(metrics.nnr * 5, 100))}`}>
+              {metrics.nnr} <span className="metric-quality">({getNnrDescription(metrics.nnr)})</span>
+            </div>
+          ) : (
+            <div className="metric-value metric-unavailable">—</div>
+          )}
           <div className="metric-description">
             Número necesario a leer para encontrar un artículo relevante
           </div>
         </div>
       </div>
-      
+
+      {!estimated && strategies.length > 0 && (
+        <table className="metrics-strategies">
+          <thead>
+            <tr>
+              <th>Estrategia</th>
+              <th>Resultados en PubMed</th>
+              <th>Referencia recuperada</th>
+              <th>Sensibilidad</th>
+              <th>Precisión</th>
+              <th>NNR</th>
+            </tr>
+          </thead>
+          <tbody>
+            {strategies.map(({ id, label, data }) => (
+              <tr key={id}>
+                <td title={data.query}>{label}</td>
+                <td>{data.count}</td>
+                <td>{data.goldHits} de {metrics.goldStandard.size}</td>
+                <td>{formatPercent(data.recall)}</td>
+                <td>{formatPercent(data.precision)}</td>
+                <td>{data.nnr ?? '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {!estimated && (
+        <ul className="metrics-overlap">
+          {metrics.overlap && (
+            <>
+              <li><strong>En ambas estrategias:</strong> {metrics.overlap.both.length}</li>
+              <li><strong>Solo la inicial:</strong> {metrics.overlap.initialOnly.join(', ') || 'ninguno'}</li>
+              <li><strong>Solo la refinada:</strong> {metrics.overlap.refinedOnly.join(', ') || 'ninguno'}</li>
+            </>
+          )}
+          <li><strong>No recuperados:</strong> {metrics.goldStandard.missed.join(', ') || 'ninguno'}</li>
+        </ul>
+      )}
+
+      {onEvaluate && (
+        <div className="metrics-gold-standard">
+          <label htmlFor="gold-standard-pmids">
+            PMIDs relevantes conocidos (conjunto de referencia)
+          </label>
+          <textarea
+            id="gold-standard-pmids"
+            rows={3}
+            value={goldText}
+            onChange={(e) => setGoldText(e.target.value)}
+            placeholder="Pegue PMIDs separados por espacios, comas o saltos de línea"
+          />
+          <div className="metrics-gold-actions">
+            <button type="button" onClick={addRelevant} disabled={relevantPmids.length === 0 || evaluating}>
+              Añadir marcados como relevantes ({relevantPmids.length})
+            </button>
+            <button type="button" onClick={() => evaluate(goldText)} disabled={!goldText.trim() || evaluating}>
+              {evaluating ? 'Evaluando...' : 'Evaluar estrategias'}
+            </button>
+            {!estimated && (
+              <button type="button" onClick={() => evaluate('')} disabled={evaluating}>
+                Quitar conjunto de referencia
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       <div className="metrics-info">
-        <i className="fas fa-info-circle"></i> Las métricas evalúan la calidad de la estrategia de búsqueda utilizada.
+        <i className="fas fa-info-circle"></i>
+        {estimated
+          ? ' Sin un conjunto de referencia los valores son estimaciones y no miden la sensibilidad ni la precisión reales.'
+          : ' La precisión y el NNR son cotas: puede haber artículos relevantes fuera del conjunto de referencia.'}
       </div>
     </div>
   );
 };
 
-export default SearchMetrics; 
\ No newline at end of file
+export default SearchMetrics;
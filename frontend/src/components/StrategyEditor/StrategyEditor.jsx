@@ -0,0 +1,281 @@
+import { useState, useEffect, useRef } from "react";
+import pubmedService from "../../services/pubmedService";
+import "./StrategyEditor.css";
+
+// Componentes PICO en el orden en que se combinan en la consulta
+const PICO_BLOCKS = [
+  { key: "population", letter: "P", label: "Población" },
+  { key: "intervention", letter: "I", label: "Intervención" },
+  { key: "comparator", letter: "C", label: "Comparador" },
+  { key: "outcome", letter: "O", label: "Outcome" }
+];
+
+/**
+ * Convierte una lista de términos en texto editable separado por comas
+ * @param {Array<string>} terms - Lista de términos
+ * @returns {string} - Texto separado por comas
+ */
+const termsToText = (terms) => (Array.isArray(terms) ? terms.join(", ") : "");
+
+/**
+ * Convierte el texto editado por el usuario en una lista de términos
+ * @param {string} text - Texto separado por comas
+ * @returns {Array<string>} - Lista de términos no vacíos
+ */
+const textToTerms = (text) => text.split(",").map(term => term.trim()).filter(Boolean);
+
+// Tiempo de espera tras la última edición antes de validar la consulta
+const LINT_DELAY_MS = 500;
+
+/**
+ * Editor de la estrategia de búsqueda estructurada
+ * Muestra el desglose PICO generado por la IA, permite editar los términos de cada bloque
+ * y valida la sintaxis de la consulta editada a mano antes de buscar
+ * @param {Object} strategy - Estrategia con query, translatedQuestion, pico y rationale
+ * @param {Function} onRebuild - Recibe los bloques PICO editados y devuelve la estrategia reconstruida
+ * @param {Function} onSearch - Recibe la estrategia editada para relanzar la búsqueda
+ * @param {boolean} disabled - Deshabilita las acciones mientras hay una búsqueda en curso
+ */
+const StrategyEditor = ({ strategy, onRebuild, onSearch, disabled }) => {
+  const [draft, setDraft] = useState({});
+  const [currentStrategy, setCurrentStrategy] = useState(strategy);
+  const [dirty, setDirty] = useState(false);
+  const [rebuilding, setRebuilding] = useState(false);
+  const [query, setQuery] = useState(strategy?.query || "");
+  const [lint, setLint] = useState(null);
+  const queryRef = useRef(null);
+
+  // Reiniciar el borrador cuando llega una estrategia nueva
+  useEffect(() => {
+    const initialDraft = {};
+    PICO_BLOCKS.forEach(({ key }) => {
+      const component = strategy?.pico?.[key] || {};
+      initialDraft[key] = {
+        description: component.description || "",
+        meshTerms: termsToText(component.meshTerms),
+        freeTextTerms: termsToText(component.freeTextTerms)
+      };
+    });
+    setDraft(initialDraft);
+    setCurrentStrategy(strategy);
+    setQuery(strategy?.query || "");
+    setDirty(false);
+  }, [strategy]);
+
+  // Validar la sintaxis de la consulta cuando el usuario deja de escribir
+  useEffect(() => {
+    if (!query.trim()) {
+      setLint(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await pubmedService.validateStrategy(query);
+        if (!cancelled) setLint(result);
+      } catch (error) {
+        // Si la validación no está disponible no se bloquea la búsqueda
+        if (!cancelled) setLint(null);
+      }
+    }, LINT_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  if (!strategy) return null;
+
+  const hasPico = PICO_BLOCKS.some(({ key }) => {
+    const component = strategy.pico?.[key];
+    return component && (component.description || component.meshTerms?.length || component.freeTextTerms?.length);
+  });
+
+  const handleChange = (key, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      [key]: { ...prev[key], [field]: value }
+    }));
+    setDirty(true);
+  };
+
+  // Construye los bloques PICO a partir del borrador del usuario
+  const buildPico = () => {
+    const pico = {};
+    PICO_BLOCKS.forEach(({ key }) => {
+      const block = draft[key] || {};
+      pico[key] = {
+        description: block.description || "",
+        meshTerms: textToTerms(block.meshTerms || ""),
+        freeTextTerms: textToTerms(block.freeTextTerms || "")
+      };
+    });
+    return pico;
+  };
+
+  const handleRebuild = async () => {
+    setRebuilding(true);
+    try {
+      const rebuilt = await onRebuild({
+        pico: buildPico(),
+        translatedQuestion: currentStrategy?.translatedQuestion,
+        rationale: currentStrategy?.rationale
+      });
+      if (rebuilt) {
+        setCurrentStrategy(rebuilt);
+        setQuery(rebuilt.query || "");
+        setDirty(false);
+      }
+      return rebuilt;
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  const handleSearch = async () => {
+    const strategyToUse = dirty ? await handleRebuild() : { ...currentStrategy, query };
+    if (strategyToUse?.query) {
+      onSearch(strategyToUse);
+    }
+  };
+
+  // Selecciona en el editor el fragmento señalado por un diagnóstico
+  const focusDiagnostic = (item) => {
+    const textarea = queryRef.current;
+    if (!textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(item.position, item.position + Math.max(item.length, 1));
+  };
+
+  const hasLintErrors = Boolean(lint && !lint.valid);
+  const canApplyNormalized = Boolean(lint?.normalized && lint.normalized !== query.trim());
+
+  return (
+    <div className="search-strategy strategy-editor">
+      <h4>Estrategia de búsqueda generada:</h4>
+
+      {currentStrategy?.translatedQuestion && (
+        <p className="strategy-translation">
+          <strong>Pregunta en inglés:</strong> {currentStrategy.translatedQuestion}
+        </p>
+      )}
+
+      {hasPico && (
+        <div className="pico-blocks">
+          {PICO_BLOCKS.map(({ key, letter, label }) => (
+            <div key={key} className={`pico-block pico-${key}`}>
+              <div className="pico-block-header">
+                <span className="pico-letter">{letter}</span>
+                <span className="pico-label">{label}</span>
+              </div>
+              <input
+                type="text"
+                className="pico-description"
+                value={draft[key]?.description || ""}
+                onChange={(e) => handleChange(key, "description", e.target.value)}
+                placeholder="Descripción"
+                disabled={disabled}
+              />
+              <label className="pico-field">
+                <span>Términos MeSH</span>
+                <textarea
+                  rows={2}
+                  value={draft[key]?.meshTerms || ""}
+                  onChange={(e) => handleChange(key, "meshTerms", e.target.value)}
+                  placeholder="Separados por comas"
+                  disabled={disabled}
+                />
+              </label>
+              <label className="pico-field">
+                <span>Texto libre [tiab]</span>
+                <textarea
+                  rows={2}
+                  value={draft[key]?.freeTextTerms || ""}
+                  onChange={(e) => handleChange(key, "freeTextTerms", e.target.value)}
+                  placeholder="Separados por comas"
+                  disabled={disabled}
+                />
+              </label>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="strategy-content">
+        <textarea
+          ref={queryRef}
+          className={`strategy-query ${hasLintErrors ? "has-errors" : ""}`}
+          rows={4}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="No se pudo generar una consulta"
+          spellCheck={false}
+          disabled={disabled}
+        />
+      </div>
+
+      {lint && (lint.errors.length > 0 || lint.warnings.length > 0) && (
+        <ul className="strategy-lint">
+          {lint.errors.map((item, index) => (
+            <li key={`error-${index}`} className="lint-error" onClick={() => focusDiagnostic(item)}>
+              <span className="lint-badge">Error</span> {item.message}
+              <span className="lint-position">(posición {item.position + 1})</span>
+            </li>
+          ))}
+          {lint.warnings.map((item, index) => (
+            <li key={`warning-${index}`} className="lint-warning" onClick={() => focusDiagnostic(item)}>
+              <span className="lint-badge">Aviso</span> {item.message}
+              <span className="lint-position">(posición {item.position + 1})</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canApplyNormalized && (
+        <div className="strategy-normalized">
+          <span>Versión normalizada: <code>{lint.normalized}</code></span>
+          <button
+            type="button"
+            className="strategy-btn strategy-btn-secondary"
+            onClick={() => setQuery(lint.normalized)}
+            disabled={disabled}
+          >
+            Aplicar
+          </button>
+        </div>
+      )}
+
+      {currentStrategy?.rationale && (
+        <p className="strategy-rationale">
+          <strong>Justificación:</strong> {currentStrategy.rationale}
+        </p>
+      )}
+
+      <div className="strategy-actions">
+        {hasPico && (
+          <button
+            type="button"
+            className="strategy-btn strategy-btn-secondary"
+            onClick={handleRebuild}
+            disabled={disabled || rebuilding || !dirty}
+          >
+            {rebuilding ? "Actualizando..." : "Actualizar consulta"}
+          </button>
+        )}
+        <button
+          type="button"
+          className="strategy-btn strategy-btn-primary"
+          onClick={handleSearch}
+          disabled={disabled || rebuilding || hasLintErrors || (!dirty && !query.trim())}
+          title={hasLintErrors ? "Corrija los errores de sintaxis antes de buscar" : undefined}
+        >
+          Buscar con esta estrategia
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StrategyEditor;
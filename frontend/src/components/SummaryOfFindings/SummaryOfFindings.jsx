@@ -0,0 +1,85 @@
+import React from 'react';
+import './SummaryOfFindings.css';
+
+// Símbolos de certeza de GRADE (⊕ por nivel alcanzado, de muy baja a alta)
+const CERTAINTY_SYMBOLS = {
+  high: 4,
+  moderate: 3,
+  low: 2,
+  'very-low': 1
+};
+
+/**
+ * Tabla de resumen de hallazgos de estilo GRADE que acompaña a la síntesis
+ * Cada fila es un desenlace con su certeza y el juicio de cada dominio de GRADE;
+ * los dominios que bajan la certeza muestran el motivo y los PMIDs que lo justifican
+ * @param {Object} summary - Tabla del backend ({ outcomes }, ver backend/utils/summaryOfFindings.js)
+ * @returns {JSX.Element} - Componente de la tabla
+ */
+const SummaryOfFindings = ({ summary }) => {
+  if (!summary?.outcomes?.length) return null;
+
+  const domainLabels = summary.outcomes[0].domains.map(domain => ({ id: domain.id, label: domain.label }));
+
+  return (
+    <div className="summary-of-findings">
+      <h4>Resumen de hallazgos (GRADE)</h4>
+      <div className="sof-table-wrapper">
+        <table className="sof-table">
+          <thead>
+            <tr>
+              <th>Desenlace</th>
+              <th>Efecto</th>
+              {domainLabels.map(domain => <th key={domain.id}>{domain.label}</th>)}
+              <th>Certeza</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.outcomes.map((outcome, index) => {
+              const filled = CERTAINTY_SYMBOLS[outcome.certainty] || 0;
+              return (
+                <tr key={index}>
+                  <td>
+                    <strong>{outcome.outcome}</strong>
+                    {outcome.summary && <p className="sof-summary">{outcome.summary}</p>}
+                    <p className="sof-pmids">
+                      {outcome.evidenceTypeLabel} ({outcome.pmids.length}): PMID {outcome.pmids.join(', ')}
+                    </p>
+                  </td>
+                  <td>{outcome.effect || '—'}</td>
+                  {outcome.domains.map(domain => (
+                    <td key={domain.id} className={domain.downgrade > 0 ? 'sof-downgrade' : undefined}>
+                      <span className={`sof-rating sof-rating-${domain.downgrade}`}>
+                        {domain.ratingLabel}{domain.downgrade > 0 && ` (−${domain.downgrade})`}
+                      </span>
+                      {domain.downgrade > 0 && (
+                        <>
+                          <p className="sof-reason">{domain.reason}</p>
+                          <p className="sof-pmids">PMID {domain.pmids.join(', ')}</p>
+                        </>
+                      )}
+                    </td>
+                  ))}
+                  <td>
+                    <span className={`sof-certainty sof-certainty-${outcome.certainty}`}>
+                      <span className="sof-certainty-symbols" aria-hidden="true">
+                        {'⊕'.repeat(filled)}{'◯'.repeat(4 - filled)}
+                      </span>
+                      {outcome.certaintyLabel}
+                    </span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="sof-note">
+        La certeza parte de alta para ensayos aleatorizados y de baja para estudios observacionales,
+        y baja un nivel por cada dominio grave (dos si es muy grave).
+      </p>
+    </div>
+  );
+};
+
+export default SummaryOfFindings;
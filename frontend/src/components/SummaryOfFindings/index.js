@@ -0,0 +1 @@
+export { default } from './SummaryOfFindings'; 
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { generateSearchPrompt, generateAnalysisPrompt } from '../utils/aiPrompts';
+import { generateSearchPrompt } from '../utils/aiPrompts';
 import axios from 'axios';
 import rateLimiter from '../utils/RateLimiter';
 import notificationService from './notificationService';
@@ -35,7 +35,7 @@ class AIService {
   /**
    * Genera una estrategia de búsqueda optimizada para PubMed utilizando Claude
    * @param {string} clinicalQuestion - Pregunta clínica del usuario
-   * @returns {Promise<string>} - Estrategia de búsqueda generada
+   * @returns {Promise<Object>} - Estrategia estructurada (query, translatedQuestion, pico, rationale)
    */
   async generateSearchStrategy(clinicalQuestion) {
     const methodName = 'generateSearchStrategy';
@@ -93,7 +93,8 @@ class AIService {
           contentLength: data.content ? data.content.length : 0 
         });
         
-        return data.content;
+        // Compatibilidad con respuestas que solo incluyen la consulta en texto
+        return data.strategy || { query: data.content || '', translatedQuestion: '', pico: null, rationale: '' };
       });
     } catch (error) {
       logError(methodName, 'Error al generar estrategia de búsqueda', error);
@@ -101,13 +102,59 @@ class AIService {
     }
   }
 
+  /**
+   * Reconstruye la consulta PubMed a partir de bloques PICO editados por el usuario
+   * No invoca a la IA: el backend recompone los bloques y la consulta
+   * @param {Object} strategy - Estrategia editada con pico, translatedQuestion y rationale
+   * @returns {Promise<Object>} - Estrategia normalizada con la consulta reconstruida
+   */
+  async rebuildSearchStrategy(strategy) {
+    const methodName = 'rebuildSearchStrategy';
+    try {
+      if (!strategy || !strategy.pico) {
+        throw new Error('Se requieren los bloques PICO de la estrategia');
+      }
+
+      const endpoint = `${this.apiUrl}/strategy`;
+      logInfo(methodName, `Enviando bloques PICO a ${endpoint}`);
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(strategy),
+      });
+
+      if (!response.ok) {
+        let errorMessage = response.statusText;
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.message || response.statusText;
+        } catch (e) {
+          // Mantener el statusText si la respuesta no es JSON
+        }
+        throw new Error(`Error al reconstruir la estrategia: ${errorMessage}`);
+      }
+
+      const data = await response.json();
+      logInfo(methodName, 'Estrategia reconstruida', { query: data.content });
+
+      return data.strategy;
+    } catch (error) {
+      logError(methodName, 'Error al reconstruir estrategia de búsqueda', error);
+      throw error;
+    }
+  }
+
   /**
    * Analiza un artículo científico en relación a una pregunta clínica utilizando Claude
    * @param {Object} article - Artículo científico a analizar
    * @param {string} clinicalQuestion - Pregunta clínica del usuario
-   * @returns {Promise<string>} - Análisis del artículo
+   * @param {Object} streamOptions - { socketId, streamId } para recibir el texto por Socket.IO (opcional)
+   * @returns {Promise<Object>} - Valoración crítica estructurada del artículo
    */
-  async analyzeArticle(article, clinicalQuestion) {
+  async analyzeArticle(article, clinicalQuestion, streamOptions = {}) {
     const methodName = 'analyzeArticle';
     try {
       logInfo(methodName, `Analizando artículo PMID: ${article.pmid || 'sin PMID'}`);
@@ -116,9 +163,6 @@ class AIService {
         throw new Error('Se requiere un artículo y una pregunta clínica');
       }
 
-      const prompt = generateAnalysisPrompt(article, clinicalQuestion);
-      logInfo(methodName, `Prompt generado, longitud: ${prompt.length} caracteres`);
-      
       // Usar rateLimiter para controlar las solicitudes
       return await rateLimiter.execute(async () => {
         const endpoint = `${this.apiUrl}/analyze`;
@@ -130,7 +174,7 @@ class AIService {
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify({ prompt }),
+          body: JSON.stringify({ article, clinicalQuestion, ...streamOptions }),
         });
         const endTime = Date.now();
         
@@ -150,12 +194,12 @@ class AIService {
         }
 
         const data = await response.json();
-        logInfo(methodName, 'Datos de análisis recibidos', { 
+        logInfo(methodName, 'Valoración recibida', { 
           success: data.success, 
-          contentLength: data.content ? data.content.length : 0 
+          studyType: data.analysis?.studyType
         });
         
-        return data.content;
+        return data.analysis;
       });
     } catch (error) {
       logError(methodName, `Error al analizar artículo ${article.pmid || 'sin PMID'}`, error);
@@ -163,6 +207,59 @@ class AIService {
     }
   }
 
+  /**
+   * Evalúa el riesgo de sesgo de un artículo con la herramienta adecuada a su diseño
+   * (RoB 2, ROBINS-I o AMSTAR-2)
+   * @param {Object} article - Artículo con abstract
+   * @param {Object} options - runId de la consulta para guardar la evaluación con el artículo (opcional)
+   * @param {Object} streamOptions - socketId y streamId para recibir la respuesta en streaming (opcional)
+   * @returns {Promise<Object>} - Evaluación por dominio con juicio y cita del abstract
+   */
+  async assessRiskOfBias(article, { runId = null } = {}, streamOptions = {}) {
+    const methodName = 'assessRiskOfBias';
+    try {
+      logInfo(methodName, `Evaluando el riesgo de sesgo del artículo PMID: ${article?.pmid || 'sin PMID'}`);
+      
+      if (!article?.abstract) {
+        throw new Error('Se requiere un artículo con abstract');
+      }
+
+      return await rateLimiter.execute(async () => {
+        const response = await fetch(`${this.apiUrl}/risk-of-bias`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ article, runId, ...streamOptions }),
+        });
+        
+        if (!response.ok) {
+          let errorMessage = 'Error desconocido';
+          try {
+            const errorData = await response.json();
+            errorMessage = errorData.message || response.statusText;
+          } catch (e) {
+            errorMessage = response.statusText;
+          }
+          
+          logError(methodName, `Error en respuesta: ${errorMessage}`, { status: response.status });
+          throw new Error(errorMessage);
+        }
+
+        const data = await response.json();
+        logInfo(methodName, 'Evaluación recibida', { 
+          tool: data.riskOfBias?.tool, 
+          stored: data.stored
+        });
+        
+        return data.riskOfBias;
+      });
+    } catch (error) {
+      logError(methodName, `Error al evaluar el riesgo de sesgo del artículo ${article?.pmid || 'sin PMID'}`, error);
+      throw error;
+    }
+  }
+
   /**
    * Analiza un lote de artículos en relación a una pregunta clínica
    * @param {Array<Object>} articles - Artículos científicos a analizar
@@ -299,9 +396,11 @@ class AIService {
    * Genera una síntesis de evidencia científica basada en múltiples artículos
    * @param {string} clinicalQuestion - Pregunta clínica
    * @param {Array<Object>} articles - Artículos científicos a sintetizar
-   * @returns {Promise<string>} - Síntesis generada
+   * @param {Object} streamOptions - { socketId, streamId } para recibir el texto por Socket.IO (opcional)
+   * @returns {Promise<Object>} - { synthesis, summaryOfFindings, citationCheck } con la síntesis en HTML, la tabla GRADE
+   *   (null si no se generó) y la verificación de las citas
    */
-  async generateSynthesis(clinicalQuestion, articles) {
+  async generateSynthesis(clinicalQuestion, articles, streamOptions = {}) {
     const methodName = 'generateSynthesis';
     try {
       logInfo(methodName, `Generando síntesis para ${articles.length} artículos`);
@@ -322,7 +421,8 @@ class AIService {
           },
           body: JSON.stringify({ 
             clinicalQuestion,
-            articles
+            articles,
+            ...streamOptions
           }),
         });
         const endTime = Date.now();
@@ -351,18 +451,73 @@ class AIService {
         }
 
         const data = await response.json();
+        const synthesis = data.synthesis || data.content;
         logInfo(methodName, 'Síntesis recibida', { 
           success: data.success, 
-          contentLength: data.content ? data.content.length : 0 
+          contentLength: synthesis ? synthesis.length : 0,
+          outcomes: data.summaryOfFindings?.outcomes?.length || 0,
+          flaggedCitations: data.citationCheck?.flagged || 0
         });
         
-        return data.content;
+        return {
+          synthesis,
+          summaryOfFindings: data.summaryOfFindings || null,
+          citationCheck: data.citationCheck || null
+        };
       }, { retry: true });
     } catch (error) {
       logError(methodName, 'Error al generar síntesis', error);
       throw error;
     }
   }
+
+  /**
+   * Extrae las medidas de efecto (RR, OR, HR, MD) de los abstracts para el meta-análisis
+   * Los registros no se guardan: el usuario los revisa y se combinan en el navegador
+   * @param {Array<Object>} articles - Artículos con pmid, title y abstract (hasta 20)
+   * @returns {Promise<Object>} - { records, measures }: registros { id, pmid, outcome, measure, value, ciLower, ciUpper, interventionN, controlN,
+   *   verified, unverifiedFields } (verified es false si alguna cifra no aparece en el abstract) y medidas de efecto que admite el backend ({ [id]: { label, ratio } })
+   */
+  async extractEffectSizes(articles) {
+    const methodName = 'extractEffectSizes';
+    try {
+      if (!articles || !articles.length) {
+        throw new Error('Se requieren artículos para extraer las medidas de efecto');
+      }
+
+      return await rateLimiter.execute(async () => {
+        const endpoint = `${this.apiUrl}/effect-sizes`;
+        logInfo(methodName, `Extrayendo medidas de efecto de ${articles.length} artículos`);
+
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ articles }),
+        });
+
+        if (!response.ok) {
+          let errorMessage = response.statusText;
+          try {
+            const errorData = await response.json();
+            errorMessage = errorData.message || response.statusText;
+          } catch (e) {
+            // Mantener el statusText si la respuesta no es JSON
+          }
+          throw new Error(`Error al extraer las medidas de efecto: ${errorMessage}`);
+        }
+
+        const data = await response.json();
+        logInfo(methodName, 'Medidas de efecto extraídas', { records: data.records?.length || 0 });
+
+        return { records: data.records || [], measures: data.measures || {} };
+      }, { retry: true });
+    } catch (error) {
+      logError(methodName, 'Error al extraer medidas de efecto', error);
+      throw error;
+    }
+  }
 }
 
 export default new AIService(); 
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Servicio para interactuar con las métricas de iCite a través del backend
+ */
+
+// Función para logs detallados
+const logInfo = (method, message, data) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[ICITE ${timestamp}] [${method}] ${message}`);
+  if (data) console.log(data);
+};
+
+const logError = (method, message, error) => {
+  const timestamp = new Date().toISOString();
+  console.error(`[ICITE ERROR ${timestamp}] [${method}] ${message}`);
+  if (error) {
+    console.error('Mensaje de error:', error.message);
+  }
+};
+
+class ICiteService {
+  constructor() {
+    // URL base para la API del backend
+    this.apiUrl = '/api/icite';
+  }
+
+  /**
+   * Obtiene la red de citas de un conjunto de artículos
+   * @param {Array<string>} pmids - PMIDs de los resultados
+   * @param {Object} options - Opciones
+   * @param {number} options.maxGhosts - Máximo de artículos externos (nodos fantasma)
+   * @returns {Promise<Object>} - { nodes, edges, missing }
+   */
+  async getCitationGraph(pmids, { maxGhosts = 20 } = {}) {
+    const method = 'getCitationGraph';
+    
+    try {
+      const response = await fetch(`${this.apiUrl}/graph`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ pmids, maxGhosts })
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al obtener la red de citas: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, `Red de citas recibida: ${data.nodes?.length || 0} nodos, ${data.edges?.length || 0} aristas`);
+      return data;
+    } catch (error) {
+      logError(method, 'Error al obtener la red de citas', error);
+      throw error;
+    }
+  }
+}
+
+export default new ICiteService();
@@ -89,8 +89,9 @@ class NotificationService {
    * @param {Array} steps - Arreglo de pasos a mostrar
    * @param {number} currentStep - Paso actual (índice del arreglo steps)
    * @param {string} customMessage - Mensaje adicional para mostrar (opcional)
+   * @param {Function} onCancel - Si se indica, muestra un botón para cancelar el proceso (opcional)
    */
-  showProcessSteps(steps, currentStep = 0, customMessage = '') {
+  showProcessSteps(steps, currentStep = 0, customMessage = '', onCancel = null) {
     const totalSteps = steps.length;
     const progressPercent = ((currentStep + 1) / totalSteps) * 100;
     
@@ -296,7 +297,14 @@ class NotificationService {
       allowOutsideClick: false,
       allowEscapeKey: false,
       showConfirmButton: false,
+      showCancelButton: Boolean(onCancel),
+      cancelButtonText: 'Cancelar búsqueda',
       didOpen: () => {
+        if (onCancel) {
+          Swal.getCancelButton().addEventListener('click', onCancel);
+        }
+        
+
         // Actualizar mensaje cada 8 segundos si estamos en paso 2 o 3 (los más largos)
         if (currentStep === 2 || currentStep === 3) {
           const messageElement = Swal.getHtmlContainer().querySelector('.motivational-message');
@@ -326,10 +334,11 @@ class NotificationService {
    * @param {Array} steps - Arreglo de pasos
    * @param {number} newCurrentStep - Nuevo paso actual
    * @param {string} customMessage - Mensaje personalizado opcional
+   * @param {Function} onCancel - Si se indica, muestra un botón para cancelar el proceso
    */
-  updateProcessStep(alert, steps, newCurrentStep, customMessage = '') {
+  updateProcessStep(alert, steps, newCurrentStep, customMessage = '', onCancel = null) {
     if (alert) {
-      this.showProcessSteps(steps, newCurrentStep, customMessage);
+      this.showProcessSteps(steps, newCurrentStep, customMessage, onCancel);
     }
   }
 
@@ -25,7 +25,9 @@ class PubmedService {
   constructor() {
     // URL base para la API del backend
     this.apiUrl = '/api/scientific-query';
-    logInfo('constructor', 'Servicio PubMed inicializado', { apiUrl: this.apiUrl });
+    // URL del historial de consultas guardadas
+    this.queriesUrl = '/api/queries';
+    logInfo('constructor', 'Servicio PubMed inicializado', { apiUrl: this.apiUrl, queriesUrl: this.queriesUrl });
   }
 
   /**
@@ -89,7 +91,10 @@ class PubmedService {
         throw new Error(`Error al buscar en PubMed: ${errorMessage}`);
       }
       
-      const data = await response.json();
+      // El backend encola la consulta: esperar a que el trabajo termine
+      const job = await response.json();
+      logInfo(method, `Consulta encolada como trabajo ${job.jobId}`);
+      const data = await this.waitForJob(job.jobId);
       
       logInfo(method, 'Datos recibidos del backend', { 
         success: data.success !== false, 
@@ -179,6 +184,623 @@ class PubmedService {
       throw error;
     }
   }
+
+  /**
+   * Obtiene el estado de un trabajo de consulta científica
+   * @param {string} jobId - ID del trabajo
+   * @returns {Promise<Object>} - Estado del trabajo (status, phases, result, error)
+   */
+  async getJob(jobId) {
+    const method = 'getJob';
+    
+    try {
+      const response = await fetch(`${this.apiUrl}/jobs/${jobId}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al obtener el trabajo: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      return data.job;
+    } catch (error) {
+      logError(method, `Error al obtener el trabajo ${jobId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancela un trabajo de consulta científica en cola o en ejecución
+   * @param {string} jobId - ID del trabajo
+   * @returns {Promise<Object>} - Estado final del trabajo
+   */
+  async cancelJob(jobId) {
+    const method = 'cancelJob';
+    
+    try {
+      const response = await fetch(`${this.apiUrl}/jobs/${jobId}`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al cancelar el trabajo: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, `Trabajo ${jobId} cancelado`);
+      return data.job;
+    } catch (error) {
+      logError(method, `Error al cancelar el trabajo ${jobId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Espera a que termine un trabajo consultando su estado periódicamente
+   * Se usa cuando no hay conexión Socket.IO para recibir los eventos del trabajo
+   * @param {string} jobId - ID del trabajo
+   * @param {number} intervalMs - Intervalo entre consultas
+   * @returns {Promise<Object>} - Resultado del trabajo
+   */
+  async waitForJob(jobId, intervalMs = 2000) {
+    for (;;) {
+      const job = await this.getJob(jobId);
+      
+      if (job.status === 'completed') {
+        return job.result;
+      }
+      
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        const error = new Error(job.error?.message || `El trabajo terminó con estado "${job.status}"`);
+        error.code = job.error?.code;
+        throw error;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  /**
+   * Valida la sintaxis de una estrategia de búsqueda PubMed antes de buscar
+   * @param {string} strategy - Estrategia de búsqueda editada
+   * @returns {Promise<Object>} - { valid, errors, warnings, normalized, ast }
+   */
+  async validateStrategy(strategy) {
+    const method = 'validateStrategy';
+    
+    try {
+      const response = await fetch(`${this.apiUrl}/validate-strategy`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ strategy })
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al validar la estrategia: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, 'Estrategia validada', { 
+        valid: data.valid, 
+        errors: data.errors?.length || 0, 
+        warnings: data.warnings?.length || 0 
+      });
+      
+      return data;
+    } catch (error) {
+      logError(method, 'Error al validar estrategia de búsqueda', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los perfiles de puntuación disponibles para priorizar artículos
+   * @returns {Promise<Object>} - { defaultProfile, profiles }
+   */
+  async getScoringProfiles() {
+    const method = 'getScoringProfiles';
+    
+    try {
+      const response = await fetch(`${this.apiUrl}/scoring-profiles`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al obtener los perfiles de puntuación: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, `Perfiles de puntuación recibidos: ${data.profiles?.length || 0}`);
+      
+      return {
+        defaultProfile: data.defaultProfile,
+        profiles: data.profiles || []
+      };
+    } catch (error) {
+      logError(method, 'Error al obtener perfiles de puntuación', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene las opciones de los filtros de búsqueda (tipos de artículo, idiomas, grupos de edad y texto completo)
+   * @returns {Promise<Object>} - { publicationTypes, languages, ageGroups, fullText } con { id, label }
+   */
+  async getSearchFilterOptions() {
+    const method = 'getSearchFilterOptions';
+    
+    try {
+      const response = await fetch(`${this.apiUrl}/search-filters`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al obtener las opciones de filtros: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, 'Opciones de filtros recibidas');
+      
+      return data.options;
+    } catch (error) {
+      logError(method, 'Error al obtener las opciones de filtros', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista las consultas guardadas en el backend, de la más reciente a la más antigua
+   * @param {number} limit - Número máximo de consultas
+   * @param {number} offset - Consultas a omitir
+   * @returns {Promise<Object>} - { total, limit, offset, runs }
+   */
+  async getSavedQueries(limit = 10, offset = 0) {
+    const method = 'getSavedQueries';
+    
+    try {
+      const params = new URLSearchParams({ limit, offset });
+      const response = await fetch(`${this.queriesUrl}?${params}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al obtener las consultas guardadas: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, `Consultas guardadas recibidas: ${data.runs?.length || 0} de ${data.total}`);
+      return data;
+    } catch (error) {
+      logError(method, 'Error al obtener consultas guardadas', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene una consulta guardada sin volver a buscar en PubMed ni analizar con IA
+   * @param {string} runId - ID de la ejecución guardada
+   * @returns {Promise<Object>} - Resultado con el mismo formato que una búsqueda nueva
+   */
+  async getSavedQuery(runId) {
+    const method = 'getSavedQuery';
+    
+    try {
+      const response = await fetch(`${this.queriesUrl}/${runId}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al abrir la consulta guardada: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, `Consulta ${runId} recibida con ${data.results?.length || 0} artículos`);
+      return data;
+    } catch (error) {
+      logError(method, `Error al obtener la consulta guardada ${runId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exporta los artículos de una consulta guardada a un formato de gestor de referencias
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {string} format - ris, bibtex, nbib, csljson o csv
+   * @param {Array<string>} pmids - Artículos a exportar (opcional, por defecto los de la ejecución)
+   * @returns {Promise<Object>} - { blob, filename } con el fichero exportado
+   */
+  async exportSavedQuery(runId, format, pmids = null) {
+    const method = 'exportSavedQuery';
+    
+    try {
+      const params = new URLSearchParams({ format });
+      if (pmids && pmids.length > 0) params.set('pmids', pmids.join(','));
+      const response = await fetch(`${this.queriesUrl}/${runId}/export?${params}`, {
+        method: 'GET'
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al exportar los resultados: ${errorMessage}`);
+      }
+      
+      // El nombre del fichero viene en Content-Disposition
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `consulta.${format}`;
+      const blob = await response.blob();
+      logInfo(method, `Consulta ${runId} exportada como ${format} (${blob.size} bytes)`);
+      return { blob, filename };
+    } catch (error) {
+      logError(method, `Error al exportar la consulta ${runId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Genera el informe de síntesis de evidencia de una consulta guardada
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {string} format - pdf, docx o html
+   * @param {Object} options - Contenido generado en el cliente
+   * @param {string} options.synthesis - Síntesis de la IA (HTML)
+   * @param {number} options.evidenceRating - Calidad global de la evidencia (1-5)
+   * @returns {Promise<Object>} - { blob, filename } con el informe
+   */
+  async downloadReport(runId, format, { synthesis = null, evidenceRating = null } = {}) {
+    const method = 'downloadReport';
+    
+    try {
+      const response = await fetch(`${this.queriesUrl}/${runId}/report?format=${encodeURIComponent(format)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ synthesis, evidenceRating })
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al generar el informe: ${errorMessage}`);
+      }
+      
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `informe.${format}`;
+      const blob = await response.blob();
+      logInfo(method, `Informe ${format} de la consulta ${runId} generado (${blob.size} bytes)`);
+      return { blob, filename };
+    } catch (error) {
+      logError(method, `Error al generar el informe de la consulta ${runId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evalúa las estrategias de una consulta guardada frente a un conjunto de PMIDs relevantes
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {Array<string>|string} goldStandardPmids - PMIDs relevantes conocidos (vacío para volver a las estimaciones)
+   * @returns {Promise<Object>} - Métricas de búsqueda recalculadas
+   */
+  async evaluateSavedQuery(runId, goldStandardPmids) {
+    const method = 'evaluateSavedQuery';
+
+    try {
+      const response = await fetch(`${this.queriesUrl}/${runId}/evaluation`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ goldStandardPmids })
+      });
+
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al evaluar la búsqueda: ${errorMessage}`);
+      }
+
+      const data = await response.json();
+      logInfo(method, `Búsqueda de la consulta ${runId} evaluada`, { estimated: data.searchMetrics?.estimated });
+      return data.searchMetrics;
+    } catch (error) {
+      logError(method, `Error al evaluar la búsqueda de la consulta ${runId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el cribado de una consulta guardada con los recuentos de PRISMA 2020
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {Object} options - Opciones
+   * @param {string} options.reviewer - Revisor actual (oculta las decisiones ajenas de sus registros pendientes)
+   * @param {number} options.requiredReviewers - Revisores que deben decidir cada registro (1 o 2), si la consulta aún no los tiene guardados
+   * @returns {Promise<Object>} - { records, counts, prisma, requiredReviewers, requiredReviewersLocked }
+   */
+  async getScreening(runId, { reviewer = null, requiredReviewers = 2 } = {}) {
+    const method = 'getScreening';
+
+    try {
+      const params = new URLSearchParams({ requiredReviewers: String(requiredReviewers) });
+      if (reviewer) params.set('reviewer', reviewer);
+      const response = await fetch(`${this.queriesUrl}/${runId}/screening?${params}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al obtener el cribado: ${errorMessage}`);
+      }
+
+      const data = await response.json();
+      logInfo(method, `Cribado de la consulta ${runId} recibido con ${data.records?.length || 0} registros`);
+      return data;
+    } catch (error) {
+      logError(method, `Error al obtener el cribado de la consulta ${runId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda la decisión de cribado de un revisor o la resolución de un conflicto
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {string} pmid - PMID del artículo
+   * @param {Object} decision - { stage, reviewer, decision, reason, note }
+   * @param {Object} options - Opciones
+   * @param {boolean} options.resolution - Si la decisión resuelve un conflicto entre revisores
+   * @param {number} options.requiredReviewers - Revisores que deben decidir cada registro (1 o 2); la primera decisión los guarda con la consulta
+   * @returns {Promise<Object>} - Cribado actualizado
+   */
+  async saveScreeningDecision(runId, pmid, decision, { resolution = false, requiredReviewers = 2 } = {}) {
+    const method = 'saveScreeningDecision';
+
+    try {
+      const path = `${this.queriesUrl}/${runId}/screening/${pmid}${resolution ? '/resolution' : ''}`;
+      const response = await fetch(`${path}?requiredReviewers=${requiredReviewers}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(decision)
+      });
+
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al guardar la decisión: ${errorMessage}`);
+      }
+
+      const data = await response.json();
+      logInfo(method, `Decisión de ${decision.reviewer} para ${pmid} guardada (${decision.stage}: ${decision.decision})`);
+      return data;
+    } catch (error) {
+      logError(method, `Error al guardar la decisión de cribado de ${pmid}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * URL del diagrama de flujo PRISMA 2020 (SVG) de una consulta guardada
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {number} requiredReviewers - Revisores que deben decidir cada registro (1 o 2)
+   * @returns {string} - URL del SVG
+   */
+  getPrismaDiagramUrl(runId, requiredReviewers = 2) {
+    return `${this.queriesUrl}/${runId}/prisma?requiredReviewers=${requiredReviewers}`;
+  }
+
+  /**
+   * Obtiene una página de todos los resultados de PubMed de una consulta guardada
+   * @param {string} runId - ID de la ejecución guardada
+   * @param {number} page - Página (desde 1)
+   * @param {number} pageSize - Artículos por página
+   * @returns {Promise<Object>} - { page, pageSize, total, totalPages, hasMore, articles }
+   */
+  async getRunArticles(runId, page, pageSize) {
+    const method = 'getRunArticles';
+    
+    try {
+      const params = new URLSearchParams({ page, pageSize });
+      const response = await fetch(`${this.apiUrl}/${runId}/articles?${params}`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        }
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al cargar más resultados: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, `Página ${data.page} de ${data.totalPages} recibida con ${data.articles?.length || 0} artículos`);
+      return data;
+    } catch (error) {
+      logError(method, `Error al obtener la página ${page} de la consulta ${runId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Amplía los resultados desde artículos semilla (similares en PubMed, referencias y artículos que los citan)
+   * @param {Array<string>} pmids - PMIDs semilla
+   * @param {Object} options - Opciones
+   * @param {string} options.runId - ID de la consulta guardada (aporta la pregunta, el perfil y los resultados a descartar)
+   * @param {Array<string>} options.excludePmids - PMIDs que ya se muestran
+   * @param {string} options.question - Pregunta clínica para priorizar
+   * @param {number} options.limit - Máximo de artículos
+   * @returns {Promise<Object>} - { seeds, sources, failedSources, candidateCount, count, articles }
+   */
+  async expandFromArticles(pmids, { runId = null, excludePmids = [], question = '', limit = 10 } = {}) {
+    const method = 'expandFromArticles';
+    
+    try {
+      const response = await fetch(`${this.apiUrl}/expand`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          pmids,
+          runId: runId || undefined,
+          excludePmids,
+          question: question || undefined,
+          limit
+        })
+      });
+      
+      if (!response.ok) {
+        let errorMessage = 'Error desconocido';
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error?.message || errorData.message || response.statusText;
+        } catch (e) {
+          errorMessage = response.statusText;
+        }
+        
+        logError(method, `Error en respuesta: ${errorMessage}`, { status: response.status });
+        throw new Error(`Error al ampliar los resultados: ${errorMessage}`);
+      }
+      
+      const data = await response.json();
+      logInfo(method, `${data.count} artículos nuevos de ${data.candidateCount} candidatos`);
+      return data;
+    } catch (error) {
+      logError(method, `Error al ampliar desde los PMIDs ${pmids.join(', ')}`, error);
+      throw error;
+    }
+  }
 }
 
-export default new PubmedService(); 
\ No newline at end of file
+export default new PubmedService(); 
@@ -0,0 +1,15 @@
+/**
+ * Descarga un fichero generado en el backend mediante un enlace temporal
+ * @param {Blob} blob - Contenido del fichero
+ * @param {string} filename - Nombre con el que se guarda
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
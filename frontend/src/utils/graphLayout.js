@@ -0,0 +1,94 @@
+/**
+ * Disposición de la red de citas mediante un algoritmo de fuerzas sencillo
+ * Los nodos se repelen entre sí, las aristas actúan como muelles y una fuerza
+ * central mantiene el grafo dentro del área de dibujo
+ */
+
+// Parámetros de la simulación
+const REPULSION = 1800;
+const SPRING_LENGTH = 70;
+const SPRING_STRENGTH = 0.04;
+const GRAVITY = 0.02;
+const MAX_STEP = 12;
+
+/**
+ * Calcula la posición de cada nodo
+ * La posición inicial usa las coordenadas del mapa de iCite cuando existen, de modo que
+ * los artículos de temas próximos empiezan cerca; si no, se reparten en círculo
+ * @param {Array<Object>} nodes - Nodos con id y, opcionalmente, x e y de iCite (entre -1 y 1)
+ * @param {Array<Object>} edges - Aristas { source, target }
+ * @param {Object} size - { width, height, padding } del área de dibujo
+ * @returns {Map<string, Object>} - Posición { x, y } de cada nodo por id
+ */
+export function layoutGraph(nodes, edges, { width, height, padding = 30 }) {
+  const count = nodes.length;
+  const positions = nodes.map((node, index) => {
+    const angle = (2 * Math.PI * index) / Math.max(count, 1);
+    // Pequeño desplazamiento determinista para separar nodos con las mismas coordenadas
+    const jitter = 0.05 * Math.sin(index * 12.9898);
+    return Number.isFinite(node.x) && Number.isFinite(node.y)
+      ? { x: node.x * 200 + jitter * 200, y: node.y * 200 + jitter * 120 }
+      : { x: Math.cos(angle) * 150, y: Math.sin(angle) * 150 };
+  });
+
+  const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+  const springs = edges
+    .map(edge => [indexById.get(edge.source), indexById.get(edge.target)])
+    .filter(([source, target]) => source !== undefined && target !== undefined);
+
+  // Con muchos nodos se reducen las iteraciones (la repulsión es cuadrática)
+  const iterations = count > 200 ? 80 : 250;
+  for (let step = 0; step < iterations; step++) {
+    const forces = positions.map(() => ({ x: 0, y: 0 }));
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const dx = positions[i].x - positions[j].x;
+        const dy = positions[i].y - positions[j].y;
+        const distanceSquared = Math.max(dx * dx + dy * dy, 1);
+        const distance = Math.sqrt(distanceSquared);
+        const force = REPULSION / distanceSquared;
+        forces[i].x += (dx / distance) * force;
+        forces[i].y += (dy / distance) * force;
+        forces[j].x -= (dx / distance) * force;
+        forces[j].y -= (dy / distance) * force;
+      }
+    }
+
+    springs.forEach(([source, target]) => {
+      const dx = positions[target].x - positions[source].x;
+      const dy = positions[target].y - positions[source].y;
+      const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+      const force = (distance - SPRING_LENGTH) * SPRING_STRENGTH;
+      forces[source].x += (dx / distance) * force;
+      forces[source].y += (dy / distance) * force;
+      forces[target].x -= (dx / distance) * force;
+      forces[target].y -= (dy / distance) * force;
+    });
+
+    // El paso se reduce a lo largo de la simulación para que converja
+    const maxStep = MAX_STEP * (1 - step / iterations) + 0.5;
+    positions.forEach((position, index) => {
+      const force = forces[index];
+      force.x -= position.x * GRAVITY;
+      force.y -= position.y * GRAVITY;
+      const magnitude = Math.sqrt(force.x * force.x + force.y * force.y);
+      const scale = magnitude > maxStep ? maxStep / magnitude : 1;
+      position.x += force.x * scale;
+      position.y += force.y * scale;
+    });
+  }
+
+  // Escalar al área de dibujo
+  const xs = positions.map(position => position.x);
+  const ys = positions.map(position => position.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(Math.max(...xs) - minX, 1);
+  const spanY = Math.max(Math.max(...ys) - minY, 1);
+
+  return new Map(nodes.map((node, index) => [node.id, {
+    x: padding + ((positions[index].x - minX) / spanX) * (width - 2 * padding),
+    y: padding + ((positions[index].y - minY) / spanY) * (height - 2 * padding)
+  }]));
+}
@@ -0,0 +1,202 @@
+/**
+ * Meta-análisis de las medidas de efecto extraídas de los abstracts
+ * Agrupa los registros compatibles (mismo desenlace y misma medida), con un solo registro por
+ * PMID en cada grupo, y los combina con el modelo de efectos fijos (inverso de la varianza) y el
+ * de efectos aleatorios (DerSimonian-Laird), con la heterogeneidad Q, I² y tau². Las medidas de
+ * razón se combinan en escala logarítmica y el error estándar se obtiene del IC 95%.
+ * Los registros cuyas cifras no aparecen en el abstract (verified === false) no se combinan
+ * hasta que el usuario los revisa y los marca como incluidos.
+ * Las medidas ({ [id]: { label, ratio } }) son las que envía el backend con los registros
+ * extraídos (EXTRACTION_MEASURES de backend/utils/effectExtraction.js)
+ */
+
+// Valor crítico de la normal para el IC 95%
+const Z_95 = 1.959964;
+
+/**
+ * Clave de agrupación de un desenlace (sin mayúsculas, tildes ni espacios repetidos)
+ * @param {string} outcome - Desenlace
+ * @returns {string} - Clave normalizada
+ */
+const outcomeKey = (outcome) => String(outcome || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Función de distribución de la normal estándar (aproximación de Abramowitz y Stegun 7.1.26)
+ * @param {number} z - Valor
+ * @returns {number} - P(Z <= z)
+ */
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Indica si un registro se puede combinar: medida conocida, estimación dentro de un IC 95% con amplitud
+ * y, en las medidas de razón, valores positivos
+ * @param {Object} record - Registro { measure, value, ciLower, ciUpper }
+ * @param {Object} measures - Medidas de efecto del backend
+ * @returns {boolean} - Si el registro es combinable
+ */
+export const isPoolable = (record, measures) => {
+  const measure = measures[record?.measure];
+  const numbers = [record?.value, record?.ciLower, record?.ciUpper];
+  if (!measure || !numbers.every(Number.isFinite)) return false;
+  if (measure.ratio && numbers.some(number => number <= 0)) return false;
+  return record.ciLower <= record.value && record.value <= record.ciUpper && record.ciUpper > record.ciLower;
+};
+
+/**
+ * Estimación y error estándar de un registro en la escala de combinación
+ * @param {Object} record - Registro combinable
+ * @param {boolean} ratio - Si la medida es de razón (se combina en escala logarítmica)
+ * @returns {Object} - { estimate, se }
+ */
+const toPoolingScale = (record, ratio) => {
+  const transform = ratio ? Math.log : (value) => value;
+  return {
+    estimate: transform(record.value),
+    se: (transform(record.ciUpper) - transform(record.ciLower)) / (2 * Z_95)
+  };
+};
+
+/**
+ * Combina las estimaciones con unos pesos y devuelve el efecto en la escala original
+ * @param {Array<Object>} studies - Estudios con estimate
+ * @param {Array<number>} weights - Peso de cada estudio
+ * @param {boolean} ratio - Si la medida es de razón (se deshace el logaritmo)
+ * @returns {Object} - { value, ciLower, ciUpper, pValue }
+ */
+const combine = (studies, weights, ratio) => {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  const estimate = studies.reduce((total, study, index) => total + weights[index] * study.estimate, 0) / totalWeight;
+  const se = Math.sqrt(1 / totalWeight);
+  const back = ratio ? Math.exp : (value) => value;
+  return {
+    value: back(estimate),
+    ciLower: back(estimate - Z_95 * se),
+    ciUpper: back(estimate + Z_95 * se),
+    pValue: 2 * (1 - normalCdf(Math.abs(estimate / se)))
+  };
+};
+
+/**
+ * Meta-análisis de un grupo de registros con la misma medida
+ * @param {Array<Object>} records - Registros combinables del mismo desenlace y medida
+ * @param {boolean} ratio - Si la medida es de razón
+ * @returns {Object} - { studies, fixed, random, heterogeneity }; los estudios llevan su peso (%) en cada modelo
+ */
+export function poolRecords(records, ratio) {
+  const studies = records.map(record => ({ ...record, ...toPoolingScale(record, ratio) }));
+
+  // Efectos fijos: peso inverso a la varianza
+  const fixedWeights = studies.map(study => 1 / (study.se ** 2));
+  const fixed = combine(studies, fixedWeights, ratio);
+
+  // Heterogeneidad: Q de Cochran, I² y estimador de tau² de DerSimonian-Laird
+  const fixedEstimate = studies.reduce((total, study, index) => total + fixedWeights[index] * study.estimate, 0)
+    / fixedWeights.reduce((total, weight) => total + weight, 0);
+  const q = studies.reduce((total, study, index) => total + fixedWeights[index] * (study.estimate - fixedEstimate) ** 2, 0);
+  const df = studies.length - 1;
+  const sumWeights = fixedWeights.reduce((total, weight) => total + weight, 0);
+  const sumSquaredWeights = fixedWeights.reduce((total, weight) => total + weight ** 2, 0);
+  const tau2 = df > 0 ? Math.max(0, (q - df) / (sumWeights - sumSquaredWeights / sumWeights)) : 0;
+  const i2 = q > 0 ? Math.max(0, (q - df) / q) * 100 : 0;
+
+  // Efectos aleatorios: la varianza de cada estudio incluye tau²
+  const randomWeights = studies.map(study => 1 / (study.se ** 2 + tau2));
+  const random = combine(studies, randomWeights, ratio);
+
+  const share = (weights) => {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => (weight / total) * 100);
+  };
+  const fixedShare = share(fixedWeights);
+  const randomShare = share(randomWeights);
+
+  return {
+    studies: studies.map((study, index) => ({
+      ...study,
+      weightFixed: fixedShare[index],
+      weightRandom: randomShare[index]
+    })),
+    fixed,
+    random,
+    heterogeneity: { q, df, i2, tau2 }
+  };
+}
+
+/**
+ * Indica si un registro entra en el meta-análisis: lo que haya marcado el usuario o, si no lo ha
+ * tocado, solo si sus cifras se han encontrado en el abstract
+ * @param {Object} record - Registro de medida de efecto
+ * @returns {boolean} - Si el registro está incluido
+ */
+export const isIncluded = (record) => record.included ?? record.verified !== false;
+
+/**
+ * Agrupa los registros compatibles y realiza el meta-análisis de cada grupo con al menos dos estudios
+ * Los registros desmarcados por el usuario (included === false) o sin IC válido no se combinan, ni
+ * los no verificados contra el abstract que el usuario no ha marcado (se devuelven en unverified).
+ * Un estudio cuenta una sola vez por grupo: si un PMID informa varias veces el mismo desenlace y
+ * medida, se combina su primer registro combinable y el resto se devuelve en duplicates, para que el
+ * usuario desmarque los que no quiera usar
+ * @param {Array<Object>} records - Registros de medidas de efecto
+ * @param {Object} measures - Medidas de efecto del backend ({ [id]: { label, ratio } })
+ * @returns {Object} - { analyses: [{ key, outcome, measure, measureLabel, ratio, ...poolRecords }], excluded, duplicates, unverified }
+ *   con excluded los registros que no se pudieron combinar, duplicates los que repiten el PMID de otro del grupo
+ *   y unverified los pendientes de revisar
+ */
+export function runMetaAnalysis(records = [], measures = {}) {
+  const groups = new Map();
+  const duplicates = [];
+  const unverified = [];
+  let excluded = 0;
+
+  records.forEach(record => {
+    if (!isIncluded(record)) {
+      if (record.included !== false) unverified.push(record);
+      return;
+    }
+    if (!isPoolable(record, measures)) {
+      excluded++;
+      return;
+    }
+    const key = `${outcomeKey(record.outcome)}|${record.measure}`;
+    if (!groups.has(key)) groups.set(key, new Map());
+    // Los registros añadidos sin PMID se tratan como estudios distintos
+    const study = record.pmid ? String(record.pmid).trim() : `sin-pmid-${record.id}`;
+    const group = groups.get(key);
+    if (group.has(study)) {
+      duplicates.push({ ...record, keptId: group.get(study).id });
+      return;
+    }
+    group.set(study, record);
+  });
+
+  const analyses = [];
+  groups.forEach((studies, key) => {
+    const group = [...studies.values()];
+    if (group.length < 2) {
+      excluded += group.length;
+      return;
+    }
+    const { label, ratio } = measures[group[0].measure];
+    analyses.push({
+      key,
+      outcome: group[0].outcome,
+      measure: group[0].measure,
+      measureLabel: label,
+      ratio,
+      ...poolRecords(group, ratio)
+    });
+  });
+
+  return { analyses, excluded, duplicates, unverified };
+}
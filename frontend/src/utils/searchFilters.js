@@ -0,0 +1,32 @@
+/**
+ * Utilidades de los filtros estructurados de búsqueda en PubMed
+ */
+
+// Filtros sin ninguna restricción
+export const EMPTY_FILTERS = {
+  yearFrom: "",
+  yearTo: "",
+  publicationTypes: [],
+  languages: [],
+  humansOnly: false,
+  ageGroups: [],
+  fullText: ""
+};
+
+/**
+ * Convierte los filtros del formulario en el objeto filters que espera el backend
+ * @param {Object} filters - Filtros del formulario
+ * @returns {Object|null} - Filtros con solo los campos activos o null si no hay ninguno
+ */
+export const toRequestFilters = (filters) => {
+  if (!filters) return null;
+  const request = {};
+  if (filters.yearFrom) request.yearFrom = Number(filters.yearFrom);
+  if (filters.yearTo) request.yearTo = Number(filters.yearTo);
+  if (filters.publicationTypes.length > 0) request.publicationTypes = filters.publicationTypes;
+  if (filters.languages.length > 0) request.languages = filters.languages;
+  if (filters.humansOnly) request.humansOnly = true;
+  if (filters.ageGroups.length > 0) request.ageGroups = filters.ageGroups;
+  if (filters.fullText) request.fullText = filters.fullText;
+  return Object.keys(request).length > 0 ? request : null;
+};
@@ -0,0 +1,146 @@
+/**
+ * Pruebas del meta-análisis de las medidas de efecto (utils/metaAnalysis.js)
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPoolable, poolRecords, runMetaAnalysis } from '../src/utils/metaAnalysis.js';
+
+// Medidas tal como las envía el backend (EXTRACTION_MEASURES)
+const MEASURES = {
+  RR: { label: 'Riesgo relativo', ratio: true },
+  HR: { label: 'Hazard ratio', ratio: true },
+  MD: { label: 'Diferencia de medias', ratio: false }
+};
+
+const Z_95 = 1.959964;
+
+/**
+ * Registro de diferencia de medias con el error estándar indicado
+ */
+const mdRecord = (id, pmid, value, se = 1, outcome = 'Peso (kg)') => ({
+  id, pmid, outcome, measure: 'MD', value, ciLower: value - Z_95 * se, ciUpper: value + Z_95 * se
+});
+
+const assertClose = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+};
+
+test('poolRecords aplica el inverso de la varianza y el tau² de DerSimonian-Laird', () => {
+  const { fixed, random, heterogeneity, studies } = poolRecords([mdRecord('a', '1', 0), mdRecord('b', '2', 2)], false);
+
+  // Q = 2, gl = 1, C = 2 - 2/2 = 1 => tau² = 1 e I² = 50%
+  assertClose(heterogeneity.q, 2, 'Q');
+  assert.equal(heterogeneity.df, 1);
+  assertClose(heterogeneity.tau2, 1, 'tau²');
+  assertClose(heterogeneity.i2, 50, 'I²');
+
+  assertClose(fixed.value, 1, 'efecto fijo');
+  assertClose(fixed.ciUpper - fixed.value, Z_95 * Math.sqrt(0.5), 'semiamplitud del IC fijo');
+  assertClose(random.value, 1, 'efecto aleatorio');
+  assertClose(random.ciUpper - random.value, Z_95, 'semiamplitud del IC aleatorio');
+
+  studies.forEach(study => {
+    assertClose(study.weightFixed, 50, 'peso fijo');
+    assertClose(study.weightRandom, 50, 'peso aleatorio');
+  });
+});
+
+test('poolRecords pondera más los estudios precisos y reparte más el peso con heterogeneidad', () => {
+  const { studies, heterogeneity } = poolRecords([mdRecord('a', '1', 0, 0.5), mdRecord('b', '2', 3, 1)], false);
+
+  assert.ok(heterogeneity.tau2 > 0);
+  assertClose(studies[0].weightFixed, 80, 'peso fijo del estudio preciso');
+  assert.ok(studies[0].weightRandom < studies[0].weightFixed);
+});
+
+test('poolRecords combina las medidas de razón en escala logarítmica', () => {
+  const hr = { outcome: 'Diabetes', measure: 'HR', value: 0.5, ciLower: 0.25, ciUpper: 1 };
+  const { fixed, random, heterogeneity } = poolRecords([{ ...hr, id: 'a', pmid: '1' }, { ...hr, id: 'b', pmid: '2' }], true);
+
+  assertClose(fixed.value, 0.5, 'HR combinado');
+  assertClose(fixed.ciLower * fixed.ciUpper, 0.25, 'IC simétrico en escala logarítmica');
+  assertClose(heterogeneity.q, 0, 'Q');
+  assert.equal(heterogeneity.tau2, 0);
+  assert.equal(heterogeneity.i2, 0);
+  assertClose(random.value, fixed.value, 'sin heterogeneidad coinciden los modelos');
+});
+
+test('isPoolable exige una medida del backend, un IC que contenga la estimación y razones positivas', () => {
+  assert.equal(isPoolable(mdRecord('a', '1', 0), MEASURES), true);
+  assert.equal(isPoolable({ ...mdRecord('a', '1', 0), measure: 'SMD' }, MEASURES), false);
+  assert.equal(isPoolable({ measure: 'MD', value: 5, ciLower: 1, ciUpper: 2 }, MEASURES), false);
+  assert.equal(isPoolable({ measure: 'MD', value: 1, ciLower: 1, ciUpper: 1 }, MEASURES), false);
+  assert.equal(isPoolable({ measure: 'RR', value: 0, ciLower: -1, ciUpper: 1 }, MEASURES), false);
+  assert.equal(isPoolable({ measure: 'MD', value: 1, ciLower: null, ciUpper: 2 }, MEASURES), false);
+});
+
+test('runMetaAnalysis agrupa por desenlace (sin tildes ni mayúsculas) y medida', () => {
+  const { analyses, excluded, duplicates } = runMetaAnalysis([
+    mdRecord('a', '1', 0, 1, 'Presión arterial'),
+    mdRecord('b', '2', 2, 1, ' presion  ARTERIAL '),
+    mdRecord('c', '3', 1, 1, 'Otro desenlace')
+  ], MEASURES);
+
+  assert.equal(analyses.length, 1);
+  assert.equal(analyses[0].measureLabel, 'Diferencia de medias');
+  assert.equal(analyses[0].ratio, false);
+  assert.deepEqual(analyses[0].studies.map(study => study.id), ['a', 'b']);
+  assert.equal(excluded, 1);
+  assert.deepEqual(duplicates, []);
+});
+
+test('runMetaAnalysis combina cada PMID una sola vez por desenlace y medida', () => {
+  const { analyses, duplicates } = runMetaAnalysis([
+    mdRecord('a1', '1', 0),
+    mdRecord('a2', '1', 0.5),
+    mdRecord('a3', ' 1 ', 0.2),
+    mdRecord('b', '2', 2)
+  ], MEASURES);
+
+  assert.equal(analyses.length, 1);
+  assert.deepEqual(analyses[0].studies.map(study => study.id), ['a1', 'b']);
+  assertClose(analyses[0].fixed.value, 1, 'efecto fijo sin duplicados');
+  assert.deepEqual(duplicates.map(record => [record.id, record.keptId]), [['a2', 'a1'], ['a3', 'a1']]);
+});
+
+test('runMetaAnalysis no combina como dos estudios un PMID con dos registros', () => {
+  const { analyses, excluded, duplicates } = runMetaAnalysis([mdRecord('a1', '1', 0), mdRecord('a2', '1', 2)], MEASURES);
+
+  assert.deepEqual(analyses, []);
+  assert.equal(excluded, 1);
+  assert.equal(duplicates.length, 1);
+});
+
+test('runMetaAnalysis usa el registro que el usuario deja incluido de cada PMID', () => {
+  const { analyses, duplicates } = runMetaAnalysis([
+    { ...mdRecord('a1', '1', 0), included: false },
+    mdRecord('a2', '1', 0.5),
+    mdRecord('b', '2', 2)
+  ], MEASURES);
+
+  assert.deepEqual(analyses[0].studies.map(study => study.id), ['a2', 'b']);
+  assert.deepEqual(duplicates, []);
+});
+
+test('runMetaAnalysis trata como estudios distintos los registros añadidos sin PMID', () => {
+  const { analyses, duplicates } = runMetaAnalysis([mdRecord('m1', '', 0), mdRecord('m2', '', 2)], MEASURES);
+
+  assert.equal(analyses[0].studies.length, 2);
+  assert.deepEqual(duplicates, []);
+});
+
+test('runMetaAnalysis no combina los registros sin verificar hasta que el usuario los marca', () => {
+  const unverified = { ...mdRecord('c', '3', 1), verified: false, unverifiedFields: ['value'] };
+
+  const pending = runMetaAnalysis([mdRecord('a', '1', 0), mdRecord('b', '2', 2), unverified], MEASURES);
+  assert.deepEqual(pending.analyses[0].studies.map(study => study.id), ['a', 'b']);
+  assert.deepEqual(pending.unverified.map(record => record.id), ['c']);
+  assert.equal(pending.excluded, 0);
+
+  const reviewed = runMetaAnalysis([mdRecord('a', '1', 0), mdRecord('b', '2', 2), { ...unverified, included: true }], MEASURES);
+  assert.deepEqual(reviewed.analyses[0].studies.map(study => study.id), ['a', 'b', 'c']);
+  assert.deepEqual(reviewed.unverified, []);
+
+  const discarded = runMetaAnalysis([mdRecord('a', '1', 0), mdRecord('b', '2', 2), { ...unverified, included: false }], MEASURES);
+  assert.deepEqual(discarded.unverified, []);
+});